@@ -0,0 +1,442 @@
+// Generated by scripts/generate-client.js from schemas/openapi.json and
+// schemas/asyncapi.json. Do not edit by hand, run `npm run generate:client`.
+
+import { EventEmitter } from 'events';
+
+/** Device ID as carried in the 4-byte packet header */
+export type RestDeviceId = string;
+export type RestGroupId = string;
+export type RestGroupMode = "forward" | "mix";
+export type RestScenario = "all-to-all" | "pairs" | "chain" | "hub" | "clear";
+export type RestError = { error: string; errors?: Array<{ path: string; message: string }> };
+export type RestSuccess = { success?: boolean };
+export type RestServerStats = { uptime?: number; packetsReceived?: number; packetsRouted?: number; packetsDropped?: number; packetsRejected?: number; bytesReceived?: number; bytesTransmitted?: number };
+export type RestToggleRouteRequest = { from: RestDeviceId; to: RestDeviceId; enable: boolean };
+export type RestRoute = { source: RestDeviceId; targets: Array<RestDeviceId> };
+export type RestRouteList = { routes: Array<RestRoute> };
+export type RestSourceRoutes = { source: RestDeviceId; targets: Array<RestDeviceId>; effective: Array<RestDeviceId> };
+export type RestCreateRoutesRequest = { source: RestDeviceId; target?: RestDeviceId; targets?: Array<RestDeviceId> };
+export type RestReplaceRoutesRequest = { targets: Array<RestDeviceId> };
+export type RestDeviceDetails = { id: RestDeviceId; name?: string | null; address?: string; port?: number; online: boolean; uptime?: number; packetsReceived?: number; packetsLost?: number; packetLossRate?: number; avgJitter?: string; protocolVersion?: number; authenticated?: boolean; capabilities?: Record<string, any> | null; codec?: RestCodecInfo; lastSeen?: number; isDashboard?: boolean; metadata?: Record<string, any>; groups?: Array<RestGroupId>; muted?: boolean; broadcast?: boolean; routes?: Array<RestDeviceId> };
+/** Opus parameters parsed from the TOC byte of the device's audio, null before the first packet */
+export type RestCodecInfo = { mode?: "silk" | "hybrid" | "celt" | null; bandwidth?: "narrowband" | "mediumband" | "wideband" | "superwideband" | "fullband" | null; config?: number | null; channels?: number | null; frameDuration?: number | null; framesPerPacket?: number | null; packetDuration?: number | null; vbr?: boolean | null; lastSize?: number | null; packets: number; malformed: number; mismatched: number; errors?: Record<string, any>; lastError?: string | null; lastErrorAt?: number | null } | null;
+export type RestUpdateDeviceRequest = { name?: string; metadata?: Record<string, any> };
+export type RestDeviceMetadata = { id: RestDeviceId; metadata: Record<string, any> };
+export type RestMuteState = { id: RestDeviceId; muted: boolean };
+export type RestBroadcastState = { id: RestDeviceId; broadcast: boolean };
+export type RestDeviceCommandName = "set-volume" | "set-mic-gain" | "mute" | "unmute" | "set-bitrate" | "reboot" | "push-config";
+/** params: set-volume {volume: 0-100}, set-mic-gain {gainDb: -20-40}, set-bitrate {bitrate: 6000-510000}, reboot {delayMs?: 0-60000}, push-config {config: {volume, gainDb, bitrate, heartbeatInterval, audioPattern, frequency}}; mute and unmute take none */
+export type RestDeviceCommandRequest = { command: RestDeviceCommandName; params?: Record<string, any> };
+export type RestDeviceCommand = { commandId: number; deviceId: RestDeviceId; command: RestDeviceCommandName; params: Record<string, any>; status: "pending" | "acknowledged" | "rejected" | "timeout" | "sent"; attempts?: number; sentAt?: number; answeredAt?: number | null; error?: string | null; message?: string | null };
+export type RestDeviceCommandList = { deviceId: RestDeviceId; settings: { volume?: number; gainDb?: number; muted?: boolean; bitrate?: number; config?: Record<string, any> }; commands: Array<RestDeviceCommand> };
+/** auto-enroll registers unknown devices on their first packet; allowlist queues them for approval */
+export type RestEnrollmentPolicy = "auto-enroll" | "allowlist";
+export type RestSetEnrollmentPolicyRequest = { policy: RestEnrollmentPolicy };
+export type RestRegistryDeviceFields = { name?: string; location?: string; owner?: string; secret?: string | null; allowedGroups?: Array<RestGroupId> | null };
+export type RestProvisionDeviceRequest = { id: RestDeviceId; name?: string; location?: string; owner?: string; secret?: string | null; allowedGroups?: Array<RestGroupId> | null; status?: RestRegistryStatus };
+/** secret null removes the key */
+export type RestUpdateRegistryDeviceRequest = { name?: string; location?: string; owner?: string; secret?: string | null; allowedGroups?: Array<RestGroupId> | null; status?: RestRegistryStatus };
+export type RestRegistryStatus = "approved" | "blocked";
+export type RestRegistryDevice = { id: RestDeviceId; name?: string | null; location?: string | null; owner?: string | null; status: RestRegistryStatus; allowedGroups: Array<RestGroupId> | null; source: "file" | "api" | "auto-enroll" | "approval"; hasSecret: boolean; createdAt?: number; online: boolean; lastSeen?: number | null };
+export type RestPendingDevice = { deviceId: RestDeviceId; address: string; port: number; protocolVersion?: number; authenticated?: boolean; firstSeen: number; lastSeen: number; packets: number };
+export type RestRegistry = { policy: RestEnrollmentPolicy; maxDevices: number; online: number; devices: Array<RestRegistryDevice>; pending: Array<RestPendingDevice> };
+export type RestRecordingId = string;
+/** What to record: everything a device sends, a source while it is routed to a target, or every member of a group */
+export type RestRecordingTarget = any;
+export type RestStartRecordingRequest = { target: RestRecordingTarget; label?: string };
+export type RestRecordingTrack = { deviceId: RestDeviceId; file: string; url: string; channels?: number; startedAt?: number; packets?: number; lostPackets?: number; filledPackets?: number; latePackets?: number; durationMs?: number; bytes?: number };
+export type RestRecording = { id: RestRecordingId; target: RestRecordingTarget; label?: string | null; status: "recording" | "stopped"; startedAt: number; stoppedAt?: number | null; stopReason?: "requested" | "max-duration" | "group-deleted" | "shutdown" | "interrupted" | null; tracks: Array<RestRecordingTrack> };
+export type RestRecordingList = { recordings: Array<RestRecording> };
+export type RestGroup = { groupId: RestGroupId; members: Array<RestDeviceId>; mode: RestGroupMode; floor?: RestFloor; gains?: Record<string, number> };
+/** Push-to-talk state; while holder is set only the holder's audio reaches the group */
+export type RestFloor = { holder: string | null; since?: number | null; queue: Array<string> } | null;
+export type RestGroupList = { groups: Array<RestGroup> };
+export type RestCreateGroupRequest = { groupId: RestGroupId; members?: Array<RestDeviceId>; mode?: RestGroupMode };
+export type RestAddGroupMemberRequest = { deviceId: RestDeviceId };
+export type RestSetGroupModeRequest = { mode: RestGroupMode };
+export type RestPacingPolicy = "pass-through" | "paced" | "adaptive";
+/** Device ID, or * for any device */
+export type RestPacingEndpoint = string;
+export type RestPacing = { defaultPolicy: RestPacingPolicy; dashboardPolicy: RestPacingPolicy; pacedDepth: number; routes: Record<string, RestPacingPolicy>; queues?: Record<string, RestPacerQueue>; sendErrors?: Record<string, RestSendError> };
+export type RestPacerQueue = { policy?: RestPacingPolicy; buffered?: number; targetDepth?: number; state?: "buffering" | "playing"; jitter?: number; underruns?: number; latencyDrops?: number; concealed?: number; lastSend?: number; intervals?: RestIntervalHistogram };
+/** Time between consecutive sends of a queue (ms) */
+export type RestIntervalHistogram = { buckets?: Array<number>; counts?: Array<number>; sum?: number; count?: number };
+/** How late paced packets left after their deadline (ms), over the most recent samples */
+export type RestSendError = { samples?: number; p50?: number; p99?: number; max?: number };
+export type RestLogLevel = "error" | "warn" | "info" | "debug";
+export type RestLogLevels = { level: RestLogLevel; levels: Array<RestLogLevel>; modules: Record<string, RestLogLevel>; overrides: Record<string, RestLogLevel> };
+export type RestSetLogLevelRequest = { level: RestLogLevel };
+export type RestAuditEntry = { id: number; timestamp: number; actor: { type: "dashboard" | "rest" | "audio" | "device" | "server"; id?: string; address?: string; user?: string | null; token?: string }; action: string; changes: Array<{ event: string }>; devices: Array<string>; diff: Array<{ path: Array<string>; before?: any; after?: any }> };
+export type RestAuditLog = { entries: Array<RestAuditEntry>; total: number };
+export type RestSetDefaultPacingRequest = { defaultPolicy: RestPacingPolicy };
+export type RestSetRoutePacingRequest = { policy: RestPacingPolicy };
+export type RestScenarioList = { scenarios: Array<RestScenario> };
+export type RestScenarioResult = { scenario: RestScenario; routes: Record<string, any> };
+export type RestRoutingConfiguration = { routes?: Array<RestRoute>; broadcast?: Array<Array<any>>; muted?: Array<RestDeviceId>; mode?: string; groupModes?: Array<Array<any>>; gains?: Array<Record<string, any>> };
+export type RestDeviceConfiguration = { devices?: Array<Record<string, any>>; groups?: Array<Record<string, any>>; metadata?: Array<Array<any>> };
+export type RestRole = "viewer" | "operator" | "admin";
+export type RestLoginRequest = { username: string; password: string };
+export type RestSession = { username: string | null; role: "viewer" | "operator" | "admin" | null; permissions: Array<string>; expiresAt: number | null; token?: string; tokenId?: string; scopes?: Array<RestTokenScope> };
+export type RestChangePasswordRequest = { currentPassword: string; password: string };
+export type RestUser = { username: string; role: RestRole; createdAt: number; updatedAt: number };
+export type RestUserList = { users: Array<RestUser> };
+export type RestCreateUserRequest = { username: string; password: string; role: RestRole };
+export type RestUpdateUserRequest = { role?: RestRole; password?: string };
+export type RestTokenScope = { permission: "read" | "stats" | "routes" | "groups" | "devices" | "recordings" | "listen" | "audio" | "pacing" | "registry" | "config" | "logging"; devices?: Array<RestDeviceId>; groups?: Array<RestGroupId> };
+export type RestIssueTokenRequest = { name: string; scopes: Array<RestTokenScope>; expiresInDays?: number };
+export type RestApiToken = { id: string; name: string; token?: string; scopes: Array<RestTokenScope>; createdBy: string | null; createdAt: number; expiresAt: number | null; usage: { requests: number; denied: number; operations: Record<string, number>; lastUsedAt: number | null; lastUsedAddress: string | null } };
+export type RestApiTokenList = { tokens: Array<RestApiToken> };
+export type RestConfiguration = { routing?: RestRoutingConfiguration; devices?: RestDeviceConfiguration };
+/** Device ID as carried in the 4-byte packet header */
+export type WsDeviceId = string;
+/** Client-chosen ID echoed in the reply, ack or error */
+export type WsRequestId = string | number;
+export type WsGroupId = string;
+export type WsGroupMode = "forward" | "mix";
+export type WsGroup = { groupId: WsGroupId; members: Array<WsDeviceId>; mode: WsGroupMode; floor?: WsFloor; gains?: Record<string, number> };
+/** Push-to-talk state; while holder is set only the holder's audio reaches the group */
+export type WsFloor = { holder: string | null; since?: number | null; queue: Array<string> } | null;
+export type WsScenario = "all-to-all" | "pairs" | "chain" | "hub" | "clear";
+export type WsRoutingConfiguration = { routes?: Array<{ source: WsDeviceId; targets: Array<WsDeviceId> }>; broadcast?: Array<Array<any>>; muted?: Array<WsDeviceId>; mode?: string; groupModes?: Array<Array<any>>; gains?: Array<Record<string, any>> };
+export type WsGetDevices = { type: "get-devices"; requestId?: WsRequestId };
+export type WsGetRoutes = { type: "get-routes"; requestId?: WsRequestId };
+export type WsSetRoute = { type: "set-route"; requestId?: WsRequestId; source: WsDeviceId; target: WsDeviceId };
+export type WsRemoveRoute = { type: "remove-route"; requestId?: WsRequestId; source: WsDeviceId; target: WsDeviceId };
+export type WsCreateBidirectional = { type: "create-bidirectional"; requestId?: WsRequestId; deviceA: WsDeviceId; deviceB: WsDeviceId };
+export type WsEnableBroadcast = { type: "enable-broadcast"; requestId?: WsRequestId; deviceId: WsDeviceId };
+export type WsDisableBroadcast = { type: "disable-broadcast"; requestId?: WsRequestId; deviceId: WsDeviceId };
+export type WsMuteDevice = { type: "mute-device"; requestId?: WsRequestId; deviceId: WsDeviceId };
+export type WsUnmuteDevice = { type: "unmute-device"; requestId?: WsRequestId; deviceId: WsDeviceId };
+export type WsCreateConference = { type: "create-conference"; requestId?: WsRequestId; deviceIds: Array<WsDeviceId>; mode?: WsGroupMode; groupId?: WsGroupId };
+export type WsGetGroups = { type: "get-groups"; requestId?: WsRequestId };
+export type WsCreateGroup = { type: "create-group"; requestId?: WsRequestId; groupId: WsGroupId; members?: Array<WsDeviceId>; mode?: WsGroupMode };
+export type WsDeleteGroup = { type: "delete-group"; requestId?: WsRequestId; groupId: WsGroupId };
+export type WsAddToGroup = { type: "add-to-group"; requestId?: WsRequestId; groupId: WsGroupId; deviceId: WsDeviceId };
+export type WsRemoveFromGroup = { type: "remove-from-group"; requestId?: WsRequestId; groupId: WsGroupId; deviceId: WsDeviceId };
+export type WsSetGroupMode = { type: "set-group-mode"; requestId?: WsRequestId; groupId: WsGroupId; mode: WsGroupMode };
+export type WsSetParticipantGain = { type: "set-participant-gain"; requestId?: WsRequestId; groupId: WsGroupId; deviceId: WsDeviceId; gain: number };
+export type WsSetDeviceName = { type: "set-device-name"; requestId?: WsRequestId; deviceId: WsDeviceId; name: string };
+export type WsApplyScenario = { type: "apply-scenario"; requestId?: WsRequestId; scenario: WsScenario };
+export type WsPacingPolicy = "pass-through" | "paced" | "adaptive";
+export type WsGetPacing = { type: "get-pacing"; requestId?: WsRequestId };
+/** With source and target, overrides one route ('*' matches any device); without both, sets the default policy. policy 'default' removes an override. */
+export type WsSetPacingPolicy = { type: "set-pacing-policy"; requestId?: WsRequestId; source?: string; target?: string; policy: "pass-through" | "paced" | "adaptive" | "default" };
+export type WsPacing = { type: "pacing"; requestId?: WsRequestId; pacing: { defaultPolicy?: WsPacingPolicy; dashboardPolicy?: WsPacingPolicy; pacedDepth?: number; routes?: Record<string, WsPacingPolicy>; queues?: Record<string, any>; sendErrors?: Record<string, any> } };
+export type WsLogLevel = "error" | "warn" | "info" | "debug";
+export type WsGetLogLevels = { type: "get-log-levels"; requestId?: WsRequestId };
+/** With module, sets the level of that module; without, sets the default level. level 'default' removes a module's own level. */
+export type WsSetLogLevel = { type: "set-log-level"; requestId?: WsRequestId; module?: string; level: "error" | "warn" | "info" | "debug" | "default" };
+export type WsLogLevels = { type: "log-levels"; requestId?: WsRequestId; logging: { level?: WsLogLevel; levels?: Array<WsLogLevel>; modules?: Record<string, WsLogLevel>; overrides?: Record<string, WsLogLevel> } };
+export type WsGetAuditLog = { type: "get-audit-log"; requestId?: WsRequestId; filters?: { actorType?: "dashboard" | "rest" | "audio" | "device" | "server"; actor?: string; action?: string; device?: WsDeviceId; since?: number; until?: number; limit?: number } };
+export type WsAuditEntry = { id: number; timestamp: number; actor: { type: "dashboard" | "rest" | "audio" | "device" | "server"; id?: string; address?: string; user?: string | null; token?: string }; action: string; changes: Array<{ event: string }>; devices: Array<WsDeviceId>; diff?: Array<{ path: Array<string>; before?: any; after?: any }> };
+export type WsAuditLog = { type: "audit-log"; requestId?: WsRequestId; entries: Array<WsAuditEntry>; total: number };
+export type WsAuditEntryMessage = { type: "audit-entry"; entry: WsAuditEntry };
+export type WsDeviceCommandName = "set-volume" | "set-mic-gain" | "mute" | "unmute" | "set-bitrate" | "reboot" | "push-config";
+export type WsDeviceCommand = { commandId: number; deviceId: WsDeviceId; command: WsDeviceCommandName; params: Record<string, any>; status: "pending" | "acknowledged" | "rejected" | "timeout" | "sent"; attempts?: number; sentAt?: number; answeredAt?: number | null; error?: string | null; message?: string | null };
+/** params as for POST /api/devices/{id}/commands */
+export type WsSendDeviceCommand = { type: "send-device-command"; requestId?: WsRequestId; deviceId: WsDeviceId; command: WsDeviceCommandName; params?: Record<string, any> };
+export type WsGetDeviceCommands = { type: "get-device-commands"; requestId?: WsRequestId; deviceId: WsDeviceId };
+export type WsDeviceCommandReply = { type: "device-command"; requestId?: WsRequestId; deviceCommand: WsDeviceCommand };
+export type WsDeviceCommands = { type: "device-commands"; requestId?: WsRequestId; deviceId: WsDeviceId; settings: Record<string, any>; commands: Array<WsDeviceCommand> };
+export type WsDeviceCommandUpdated = { type: "device-command-updated"; deviceCommand: WsDeviceCommand };
+export type WsEnrollmentPolicy = "auto-enroll" | "allowlist";
+export type WsRegistryStatus = "approved" | "blocked";
+/** HMAC key (16-64 bytes, hex); never returned, null removes it */
+export type WsSecret = string | null;
+/** Groups the device may join; null for any */
+export type WsAllowedGroups = Array<WsGroupId> | null;
+export type WsRegistryDevice = { id: WsDeviceId; name?: string | null; location?: string | null; owner?: string | null; status: WsRegistryStatus; allowedGroups: WsAllowedGroups; source: "file" | "api" | "auto-enroll" | "approval"; hasSecret: boolean; createdAt?: number; online: boolean; lastSeen?: number | null };
+export type WsPendingDevice = { deviceId: WsDeviceId; address: string; port: number; protocolVersion?: number; authenticated?: boolean; firstSeen: number; lastSeen: number; packets: number };
+export type WsGetRegistry = { type: "get-registry"; requestId?: WsRequestId };
+export type WsSetEnrollmentPolicy = { type: "set-enrollment-policy"; requestId?: WsRequestId; policy: WsEnrollmentPolicy };
+export type WsProvisionDevice = { type: "provision-device"; requestId?: WsRequestId; deviceId: WsDeviceId; name?: string; location?: string; owner?: string; secret?: WsSecret; allowedGroups?: WsAllowedGroups; status?: WsRegistryStatus };
+export type WsUpdateRegistryDevice = { type: "update-registry-device"; requestId?: WsRequestId; deviceId: WsDeviceId; name?: string; location?: string; owner?: string; secret?: WsSecret; allowedGroups?: WsAllowedGroups; status?: WsRegistryStatus };
+export type WsRemoveRegistryDevice = { type: "remove-registry-device"; requestId?: WsRequestId; deviceId: WsDeviceId };
+export type WsApproveDevice = { type: "approve-device"; requestId?: WsRequestId; deviceId: WsDeviceId; name?: string; location?: string; owner?: string; secret?: WsSecret; allowedGroups?: WsAllowedGroups };
+export type WsRejectDevice = { type: "reject-device"; requestId?: WsRequestId; deviceId: WsDeviceId };
+export type WsRegistry = { type: "registry"; requestId?: WsRequestId; registry: { policy: WsEnrollmentPolicy; maxDevices: number; online: number; devices: Array<WsRegistryDevice>; pending: Array<WsPendingDevice> } };
+export type WsDevicePending = { type: "device-pending"; device: WsPendingDevice };
+export type WsRecordingId = string;
+export type WsRecordingTarget = any;
+export type WsRecording = { id: WsRecordingId; target: WsRecordingTarget; label?: string | null; status: "recording" | "stopped"; startedAt: number; stoppedAt?: number | null; stopReason?: string | null; tracks: Array<{ deviceId: WsDeviceId; file: string; url: string; packets?: number; lostPackets?: number; filledPackets?: number; latePackets?: number; durationMs?: number; bytes?: number }> };
+export type WsGetRecordings = { type: "get-recordings"; requestId?: WsRequestId };
+export type WsStartRecording = { type: "start-recording"; requestId?: WsRequestId; target: WsRecordingTarget; label?: string };
+export type WsStopRecording = { type: "stop-recording"; requestId?: WsRequestId; recordingId: WsRecordingId };
+export type WsDeleteRecording = { type: "delete-recording"; requestId?: WsRequestId; recordingId: WsRecordingId };
+export type WsRecordingReply = { type: "recording"; requestId?: WsRequestId; recording: WsRecording };
+export type WsRecordings = { type: "recordings"; requestId?: WsRequestId; recordings: Array<WsRecording> };
+export type WsGetStats = { type: "get-stats"; requestId?: WsRequestId };
+export type WsExportConfig = { type: "export-config"; requestId?: WsRequestId };
+export type WsImportConfig = { type: "import-config"; requestId?: WsRequestId; config: WsRoutingConfiguration };
+export type WsPing = { type: "ping"; requestId?: WsRequestId };
+export type WsInitialState = { type: "initial-state"; devices: Array<Record<string, any>>; routes: Record<string, any>; groups?: Array<WsGroup>; stats: Record<string, any>; config?: Record<string, any> };
+export type WsDevices = { type: "devices"; requestId?: WsRequestId; devices: Array<Record<string, any>> };
+export type WsRoutes = { type: "routes"; requestId?: WsRequestId; routes: Record<string, any> };
+export type WsGroups = { type: "groups"; requestId?: WsRequestId; groups: Array<WsGroup> };
+export type WsGroupChanged = { type: "group-changed"; action: "created" | "updated" | "mode-changed" | "deleted"; groupId: WsGroupId; group?: WsGroup };
+export type WsFloorChanged = { type: "floor-changed"; action: "granted" | "queued" | "denied" | "released"; groupId: WsGroupId; deviceId: WsDeviceId; reason?: string; floor: WsFloor };
+export type WsStats = { type: "stats"; requestId?: WsRequestId; stats: Record<string, any> };
+export type WsConfiguration = { type: "configuration"; requestId?: WsRequestId; config: { routing?: WsRoutingConfiguration; devices?: Array<Record<string, any>> } };
+export type WsPong = { type: "pong"; requestId?: WsRequestId };
+export type WsAck = { type: "ack"; requestId: WsRequestId; command: string };
+export type WsError = { type: "error"; requestId?: WsRequestId; code: "INVALID_JSON" | "UNKNOWN_MESSAGE_TYPE" | "VALIDATION_FAILED" | "COMMAND_FAILED" | "UNAUTHORIZED" | "FORBIDDEN" | "INTERNAL_ERROR"; message: string; errors?: Array<{ path: string; message: string }> };
+export type WsEvent = { type: string; [key: string]: any };
+export type WsAudioPacket = { type: "audio_packet"; requestId?: WsRequestId; from?: WsDeviceId; to: WsDeviceId; sequence?: number; opus: string; timestamp?: number };
+export type WsStartListening = { type: "start_listening"; requestId?: WsRequestId; deviceId: WsDeviceId };
+export type WsStopListening = { type: "stop_listening"; requestId?: WsRequestId; deviceId: WsDeviceId };
+export type WsRequestStats = { type: "request_stats"; requestId?: WsRequestId };
+export type WsSetAudioRoute = { type: "set_route"; requestId?: WsRequestId; from: WsDeviceId; to: WsDeviceId };
+export type WsConnected = { type: "connected"; deviceId: WsDeviceId; timestamp?: number };
+export type WsAudioReceived = { type: "audio_received"; from: WsDeviceId; sequence?: number; opus: string; timestamp?: number };
+export type WsAudioStats = { type: "audio_stats"; requestId?: WsRequestId; stats: Record<string, any>; listeningTo?: Array<WsDeviceId>; timestamp?: number };
+
+export declare class ApiClientError extends Error {
+    status?: number;
+    code?: string;
+    errors: Array<{ path: string; message: string }>;
+    body?: any;
+}
+
+export declare class RestClient {
+    constructor(baseUrl?: string, options?: { fetch?: typeof fetch; headers?: Record<string, string> });
+    /** Server packet counters */
+    getStats(): Promise<RestServerStats>;
+    /** Online devices */
+    listDevices(): Promise<Array<Record<string, any>>>;
+    /** Enable or disable one route (dashboard matrix) */
+    toggleRoute(body: RestToggleRouteRequest): Promise<RestSuccess>;
+    /** Clear every direct route (dashboard matrix) */
+    clearRoutesLegacy(): Promise<RestSuccess>;
+    /** All direct routes */
+    listRoutes(): Promise<RestRouteList>;
+    /** Add routes from a source to one or more targets */
+    createRoutes(body: RestCreateRoutesRequest): Promise<RestSourceRoutes>;
+    /** Clear every direct route */
+    clearAllRoutes(): Promise<null>;
+    /** Direct and effective routes of a source */
+    getSourceRoutes(source: RestDeviceId): Promise<RestSourceRoutes>;
+    /** Replace the targets of a source */
+    replaceSourceRoutes(source: RestDeviceId, body: RestReplaceRoutesRequest): Promise<RestSourceRoutes>;
+    /** Clear the direct routes of a source */
+    clearSourceRoutes(source: RestDeviceId): Promise<null>;
+    /** Remove one route */
+    removeRoute(source: RestDeviceId, target: RestDeviceId): Promise<null>;
+    /** Device details and statistics */
+    getDevice(id: RestDeviceId): Promise<RestDeviceDetails>;
+    /** Update a device's name and metadata */
+    updateDevice(id: RestDeviceId, body: RestUpdateDeviceRequest): Promise<RestDeviceMetadata>;
+    /** Mute state */
+    getMute(id: RestDeviceId): Promise<RestMuteState>;
+    /** Mute a device */
+    muteDevice(id: RestDeviceId): Promise<RestMuteState>;
+    /** Unmute a device */
+    unmuteDevice(id: RestDeviceId): Promise<RestMuteState>;
+    /** Broadcast state */
+    getBroadcast(id: RestDeviceId): Promise<RestBroadcastState>;
+    /** Send a device's audio to every online device */
+    enableBroadcast(id: RestDeviceId): Promise<RestBroadcastState>;
+    /** Stop broadcasting a device's audio */
+    disableBroadcast(id: RestDeviceId): Promise<RestBroadcastState>;
+    /** Recent commands sent to a device and the settings it acknowledged */
+    listDeviceCommands(id: RestDeviceId): Promise<RestDeviceCommandList>;
+    /** Send a command to a device; poll the command or watch device-command-updated for its acknowledgement */
+    sendDeviceCommand(id: RestDeviceId, body: RestDeviceCommandRequest): Promise<RestDeviceCommand>;
+    /** One command and its acknowledgement */
+    getDeviceCommand(id: RestDeviceId, commandId: number): Promise<RestDeviceCommand>;
+    /** Enrollment policy, registered devices and devices waiting for approval */
+    getRegistry(): Promise<RestRegistry>;
+    /** Choose what happens to unknown devices */
+    setEnrollmentPolicy(body: RestSetEnrollmentPolicyRequest): Promise<RestRegistry>;
+    /** Register a device before it connects */
+    provisionDevice(body: RestProvisionDeviceRequest): Promise<RestRegistryDevice>;
+    /** One registered device */
+    getRegistryDevice(id: RestDeviceId): Promise<RestRegistryDevice>;
+    /** Change a registered device; blocking it disconnects it */
+    updateRegistryDevice(id: RestDeviceId, body: RestUpdateRegistryDeviceRequest): Promise<RestRegistryDevice>;
+    /** Remove a device from the registry; it is treated as unknown from its next packet */
+    removeRegistryDevice(id: RestDeviceId): Promise<null>;
+    /** Register a device that is waiting for approval */
+    approveDevice(id: RestDeviceId, body?: RestRegistryDeviceFields): Promise<RestRegistryDevice>;
+    /** Block a device that is waiting for approval */
+    rejectDevice(id: RestDeviceId): Promise<RestRegistryDevice>;
+    /** Recordings and their tracks, newest first */
+    listRecordings(): Promise<RestRecordingList>;
+    /** Start recording a device, a route or a group to Ogg Opus files */
+    startRecording(body: RestStartRecordingRequest): Promise<RestRecording>;
+    /** One recording */
+    getRecording(id: RestRecordingId): Promise<RestRecording>;
+    /** Delete a stopped recording and its files */
+    deleteRecording(id: RestRecordingId): Promise<null>;
+    /** Stop a recording and close its files */
+    stopRecording(id: RestRecordingId): Promise<RestRecording>;
+    /** All groups */
+    listGroups(): Promise<RestGroupList>;
+    /** Create a group */
+    createGroup(body: RestCreateGroupRequest): Promise<RestGroup>;
+    /** Group details */
+    getGroup(id: RestGroupId): Promise<RestGroup>;
+    /** Delete a group */
+    deleteGroup(id: RestGroupId): Promise<null>;
+    /** Add a device to a group */
+    addGroupMember(id: RestGroupId, body: RestAddGroupMemberRequest): Promise<RestGroup>;
+    /** Remove a device from a group (the group is deleted with its last member) */
+    removeGroupMember(id: RestGroupId, deviceId: RestDeviceId): Promise<RestGroup>;
+    /** Select packet forwarding or server-side mixing */
+    setGroupMode(id: RestGroupId, body: RestSetGroupModeRequest): Promise<RestGroup>;
+    /** Available routing scenarios */
+    listScenarios(): Promise<RestScenarioList>;
+    /** Apply a routing scenario */
+    applyScenario(name: RestScenario): Promise<RestScenarioResult>;
+    /** Pacing policies and jitter buffer state */
+    getPacing(): Promise<RestPacing>;
+    /** Set the policy of routes without an override */
+    setDefaultPacing(body: RestSetDefaultPacingRequest): Promise<RestPacing>;
+    /** Override the pacing policy of a route */
+    setRoutePacing(source: RestPacingEndpoint, target: RestPacingEndpoint, body: RestSetRoutePacingRequest): Promise<RestPacing>;
+    /** Remove a pacing override */
+    clearRoutePacing(source: RestPacingEndpoint, target: RestPacingEndpoint): Promise<null>;
+    /** Default and per-module log levels */
+    getLogging(): Promise<RestLogLevels>;
+    /** Set the level of modules without their own */
+    setDefaultLogLevel(body: RestSetLogLevelRequest): Promise<RestLogLevels>;
+    /** Set the log level of a module */
+    setModuleLogLevel(module: string, body: RestSetLogLevelRequest): Promise<RestLogLevels>;
+    /** Remove the level of a module, which then uses the default */
+    clearModuleLogLevel(module: string): Promise<null>;
+    /** Recent audit log entries matching the filters, newest first */
+    getAuditLog(query?: { actorType?: "dashboard" | "rest" | "audio" | "device" | "server"; actor?: string; action?: string; device?: string; since?: number | string; until?: number | string; limit?: number }): Promise<RestAuditLog>;
+    /** Log in; sets the session cookie */
+    login(body: RestLoginRequest): Promise<RestSession>;
+    /** End the session and clear the cookie */
+    logout(): Promise<null>;
+    /** The logged-in user, role and permissions */
+    getSession(): Promise<RestSession>;
+    /** Change the password of the logged-in user; ends their other sessions */
+    changePassword(body: RestChangePasswordRequest): Promise<null>;
+    /** Dashboard users */
+    listUsers(): Promise<RestUserList>;
+    /** Create a dashboard user */
+    createUser(body: RestCreateUserRequest): Promise<RestUser>;
+    /** Change the role and/or password of a user; a new password ends their sessions */
+    updateUser(username: string, body: RestUpdateUserRequest): Promise<RestUser>;
+    /** Remove a user and end their sessions */
+    deleteUser(username: string): Promise<null>;
+    /** API tokens with their scopes and usage */
+    listTokens(): Promise<RestApiTokenList>;
+    /** Issue an API token; the token itself is only in this response */
+    issueToken(body: RestIssueTokenRequest): Promise<RestApiToken>;
+    /** One API token with its usage */
+    getApiToken(id: string): Promise<RestApiToken>;
+    /** Revoke an API token; connections using it are closed on their next message */
+    revokeToken(id: string): Promise<null>;
+    /** Routing and device registry */
+    exportConfiguration(): Promise<RestConfiguration>;
+    /** Import routing and/or device registry */
+    importConfiguration(body: RestConfiguration): Promise<RestConfiguration>;
+}
+
+export declare class ControlClient extends EventEmitter {
+    constructor(url?: string, options?: { WebSocket?: any; timeout?: number; headers?: Record<string, string> });
+    connect(): Promise<void>;
+    close(): void;
+    request(type: string, fields?: Record<string, any>): Promise<any>;
+    /** Request the device list (reply: devices) */
+    getDevices(fields?: Omit<WsGetDevices, 'type' | 'requestId'>): Promise<WsDevices>;
+    /** Request the routing matrix (reply: routes) */
+    getRoutes(fields?: Omit<WsGetRoutes, 'type' | 'requestId'>): Promise<WsRoutes>;
+    /** Add a route from source to target */
+    setRoute(fields: Omit<WsSetRoute, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Remove a route */
+    removeRoute(fields: Omit<WsRemoveRoute, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Route two devices to each other */
+    createBidirectional(fields: Omit<WsCreateBidirectional, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Send a device's audio to every online device */
+    enableBroadcast(fields: Omit<WsEnableBroadcast, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Stop broadcasting a device's audio */
+    disableBroadcast(fields: Omit<WsDisableBroadcast, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Stop routing audio to and from a device */
+    muteDevice(fields: Omit<WsMuteDevice, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Resume routing for a device */
+    unmuteDevice(fields: Omit<WsUnmuteDevice, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Let a set of devices hear each other */
+    createConference(fields: Omit<WsCreateConference, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Request every group (reply: groups) */
+    getGroups(fields?: Omit<WsGetGroups, 'type' | 'requestId'>): Promise<WsGroups>;
+    /** Create a group */
+    createGroup(fields: Omit<WsCreateGroup, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Delete a group */
+    deleteGroup(fields: Omit<WsDeleteGroup, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Add a device to a group */
+    addToGroup(fields: Omit<WsAddToGroup, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Remove a device from a group (the group is deleted with its last member) */
+    removeFromGroup(fields: Omit<WsRemoveFromGroup, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Select packet forwarding or server-side mixing for a group */
+    setGroupMode(fields: Omit<WsSetGroupMode, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Set the mix gain of one participant */
+    setParticipantGain(fields: Omit<WsSetParticipantGain, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Set a device's friendly name */
+    setDeviceName(fields: Omit<WsSetDeviceName, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Apply a predefined routing scenario */
+    applyScenario(fields: Omit<WsApplyScenario, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Request the pacing policies and jitter buffers (reply: pacing) */
+    getPacing(fields?: Omit<WsGetPacing, 'type' | 'requestId'>): Promise<WsPacing>;
+    /** Override the pacing policy of a route, or of every route without one */
+    setPacingPolicy(fields: Omit<WsSetPacingPolicy, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Request the default and per-module log levels (reply: log-levels) */
+    getLogLevels(fields?: Omit<WsGetLogLevels, 'type' | 'requestId'>): Promise<WsLogLevels>;
+    /** Change the log level of a module, or the default level of every module without one */
+    setLogLevel(fields: Omit<WsSetLogLevel, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Request recent audit log entries, newest first (reply: audit-log) */
+    getAuditLog(fields?: Omit<WsGetAuditLog, 'type' | 'requestId'>): Promise<WsAuditLog>;
+    /** Send a command to a device (reply: device-command; its acknowledgement follows as device-command-updated) */
+    sendDeviceCommand(fields: Omit<WsSendDeviceCommand, 'type' | 'requestId'>): Promise<WsDeviceCommandReply>;
+    /** Request the recent commands of a device and the settings it acknowledged (reply: device-commands) */
+    getDeviceCommands(fields: Omit<WsGetDeviceCommands, 'type' | 'requestId'>): Promise<WsDeviceCommands>;
+    /** Request the enrollment policy, registered devices and devices waiting for approval (reply: registry) */
+    getRegistry(fields?: Omit<WsGetRegistry, 'type' | 'requestId'>): Promise<WsRegistry>;
+    /** Choose what happens to unknown devices */
+    setEnrollmentPolicy(fields: Omit<WsSetEnrollmentPolicy, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Register a device before it connects */
+    provisionDevice(fields: Omit<WsProvisionDevice, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Change a registered device; blocking it disconnects it */
+    updateRegistryDevice(fields: Omit<WsUpdateRegistryDevice, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Remove a device from the registry */
+    removeRegistryDevice(fields: Omit<WsRemoveRegistryDevice, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Register a device that is waiting for approval */
+    approveDevice(fields: Omit<WsApproveDevice, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Block a device that is waiting for approval */
+    rejectDevice(fields: Omit<WsRejectDevice, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Request the recordings and their tracks (reply: recordings) */
+    getRecordings(fields?: Omit<WsGetRecordings, 'type' | 'requestId'>): Promise<WsRecordings>;
+    /** Start recording a device, a route or a group to Ogg Opus files (reply: recording) */
+    startRecording(fields: Omit<WsStartRecording, 'type' | 'requestId'>): Promise<WsRecordingReply>;
+    /** Stop a recording and close its files (reply: recording) */
+    stopRecording(fields: Omit<WsStopRecording, 'type' | 'requestId'>): Promise<WsRecordingReply>;
+    /** Delete a stopped recording and its files */
+    deleteRecording(fields: Omit<WsDeleteRecording, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Request server statistics (reply: stats) */
+    getStats(fields?: Omit<WsGetStats, 'type' | 'requestId'>): Promise<WsStats>;
+    /** Request the routing configuration (reply: configuration) */
+    exportConfig(fields?: Omit<WsExportConfig, 'type' | 'requestId'>): Promise<WsConfiguration>;
+    /** Replace the routing configuration */
+    importConfig(fields: Omit<WsImportConfig, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Keep-alive (reply: pong) */
+    ping(fields?: Omit<WsPing, 'type' | 'requestId'>): Promise<WsPong>;
+}
+
+export declare class AudioClient extends EventEmitter {
+    constructor(url?: string, options?: { WebSocket?: any; timeout?: number; headers?: Record<string, string> });
+    connect(): Promise<void>;
+    close(): void;
+    request(type: string, fields?: Record<string, any>): Promise<any>;
+    /** Opus frame from the dashboard to a device */
+    audioPacket(fields: Omit<WsAudioPacket, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Route a device's audio to the dashboard */
+    startListening(fields: Omit<WsStartListening, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Stop receiving a device's audio */
+    stopListening(fields: Omit<WsStopListening, 'type' | 'requestId'>): Promise<WsAck>;
+    /** Request audio statistics (reply: audio_stats) */
+    requestStats(fields?: Omit<WsRequestStats, 'type' | 'requestId'>): Promise<WsAudioStats>;
+    /** Add a route from the audio page */
+    setRoute(fields: Omit<WsSetAudioRoute, 'type' | 'requestId'>): Promise<WsAck>;
+}
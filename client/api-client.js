@@ -0,0 +1,1374 @@
+// Generated by scripts/generate-client.js from schemas/openapi.json and
+// schemas/asyncapi.json. Do not edit by hand, run `npm run generate:client`.
+
+const EventEmitter = require('events');
+
+/** @typedef {string} RestDeviceId Device ID as carried in the 4-byte packet header */
+/** @typedef {string} RestGroupId */
+/** @typedef {"forward" | "mix"} RestGroupMode */
+/** @typedef {"all-to-all" | "pairs" | "chain" | "hub" | "clear"} RestScenario */
+/** @typedef {{ error: string; errors?: Array<{ path: string; message: string }> }} RestError */
+/** @typedef {{ success?: boolean }} RestSuccess */
+/** @typedef {{ uptime?: number; packetsReceived?: number; packetsRouted?: number; packetsDropped?: number; packetsRejected?: number; bytesReceived?: number; bytesTransmitted?: number }} RestServerStats */
+/** @typedef {{ from: RestDeviceId; to: RestDeviceId; enable: boolean }} RestToggleRouteRequest */
+/** @typedef {{ source: RestDeviceId; targets: Array<RestDeviceId> }} RestRoute */
+/** @typedef {{ routes: Array<RestRoute> }} RestRouteList */
+/** @typedef {{ source: RestDeviceId; targets: Array<RestDeviceId>; effective: Array<RestDeviceId> }} RestSourceRoutes */
+/** @typedef {{ source: RestDeviceId; target?: RestDeviceId; targets?: Array<RestDeviceId> }} RestCreateRoutesRequest */
+/** @typedef {{ targets: Array<RestDeviceId> }} RestReplaceRoutesRequest */
+/** @typedef {{ id: RestDeviceId; name?: string | null; address?: string; port?: number; online: boolean; uptime?: number; packetsReceived?: number; packetsLost?: number; packetLossRate?: number; avgJitter?: string; protocolVersion?: number; authenticated?: boolean; capabilities?: Record<string, any> | null; codec?: RestCodecInfo; lastSeen?: number; isDashboard?: boolean; metadata?: Record<string, any>; groups?: Array<RestGroupId>; muted?: boolean; broadcast?: boolean; routes?: Array<RestDeviceId> }} RestDeviceDetails */
+/** @typedef {{ mode?: "silk" | "hybrid" | "celt" | null; bandwidth?: "narrowband" | "mediumband" | "wideband" | "superwideband" | "fullband" | null; config?: number | null; channels?: number | null; frameDuration?: number | null; framesPerPacket?: number | null; packetDuration?: number | null; vbr?: boolean | null; lastSize?: number | null; packets: number; malformed: number; mismatched: number; errors?: Record<string, any>; lastError?: string | null; lastErrorAt?: number | null } | null} RestCodecInfo Opus parameters parsed from the TOC byte of the device's audio, null before the first packet */
+/** @typedef {{ name?: string; metadata?: Record<string, any> }} RestUpdateDeviceRequest */
+/** @typedef {{ id: RestDeviceId; metadata: Record<string, any> }} RestDeviceMetadata */
+/** @typedef {{ id: RestDeviceId; muted: boolean }} RestMuteState */
+/** @typedef {{ id: RestDeviceId; broadcast: boolean }} RestBroadcastState */
+/** @typedef {"set-volume" | "set-mic-gain" | "mute" | "unmute" | "set-bitrate" | "reboot" | "push-config"} RestDeviceCommandName */
+/** @typedef {{ command: RestDeviceCommandName; params?: Record<string, any> }} RestDeviceCommandRequest params: set-volume {volume: 0-100}, set-mic-gain {gainDb: -20-40}, set-bitrate {bitrate: 6000-510000}, reboot {delayMs?: 0-60000}, push-config {config: {volume, gainDb, bitrate, heartbeatInterval, audioPattern, frequency}}; mute and unmute take none */
+/** @typedef {{ commandId: number; deviceId: RestDeviceId; command: RestDeviceCommandName; params: Record<string, any>; status: "pending" | "acknowledged" | "rejected" | "timeout" | "sent"; attempts?: number; sentAt?: number; answeredAt?: number | null; error?: string | null; message?: string | null }} RestDeviceCommand */
+/** @typedef {{ deviceId: RestDeviceId; settings: { volume?: number; gainDb?: number; muted?: boolean; bitrate?: number; config?: Record<string, any> }; commands: Array<RestDeviceCommand> }} RestDeviceCommandList */
+/** @typedef {"auto-enroll" | "allowlist"} RestEnrollmentPolicy auto-enroll registers unknown devices on their first packet; allowlist queues them for approval */
+/** @typedef {{ policy: RestEnrollmentPolicy }} RestSetEnrollmentPolicyRequest */
+/** @typedef {{ name?: string; location?: string; owner?: string; secret?: string | null; allowedGroups?: Array<RestGroupId> | null }} RestRegistryDeviceFields */
+/** @typedef {{ id: RestDeviceId; name?: string; location?: string; owner?: string; secret?: string | null; allowedGroups?: Array<RestGroupId> | null; status?: RestRegistryStatus }} RestProvisionDeviceRequest */
+/** @typedef {{ name?: string; location?: string; owner?: string; secret?: string | null; allowedGroups?: Array<RestGroupId> | null; status?: RestRegistryStatus }} RestUpdateRegistryDeviceRequest secret null removes the key */
+/** @typedef {"approved" | "blocked"} RestRegistryStatus */
+/** @typedef {{ id: RestDeviceId; name?: string | null; location?: string | null; owner?: string | null; status: RestRegistryStatus; allowedGroups: Array<RestGroupId> | null; source: "file" | "api" | "auto-enroll" | "approval"; hasSecret: boolean; createdAt?: number; online: boolean; lastSeen?: number | null }} RestRegistryDevice */
+/** @typedef {{ deviceId: RestDeviceId; address: string; port: number; protocolVersion?: number; authenticated?: boolean; firstSeen: number; lastSeen: number; packets: number }} RestPendingDevice */
+/** @typedef {{ policy: RestEnrollmentPolicy; maxDevices: number; online: number; devices: Array<RestRegistryDevice>; pending: Array<RestPendingDevice> }} RestRegistry */
+/** @typedef {string} RestRecordingId */
+/** @typedef {any} RestRecordingTarget What to record: everything a device sends, a source while it is routed to a target, or every member of a group */
+/** @typedef {{ target: RestRecordingTarget; label?: string }} RestStartRecordingRequest */
+/** @typedef {{ deviceId: RestDeviceId; file: string; url: string; channels?: number; startedAt?: number; packets?: number; lostPackets?: number; filledPackets?: number; latePackets?: number; durationMs?: number; bytes?: number }} RestRecordingTrack */
+/** @typedef {{ id: RestRecordingId; target: RestRecordingTarget; label?: string | null; status: "recording" | "stopped"; startedAt: number; stoppedAt?: number | null; stopReason?: "requested" | "max-duration" | "group-deleted" | "shutdown" | "interrupted" | null; tracks: Array<RestRecordingTrack> }} RestRecording */
+/** @typedef {{ recordings: Array<RestRecording> }} RestRecordingList */
+/** @typedef {{ groupId: RestGroupId; members: Array<RestDeviceId>; mode: RestGroupMode; floor?: RestFloor; gains?: Record<string, number> }} RestGroup */
+/** @typedef {{ holder: string | null; since?: number | null; queue: Array<string> } | null} RestFloor Push-to-talk state; while holder is set only the holder's audio reaches the group */
+/** @typedef {{ groups: Array<RestGroup> }} RestGroupList */
+/** @typedef {{ groupId: RestGroupId; members?: Array<RestDeviceId>; mode?: RestGroupMode }} RestCreateGroupRequest */
+/** @typedef {{ deviceId: RestDeviceId }} RestAddGroupMemberRequest */
+/** @typedef {{ mode: RestGroupMode }} RestSetGroupModeRequest */
+/** @typedef {"pass-through" | "paced" | "adaptive"} RestPacingPolicy */
+/** @typedef {string} RestPacingEndpoint Device ID, or * for any device */
+/** @typedef {{ defaultPolicy: RestPacingPolicy; dashboardPolicy: RestPacingPolicy; pacedDepth: number; routes: Record<string, RestPacingPolicy>; queues?: Record<string, RestPacerQueue>; sendErrors?: Record<string, RestSendError> }} RestPacing */
+/** @typedef {{ policy?: RestPacingPolicy; buffered?: number; targetDepth?: number; state?: "buffering" | "playing"; jitter?: number; underruns?: number; latencyDrops?: number; concealed?: number; lastSend?: number; intervals?: RestIntervalHistogram }} RestPacerQueue */
+/** @typedef {{ buckets?: Array<number>; counts?: Array<number>; sum?: number; count?: number }} RestIntervalHistogram Time between consecutive sends of a queue (ms) */
+/** @typedef {{ samples?: number; p50?: number; p99?: number; max?: number }} RestSendError How late paced packets left after their deadline (ms), over the most recent samples */
+/** @typedef {"error" | "warn" | "info" | "debug"} RestLogLevel */
+/** @typedef {{ level: RestLogLevel; levels: Array<RestLogLevel>; modules: Record<string, RestLogLevel>; overrides: Record<string, RestLogLevel> }} RestLogLevels */
+/** @typedef {{ level: RestLogLevel }} RestSetLogLevelRequest */
+/** @typedef {{ id: number; timestamp: number; actor: { type: "dashboard" | "rest" | "audio" | "device" | "server"; id?: string; address?: string; user?: string | null; token?: string }; action: string; changes: Array<{ event: string }>; devices: Array<string>; diff: Array<{ path: Array<string>; before?: any; after?: any }> }} RestAuditEntry */
+/** @typedef {{ entries: Array<RestAuditEntry>; total: number }} RestAuditLog */
+/** @typedef {{ defaultPolicy: RestPacingPolicy }} RestSetDefaultPacingRequest */
+/** @typedef {{ policy: RestPacingPolicy }} RestSetRoutePacingRequest */
+/** @typedef {{ scenarios: Array<RestScenario> }} RestScenarioList */
+/** @typedef {{ scenario: RestScenario; routes: Record<string, any> }} RestScenarioResult */
+/** @typedef {{ routes?: Array<RestRoute>; broadcast?: Array<Array<any>>; muted?: Array<RestDeviceId>; mode?: string; groupModes?: Array<Array<any>>; gains?: Array<Record<string, any>> }} RestRoutingConfiguration */
+/** @typedef {{ devices?: Array<Record<string, any>>; groups?: Array<Record<string, any>>; metadata?: Array<Array<any>> }} RestDeviceConfiguration */
+/** @typedef {"viewer" | "operator" | "admin"} RestRole */
+/** @typedef {{ username: string; password: string }} RestLoginRequest */
+/** @typedef {{ username: string | null; role: "viewer" | "operator" | "admin" | null; permissions: Array<string>; expiresAt: number | null; token?: string; tokenId?: string; scopes?: Array<RestTokenScope> }} RestSession */
+/** @typedef {{ currentPassword: string; password: string }} RestChangePasswordRequest */
+/** @typedef {{ username: string; role: RestRole; createdAt: number; updatedAt: number }} RestUser */
+/** @typedef {{ users: Array<RestUser> }} RestUserList */
+/** @typedef {{ username: string; password: string; role: RestRole }} RestCreateUserRequest */
+/** @typedef {{ role?: RestRole; password?: string }} RestUpdateUserRequest */
+/** @typedef {{ permission: "read" | "stats" | "routes" | "groups" | "devices" | "recordings" | "listen" | "audio" | "pacing" | "registry" | "config" | "logging"; devices?: Array<RestDeviceId>; groups?: Array<RestGroupId> }} RestTokenScope */
+/** @typedef {{ name: string; scopes: Array<RestTokenScope>; expiresInDays?: number }} RestIssueTokenRequest */
+/** @typedef {{ id: string; name: string; token?: string; scopes: Array<RestTokenScope>; createdBy: string | null; createdAt: number; expiresAt: number | null; usage: { requests: number; denied: number; operations: Record<string, number>; lastUsedAt: number | null; lastUsedAddress: string | null } }} RestApiToken */
+/** @typedef {{ tokens: Array<RestApiToken> }} RestApiTokenList */
+/** @typedef {{ routing?: RestRoutingConfiguration; devices?: RestDeviceConfiguration }} RestConfiguration */
+/** @typedef {string} WsDeviceId Device ID as carried in the 4-byte packet header */
+/** @typedef {string | number} WsRequestId Client-chosen ID echoed in the reply, ack or error */
+/** @typedef {string} WsGroupId */
+/** @typedef {"forward" | "mix"} WsGroupMode */
+/** @typedef {{ groupId: WsGroupId; members: Array<WsDeviceId>; mode: WsGroupMode; floor?: WsFloor; gains?: Record<string, number> }} WsGroup */
+/** @typedef {{ holder: string | null; since?: number | null; queue: Array<string> } | null} WsFloor Push-to-talk state; while holder is set only the holder's audio reaches the group */
+/** @typedef {"all-to-all" | "pairs" | "chain" | "hub" | "clear"} WsScenario */
+/** @typedef {{ routes?: Array<{ source: WsDeviceId; targets: Array<WsDeviceId> }>; broadcast?: Array<Array<any>>; muted?: Array<WsDeviceId>; mode?: string; groupModes?: Array<Array<any>>; gains?: Array<Record<string, any>> }} WsRoutingConfiguration */
+/** @typedef {{ type: "get-devices"; requestId?: WsRequestId }} WsGetDevices */
+/** @typedef {{ type: "get-routes"; requestId?: WsRequestId }} WsGetRoutes */
+/** @typedef {{ type: "set-route"; requestId?: WsRequestId; source: WsDeviceId; target: WsDeviceId }} WsSetRoute */
+/** @typedef {{ type: "remove-route"; requestId?: WsRequestId; source: WsDeviceId; target: WsDeviceId }} WsRemoveRoute */
+/** @typedef {{ type: "create-bidirectional"; requestId?: WsRequestId; deviceA: WsDeviceId; deviceB: WsDeviceId }} WsCreateBidirectional */
+/** @typedef {{ type: "enable-broadcast"; requestId?: WsRequestId; deviceId: WsDeviceId }} WsEnableBroadcast */
+/** @typedef {{ type: "disable-broadcast"; requestId?: WsRequestId; deviceId: WsDeviceId }} WsDisableBroadcast */
+/** @typedef {{ type: "mute-device"; requestId?: WsRequestId; deviceId: WsDeviceId }} WsMuteDevice */
+/** @typedef {{ type: "unmute-device"; requestId?: WsRequestId; deviceId: WsDeviceId }} WsUnmuteDevice */
+/** @typedef {{ type: "create-conference"; requestId?: WsRequestId; deviceIds: Array<WsDeviceId>; mode?: WsGroupMode; groupId?: WsGroupId }} WsCreateConference */
+/** @typedef {{ type: "get-groups"; requestId?: WsRequestId }} WsGetGroups */
+/** @typedef {{ type: "create-group"; requestId?: WsRequestId; groupId: WsGroupId; members?: Array<WsDeviceId>; mode?: WsGroupMode }} WsCreateGroup */
+/** @typedef {{ type: "delete-group"; requestId?: WsRequestId; groupId: WsGroupId }} WsDeleteGroup */
+/** @typedef {{ type: "add-to-group"; requestId?: WsRequestId; groupId: WsGroupId; deviceId: WsDeviceId }} WsAddToGroup */
+/** @typedef {{ type: "remove-from-group"; requestId?: WsRequestId; groupId: WsGroupId; deviceId: WsDeviceId }} WsRemoveFromGroup */
+/** @typedef {{ type: "set-group-mode"; requestId?: WsRequestId; groupId: WsGroupId; mode: WsGroupMode }} WsSetGroupMode */
+/** @typedef {{ type: "set-participant-gain"; requestId?: WsRequestId; groupId: WsGroupId; deviceId: WsDeviceId; gain: number }} WsSetParticipantGain */
+/** @typedef {{ type: "set-device-name"; requestId?: WsRequestId; deviceId: WsDeviceId; name: string }} WsSetDeviceName */
+/** @typedef {{ type: "apply-scenario"; requestId?: WsRequestId; scenario: WsScenario }} WsApplyScenario */
+/** @typedef {"pass-through" | "paced" | "adaptive"} WsPacingPolicy */
+/** @typedef {{ type: "get-pacing"; requestId?: WsRequestId }} WsGetPacing */
+/** @typedef {{ type: "set-pacing-policy"; requestId?: WsRequestId; source?: string; target?: string; policy: "pass-through" | "paced" | "adaptive" | "default" }} WsSetPacingPolicy With source and target, overrides one route ('*' matches any device); without both, sets the default policy. policy 'default' removes an override. */
+/** @typedef {{ type: "pacing"; requestId?: WsRequestId; pacing: { defaultPolicy?: WsPacingPolicy; dashboardPolicy?: WsPacingPolicy; pacedDepth?: number; routes?: Record<string, WsPacingPolicy>; queues?: Record<string, any>; sendErrors?: Record<string, any> } }} WsPacing */
+/** @typedef {"error" | "warn" | "info" | "debug"} WsLogLevel */
+/** @typedef {{ type: "get-log-levels"; requestId?: WsRequestId }} WsGetLogLevels */
+/** @typedef {{ type: "set-log-level"; requestId?: WsRequestId; module?: string; level: "error" | "warn" | "info" | "debug" | "default" }} WsSetLogLevel With module, sets the level of that module; without, sets the default level. level 'default' removes a module's own level. */
+/** @typedef {{ type: "log-levels"; requestId?: WsRequestId; logging: { level?: WsLogLevel; levels?: Array<WsLogLevel>; modules?: Record<string, WsLogLevel>; overrides?: Record<string, WsLogLevel> } }} WsLogLevels */
+/** @typedef {{ type: "get-audit-log"; requestId?: WsRequestId; filters?: { actorType?: "dashboard" | "rest" | "audio" | "device" | "server"; actor?: string; action?: string; device?: WsDeviceId; since?: number; until?: number; limit?: number } }} WsGetAuditLog */
+/** @typedef {{ id: number; timestamp: number; actor: { type: "dashboard" | "rest" | "audio" | "device" | "server"; id?: string; address?: string; user?: string | null; token?: string }; action: string; changes: Array<{ event: string }>; devices: Array<WsDeviceId>; diff?: Array<{ path: Array<string>; before?: any; after?: any }> }} WsAuditEntry */
+/** @typedef {{ type: "audit-log"; requestId?: WsRequestId; entries: Array<WsAuditEntry>; total: number }} WsAuditLog */
+/** @typedef {{ type: "audit-entry"; entry: WsAuditEntry }} WsAuditEntryMessage */
+/** @typedef {"set-volume" | "set-mic-gain" | "mute" | "unmute" | "set-bitrate" | "reboot" | "push-config"} WsDeviceCommandName */
+/** @typedef {{ commandId: number; deviceId: WsDeviceId; command: WsDeviceCommandName; params: Record<string, any>; status: "pending" | "acknowledged" | "rejected" | "timeout" | "sent"; attempts?: number; sentAt?: number; answeredAt?: number | null; error?: string | null; message?: string | null }} WsDeviceCommand */
+/** @typedef {{ type: "send-device-command"; requestId?: WsRequestId; deviceId: WsDeviceId; command: WsDeviceCommandName; params?: Record<string, any> }} WsSendDeviceCommand params as for POST /api/devices/{id}/commands */
+/** @typedef {{ type: "get-device-commands"; requestId?: WsRequestId; deviceId: WsDeviceId }} WsGetDeviceCommands */
+/** @typedef {{ type: "device-command"; requestId?: WsRequestId; deviceCommand: WsDeviceCommand }} WsDeviceCommandReply */
+/** @typedef {{ type: "device-commands"; requestId?: WsRequestId; deviceId: WsDeviceId; settings: Record<string, any>; commands: Array<WsDeviceCommand> }} WsDeviceCommands */
+/** @typedef {{ type: "device-command-updated"; deviceCommand: WsDeviceCommand }} WsDeviceCommandUpdated */
+/** @typedef {"auto-enroll" | "allowlist"} WsEnrollmentPolicy */
+/** @typedef {"approved" | "blocked"} WsRegistryStatus */
+/** @typedef {string | null} WsSecret HMAC key (16-64 bytes, hex); never returned, null removes it */
+/** @typedef {Array<WsGroupId> | null} WsAllowedGroups Groups the device may join; null for any */
+/** @typedef {{ id: WsDeviceId; name?: string | null; location?: string | null; owner?: string | null; status: WsRegistryStatus; allowedGroups: WsAllowedGroups; source: "file" | "api" | "auto-enroll" | "approval"; hasSecret: boolean; createdAt?: number; online: boolean; lastSeen?: number | null }} WsRegistryDevice */
+/** @typedef {{ deviceId: WsDeviceId; address: string; port: number; protocolVersion?: number; authenticated?: boolean; firstSeen: number; lastSeen: number; packets: number }} WsPendingDevice */
+/** @typedef {{ type: "get-registry"; requestId?: WsRequestId }} WsGetRegistry */
+/** @typedef {{ type: "set-enrollment-policy"; requestId?: WsRequestId; policy: WsEnrollmentPolicy }} WsSetEnrollmentPolicy */
+/** @typedef {{ type: "provision-device"; requestId?: WsRequestId; deviceId: WsDeviceId; name?: string; location?: string; owner?: string; secret?: WsSecret; allowedGroups?: WsAllowedGroups; status?: WsRegistryStatus }} WsProvisionDevice */
+/** @typedef {{ type: "update-registry-device"; requestId?: WsRequestId; deviceId: WsDeviceId; name?: string; location?: string; owner?: string; secret?: WsSecret; allowedGroups?: WsAllowedGroups; status?: WsRegistryStatus }} WsUpdateRegistryDevice */
+/** @typedef {{ type: "remove-registry-device"; requestId?: WsRequestId; deviceId: WsDeviceId }} WsRemoveRegistryDevice */
+/** @typedef {{ type: "approve-device"; requestId?: WsRequestId; deviceId: WsDeviceId; name?: string; location?: string; owner?: string; secret?: WsSecret; allowedGroups?: WsAllowedGroups }} WsApproveDevice */
+/** @typedef {{ type: "reject-device"; requestId?: WsRequestId; deviceId: WsDeviceId }} WsRejectDevice */
+/** @typedef {{ type: "registry"; requestId?: WsRequestId; registry: { policy: WsEnrollmentPolicy; maxDevices: number; online: number; devices: Array<WsRegistryDevice>; pending: Array<WsPendingDevice> } }} WsRegistry */
+/** @typedef {{ type: "device-pending"; device: WsPendingDevice }} WsDevicePending */
+/** @typedef {string} WsRecordingId */
+/** @typedef {any} WsRecordingTarget */
+/** @typedef {{ id: WsRecordingId; target: WsRecordingTarget; label?: string | null; status: "recording" | "stopped"; startedAt: number; stoppedAt?: number | null; stopReason?: string | null; tracks: Array<{ deviceId: WsDeviceId; file: string; url: string; packets?: number; lostPackets?: number; filledPackets?: number; latePackets?: number; durationMs?: number; bytes?: number }> }} WsRecording */
+/** @typedef {{ type: "get-recordings"; requestId?: WsRequestId }} WsGetRecordings */
+/** @typedef {{ type: "start-recording"; requestId?: WsRequestId; target: WsRecordingTarget; label?: string }} WsStartRecording */
+/** @typedef {{ type: "stop-recording"; requestId?: WsRequestId; recordingId: WsRecordingId }} WsStopRecording */
+/** @typedef {{ type: "delete-recording"; requestId?: WsRequestId; recordingId: WsRecordingId }} WsDeleteRecording */
+/** @typedef {{ type: "recording"; requestId?: WsRequestId; recording: WsRecording }} WsRecordingReply */
+/** @typedef {{ type: "recordings"; requestId?: WsRequestId; recordings: Array<WsRecording> }} WsRecordings */
+/** @typedef {{ type: "get-stats"; requestId?: WsRequestId }} WsGetStats */
+/** @typedef {{ type: "export-config"; requestId?: WsRequestId }} WsExportConfig */
+/** @typedef {{ type: "import-config"; requestId?: WsRequestId; config: WsRoutingConfiguration }} WsImportConfig */
+/** @typedef {{ type: "ping"; requestId?: WsRequestId }} WsPing */
+/** @typedef {{ type: "initial-state"; devices: Array<Record<string, any>>; routes: Record<string, any>; groups?: Array<WsGroup>; stats: Record<string, any>; config?: Record<string, any> }} WsInitialState */
+/** @typedef {{ type: "devices"; requestId?: WsRequestId; devices: Array<Record<string, any>> }} WsDevices */
+/** @typedef {{ type: "routes"; requestId?: WsRequestId; routes: Record<string, any> }} WsRoutes */
+/** @typedef {{ type: "groups"; requestId?: WsRequestId; groups: Array<WsGroup> }} WsGroups */
+/** @typedef {{ type: "group-changed"; action: "created" | "updated" | "mode-changed" | "deleted"; groupId: WsGroupId; group?: WsGroup }} WsGroupChanged */
+/** @typedef {{ type: "floor-changed"; action: "granted" | "queued" | "denied" | "released"; groupId: WsGroupId; deviceId: WsDeviceId; reason?: string; floor: WsFloor }} WsFloorChanged */
+/** @typedef {{ type: "stats"; requestId?: WsRequestId; stats: Record<string, any> }} WsStats */
+/** @typedef {{ type: "configuration"; requestId?: WsRequestId; config: { routing?: WsRoutingConfiguration; devices?: Array<Record<string, any>> } }} WsConfiguration */
+/** @typedef {{ type: "pong"; requestId?: WsRequestId }} WsPong */
+/** @typedef {{ type: "ack"; requestId: WsRequestId; command: string }} WsAck */
+/** @typedef {{ type: "error"; requestId?: WsRequestId; code: "INVALID_JSON" | "UNKNOWN_MESSAGE_TYPE" | "VALIDATION_FAILED" | "COMMAND_FAILED" | "UNAUTHORIZED" | "FORBIDDEN" | "INTERNAL_ERROR"; message: string; errors?: Array<{ path: string; message: string }> }} WsError */
+/** @typedef {{ type: string; [key: string]: any }} WsEvent */
+/** @typedef {{ type: "audio_packet"; requestId?: WsRequestId; from?: WsDeviceId; to: WsDeviceId; sequence?: number; opus: string; timestamp?: number }} WsAudioPacket */
+/** @typedef {{ type: "start_listening"; requestId?: WsRequestId; deviceId: WsDeviceId }} WsStartListening */
+/** @typedef {{ type: "stop_listening"; requestId?: WsRequestId; deviceId: WsDeviceId }} WsStopListening */
+/** @typedef {{ type: "request_stats"; requestId?: WsRequestId }} WsRequestStats */
+/** @typedef {{ type: "set_route"; requestId?: WsRequestId; from: WsDeviceId; to: WsDeviceId }} WsSetAudioRoute */
+/** @typedef {{ type: "connected"; deviceId: WsDeviceId; timestamp?: number }} WsConnected */
+/** @typedef {{ type: "audio_received"; from: WsDeviceId; sequence?: number; opus: string; timestamp?: number }} WsAudioReceived */
+/** @typedef {{ type: "audio_stats"; requestId?: WsRequestId; stats: Record<string, any>; listeningTo?: Array<WsDeviceId>; timestamp?: number }} WsAudioStats */
+
+// Runtime shared by the generated clients (copied verbatim into client/api-client.js)
+
+class ApiClientError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ApiClientError';
+        this.status = details.status;
+        this.code = details.code;
+        this.errors = details.errors || [];
+        this.body = details.body;
+    }
+}
+
+class HttpClient {
+    /**
+     * @param {string} [baseUrl] - Dashboard server URL
+     * @param {Object} [options] - { fetch, headers }
+     */
+    constructor(baseUrl = 'http://localhost:8080', options = {}) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.fetch = options.fetch || globalThis.fetch;
+        this.headers = options.headers || {};
+
+        if (!this.fetch) {
+            throw new Error('No fetch implementation available (Node 18+ or options.fetch required)');
+        }
+    }
+
+    async request(method, route, body) {
+        const response = await this.fetch(`${this.baseUrl}${route}`, {
+            method,
+            headers: body !== undefined
+                ? { 'Content-Type': 'application/json', ...this.headers }
+                : this.headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+
+        const text = await response.text();
+        const data = text ? JSON.parse(text) : null;
+
+        if (!response.ok) {
+            throw new ApiClientError((data && data.error) || `HTTP ${response.status}`, {
+                status: response.status,
+                errors: data && data.errors,
+                body: data
+            });
+        }
+        return data;
+    }
+
+    // "?key=value&..." from the defined entries of query, '' if there are none
+    queryString(query = {}) {
+        const search = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) search.append(key, String(value));
+        });
+        const text = search.toString();
+        return text ? `?${text}` : '';
+    }
+}
+
+class SocketClient extends EventEmitter {
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        this.WebSocket = options.WebSocket || globalThis.WebSocket || require('ws');
+        this.timeout = options.timeout || 5000;
+        this.headers = options.headers; // Upgrade request headers (ws in Node only), e.g. Authorization
+        this.ws = null;
+        this.nextRequestId = 1;
+        this.pending = new Map(); // requestId -> { resolve, reject, timer }
+    }
+
+    /**
+     * Open the connection; every server message is emitted as 'message' and
+     * under its type (error replies as 'server-error')
+     * @returns {Promise<void>} Resolves once connected
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            this.ws = this.headers
+                ? new this.WebSocket(this.url, { headers: this.headers })
+                : new this.WebSocket(this.url);
+
+            this.ws.onopen = () => resolve();
+            this.ws.onerror = (event) => {
+                const error = event && event.error ? event.error : new Error(`WebSocket error on ${this.url}`);
+                if (this.listenerCount('error') > 0) this.emit('error', error);
+                reject(error);
+            };
+            this.ws.onclose = () => {
+                this.pending.forEach(({ reject: rejectRequest, timer }) => {
+                    clearTimeout(timer);
+                    rejectRequest(new ApiClientError('Connection closed'));
+                });
+                this.pending.clear();
+                this.emit('close');
+            };
+            this.ws.onmessage = (event) => this.handleMessage(event.data);
+        });
+    }
+
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            return;
+        }
+
+        const pending = message.requestId !== undefined ? this.pending.get(message.requestId) : null;
+        if (pending) {
+            clearTimeout(pending.timer);
+            this.pending.delete(message.requestId);
+
+            if (message.type === 'error') {
+                pending.reject(new ApiClientError(message.message, {
+                    code: message.code,
+                    errors: message.errors,
+                    body: message
+                }));
+            } else {
+                pending.resolve(message);
+            }
+        }
+
+        // 'error' is reserved by EventEmitter for connection errors
+        this.emit('message', message);
+        this.emit(message.type === 'error' ? 'server-error' : message.type, message);
+    }
+
+    /**
+     * Send a message and wait for its reply, ack or error
+     * @param {string} type - Message type
+     * @param {Object} [fields] - Message fields
+     * @returns {Promise<Object>} Reply message
+     */
+    request(type, fields = {}) {
+        const requestId = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(requestId);
+                reject(new ApiClientError(`Timed out waiting for reply to ${type}`));
+            }, this.timeout);
+
+            this.pending.set(requestId, { resolve, reject, timer });
+            this.ws.send(JSON.stringify({ ...fields, type, requestId }));
+        });
+    }
+
+    close() {
+        if (this.ws) this.ws.close();
+    }
+}
+
+class RestClient extends HttpClient {
+    /**
+     * Server packet counters (GET /api/stats)
+     * @returns {Promise<RestServerStats>}
+     */
+    getStats() {
+        return this.request('GET', `/api/stats`);
+    }
+
+    /**
+     * Online devices (GET /api/devices)
+     * @returns {Promise<Array<Record<string, any>>>}
+     */
+    listDevices() {
+        return this.request('GET', `/api/devices`);
+    }
+
+    /**
+     * Enable or disable one route (dashboard matrix) (POST /api/route)
+     * @param {RestToggleRouteRequest} body
+     * @returns {Promise<RestSuccess>}
+     */
+    toggleRoute(body) {
+        return this.request('POST', `/api/route`, body);
+    }
+
+    /**
+     * Clear every direct route (dashboard matrix) (POST /api/route/clear)
+     * @returns {Promise<RestSuccess>}
+     */
+    clearRoutesLegacy() {
+        return this.request('POST', `/api/route/clear`);
+    }
+
+    /**
+     * All direct routes (GET /api/routes)
+     * @returns {Promise<RestRouteList>}
+     */
+    listRoutes() {
+        return this.request('GET', `/api/routes`);
+    }
+
+    /**
+     * Add routes from a source to one or more targets (POST /api/routes)
+     * @param {RestCreateRoutesRequest} body
+     * @returns {Promise<RestSourceRoutes>}
+     */
+    createRoutes(body) {
+        return this.request('POST', `/api/routes`, body);
+    }
+
+    /**
+     * Clear every direct route (DELETE /api/routes)
+     * @returns {Promise<null>}
+     */
+    clearAllRoutes() {
+        return this.request('DELETE', `/api/routes`);
+    }
+
+    /**
+     * Direct and effective routes of a source (GET /api/routes/{source})
+     * @param {RestDeviceId} source
+     * @returns {Promise<RestSourceRoutes>}
+     */
+    getSourceRoutes(source) {
+        return this.request('GET', `/api/routes/${encodeURIComponent(source)}`);
+    }
+
+    /**
+     * Replace the targets of a source (PUT /api/routes/{source})
+     * @param {RestDeviceId} source
+     * @param {RestReplaceRoutesRequest} body
+     * @returns {Promise<RestSourceRoutes>}
+     */
+    replaceSourceRoutes(source, body) {
+        return this.request('PUT', `/api/routes/${encodeURIComponent(source)}`, body);
+    }
+
+    /**
+     * Clear the direct routes of a source (DELETE /api/routes/{source})
+     * @param {RestDeviceId} source
+     * @returns {Promise<null>}
+     */
+    clearSourceRoutes(source) {
+        return this.request('DELETE', `/api/routes/${encodeURIComponent(source)}`);
+    }
+
+    /**
+     * Remove one route (DELETE /api/routes/{source}/{target})
+     * @param {RestDeviceId} source
+     * @param {RestDeviceId} target
+     * @returns {Promise<null>}
+     */
+    removeRoute(source, target) {
+        return this.request('DELETE', `/api/routes/${encodeURIComponent(source)}/${encodeURIComponent(target)}`);
+    }
+
+    /**
+     * Device details and statistics (GET /api/devices/{id})
+     * @param {RestDeviceId} id
+     * @returns {Promise<RestDeviceDetails>}
+     */
+    getDevice(id) {
+        return this.request('GET', `/api/devices/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Update a device's name and metadata (PATCH /api/devices/{id})
+     * @param {RestDeviceId} id
+     * @param {RestUpdateDeviceRequest} body
+     * @returns {Promise<RestDeviceMetadata>}
+     */
+    updateDevice(id, body) {
+        return this.request('PATCH', `/api/devices/${encodeURIComponent(id)}`, body);
+    }
+
+    /**
+     * Mute state (GET /api/devices/{id}/mute)
+     * @param {RestDeviceId} id
+     * @returns {Promise<RestMuteState>}
+     */
+    getMute(id) {
+        return this.request('GET', `/api/devices/${encodeURIComponent(id)}/mute`);
+    }
+
+    /**
+     * Mute a device (PUT /api/devices/{id}/mute)
+     * @param {RestDeviceId} id
+     * @returns {Promise<RestMuteState>}
+     */
+    muteDevice(id) {
+        return this.request('PUT', `/api/devices/${encodeURIComponent(id)}/mute`);
+    }
+
+    /**
+     * Unmute a device (DELETE /api/devices/{id}/mute)
+     * @param {RestDeviceId} id
+     * @returns {Promise<RestMuteState>}
+     */
+    unmuteDevice(id) {
+        return this.request('DELETE', `/api/devices/${encodeURIComponent(id)}/mute`);
+    }
+
+    /**
+     * Broadcast state (GET /api/devices/{id}/broadcast)
+     * @param {RestDeviceId} id
+     * @returns {Promise<RestBroadcastState>}
+     */
+    getBroadcast(id) {
+        return this.request('GET', `/api/devices/${encodeURIComponent(id)}/broadcast`);
+    }
+
+    /**
+     * Send a device's audio to every online device (PUT /api/devices/{id}/broadcast)
+     * @param {RestDeviceId} id
+     * @returns {Promise<RestBroadcastState>}
+     */
+    enableBroadcast(id) {
+        return this.request('PUT', `/api/devices/${encodeURIComponent(id)}/broadcast`);
+    }
+
+    /**
+     * Stop broadcasting a device's audio (DELETE /api/devices/{id}/broadcast)
+     * @param {RestDeviceId} id
+     * @returns {Promise<RestBroadcastState>}
+     */
+    disableBroadcast(id) {
+        return this.request('DELETE', `/api/devices/${encodeURIComponent(id)}/broadcast`);
+    }
+
+    /**
+     * Recent commands sent to a device and the settings it acknowledged (GET /api/devices/{id}/commands)
+     * @param {RestDeviceId} id
+     * @returns {Promise<RestDeviceCommandList>}
+     */
+    listDeviceCommands(id) {
+        return this.request('GET', `/api/devices/${encodeURIComponent(id)}/commands`);
+    }
+
+    /**
+     * Send a command to a device; poll the command or watch device-command-updated for its acknowledgement (POST /api/devices/{id}/commands)
+     * @param {RestDeviceId} id
+     * @param {RestDeviceCommandRequest} body
+     * @returns {Promise<RestDeviceCommand>}
+     */
+    sendDeviceCommand(id, body) {
+        return this.request('POST', `/api/devices/${encodeURIComponent(id)}/commands`, body);
+    }
+
+    /**
+     * One command and its acknowledgement (GET /api/devices/{id}/commands/{commandId})
+     * @param {RestDeviceId} id
+     * @param {number} commandId
+     * @returns {Promise<RestDeviceCommand>}
+     */
+    getDeviceCommand(id, commandId) {
+        return this.request('GET', `/api/devices/${encodeURIComponent(id)}/commands/${encodeURIComponent(commandId)}`);
+    }
+
+    /**
+     * Enrollment policy, registered devices and devices waiting for approval (GET /api/registry)
+     * @returns {Promise<RestRegistry>}
+     */
+    getRegistry() {
+        return this.request('GET', `/api/registry`);
+    }
+
+    /**
+     * Choose what happens to unknown devices (PUT /api/registry/policy)
+     * @param {RestSetEnrollmentPolicyRequest} body
+     * @returns {Promise<RestRegistry>}
+     */
+    setEnrollmentPolicy(body) {
+        return this.request('PUT', `/api/registry/policy`, body);
+    }
+
+    /**
+     * Register a device before it connects (POST /api/registry/devices)
+     * @param {RestProvisionDeviceRequest} body
+     * @returns {Promise<RestRegistryDevice>}
+     */
+    provisionDevice(body) {
+        return this.request('POST', `/api/registry/devices`, body);
+    }
+
+    /**
+     * One registered device (GET /api/registry/devices/{id})
+     * @param {RestDeviceId} id
+     * @returns {Promise<RestRegistryDevice>}
+     */
+    getRegistryDevice(id) {
+        return this.request('GET', `/api/registry/devices/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Change a registered device; blocking it disconnects it (PATCH /api/registry/devices/{id})
+     * @param {RestDeviceId} id
+     * @param {RestUpdateRegistryDeviceRequest} body
+     * @returns {Promise<RestRegistryDevice>}
+     */
+    updateRegistryDevice(id, body) {
+        return this.request('PATCH', `/api/registry/devices/${encodeURIComponent(id)}`, body);
+    }
+
+    /**
+     * Remove a device from the registry; it is treated as unknown from its next packet (DELETE /api/registry/devices/{id})
+     * @param {RestDeviceId} id
+     * @returns {Promise<null>}
+     */
+    removeRegistryDevice(id) {
+        return this.request('DELETE', `/api/registry/devices/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Register a device that is waiting for approval (POST /api/registry/pending/{id}/approve)
+     * @param {RestDeviceId} id
+     * @param {RestRegistryDeviceFields} [body]
+     * @returns {Promise<RestRegistryDevice>}
+     */
+    approveDevice(id, body) {
+        return this.request('POST', `/api/registry/pending/${encodeURIComponent(id)}/approve`, body);
+    }
+
+    /**
+     * Block a device that is waiting for approval (POST /api/registry/pending/{id}/reject)
+     * @param {RestDeviceId} id
+     * @returns {Promise<RestRegistryDevice>}
+     */
+    rejectDevice(id) {
+        return this.request('POST', `/api/registry/pending/${encodeURIComponent(id)}/reject`);
+    }
+
+    /**
+     * Recordings and their tracks, newest first (GET /api/recordings)
+     * @returns {Promise<RestRecordingList>}
+     */
+    listRecordings() {
+        return this.request('GET', `/api/recordings`);
+    }
+
+    /**
+     * Start recording a device, a route or a group to Ogg Opus files (POST /api/recordings)
+     * @param {RestStartRecordingRequest} body
+     * @returns {Promise<RestRecording>}
+     */
+    startRecording(body) {
+        return this.request('POST', `/api/recordings`, body);
+    }
+
+    /**
+     * One recording (GET /api/recordings/{id})
+     * @param {RestRecordingId} id
+     * @returns {Promise<RestRecording>}
+     */
+    getRecording(id) {
+        return this.request('GET', `/api/recordings/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Delete a stopped recording and its files (DELETE /api/recordings/{id})
+     * @param {RestRecordingId} id
+     * @returns {Promise<null>}
+     */
+    deleteRecording(id) {
+        return this.request('DELETE', `/api/recordings/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Stop a recording and close its files (POST /api/recordings/{id}/stop)
+     * @param {RestRecordingId} id
+     * @returns {Promise<RestRecording>}
+     */
+    stopRecording(id) {
+        return this.request('POST', `/api/recordings/${encodeURIComponent(id)}/stop`);
+    }
+
+    /**
+     * All groups (GET /api/groups)
+     * @returns {Promise<RestGroupList>}
+     */
+    listGroups() {
+        return this.request('GET', `/api/groups`);
+    }
+
+    /**
+     * Create a group (POST /api/groups)
+     * @param {RestCreateGroupRequest} body
+     * @returns {Promise<RestGroup>}
+     */
+    createGroup(body) {
+        return this.request('POST', `/api/groups`, body);
+    }
+
+    /**
+     * Group details (GET /api/groups/{id})
+     * @param {RestGroupId} id
+     * @returns {Promise<RestGroup>}
+     */
+    getGroup(id) {
+        return this.request('GET', `/api/groups/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Delete a group (DELETE /api/groups/{id})
+     * @param {RestGroupId} id
+     * @returns {Promise<null>}
+     */
+    deleteGroup(id) {
+        return this.request('DELETE', `/api/groups/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Add a device to a group (POST /api/groups/{id}/members)
+     * @param {RestGroupId} id
+     * @param {RestAddGroupMemberRequest} body
+     * @returns {Promise<RestGroup>}
+     */
+    addGroupMember(id, body) {
+        return this.request('POST', `/api/groups/${encodeURIComponent(id)}/members`, body);
+    }
+
+    /**
+     * Remove a device from a group (the group is deleted with its last member) (DELETE /api/groups/{id}/members/{deviceId})
+     * @param {RestGroupId} id
+     * @param {RestDeviceId} deviceId
+     * @returns {Promise<RestGroup>}
+     */
+    removeGroupMember(id, deviceId) {
+        return this.request('DELETE', `/api/groups/${encodeURIComponent(id)}/members/${encodeURIComponent(deviceId)}`);
+    }
+
+    /**
+     * Select packet forwarding or server-side mixing (PUT /api/groups/{id}/mode)
+     * @param {RestGroupId} id
+     * @param {RestSetGroupModeRequest} body
+     * @returns {Promise<RestGroup>}
+     */
+    setGroupMode(id, body) {
+        return this.request('PUT', `/api/groups/${encodeURIComponent(id)}/mode`, body);
+    }
+
+    /**
+     * Available routing scenarios (GET /api/scenarios)
+     * @returns {Promise<RestScenarioList>}
+     */
+    listScenarios() {
+        return this.request('GET', `/api/scenarios`);
+    }
+
+    /**
+     * Apply a routing scenario (POST /api/scenarios/{name})
+     * @param {RestScenario} name
+     * @returns {Promise<RestScenarioResult>}
+     */
+    applyScenario(name) {
+        return this.request('POST', `/api/scenarios/${encodeURIComponent(name)}`);
+    }
+
+    /**
+     * Pacing policies and jitter buffer state (GET /api/pacing)
+     * @returns {Promise<RestPacing>}
+     */
+    getPacing() {
+        return this.request('GET', `/api/pacing`);
+    }
+
+    /**
+     * Set the policy of routes without an override (PUT /api/pacing)
+     * @param {RestSetDefaultPacingRequest} body
+     * @returns {Promise<RestPacing>}
+     */
+    setDefaultPacing(body) {
+        return this.request('PUT', `/api/pacing`, body);
+    }
+
+    /**
+     * Override the pacing policy of a route (PUT /api/pacing/{source}/{target})
+     * @param {RestPacingEndpoint} source
+     * @param {RestPacingEndpoint} target
+     * @param {RestSetRoutePacingRequest} body
+     * @returns {Promise<RestPacing>}
+     */
+    setRoutePacing(source, target, body) {
+        return this.request('PUT', `/api/pacing/${encodeURIComponent(source)}/${encodeURIComponent(target)}`, body);
+    }
+
+    /**
+     * Remove a pacing override (DELETE /api/pacing/{source}/{target})
+     * @param {RestPacingEndpoint} source
+     * @param {RestPacingEndpoint} target
+     * @returns {Promise<null>}
+     */
+    clearRoutePacing(source, target) {
+        return this.request('DELETE', `/api/pacing/${encodeURIComponent(source)}/${encodeURIComponent(target)}`);
+    }
+
+    /**
+     * Default and per-module log levels (GET /api/logging)
+     * @returns {Promise<RestLogLevels>}
+     */
+    getLogging() {
+        return this.request('GET', `/api/logging`);
+    }
+
+    /**
+     * Set the level of modules without their own (PUT /api/logging)
+     * @param {RestSetLogLevelRequest} body
+     * @returns {Promise<RestLogLevels>}
+     */
+    setDefaultLogLevel(body) {
+        return this.request('PUT', `/api/logging`, body);
+    }
+
+    /**
+     * Set the log level of a module (PUT /api/logging/{module})
+     * @param {string} module
+     * @param {RestSetLogLevelRequest} body
+     * @returns {Promise<RestLogLevels>}
+     */
+    setModuleLogLevel(module, body) {
+        return this.request('PUT', `/api/logging/${encodeURIComponent(module)}`, body);
+    }
+
+    /**
+     * Remove the level of a module, which then uses the default (DELETE /api/logging/{module})
+     * @param {string} module
+     * @returns {Promise<null>}
+     */
+    clearModuleLogLevel(module) {
+        return this.request('DELETE', `/api/logging/${encodeURIComponent(module)}`);
+    }
+
+    /**
+     * Recent audit log entries matching the filters, newest first (GET /api/audit)
+     * @param {{ actorType?: "dashboard" | "rest" | "audio" | "device" | "server"; actor?: string; action?: string; device?: string; since?: number | string; until?: number | string; limit?: number }} [query]
+     * @returns {Promise<RestAuditLog>}
+     */
+    getAuditLog(query = {}) {
+        return this.request('GET', `/api/audit${this.queryString(query)}`);
+    }
+
+    /**
+     * Log in; sets the session cookie (POST /api/auth/login)
+     * @param {RestLoginRequest} body
+     * @returns {Promise<RestSession>}
+     */
+    login(body) {
+        return this.request('POST', `/api/auth/login`, body);
+    }
+
+    /**
+     * End the session and clear the cookie (POST /api/auth/logout)
+     * @returns {Promise<null>}
+     */
+    logout() {
+        return this.request('POST', `/api/auth/logout`);
+    }
+
+    /**
+     * The logged-in user, role and permissions (GET /api/auth/session)
+     * @returns {Promise<RestSession>}
+     */
+    getSession() {
+        return this.request('GET', `/api/auth/session`);
+    }
+
+    /**
+     * Change the password of the logged-in user; ends their other sessions (PUT /api/auth/password)
+     * @param {RestChangePasswordRequest} body
+     * @returns {Promise<null>}
+     */
+    changePassword(body) {
+        return this.request('PUT', `/api/auth/password`, body);
+    }
+
+    /**
+     * Dashboard users (GET /api/users)
+     * @returns {Promise<RestUserList>}
+     */
+    listUsers() {
+        return this.request('GET', `/api/users`);
+    }
+
+    /**
+     * Create a dashboard user (POST /api/users)
+     * @param {RestCreateUserRequest} body
+     * @returns {Promise<RestUser>}
+     */
+    createUser(body) {
+        return this.request('POST', `/api/users`, body);
+    }
+
+    /**
+     * Change the role and/or password of a user; a new password ends their sessions (PATCH /api/users/{username})
+     * @param {string} username
+     * @param {RestUpdateUserRequest} body
+     * @returns {Promise<RestUser>}
+     */
+    updateUser(username, body) {
+        return this.request('PATCH', `/api/users/${encodeURIComponent(username)}`, body);
+    }
+
+    /**
+     * Remove a user and end their sessions (DELETE /api/users/{username})
+     * @param {string} username
+     * @returns {Promise<null>}
+     */
+    deleteUser(username) {
+        return this.request('DELETE', `/api/users/${encodeURIComponent(username)}`);
+    }
+
+    /**
+     * API tokens with their scopes and usage (GET /api/tokens)
+     * @returns {Promise<RestApiTokenList>}
+     */
+    listTokens() {
+        return this.request('GET', `/api/tokens`);
+    }
+
+    /**
+     * Issue an API token; the token itself is only in this response (POST /api/tokens)
+     * @param {RestIssueTokenRequest} body
+     * @returns {Promise<RestApiToken>}
+     */
+    issueToken(body) {
+        return this.request('POST', `/api/tokens`, body);
+    }
+
+    /**
+     * One API token with its usage (GET /api/tokens/{id})
+     * @param {string} id
+     * @returns {Promise<RestApiToken>}
+     */
+    getApiToken(id) {
+        return this.request('GET', `/api/tokens/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Revoke an API token; connections using it are closed on their next message (DELETE /api/tokens/{id})
+     * @param {string} id
+     * @returns {Promise<null>}
+     */
+    revokeToken(id) {
+        return this.request('DELETE', `/api/tokens/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Routing and device registry (GET /api/config)
+     * @returns {Promise<RestConfiguration>}
+     */
+    exportConfiguration() {
+        return this.request('GET', `/api/config`);
+    }
+
+    /**
+     * Import routing and/or device registry (PUT /api/config)
+     * @param {RestConfiguration} body
+     * @returns {Promise<RestConfiguration>}
+     */
+    importConfiguration(body) {
+        return this.request('PUT', `/api/config`, body);
+    }
+}
+
+class ControlClient extends SocketClient {
+    /**
+     * @param {string} [url] - Server URL (default ws://localhost:8080/ws/control)
+     * @param {Object} [options] - { WebSocket, timeout, headers }
+     */
+    constructor(url = 'ws://localhost:8080/ws/control', options = {}) {
+        super(url, options);
+    }
+
+    /**
+     * Request the device list (reply: devices)
+     * @param {Omit<WsGetDevices, 'type' | 'requestId'>} [fields]
+     * @returns {Promise<WsDevices>}
+     */
+    getDevices(fields = {}) {
+        return this.request('get-devices', fields);
+    }
+
+    /**
+     * Request the routing matrix (reply: routes)
+     * @param {Omit<WsGetRoutes, 'type' | 'requestId'>} [fields]
+     * @returns {Promise<WsRoutes>}
+     */
+    getRoutes(fields = {}) {
+        return this.request('get-routes', fields);
+    }
+
+    /**
+     * Add a route from source to target
+     * @param {Omit<WsSetRoute, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    setRoute(fields = {}) {
+        return this.request('set-route', fields);
+    }
+
+    /**
+     * Remove a route
+     * @param {Omit<WsRemoveRoute, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    removeRoute(fields = {}) {
+        return this.request('remove-route', fields);
+    }
+
+    /**
+     * Route two devices to each other
+     * @param {Omit<WsCreateBidirectional, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    createBidirectional(fields = {}) {
+        return this.request('create-bidirectional', fields);
+    }
+
+    /**
+     * Send a device's audio to every online device
+     * @param {Omit<WsEnableBroadcast, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    enableBroadcast(fields = {}) {
+        return this.request('enable-broadcast', fields);
+    }
+
+    /**
+     * Stop broadcasting a device's audio
+     * @param {Omit<WsDisableBroadcast, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    disableBroadcast(fields = {}) {
+        return this.request('disable-broadcast', fields);
+    }
+
+    /**
+     * Stop routing audio to and from a device
+     * @param {Omit<WsMuteDevice, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    muteDevice(fields = {}) {
+        return this.request('mute-device', fields);
+    }
+
+    /**
+     * Resume routing for a device
+     * @param {Omit<WsUnmuteDevice, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    unmuteDevice(fields = {}) {
+        return this.request('unmute-device', fields);
+    }
+
+    /**
+     * Let a set of devices hear each other
+     * @param {Omit<WsCreateConference, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    createConference(fields = {}) {
+        return this.request('create-conference', fields);
+    }
+
+    /**
+     * Request every group (reply: groups)
+     * @param {Omit<WsGetGroups, 'type' | 'requestId'>} [fields]
+     * @returns {Promise<WsGroups>}
+     */
+    getGroups(fields = {}) {
+        return this.request('get-groups', fields);
+    }
+
+    /**
+     * Create a group
+     * @param {Omit<WsCreateGroup, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    createGroup(fields = {}) {
+        return this.request('create-group', fields);
+    }
+
+    /**
+     * Delete a group
+     * @param {Omit<WsDeleteGroup, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    deleteGroup(fields = {}) {
+        return this.request('delete-group', fields);
+    }
+
+    /**
+     * Add a device to a group
+     * @param {Omit<WsAddToGroup, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    addToGroup(fields = {}) {
+        return this.request('add-to-group', fields);
+    }
+
+    /**
+     * Remove a device from a group (the group is deleted with its last member)
+     * @param {Omit<WsRemoveFromGroup, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    removeFromGroup(fields = {}) {
+        return this.request('remove-from-group', fields);
+    }
+
+    /**
+     * Select packet forwarding or server-side mixing for a group
+     * @param {Omit<WsSetGroupMode, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    setGroupMode(fields = {}) {
+        return this.request('set-group-mode', fields);
+    }
+
+    /**
+     * Set the mix gain of one participant
+     * @param {Omit<WsSetParticipantGain, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    setParticipantGain(fields = {}) {
+        return this.request('set-participant-gain', fields);
+    }
+
+    /**
+     * Set a device's friendly name
+     * @param {Omit<WsSetDeviceName, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    setDeviceName(fields = {}) {
+        return this.request('set-device-name', fields);
+    }
+
+    /**
+     * Apply a predefined routing scenario
+     * @param {Omit<WsApplyScenario, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    applyScenario(fields = {}) {
+        return this.request('apply-scenario', fields);
+    }
+
+    /**
+     * Request the pacing policies and jitter buffers (reply: pacing)
+     * @param {Omit<WsGetPacing, 'type' | 'requestId'>} [fields]
+     * @returns {Promise<WsPacing>}
+     */
+    getPacing(fields = {}) {
+        return this.request('get-pacing', fields);
+    }
+
+    /**
+     * Override the pacing policy of a route, or of every route without one
+     * @param {Omit<WsSetPacingPolicy, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    setPacingPolicy(fields = {}) {
+        return this.request('set-pacing-policy', fields);
+    }
+
+    /**
+     * Request the default and per-module log levels (reply: log-levels)
+     * @param {Omit<WsGetLogLevels, 'type' | 'requestId'>} [fields]
+     * @returns {Promise<WsLogLevels>}
+     */
+    getLogLevels(fields = {}) {
+        return this.request('get-log-levels', fields);
+    }
+
+    /**
+     * Change the log level of a module, or the default level of every module without one
+     * @param {Omit<WsSetLogLevel, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    setLogLevel(fields = {}) {
+        return this.request('set-log-level', fields);
+    }
+
+    /**
+     * Request recent audit log entries, newest first (reply: audit-log)
+     * @param {Omit<WsGetAuditLog, 'type' | 'requestId'>} [fields]
+     * @returns {Promise<WsAuditLog>}
+     */
+    getAuditLog(fields = {}) {
+        return this.request('get-audit-log', fields);
+    }
+
+    /**
+     * Send a command to a device (reply: device-command; its acknowledgement follows as device-command-updated)
+     * @param {Omit<WsSendDeviceCommand, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsDeviceCommandReply>}
+     */
+    sendDeviceCommand(fields = {}) {
+        return this.request('send-device-command', fields);
+    }
+
+    /**
+     * Request the recent commands of a device and the settings it acknowledged (reply: device-commands)
+     * @param {Omit<WsGetDeviceCommands, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsDeviceCommands>}
+     */
+    getDeviceCommands(fields = {}) {
+        return this.request('get-device-commands', fields);
+    }
+
+    /**
+     * Request the enrollment policy, registered devices and devices waiting for approval (reply: registry)
+     * @param {Omit<WsGetRegistry, 'type' | 'requestId'>} [fields]
+     * @returns {Promise<WsRegistry>}
+     */
+    getRegistry(fields = {}) {
+        return this.request('get-registry', fields);
+    }
+
+    /**
+     * Choose what happens to unknown devices
+     * @param {Omit<WsSetEnrollmentPolicy, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    setEnrollmentPolicy(fields = {}) {
+        return this.request('set-enrollment-policy', fields);
+    }
+
+    /**
+     * Register a device before it connects
+     * @param {Omit<WsProvisionDevice, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    provisionDevice(fields = {}) {
+        return this.request('provision-device', fields);
+    }
+
+    /**
+     * Change a registered device; blocking it disconnects it
+     * @param {Omit<WsUpdateRegistryDevice, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    updateRegistryDevice(fields = {}) {
+        return this.request('update-registry-device', fields);
+    }
+
+    /**
+     * Remove a device from the registry
+     * @param {Omit<WsRemoveRegistryDevice, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    removeRegistryDevice(fields = {}) {
+        return this.request('remove-registry-device', fields);
+    }
+
+    /**
+     * Register a device that is waiting for approval
+     * @param {Omit<WsApproveDevice, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    approveDevice(fields = {}) {
+        return this.request('approve-device', fields);
+    }
+
+    /**
+     * Block a device that is waiting for approval
+     * @param {Omit<WsRejectDevice, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    rejectDevice(fields = {}) {
+        return this.request('reject-device', fields);
+    }
+
+    /**
+     * Request the recordings and their tracks (reply: recordings)
+     * @param {Omit<WsGetRecordings, 'type' | 'requestId'>} [fields]
+     * @returns {Promise<WsRecordings>}
+     */
+    getRecordings(fields = {}) {
+        return this.request('get-recordings', fields);
+    }
+
+    /**
+     * Start recording a device, a route or a group to Ogg Opus files (reply: recording)
+     * @param {Omit<WsStartRecording, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsRecordingReply>}
+     */
+    startRecording(fields = {}) {
+        return this.request('start-recording', fields);
+    }
+
+    /**
+     * Stop a recording and close its files (reply: recording)
+     * @param {Omit<WsStopRecording, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsRecordingReply>}
+     */
+    stopRecording(fields = {}) {
+        return this.request('stop-recording', fields);
+    }
+
+    /**
+     * Delete a stopped recording and its files
+     * @param {Omit<WsDeleteRecording, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    deleteRecording(fields = {}) {
+        return this.request('delete-recording', fields);
+    }
+
+    /**
+     * Request server statistics (reply: stats)
+     * @param {Omit<WsGetStats, 'type' | 'requestId'>} [fields]
+     * @returns {Promise<WsStats>}
+     */
+    getStats(fields = {}) {
+        return this.request('get-stats', fields);
+    }
+
+    /**
+     * Request the routing configuration (reply: configuration)
+     * @param {Omit<WsExportConfig, 'type' | 'requestId'>} [fields]
+     * @returns {Promise<WsConfiguration>}
+     */
+    exportConfig(fields = {}) {
+        return this.request('export-config', fields);
+    }
+
+    /**
+     * Replace the routing configuration
+     * @param {Omit<WsImportConfig, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    importConfig(fields = {}) {
+        return this.request('import-config', fields);
+    }
+
+    /**
+     * Keep-alive (reply: pong)
+     * @param {Omit<WsPing, 'type' | 'requestId'>} [fields]
+     * @returns {Promise<WsPong>}
+     */
+    ping(fields = {}) {
+        return this.request('ping', fields);
+    }
+}
+
+class AudioClient extends SocketClient {
+    /**
+     * @param {string} [url] - Server URL (default ws://localhost:8080/ws/audio)
+     * @param {Object} [options] - { WebSocket, timeout, headers }
+     */
+    constructor(url = 'ws://localhost:8080/ws/audio', options = {}) {
+        super(url, options);
+    }
+
+    /**
+     * Opus frame from the dashboard to a device
+     * @param {Omit<WsAudioPacket, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    audioPacket(fields = {}) {
+        return this.request('audio_packet', fields);
+    }
+
+    /**
+     * Route a device's audio to the dashboard
+     * @param {Omit<WsStartListening, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    startListening(fields = {}) {
+        return this.request('start_listening', fields);
+    }
+
+    /**
+     * Stop receiving a device's audio
+     * @param {Omit<WsStopListening, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    stopListening(fields = {}) {
+        return this.request('stop_listening', fields);
+    }
+
+    /**
+     * Request audio statistics (reply: audio_stats)
+     * @param {Omit<WsRequestStats, 'type' | 'requestId'>} [fields]
+     * @returns {Promise<WsAudioStats>}
+     */
+    requestStats(fields = {}) {
+        return this.request('request_stats', fields);
+    }
+
+    /**
+     * Add a route from the audio page
+     * @param {Omit<WsSetAudioRoute, 'type' | 'requestId'>} fields
+     * @returns {Promise<WsAck>}
+     */
+    setRoute(fields = {}) {
+        return this.request('set_route', fields);
+    }
+}
+
+module.exports = {
+    ApiClientError,
+    RestClient,
+    ControlClient,
+    AudioClient
+};
@@ -6,13 +6,18 @@ let wsReconnectInterval = null;
 const state = {
     devices: new Map(),
     routes: new Map(),
+    groups: new Map(),
     stats: {},
     selectedDevice: null,
-    contextMenuDevice: null
+    contextMenuDevice: null,
+    controlDevice: null,
+    registry: null,
+    session: null
 };
 
 // Initialize application
 function init() {
+    loadSession();
     connectWebSocket();
     setupEventListeners();
     startUpdateLoop();
@@ -20,7 +25,8 @@ function init() {
 
 // WebSocket connection management
 function connectWebSocket() {
-    const wsUrl = 'ws://localhost:8081';
+    // Same listener as the page, wss: when it was loaded over https:
+    const wsUrl = `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}/ws/control`;
 
     try {
         ws = new WebSocket(wsUrl);
@@ -33,7 +39,11 @@ function connectWebSocket() {
             // Request initial state
             ws.send(JSON.stringify({ type: 'get-devices' }));
             ws.send(JSON.stringify({ type: 'get-routes' }));
+            ws.send(JSON.stringify({ type: 'get-groups' }));
+            ws.send(JSON.stringify({ type: 'get-registry' }));
+            ws.send(JSON.stringify({ type: 'get-recordings' }));
             ws.send(JSON.stringify({ type: 'get-stats' }));
+            requestAuditLog();
 
             // Clear reconnect interval
             if (wsReconnectInterval) {
@@ -49,8 +59,16 @@ function connectWebSocket() {
             handleWebSocketMessage(message);
         };
 
-        ws.onclose = () => {
+        ws.onclose = (event) => {
             console.log('Disconnected from server');
+
+            // Refused (401) or ended session: back to the login page
+            if (event.code === 4401) {
+                window.location.href = '/login';
+                return;
+            }
+            loadSession();
+
             document.getElementById('serverStatus').classList.remove('connected');
             document.getElementById('serverAddress').textContent = 'Disconnected';
             addLog('Disconnected from server', 'error');
@@ -81,6 +99,7 @@ function handleWebSocketMessage(message) {
         case 'initial-state':
             updateDevices(message.devices);
             updateRoutes(message.routes);
+            updateGroups(message.groups || []);
             updateStats(message.stats);
             break;
 
@@ -92,6 +111,18 @@ function handleWebSocketMessage(message) {
             updateRoutes(message.routes);
             break;
 
+        case 'groups':
+            updateGroups(message.groups);
+            break;
+
+        case 'group-changed':
+            applyGroupChange(message);
+            break;
+
+        case 'floor-changed':
+            applyFloorChange(message);
+            break;
+
         case 'stats':
             updateStats(message.stats);
             break;
@@ -99,11 +130,13 @@ function handleWebSocketMessage(message) {
         case 'device-connected':
             addDevice(message.device);
             addLog(`Device ${message.device.id} connected`, 'success');
+            sendCommand('get-registry');
             break;
 
         case 'device-disconnected':
             updateDeviceStatus(message.deviceId, false);
             addLog(`Device ${message.deviceId} disconnected`, 'warning');
+            sendCommand('get-registry');
             break;
 
         case 'route-created':
@@ -120,8 +153,45 @@ function handleWebSocketMessage(message) {
             updatePacketFlow(message.packets);
             break;
 
+        case 'registry':
+            updateRegistry(message.registry);
+            break;
+
+        case 'device-pending':
+            addLog(`Device ${message.device.deviceId} (${message.device.address}) is waiting for approval`, 'warning');
+            sendCommand('get-registry');
+            break;
+
+        case 'device-commands':
+            renderDeviceCommands(message);
+            break;
+
+        case 'recordings':
+            updateRecordings(message.recordings);
+            break;
+
+        case 'recording':
+            addLog(`Recording ${message.recording.id} ${message.recording.status === 'recording' ? 'started' : 'stopped'}`, 'info');
+            break;
+
+        case 'device-command-updated':
+            applyDeviceCommandUpdate(message.deviceCommand);
+            break;
+
+        case 'audit-log':
+            updateAuditTimeline(message.entries);
+            break;
+
+        case 'audit-entry':
+            addAuditEntry(message.entry);
+            break;
+
         case 'error':
-            addLog(`Error: ${message.message}`, 'error');
+            if (message.code === 'FORBIDDEN') {
+                addLog(`Not allowed: ${message.message}`, 'warning');
+            } else {
+                addLog(`Error: ${message.message}`, 'error');
+            }
             break;
     }
 }
@@ -144,6 +214,11 @@ function updateDevices(devices) {
             <div class="device-stats">
                 <div>Packets: ${device.packetsReceived || 0}</div>
                 <div>Loss: ${device.packetLossRate || 0}%</div>
+                ${device.codec && device.codec.mode ? `<div>Codec: ${formatCodec(device.codec)}</div>` : ''}
+                ${device.codec && (device.codec.malformed || device.codec.mismatched) ? `
+                    <div class="codec-warning" title="Last problem: ${device.codec.lastError}">
+                        ⚠️ ${device.codec.malformed} malformed, ${device.codec.mismatched} mismatched
+                    </div>` : ''}
             </div>
         `;
 
@@ -154,6 +229,14 @@ function updateDevices(devices) {
     });
 
     updateRoutingMatrix();
+    renderGroups();
+}
+
+// Short description of the Opus stream parameters, e.g. "CELT fullband 20ms mono"
+function formatCodec(codec) {
+    const frames = codec.framesPerPacket > 1 ? ` ×${codec.framesPerPacket}` : '';
+    return `${codec.mode.toUpperCase()} ${codec.bandwidth} ${codec.frameDuration}ms${frames} ` +
+        `${codec.channels === 2 ? 'stereo' : 'mono'}`;
 }
 
 // Update routing matrix
@@ -228,6 +311,130 @@ function updateStats(stats) {
     }
 }
 
+// Update groups
+function updateGroups(groups) {
+    state.groups.clear();
+    groups.forEach(group => state.groups.set(group.groupId, group));
+    renderGroups();
+}
+
+function applyGroupChange(message) {
+    if (message.action === 'deleted') {
+        state.groups.delete(message.groupId);
+        addLog(`Group ${message.groupId} deleted`, 'info');
+    } else {
+        state.groups.set(message.groupId, message.group);
+        if (message.action === 'created') {
+            addLog(`Group ${message.groupId} created`, 'success');
+        }
+    }
+
+    renderGroups();
+}
+
+function applyFloorChange(message) {
+    const group = state.groups.get(message.groupId);
+    if (group) {
+        group.floor = message.floor;
+        renderGroups();
+    }
+
+    const reason = message.reason ? ` (${message.reason})` : '';
+    switch (message.action) {
+        case 'granted':
+            addLog(`🎙️ ${message.deviceId} has the floor in ${message.groupId}`, 'success');
+            break;
+        case 'queued':
+            addLog(`${message.deviceId} waiting for the floor in ${message.groupId}`, 'info');
+            break;
+        case 'denied':
+            addLog(`Floor in ${message.groupId} denied to ${message.deviceId}${reason}`, 'warning');
+            break;
+        case 'released':
+            addLog(`${message.deviceId} released the floor in ${message.groupId}${reason}`, 'info');
+            break;
+    }
+}
+
+// Render group panel
+function renderGroups() {
+    const grid = document.getElementById('groupsGrid');
+    const groups = Array.from(state.groups.values());
+
+    if (groups.length === 0) {
+        grid.innerHTML = '<p>No groups</p>';
+        return;
+    }
+
+    grid.innerHTML = groups.map(group => {
+        const members = group.members.map(deviceId => `
+            <span class="group-member">${deviceId}<span class="remove"
+                onclick="removeFromGroup('${group.groupId}', '${deviceId}')">×</span></span>`).join('');
+
+        const candidates = Array.from(state.devices.keys())
+            .filter(deviceId => !group.members.includes(deviceId))
+            .map(deviceId => `<option value="${deviceId}">${deviceId}</option>`)
+            .join('');
+
+        const floor = group.floor && group.floor.holder
+            ? `<div class="group-floor">🎙️ ${group.floor.holder}${group.floor.queue.length > 0
+                ? ` <span class="floor-queue">waiting: ${group.floor.queue.join(', ')}</span>` : ''}</div>`
+            : '';
+
+        return `
+            <div class="group-card ${group.mode}${floor ? ' talking' : ''}">
+                <div class="group-header">
+                    <span>${group.groupId}</span>
+                    <select onchange="setGroupMode('${group.groupId}', this.value)">
+                        <option value="forward" ${group.mode === 'forward' ? 'selected' : ''}>Forward</option>
+                        <option value="mix" ${group.mode === 'mix' ? 'selected' : ''}>Mix</option>
+                    </select>
+                </div>
+                ${floor}
+                <div class="group-members">${members}</div>
+                <div class="group-actions">
+                    <select id="addMember-${group.groupId}" ${candidates ? '' : 'disabled'}>${candidates}</select>
+                    <button onclick="addToGroup('${group.groupId}')" ${candidates ? '' : 'disabled'}>Add</button>
+                    <button onclick="recordGroup('${group.groupId}')">⏺ Record</button>
+                    <button class="danger" onclick="deleteGroup('${group.groupId}')">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Group commands
+function createGroup() {
+    const input = document.getElementById('newGroupId');
+    const groupId = input.value.trim();
+    if (!groupId) return;
+
+    sendCommand('create-group', {
+        groupId,
+        mode: document.getElementById('newGroupMode').value
+    });
+    input.value = '';
+}
+
+function deleteGroup(groupId) {
+    sendCommand('delete-group', { groupId });
+}
+
+function addToGroup(groupId) {
+    const select = document.getElementById(`addMember-${groupId}`);
+    if (select && select.value) {
+        sendCommand('add-to-group', { groupId, deviceId: select.value });
+    }
+}
+
+function removeFromGroup(groupId, deviceId) {
+    sendCommand('remove-from-group', { groupId, deviceId });
+}
+
+function setGroupMode(groupId, mode) {
+    sendCommand('set-group-mode', { groupId, mode });
+}
+
 // Device selection
 function selectDevice(deviceId, event) {
     event.preventDefault();
@@ -364,6 +571,14 @@ function viewDeviceStats() {
             <div class="label">Uptime</div>
             <div class="value">${device.uptime || 0}s</div>
         </div>
+        <div class="stat-item">
+            <div class="label">Codec</div>
+            <div class="value">${device.codec && device.codec.mode ? formatCodec(device.codec) : 'Unknown'}</div>
+        </div>
+        <div class="stat-item">
+            <div class="label">Malformed / Mismatched</div>
+            <div class="value">${device.codec ? `${device.codec.malformed} / ${device.codec.mismatched}` : '0 / 0'}</div>
+        </div>
     `;
 
     modal.classList.add('visible');
@@ -374,6 +589,254 @@ function closeStatsModal() {
     document.getElementById('statsModal').classList.remove('visible');
 }
 
+// Device registry
+function updateRegistry(registry) {
+    state.registry = registry;
+
+    document.getElementById('enrollmentPolicy').value = registry.policy;
+    document.getElementById('registrySummary').textContent =
+        `${registry.online}/${registry.maxDevices} online, ${registry.devices.length} registered`;
+
+    document.getElementById('pendingList').innerHTML = registry.pending.map(device => `
+        <div class="pending-device">
+            <span class="pending-info">⏳ <strong>${device.deviceId}</strong> from ${device.address}:${device.port}
+                (${device.packets} packets${device.authenticated ? ', signed' : ''})</span>
+            <button onclick="approveDevice('${device.deviceId}')">Approve</button>
+            <button class="danger" onclick="rejectDevice('${device.deviceId}')">Reject</button>
+        </div>
+    `).join('');
+
+    document.getElementById('registryTable').innerHTML = registry.devices.map(device => `
+        <tr>
+            <td class="${device.online ? 'online' : ''}">${device.id}</td>
+            <td>${device.name || ''}</td>
+            <td>${device.location || ''}</td>
+            <td>${device.owner || ''}</td>
+            <td>${device.allowedGroups ? device.allowedGroups.join(', ') : 'any'}</td>
+            <td class="status-${device.status}">${device.status}${device.hasSecret ? ' 🔑' : ''}</td>
+            <td>
+                <button onclick="setRegistryStatus('${device.id}', '${device.status === 'blocked' ? 'approved' : 'blocked'}')">
+                    ${device.status === 'blocked' ? 'Unblock' : 'Block'}</button>
+                <button class="danger" onclick="removeRegistryDevice('${device.id}')">Remove</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function setEnrollmentPolicy(policy) {
+    sendCommand('set-enrollment-policy', { policy });
+}
+
+function provisionDevice() {
+    const deviceId = document.getElementById('provisionId').value.trim();
+    if (!deviceId) return;
+
+    const device = { deviceId };
+    ['name', 'location', 'owner'].forEach(field => {
+        const input = document.getElementById(`provision${field[0].toUpperCase()}${field.slice(1)}`);
+        if (input.value.trim()) {
+            device[field] = input.value.trim();
+        }
+        input.value = '';
+    });
+    document.getElementById('provisionId').value = '';
+
+    sendCommand('provision-device', device);
+}
+
+function approveDevice(deviceId) {
+    const name = prompt(`Name for ${deviceId} (optional)`);
+    sendCommand('approve-device', name ? { deviceId, name } : { deviceId });
+}
+
+function rejectDevice(deviceId) {
+    sendCommand('reject-device', { deviceId });
+}
+
+function setRegistryStatus(deviceId, status) {
+    sendCommand('update-registry-device', { deviceId, status });
+}
+
+function removeRegistryDevice(deviceId) {
+    if (confirm(`Remove ${deviceId} from the registry?`)) {
+        sendCommand('remove-registry-device', { deviceId });
+    }
+}
+
+// Audit timeline
+const AUDIT_TIMELINE_LENGTH = 50;
+
+function requestAuditLog() {
+    const filters = { limit: AUDIT_TIMELINE_LENGTH };
+    const device = document.getElementById('auditDeviceFilter').value.trim();
+    if (device) filters.device = device;
+    sendCommand('get-audit-log', { filters });
+}
+
+function updateAuditTimeline(entries) {
+    document.getElementById('auditTimeline').innerHTML = entries.map(renderAuditEntry).join('');
+}
+
+function addAuditEntry(entry) {
+    const device = document.getElementById('auditDeviceFilter').value.trim();
+    if (device && !entry.devices.includes(device)) return;
+
+    const timeline = document.getElementById('auditTimeline');
+    timeline.insertAdjacentHTML('afterbegin', renderAuditEntry(entry));
+    while (timeline.children.length > AUDIT_TIMELINE_LENGTH) {
+        timeline.removeChild(timeline.lastChild);
+    }
+}
+
+function renderAuditEntry(entry) {
+    const actor = entry.actor.id || entry.actor.address
+        ? `${entry.actor.type} ${entry.actor.id || entry.actor.address}`
+        : entry.actor.type;
+    const describeChange = change => {
+        const route = change.source && change.target ? ` ${change.source} → ${change.target}` : '';
+        const subject = change.device || change.deviceId || change.groupId || change.scenario || '';
+        return `${change.event}${route || (subject ? ` ${subject}` : '')}`;
+    };
+
+    return `
+        <tr>
+            <td>${new Date(entry.timestamp).toLocaleTimeString()}</td>
+            <td class="audit-actor-${entry.actor.type}">${actor}</td>
+            <td>${entry.action}</td>
+            <td>${entry.changes.map(describeChange).join(', ')}</td>
+        </tr>
+    `;
+}
+
+// Recordings
+function updateRecordings(recordings) {
+    const describeTarget = target => ({
+        device: `Device ${target.deviceId}`,
+        route: `Route ${target.source} → ${target.target}`,
+        group: `Group ${target.groupId}`
+    })[target.type];
+
+    document.getElementById('recordingsTable').innerHTML = recordings.map(recording => `
+        <tr>
+            <td>${new Date(recording.startedAt).toLocaleString()}</td>
+            <td>${describeTarget(recording.target)}</td>
+            <td>${recording.label || ''}</td>
+            <td class="status-${recording.status}">${recording.status === 'recording'
+                ? '⏺ recording' : `stopped${recording.stopReason !== 'requested' ? ` (${recording.stopReason})` : ''}`}</td>
+            <td>${recording.tracks.map(track => `
+                <a href="${track.url}" title="${track.packets} packets, ${track.lostPackets} lost">${track.deviceId}</a>
+                ${track.durationMs ? `${Math.round(track.durationMs / 1000)}s` : ''}`).join(', ')}</td>
+            <td>${recording.status === 'recording'
+                ? `<button onclick="stopRecording('${recording.id}')">Stop</button>`
+                : `<button class="danger" onclick="deleteRecording('${recording.id}')">Delete</button>`}</td>
+        </tr>
+    `).join('');
+}
+
+function startRecording(target) {
+    const label = prompt('Label for the recording (optional):', '');
+    if (label === null) return;
+    sendCommand('start-recording', label ? { target, label } : { target });
+}
+
+function recordDevice() {
+    startRecording({ type: 'device', deviceId: state.contextMenuDevice });
+    hideContextMenu();
+}
+
+function recordGroup(groupId) {
+    startRecording({ type: 'group', groupId });
+}
+
+function stopRecording(recordingId) {
+    sendCommand('stop-recording', { recordingId });
+}
+
+function deleteRecording(recordingId) {
+    if (confirm(`Delete recording ${recordingId} and its files?`)) {
+        sendCommand('delete-recording', { recordingId });
+    }
+}
+
+// Device control modal: commands the device carries out itself and acknowledges
+function openDeviceControlModal() {
+    const deviceId = state.contextMenuDevice;
+    state.controlDevice = deviceId;
+
+    document.getElementById('controlDeviceId').textContent = deviceId;
+    document.getElementById('deviceCommandList').innerHTML = '';
+    document.getElementById('deviceControlModal').classList.add('visible');
+    hideContextMenu();
+
+    requestDeviceCommands();
+}
+
+function closeDeviceControlModal() {
+    document.getElementById('deviceControlModal').classList.remove('visible');
+    state.controlDevice = null;
+}
+
+function requestDeviceCommands() {
+    if (state.controlDevice) {
+        sendCommand('get-device-commands', { deviceId: state.controlDevice });
+    }
+}
+
+function sendDeviceCommand(command, params = {}) {
+    if (!state.controlDevice) return;
+    sendCommand('send-device-command', { deviceId: state.controlDevice, command, params });
+}
+
+function rebootDevice() {
+    if (confirm(`Reboot ${state.controlDevice}?`)) {
+        sendDeviceCommand('reboot');
+    }
+}
+
+function renderDeviceCommands(message) {
+    if (message.deviceId !== state.controlDevice) return;
+
+    // Start the controls from what the device acknowledged
+    const settings = message.settings || {};
+    if (settings.volume !== undefined) {
+        document.getElementById('controlVolume').value = settings.volume;
+        document.getElementById('controlVolumeValue').textContent = settings.volume;
+    }
+    if (settings.gainDb !== undefined) {
+        document.getElementById('controlGain').value = settings.gainDb;
+        document.getElementById('controlGainValue').textContent = settings.gainDb;
+    }
+    if (settings.bitrate !== undefined) {
+        document.getElementById('controlBitrate').value = settings.bitrate;
+    }
+
+    const list = document.getElementById('deviceCommandList');
+    list.innerHTML = message.commands.slice().reverse().map(record => `
+        <div class="command-row">
+            <span>${new Date(record.sentAt).toLocaleTimeString()} ${record.command}</span>
+            <span class="status-${record.status}">${record.status}${record.error ? ` (${record.error})` : ''}</span>
+        </div>
+    `).join('');
+}
+
+function applyDeviceCommandUpdate(record) {
+    switch (record.status) {
+        case 'acknowledged':
+            addLog(`${record.deviceId} acknowledged ${record.command}`, 'success');
+            break;
+        case 'rejected':
+            addLog(`${record.deviceId} rejected ${record.command}: ${record.message || record.error}`, 'error');
+            break;
+        case 'timeout':
+            addLog(`${record.deviceId} did not acknowledge ${record.command} (${record.error})`, 'warning');
+            break;
+    }
+
+    if (record.deviceId === state.controlDevice) {
+        requestDeviceCommands();
+    }
+}
+
 // Context menu actions
 function toggleMute() {
     const deviceId = state.contextMenuDevice;
@@ -498,6 +961,32 @@ function setupEventListeners() {
     });
 }
 
+// Logged-in user; without a session the dashboard goes to the login page
+function loadSession() {
+    fetch('/api/auth/session')
+        .then(response => {
+            if (response.status === 401) {
+                window.location.href = '/login';
+                return null;
+            }
+            return response.json();
+        })
+        .then(session => {
+            if (!session) return;
+            state.session = session;
+            document.getElementById('currentUser').textContent =
+                session.username ? `${session.username} (${session.role})` : '';
+        })
+        .catch(error => console.error('Failed to load session:', error));
+}
+
+function logout() {
+    fetch('/api/auth/logout', { method: 'POST' })
+        .finally(() => {
+            window.location.href = '/login';
+        });
+}
+
 // Update loop for real-time stats
 function startUpdateLoop() {
     setInterval(() => {
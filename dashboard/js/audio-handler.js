@@ -93,7 +93,7 @@ class DashboardAudioHandler {
     }
 
     connectWebSocket() {
-        const wsUrl = `ws://${window.location.hostname}:8082`;
+        const wsUrl = `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}/ws/audio`;
         console.log('Attempting WebSocket connection to:', wsUrl);
 
         try {
@@ -125,7 +125,7 @@ class DashboardAudioHandler {
             };
 
             this.ws.onerror = (error) => {
-                console.warn('WebSocket connection error. Server may be starting up or port 8082 may be blocked.');
+                console.warn('WebSocket connection error. Server may be starting up or /ws/audio may be blocked by a proxy.');
                 this.updateStatus('Connection error - Retrying...', 'warning');
             };
         } catch (error) {
@@ -961,6 +961,23 @@ class DashboardAudioHandler {
             maxEl.textContent = data.stats.maxInterval > 0 ? `${data.stats.maxInterval}ms` : '--';
         }
 
+        // Jitter buffer depth per queue (actual / target)
+        const buffersEl = document.getElementById('jitter-buffers');
+        if (buffersEl && data.queues) {
+            buffersEl.innerHTML = Object.entries(data.queues).map(([queueKey, queue]) =>
+                `<div>${queueKey}: ${queue.buffered}/${queue.targetDepth} packets, ` +
+                `jitter ${queue.jitter}ms, ${queue.state}, underruns ${queue.underruns}</div>`
+            ).join('');
+        }
+
+        // Send-time error per destination (how late packets left after their deadline)
+        const errorsEl = document.getElementById('send-errors');
+        if (errorsEl && data.sendErrors) {
+            errorsEl.innerHTML = Object.entries(data.sendErrors).map(([deviceId, errors]) =>
+                `<div>to ${deviceId}: p50 ${errors.p50}ms, p99 ${errors.p99}ms, max ${errors.max}ms</div>`
+            ).join('');
+        }
+
         // Update graph if we have history
         if (data.history && data.history.length > 0) {
             this.drawTimingGraph(data.history);
@@ -1003,8 +1020,8 @@ class DashboardAudioHandler {
             case 'high_latency':
                 message = `${time} - High latency: ${violation.value}ms packet age - ${violation.queueKey}`;
                 break;
-            case 'interval_drift':
-                message = `${time} - Timer drift: ${violation.value}ms (system overload)`;
+            case 'deadline_miss':
+                message = `${time} - Deadline missed by ${violation.value}ms (system overload) - ${violation.queueKey}`;
                 break;
             default:
                 message = `${time} - ${violation.type}: ${violation.value}`;
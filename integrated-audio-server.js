@@ -26,10 +26,10 @@ const audioBridge = new AudioBridge(udpServer, dashboardServer);
 console.log('\n════════════════════════════════════════');
 console.log('✅ INTEGRATED AUDIO SERVER RUNNING');
 console.log('════════════════════════════════════════');
-console.log('📡 UDP Server: Port 5004');
-console.log('🌐 Dashboard: http://YOUR_SERVER_IP:8080');
-console.log('🎧 Audio Test: http://YOUR_SERVER_IP:8080/audio-test.html');
-console.log('🔊 WebSocket Audio: ws://YOUR_SERVER_IP:8082');
+console.log(`📡 UDP Server: Port ${udpServer.bindAddress.port}`);
+console.log(`🌐 Dashboard: ${udpServer.httpListener.url}`);
+console.log(`🎧 Audio Test: ${udpServer.httpListener.url}/audio-test.html`);
+console.log(`🔊 WebSocket Audio: ${udpServer.httpListener.webSocketUrl}/ws/audio`);
 console.log('════════════════════════════════════════\n');
 
 console.log('Features:');
@@ -46,7 +46,7 @@ process.on('SIGINT', () => {
     console.log('\n👋 Shutting down integrated audio server...');
     udpServer.stop();
     dashboardServer.stop();
-    process.exit(0);
+    udpServer.flush().then(() => process.exit(0));
 });
 
 // Handle uncaught exceptions
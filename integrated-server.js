@@ -18,8 +18,9 @@ dashboard.start();
 console.log('\n════════════════════════════════════════');
 console.log('✅ INTEGRATED SERVER RUNNING');
 console.log('════════════════════════════════════════');
-console.log('UDP Server: Port 5004');
-console.log('Dashboard: http://YOUR_SERVER_IP:8080');
+console.log(`UDP Server: Port ${udpServer.bindAddress.port}`);
+console.log(`Dashboard: ${udpServer.httpListener.url}`);
+console.log(`Control WebSocket: ${udpServer.httpListener.webSocketUrl}/ws/control`);
 console.log('════════════════════════════════════════\n');
 
 // Graceful shutdown
@@ -27,5 +28,5 @@ process.on('SIGINT', () => {
     console.log('\n👋 Shutting down integrated server...');
     udpServer.stop();
     dashboard.stop();
-    process.exit(0);
+    udpServer.flush().then(() => process.exit(0));
 });
\ No newline at end of file
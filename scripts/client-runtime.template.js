@@ -0,0 +1,155 @@
+// Runtime shared by the generated clients (copied verbatim into client/api-client.js)
+
+class ApiClientError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ApiClientError';
+        this.status = details.status;
+        this.code = details.code;
+        this.errors = details.errors || [];
+        this.body = details.body;
+    }
+}
+
+class HttpClient {
+    /**
+     * @param {string} [baseUrl] - Dashboard server URL
+     * @param {Object} [options] - { fetch, headers }
+     */
+    constructor(baseUrl = 'http://localhost:8080', options = {}) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.fetch = options.fetch || globalThis.fetch;
+        this.headers = options.headers || {};
+
+        if (!this.fetch) {
+            throw new Error('No fetch implementation available (Node 18+ or options.fetch required)');
+        }
+    }
+
+    async request(method, route, body) {
+        const response = await this.fetch(`${this.baseUrl}${route}`, {
+            method,
+            headers: body !== undefined
+                ? { 'Content-Type': 'application/json', ...this.headers }
+                : this.headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+
+        const text = await response.text();
+        const data = text ? JSON.parse(text) : null;
+
+        if (!response.ok) {
+            throw new ApiClientError((data && data.error) || `HTTP ${response.status}`, {
+                status: response.status,
+                errors: data && data.errors,
+                body: data
+            });
+        }
+        return data;
+    }
+
+    // "?key=value&..." from the defined entries of query, '' if there are none
+    queryString(query = {}) {
+        const search = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) search.append(key, String(value));
+        });
+        const text = search.toString();
+        return text ? `?${text}` : '';
+    }
+}
+
+class SocketClient extends EventEmitter {
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        this.WebSocket = options.WebSocket || globalThis.WebSocket || require('ws');
+        this.timeout = options.timeout || 5000;
+        this.headers = options.headers; // Upgrade request headers (ws in Node only), e.g. Authorization
+        this.ws = null;
+        this.nextRequestId = 1;
+        this.pending = new Map(); // requestId -> { resolve, reject, timer }
+    }
+
+    /**
+     * Open the connection; every server message is emitted as 'message' and
+     * under its type (error replies as 'server-error')
+     * @returns {Promise<void>} Resolves once connected
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            this.ws = this.headers
+                ? new this.WebSocket(this.url, { headers: this.headers })
+                : new this.WebSocket(this.url);
+
+            this.ws.onopen = () => resolve();
+            this.ws.onerror = (event) => {
+                const error = event && event.error ? event.error : new Error(`WebSocket error on ${this.url}`);
+                if (this.listenerCount('error') > 0) this.emit('error', error);
+                reject(error);
+            };
+            this.ws.onclose = () => {
+                this.pending.forEach(({ reject: rejectRequest, timer }) => {
+                    clearTimeout(timer);
+                    rejectRequest(new ApiClientError('Connection closed'));
+                });
+                this.pending.clear();
+                this.emit('close');
+            };
+            this.ws.onmessage = (event) => this.handleMessage(event.data);
+        });
+    }
+
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            return;
+        }
+
+        const pending = message.requestId !== undefined ? this.pending.get(message.requestId) : null;
+        if (pending) {
+            clearTimeout(pending.timer);
+            this.pending.delete(message.requestId);
+
+            if (message.type === 'error') {
+                pending.reject(new ApiClientError(message.message, {
+                    code: message.code,
+                    errors: message.errors,
+                    body: message
+                }));
+            } else {
+                pending.resolve(message);
+            }
+        }
+
+        // 'error' is reserved by EventEmitter for connection errors
+        this.emit('message', message);
+        this.emit(message.type === 'error' ? 'server-error' : message.type, message);
+    }
+
+    /**
+     * Send a message and wait for its reply, ack or error
+     * @param {string} type - Message type
+     * @param {Object} [fields] - Message fields
+     * @returns {Promise<Object>} Reply message
+     */
+    request(type, fields = {}) {
+        const requestId = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(requestId);
+                reject(new ApiClientError(`Timed out waiting for reply to ${type}`));
+            }, this.timeout);
+
+            this.pending.set(requestId, { resolve, reject, timer });
+            this.ws.send(JSON.stringify({ ...fields, type, requestId }));
+        });
+    }
+
+    close() {
+        if (this.ws) this.ws.close();
+    }
+}
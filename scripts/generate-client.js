@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+
+/**
+ * Client Generator
+ * Builds client/api-client.js (with JSDoc types) and client/api-client.d.ts
+ * from schemas/openapi.json and schemas/asyncapi.json.
+ *
+ * Usage:
+ *   node scripts/generate-client.js          Write the client
+ *   node scripts/generate-client.js --check  Exit 1 if the client is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT_DIR = path.join(ROOT, 'client');
+const JS_FILE = path.join(OUTPUT_DIR, 'api-client.js');
+const DTS_FILE = path.join(OUTPUT_DIR, 'api-client.d.ts');
+
+const HEADER = '// Generated by scripts/generate-client.js from schemas/openapi.json and\n' +
+    '// schemas/asyncapi.json. Do not edit by hand, run `npm run generate:client`.\n';
+
+const openapi = JSON.parse(fs.readFileSync(path.join(ROOT, 'schemas', 'openapi.json'), 'utf8'));
+const asyncapi = JSON.parse(fs.readFileSync(path.join(ROOT, 'schemas', 'asyncapi.json'), 'utf8'));
+
+// ----- Type conversion -----
+
+function refName(ref) {
+    return ref.split('/').pop();
+}
+
+function resolve(document, ref) {
+    return ref.slice(2).split('/').reduce((node, key) => node[key], document);
+}
+
+/**
+ * Convert a JSON schema to a TypeScript type expression
+ * Component references become the names of their generated types.
+ */
+function toType(schema, prefix = '') {
+    if (schema.$ref) {
+        return prefix + refName(schema.$ref);
+    }
+
+    let type;
+    if (schema.const !== undefined) {
+        type = JSON.stringify(schema.const);
+    } else if (schema.enum) {
+        type = schema.enum.map(value => JSON.stringify(value)).join(' | ');
+    } else {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type || 'any'];
+        type = types.map(name => primitiveType(schema, name, prefix)).join(' | ');
+    }
+
+    return schema.nullable ? `${type} | null` : type;
+}
+
+function primitiveType(schema, name, prefix) {
+    switch (name) {
+        case 'string':
+        case 'boolean':
+        case 'null':
+            return name;
+        case 'integer':
+        case 'number':
+            return 'number';
+        case 'array':
+            return `Array<${schema.items ? toType(schema.items, prefix) : 'any'}>`;
+        case 'object':
+            return objectType(schema, prefix);
+        default:
+            return 'any';
+    }
+}
+
+function objectType(schema, prefix) {
+    const properties = Object.entries(schema.properties || {});
+    const required = new Set(schema.required || []);
+
+    if (properties.length === 0) {
+        if (typeof schema.additionalProperties === 'object') {
+            return `Record<string, ${toType(schema.additionalProperties, prefix)}>`;
+        }
+        return 'Record<string, any>';
+    }
+
+    const fields = properties.map(([key, value]) => {
+        const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+        return `${name}${required.has(key) ? '' : '?'}: ${toType(value, prefix)}`;
+    });
+
+    if (schema.additionalProperties === true) {
+        fields.push('[key: string]: any');
+    }
+
+    return `{ ${fields.join('; ')} }`;
+}
+
+// Query parameters as one optional object
+function queryType(parameters) {
+    const properties = {};
+    parameters.forEach(parameter => {
+        properties[parameter.name] = parameter.schema;
+    });
+    return objectType({ properties }, 'Rest');
+}
+
+function methodName(name) {
+    return name.replace(/[-_](\w)/g, (match, letter) => letter.toUpperCase());
+}
+
+// ----- REST operations -----
+
+function collectOperations() {
+    const operations = [];
+
+    Object.entries(openapi.paths).forEach(([route, pathItem]) => {
+        const sharedParameters = pathItem.parameters || [];
+
+        ['get', 'post', 'put', 'patch', 'delete'].forEach(method => {
+            const operation = pathItem[method];
+            if (!operation) return;
+
+            const allParameters = [...sharedParameters, ...(operation.parameters || [])]
+                .map(parameter => parameter.$ref ? resolve(openapi, parameter.$ref) : parameter);
+            const parameters = allParameters.filter(parameter => parameter.in === 'path');
+            const query = allParameters.filter(parameter => parameter.in === 'query');
+
+            const body = operation.requestBody
+                ? operation.requestBody.content['application/json'].schema
+                : null;
+
+            const success = Object.keys(operation.responses).find(status => status.startsWith('2'));
+            const content = operation.responses[success].content;
+            const response = content ? content['application/json'].schema : null;
+
+            operations.push({
+                id: operation.operationId,
+                summary: operation.summary,
+                method: method.toUpperCase(),
+                route,
+                parameters,
+                query,
+                body,
+                bodyRequired: Boolean(operation.requestBody && operation.requestBody.required),
+                response
+            });
+        });
+    });
+
+    return operations;
+}
+
+// ----- WebSocket messages -----
+
+function collectMessages(channel) {
+    return asyncapi.channels[channel].publish.message.oneOf.map(ref => {
+        const message = resolve(asyncapi, ref.$ref);
+        const payload = resolve(asyncapi, message.payload.$ref);
+        return {
+            name: message.name,
+            fieldsRequired: (payload.required || []).some(key => key !== 'type'),
+            method: methodName(message.name),
+            summary: message.summary || message.name,
+            payload: refName(message.payload.$ref),
+            reply: message['x-reply']
+                ? refName(resolve(asyncapi, message['x-reply'].$ref).payload.$ref)
+                : 'Ack'
+        };
+    });
+}
+
+// ----- Output -----
+
+function typeDefinitions(document, namespace) {
+    const schemas = document.components.schemas;
+    return Object.entries(schemas).map(([name, schema]) => ({
+        name: namespace + name,
+        type: toType(schema, namespace),
+        description: schema.description
+    }));
+}
+
+function renderJs(operations, channels) {
+    const lines = [HEADER];
+
+    lines.push(`const EventEmitter = require('events');`);
+    lines.push('');
+
+    // Type definitions (REST types prefixed Rest, WebSocket types prefixed Ws)
+    [...typeDefinitions(openapi, 'Rest'), ...typeDefinitions(asyncapi, 'Ws')].forEach(definition => {
+        lines.push(`/** @typedef {${definition.type}} ${definition.name}${definition.description ? ` ${definition.description}` : ''} */`);
+    });
+    lines.push('');
+
+    lines.push(fs.readFileSync(path.join(__dirname, 'client-runtime.template.js'), 'utf8').trim());
+    lines.push('');
+
+    // REST client
+    lines.push('class RestClient extends HttpClient {');
+    operations.forEach(operation => {
+        const args = operation.parameters.map(parameter => parameter.name);
+        if (operation.body) args.push('body');
+        if (operation.query.length > 0) args.push('query = {}');
+
+        lines.push('    /**');
+        lines.push(`     * ${operation.summary} (${operation.method} ${operation.route})`);
+        operation.parameters.forEach(parameter => {
+            lines.push(`     * @param {${toType(parameter.schema, 'Rest')}} ${parameter.name}`);
+        });
+        if (operation.body) {
+            lines.push(`     * @param {${toType(operation.body, 'Rest')}} ${operation.bodyRequired ? 'body' : '[body]'}`);
+        }
+        if (operation.query.length > 0) {
+            lines.push(`     * @param {${queryType(operation.query)}} [query]`);
+        }
+        lines.push(`     * @returns {Promise<${operation.response ? toType(operation.response, 'Rest') : 'null'}>}`);
+        lines.push('     */');
+
+        const url = operation.route.replace(/\{(\w+)\}/g, (match, name) => `\${encodeURIComponent(${name})}`) +
+            (operation.query.length > 0 ? '${this.queryString(query)}' : '');
+        const call = `this.request('${operation.method}', \`${url}\`${operation.body ? ', body' : ''})`;
+        lines.push(`    ${operation.id}(${args.join(', ')}) {`);
+        lines.push(`        return ${call};`);
+        lines.push('    }');
+        lines.push('');
+    });
+    lines[lines.length - 1] = '}';
+    lines.push('');
+
+    // WebSocket clients
+    Object.entries(channels).forEach(([className, { channel, messages }]) => {
+        const server = asyncapi.servers[asyncapi.channels[channel].servers[0]];
+        lines.push(`class ${className} extends SocketClient {`);
+        lines.push('    /**');
+        lines.push(`     * @param {string} [url] - Server URL (default ${server.protocol}://${server.url})`);
+        lines.push('     * @param {Object} [options] - { WebSocket, timeout, headers }');
+        lines.push('     */');
+        lines.push(`    constructor(url = '${server.protocol}://${server.url}', options = {}) {`);
+        lines.push('        super(url, options);');
+        lines.push('    }');
+        lines.push('');
+
+        messages.forEach(message => {
+            lines.push('    /**');
+            lines.push(`     * ${message.summary}`);
+            lines.push(`     * @param {Omit<Ws${message.payload}, 'type' | 'requestId'>} ${message.fieldsRequired ? 'fields' : '[fields]'}`);
+            lines.push(`     * @returns {Promise<Ws${message.reply}>}`);
+            lines.push('     */');
+            lines.push(`    ${message.method}(fields = {}) {`);
+            lines.push(`        return this.request('${message.name}', fields);`);
+            lines.push('    }');
+            lines.push('');
+        });
+        lines[lines.length - 1] = '}';
+        lines.push('');
+    });
+
+    lines.push('module.exports = {');
+    lines.push('    ApiClientError,');
+    lines.push('    RestClient,');
+    lines.push(`    ${Object.keys(channels).join(',\n    ')}`);
+    lines.push('};');
+    lines.push('');
+
+    return lines.join('\n');
+}
+
+function renderDts(operations, channels) {
+    const lines = [HEADER];
+
+    lines.push(`import { EventEmitter } from 'events';`);
+    lines.push('');
+
+    [...typeDefinitions(openapi, 'Rest'), ...typeDefinitions(asyncapi, 'Ws')].forEach(definition => {
+        if (definition.description) {
+            lines.push(`/** ${definition.description} */`);
+        }
+        lines.push(`export type ${definition.name} = ${definition.type};`);
+    });
+    lines.push('');
+
+    lines.push('export declare class ApiClientError extends Error {');
+    lines.push('    status?: number;');
+    lines.push('    code?: string;');
+    lines.push('    errors: Array<{ path: string; message: string }>;');
+    lines.push('    body?: any;');
+    lines.push('}');
+    lines.push('');
+
+    lines.push('export declare class RestClient {');
+    lines.push('    constructor(baseUrl?: string, options?: { fetch?: typeof fetch; headers?: Record<string, string> });');
+    operations.forEach(operation => {
+        const args = operation.parameters.map(parameter => `${parameter.name}: ${toType(parameter.schema, 'Rest')}`);
+        if (operation.body) {
+            args.push(`body${operation.bodyRequired ? '' : '?'}: ${toType(operation.body, 'Rest')}`);
+        }
+        if (operation.query.length > 0) {
+            args.push(`query?: ${queryType(operation.query)}`);
+        }
+        const response = operation.response ? toType(operation.response, 'Rest') : 'null';
+        lines.push(`    /** ${operation.summary} */`);
+        lines.push(`    ${operation.id}(${args.join(', ')}): Promise<${response}>;`);
+    });
+    lines.push('}');
+    lines.push('');
+
+    Object.entries(channels).forEach(([className, { messages }]) => {
+        lines.push(`export declare class ${className} extends EventEmitter {`);
+        lines.push('    constructor(url?: string, options?: { WebSocket?: any; timeout?: number; headers?: Record<string, string> });');
+        lines.push('    connect(): Promise<void>;');
+        lines.push('    close(): void;');
+        lines.push('    request(type: string, fields?: Record<string, any>): Promise<any>;');
+        messages.forEach(message => {
+            lines.push(`    /** ${message.summary} */`);
+            lines.push(`    ${message.method}(fields${message.fieldsRequired ? '' : '?'}: Omit<Ws${message.payload}, 'type' | 'requestId'>): Promise<Ws${message.reply}>;`);
+        });
+        lines.push('}');
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+function main() {
+    const operations = collectOperations();
+    const channels = {
+        ControlClient: { channel: 'control', messages: collectMessages('control') },
+        AudioClient: { channel: 'audio', messages: collectMessages('audio') }
+    };
+
+    const outputs = [
+        [JS_FILE, renderJs(operations, channels)],
+        [DTS_FILE, renderDts(operations, channels)]
+    ];
+
+    if (process.argv.includes('--check')) {
+        const stale = outputs.filter(([file, content]) => {
+            return !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== content;
+        });
+
+        if (stale.length > 0) {
+            console.error(`❌ Generated client is out of date: ${stale.map(([file]) => path.relative(ROOT, file)).join(', ')}`);
+            console.error('   Run: npm run generate:client');
+            process.exit(1);
+        }
+        console.log('✅ Generated client is up to date');
+        return;
+    }
+
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    outputs.forEach(([file, content]) => {
+        fs.writeFileSync(file, content);
+        console.log(`📝 Wrote ${path.relative(ROOT, file)}`);
+    });
+}
+
+main();
@@ -0,0 +1,61 @@
+/**
+ * Atomic File - Replace a whole file without ever leaving half of it
+ *
+ * The data is written to a temporary file next to the target, which is then
+ * renamed over it, so a crash leaves either the old or the new version.
+ * With a mode (0o600 for files holding secrets) the temporary file gets it
+ * before any data is written, so the contents are never readable by others.
+ *
+ * Used by the state store, the user and API token stores and the recordings
+ * index; writeFile() is the asynchronous variant for hot paths.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let nextTemp = 0;
+
+// Unique per write, so concurrent writes of one file cannot mix
+function tempPath(file) {
+    return `${file}.${process.pid}.${nextTemp++}.tmp`;
+}
+
+/**
+ * @param {string} file - Absolute path of the file to replace
+ * @param {string|Buffer} data - New contents
+ * @param {number} [mode] - File mode, e.g. 0o600
+ */
+function writeFileSync(file, data, mode) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const tmp = tempPath(file);
+    try {
+        fs.writeFileSync(tmp, data, mode !== undefined ? { mode } : undefined);
+        fs.renameSync(tmp, file);
+    } catch (error) {
+        fs.rmSync(tmp, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Like writeFileSync(), without blocking the event loop
+ * @returns {Promise}
+ */
+async function writeFile(file, data, mode) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    const tmp = tempPath(file);
+    try {
+        await fs.promises.writeFile(tmp, data, mode !== undefined ? { mode } : undefined);
+        await fs.promises.rename(tmp, file);
+    } catch (error) {
+        await fs.promises.rm(tmp, { force: true });
+        throw error;
+    }
+}
+
+module.exports = {
+    writeFile,
+    writeFileSync
+};
@@ -4,6 +4,9 @@
  * Handles packet format conversion and routing
  */
 
+const protocol = require('./packet-protocol');
+const log = require('./logger').forModule('audio-bridge');
+
 class AudioBridge {
     constructor(udpServer, dashboardServer) {
         this.udpServer = udpServer;
@@ -15,7 +18,7 @@ class AudioBridge {
         // Track sequence numbers for dashboard
         this.dashboardSequence = 0;
 
-        console.log('🌉 Audio bridge initialized');
+        log.info('Audio bridge initialized');
     }
 
     setupUDPInterception() {
@@ -24,9 +27,9 @@ class AudioBridge {
         // Hook into the UDP server's routing mechanism
         const originalRouteAudio = this.udpServer.routeAudio.bind(this.udpServer);
 
-        this.udpServer.routeAudio = (sourceDevice, packet) => {
+        this.udpServer.routeAudio = (sourceDevice, packet, decoded) => {
             // Call original routing
-            originalRouteAudio(sourceDevice, packet);
+            originalRouteAudio(sourceDevice, packet, decoded);
 
             // Also check if dashboard is listening to this device
             const routes = this.udpServer.audioRouter.getRoutes(sourceDevice.id);
@@ -51,32 +54,30 @@ class AudioBridge {
     // Create UDP packet from dashboard audio
     createUDPPacket(audioData, targetDeviceId) {
         const opusData = Buffer.from(audioData, 'base64');
-        const packet = Buffer.alloc(8 + opusData.length);
-
-        // Device ID (DSH for dashboard)
-        packet.write('DSH\0', 0, 4);
-
-        // Sequence number (big-endian)
-        packet.writeUInt16BE(this.dashboardSequence++, 4);
-
-        // Packet type (0x0001 for audio)
-        packet.writeUInt16BE(0x0001, 6);
-
-        // Opus audio data
-        opusData.copy(packet, 8);
-
-        return packet;
+        const target = this.udpServer && this.udpServer.deviceManager.getDevice(targetDeviceId);
+
+        // DSH packet in whatever protocol version the target speaks
+        return protocol.encodePacket({
+            version: target ? target.protocolVersion : protocol.PROTOCOL_V1,
+            type: protocol.PACKET_TYPES.AUDIO,
+            deviceId: 'DSH',
+            sequence: this.dashboardSequence++,
+            payload: opusData
+        });
     }
 
     // Parse UDP packet for dashboard consumption
     parseUDPPacket(packet) {
-        if (packet.length < 8) return null;
+        const decoded = protocol.decodePacket(packet);
+        if (!decoded) return null;
 
         return {
-            deviceId: packet.slice(0, 4).toString().replace(/\0/g, ''),
-            sequence: packet.readUInt16BE(4),
-            type: packet.readUInt16BE(6),
-            audioData: packet.slice(8)
+            deviceId: decoded.deviceId,
+            sequence: decoded.sequence,
+            type: decoded.type,
+            version: decoded.version,
+            timestamp: decoded.timestamp,
+            audioData: decoded.payload
         };
     }
 
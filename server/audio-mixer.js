@@ -0,0 +1,284 @@
+/**
+ * Audio Mixer - Server-side mix-minus for group calls
+ *
+ * Decodes the Opus frames of every participant of a mixed group, and every
+ * frame interval produces one stream per listener containing everybody
+ * except the listener itself. Each listener therefore receives a single
+ * paced stream instead of one interleaved stream per talker.
+ *
+ * Features:
+ * - Per-participant gain (taken from AudioRouter)
+ * - Small per-participant frame buffer to absorb arrival jitter
+ * - One Opus encoder per listener (encoder state is per stream)
+ * - Silence suppression when nobody else is talking
+ */
+
+const CONFIG = require('../config/server-config.json');
+const protocol = require('./packet-protocol');
+const log = require('./logger').forModule('audio-mixer');
+
+// Opus is a native module; without it the mixer stays disabled and
+// groups keep using packet forwarding
+let OpusEncoder = null;
+try {
+    ({ OpusEncoder } = require('@discordjs/opus'));
+} catch (error) {
+    OpusEncoder = null;
+}
+
+// Source ID written in the header of mixed packets
+const MIXER_DEVICE_ID = 'MIX';
+
+class AudioMixer {
+    constructor(udpServer) {
+        this.udpServer = udpServer;
+
+        // Mix sessions per group
+        this.sessions = new Map(); // Key: groupId, Value: { inputs, outputs }
+
+        // Timing configuration
+        this.FRAME_INTERVAL = CONFIG.audio.frameDuration;
+        this.FRAME_SIZE = (CONFIG.audio.sampleRate * CONFIG.audio.frameDuration) / 1000;
+        this.MAX_BUFFERED_FRAMES = CONFIG.mixer.maxBufferedFrames;
+
+        this.mixInterval = null;
+
+        // Statistics
+        this.stats = {
+            framesDecoded: 0,
+            framesDropped: 0,
+            decodeErrors: 0,
+            framesMixed: 0,
+            packetsSent: 0
+        };
+
+        if (CONFIG.mixer.enabled && !OpusEncoder) {
+            log.warn('Audio mixer disabled: @discordjs/opus is not installed');
+        }
+    }
+
+    /**
+     * Whether the server can mix audio
+     * @returns {boolean} True when mixing is enabled and Opus is available
+     */
+    isAvailable() {
+        return Boolean(CONFIG.mixer.enabled && OpusEncoder);
+    }
+
+    /**
+     * Add a participant's Opus frame to a group's mix
+     * @param {string} groupId - Mixed group the frame belongs to
+     * @param {string} deviceId - Talking device
+     * @param {Buffer} opusData - Opus payload (without packet header)
+     */
+    pushFrame(groupId, deviceId, opusData) {
+        if (!this.isAvailable() || opusData.length === 0) return;
+
+        const session = this.getSession(groupId);
+
+        if (!session.inputs.has(deviceId)) {
+            session.inputs.set(deviceId, {
+                decoder: new OpusEncoder(CONFIG.audio.sampleRate, CONFIG.audio.channels),
+                frames: []
+            });
+        }
+
+        const input = session.inputs.get(deviceId);
+
+        let pcm;
+        try {
+            pcm = input.decoder.decode(opusData);
+        } catch (error) {
+            this.stats.decodeErrors++;
+            return;
+        }
+
+        input.frames.push(new Int16Array(pcm.buffer, pcm.byteOffset, pcm.length / 2));
+        this.stats.framesDecoded++;
+
+        // Drop oldest frames if the talker is running ahead of the mix clock
+        while (input.frames.length > this.MAX_BUFFERED_FRAMES) {
+            input.frames.shift();
+            this.stats.framesDropped++;
+        }
+
+        this.startMixer();
+    }
+
+    /**
+     * Get or create the mix session of a group
+     * @param {string} groupId - Group ID
+     * @returns {Object} Session with decoder inputs and encoder outputs
+     */
+    getSession(groupId) {
+        if (!this.sessions.has(groupId)) {
+            this.sessions.set(groupId, {
+                inputs: new Map(),  // deviceId -> { decoder, frames }
+                outputs: new Map()  // deviceId -> { encoder, sequence, timestamp }
+            });
+            log.info(`Mix session started for group ${groupId}`, { groupId });
+        }
+        return this.sessions.get(groupId);
+    }
+
+    /**
+     * Start the mix clock if it is not running
+     */
+    startMixer() {
+        if (this.mixInterval) return;
+
+        this.mixInterval = setInterval(() => {
+            this.mixAll();
+        }, this.FRAME_INTERVAL);
+    }
+
+    /**
+     * Produce one mixed frame per listener for every session
+     */
+    mixAll() {
+        const router = this.udpServer.audioRouter;
+        const deviceManager = this.udpServer.deviceManager;
+
+        for (const [groupId, session] of this.sessions.entries()) {
+            const members = deviceManager.getGroupMembers(groupId);
+
+            // Group was deleted or switched back to forwarding
+            if (members.length === 0 || !router.isGroupMixed(groupId)) {
+                this.sessions.delete(groupId);
+                log.info(`Mix session ended for group ${groupId}`, { groupId });
+                continue;
+            }
+
+            // Take one frame from every talker
+            const talkers = [];
+            for (const [deviceId, input] of session.inputs.entries()) {
+                if (!members.includes(deviceId)) {
+                    session.inputs.delete(deviceId);
+                    continue;
+                }
+                if (input.frames.length > 0) {
+                    talkers.push({
+                        deviceId,
+                        samples: input.frames.shift(),
+                        gain: router.getParticipantGain(groupId, deviceId)
+                    });
+                }
+            }
+
+            if (talkers.length === 0) continue;
+
+            // Mute only silences a device's own audio, muted devices still hear the mix
+            members.forEach(listenerId => {
+                const listener = deviceManager.getDevice(listenerId);
+                if (!listener || !listener.online || listener.isDashboard) return;
+
+                const pcm = this.mixMinus(talkers, listenerId);
+                if (!pcm) return; // Listener is the only talker
+
+                this.sendMixedFrame(session, listener, pcm);
+            });
+        }
+
+        if (this.sessions.size === 0) {
+            clearInterval(this.mixInterval);
+            this.mixInterval = null;
+        }
+    }
+
+    /**
+     * Sum all talkers except the listener
+     * @param {Array} talkers - Frames taken this tick
+     * @param {string} listenerId - Device that will receive the mix
+     * @returns {Buffer|null} 16-bit PCM, or null if nothing to send
+     */
+    mixMinus(talkers, listenerId) {
+        const others = talkers.filter(t => t.deviceId !== listenerId);
+        if (others.length === 0) return null;
+
+        const pcm = Buffer.alloc(this.FRAME_SIZE * CONFIG.audio.channels * 2);
+        const length = pcm.length / 2;
+
+        for (let i = 0; i < length; i++) {
+            let sum = 0;
+            others.forEach(t => {
+                if (i < t.samples.length) {
+                    sum += t.samples[i] * t.gain;
+                }
+            });
+            pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sum))), i * 2);
+        }
+
+        this.stats.framesMixed++;
+        return pcm;
+    }
+
+    /**
+     * Encode a mixed frame and send it to a listener
+     * @param {Object} session - Mix session
+     * @param {Object} listener - Target device object
+     * @param {Buffer} pcm - Mixed 16-bit PCM
+     */
+    sendMixedFrame(session, listener, pcm) {
+        if (!session.outputs.has(listener.id)) {
+            const encoder = new OpusEncoder(CONFIG.audio.sampleRate, CONFIG.audio.channels);
+            encoder.setBitrate(CONFIG.mixer.bitrate);
+            session.outputs.set(listener.id, { encoder, sequence: 0, timestamp: 0 });
+        }
+
+        const output = session.outputs.get(listener.id);
+        const opusData = output.encoder.encode(pcm);
+
+        // Same wire format as device audio, in the listener's protocol version
+        const packet = protocol.encodePacket({
+            version: listener.protocolVersion,
+            type: protocol.PACKET_TYPES.AUDIO,
+            deviceId: MIXER_DEVICE_ID,
+            sequence: output.sequence,
+            timestamp: output.timestamp,
+            payload: opusData
+        });
+
+        output.sequence = (output.sequence + 1) & 0xFFFF;
+        output.timestamp = (output.timestamp + this.FRAME_SIZE) >>> 0;
+
+        this.udpServer.sendAudio(listener, packet);
+        this.udpServer.stats.packetsRouted++;
+        this.stats.packetsSent++;
+    }
+
+    /**
+     * Get statistics for monitoring
+     * @returns {Object} Current statistics
+     */
+    getStats() {
+        const sessions = {};
+        for (const [groupId, session] of this.sessions.entries()) {
+            sessions[groupId] = {
+                talkers: Array.from(session.inputs.keys()),
+                listeners: Array.from(session.outputs.keys())
+            };
+        }
+
+        return {
+            ...this.stats,
+            available: this.isAvailable(),
+            sessions
+        };
+    }
+
+    /**
+     * Stop the mixer and release all codec state
+     */
+    stop() {
+        if (this.mixInterval) {
+            clearInterval(this.mixInterval);
+            this.mixInterval = null;
+        }
+
+        this.sessions.clear();
+    }
+}
+
+AudioMixer.MIXER_DEVICE_ID = MIXER_DEVICE_ID;
+
+module.exports = AudioMixer;
@@ -1,5 +1,6 @@
 const EventEmitter = require('events');
 const CONFIG = require('../config/server-config.json');
+const log = require('./logger').forModule('audio-router');
 
 class AudioRouter extends EventEmitter {
     constructor(deviceManager) {
@@ -9,6 +10,16 @@ class AudioRouter extends EventEmitter {
         this.broadcastMode = new Map(); // deviceId -> boolean
         this.mutedDevices = new Set();
         this.routingMode = CONFIG.routing.defaultMode; // 'unicast', 'broadcast', 'group'
+        this.groupModes = new Map(); // groupId -> 'forward' | 'mix'
+        this.participantGains = new Map(); // groupId -> Map of deviceId -> gain
+        this.conferenceCounter = 0;
+        this.mixerAvailable = false; // Set by the server once the AudioMixer is up
+        this.floorControl = null; // Set by the server, gates push-to-talk groups
+
+        // Forget the mode and gains of groups that no longer exist
+        this.deviceManager.on('group-deleted', ({ groupId }) => {
+            this.removeGroupSettings(groupId);
+        });
     }
 
     // Set a direct route from source to target
@@ -21,9 +32,9 @@ class AudioRouter extends EventEmitter {
         this.routes.get(sourceId).add(targetId);
 
         if (sourceId === targetId) {
-            console.log(`🔊 ECHO MODE enabled: ${sourceId} → ${targetId} (self-echo)`);
+            log.info(`ECHO MODE enabled: ${sourceId} → ${targetId} (self-echo)`, { route: `${sourceId}->${targetId}` });
         } else {
-            console.log(`📡 Route created: ${sourceId} → ${targetId}`);
+            log.info(`Route created: ${sourceId} → ${targetId}`, { route: `${sourceId}->${targetId}` });
         }
 
         this.emit('route-created', { source: sourceId, target: targetId });
@@ -38,7 +49,7 @@ class AudioRouter extends EventEmitter {
 
         // Allow self-routing in multiple routes
         this.routes.set(sourceId, new Set(targetIds));
-        console.log(`📡 Multiple routes created from ${sourceId} to ${targetIds.length} devices`);
+        log.info(`Multiple routes created from ${sourceId} to ${targetIds.length} devices`, { deviceId: sourceId, targets: targetIds });
 
         this.emit('routes-updated', { source: sourceId, targets: targetIds });
         return true;
@@ -54,7 +65,7 @@ class AudioRouter extends EventEmitter {
             this.routes.delete(sourceId);
         }
 
-        console.log(`❌ Route removed: ${sourceId} → ${targetId}`);
+        log.info(`Route removed: ${sourceId} → ${targetId}`, { route: `${sourceId}->${targetId}` });
         this.emit('route-removed', { source: sourceId, target: targetId });
         return true;
     }
@@ -62,11 +73,25 @@ class AudioRouter extends EventEmitter {
     // Clear all routes for a device
     clearRoutes(deviceId) {
         this.routes.delete(deviceId);
-        console.log(`🧹 Cleared all routes for ${deviceId}`);
+        log.info(`Cleared all routes for ${deviceId}`, { deviceId });
         this.emit('routes-cleared', { device: deviceId });
     }
 
+    // Clear the direct routes of every device
+    clearAllRoutes() {
+        this.routes.clear();
+        log.info('Cleared all routes');
+        this.emit('routes-cleared', { device: null });
+    }
+
+    // Get the direct routes configured for a source (ignores mute, broadcast and groups)
+    getDirectRoutes(sourceId) {
+        const routes = this.routes.get(sourceId);
+        return routes ? Array.from(routes) : [];
+    }
+
     // Get all routes for a source device
+    // Mute only silences a device's own audio, muted devices still receive
     getRoutes(sourceId) {
         if (this.mutedDevices.has(sourceId)) {
             return []; // Device is muted
@@ -75,18 +100,19 @@ class AudioRouter extends EventEmitter {
         // Check broadcast mode
         if (this.broadcastMode.get(sourceId)) {
             return this.deviceManager.getOnlineDevices()
-                .filter(d => d.id !== sourceId && !this.mutedDevices.has(d.id))
+                .filter(d => d.id !== sourceId)
                 .map(d => d.id);
         }
 
-        // Check group routing
-        const groups = this.deviceManager.getDeviceGroups(sourceId);
+        // Check group routing (mixed groups are delivered by the AudioMixer instead)
+        const groups = this.deviceManager.getDeviceGroups(sourceId)
+            .filter(groupId => !this.isGroupMixed(groupId) && this.mayTalk(groupId, sourceId));
         if (groups.length > 0) {
             const groupTargets = new Set();
             groups.forEach(groupId => {
                 const members = this.deviceManager.getGroupMembers(groupId);
                 members.forEach(memberId => {
-                    if (memberId !== sourceId && !this.mutedDevices.has(memberId)) {
+                    if (memberId !== sourceId) {
                         groupTargets.add(memberId);
                     }
                 });
@@ -99,34 +125,34 @@ class AudioRouter extends EventEmitter {
 
         // Return direct routes only
         const routes = this.routes.get(sourceId);
-        return routes ? Array.from(routes).filter(id => !this.mutedDevices.has(id)) : [];
+        return routes ? Array.from(routes) : [];
     }
 
     // Enable broadcast mode for a device
     enableBroadcast(deviceId) {
         this.broadcastMode.set(deviceId, true);
-        console.log(`📢 Broadcast mode enabled for ${deviceId}`);
+        log.info(`Broadcast mode enabled for ${deviceId}`, { deviceId });
         this.emit('broadcast-enabled', { device: deviceId });
     }
 
     // Disable broadcast mode for a device
     disableBroadcast(deviceId) {
         this.broadcastMode.set(deviceId, false);
-        console.log(`🔇 Broadcast mode disabled for ${deviceId}`);
+        log.info(`Broadcast mode disabled for ${deviceId}`, { deviceId });
         this.emit('broadcast-disabled', { device: deviceId });
     }
 
-    // Mute a device (no audio routing)
+    // Mute a device (its audio is not routed, it still hears others)
     muteDevice(deviceId) {
         this.mutedDevices.add(deviceId);
-        console.log(`🔇 Device ${deviceId} muted`);
+        log.info(`Device ${deviceId} muted`, { deviceId });
         this.emit('device-muted', { device: deviceId });
     }
 
     // Unmute a device
     unmuteDevice(deviceId) {
         this.mutedDevices.delete(deviceId);
-        console.log(`🔊 Device ${deviceId} unmuted`);
+        log.info(`Device ${deviceId} unmuted`, { deviceId });
         this.emit('device-unmuted', { device: deviceId });
     }
 
@@ -134,27 +160,137 @@ class AudioRouter extends EventEmitter {
     createBidirectionalRoute(deviceA, deviceB) {
         this.setRoute(deviceA, deviceB);
         this.setRoute(deviceB, deviceA);
-        console.log(`🔄 Bidirectional route created: ${deviceA} ↔ ${deviceB}`);
+        log.info(`Bidirectional route created: ${deviceA} ↔ ${deviceB}`, { devices: [deviceA, deviceB] });
         this.emit('bidirectional-route-created', { deviceA, deviceB });
     }
 
     // Create a conference (all devices can hear each other)
-    createConference(deviceIds) {
+    // mode 'forward' fans every packet out to every participant,
+    // mode 'mix' backs the conference with a mixed group (one stream per listener)
+    createConference(deviceIds, options = {}) {
         if (deviceIds.length > CONFIG.routing.maxGroupSize) {
-            console.warn(`Conference size ${deviceIds.length} exceeds maximum ${CONFIG.routing.maxGroupSize}`);
+            log.warn(`Conference size ${deviceIds.length} exceeds maximum ${CONFIG.routing.maxGroupSize}`);
             return false;
         }
 
+        let mode = options.mode || CONFIG.mixer.defaultConferenceMode;
+        if (mode === 'mix' && !this.mixerAvailable) {
+            log.warn('Audio mixer unavailable, falling back to forwarded conference');
+            mode = 'forward';
+        }
+
+        if (mode === 'mix') {
+            const groupId = options.groupId || `conf-${++this.conferenceCounter}`;
+            if (!this.deviceManager.createGroup(groupId, deviceIds)) {
+                return false;
+            }
+            this.setGroupMode(groupId, 'mix');
+
+            log.info(`Mixed conference ${groupId} created with ${deviceIds.length} participants`, { groupId, participants: deviceIds });
+            this.emit('conference-created', { participants: deviceIds, groupId, mode });
+            return groupId;
+        }
+
         deviceIds.forEach(sourceId => {
             const targets = deviceIds.filter(id => id !== sourceId);
             this.setMultipleRoutes(sourceId, targets);
         });
 
-        console.log(`📞 Conference created with ${deviceIds.length} participants`);
-        this.emit('conference-created', { participants: deviceIds });
+        log.info(`Conference created with ${deviceIds.length} participants`, { participants: deviceIds });
+        this.emit('conference-created', { participants: deviceIds, mode });
+        return true;
+    }
+
+    // Select how a group's audio is delivered: 'forward' (packet fan-out) or 'mix'
+    setGroupMode(groupId, mode) {
+        if (mode !== 'forward' && mode !== 'mix') {
+            log.warn(`Unknown group mode: ${mode}`, { groupId });
+            return false;
+        }
+
+        if (mode === 'mix' && !this.mixerAvailable) {
+            log.warn(`Cannot mix group ${groupId}: audio mixer unavailable`, { groupId });
+            return false;
+        }
+
+        if (mode === 'forward') {
+            this.groupModes.delete(groupId);
+        } else {
+            this.groupModes.set(groupId, mode);
+        }
+
+        log.info(`Group ${groupId} set to ${mode} mode`, { groupId, mode });
+        this.emit('group-mode-changed', { groupId, mode });
+        return true;
+    }
+
+    getGroupMode(groupId) {
+        return this.groupModes.get(groupId) || 'forward';
+    }
+
+    isGroupMixed(groupId) {
+        return this.groupModes.get(groupId) === 'mix';
+    }
+
+    // Drop the mode and gains of a deleted group
+    removeGroupSettings(groupId) {
+        this.groupModes.delete(groupId);
+        this.participantGains.delete(groupId);
+    }
+
+    // Describe a group for the control APIs
+    describeGroup(groupId) {
+        const members = this.deviceManager.getGroupMembers(groupId);
+        return {
+            groupId,
+            members,
+            mode: this.getGroupMode(groupId),
+            floor: this.floorControl ? this.floorControl.describeFloor(groupId) : null,
+            gains: Object.fromEntries(members.map(deviceId => [
+                deviceId,
+                this.getParticipantGain(groupId, deviceId)
+            ]))
+        };
+    }
+
+    // Get the mixed groups a source device contributes to
+    getMixGroups(sourceId) {
+        if (this.mutedDevices.has(sourceId)) {
+            return [];
+        }
+
+        return this.deviceManager.getDeviceGroups(sourceId)
+            .filter(groupId => this.isGroupMixed(groupId) && this.mayTalk(groupId, sourceId));
+    }
+
+    // Whether floor control lets a source talk in a group
+    mayTalk(groupId, sourceId) {
+        return !this.floorControl || this.floorControl.mayTalk(groupId, sourceId);
+    }
+
+    // Set the mix gain of one participant in a group (1.0 = unity)
+    setParticipantGain(groupId, deviceId, gain) {
+        const value = Number(gain);
+        if (!Number.isFinite(value) || value < 0 || value > CONFIG.mixer.maxGain) {
+            log.warn(`Invalid gain ${gain} for ${deviceId} in group ${groupId}`, { groupId, deviceId });
+            return false;
+        }
+
+        if (!this.participantGains.has(groupId)) {
+            this.participantGains.set(groupId, new Map());
+        }
+        this.participantGains.get(groupId).set(deviceId, value);
+
+        log.info(`Gain for ${deviceId} in group ${groupId} set to ${value}`, { groupId, deviceId, gain: value });
+        this.emit('participant-gain-changed', { groupId, deviceId, gain: value });
         return true;
     }
 
+    getParticipantGain(groupId, deviceId) {
+        const gains = this.participantGains.get(groupId);
+        return gains && gains.has(deviceId) ? gains.get(deviceId) : 1.0;
+    }
+
     // Get routing matrix (for dashboard)
     getRoutingMatrix() {
         const matrix = {};
@@ -166,7 +302,8 @@ class AudioRouter extends EventEmitter {
                 muted: this.mutedDevices.has(device.id),
                 broadcast: this.broadcastMode.get(device.id) || false,
                 routes: this.getRoutes(device.id),
-                groups: this.deviceManager.getDeviceGroups(device.id)
+                groups: this.deviceManager.getDeviceGroups(device.id),
+                mixGroups: this.getMixGroups(device.id)
             };
         });
 
@@ -175,7 +312,7 @@ class AudioRouter extends EventEmitter {
 
     // Update routing based on predefined scenarios
     applyRoutingScenario(scenario) {
-        console.log(`🎭 Applying routing scenario: ${scenario}`);
+        log.info(`Applying routing scenario: ${scenario}`);
 
         switch(scenario) {
             case 'all-to-all':
@@ -216,11 +353,13 @@ class AudioRouter extends EventEmitter {
                 this.routes.clear();
                 this.broadcastMode.clear();
                 this.mutedDevices.clear();
-                console.log('🧹 All routes cleared');
+                this.groupModes.clear();
+                this.participantGains.clear();
+                log.info('All routes cleared');
                 break;
 
             default:
-                console.warn(`Unknown routing scenario: ${scenario}`);
+                log.warn(`Unknown routing scenario: ${scenario}`);
                 return false;
         }
 
@@ -237,7 +376,12 @@ class AudioRouter extends EventEmitter {
             })),
             broadcast: Array.from(this.broadcastMode.entries()),
             muted: Array.from(this.mutedDevices),
-            mode: this.routingMode
+            mode: this.routingMode,
+            groupModes: Array.from(this.groupModes.entries()),
+            gains: Array.from(this.participantGains.entries()).map(([groupId, gains]) => ({
+                groupId,
+                gains: Array.from(gains.entries())
+            }))
         };
     }
 
@@ -248,6 +392,8 @@ class AudioRouter extends EventEmitter {
             this.routes.clear();
             this.broadcastMode.clear();
             this.mutedDevices.clear();
+            this.groupModes.clear();
+            this.participantGains.clear();
 
             // Import routes
             if (config.routes) {
@@ -270,19 +416,41 @@ class AudioRouter extends EventEmitter {
                 });
             }
 
+            // Import group delivery modes and mix gains; without the mixer
+            // mixed groups fall back to forwarding, as in setGroupMode()
+            if (config.groupModes) {
+                config.groupModes.forEach(([groupId, mode]) => {
+                    if (mode !== 'mix') return;
+                    if (!this.mixerAvailable) {
+                        log.warn(`Group ${groupId} imported as forwarded: audio mixer unavailable`, { groupId });
+                        return;
+                    }
+                    this.groupModes.set(groupId, mode);
+                });
+            }
+
+            if (config.gains) {
+                config.gains.forEach(({ groupId, gains }) => {
+                    this.participantGains.set(groupId, new Map(gains));
+                });
+            }
+
             // Set routing mode
             if (config.mode) {
                 this.routingMode = config.mode;
             }
 
-            console.log('✅ Routing configuration imported successfully');
+            log.info('Routing configuration imported successfully');
             this.emit('configuration-imported', config);
             return true;
         } catch (error) {
-            console.error(`❌ Failed to import configuration: ${error.message}`);
+            log.error(`Failed to import configuration: ${error.message}`);
             return false;
         }
     }
 }
 
+// Scenario names accepted by applyRoutingScenario
+AudioRouter.SCENARIOS = ['all-to-all', 'pairs', 'chain', 'hub', 'clear'];
+
 module.exports = AudioRouter;
\ No newline at end of file
@@ -0,0 +1,420 @@
+/**
+ * Audit Log - Append-only record of routing and device changes
+ *
+ * Every change the AudioRouter and DeviceManager announce (routes, mute,
+ * broadcast, groups, gains, scenarios, imports, device names) ends up in an
+ * entry:
+ *   { id, timestamp, actor, action, changes, devices, diff }
+ *
+ * The control surfaces run each command inside record(actor, action, fn)
+ * (or begin()/end()): the changes made meanwhile become one entry with that
+ * actor and action, e.g. a scenario and the routes it set. Changes made
+ * outside a command (floor timeouts, a group emptied by a disconnect) are
+ * recorded one by one with the actor { type: 'server' } and the event name
+ * as action. Actors:
+ *   { type: 'dashboard', address, user, token }   Control WebSocket client
+ *   { type: 'rest', address, user, token }        REST API or /api/route caller
+ *   { type: 'audio', address, user, token }       Audio WebSocket client
+ *   { type: 'device', id }                        Device control packet
+ *   { type: 'server' }
+ * user is the logged-in dashboard user (null with authentication disabled or
+ * for API tokens), token the ID of the API token used, if any.
+ *
+ * diff lists what changed in the routing configuration (AudioRouter
+ * exportConfiguration) plus groups and device metadata, keyed by device or
+ * group, as { path, before, after }, e.g.
+ *   { path: ['routes', '001'], before: ['002'], after: ['002', '003'] }
+ * before is left out for something added, after for something removed.
+ * Commands that changed nothing are not recorded.
+ *
+ * Entries are appended to config.audit.file as JSON lines, asynchronously
+ * and in order, and never rewritten; past maxSize the file is rotated
+ * (file.1 is the newest old one) keeping maxFiles old files. The newest
+ * maxEntries are kept in memory for query() and read back from the end of
+ * the files on start.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG = require('../config/server-config.json');
+const logging = require('./logger');
+const log = logging.forModule('audit-log');
+
+const DEFAULTS = {
+    enabled: true,
+    file: 'data/audit.log',
+    maxEntries: 5000,
+    maxSize: '10m',
+    maxFiles: 5
+};
+
+const READ_CHUNK = 64 * 1024;
+
+const ROUTER_EVENTS = [
+    'route-created',
+    'routes-updated',
+    'route-removed',
+    'routes-cleared',
+    'broadcast-enabled',
+    'broadcast-disabled',
+    'device-muted',
+    'device-unmuted',
+    'conference-created',
+    'group-mode-changed',
+    'participant-gain-changed',
+    'scenario-applied',
+    'configuration-imported'
+];
+
+const DEVICE_EVENTS = [
+    'group-created',
+    'group-updated',
+    'group-deleted',
+    'device-metadata-changed',
+    'configuration-imported'
+];
+
+// Event fields that name devices, for the `device` filter
+const DEVICE_FIELDS = ['source', 'target', 'device', 'deviceId', 'deviceA', 'deviceB'];
+const DEVICE_LIST_FIELDS = ['targets', 'participants', 'members'];
+
+const SERVER_ACTOR = { type: 'server' };
+
+class AuditLog extends EventEmitter {
+    constructor(audioRouter, deviceManager, options = {}) {
+        super();
+        this.audioRouter = audioRouter;
+        this.deviceManager = deviceManager;
+        this.options = { ...DEFAULTS, ...CONFIG.audit, ...options };
+        this.file = path.resolve(__dirname, '..', this.options.file);
+        this.maxSize = logging.parseSize(this.options.maxSize);
+
+        this.entries = [];    // Newest last, at most maxEntries
+        this.nextId = 1;
+        this.running = false;
+        this.scope = null;    // Command in progress: { actor, action, changes, depth }
+        this.current = null;  // Snapshot after the last recorded change
+        this.size = 0;        // Of the file, including queued writes
+        this.cutShort = false; // The file ends with a line a crash cut short
+        this.writing = Promise.resolve(); // Appends, one after the other
+
+        this.stats = {
+            recorded: 0,
+            writeErrors: 0
+        };
+    }
+
+    /**
+     * Load the recent entries and start recording changes
+     * Called after the saved state was restored, which is not a change.
+     */
+    start() {
+        if (!this.options.enabled || this.running) return;
+
+        this.load();
+        this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+        this.cutShort = this.size > 0 && !endsWithNewline(this.file);
+        if (this.cutShort) {
+            log.warn('Audit log ends with a line cut short, skipping it');
+        }
+        this.current = this.snapshot();
+
+        ROUTER_EVENTS.forEach(event => this.audioRouter.on(event, data => this.onChange(event, data)));
+        DEVICE_EVENTS.forEach(event => this.deviceManager.on(event, data => this.onChange(event, data)));
+        this.running = true;
+
+        log.info(`Audit log enabled (${this.options.file}, ${this.entries.length} recent entries)`);
+    }
+
+    // The newest maxEntries lines, from the end of the file and then the rotated ones
+    load() {
+        let lines = [];
+        for (let index = 0; index <= this.options.maxFiles && lines.length < this.options.maxEntries; index++) {
+            const file = this.rotatedFile(index);
+            if (!fs.existsSync(file)) break;
+
+            try {
+                lines = readLastLines(file, this.options.maxEntries - lines.length).concat(lines);
+            } catch (error) {
+                log.error(`Failed to read audit log ${file}: ${error.message}`);
+                break;
+            }
+        }
+
+        lines.forEach(line => {
+            if (!line.trim()) return;
+            try {
+                const entry = JSON.parse(line);
+                this.entries.push(entry);
+                this.nextId = Math.max(this.nextId, entry.id + 1);
+            } catch (error) {
+                // Damaged in the middle of a file; the rest of it is fine
+                log.warn(`Skipping unreadable audit log line: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Run a command on behalf of an actor; its changes become one entry
+     * @param {Object} actor - Who asked, e.g. { type: 'dashboard', address }
+     * @param {string} action - Command name, e.g. 'set-route'
+     * @param {Function} fn - The command
+     * @returns {*} What fn returns
+     */
+    record(actor, action, fn) {
+        this.begin(actor, action);
+        try {
+            return fn();
+        } finally {
+            this.end();
+        }
+    }
+
+    /**
+     * Start a command; changes until end() are attributed to actor
+     * A command started within another one belongs to the outer one.
+     */
+    begin(actor, action) {
+        if (this.scope) {
+            this.scope.depth++;
+            return;
+        }
+        this.scope = { actor, action, changes: [], depth: 1 };
+    }
+
+    end() {
+        if (!this.scope || --this.scope.depth > 0) return;
+
+        const { actor, action, changes } = this.scope;
+        this.scope = null;
+        if (changes.length > 0) {
+            this.append(actor, action, changes);
+        }
+    }
+
+    onChange(event, data) {
+        const change = describeChange(event, data);
+
+        if (this.scope) {
+            this.scope.changes.push(change);
+        } else {
+            this.append(SERVER_ACTOR, event, [change]);
+        }
+    }
+
+    append(actor, action, changes) {
+        const after = this.snapshot();
+        const diff = diffSnapshots(this.current, after);
+        if (diff.length === 0) return;
+        this.current = after;
+
+        const devices = new Set(actor.type === 'device' ? [actor.id] : []);
+        changes.forEach(change => {
+            DEVICE_FIELDS.forEach(field => {
+                if (typeof change[field] === 'string') devices.add(change[field]);
+            });
+            DEVICE_LIST_FIELDS.forEach(field => {
+                if (Array.isArray(change[field])) change[field].forEach(id => devices.add(id));
+            });
+        });
+
+        const entry = {
+            id: this.nextId++,
+            timestamp: Date.now(),
+            actor,
+            action,
+            changes,
+            devices: Array.from(devices),
+            diff
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.options.maxEntries) {
+            this.entries.shift();
+        }
+        this.write(entry);
+        this.stats.recorded++;
+
+        log.info(`${action} by ${describeActor(actor)}`, { auditId: entry.id, devices: entry.devices });
+        this.emit('entry', entry);
+    }
+
+    write(entry) {
+        // Starts on a line of its own after one cut short
+        const line = (this.cutShort ? '\n' : '') + JSON.stringify(entry) + '\n';
+        this.cutShort = false;
+        this.writing = this.writing
+            .then(() => this.appendLine(line))
+            .catch(error => {
+                this.stats.writeErrors++;
+                log.limited('write').error(`Failed to append to audit log: ${error.message}`);
+            });
+    }
+
+    async appendLine(line) {
+        const bytes = Buffer.byteLength(line);
+        if (this.size > 0 && this.size + bytes > this.maxSize) {
+            await this.rotate();
+        }
+
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.appendFile(this.file, line);
+        this.size += bytes;
+    }
+
+    // file -> file.1 -> ... -> file.maxFiles, the oldest is dropped
+    async rotate() {
+        for (let index = this.options.maxFiles - 1; index >= 0; index--) {
+            await fs.promises.rename(this.rotatedFile(index), this.rotatedFile(index + 1)).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+        }
+        this.size = 0;
+    }
+
+    rotatedFile(index) {
+        return index === 0 ? this.file : `${this.file}.${index}`;
+    }
+
+    /**
+     * Wait for queued writes, e.g. before exiting
+     * @returns {Promise}
+     */
+    flush() {
+        return this.writing;
+    }
+
+    // Keyed by device or group, so a diff names what changed
+    snapshot() {
+        const routing = this.audioRouter.exportConfiguration();
+        const devices = this.deviceManager.exportConfiguration();
+        return {
+            routes: Object.fromEntries(routing.routes.map(route => [route.source, route.targets])),
+            broadcast: Object.fromEntries(routing.broadcast),
+            muted: Object.fromEntries(routing.muted.map(deviceId => [deviceId, true])),
+            mode: routing.mode,
+            groupModes: Object.fromEntries(routing.groupModes),
+            gains: Object.fromEntries(routing.gains.map(group => [group.groupId, Object.fromEntries(group.gains)])),
+            groups: Object.fromEntries(devices.groups.map(group => [group.groupId, group.members])),
+            metadata: Object.fromEntries(devices.metadata)
+        };
+    }
+
+    /**
+     * Recent entries, newest first
+     * @param {Object} [filters]
+     * @param {string} [filters.actorType] - dashboard, rest, audio, device or server
+     * @param {string} [filters.actor] - User, API token ID, device ID or client address of the actor
+     * @param {string} [filters.action] - Command or event name
+     * @param {string} [filters.device] - Device the entry concerns
+     * @param {number} [filters.since] - Earliest timestamp (ms)
+     * @param {number} [filters.until] - Latest timestamp (ms)
+     * @param {number} [filters.limit] - At most this many entries (default 100)
+     * @returns {Object} { entries, total } with total the number of matches
+     */
+    query(filters = {}) {
+        const { actorType, actor, action, device, since, until, limit = 100 } = filters;
+
+        const matches = this.entries.filter(entry =>
+            (actorType === undefined || entry.actor.type === actorType) &&
+            (actor === undefined || [entry.actor.user, entry.actor.token, entry.actor.id, entry.actor.address].includes(actor)) &&
+            (action === undefined || entry.action === action) &&
+            (device === undefined || entry.devices.includes(device)) &&
+            (since === undefined || entry.timestamp >= since) &&
+            (until === undefined || entry.timestamp <= until));
+
+        return {
+            entries: matches.slice(-limit).reverse(),
+            total: matches.length
+        };
+    }
+
+    getStats() {
+        return {
+            enabled: this.running,
+            entries: this.entries.length,
+            ...this.stats
+        };
+    }
+}
+
+// Event data as stored in an entry; imports are described by the diff
+function describeChange(event, data) {
+    if (event === 'configuration-imported' || !data) {
+        return { event };
+    }
+    return { event, ...data };
+}
+
+/**
+ * Differences between two snapshots; objects are compared key by key,
+ * anything else (arrays, values) as a whole
+ * @returns {Array} [{ path, before, after }], before/after left out when absent
+ */
+function diffSnapshots(before, after, basePath = []) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (isObject(before) && isObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return Array.from(keys).flatMap(key => diffSnapshots(before[key], after[key], [...basePath, key]));
+    }
+
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+    const change = { path: basePath };
+    if (before !== undefined) change.before = before;
+    if (after !== undefined) change.after = after;
+    return [change];
+}
+
+// Up to count lines from the end of a file, reading backwards in chunks
+function readLastLines(file, count) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        let position = fs.fstatSync(fd).size;
+        let tail = Buffer.alloc(0);
+        let newlines = 0;
+
+        // One more newline than lines wanted: the file ends with one
+        while (position > 0 && newlines <= count) {
+            const length = Math.min(READ_CHUNK, position);
+            position -= length;
+            const chunk = Buffer.alloc(length);
+            fs.readSync(fd, chunk, 0, length, position);
+            for (let i = 0; i < length; i++) {
+                if (chunk[i] === 0x0a) newlines++;
+            }
+            tail = Buffer.concat([chunk, tail]);
+        }
+
+        // After the last newline: nothing, or a line cut short by a crash
+        const lines = tail.toString('utf8').split('\n').slice(0, -1).filter(line => line.trim());
+        return lines.slice(-count);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Unreadable files count as complete; appending to them reports the error
+function endsWithNewline(file) {
+    let fd;
+    try {
+        fd = fs.openSync(file, 'r');
+        const last = Buffer.alloc(1);
+        fs.readSync(fd, last, 0, 1, fs.fstatSync(fd).size - 1);
+        return last[0] === 0x0a;
+    } catch (error) {
+        return true;
+    } finally {
+        if (fd !== undefined) fs.closeSync(fd);
+    }
+}
+
+function describeActor(actor) {
+    const name = actor.user || (actor.token && `token ${actor.token}`) || actor.id || actor.address;
+    return name ? `${actor.type} ${name}` : actor.type;
+}
+
+AuditLog.ACTOR_TYPES = ['dashboard', 'rest', 'audio', 'device', 'server'];
+
+module.exports = AuditLog;
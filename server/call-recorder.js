@@ -0,0 +1,504 @@
+/**
+ * Call Recorder - Records device audio to Ogg Opus files
+ *
+ * A recording follows one target:
+ *   { type: 'device', deviceId }        Everything the device sends
+ *   { type: 'route', source, target }   Audio of source while it is routed to target
+ *   { type: 'group', groupId }          Audio of every member of the group
+ * and writes one track (an .opus file) per source device, so a group call
+ * gives one file per speaker.
+ *
+ * Packets are copied from routeAudio without decoding. Lost packets (gaps in
+ * the audio sequence) are filled with TOC-only Opus packets of the same
+ * duration, which decoders play back with their packet loss concealment, so
+ * the timeline of the file stays true; at most `maxGapMs` is filled per gap.
+ * Packets arriving after a later one was written are not recorded.
+ *
+ * Recordings and their tracks are listed in <directory>/index.json, which is
+ * rewritten whenever a recording starts, gains a track or stops, and once
+ * more when its files are closed. Track files and the index are written in
+ * the background; flush() waits for them. Track files are named after the
+ * recording and the device ID, with characters other than letters, digits,
+ * '.', '_' and '-' escaped as %XX.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const atomicFile = require('./atomic-file');
+const OggOpusWriter = require('./ogg-opus-writer');
+const OpusInspector = require('./opus-inspector');
+
+const CONFIG = require('../config/server-config.json');
+const log = require('./logger').forModule('call-recorder');
+
+const DEFAULTS = {
+    directory: 'recordings',
+    maxActive: 8,
+    maxDurationMinutes: 60,
+    maxGapMs: 2000,
+    restartGapMs: 1000,   // Time without audio after which a backwards sequence is a device restart
+    packetsPerPage: 50
+};
+
+const TARGET_TYPES = ['device', 'route', 'group'];
+const MAX_LABEL_LENGTH = 64;
+const SAMPLES_PER_MS = OggOpusWriter.OPUS_SAMPLE_RATE / 1000;
+
+class RecordingError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+class CallRecorder extends EventEmitter {
+    constructor(deviceManager, options = {}) {
+        super();
+        this.deviceManager = deviceManager;
+        this.options = { ...DEFAULTS, ...CONFIG.recording, ...options };
+        this.directory = path.resolve(__dirname, '..', this.options.directory);
+        this.indexFile = path.join(this.directory, 'index.json');
+
+        this.recordings = new Map(); // Key: recordingId, Value: recording (index entry)
+        this.active = new Map();     // Key: recordingId, Value: { recording, tracks: Map<deviceId, state>, timer }
+
+        this.indexWriting = Promise.resolve(); // Index rewrites, one after the other
+        this.trackFiles = Promise.resolve();   // Track files being closed or deleted
+
+        this.stats = {
+            started: 0,
+            stopped: 0,
+            packetsWritten: 0,
+            packetsFilled: 0,
+            packetsLate: 0,
+            packetsSkipped: 0 // Malformed, so of unknown duration
+        };
+
+        this.loadIndex();
+
+        // A deleted group has nothing left to record
+        deviceManager.on('group-deleted', ({ groupId }) => {
+            this.active.forEach(({ recording }) => {
+                if (recording.target.type === 'group' && recording.target.groupId === groupId) {
+                    this.stop(recording.id, 'group-deleted');
+                }
+            });
+        });
+    }
+
+    loadIndex() {
+        if (!fs.existsSync(this.indexFile)) return;
+
+        let recordings;
+        try {
+            recordings = JSON.parse(fs.readFileSync(this.indexFile, 'utf8')).recordings || [];
+        } catch (error) {
+            log.error(`Failed to read recordings index: ${error.message}`);
+            return;
+        }
+
+        // Recordings still running when the server went down end there
+        let interrupted = 0;
+        recordings.forEach(recording => {
+            if (recording.status === 'recording') {
+                recording.status = 'stopped';
+                recording.stopReason = 'interrupted';
+                recording.stoppedAt = recording.stoppedAt || Date.now();
+                interrupted++;
+            }
+            this.recordings.set(recording.id, recording);
+        });
+        if (interrupted > 0) {
+            this.saveIndex();
+        }
+
+        log.info(`${this.recordings.size} recordings in ${this.options.directory}`);
+    }
+
+    saveIndex() {
+        const data = JSON.stringify({ recordings: Array.from(this.recordings.values()) }, null, 2);
+        this.indexWriting = this.indexWriting
+            .then(() => atomicFile.writeFile(this.indexFile, data))
+            .catch(error => log.error(`Failed to save recordings index: ${error.message}`));
+        return this.indexWriting;
+    }
+
+    /**
+     * Wait for track files and the index to be written, e.g. before exiting
+     * @returns {Promise}
+     */
+    flush() {
+        return this.trackFiles.then(() => this.indexWriting);
+    }
+
+    /**
+     * Start a recording
+     * @param {Object} target - { type: 'device', deviceId }, { type: 'route', source, target }
+     *                          or { type: 'group', groupId }
+     * @param {string} [label] - Free text shown in the index
+     * @returns {Object} Recording
+     * @throws {RecordingError} invalid-request, unknown-target or limit
+     */
+    start(target, label) {
+        const checked = this.validateTarget(target);
+        if (label !== undefined && label !== null &&
+            (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+            throw new RecordingError('invalid-request', `label must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+        }
+        if (this.active.size >= this.options.maxActive) {
+            throw new RecordingError('limit', `At most ${this.options.maxActive} recordings can run at once`);
+        }
+
+        const recording = {
+            id: `rec-${crypto.randomBytes(4).toString('hex')}`,
+            target: checked,
+            label: label || null,
+            status: 'recording',
+            startedAt: Date.now(),
+            stoppedAt: null,
+            stopReason: null,
+            tracks: []
+        };
+
+        const maxDurationMs = this.options.maxDurationMinutes * 60 * 1000;
+        const timer = setTimeout(() => this.stop(recording.id, 'max-duration'), maxDurationMs);
+
+        this.recordings.set(recording.id, recording);
+        this.active.set(recording.id, { recording, tracks: new Map(), timer });
+        this.stats.started++;
+        this.saveIndex();
+
+        log.info(`Recording ${recording.id} started (${describeTarget(checked)})`, { recordingId: recording.id, target: checked });
+        this.emit('recordings-changed');
+        return recording;
+    }
+
+    validateTarget(target) {
+        if (!target || typeof target !== 'object' || !TARGET_TYPES.includes(target.type)) {
+            throw new RecordingError('invalid-request', `target.type must be one of: ${TARGET_TYPES.join(', ')}`);
+        }
+
+        const requireDevice = (deviceId, field) => {
+            if (typeof deviceId !== 'string' || deviceId === '') {
+                throw new RecordingError('invalid-request', `target.${field} is required`);
+            }
+            const device = this.deviceManager.getDevice(deviceId);
+            if (!device || device.isDashboard) {
+                throw new RecordingError('unknown-target', `Unknown device: ${deviceId}`);
+            }
+            return deviceId;
+        };
+
+        switch (target.type) {
+            case 'device':
+                return { type: 'device', deviceId: requireDevice(target.deviceId, 'deviceId') };
+
+            case 'route':
+                return {
+                    type: 'route',
+                    source: requireDevice(target.source, 'source'),
+                    target: requireDevice(target.target, 'target')
+                };
+
+            case 'group':
+                if (typeof target.groupId !== 'string' || target.groupId === '') {
+                    throw new RecordingError('invalid-request', 'target.groupId is required');
+                }
+                if (!this.deviceManager.hasGroup(target.groupId)) {
+                    throw new RecordingError('unknown-target', `Unknown group: ${target.groupId}`);
+                }
+                return { type: 'group', groupId: target.groupId };
+        }
+    }
+
+    /**
+     * Stop a recording and close its files
+     * @param {string} recordingId - Recording ID
+     * @param {string} [reason] - requested, max-duration, group-deleted or shutdown
+     * @returns {Object} Recording
+     * @throws {RecordingError} not-found
+     */
+    stop(recordingId, reason = 'requested') {
+        const recording = this.requireRecording(recordingId);
+        const active = this.active.get(recordingId);
+        if (!active) return recording;
+
+        clearTimeout(active.timer);
+        const closed = Array.from(active.tracks.values()).map(track => track.writer.close().catch(error => {
+            this.reportTrackError(recording, track, error);
+        }));
+        this.active.delete(recordingId);
+
+        // Durations and sizes are final once the files are closed
+        this.trackFiles = Promise.all([this.trackFiles, ...closed]).then(() => {
+            active.tracks.forEach(track => this.updateTrack(track));
+            this.saveIndex();
+            this.emit('recordings-changed');
+        });
+
+        recording.status = 'stopped';
+        recording.stoppedAt = Date.now();
+        recording.stopReason = reason;
+        this.stats.stopped++;
+        this.saveIndex();
+
+        log.info(`Recording ${recordingId} stopped (${reason}), ${recording.tracks.length} tracks`, { recordingId, reason });
+        this.emit('recordings-changed');
+        return recording;
+    }
+
+    stopAll(reason) {
+        Array.from(this.active.keys()).forEach(recordingId => this.stop(recordingId, reason));
+    }
+
+    /**
+     * Delete a stopped recording and its files
+     * @param {string} recordingId - Recording ID
+     * @throws {RecordingError} not-found or active
+     */
+    remove(recordingId) {
+        const recording = this.requireRecording(recordingId);
+        if (this.active.has(recordingId)) {
+            throw new RecordingError('active', `Recording ${recordingId} is still running`);
+        }
+
+        // After the files of a recording stopped just before are closed
+        this.trackFiles = this.trackFiles.then(() => Promise.all(recording.tracks.map(track =>
+            fs.promises.rm(path.join(this.directory, track.file), { force: true }).catch(error => {
+                log.error(`Failed to delete ${track.file}: ${error.message}`, { recordingId });
+            }))));
+        this.recordings.delete(recordingId);
+        this.saveIndex();
+
+        log.info(`Recording ${recordingId} deleted`, { recordingId });
+        this.emit('recordings-changed');
+    }
+
+    /**
+     * Record audio on its way through routeAudio
+     * @param {Object} sourceDevice - Sending device
+     * @param {Object} decoded - Decoded audio packet
+     * @param {string[]} routes - Devices the packet is routed to
+     */
+    capture(sourceDevice, decoded, routes) {
+        if (this.active.size === 0) return;
+
+        this.active.forEach(active => {
+            if (this.matches(active.recording.target, sourceDevice.id, routes)) {
+                this.writeTrack(active, sourceDevice.id, decoded);
+            }
+        });
+    }
+
+    matches(target, deviceId, routes) {
+        switch (target.type) {
+            case 'device':
+                return target.deviceId === deviceId;
+            case 'route':
+                return target.source === deviceId && routes.includes(target.target);
+            case 'group':
+                return this.deviceManager.getDeviceGroups(deviceId).includes(target.groupId);
+        }
+        return false;
+    }
+
+    writeTrack(active, deviceId, decoded) {
+        const info = OpusInspector.parsePacket(decoded.payload);
+        if (info.error) {
+            this.stats.packetsSkipped++;
+            return;
+        }
+
+        let track = active.tracks.get(deviceId);
+        if (!track) {
+            track = this.openTrack(active.recording, deviceId, info);
+            active.tracks.set(deviceId, track);
+        }
+        if (track.writer.error) {
+            this.reportTrackError(active.recording, track, track.writer.error);
+            return;
+        }
+
+        const now = Date.now();
+        if (track.lastSequence !== null) {
+            const delta = (decoded.sequence - track.lastSequence) & 0xFFFF;
+            const restarted = delta >= 0x8000 && now - track.lastPacketAt > this.options.restartGapMs;
+
+            if (delta === 0 || (delta >= 0x8000 && !restarted)) {
+                track.entry.latePackets++;
+                this.stats.packetsLate++;
+                return;
+            }
+
+            // Lost packets, or the silence of a restarted device, become concealment
+            const missing = restarted
+                ? Math.floor((now - track.lastPacketAt) / track.lastDuration) - 1
+                : delta - 1;
+            if (missing > 0) {
+                track.entry.lostPackets += restarted ? 0 : missing;
+                this.fillGap(track, missing);
+            }
+        }
+
+        track.writer.write(decoded.payload, info.duration * SAMPLES_PER_MS);
+        track.entry.packets++;
+        track.lastSequence = decoded.sequence;
+        track.lastPacketAt = now;
+        track.lastDuration = info.duration;
+        track.filler = createFiller(decoded.payload[0], info.frameCount);
+        this.stats.packetsWritten++;
+    }
+
+    fillGap(track, missing) {
+        const count = Math.min(missing, Math.ceil(this.options.maxGapMs / track.lastDuration));
+        for (let i = 0; i < count; i++) {
+            track.writer.write(track.filler, track.lastDuration * SAMPLES_PER_MS);
+        }
+        track.entry.filledPackets += count;
+        this.stats.packetsFilled += count;
+    }
+
+    // Once per track, its file is not written any further
+    reportTrackError(recording, track, error) {
+        if (track.failed) return;
+
+        track.failed = true;
+        log.error(`Recording ${recording.id}: track ${track.entry.deviceId} failed: ${error.message}`,
+            { recordingId: recording.id, deviceId: track.entry.deviceId });
+    }
+
+    openTrack(recording, deviceId, info) {
+        const file = `${recording.id}-${trackFileName(deviceId)}.opus`;
+        const writer = new OggOpusWriter(path.join(this.directory, file), {
+            channels: info.channels,
+            inputSampleRate: CONFIG.audio.sampleRate,
+            packetsPerPage: this.options.packetsPerPage,
+            tags: {
+                title: recording.label || `${describeTarget(recording.target)}, ${deviceId}`,
+                artist: this.deviceManager.getDeviceName(deviceId) || deviceId,
+                device: deviceId,
+                recording: recording.id,
+                date: new Date().toISOString()
+            }
+        });
+
+        const entry = {
+            deviceId,
+            file,
+            url: `/recordings/${recording.id}/${encodeURIComponent(deviceId)}.opus`,
+            channels: info.channels,
+            startedAt: Date.now(),
+            packets: 0,
+            lostPackets: 0,
+            filledPackets: 0,
+            latePackets: 0,
+            durationMs: 0,
+            bytes: 0
+        };
+        recording.tracks.push(entry);
+        this.saveIndex();
+
+        log.info(`Recording ${recording.id}: track ${deviceId} (${file})`, { recordingId: recording.id, deviceId });
+        this.emit('recordings-changed');
+
+        return {
+            entry,
+            writer,
+            lastSequence: null,
+            lastPacketAt: 0,
+            lastDuration: info.duration,
+            filler: null,
+            failed: false
+        };
+    }
+
+    updateTrack(track) {
+        track.entry.durationMs = Math.round(track.writer.getDuration());
+        track.entry.bytes = track.writer.bytesWritten;
+    }
+
+    requireRecording(recordingId) {
+        const recording = this.recordings.get(recordingId);
+        if (!recording) {
+            throw new RecordingError('not-found', `Unknown recording: ${recordingId}`);
+        }
+        return recording;
+    }
+
+    /**
+     * @param {string} recordingId - Recording ID
+     * @returns {Object|null} Recording with up to date track sizes
+     */
+    getRecording(recordingId) {
+        const recording = this.recordings.get(recordingId);
+        if (!recording) return null;
+
+        const active = this.active.get(recordingId);
+        if (active) {
+            active.tracks.forEach(track => this.updateTrack(track));
+        }
+        return recording;
+    }
+
+    /**
+     * @returns {Object[]} All recordings, newest first
+     */
+    getRecordings() {
+        return Array.from(this.recordings.keys())
+            .map(recordingId => this.getRecording(recordingId))
+            .sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    /**
+     * Path of a track file, for downloads
+     * @param {string} recordingId - Recording ID
+     * @param {string} deviceId - Track device
+     * @returns {string|null} Absolute path, null if there is no such track
+     */
+    getTrackFile(recordingId, deviceId) {
+        const recording = this.recordings.get(recordingId);
+        const track = recording && recording.tracks.find(entry => entry.deviceId === deviceId);
+        return track ? path.join(this.directory, track.file) : null;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            active: this.active.size,
+            recordings: this.recordings.size
+        };
+    }
+}
+
+// Device IDs come from packets; escaped, they cannot leave the directory
+function trackFileName(deviceId) {
+    return deviceId.replace(/[^\w.-]/gu, char => Array.from(Buffer.from(char, 'utf8'))
+        .map(byte => `%${byte.toString(16).toUpperCase().padStart(2, '0')}`)
+        .join(''));
+}
+
+// A packet with the same TOC and frame count but empty frames: decoders conceal it
+function createFiller(toc, frameCount) {
+    return frameCount > 1
+        ? Buffer.from([(toc & 0xFC) | 3, frameCount])
+        : Buffer.from([toc & 0xFC]);
+}
+
+function describeTarget(target) {
+    switch (target.type) {
+        case 'device':
+            return `device ${target.deviceId}`;
+        case 'route':
+            return `route ${target.source} → ${target.target}`;
+        case 'group':
+            return `group ${target.groupId}`;
+    }
+    return target.type;
+}
+
+CallRecorder.RecordingError = RecordingError;
+CallRecorder.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = CallRecorder;
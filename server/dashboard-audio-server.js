@@ -7,7 +7,9 @@
 const DashboardServer = require('./dashboard-server');
 const WebSocket = require('ws');
 const EventEmitter = require('events');
-const PacketPacer = require('./packet-pacer');
+const protocol = require('./packet-protocol');
+const { MessageValidator, ERROR_CODES } = require('./schema-validator');
+const log = require('./logger').forModule('dashboard-audio-server');
 
 // Note: Opus encoding/decoding happens in the browser (audio-handler.js)
 // The server just passes through the base64-encoded Opus packets
@@ -17,12 +19,16 @@ class DashboardAudioServer extends DashboardServer {
     constructor(udpServer) {
         super(udpServer);
 
-        this.wsServer = null;
+        // Upgrades to /ws/audio on the shared HTTP listener
+        this.wsServer = this.listener.addWebSocketServer('/ws/audio', {
+            perMessageDeflate: false, // Disable compression for low latency
+            verifyClient: this.auth.verifyClient
+        });
         this.wsClients = new Set();
         this.audioEventEmitter = new EventEmitter();
 
-        // Initialize packet pacer for smooth audio delivery
-        this.packetPacer = new PacketPacer(udpServer);
+        // The UDP server's packet pacer smooths dashboard audio to devices
+        this.packetPacer = udpServer.packetPacer;
 
         // Set up callback to receive timing data from pacer
         this.packetPacer.dashboardCallback = (timingData) => {
@@ -32,6 +38,9 @@ class DashboardAudioServer extends DashboardServer {
         // Register dashboard as virtual device
         this.registerVirtualDevice();
 
+        // Validates dashboard messages against schemas/asyncapi.json
+        this.messageValidator = new MessageValidator('audio');
+
         // Track what devices dashboard is listening to
         this.listeningTo = new Set();
 
@@ -45,52 +54,23 @@ class DashboardAudioServer extends DashboardServer {
     }
 
     start() {
-        // Override parent's HTTP server to add audio test route
-        this.httpServer = require('http').createServer((req, res) => {
-            // Handle different routes
-            if (req.url === '/' || req.url === '/index.html') {
-                this.serveDashboard(res);
-            } else if (req.url === '/audio-test.html' || req.url === '/audio-test') {
-                this.serveAudioTestPage(res);
-            } else if (req.url === '/api/stats') {
-                this.serveStats(res);
-            } else if (req.url === '/api/devices') {
-                this.serveDevices(res);
-            } else if (req.url === '/api/route' && req.method === 'POST') {
-                this.handleRouteUpdate(req, res);
-            } else if (req.url === '/api/route/clear' && req.method === 'POST') {
-                this.handleClearRoutes(req, res);
-            } else if (req.url.startsWith('/js/')) {
-                this.serveStaticFile(req, res);
-            } else if (req.url.startsWith('/dashboard/')) {
-                this.serveStaticFile(req, res);
-            } else if (req.url.endsWith('.wasm')) {
-                // Handle WASM files from any path
-                this.serveStaticFile(req, res);
-            } else {
-                res.writeHead(404);
-                res.end('Not Found');
-            }
-        });
-
-        this.httpServer.listen(this.port, '0.0.0.0', () => {
-            console.log(`📊 Dashboard HTTP server running on port ${this.port}`);
-            console.log(`🌐 Access dashboard at: http://YOUR_SERVER_IP:${this.port}`);
-            console.log(`🎧 Audio testing at: http://YOUR_SERVER_IP:${this.port}/audio-test.html`);
-        });
-
-        // Create WebSocket server for audio streaming
-        this.wsServer = new WebSocket.Server({
-            port: 8082,
-            perMessageDeflate: false // Disable compression for low latency
-        });
+        super.start();
+        log.info(`Audio testing at: ${this.listener.url}/audio-test.html`);
 
         this.wsServer.on('connection', (ws, req) => {
-            console.log('🎧 Dashboard audio client connected from:', req.connection.remoteAddress);
-            this.handleWebSocketConnection(ws);
+            log.info(`Dashboard audio client connected from ${req.socket.remoteAddress}`);
+            this.handleWebSocketConnection(ws, req);
         });
+    }
 
-        console.log(`🔊 WebSocket audio server running on port 8082`);
+    // Parent's routes plus the audio test page (its scripts are static files)
+    route(req, res) {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        if (pathname === '/audio-test.html' || pathname === '/audio-test') {
+            this.serveAudioTestPage(res);
+        } else {
+            super.route(req, res);
+        }
     }
 
     registerVirtualDevice() {
@@ -114,29 +94,39 @@ class DashboardAudioServer extends DashboardServer {
             };
 
             this.udpServer.deviceManager.devices.set('DSH', virtualDevice);
-            console.log('📱 Dashboard registered as virtual device: DSH');
+            log.info('Dashboard registered as virtual device: DSH');
         }
     }
 
-    handleWebSocketConnection(ws) {
+    handleWebSocketConnection(ws, req) {
         this.wsClients.add(ws);
+        ws.principal = req.principal;
+        ws.actor = this.auth.actor('audio', req.socket.remoteAddress, req.principal);
 
         ws.on('message', (message) => {
+            let data;
+            try {
+                data = JSON.parse(message);
+            } catch (error) {
+                this.sendWebSocketError(ws, undefined, ERROR_CODES.INVALID_JSON, `Invalid JSON: ${error.message}`);
+                return;
+            }
+
             try {
-                const data = JSON.parse(message);
                 this.handleWebSocketMessage(ws, data);
             } catch (error) {
-                console.error('Invalid WebSocket message:', error);
+                log.error(`WebSocket message handling error: ${error.message}`, { error: error.stack });
+                this.sendWebSocketError(ws, data && data.requestId, ERROR_CODES.INTERNAL_ERROR, error.message);
             }
         });
 
         ws.on('close', () => {
             this.wsClients.delete(ws);
-            console.log('🔌 Dashboard audio client disconnected');
+            log.info('Dashboard audio client disconnected');
         });
 
         ws.on('error', (error) => {
-            console.error('WebSocket error:', error);
+            log.error(`WebSocket error: ${error.message}`);
         });
 
         // Send initial connection confirmation
@@ -148,6 +138,31 @@ class DashboardAudioServer extends DashboardServer {
     }
 
     handleWebSocketMessage(ws, message) {
+        const requestId = message !== null && typeof message === 'object' ? message.requestId : undefined;
+
+        const result = this.messageValidator.validateMessage(message);
+        if (!result.ok) {
+            this.sendWebSocketError(ws, requestId, result.code, result.message, result.errors);
+            return;
+        }
+
+        // Sending audio needs the audio permission, listening the listen permission
+        const allowed = this.auth.authorize(ws.principal, {
+            operation: message.type,
+            permission: this.messageValidator.getPermission(message.type),
+            resources: this.messageValidator.getResources(message),
+            address: ws.actor.address
+        });
+        if (!allowed) {
+            if (!this.auth.isActive(ws.principal)) {
+                this.sendWebSocketError(ws, requestId, ERROR_CODES.UNAUTHORIZED, 'Session expired or token revoked');
+                ws.close(4401, 'Session expired');
+            } else {
+                this.sendWebSocketError(ws, requestId, ERROR_CODES.FORBIDDEN, `Not allowed to send ${message.type}`);
+            }
+            return;
+        }
+
         switch (message.type) {
             case 'audio_packet':
                 this.handleOutgoingAudio(message);
@@ -162,41 +177,48 @@ class DashboardAudioServer extends DashboardServer {
                 break;
 
             case 'request_stats':
-                this.sendAudioStats(ws);
+                this.sendAudioStats(ws, requestId);
                 break;
 
             case 'set_route':
-                this.setAudioRoute(message.from, message.to);
+                this.setAudioRoute(message.from, message.to, ws.actor);
                 break;
+        }
 
-            default:
-                console.warn('Unknown WebSocket message type:', message.type);
+        // Messages without their own reply are acknowledged
+        if (requestId !== undefined && !this.messageValidator.hasReply(message.type)) {
+            ws.send(JSON.stringify({ type: 'ack', requestId, command: message.type }));
         }
     }
 
+    sendWebSocketError(ws, requestId, code, message, errors = []) {
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        ws.send(JSON.stringify({
+            type: 'error',
+            requestId,
+            code,
+            message,
+            errors
+        }));
+    }
+
     handleOutgoingAudio(message) {
         // Dashboard is sending audio to an ESP32 device
         if (!this.udpServer) return;
 
-        // Build UDP packet format: [DeviceID(4)][Seq(2,BE)][Type(2)][OpusData]
-        const opusData = Buffer.from(message.opus, 'base64');
-        const packet = Buffer.alloc(8 + opusData.length);
-
-        // Write device ID (DSH)
-        packet.write('DSH\0', 0, 4);
-
-        // Write sequence number (big-endian)
-        packet.writeUInt16BE(message.sequence || 0, 4);
-
-        // Write packet type (0x0001 for audio)
-        packet.writeUInt16BE(0x0001, 6);
-
-        // Copy Opus data
-        opusData.copy(packet, 8);
-
         // Route through existing audio router
         const targetDevice = this.udpServer.deviceManager.getDevice(message.to);
         if (targetDevice && targetDevice.online) {
+            // Build UDP packet in the target's protocol version
+            const packet = protocol.encodePacket({
+                version: targetDevice.protocolVersion,
+                type: protocol.PACKET_TYPES.AUDIO,
+                deviceId: 'DSH',
+                sequence: message.sequence || 0,
+                payload: Buffer.from(message.opus, 'base64')
+            });
+
             // Get virtual dashboard device
             const dashboardDevice = this.udpServer.deviceManager.getDevice('DSH');
 
@@ -206,18 +228,18 @@ class DashboardAudioServer extends DashboardServer {
                 this.packetPacer.bufferPacket(packet, dashboardDevice, targetDevice);
             } else {
                 // Direct send for non-audio or ESP32-to-ESP32
-                this.udpServer.sendToDevice(targetDevice, packet);
+                this.udpServer.sendAudio(targetDevice, packet);
             }
 
             this.audioStats.packetsFromDashboard++;
             this.audioStats.bytesFromDashboard += packet.length;
 
-            // Log less frequently to reduce console noise
+            // Log less frequently to reduce noise
             if (this.audioStats.packetsFromDashboard % 50 === 0) {
-                console.log(`🎵 Dashboard → ${message.to}: ${this.audioStats.packetsFromDashboard} packets sent`);
+                log.debug(`Dashboard → ${message.to}: ${this.audioStats.packetsFromDashboard} packets sent`, { deviceId: message.to });
             }
         } else {
-            console.warn(`Target device ${message.to} not found or offline`);
+            log.limited(`target:${message.to}`).warn(`Target device ${message.to} not found or offline`, { deviceId: message.to });
         }
     }
 
@@ -226,14 +248,13 @@ class DashboardAudioServer extends DashboardServer {
         if (!this.listeningTo.has(sourceDeviceId)) return;
 
         // Extract audio data from UDP packet
-        const sequence = packet.readUInt16BE(4);
-        const packetType = packet.readUInt16BE(6);
-
-        if (packetType !== 0x0001) return; // Only handle audio packets
+        const decoded = protocol.decodePacket(packet);
+        if (!decoded || decoded.type !== protocol.PACKET_TYPES.AUDIO) return; // Only handle audio packets
 
-        const opusData = packet.slice(8);
+        const sequence = decoded.sequence;
+        const opusData = decoded.payload;
 
-        // Send to all connected WebSocket clients
+        // Send to every connected WebSocket client allowed to listen
         const wsMessage = {
             type: 'audio_received',
             from: sourceDeviceId,
@@ -242,12 +263,12 @@ class DashboardAudioServer extends DashboardServer {
             timestamp: Date.now()
         };
 
-        this.broadcast(wsMessage);
+        this.broadcast(wsMessage, 'listen', { devices: [sourceDeviceId], groups: [] });
         this.audioStats.packetsToDashboard++;
         this.audioStats.bytesToDashboard += packet.length;
 
         if (this.audioStats.packetsToDashboard % 50 === 0) {
-            console.log(`🎧 Dashboard ← ${sourceDeviceId}: ${this.audioStats.packetsToDashboard} packets received`);
+            log.debug(`Dashboard ← ${sourceDeviceId}: ${this.audioStats.packetsToDashboard} packets received`, { deviceId: sourceDeviceId });
         }
     }
 
@@ -259,7 +280,7 @@ class DashboardAudioServer extends DashboardServer {
             this.udpServer.audioRouter.setRoute(deviceId, 'DSH');
         }
 
-        console.log(`👂 Dashboard started listening to device: ${deviceId}`);
+        log.info(`Dashboard started listening to device: ${deviceId}`, { deviceId });
 
         // Notify clients
         this.broadcast({
@@ -277,7 +298,7 @@ class DashboardAudioServer extends DashboardServer {
             this.udpServer.audioRouter.removeRoute(deviceId, 'DSH');
         }
 
-        console.log(`🔇 Dashboard stopped listening to device: ${deviceId}`);
+        log.info(`Dashboard stopped listening to device: ${deviceId}`, { deviceId });
 
         // Notify clients
         this.broadcast({
@@ -287,25 +308,34 @@ class DashboardAudioServer extends DashboardServer {
         });
     }
 
-    setAudioRoute(from, to) {
+    setAudioRoute(from, to, actor) {
         if (this.udpServer && this.udpServer.audioRouter) {
-            this.udpServer.audioRouter.setRoute(from, to);
-            console.log(`🔀 Audio route set: ${from} → ${to}`);
+            this.udpServer.auditLog.record(actor, 'set_route', () => this.udpServer.audioRouter.setRoute(from, to));
+            log.info(`Audio route set: ${from} → ${to}`, { route: `${from}->${to}` });
         }
     }
 
-    sendAudioStats(ws) {
+    sendAudioStats(ws, requestId) {
         ws.send(JSON.stringify({
             type: 'audio_stats',
+            requestId,
             stats: this.audioStats,
             listeningTo: Array.from(this.listeningTo),
             timestamp: Date.now()
         }));
     }
 
-    broadcast(message) {
+    /**
+     * Send a message to every client
+     * @param {Object} message - Message
+     * @param {string} [permission] - Only to clients whose role has this permission
+     * @param {Object} [resources] - { devices, groups } the message is about,
+     *   for API tokens limited to some devices
+     */
+    broadcast(message, permission, resources) {
         const data = JSON.stringify(message);
         this.wsClients.forEach(ws => {
+            if (permission && !this.auth.allows(ws.principal, permission, resources)) return;
             if (ws.readyState === WebSocket.OPEN) {
                 ws.send(data);
             }
@@ -340,28 +370,6 @@ class DashboardAudioServer extends DashboardServer {
         }
     }
 
-    serveStaticFile(req, res) {
-        const fs = require('fs');
-        const path = require('path');
-        const filePath = path.join(__dirname, '..', 'dashboard', req.url.substring(1));
-
-        if (fs.existsSync(filePath)) {
-            const ext = path.extname(filePath);
-            const contentType = {
-                '.js': 'application/javascript',
-                '.css': 'text/css',
-                '.html': 'text/html',
-                '.wasm': 'application/wasm'  // Add WASM MIME type
-            }[ext] || 'text/plain';
-
-            res.writeHead(200, {'Content-Type': contentType});
-            fs.createReadStream(filePath).pipe(res);
-        } else {
-            res.writeHead(404);
-            res.end('File not found');
-        }
-    }
-
     // Override parent method to add audio handling
     serveDevices(res) {
         const devices = super.serveDevices(res);
@@ -384,15 +392,8 @@ class DashboardAudioServer extends DashboardServer {
     stop() {
         super.stop();
 
-        if (this.wsServer) {
-            this.wsServer.close();
-            console.log('WebSocket audio server stopped');
-        }
-
-        if (this.packetPacer) {
-            this.packetPacer.stop();
-            console.log('Packet pacer stopped');
-        }
+        this.wsClients.forEach(ws => ws.close());
+        log.info('WebSocket audio server stopped');
     }
 }
 
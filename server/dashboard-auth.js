@@ -0,0 +1,397 @@
+/**
+ * Dashboard Auth - Logins, sessions and role permissions
+ *
+ * Guards the dashboard pages, the REST API and both WebSocket APIs. A user
+ * logs in with POST /api/auth/login and gets a session: a random token sent
+ * back as an HttpOnly cookie (browsers also send it with WebSocket
+ * upgrades) and in the body, for clients that send
+ * `Authorization: Bearer <token>` instead. Sessions live in memory, so a
+ * restart logs everybody out.
+ *
+ * SameSite does not keep other sites from opening a WebSocket with that
+ * cookie, so upgrades from a browser (those with an Origin header) are only
+ * accepted from the dashboard's own origin or one of allowedOrigins.
+ *
+ * Automation clients use long-lived API tokens instead (token-store.js),
+ * sent the same way. A token has no role but scopes: permissions, possibly
+ * limited to some devices and groups.
+ *
+ * Every REST operation and WebSocket message declares the permission it
+ * needs (x-permission in schemas/openapi.json and schemas/asyncapi.json);
+ * a role is a set of permissions:
+ *   viewer     read, stats
+ *   operator   + routes, groups, devices, recordings, listen, audio
+ *   admin      + pacing, registry, config, logging, users, tokens
+ * Two pseudo-permissions need no role: 'public' (the login itself) and
+ * 'session' (any logged-in user, e.g. logout). Roles are looked up on every
+ * check, so a changed role or removed user applies to open sessions at once.
+ *
+ * With auth.enabled = false every request is allowed, as an anonymous admin.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const UserStore = require('./user-store');
+const TokenStore = require('./token-store');
+
+const CONFIG = require('../config/server-config.json');
+const log = require('./logger').forModule('dashboard-auth');
+
+const DEFAULTS = {
+    enabled: true,
+    usersFile: 'config/users.json',
+    tokensFile: 'config/api-tokens.json',
+    sessionTtlMinutes: 720,
+    cookieName: 'udp_audio_session',
+    allowedOrigins: [],       // Other sites allowed to call the REST API and open WebSockets
+    maxLoginAttempts: 5,      // Failed logins per address and window
+    loginWindowMinutes: 5
+};
+
+const PERMISSIONS = ['read', 'stats', 'routes', 'groups', 'devices', 'recordings', 'listen', 'audio',
+    'pacing', 'registry', 'config', 'logging', 'users', 'tokens'];
+
+// API tokens may not manage users or other tokens
+const SCOPE_PERMISSIONS = PERMISSIONS.filter(permission => permission !== 'users' && permission !== 'tokens');
+
+const ROLE_PERMISSIONS = {
+    viewer: ['read', 'stats'],
+    operator: ['read', 'stats', 'routes', 'groups', 'devices', 'recordings', 'listen', 'audio'],
+    admin: PERMISSIONS
+};
+
+const ANONYMOUS = { type: 'anonymous', username: null, role: 'admin' };
+
+class AuthError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code; // 'invalid-credentials', 'too-many-attempts'
+    }
+}
+
+class DashboardAuth extends EventEmitter {
+    /**
+     * @param {DeviceManager|null} deviceManager - Group members, for token scopes
+     * @param {Object} [options] - Overrides of config.auth
+     */
+    constructor(deviceManager, options = {}) {
+        super();
+        this.deviceManager = deviceManager;
+        this.options = { ...DEFAULTS, ...CONFIG.auth, ...options };
+        this.users = new UserStore(this.options);
+        this.tokens = new TokenStore(this.options, SCOPE_PERMISSIONS);
+
+        this.sessions = new Map(); // Key: token, Value: { username, createdAt, expiresAt, address }
+        this.attempts = new Map(); // Key: address, Value: { failures, since }
+        this.cleanupTimer = null;
+
+        this.verifyClient = this.verifyClient.bind(this);
+    }
+
+    start() {
+        if (!this.options.enabled) {
+            log.warn('Dashboard authentication is disabled: anyone on the network can control the server');
+            return;
+        }
+
+        this.users.load();
+        this.tokens.load();
+        this.cleanupTimer = setInterval(() => {
+            this.removeExpired();
+            this.tokens.flush();
+        }, 60000);
+        this.cleanupTimer.unref();
+    }
+
+    stop() {
+        clearInterval(this.cleanupTimer);
+        if (this.options.enabled) {
+            this.tokens.flush();
+        }
+    }
+
+    /**
+     * Log a user in
+     * @param {string} username - User
+     * @param {string} password - Password
+     * @param {string} address - Client address, for limiting failed attempts
+     * @returns {Promise<Object>} { token, user, expiresAt }
+     */
+    async login(username, password, address) {
+        const windowMs = this.options.loginWindowMinutes * 60000;
+
+        let attempts = this.attempts.get(address);
+        if (attempts && Date.now() - attempts.since > windowMs) {
+            this.attempts.delete(address);
+            attempts = null;
+        }
+        if (attempts && attempts.failures >= this.options.maxLoginAttempts) {
+            throw new AuthError('too-many-attempts', 'Too many failed logins, try again later');
+        }
+
+        // Counted as failed until verified, so parallel guesses share the limit
+        if (!attempts) {
+            attempts = { failures: 0, since: Date.now() };
+            this.attempts.set(address, attempts);
+        }
+        attempts.failures++;
+
+        const user = await this.users.verify(username, password);
+        if (!user) {
+            log.warn(`Failed login for ${username} from ${address}`, { username, address });
+            throw new AuthError('invalid-credentials', 'Invalid username or password');
+        }
+
+        this.attempts.delete(address);
+        const now = Date.now();
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = now + this.options.sessionTtlMinutes * 60000;
+        this.sessions.set(token, { username: user.username, createdAt: now, expiresAt, address });
+
+        log.info(`${user.username} logged in from ${address}`, { username: user.username, address });
+        return { token, user, expiresAt };
+    }
+
+    logout(principal) {
+        if (principal.type !== 'session') return;
+        this.sessions.delete(principal.token);
+        log.info(`${principal.username} logged out`, { username: principal.username });
+    }
+
+    /**
+     * End every session of a user (password changed, user removed)
+     * @param {string} username - User
+     * @param {string} [keepToken] - Session to keep, the one that made the change
+     */
+    endSessions(username, keepToken) {
+        this.sessions.forEach((session, token) => {
+            if (session.username === username && token !== keepToken) {
+                this.sessions.delete(token);
+            }
+        });
+    }
+
+    removeExpired() {
+        const now = Date.now();
+        this.sessions.forEach((session, token) => {
+            if (session.expiresAt <= now) this.sessions.delete(token);
+        });
+    }
+
+    /**
+     * Who sent a request, from its session cookie or bearer token
+     * @param {http.IncomingMessage} req - HTTP request or WebSocket upgrade
+     * @returns {Object|null} Principal { type: 'session', username, token },
+     *   { type: 'token', username: null, tokenId, name } or null
+     */
+    authenticate(req) {
+        if (!this.options.enabled) return ANONYMOUS;
+
+        const token = this.getToken(req);
+        if (!token) return null;
+
+        if (token.startsWith(TokenStore.TOKEN_PREFIX)) {
+            const record = this.tokens.find(token);
+            return record ? { type: 'token', username: null, tokenId: record.id, name: record.name } : null;
+        }
+
+        const session = this.sessions.get(token);
+        if (!session || session.expiresAt <= Date.now() || !this.users.get(session.username)) {
+            return null;
+        }
+        return { type: 'session', username: session.username, token };
+    }
+
+    getToken(req) {
+        const authorization = req.headers.authorization;
+        if (authorization && authorization.startsWith('Bearer ')) {
+            return authorization.slice(7).trim();
+        }
+        return parseCookies(req.headers.cookie)[this.options.cookieName] || null;
+    }
+
+    /**
+     * Whether a principal may do something now (its session may have ended)
+     * @param {Object|null} principal - From authenticate()
+     * @param {string} permission - x-permission of the operation or message
+     * @param {Object|null} [resources] - { devices, groups } the operation is
+     *   about, for tokens with limited scopes; omitted to check the permission only
+     * @returns {boolean}
+     */
+    allows(principal, permission, resources) {
+        if (permission === 'public') return true;
+        if (!this.isActive(principal)) return false;
+        if (permission === 'session') return true;
+
+        if (principal.type === 'token') {
+            return this.tokens.allows(principal.tokenId, permission, resources, groupId => this.getGroupMembers(groupId));
+        }
+
+        const role = this.getRole(principal);
+        return Boolean(role && ROLE_PERMISSIONS[role].includes(permission));
+    }
+
+    /**
+     * allows() for a request, counted in the usage of its API token
+     * @param {Object|null} principal - From authenticate()
+     * @param {Object} request - { operation, permission, resources, address }
+     * @returns {boolean}
+     */
+    authorize(principal, { operation, permission, resources = null, address }) {
+        const allowed = this.allows(principal, permission, resources);
+        if (principal && principal.type === 'token') {
+            this.tokens.recordUse(principal.tokenId, operation, allowed, address);
+        }
+        return allowed;
+    }
+
+    getGroupMembers(groupId) {
+        return this.deviceManager ? this.deviceManager.getGroupMembers(groupId) : [];
+    }
+
+    isActive(principal) {
+        if (!principal) return false;
+        if (principal.type === 'anonymous') return true;
+        if (principal.type === 'token') return this.tokens.isValid(principal.tokenId);
+
+        const session = this.sessions.get(principal.token);
+        return Boolean(session && session.expiresAt > Date.now() && this.users.get(principal.username));
+    }
+
+    getRole(principal) {
+        if (principal.type === 'anonymous') return principal.role;
+        if (principal.type === 'token') return null;
+        const user = this.users.get(principal.username);
+        return user ? user.role : null;
+    }
+
+    /**
+     * The logged-in user (or API token) as shown to clients
+     */
+    describe(principal) {
+        if (principal.type === 'token') {
+            const token = this.tokens.get(principal.tokenId);
+            return {
+                username: null,
+                role: null,
+                permissions: Array.from(new Set(token.scopes.map(scope => scope.permission))),
+                expiresAt: token.expiresAt,
+                tokenId: token.id,
+                scopes: token.scopes
+            };
+        }
+
+        const role = this.getRole(principal);
+        const session = principal.type === 'session' ? this.sessions.get(principal.token) : null;
+        return {
+            username: principal.username,
+            role,
+            permissions: ROLE_PERMISSIONS[role] || [],
+            expiresAt: session ? session.expiresAt : null
+        };
+    }
+
+    /**
+     * ws verifyClient hook: refuses upgrades without a session and those
+     * other sites open in a browser
+     * The principal is left on the request for the connection handler.
+     */
+    verifyClient(info, done) {
+        if (!this.allowsOrigin(info.req)) {
+            log.limited(`origin:${info.origin}`).warn(`Refused WebSocket from ${info.origin}`, { origin: info.origin });
+            done(false, 403, 'Forbidden');
+            return;
+        }
+
+        const principal = this.authenticate(info.req);
+        if (!principal) {
+            done(false, 401, 'Unauthorized');
+            return;
+        }
+        info.req.principal = principal;
+        done(true);
+    }
+
+    /**
+     * Whether a request comes from the dashboard's own origin or an allowed
+     * one; clients other than browsers send no Origin
+     */
+    allowsOrigin(req) {
+        const origin = req.headers.origin;
+        if (!this.options.enabled || origin === undefined) return true;
+        if (this.options.allowedOrigins.includes(origin)) return true;
+
+        try {
+            return new URL(origin).host === (req.headers.host || '').toLowerCase();
+        } catch (error) {
+            return false; // 'null' from sandboxed pages and files
+        }
+    }
+
+    /**
+     * Audit log actor of a client
+     * @param {string} type - 'dashboard', 'rest' or 'audio'
+     * @param {string} address - Client address
+     * @param {Object|null} principal - From authenticate()
+     */
+    actor(type, address, principal) {
+        const actor = { type, address, user: principal ? principal.username : null };
+        if (principal && principal.type === 'token') {
+            actor.token = principal.tokenId;
+        }
+        return actor;
+    }
+
+    /**
+     * @param {string} token - Session token
+     * @param {number} expiresAt - Session expiry (ms)
+     * @param {boolean} [secure] - Request came over TLS: browsers then only
+     *   send the cookie back over TLS
+     */
+    sessionCookie(token, expiresAt, secure = false) {
+        const maxAge = Math.floor((expiresAt - Date.now()) / 1000);
+        return `${this.options.cookieName}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+    }
+
+    clearedCookie(secure = false) {
+        return `${this.options.cookieName}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0${secure ? '; Secure' : ''}`;
+    }
+
+    /**
+     * CORS headers for a request: any origin without auth, otherwise only
+     * the configured ones (with credentials)
+     */
+    corsHeaders(req) {
+        if (!this.options.enabled) {
+            return { 'Access-Control-Allow-Origin': '*' };
+        }
+
+        const origin = req.headers.origin;
+        if (origin && this.options.allowedOrigins.includes(origin)) {
+            return {
+                'Access-Control-Allow-Origin': origin,
+                'Access-Control-Allow-Credentials': 'true',
+                'Vary': 'Origin'
+            };
+        }
+        return {};
+    }
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+        }
+    });
+    return cookies;
+}
+
+DashboardAuth.AuthError = AuthError;
+DashboardAuth.PERMISSIONS = PERMISSIONS;
+DashboardAuth.SCOPE_PERMISSIONS = SCOPE_PERMISSIONS;
+DashboardAuth.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+module.exports = DashboardAuth;
@@ -1,45 +1,151 @@
 /**
  * Dashboard HTTP Server
  * Serves the dashboard HTML and provides real-time stats
- * Runs alongside the UDP server on port 8080
+ * Served by the UDP server's HTTP listener (see http-listener.js), which
+ * also carries the WebSocket APIs; standalone it gets a listener of its own.
+ *
+ * Recorded tracks are downloaded from /recordings/:recordingId/:deviceId.opus
+ * (listed by GET /api/recordings).
+ *
+ * Prometheus scrapes GET /metrics (see metrics-exporter.js).
+ *
+ * Everything but the login page needs a dashboard session (see
+ * dashboard-auth.js): pages redirect to /login without one, other paths
+ * answer 401, or 403 when the user's role lacks the permission.
  */
 
-const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const RestAPI = require('./rest-api');
+const MetricsExporter = require('./metrics-exporter');
+const DashboardAuth = require('./dashboard-auth');
+const HttpListener = require('./http-listener');
+const log = require('./logger').forModule('dashboard-server');
+
+// OpenAPI operations of the original dashboard endpoints, for their permissions
+// (the matrix's POST /api/route and /api/route/clear are handled by RestAPI)
+const LEGACY_OPERATIONS = {
+    '/api/stats': 'getStats',
+    '/api/devices': 'listDevices'
+};
+
+const CONTENT_TYPES = {
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.html': 'text/html',
+    '.wasm': 'application/wasm'
+};
+
+const PAGES = ['/', '/index.html', '/audio-test.html', '/audio-test'];
+
+const DASHBOARD_DIR = path.join(__dirname, '..', 'dashboard');
 
 class DashboardServer {
     constructor(udpServer) {
         this.udpServer = udpServer;
-        this.httpServer = null;
-        this.port = 8080;
+        this.listener = udpServer ? udpServer.httpListener : new HttpListener();
+        this.auth = udpServer ? udpServer.dashboardAuth : new DashboardAuth(null);
+        this.restAPI = new RestAPI(udpServer, this.auth);
+        this.metrics = udpServer ? new MetricsExporter(udpServer) : null;
     }
 
     start() {
-        this.httpServer = http.createServer((req, res) => {
-            // Handle different routes
-            if (req.url === '/' || req.url === '/index.html') {
-                this.serveDashboard(res);
-            } else if (req.url === '/api/stats') {
-                this.serveStats(res);
-            } else if (req.url === '/api/devices') {
-                this.serveDevices(res);
-            } else if (req.url === '/api/route' && req.method === 'POST') {
-                this.handleRouteUpdate(req, res);
-            } else if (req.url === '/api/route/clear' && req.method === 'POST') {
-                this.handleClearRoutes(req, res);
-            } else if (req.url.startsWith('/dashboard/')) {
-                this.serveStaticFile(req, res);
-            } else {
-                res.writeHead(404);
-                res.end('Not Found');
-            }
-        });
+        this.listener.setRequestHandler((req, res) => this.handleRequest(req, res));
+        if (!this.udpServer) {
+            this.listener.start();
+        }
+        log.info(`Access dashboard at: ${this.listener.url}/`);
+    }
 
-        this.httpServer.listen(this.port, '0.0.0.0', () => {
-            console.log(`📊 Dashboard HTTP server running on port ${this.port}`);
-            console.log(`🌐 Access dashboard at: http://YOUR_SERVER_IP:${this.port}`);
+    handleRequest(req, res) {
+        if (!this.authorizeRequest(req, res)) return;
+        this.route(req, res);
+    }
+
+    // Routes of an authorized request; subclasses add theirs in front
+    route(req, res) {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+
+        if (pathname === '/' || pathname === '/index.html') {
+            this.serveDashboard(res);
+        } else if (pathname === '/login') {
+            this.serveLoginPage(req, res);
+        } else if (pathname === '/api/stats') {
+            this.serveStats(res);
+        } else if (pathname === '/api/devices') {
+            this.serveDevices(res);
+        } else if (pathname === '/metrics' && req.method === 'GET') {
+            this.serveMetrics(res);
+        } else if (pathname.startsWith('/api/')) {
+            this.restAPI.handle(req, res);
+        } else if (pathname.startsWith('/recordings/') && req.method === 'GET') {
+            this.serveRecording(req, res);
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            // The dashboard's scripts and styles, asked for relative to /
+            this.serveStaticFile(req, res);
+        } else {
+            res.writeHead(404);
+            res.end('Not Found');
+        }
+    }
+
+    /**
+     * Authenticate a request and check the permission its path needs
+     * REST operations are checked by RestAPI. Refused requests are answered
+     * here.
+     * @returns {boolean} Whether to handle the request
+     */
+    authorizeRequest(req, res) {
+        req.principal = this.auth.authenticate(req);
+        Object.entries(this.auth.corsHeaders(req)).forEach(([name, value]) => res.setHeader(name, value));
+
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        const permission = this.getPermission(pathname);
+        if (!permission) return true;
+
+        const allowed = this.auth.authorize(req.principal, {
+            operation: LEGACY_OPERATIONS[pathname] || pathname,
+            permission,
+            address: req.socket.remoteAddress
         });
+        if (allowed) return true;
+
+        req.resume();
+        const loggedIn = Boolean(req.principal) && this.auth.isActive(req.principal);
+        if (!loggedIn && PAGES.includes(pathname)) {
+            res.writeHead(302, { 'Location': '/login' });
+            res.end();
+        } else {
+            res.writeHead(loggedIn ? 403 : 401, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: loggedIn ? 'Forbidden' : 'Login required' }));
+        }
+        return false;
+    }
+
+    /**
+     * Permission needed for a path, null when RestAPI decides
+     */
+    getPermission(pathname) {
+        if (LEGACY_OPERATIONS[pathname]) {
+            return this.restAPI.validator.getPermission(LEGACY_OPERATIONS[pathname]);
+        }
+        if (pathname.startsWith('/api/')) return null;
+        if (pathname === '/login') return 'public';
+        if (pathname === '/metrics') return 'stats';
+        if (pathname.startsWith('/recordings/')) return 'listen';
+        return 'session';
+    }
+
+    serveLoginPage(req, res) {
+        if (this.auth.isActive(req.principal)) {
+            res.writeHead(302, { 'Location': '/' });
+            res.end();
+            return;
+        }
+
+        const loginPath = path.join(__dirname, '..', 'dashboard', 'login.html');
+        res.writeHead(200, {'Content-Type': 'text/html'});
+        fs.createReadStream(loginPath).pipe(res);
     }
 
     serveDashboard(res) {
@@ -57,18 +163,13 @@ class DashboardServer {
         }
     }
 
+    // Files under dashboard/, at the root or under /dashboard/
     serveStaticFile(req, res) {
-        const filePath = path.join(__dirname, '..', req.url);
+        const prefix = req.url.startsWith('/dashboard/') ? '/dashboard/' : '/';
+        const filePath = this.resolveStaticFile(req.url, prefix);
 
-        if (fs.existsSync(filePath)) {
-            const ext = path.extname(filePath);
-            const contentType = {
-                '.js': 'application/javascript',
-                '.css': 'text/css',
-                '.html': 'text/html'
-            }[ext] || 'text/plain';
-
-            res.writeHead(200, {'Content-Type': contentType});
+        if (filePath) {
+            res.writeHead(200, {'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'text/plain'});
             fs.createReadStream(filePath).pipe(res);
         } else {
             res.writeHead(404);
@@ -76,83 +177,109 @@ class DashboardServer {
         }
     }
 
+    /**
+     * The file under dashboard/ a request URL names
+     * @param {string} url - Request URL
+     * @param {string} prefix - URL path the dashboard directory is served at
+     * @returns {string|null} Absolute path; null if there is no such file or
+     *   the URL leads outside dashboard/ (users.json, keys, tokens live nearby)
+     */
+    resolveStaticFile(url, prefix) {
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+        } catch (error) {
+            return null; // Malformed escape
+        }
+        if (!pathname.startsWith(prefix)) return null;
+
+        const filePath = path.resolve(DASHBOARD_DIR, pathname.slice(prefix.length));
+        if (!filePath.startsWith(DASHBOARD_DIR + path.sep)) return null;
+
+        try {
+            return fs.statSync(filePath).isFile() ? filePath : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    serveRecording(req, res) {
+        const match = /^\/recordings\/([\w-]+)\/([^/]+)\.opus$/.exec(new URL(req.url, 'http://localhost').pathname);
+        let file = null;
+        if (match && this.udpServer && this.udpServer.callRecorder) {
+            try {
+                file = this.udpServer.callRecorder.getTrackFile(match[1], decodeURIComponent(match[2]));
+            } catch (error) {
+                file = null; // Malformed escape in the device ID
+            }
+        }
+
+        const notFound = () => {
+            res.writeHead(404);
+            res.end('Recording not found');
+        };
+        if (!file) return notFound();
+
+        // The file may be gone (deleted, or never written): answer once it is open
+        const stream = fs.createReadStream(file);
+        stream.on('open', () => {
+            res.writeHead(200, {
+                'Content-Type': 'audio/ogg',
+                'Content-Disposition': `attachment; filename="${path.basename(file)}"`
+            });
+            stream.pipe(res);
+        });
+        stream.on('error', () => {
+            if (res.headersSent) {
+                res.destroy();
+            } else {
+                notFound();
+            }
+        });
+    }
+
     serveStats(res) {
         const stats = this.udpServer ? {
             uptime: Math.floor((Date.now() - this.udpServer.stats.startTime) / 1000),
             packetsReceived: this.udpServer.stats.packetsReceived,
             packetsRouted: this.udpServer.stats.packetsRouted,
             packetsDropped: this.udpServer.stats.packetsDropped,
+            packetsRejected: this.udpServer.stats.packetsRejected,
             bytesReceived: this.udpServer.stats.bytesReceived,
             bytesTransmitted: this.udpServer.stats.bytesTransmitted
         } : {};
 
-        res.writeHead(200, {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-        });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(stats));
     }
 
-    serveDevices(res) {
-        const devices = this.udpServer && this.udpServer.deviceManager ?
-            this.udpServer.deviceManager.getOnlineDevices() : [];
-
-        res.writeHead(200, {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-        });
-        res.end(JSON.stringify(devices));
-    }
-
-    handleRouteUpdate(req, res) {
-        let body = '';
-        req.on('data', chunk => {
-            body += chunk.toString();
-        });
+    serveMetrics(res) {
+        if (!this.metrics || !this.metrics.options.enabled) {
+            res.writeHead(404);
+            res.end('Not Found');
+            return;
+        }
 
-        req.on('end', () => {
-            try {
-                const { from, to, enable } = JSON.parse(body);
-
-                if (this.udpServer && this.udpServer.audioRouter) {
-                    if (enable) {
-                        // Enable route (including self-echo if from === to)
-                        this.udpServer.audioRouter.setRoute(from, to);
-                        console.log(`✅ Route enabled: ${from} → ${to}${from === to ? ' (ECHO MODE)' : ''}`);
-                    } else {
-                        // Disable route
-                        this.udpServer.audioRouter.removeRoute(from, to);
-                        console.log(`❌ Route disabled: ${from} → ${to}`);
-                    }
-                }
+        let body;
+        try {
+            body = this.metrics.render();
+        } catch (error) {
+            log.error(`Metrics error: ${error.message}`, { error: error.stack });
+            res.writeHead(500);
+            res.end('Metrics unavailable');
+            return;
+        }
 
-                res.writeHead(200, {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                });
-                res.end(JSON.stringify({ success: true }));
-            } catch (error) {
-                console.error('Route update error:', error);
-                res.writeHead(400, {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                });
-                res.end(JSON.stringify({ error: error.message }));
-            }
-        });
+        res.writeHead(200, { 'Content-Type': MetricsExporter.CONTENT_TYPE });
+        res.end(body);
     }
 
-    handleClearRoutes(req, res) {
-        if (this.udpServer && this.udpServer.audioRouter) {
-            this.udpServer.audioRouter.clearAllRoutes();
-            console.log('🗑️ All routes cleared');
-        }
+    serveDevices(res) {
+        const devices = this.udpServer && this.udpServer.deviceManager ?
+            this.udpServer.deviceManager.getOnlineDevices() : [];
 
-        res.writeHead(200, {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-        });
-        res.end(JSON.stringify({ success: true }));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(devices));
     }
 
     getFallbackDashboard() {
@@ -466,7 +593,7 @@ class DashboardServer {
             <div class="server-info">
                 <strong>UDP Port:</strong> 5004<br>
                 <strong>Server IP:</strong> 138.197.73.48<br>
-                <strong>Dashboard Port:</strong> 8080
+                <strong>Dashboard Port:</strong> ${this.listener.options.port}
             </div>
             <div class="refresh-notice">
                 Auto-refreshing every 2 seconds...
@@ -643,10 +770,12 @@ class DashboardServer {
     }
 
     stop() {
-        if (this.httpServer) {
-            this.httpServer.close();
-            console.log('Dashboard server stopped');
+        this.listener.setRequestHandler(null);
+        // The UDP server stops its own listener
+        if (!this.udpServer) {
+            this.listener.stop();
         }
+        log.info('Dashboard server stopped');
     }
 }
 
@@ -656,6 +785,7 @@ module.exports = DashboardServer;
 // If run directly, start a standalone dashboard server
 if (require.main === module) {
     const dashboard = new DashboardServer(null);
+    dashboard.auth.start();
     dashboard.start();
 
     console.log('\n════════════════════════════════════════');
@@ -0,0 +1,359 @@
+/**
+ * Device Authenticator - Per-device keys and HMAC packet verification
+ *
+ * Signed packets carry a 20-byte trailer after the normal packet:
+ *   [AuthCounter(4,BE)][HMAC-SHA256(key, packet + counter), first 16 bytes]
+ *
+ * The auth counter increases by one for every packet a device signs,
+ * whatever its type, so heartbeats and control packets (which always use
+ * sequence 0) are replay protected as well. A sliding window accepts
+ * reordered packets but rejects any counter it has already seen. Devices
+ * must keep the counter across reboots (e.g. in NVS); the server saves the
+ * highest counter per device to its own file (countersFile, written in the
+ * background every counterSaveMs and on stop) and after a restart rejects
+ * anything at or below it. Only counters accepted within counterSaveMs of a
+ * crash can be replayed.
+ *
+ * Modes (CONFIG.security.authentication.mode):
+ * - off:      trailers are neither expected nor checked
+ * - optional: devices with a registered key must sign, others may not
+ * - required: every device must have a key and sign every packet
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config/server-config.json');
+const atomicFile = require('./atomic-file');
+const protocol = require('./packet-protocol');
+const ReplayWindow = require('./replay-window');
+const log = require('./logger').forModule('device-auth');
+
+const COUNTER_SIZE = 4;
+const MAC_SIZE = 16;
+const TRAILER_SIZE = COUNTER_SIZE + MAC_SIZE;
+
+class DeviceAuthenticator {
+    constructor(options = {}) {
+        const authConfig = CONFIG.security.authentication;
+
+        this.mode = options.mode || authConfig.mode;
+        this.replayWindow = options.replayWindow || authConfig.replayWindow;
+
+        // Secret registry
+        this.keys = new Map(); // deviceId -> Buffer
+
+        // Replay state per device
+        this.replayState = new Map();   // deviceId -> ReplayWindow
+        this.counterFloors = new Map(); // deviceId -> highest counter before the restart
+        this.countersChanged = false;   // Counters accepted since exportCounters()
+        this.countersFile = options.countersFile !== undefined ? options.countersFile : authConfig.countersFile;
+        this.counterSaveMs = options.counterSaveMs || authConfig.counterSaveMs;
+        this.counterTimer = null;
+        this.counterSave = null;        // Pending background save
+
+        // Statistics
+        this.stats = {
+            verified: 0,
+            unsigned: 0,
+            rejected: 0,
+            rejectedUnknownDevice: 0,
+            rejectedMissingSignature: 0,
+            rejectedBadSignature: 0,
+            rejectedReplay: 0
+        };
+
+        const keysFile = options.keysFile || authConfig.keysFile;
+        if (keysFile) {
+            this.loadKeys(path.resolve(__dirname, '..', keysFile));
+        }
+    }
+
+    /**
+     * Read one device's secret from a keys file (used by simulators)
+     * @param {string} deviceId - Device ID
+     * @param {string} [keysFile] - Keys file relative to the project root
+     * @returns {string|null} Hex secret, or null if none
+     */
+    static readKey(deviceId, keysFile = CONFIG.security.authentication.keysFile) {
+        const filePath = path.resolve(__dirname, '..', keysFile);
+        if (!fs.existsSync(filePath)) return null;
+
+        try {
+            const keys = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            return keys[deviceId] || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Load device secrets from a JSON file ({ "001": "hex secret", ... })
+     * @param {string} filePath - Absolute path of the keys file
+     * @returns {number} Number of keys loaded
+     */
+    loadKeys(filePath) {
+        if (!fs.existsSync(filePath)) {
+            if (this.mode !== 'off') {
+                log.warn(`Device keys file not found: ${filePath}`);
+            }
+            return 0;
+        }
+
+        try {
+            const keys = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            Object.entries(keys).forEach(([deviceId, secret]) => {
+                this.setKey(deviceId, secret);
+            });
+            log.info(`Loaded ${this.keys.size} device keys (auth mode: ${this.mode})`);
+            return this.keys.size;
+        } catch (error) {
+            log.error(`Failed to load device keys: ${error.message}`);
+            return 0;
+        }
+    }
+
+    setKey(deviceId, secret) {
+        const key = Buffer.isBuffer(secret) ? secret : Buffer.from(secret, 'hex');
+        const current = this.keys.get(deviceId);
+        this.keys.set(deviceId, key);
+
+        // A new secret starts a new counter; setting the same one again
+        // (e.g. when the registry is restored) keeps the replay state
+        if (!current || !current.equals(key)) {
+            this.replayState.delete(deviceId);
+            this.counterFloors.delete(deviceId);
+        }
+    }
+
+    removeKey(deviceId) {
+        this.replayState.delete(deviceId);
+        this.counterFloors.delete(deviceId);
+        return this.keys.delete(deviceId);
+    }
+
+    hasKey(deviceId) {
+        return this.keys.has(deviceId);
+    }
+
+    /**
+     * Verify a packet and strip its trailer
+     * @param {Buffer} packet - Raw UDP packet
+     * @returns {Object} { ok, packet, deviceId, authenticated, reason }
+     */
+    verify(packet) {
+        const header = protocol.decodePacket(packet);
+        if (!header) {
+            // Malformed packets are reported by the caller's own decoding
+            return { ok: true, packet, deviceId: null, authenticated: false };
+        }
+
+        const deviceId = header.deviceId;
+
+        if (this.mode === 'off') {
+            return { ok: true, packet, deviceId, authenticated: false };
+        }
+
+        const key = this.keys.get(deviceId);
+
+        if (!key) {
+            if (this.mode === 'required') {
+                return this.reject(deviceId, 'rejectedUnknownDevice', 'unknown device');
+            }
+            this.stats.unsigned++;
+            return { ok: true, packet, deviceId, authenticated: false };
+        }
+
+        // A v2 packet announces its trailer with a flag, v1 cannot
+        if (header.version >= protocol.PROTOCOL_V2 && !(header.flags & protocol.FLAGS.AUTH)) {
+            return this.reject(deviceId, 'rejectedMissingSignature', 'missing signature');
+        }
+        if (packet.length < TRAILER_SIZE + protocol.V1_HEADER_SIZE) {
+            return this.reject(deviceId, 'rejectedMissingSignature', 'missing signature');
+        }
+
+        const macOffset = packet.length - MAC_SIZE;
+        const counterOffset = macOffset - COUNTER_SIZE;
+        const counter = packet.readUInt32BE(counterOffset);
+        const expected = DeviceAuthenticator.computeMac(key, packet.slice(0, macOffset));
+
+        if (!crypto.timingSafeEqual(expected, packet.slice(macOffset))) {
+            return this.reject(deviceId, 'rejectedBadSignature', 'bad signature');
+        }
+
+        if (!this.checkReplay(deviceId, counter)) {
+            return this.reject(deviceId, 'rejectedReplay', `replayed counter ${counter}`);
+        }
+
+        // Strip the trailer (and its flag) so receivers get a plain packet
+        const stripped = Buffer.from(packet.slice(0, counterOffset));
+        if (header.version >= protocol.PROTOCOL_V2) {
+            stripped[1] &= ~protocol.FLAGS.AUTH;
+        }
+
+        this.stats.verified++;
+        return {
+            ok: true,
+            packet: stripped,
+            deviceId,
+            authenticated: true
+        };
+    }
+
+    /**
+     * Sliding window replay check, records the counter when accepted
+     * @param {string} deviceId - Device ID
+     * @param {number} counter - Auth counter from the trailer
+     * @returns {boolean} True if the counter has not been seen
+     */
+    checkReplay(deviceId, counter) {
+        if (!this.replayState.has(deviceId)) {
+            const floor = this.counterFloors.has(deviceId) ? this.counterFloors.get(deviceId) : -1;
+            this.replayState.set(deviceId, new ReplayWindow(this.replayWindow, floor));
+        }
+
+        const accepted = this.replayState.get(deviceId).accept(counter);
+        if (accepted) {
+            this.countersChanged = true;
+        }
+        return accepted;
+    }
+
+    /**
+     * Highest accepted counter per device, to be restored after a restart
+     * @returns {Object} { deviceId: counter }
+     */
+    exportCounters() {
+        const counters = Object.fromEntries(this.counterFloors);
+        this.replayState.forEach((window, deviceId) => {
+            if (window.highest >= 0) {
+                counters[deviceId] = window.highest;
+            }
+        });
+        this.countersChanged = false;
+        return counters;
+    }
+
+    /**
+     * Restore counters saved by exportCounters()
+     * Counters of devices without a key are dropped.
+     * @param {Object} counters - { deviceId: counter }
+     */
+    importCounters(counters) {
+        Object.entries(counters || {}).forEach(([deviceId, counter]) => {
+            if (!this.keys.has(deviceId) || !Number.isInteger(counter)) return;
+            this.counterFloors.set(deviceId, counter);
+            this.replayState.delete(deviceId);
+        });
+    }
+
+    /**
+     * Restore the saved counters and save them periodically
+     * Call after the device registry is restored, counters of devices
+     * without a key are dropped.
+     */
+    start() {
+        if (!this.countersFile) return;
+
+        const filePath = path.resolve(__dirname, '..', this.countersFile);
+        if (fs.existsSync(filePath)) {
+            try {
+                this.importCounters(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+            } catch (error) {
+                log.error(`Failed to load packet auth counters: ${error.message}`);
+            }
+        }
+
+        this.counterTimer = setInterval(() => this.saveCounters(), this.counterSaveMs);
+        this.counterTimer.unref();
+    }
+
+    /**
+     * Save the counters in the background if devices sent signed packets
+     * since the last save
+     * @returns {Promise}
+     */
+    saveCounters() {
+        if (!this.countersFile || !this.countersChanged || this.counterSave) {
+            return this.counterSave || Promise.resolve();
+        }
+
+        const filePath = path.resolve(__dirname, '..', this.countersFile);
+        this.counterSave = atomicFile.writeFile(filePath, JSON.stringify(this.exportCounters(), null, 2))
+            .catch((error) => {
+                this.countersChanged = true; // Try again next time
+                log.error(`Failed to save packet auth counters: ${error.message}`);
+            })
+            .finally(() => {
+                this.counterSave = null;
+            });
+        return this.counterSave;
+    }
+
+    /**
+     * Stop the periodic save and save the counters one last time
+     */
+    stop() {
+        clearInterval(this.counterTimer);
+        this.counterTimer = null;
+        if (!this.countersFile || !this.countersChanged) return;
+
+        // Synchronous, the process may exit right after
+        try {
+            atomicFile.writeFileSync(path.resolve(__dirname, '..', this.countersFile),
+                JSON.stringify(this.exportCounters(), null, 2));
+        } catch (error) {
+            log.error(`Failed to save packet auth counters: ${error.message}`);
+        }
+    }
+
+    reject(deviceId, counterName, reason) {
+        this.stats.rejected++;
+        this.stats[counterName]++;
+
+        // Only log occasionally to avoid spam from a flooding attacker
+        if (this.stats.rejected % 50 === 1) {
+            log.limited('rejected').warn(`Rejected packet claiming ${deviceId}: ${reason} (${this.stats.rejected} total)`, { deviceId, reason });
+        }
+        return { ok: false, deviceId, reason };
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            mode: this.mode,
+            registeredDevices: this.keys.size
+        };
+    }
+
+    /**
+     * Compute the truncated HMAC of the signed part of a packet
+     * @param {Buffer} key - Device secret
+     * @param {Buffer} data - Packet bytes including the auth counter
+     * @returns {Buffer} 16-byte MAC
+     */
+    static computeMac(key, data) {
+        return crypto.createHmac('sha256', key).update(data).digest().slice(0, MAC_SIZE);
+    }
+
+    /**
+     * Append an auth trailer to a packet (used by devices and simulators)
+     * v2 packets must already carry FLAGS.AUTH.
+     * @param {Buffer} packet - Encoded packet
+     * @param {Buffer|string} key - Device secret (Buffer or hex string)
+     * @param {number} counter - Auth counter for this packet
+     * @returns {Buffer} Signed packet
+     */
+    static sign(packet, key, counter) {
+        const secret = Buffer.isBuffer(key) ? key : Buffer.from(key, 'hex');
+        const counterBuffer = Buffer.alloc(COUNTER_SIZE);
+        counterBuffer.writeUInt32BE(counter >>> 0, 0);
+
+        const signed = Buffer.concat([packet, counterBuffer]);
+        return Buffer.concat([signed, DeviceAuthenticator.computeMac(secret, signed)]);
+    }
+}
+
+DeviceAuthenticator.TRAILER_SIZE = TRAILER_SIZE;
+
+module.exports = DeviceAuthenticator;
@@ -0,0 +1,245 @@
+/**
+ * Device Commands - Server-originated control of devices
+ *
+ * Sends commands to devices as CONTROL packets and tracks each one until
+ * the device acknowledges it (see reliable-delivery.js). v1 firmware cannot
+ * acknowledge, so its commands are sent once and stay 'sent'.
+ *
+ * Commands and their parameters:
+ *   set-volume   { volume: 0-100 }           Speaker volume (%)
+ *   set-mic-gain { gainDb: -20-40 }          Microphone gain
+ *   mute, unmute                             Local microphone mute
+ *   set-bitrate  { bitrate: 6000-510000 }    Opus encoder bitrate (bit/s)
+ *   reboot       { delayMs: 0-60000 }        Restart (after the ACK)
+ *   push-config  { config: {...} }           Device configuration, see CONFIG_KEYS
+ *
+ * Command status: 'pending' until the device answers, then 'acknowledged',
+ * 'rejected' (the device returned an error) or 'timeout'; 'sent' for v1.
+ */
+
+const EventEmitter = require('events');
+const protocol = require('./packet-protocol');
+const log = require('./logger').forModule('device-commands');
+
+const HISTORY_SIZE = 20; // Commands kept per device
+
+// Configuration keys a device accepts in push-config
+const CONFIG_KEYS = ['volume', 'gainDb', 'bitrate', 'heartbeatInterval', 'audioPattern', 'frequency'];
+
+class DeviceCommandError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+function requireNumber(params, key, min, max, integer) {
+    const value = params[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value)) ||
+        value < min || value > max) {
+        throw new DeviceCommandError('invalid-params',
+            `${key} must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max}`);
+    }
+    return value;
+}
+
+// Validate parameters, returning the ones sent to the device
+const COMMANDS = {
+    'set-volume': params => ({ volume: requireNumber(params, 'volume', 0, 100, true) }),
+    'set-mic-gain': params => ({ gainDb: requireNumber(params, 'gainDb', -20, 40) }),
+    'mute': () => ({}),
+    'unmute': () => ({}),
+    'set-bitrate': params => ({ bitrate: requireNumber(params, 'bitrate', 6000, 510000, true) }),
+    'reboot': params => (params.delayMs === undefined
+        ? {}
+        : { delayMs: requireNumber(params, 'delayMs', 0, 60000, true) }),
+    'push-config': params => {
+        const config = params.config;
+        if (!config || typeof config !== 'object' || Array.isArray(config) || Object.keys(config).length === 0) {
+            throw new DeviceCommandError('invalid-params', 'config must be a non-empty object');
+        }
+        const unknown = Object.keys(config).filter(key => !CONFIG_KEYS.includes(key));
+        if (unknown.length > 0) {
+            throw new DeviceCommandError('invalid-params',
+                `Unknown config keys: ${unknown.join(', ')} (allowed: ${CONFIG_KEYS.join(', ')})`);
+        }
+        return { config };
+    }
+};
+
+class DeviceCommands extends EventEmitter {
+    constructor(udpServer) {
+        super();
+        this.udpServer = udpServer;
+        this.deviceManager = udpServer.deviceManager;
+        this.reliableDelivery = udpServer.reliableDelivery;
+
+        // Recent commands per device, oldest first
+        this.history = new Map(); // Key: deviceId, Value: command records
+
+        // Settings devices have acknowledged
+        this.settings = new Map(); // Key: deviceId, Value: { volume, gainDb, muted, bitrate, config }
+
+        this.nextCommandId = 1;
+
+        this.stats = {
+            sent: 0,
+            acknowledged: 0,
+            rejected: 0,
+            timedOut: 0
+        };
+    }
+
+    /**
+     * Send a command to a device
+     * @param {string} deviceId - Target device
+     * @param {string} command - Command name (see COMMANDS)
+     * @param {Object} [params] - Command parameters
+     * @returns {Object} Command record
+     * @throws {DeviceCommandError} unknown-command, invalid-params, unknown-device or offline
+     */
+    send(deviceId, command, params = {}) {
+        const validate = COMMANDS[command];
+        if (!validate) {
+            throw new DeviceCommandError('unknown-command',
+                `Unknown device command: ${command} (available: ${Object.keys(COMMANDS).join(', ')})`);
+        }
+        const checked = validate(params || {});
+
+        const device = this.deviceManager.getDevice(deviceId);
+        if (!device || device.isDashboard) {
+            throw new DeviceCommandError('unknown-device', `Unknown device: ${deviceId}`);
+        }
+        if (!device.online) {
+            throw new DeviceCommandError('offline', `Device ${deviceId} is offline`);
+        }
+
+        const record = {
+            commandId: this.nextCommandId++,
+            deviceId,
+            command,
+            params: checked,
+            status: 'pending',
+            attempts: 0,
+            sentAt: Date.now(),
+            answeredAt: null,
+            error: null,
+            message: null
+        };
+        this.remember(record);
+        this.stats.sent++;
+
+        log.info(`Command ${command} to ${deviceId}${Object.keys(checked).length ? ` ${JSON.stringify(checked)}` : ''}`, { deviceId, command });
+
+        const control = { command, ...checked };
+        if (device.protocolVersion < protocol.PROTOCOL_V2) {
+            this.udpServer.sendControl(device, control);
+            record.status = 'sent';
+            record.attempts = 1;
+        } else {
+            this.reliableDelivery.sendReliable(device, control,
+                (ack, reason, attempts) => this.settle(record, ack, reason, attempts));
+        }
+
+        this.emit('command-updated', record);
+        return record;
+    }
+
+    settle(record, ack, reason, attempts) {
+        record.attempts = attempts;
+        record.answeredAt = Date.now();
+
+        if (!ack) {
+            record.status = 'timeout';
+            record.error = reason;
+            this.stats.timedOut++;
+            log.warn(`Command ${record.command} to ${record.deviceId} not acknowledged (${reason})`, { deviceId: record.deviceId, command: record.command, reason });
+        } else if (ack.status === 'error') {
+            record.status = 'rejected';
+            record.error = ack.error || 'failed';
+            record.message = ack.message || null;
+            this.stats.rejected++;
+            log.warn(`${record.deviceId} rejected ${record.command}: ${record.error}`, { deviceId: record.deviceId, command: record.command });
+        } else {
+            record.status = 'acknowledged';
+            this.stats.acknowledged++;
+            this.applySettings(record);
+        }
+
+        this.emit('command-updated', record);
+    }
+
+    applySettings(record) {
+        const settings = this.settings.get(record.deviceId) || {};
+        const { params } = record;
+
+        switch (record.command) {
+            case 'set-volume':
+                settings.volume = params.volume;
+                break;
+            case 'set-mic-gain':
+                settings.gainDb = params.gainDb;
+                break;
+            case 'mute':
+            case 'unmute':
+                settings.muted = record.command === 'mute';
+                break;
+            case 'set-bitrate':
+                settings.bitrate = params.bitrate;
+                break;
+            case 'push-config':
+                settings.config = { ...settings.config, ...params.config };
+                break;
+        }
+
+        this.settings.set(record.deviceId, settings);
+    }
+
+    remember(record) {
+        if (!this.history.has(record.deviceId)) {
+            this.history.set(record.deviceId, []);
+        }
+
+        const records = this.history.get(record.deviceId);
+        records.push(record);
+        if (records.length > HISTORY_SIZE) {
+            records.shift();
+        }
+    }
+
+    /**
+     * Recent commands of a device and the settings it acknowledged
+     * @param {string} deviceId - Device ID
+     * @returns {{deviceId: string, settings: Object, commands: Object[]}}
+     */
+    describeDevice(deviceId) {
+        return {
+            deviceId,
+            settings: this.settings.get(deviceId) || {},
+            commands: (this.history.get(deviceId) || []).slice()
+        };
+    }
+
+    /**
+     * @param {string} deviceId - Device ID
+     * @param {number} commandId - Command ID
+     * @returns {Object|null} Command record
+     */
+    getCommand(deviceId, commandId) {
+        return (this.history.get(deviceId) || []).find(record => record.commandId === commandId) || null;
+    }
+
+    getStats() {
+        let pending = 0;
+        this.history.forEach(records => {
+            pending += records.filter(record => record.status === 'pending').length;
+        });
+        return { ...this.stats, pending };
+    }
+}
+
+DeviceCommands.DeviceCommandError = DeviceCommandError;
+DeviceCommands.COMMANDS = Object.keys(COMMANDS);
+DeviceCommands.CONFIG_KEYS = CONFIG_KEYS;
+
+module.exports = DeviceCommands;
@@ -1,11 +1,16 @@
 const EventEmitter = require('events');
 const CONFIG = require('../config/server-config.json');
+const log = require('./logger').forModule('device-manager');
 
 class DeviceManager extends EventEmitter {
     constructor() {
         super();
         this.devices = new Map();
         this.deviceGroups = new Map();
+        this.deviceMetadata = new Map(); // deviceId -> { name, ... }
+
+        // Set by the server; may limit devices to some groups (see device-registry.js)
+        this.registry = null;
     }
 
     updateDevice(deviceId, info) {
@@ -13,63 +18,34 @@ class DeviceManager extends EventEmitter {
 
         if (!device) {
             // New device registration
-            device = {
-                id: deviceId,
-                address: info.address,
-                port: info.port,
-                firstSeen: Date.now(),
-                lastSeen: Date.now(),
-                online: true,
-                sequence: info.sequence || 0,
-                lastSequence: -1,
-                packetsReceived: 0,
-                packetsLost: 0,
-                stats: {
-                    jitter: [],
-                    latency: [],
-                    packetLoss: 0
-                }
-            };
+            device = this.createDeviceRecord(deviceId, info);
 
             this.devices.set(deviceId, device);
-            console.log(`✅ New device registered: ${deviceId} from ${info.address}:${info.port}`);
+            log.info(`New device registered: ${deviceId} from ${info.address}:${info.port}`, { deviceId, address: `${info.address}:${info.port}` });
             this.emit('device-connected', device);
         } else {
             // Update existing device
             const wasOffline = !device.online;
 
-            // Check for packet loss
-            if (device.lastSequence >= 0) {
-                const expectedSeq = (device.lastSequence + 1) & 0xFFFF;
-                if (info.sequence !== expectedSeq) {
-                    const lost = (info.sequence - expectedSeq + 0x10000) & 0xFFFF;
-                    if (lost < 1000) { // Reasonable packet loss
-                        device.packetsLost += lost;
-                        console.warn(`⚠️ Device ${deviceId} lost ${lost} packets`);
-                    }
-                }
-            }
-
             // Update device info
             device.address = info.address;
             device.port = info.port;
             device.lastSeen = Date.now();
             device.online = true;
-            device.lastSequence = info.sequence;
             device.packetsReceived++;
+            if (info.protocolVersion) {
+                device.protocolVersion = info.protocolVersion;
+            }
+            device.authenticated = Boolean(info.authenticated);
 
-            // Calculate jitter
-            if (device.lastPacketTime) {
-                const jitter = Date.now() - device.lastPacketTime - CONFIG.audio.frameDuration;
-                device.stats.jitter.push(Math.abs(jitter));
-                if (device.stats.jitter.length > 100) {
-                    device.stats.jitter.shift();
-                }
+            // Loss and jitter are measured on the audio stream; other packet
+            // types come without a sequence (devices send them with 0)
+            if (info.sequence !== undefined) {
+                this.trackSequence(device, info.sequence);
             }
-            device.lastPacketTime = Date.now();
 
             if (wasOffline) {
-                console.log(`📡 Device ${deviceId} reconnected`);
+                log.info(`Device ${deviceId} reconnected`, { deviceId });
                 this.emit('device-reconnected', device);
             }
         }
@@ -77,6 +53,55 @@ class DeviceManager extends EventEmitter {
         return device;
     }
 
+    trackSequence(device, sequence) {
+        // Check for packet loss
+        if (device.lastSequence >= 0) {
+            const expectedSeq = (device.lastSequence + 1) & 0xFFFF;
+            if (sequence !== expectedSeq) {
+                const lost = (sequence - expectedSeq + 0x10000) & 0xFFFF;
+                if (lost < 1000) { // Reasonable packet loss
+                    device.packetsLost += lost;
+                    log.limited(`lost:${device.id}`).warn(`Device ${device.id} lost ${lost} packets`, { deviceId: device.id, lost });
+                }
+            }
+        }
+        device.lastSequence = sequence;
+
+        // Calculate jitter
+        if (device.lastPacketTime) {
+            const jitter = Date.now() - device.lastPacketTime - CONFIG.audio.frameDuration;
+            device.stats.jitter.push(Math.abs(jitter));
+            if (device.stats.jitter.length > 100) {
+                device.stats.jitter.shift();
+            }
+        }
+        device.lastPacketTime = Date.now();
+    }
+
+    createDeviceRecord(deviceId, info) {
+        return {
+            id: deviceId,
+            address: info.address,
+            port: info.port,
+            firstSeen: info.firstSeen || Date.now(),
+            lastSeen: info.lastSeen !== undefined ? info.lastSeen : Date.now(),
+            online: info.online !== undefined ? info.online : true,
+            sequence: info.sequence || 0,
+            lastSequence: -1,
+            protocolVersion: info.protocolVersion || 1,
+            authenticated: Boolean(info.authenticated),
+            capabilities: null, // Filled in by the HELLO exchange
+            codec: null, // Filled in by the Opus inspector
+            packetsReceived: 0,
+            packetsLost: 0,
+            stats: {
+                jitter: [],
+                latency: [],
+                packetLoss: 0
+            }
+        };
+    }
+
     getDevice(deviceId) {
         return this.devices.get(deviceId);
     }
@@ -95,13 +120,17 @@ class DeviceManager extends EventEmitter {
 
         this.devices.forEach(device => {
             if (device.online && (now - device.lastSeen) > timeout) {
-                device.online = false;
-                console.log(`⚠️ Device ${device.id} went offline (timeout)`);
-                this.emit('device-disconnected', device);
+                this.setOffline(device, 'timeout');
             }
         });
     }
 
+    setOffline(device, reason) {
+        device.online = false;
+        log.warn(`Device ${device.id} went offline (${reason})`, { deviceId: device.id, reason });
+        this.emit('device-disconnected', device);
+    }
+
     getDeviceStats(deviceId) {
         const device = this.devices.get(deviceId);
         if (!device) return null;
@@ -122,7 +151,12 @@ class DeviceManager extends EventEmitter {
             packetLossRate: device.packetsReceived > 0
                 ? (device.packetsLost / (device.packetsReceived + device.packetsLost) * 100).toFixed(2)
                 : 0,
+            name: this.getDeviceName(device.id),
             avgJitter: avgJitter.toFixed(2),
+            protocolVersion: device.protocolVersion,
+            authenticated: device.authenticated,
+            capabilities: device.capabilities ? device.capabilities.negotiated : null,
+            codec: device.codec ? { ...device.codec, errors: { ...device.codec.errors } } : null,
             lastSeen: device.lastSeen
         };
     }
@@ -130,29 +164,47 @@ class DeviceManager extends EventEmitter {
     // Group management for multi-party calls
     createGroup(groupId, deviceIds = []) {
         if (this.deviceGroups.has(groupId)) {
-            console.warn(`Group ${groupId} already exists`);
+            log.warn(`Group ${groupId} already exists`, { groupId });
+            return false;
+        }
+
+        if (deviceIds.length > CONFIG.routing.maxGroupSize) {
+            log.warn(`Group ${groupId} exceeds maximum size ${CONFIG.routing.maxGroupSize}`, { groupId });
+            return false;
+        }
+
+        const refused = deviceIds.filter(deviceId => !this.canJoinGroup(groupId, deviceId));
+        if (refused.length > 0) {
+            log.warn(`Group ${groupId} not allowed for ${refused.join(', ')}`, { groupId, refused });
             return false;
         }
 
         this.deviceGroups.set(groupId, new Set(deviceIds));
-        console.log(`✅ Created group ${groupId} with ${deviceIds.length} devices`);
+        log.info(`Created group ${groupId} with ${deviceIds.length} devices`, { groupId, members: deviceIds });
+        this.emit('group-created', { groupId, members: deviceIds });
         return true;
     }
 
     addToGroup(groupId, deviceId) {
         const group = this.deviceGroups.get(groupId);
         if (!group) {
-            console.warn(`Group ${groupId} does not exist`);
+            log.warn(`Group ${groupId} does not exist`, { groupId });
             return false;
         }
 
         if (group.size >= CONFIG.routing.maxGroupSize) {
-            console.warn(`Group ${groupId} is full`);
+            log.warn(`Group ${groupId} is full`, { groupId });
+            return false;
+        }
+
+        if (!this.canJoinGroup(groupId, deviceId)) {
+            log.warn(`${deviceId} may not join group ${groupId}`, { groupId, deviceId });
             return false;
         }
 
         group.add(deviceId);
-        console.log(`Added ${deviceId} to group ${groupId}`);
+        log.info(`Added ${deviceId} to group ${groupId}`, { groupId, deviceId });
+        this.emit('group-updated', { groupId, members: Array.from(group) });
         return true;
     }
 
@@ -163,11 +215,34 @@ class DeviceManager extends EventEmitter {
         group.delete(deviceId);
         if (group.size === 0) {
             this.deviceGroups.delete(groupId);
-            console.log(`Deleted empty group ${groupId}`);
+            log.info(`Deleted empty group ${groupId}`, { groupId });
+            this.emit('group-deleted', { groupId });
+        } else {
+            this.emit('group-updated', { groupId, members: Array.from(group) });
         }
         return true;
     }
 
+    deleteGroup(groupId) {
+        if (!this.deviceGroups.delete(groupId)) return false;
+
+        log.info(`Deleted group ${groupId}`, { groupId });
+        this.emit('group-deleted', { groupId });
+        return true;
+    }
+
+    canJoinGroup(groupId, deviceId) {
+        return !this.registry || this.registry.canJoinGroup(deviceId, groupId);
+    }
+
+    hasGroup(groupId) {
+        return this.deviceGroups.has(groupId);
+    }
+
+    getGroups() {
+        return Array.from(this.deviceGroups.keys());
+    }
+
     getGroupMembers(groupId) {
         const group = this.deviceGroups.get(groupId);
         return group ? Array.from(group) : [];
@@ -183,6 +258,90 @@ class DeviceManager extends EventEmitter {
         return groups;
     }
 
+    // Friendly names and other metadata (kept even while a device is offline)
+    setDeviceMetadata(deviceId, metadata) {
+        const current = this.deviceMetadata.get(deviceId) || {};
+        const updated = { ...current, ...metadata };
+
+        this.deviceMetadata.set(deviceId, updated);
+        log.info(`Metadata updated for ${deviceId}`, { deviceId });
+        this.emit('device-metadata-changed', { deviceId, metadata: updated });
+        return updated;
+    }
+
+    setDeviceName(deviceId, name) {
+        return this.setDeviceMetadata(deviceId, { name });
+    }
+
+    getDeviceMetadata(deviceId) {
+        return this.deviceMetadata.get(deviceId) || {};
+    }
+
+    getDeviceName(deviceId) {
+        return this.getDeviceMetadata(deviceId).name || null;
+    }
+
+    // Export device registry, groups and metadata
+    exportConfiguration() {
+        return {
+            devices: this.getAllDevices()
+                .filter(device => !device.isDashboard)
+                .map(device => ({
+                    id: device.id,
+                    address: device.address,
+                    port: device.port,
+                    firstSeen: device.firstSeen,
+                    lastSeen: device.lastSeen,
+                    protocolVersion: device.protocolVersion
+                })),
+            groups: Array.from(this.deviceGroups.entries()).map(([groupId, members]) => ({
+                groupId,
+                members: Array.from(members)
+            })),
+            metadata: Array.from(this.deviceMetadata.entries())
+        };
+    }
+
+    // Import device registry, groups and metadata
+    // Restored devices start offline until they send a packet
+    importConfiguration(config) {
+        try {
+            this.deviceGroups.clear();
+            this.deviceMetadata.clear();
+
+            if (config.devices) {
+                config.devices.forEach(saved => {
+                    if (this.devices.has(saved.id)) return;
+
+                    this.devices.set(saved.id, this.createDeviceRecord(saved.id, {
+                        ...saved,
+                        lastSeen: saved.lastSeen || 0,
+                        online: false
+                    }));
+                });
+            }
+
+            if (config.groups) {
+                config.groups.forEach(({ groupId, members }) => {
+                    this.deviceGroups.set(groupId, new Set(members));
+                });
+            }
+
+            if (config.metadata) {
+                config.metadata.forEach(([deviceId, metadata]) => {
+                    this.deviceMetadata.set(deviceId, metadata);
+                });
+            }
+
+            log.info(`Device configuration imported (${this.devices.size} devices, ${this.deviceGroups.size} groups)`);
+            this.emit('configuration-imported', config);
+            return true;
+        } catch (error) {
+            log.error(`Failed to import device configuration: ${error.message}`);
+            return false;
+        }
+    }
+
     // Export device list for monitoring
     exportDeviceList() {
         const devices = [];
@@ -206,7 +365,7 @@ class DeviceManager extends EventEmitter {
         });
 
         if (removed > 0) {
-            console.log(`🧹 Cleaned up ${removed} offline devices`);
+            log.info(`Cleaned up ${removed} offline devices`);
         }
         return removed;
     }
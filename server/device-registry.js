@@ -0,0 +1,532 @@
+/**
+ * Device Registry - Provisioned devices and the enrollment policy
+ *
+ * Only devices with a registry record get past packet verification. Records
+ * come from the provisioning file (CONFIG.provisioning.file), the REST and
+ * WebSocket APIs, or enrollment. What happens to an unknown device depends
+ * on the policy:
+ *   auto-enroll: it is added when its first packet arrives
+ *   allowlist:   its packets are dropped and it waits in the pending queue
+ *                until an operator approves or rejects it
+ *
+ * A record holds the device's status ('approved' or 'blocked'), the groups it
+ * may join (null for any) and where it came from: 'file', 'api', 'auto-enroll'
+ * or 'approval'. Name, location and owner are kept as DeviceManager metadata
+ * so the rest of the server sees the same names. A provisioned secret becomes
+ * the device's HMAC key (see device-auth.js) and is never returned.
+ *
+ * At most CONFIG.device.maxDevices devices are online at once; others are
+ * refused until one goes offline. Auto-enrolled records an operator has not
+ * changed are capped at maxAutoEnrolled: the offline one seen longest ago
+ * makes room for a new device, and with none offline enrollment is refused.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config/server-config.json');
+const log = require('./logger').forModule('device-registry');
+
+const POLICIES = ['auto-enroll', 'allowlist'];
+const STATUSES = ['approved', 'blocked'];
+const TEXT_FIELDS = ['name', 'location', 'owner']; // Kept as DeviceManager metadata
+const MAX_TEXT_LENGTH = 64;
+const SECRET_PATTERN = /^([0-9a-fA-F]{2}){16,64}$/; // 16-64 bytes, hex
+const MAX_CAPACITY_REFUSED = 100; // Devices remembered as refused for capacity
+
+const DEFAULTS = {
+    policy: 'auto-enroll',
+    file: null,
+    maxPending: 20,
+    maxAutoEnrolled: 256
+};
+
+class RegistryError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+class DeviceRegistry extends EventEmitter {
+    constructor(deviceManager, deviceAuth, options = {}) {
+        super();
+        this.deviceManager = deviceManager;
+        this.deviceAuth = deviceAuth;
+        this.options = { ...DEFAULTS, ...CONFIG.provisioning, ...options };
+        this.maxDevices = options.maxDevices || CONFIG.device.maxDevices;
+
+        if (!POLICIES.includes(this.options.policy)) {
+            log.warn(`Unknown enrollment policy ${this.options.policy}, using ${DEFAULTS.policy}`);
+            this.options.policy = DEFAULTS.policy;
+        }
+        this.policy = this.options.policy;
+
+        this.records = new Map(); // Key: deviceId, Value: { id, status, allowedGroups, source, secret, createdAt }
+        this.pending = new Map(); // Key: deviceId, Value: { deviceId, address, port, ..., packets }
+
+        // Records from the provisioning file, reapplied over restored state
+        this.provisioned = new Map();
+
+        // Devices refused for capacity (logged once until they get in)
+        this.capacityRefused = new Set();
+
+        this.stats = {
+            enrolled: 0,
+            refusedBlocked: 0,
+            refusedPending: 0,
+            refusedCapacity: 0,
+            refusedEnrollment: 0,
+            evicted: 0,
+            pendingDropped: 0
+        };
+
+        if (this.options.file) {
+            this.loadFile(path.resolve(__dirname, '..', this.options.file));
+        }
+    }
+
+    /**
+     * Load provisioned devices from a JSON file ({ "devices": [{ id, name, ... }] })
+     * @param {string} filePath - Absolute path of the provisioning file
+     * @returns {number} Number of devices loaded
+     */
+    loadFile(filePath) {
+        if (!fs.existsSync(filePath)) return 0;
+
+        let devices;
+        try {
+            devices = JSON.parse(fs.readFileSync(filePath, 'utf8')).devices || [];
+        } catch (error) {
+            log.error(`Failed to load device registry: ${error.message}`);
+            return 0;
+        }
+
+        devices.forEach(fields => {
+            try {
+                const record = this.applyFields(this.createRecord(fields.id, 'file'), fields);
+                this.records.set(record.id, record);
+                this.provisioned.set(record.id, fields);
+            } catch (error) {
+                log.warn(`Skipping provisioned device ${fields.id}: ${error.message}`, { deviceId: fields.id });
+            }
+        });
+
+        log.info(`Loaded ${this.provisioned.size} provisioned devices (enrollment: ${this.policy})`);
+        return this.provisioned.size;
+    }
+
+    /**
+     * Decide whether a packet from a device may be processed
+     * Called for every verified packet, before the device is registered or updated.
+     * @param {string} deviceId - Device ID
+     * @param {Object} info - Sender info ({ address, port, protocolVersion, authenticated })
+     * @returns {boolean} True to process the packet
+     */
+    admit(deviceId, info) {
+        const record = this.records.get(deviceId);
+        if (record && record.status === 'blocked') {
+            this.stats.refusedBlocked++;
+            return false;
+        }
+
+        const device = this.deviceManager.getDevice(deviceId);
+        const online = Boolean(device && device.online);
+        if (record && online) return true;
+
+        if (!record && this.policy !== 'auto-enroll') {
+            this.queuePending(deviceId, info);
+            this.stats.refusedPending++;
+            return false;
+        }
+
+        if (!online && this.countOnline() >= this.maxDevices) {
+            if (!this.capacityRefused.has(deviceId)) {
+                if (this.capacityRefused.size >= MAX_CAPACITY_REFUSED) {
+                    this.capacityRefused.delete(this.capacityRefused.values().next().value);
+                }
+                this.capacityRefused.add(deviceId);
+                log.limited('max-devices').warn(`Refusing ${deviceId}: ${this.maxDevices} devices already online`, { deviceId });
+            }
+            this.stats.refusedCapacity++;
+            return false;
+        }
+        this.capacityRefused.delete(deviceId);
+
+        if (!record) {
+            if (!this.makeRoomToEnroll()) {
+                log.limited('max-auto-enrolled').warn(`Refusing ${deviceId}: ${this.options.maxAutoEnrolled} auto-enrolled devices, none offline`, { deviceId });
+                this.stats.refusedEnrollment++;
+                return false;
+            }
+            this.addRecord(this.createRecord(deviceId, 'auto-enroll'));
+            this.stats.enrolled++;
+            log.info(`Enrolled ${deviceId}`, { deviceId });
+        }
+        return true;
+    }
+
+    // Operators manage records they blocked, restricted or gave a secret; those stay
+    isUnmanagedEnrollment(record) {
+        return record.source === 'auto-enroll' && record.status === 'approved' &&
+            !record.allowedGroups && !record.secret;
+    }
+
+    // Evict the unmanaged auto-enrolled record of the offline device seen longest ago
+    makeRoomToEnroll() {
+        const enrolled = Array.from(this.records.values()).filter(record => this.isUnmanagedEnrollment(record));
+        if (enrolled.length < this.options.maxAutoEnrolled) return true;
+
+        const lastSeen = record => {
+            const device = this.deviceManager.getDevice(record.id);
+            return device ? device.lastSeen : record.createdAt;
+        };
+        const offline = enrolled
+            .filter(record => {
+                const device = this.deviceManager.getDevice(record.id);
+                return !device || !device.online;
+            })
+            .sort((a, b) => lastSeen(a) - lastSeen(b));
+        const excess = enrolled.length - this.options.maxAutoEnrolled + 1;
+        if (offline.length < excess) return false;
+
+        offline.slice(0, excess).forEach(record => {
+            this.records.delete(record.id);
+            this.stats.evicted++;
+            log.info(`Evicted auto-enrolled ${record.id} to make room`, { deviceId: record.id });
+        });
+        return true;
+    }
+
+    countOnline() {
+        return this.deviceManager.getOnlineDevices().filter(device => !device.isDashboard).length;
+    }
+
+    queuePending(deviceId, info) {
+        const entry = this.pending.get(deviceId);
+        if (entry) {
+            entry.address = info.address;
+            entry.port = info.port;
+            entry.protocolVersion = info.protocolVersion;
+            entry.authenticated = Boolean(info.authenticated);
+            entry.lastSeen = Date.now();
+            entry.packets++;
+            return;
+        }
+
+        if (this.pending.size >= this.options.maxPending) {
+            this.stats.pendingDropped++;
+            return;
+        }
+
+        const added = {
+            deviceId,
+            address: info.address,
+            port: info.port,
+            protocolVersion: info.protocolVersion,
+            authenticated: Boolean(info.authenticated),
+            firstSeen: Date.now(),
+            lastSeen: Date.now(),
+            packets: 1
+        };
+        this.pending.set(deviceId, added);
+
+        log.info(`Device ${deviceId} from ${info.address}:${info.port} is waiting for approval`, { deviceId, address: `${info.address}:${info.port}` });
+        this.emit('device-pending', added);
+    }
+
+    /**
+     * @param {string} deviceId - Device ID
+     * @param {string} groupId - Group ID
+     * @returns {boolean} False if the device is limited to other groups
+     */
+    canJoinGroup(deviceId, groupId) {
+        const record = this.records.get(deviceId);
+        return !record || !record.allowedGroups || record.allowedGroups.includes(groupId);
+    }
+
+    // ----- Management (REST and WebSocket APIs) -----
+
+    /**
+     * Provision a device
+     * @param {Object} fields - { id, name, location, owner, secret, allowedGroups, status }
+     * @returns {Object} Device description
+     * @throws {RegistryError} invalid-request or exists
+     */
+    provision(fields) {
+        if (this.records.has(fields.id)) {
+            throw new RegistryError('exists', `Device ${fields.id} is already registered`);
+        }
+
+        const record = this.applyFields(this.createRecord(fields.id, 'api'), fields);
+        this.pending.delete(record.id);
+        this.addRecord(record);
+        log.info(`Provisioned ${record.id}`, { deviceId: record.id });
+        return this.describe(record);
+    }
+
+    /**
+     * Change a registered device
+     * @param {string} deviceId - Device ID
+     * @param {Object} fields - Any of name, location, owner, secret (null removes it), allowedGroups, status
+     * @returns {Object} Device description
+     * @throws {RegistryError} not-found or invalid-request
+     */
+    update(deviceId, fields) {
+        const record = this.requireRecord(deviceId);
+        this.applyFields(record, fields);
+
+        if (record.status === 'blocked') {
+            this.disconnect(deviceId, 'blocked');
+        }
+
+        this.emit('registry-changed');
+        return this.describe(record);
+    }
+
+    /**
+     * Remove a device from the registry; it is treated as unknown from its next packet
+     * @param {string} deviceId - Device ID
+     * @throws {RegistryError} not-found
+     */
+    remove(deviceId) {
+        const record = this.requireRecord(deviceId);
+
+        this.records.delete(deviceId);
+        if (record.secret) {
+            this.deviceAuth.removeKey(deviceId);
+        }
+        this.disconnect(deviceId, 'removed from registry');
+
+        log.info(`Removed ${deviceId} from the registry`, { deviceId });
+        this.emit('registry-changed');
+    }
+
+    /**
+     * Register a device from the pending queue
+     * @param {string} deviceId - Device ID
+     * @param {Object} [fields] - Record fields to set, as for provision()
+     * @returns {Object} Device description
+     * @throws {RegistryError} not-found or invalid-request
+     */
+    approve(deviceId, fields = {}) {
+        this.requirePending(deviceId);
+
+        const record = this.applyFields(this.createRecord(deviceId, 'approval'), fields);
+        this.pending.delete(deviceId);
+        this.addRecord(record);
+        log.info(`Approved ${deviceId}`, { deviceId });
+        return this.describe(record);
+    }
+
+    /**
+     * Block a device from the pending queue, so it stops asking
+     * @param {string} deviceId - Device ID
+     * @returns {Object} Device description
+     * @throws {RegistryError} not-found
+     */
+    reject(deviceId) {
+        this.requirePending(deviceId);
+
+        const record = this.createRecord(deviceId, 'approval');
+        record.status = 'blocked';
+        this.pending.delete(deviceId);
+        this.addRecord(record);
+        log.info(`Rejected ${deviceId}`, { deviceId });
+        return this.describe(record);
+    }
+
+    /**
+     * @param {string} policy - 'auto-enroll' or 'allowlist'
+     * @throws {RegistryError} invalid-request
+     */
+    setPolicy(policy) {
+        if (!POLICIES.includes(policy)) {
+            throw new RegistryError('invalid-request', `policy must be one of ${POLICIES.join(', ')}`);
+        }
+
+        this.policy = policy;
+        log.info(`Enrollment policy: ${policy}`, { policy });
+        this.emit('registry-changed');
+    }
+
+    createRecord(deviceId, source) {
+        if (typeof deviceId !== 'string' || deviceId.length === 0 || deviceId.length > 4) {
+            throw new RegistryError('invalid-request', 'id must be a string of 1 to 4 characters');
+        }
+
+        return {
+            id: deviceId,
+            status: 'approved',
+            allowedGroups: null,
+            source,
+            secret: null,
+            createdAt: Date.now()
+        };
+    }
+
+    // Validate every field before changing anything
+    applyFields(record, fields) {
+        TEXT_FIELDS.forEach(key => {
+            const value = fields[key];
+            if (value !== undefined && (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH)) {
+                throw new RegistryError('invalid-request', `${key} must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+            }
+        });
+        if (fields.secret !== undefined && fields.secret !== null &&
+            (typeof fields.secret !== 'string' || !SECRET_PATTERN.test(fields.secret))) {
+            throw new RegistryError('invalid-request', 'secret must be 16 to 64 bytes of hex');
+        }
+        if (fields.allowedGroups !== undefined && fields.allowedGroups !== null &&
+            (!Array.isArray(fields.allowedGroups) ||
+             fields.allowedGroups.some(groupId => typeof groupId !== 'string' || groupId.length === 0))) {
+            throw new RegistryError('invalid-request', 'allowedGroups must be a list of group IDs, or null for any group');
+        }
+        if (fields.status !== undefined && !STATUSES.includes(fields.status)) {
+            throw new RegistryError('invalid-request', `status must be one of ${STATUSES.join(', ')}`);
+        }
+
+        const metadata = {};
+        TEXT_FIELDS.forEach(key => {
+            if (fields[key] !== undefined) metadata[key] = fields[key];
+        });
+        if (Object.keys(metadata).length > 0) {
+            this.deviceManager.setDeviceMetadata(record.id, metadata);
+        }
+
+        if (fields.secret !== undefined) {
+            if (fields.secret) {
+                this.deviceAuth.setKey(record.id, fields.secret);
+            } else if (record.secret) {
+                this.deviceAuth.removeKey(record.id);
+            }
+            record.secret = fields.secret ? fields.secret.toLowerCase() : null;
+        }
+        if (fields.allowedGroups !== undefined) {
+            record.allowedGroups = fields.allowedGroups ? Array.from(new Set(fields.allowedGroups)) : null;
+        }
+        if (fields.status !== undefined) {
+            record.status = fields.status;
+        }
+
+        return record;
+    }
+
+    addRecord(record) {
+        this.records.set(record.id, record);
+        this.emit('registry-changed');
+    }
+
+    requireRecord(deviceId) {
+        const record = this.records.get(deviceId);
+        if (!record) {
+            throw new RegistryError('not-found', `Device ${deviceId} is not registered`);
+        }
+        return record;
+    }
+
+    requirePending(deviceId) {
+        if (!this.pending.has(deviceId)) {
+            throw new RegistryError('not-found', `Device ${deviceId} is not waiting for approval`);
+        }
+    }
+
+    disconnect(deviceId, reason) {
+        const device = this.deviceManager.getDevice(deviceId);
+        if (device && device.online) {
+            this.deviceManager.setOffline(device, reason);
+        }
+    }
+
+    // ----- Views -----
+
+    /**
+     * @param {Object} record - Registry record
+     * @returns {Object} Record without its secret, with metadata and connection state
+     */
+    describe(record) {
+        const metadata = this.deviceManager.getDeviceMetadata(record.id);
+        const device = this.deviceManager.getDevice(record.id);
+
+        return {
+            id: record.id,
+            name: metadata.name || null,
+            location: metadata.location || null,
+            owner: metadata.owner || null,
+            status: record.status,
+            allowedGroups: record.allowedGroups,
+            source: record.source,
+            hasSecret: this.deviceAuth.hasKey(record.id),
+            createdAt: record.createdAt,
+            online: Boolean(device && device.online),
+            lastSeen: device ? device.lastSeen : null
+        };
+    }
+
+    /**
+     * @param {string} deviceId - Device ID
+     * @returns {Object|null} Device description
+     */
+    getDevice(deviceId) {
+        const record = this.records.get(deviceId);
+        return record ? this.describe(record) : null;
+    }
+
+    /**
+     * @returns {{policy: string, maxDevices: number, online: number, devices: Object[], pending: Object[]}}
+     */
+    getRegistry() {
+        return {
+            policy: this.policy,
+            maxDevices: this.maxDevices,
+            online: this.countOnline(),
+            devices: Array.from(this.records.values()).map(record => this.describe(record)),
+            pending: Array.from(this.pending.values())
+        };
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            policy: this.policy,
+            registered: this.records.size,
+            pending: this.pending.size
+        };
+    }
+
+    // ----- Persistence -----
+
+    // Records and policy as saved by StatePersistence (secrets included)
+    exportConfiguration() {
+        return {
+            policy: this.policy,
+            devices: Array.from(this.records.values()).map(record => ({ ...record }))
+        };
+    }
+
+    // Restore saved records; the provisioning file still wins for the fields it sets
+    importConfiguration(config) {
+        if (config.policy && POLICIES.includes(config.policy)) {
+            this.policy = config.policy;
+        }
+
+        (config.devices || []).forEach(saved => {
+            const record = { ...this.createRecord(saved.id, saved.source), ...saved };
+            if (record.secret && !this.provisioned.has(record.id)) {
+                this.deviceAuth.setKey(record.id, record.secret);
+            }
+            this.records.set(record.id, record);
+        });
+
+        this.provisioned.forEach((fields, deviceId) => {
+            this.applyFields(this.records.get(deviceId) || this.createRecord(deviceId, 'file'), fields);
+        });
+
+        log.info(`Device registry restored (${this.records.size} devices, enrollment: ${this.policy})`);
+    }
+}
+
+DeviceRegistry.RegistryError = RegistryError;
+DeviceRegistry.POLICIES = POLICIES;
+
+module.exports = DeviceRegistry;
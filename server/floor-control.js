@@ -0,0 +1,286 @@
+/**
+ * Floor Control - Push-to-talk arbitration for group channels
+ *
+ * Turns a group into a half-duplex channel while somebody holds the floor:
+ * a device asks for the floor with a `ptt-start` control packet, and while
+ * it is granted only the holder's audio reaches the group. Other requests
+ * are queued (or denied) and served in priority order once the floor is
+ * released with `ptt-stop`, times out, or the holder leaves.
+ *
+ * Features:
+ * - One floor per group, released automatically after maxTalkMs
+ * - Priority pre-emption (device metadata `priority`, higher wins)
+ * - Priority-ordered request queue, FIFO within a priority
+ * - Strict mode: nobody talks in a group without holding its floor
+ */
+
+const EventEmitter = require('events');
+const CONFIG = require('../config/server-config.json');
+const log = require('./logger').forModule('floor-control');
+
+const DEFAULTS = {
+    enabled: true,
+    strict: false,
+    maxTalkMs: 30000,
+    queueRequests: true,
+    maxQueueLength: 10
+};
+
+class FloorControl extends EventEmitter {
+    constructor(deviceManager, options = {}) {
+        super();
+        this.deviceManager = deviceManager;
+        this.options = { ...DEFAULTS, ...CONFIG.floorControl, ...options };
+
+        // Floors per group
+        this.floors = new Map(); // Key: groupId, Value: { holder, grantedAt, timer, queue }
+
+        this.stats = {
+            requests: 0,
+            grants: 0,
+            denials: 0,
+            preemptions: 0,
+            timeouts: 0
+        };
+
+        // Keep floors consistent with group membership
+        this.deviceManager.on('group-deleted', ({ groupId }) => this.clearFloor(groupId));
+        this.deviceManager.on('group-updated', ({ groupId, members }) => this.pruneFloor(groupId, members));
+        this.deviceManager.on('device-disconnected', (device) => this.releaseDevice(device.id, 'offline'));
+    }
+
+    /**
+     * Request the floor of a group
+     * @param {string} groupId - Group ID
+     * @param {string} deviceId - Requesting device (must be a member)
+     * @returns {{result: string, holder: (string|null), position: (number|undefined)}}
+     *          result is 'granted', 'queued' or 'denied'
+     */
+    request(groupId, deviceId) {
+        this.stats.requests++;
+
+        if (!this.options.enabled) {
+            return this.deny(groupId, deviceId, null, 'disabled');
+        }
+        if (!this.deviceManager.getGroupMembers(groupId).includes(deviceId)) {
+            return this.deny(groupId, deviceId, null, 'not-member');
+        }
+
+        const floor = this.getFloor(groupId);
+
+        if (!floor.holder || floor.holder === deviceId) {
+            this.grant(groupId, deviceId);
+            return { result: 'granted', holder: deviceId };
+        }
+
+        // Higher priority devices take the floor from the current holder
+        if (this.getPriority(deviceId) > this.getPriority(floor.holder)) {
+            this.stats.preemptions++;
+            this.release(groupId, floor.holder, 'preempted');
+            this.grant(groupId, deviceId);
+            return { result: 'granted', holder: deviceId };
+        }
+
+        if (!this.options.queueRequests) {
+            return this.deny(groupId, deviceId, floor.holder, 'busy');
+        }
+
+        if (!floor.queue.includes(deviceId)) {
+            if (floor.queue.length >= this.options.maxQueueLength) {
+                return this.deny(groupId, deviceId, floor.holder, 'queue-full');
+            }
+            this.enqueue(floor, deviceId);
+        }
+
+        const position = floor.queue.indexOf(deviceId) + 1;
+        log.info(`${deviceId} queued for the floor of ${groupId} (position ${position})`, { deviceId, groupId, position });
+        this.emit('floor-queued', { groupId, deviceId, holder: floor.holder, position });
+        return { result: 'queued', holder: floor.holder, position };
+    }
+
+    /**
+     * Give up the floor, or a queued request for it
+     * @param {string} groupId - Group ID
+     * @param {string} deviceId - Releasing device
+     * @param {string} [reason] - 'released', 'timeout', 'preempted', 'left' or 'offline'
+     * @returns {boolean} True if the device held or was waiting for the floor
+     */
+    release(groupId, deviceId, reason = 'released') {
+        const floor = this.floors.get(groupId);
+        if (!floor) return false;
+
+        const queued = floor.queue.indexOf(deviceId);
+        if (queued !== -1) {
+            floor.queue.splice(queued, 1);
+            return true;
+        }
+
+        if (floor.holder !== deviceId) return false;
+
+        clearTimeout(floor.timer);
+        floor.holder = null;
+        floor.timer = null;
+        floor.grantedAt = null;
+
+        log.info(`${deviceId} released the floor of ${groupId} (${reason})`, { deviceId, groupId, reason });
+        this.emit('floor-released', { groupId, deviceId, reason });
+
+        // A pre-empting request is granted by the caller
+        if (reason !== 'preempted') {
+            this.grantNext(groupId);
+        }
+        return true;
+    }
+
+    /**
+     * Whether a device's audio may reach a group
+     * @param {string} groupId - Group ID
+     * @param {string} deviceId - Source device
+     * @returns {boolean}
+     */
+    mayTalk(groupId, deviceId) {
+        if (!this.options.enabled) return true;
+
+        const floor = this.floors.get(groupId);
+        if (!floor || !floor.holder) {
+            return !this.options.strict;
+        }
+        return floor.holder === deviceId;
+    }
+
+    getHolder(groupId) {
+        const floor = this.floors.get(groupId);
+        return floor ? floor.holder : null;
+    }
+
+    /**
+     * Describe the floor of a group for the control APIs
+     * @param {string} groupId - Group ID
+     * @returns {{holder: (string|null), since: (number|null), queue: string[]}}
+     */
+    describeFloor(groupId) {
+        const floor = this.floors.get(groupId);
+        return {
+            holder: floor ? floor.holder : null,
+            since: floor ? floor.grantedAt : null,
+            queue: floor ? floor.queue.slice() : []
+        };
+    }
+
+    getStats() {
+        let held = 0;
+        this.floors.forEach(floor => {
+            if (floor.holder) held++;
+        });
+
+        return {
+            ...this.stats,
+            floorsHeld: held
+        };
+    }
+
+    stop() {
+        this.floors.forEach(floor => clearTimeout(floor.timer));
+        this.floors.clear();
+    }
+
+    // ----- Internals -----
+
+    getFloor(groupId) {
+        if (!this.floors.has(groupId)) {
+            this.floors.set(groupId, { holder: null, grantedAt: null, timer: null, queue: [] });
+        }
+        return this.floors.get(groupId);
+    }
+
+    getPriority(deviceId) {
+        const priority = Number(this.deviceManager.getDeviceMetadata(deviceId).priority);
+        return Number.isFinite(priority) ? priority : 0;
+    }
+
+    // Insert behind every request of the same or higher priority
+    enqueue(floor, deviceId) {
+        const priority = this.getPriority(deviceId);
+        const index = floor.queue.findIndex(queuedId => this.getPriority(queuedId) < priority);
+
+        if (index === -1) {
+            floor.queue.push(deviceId);
+        } else {
+            floor.queue.splice(index, 0, deviceId);
+        }
+    }
+
+    grant(groupId, deviceId) {
+        const floor = this.getFloor(groupId);
+
+        // Re-requesting an already held floor does not extend the talk time
+        if (floor.holder === deviceId) {
+            this.emit('floor-granted', { groupId, deviceId, renewed: true });
+            return;
+        }
+
+        floor.queue = floor.queue.filter(queuedId => queuedId !== deviceId);
+        floor.holder = deviceId;
+        floor.grantedAt = Date.now();
+        floor.timer = setTimeout(() => {
+            this.stats.timeouts++;
+            this.release(groupId, deviceId, 'timeout');
+        }, this.options.maxTalkMs);
+        floor.timer.unref();
+
+        this.stats.grants++;
+        log.info(`${deviceId} holds the floor of ${groupId}`, { deviceId, groupId });
+        this.emit('floor-granted', { groupId, deviceId, renewed: false });
+    }
+
+    grantNext(groupId) {
+        const floor = this.floors.get(groupId);
+        if (!floor) return;
+
+        // Skip requests from devices that went offline while waiting
+        while (floor.queue.length > 0) {
+            const next = floor.queue.shift();
+            const device = this.deviceManager.getDevice(next);
+            if (device && device.online) {
+                this.grant(groupId, next);
+                return;
+            }
+        }
+
+        this.floors.delete(groupId);
+    }
+
+    deny(groupId, deviceId, holder, reason) {
+        this.stats.denials++;
+        log.info(`Floor of ${groupId} denied to ${deviceId} (${reason})`, { deviceId, groupId, reason });
+        this.emit('floor-denied', { groupId, deviceId, holder, reason });
+        return { result: 'denied', holder, reason };
+    }
+
+    clearFloor(groupId) {
+        const floor = this.floors.get(groupId);
+        if (!floor) return;
+
+        clearTimeout(floor.timer);
+        this.floors.delete(groupId);
+    }
+
+    // Drop holders and queued requests of devices that left the group
+    pruneFloor(groupId, members) {
+        const floor = this.floors.get(groupId);
+        if (!floor) return;
+
+        floor.queue = floor.queue.filter(deviceId => members.includes(deviceId));
+        if (floor.holder && !members.includes(floor.holder)) {
+            this.release(groupId, floor.holder, 'left');
+        }
+    }
+
+    releaseDevice(deviceId, reason) {
+        Array.from(this.floors.keys()).forEach(groupId => {
+            this.release(groupId, deviceId, reason);
+        });
+    }
+}
+
+module.exports = FloorControl;
@@ -0,0 +1,160 @@
+/**
+ * HTTP Listener - The one TCP port of the server
+ *
+ * A single HTTP(S) server carries the dashboard and REST API
+ * (DashboardServer) and the WebSocket APIs, told apart by upgrade path:
+ *   /ws/control   Control API (websocket-api.js)
+ *   /ws/audio     Dashboard audio (dashboard-audio-server.js)
+ * so a reverse proxy or firewall only has to pass one port. Upgrades to
+ * other paths are answered with 404.
+ *
+ * With tls.enabled the listener speaks HTTPS and WSS itself, using the PEM
+ * files in tls.certFile and tls.keyFile; browsers only allow the microphone
+ * on secure pages (or localhost).
+ *
+ * The bind address and port come from config.http, overridden by the
+ * HTTP_HOST and HTTP_PORT environment variables; TLS_CERT_FILE and
+ * TLS_KEY_FILE together turn TLS on with those files.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const WebSocket = require('ws');
+
+const CONFIG = require('../config/server-config.json');
+const log = require('./logger').forModule('http-listener');
+
+const DEFAULTS = {
+    host: '0.0.0.0',
+    port: 8080,
+    tls: {
+        enabled: false,
+        certFile: 'config/tls/server.crt',
+        keyFile: 'config/tls/server.key'
+    }
+};
+
+class HttpListener {
+    constructor(options = {}) {
+        this.options = resolveOptions(options);
+        this.server = null;
+        this.requestHandler = null;
+        this.webSocketServers = new Map(); // Key: upgrade path, Value: WebSocket.Server
+    }
+
+    /**
+     * Handle HTTP requests (anything but WebSocket upgrades)
+     * @param {Function} handler - (req, res)
+     */
+    setRequestHandler(handler) {
+        this.requestHandler = handler;
+    }
+
+    /**
+     * Accept WebSocket upgrades on a path
+     * @param {string} pathname - Upgrade path, e.g. '/ws/control'
+     * @param {Object} [options] - WebSocket.Server options (verifyClient, perMessageDeflate)
+     * @returns {WebSocket.Server} Emits 'connection' for each accepted upgrade
+     */
+    addWebSocketServer(pathname, options = {}) {
+        const wss = new WebSocket.Server({ ...options, noServer: true });
+        this.webSocketServers.set(pathname, wss);
+        return wss;
+    }
+
+    start() {
+        if (this.server) return;
+
+        this.server = this.createServer();
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+        this.server.on('error', (error) => {
+            log.error(`HTTP listener error: ${error.message}`, { error: error.stack });
+        });
+
+        this.server.listen(this.options.port, this.options.host, () => {
+            log.info(`Listening on ${this.options.host}:${this.options.port}${this.options.tls.enabled ? ' (TLS)' : ''}`);
+            this.webSocketServers.forEach((wss, pathname) => log.info(`WebSocket API at ${this.webSocketUrl}${pathname}`));
+        });
+    }
+
+    createServer() {
+        const handler = (req, res) => this.handleRequest(req, res);
+        const { tls } = this.options;
+        if (!tls.enabled) {
+            return http.createServer(handler);
+        }
+
+        // Without its certificate a TLS server cannot start at all
+        return https.createServer({
+            cert: fs.readFileSync(path.resolve(__dirname, '..', tls.certFile)),
+            key: fs.readFileSync(path.resolve(__dirname, '..', tls.keyFile))
+        }, handler);
+    }
+
+    handleRequest(req, res) {
+        if (this.requestHandler) {
+            this.requestHandler(req, res);
+            return;
+        }
+        res.writeHead(404);
+        res.end('Not Found');
+    }
+
+    handleUpgrade(req, socket, head) {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        const wss = this.webSocketServers.get(pathname);
+        if (!wss) {
+            socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            wss.emit('connection', ws, req);
+        });
+    }
+
+    /**
+     * Base URL for log messages, e.g. http://localhost:8080
+     */
+    get url() {
+        const host = this.options.host === '0.0.0.0' ? 'localhost' : this.options.host;
+        return `${this.options.tls.enabled ? 'https' : 'http'}://${host}:${this.options.port}`;
+    }
+
+    get webSocketUrl() {
+        return this.url.replace(/^http/, 'ws');
+    }
+
+    stop() {
+        this.webSocketServers.forEach(wss => {
+            wss.clients.forEach(client => client.close());
+            wss.close();
+        });
+
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+            log.info('HTTP listener stopped');
+        }
+    }
+}
+
+// Options, then environment, then config.http
+function resolveOptions(options) {
+    const config = { ...DEFAULTS, ...CONFIG.http };
+    const env = {};
+
+    if (process.env.HTTP_HOST) env.host = process.env.HTTP_HOST;
+    if (process.env.HTTP_PORT) env.port = Number(process.env.HTTP_PORT);
+    if (process.env.TLS_CERT_FILE && process.env.TLS_KEY_FILE) {
+        env.tls = { enabled: true, certFile: process.env.TLS_CERT_FILE, keyFile: process.env.TLS_KEY_FILE };
+    }
+
+    const resolved = { ...config, ...env, ...options };
+    resolved.tls = { ...DEFAULTS.tls, ...config.tls, ...env.tls, ...options.tls };
+    return resolved;
+}
+
+module.exports = HttpListener;
@@ -0,0 +1,321 @@
+/**
+ * Logger - Structured logging for the server modules
+ *
+ * Every module logs through its own named logger:
+ *
+ *   const log = require('./logger').forModule('device-manager');
+ *   log.info(`New device connected: ${deviceId}`, { deviceId });
+ *   log.limited(`lost:${deviceId}`).warn('Packets lost', { deviceId, lost });
+ *
+ * Entries go to one winston logger: JSON lines in config.logging.file,
+ * rotated at maxSize and keeping maxFiles files, and the console (readable
+ * lines, or JSON with logging.console = 'json'). Each entry carries its
+ * module and the context passed with it; the fields in use are deviceId,
+ * route ("SRC->DST"), groupId and error.
+ *
+ * Levels (error, warn, info, debug) are set per module in
+ * config.logging.modules and changed at runtime with setLevel(), which the
+ * control API exposes (set-log-level, PUT /api/logging/:module). Messages
+ * on hot paths go through limited(key): at most one per rateLimitMs per
+ * key, and the next one that gets through reports how many were suppressed.
+ * Keys should name a fixed category or a known device, not values taken
+ * from unauthenticated packets; each module keeps at most rateLimitKeys of
+ * them (idle ones are dropped first), further keys share one limiter.
+ *
+ * In a worker thread (pacer-worker.js) entries are posted to the main
+ * thread as { type: 'log', entry }, which hands them to write().
+ *
+ * The LOG_FILE and LOG_CONSOLE environment variables override file and
+ * console; 'off' turns them off (the test suites run with both off).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { isMainThread, parentPort } = require('worker_threads');
+const winston = require('winston');
+
+const CONFIG = require('../config/server-config.json');
+
+const DEFAULTS = {
+    level: 'info',
+    file: 'logs/server.log',
+    maxSize: '10m',
+    maxFiles: 5,
+    console: 'pretty',  // 'pretty', 'json' or false
+    modules: {},        // Level per module, e.g. { "packet-pacer": "debug" }
+    rateLimitMs: 5000,  // Per key, for limited() messages
+    rateLimitKeys: 1000 // Per module, keys beyond it share one limiter
+};
+
+const OVERFLOW_KEY = '*';
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Any other level name is a configuration error
+class LoggingError extends Error {
+    constructor(message) {
+        super(message);
+        this.code = 'invalid-level';
+    }
+}
+
+/**
+ * "10m", "512k", "1g" or a number of bytes
+ */
+function parseSize(size) {
+    if (typeof size === 'number') return size;
+
+    const match = /^(\d+)\s*([kmg])?b?$/i.exec(String(size).trim());
+    if (!match) return null;
+    const unit = { k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 }[(match[2] || '').toLowerCase()] || 1;
+    return parseInt(match[1], 10) * unit;
+}
+
+// Readable console lines: time, level, module, message and context
+const prettyFormat = winston.format.printf(({ timestamp, level, module, message, ...context }) => {
+    const fields = Object.entries(context)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+    return `${timestamp.slice(11, 23)} ${level.toUpperCase().padEnd(5)} [${module}] ${message}${fields ? ` ${fields}` : ''}`;
+});
+
+// Worker threads hand their entries to the main thread's transports
+class ParentPortTransport extends winston.Transport {
+    log(info, callback) {
+        const { level, message, ...context } = info;
+        parentPort.postMessage({ type: 'log', entry: { level, message, ...context } });
+        callback();
+    }
+}
+
+class Logging extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULTS, ...CONFIG.logging, ...environmentOptions(), ...options };
+
+        this.defaultLevel = this.options.level;
+        this.moduleLevels = {};     // Key: module, Value: level overriding the default
+        this.loggers = new Map();   // Key: module, Value: ModuleLogger
+        this.applyLevels({ level: this.options.level, modules: this.options.modules });
+
+        this.winston = winston.createLogger({
+            levels: LEVELS,
+            level: 'debug', // Filtered per module before it gets here
+            transports: this.createTransports()
+        });
+    }
+
+    createTransports() {
+        if (!isMainThread) {
+            return [new ParentPortTransport()];
+        }
+
+        const transports = [];
+        if (this.options.console) {
+            transports.push(new winston.transports.Console({
+                stderrLevels: ['error'],
+                format: winston.format.combine(
+                    winston.format.timestamp(),
+                    this.options.console === 'json' ? winston.format.json() : prettyFormat
+                )
+            }));
+        }
+
+        if (this.options.file) {
+            const file = path.resolve(__dirname, '..', this.options.file);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            transports.push(new winston.transports.File({
+                filename: file,
+                maxsize: parseSize(this.options.maxSize),
+                maxFiles: this.options.maxFiles,
+                tailable: true, // The newest entries are always in `file`
+                format: winston.format.combine(winston.format.timestamp(), winston.format.json())
+            }));
+        }
+
+        // winston complains about entries without any transport
+        if (transports.length === 0) {
+            transports.push(new winston.transports.Console({ silent: true }));
+        }
+        return transports;
+    }
+
+    /**
+     * Logger of one module
+     * @param {string} module - Module name, as used in config.logging.modules
+     * @returns {ModuleLogger}
+     */
+    forModule(module) {
+        if (!this.loggers.has(module)) {
+            this.loggers.set(module, new ModuleLogger(this, module));
+        }
+        return this.loggers.get(module);
+    }
+
+    isEnabled(module, level) {
+        return LEVELS[level] <= LEVELS[this.getLevel(module)];
+    }
+
+    getLevel(module) {
+        return this.moduleLevels[module] || this.defaultLevel;
+    }
+
+    /**
+     * Change a level at runtime
+     * @param {string|null} module - Module name, or null for the default level
+     * @param {string|null} level - error, warn, info or debug; null to fall back to the default
+     */
+    setLevel(module, level) {
+        if (level !== null && !(level in LEVELS)) {
+            throw new LoggingError(`Unknown log level '${level}' (${Object.keys(LEVELS).join(', ')})`);
+        }
+
+        if (!module) {
+            if (level === null) {
+                throw new LoggingError('The default log level cannot be removed');
+            }
+            this.defaultLevel = level;
+        } else if (level === null) {
+            delete this.moduleLevels[module];
+        } else {
+            this.moduleLevels[module] = level;
+        }
+
+        this.forModule('logger').info(`Log level of ${module || 'all modules'} set to ${level || this.defaultLevel}`);
+        this.emit('levels-changed', this.getLevelConfig());
+    }
+
+    /**
+     * Default and per-module levels, in the config.logging format
+     */
+    getLevelConfig() {
+        return { level: this.defaultLevel, modules: { ...this.moduleLevels } };
+    }
+
+    applyLevels({ level, modules = {} }) {
+        [level, ...Object.values(modules)].forEach(value => {
+            if (!(value in LEVELS)) {
+                throw new LoggingError(`Unknown log level '${value}' (${Object.keys(LEVELS).join(', ')})`);
+            }
+        });
+        this.defaultLevel = level;
+        this.moduleLevels = { ...modules };
+    }
+
+    /**
+     * Levels in effect, for the control API
+     * @returns {Object} { level, levels, modules: { name: effective level }, overrides }
+     */
+    getLevels() {
+        const modules = {};
+        new Set([...this.loggers.keys(), ...Object.keys(this.moduleLevels)]).forEach(module => {
+            modules[module] = this.getLevel(module);
+        });
+
+        return {
+            level: this.defaultLevel,
+            levels: Object.keys(LEVELS),
+            modules,
+            overrides: { ...this.moduleLevels }
+        };
+    }
+
+    /**
+     * Log an entry built elsewhere (a worker thread); levels were applied there
+     * @param {Object} entry - { level, message, module, ...context }
+     */
+    write(entry) {
+        this.winston.log(entry);
+    }
+}
+
+class ModuleLogger {
+    constructor(logging, module) {
+        this.logging = logging;
+        this.module = module;
+        this.limiters = new Map(); // Key: limit key, Value: { state, logger }
+    }
+
+    log(level, message, context = {}) {
+        if (!this.logging.isEnabled(this.module, level)) return;
+        this.logging.winston.log({ level, message, module: this.module, ...context });
+    }
+
+    error(message, context) { this.log('error', message, context); }
+    warn(message, context) { this.log('warn', message, context); }
+    info(message, context) { this.log('info', message, context); }
+    debug(message, context) { this.log('debug', message, context); }
+
+    isEnabled(level) {
+        return this.logging.isEnabled(this.module, level);
+    }
+
+    /**
+     * Rate-limited logger for hot paths
+     * @param {string} key - What is limited, e.g. `deadline-miss:${route}`
+     * @param {number} [intervalMs] - Default: config.logging.rateLimitMs
+     * @returns {Object} error, warn, info and debug, logging at most once per interval
+     */
+    limited(key, intervalMs = this.logging.options.rateLimitMs) {
+        if (!this.limiters.has(key) && this.limiters.size >= this.logging.options.rateLimitKeys) {
+            this.pruneLimiters();
+            if (this.limiters.size >= this.logging.options.rateLimitKeys) {
+                key = OVERFLOW_KEY;
+            }
+        }
+
+        if (!this.limiters.has(key)) {
+            const state = { last: 0, suppressed: 0, intervalMs };
+            const log = (level) => (message, context = {}) => {
+                if (!this.isEnabled(level)) return;
+
+                const now = Date.now();
+                if (now - state.last < intervalMs) {
+                    state.suppressed++;
+                    return;
+                }
+                const suppressed = state.suppressed;
+                state.last = now;
+                state.suppressed = 0;
+                this.log(level, message, suppressed > 0 ? { ...context, suppressed } : context);
+            };
+            this.limiters.set(key, {
+                state,
+                logger: { error: log('error'), warn: log('warn'), info: log('info'), debug: log('debug') }
+            });
+        }
+        return this.limiters.get(key).logger;
+    }
+
+    // Drop limiters whose interval is over and that have nothing suppressed to report
+    pruneLimiters() {
+        const now = Date.now();
+        this.limiters.forEach(({ state }, key) => {
+            if (key !== OVERFLOW_KEY && state.suppressed === 0 && now - state.last >= state.intervalMs) {
+                this.limiters.delete(key);
+            }
+        });
+    }
+}
+
+// LOG_FILE and LOG_CONSOLE, 'off' for false
+function environmentOptions() {
+    const options = {};
+    if (process.env.LOG_FILE !== undefined) {
+        options.file = process.env.LOG_FILE === 'off' ? false : process.env.LOG_FILE;
+    }
+    if (process.env.LOG_CONSOLE !== undefined) {
+        options.console = process.env.LOG_CONSOLE === 'off' ? false : process.env.LOG_CONSOLE;
+    }
+    return options;
+}
+
+const logging = new Logging();
+
+logging.Logging = Logging;
+logging.LoggingError = LoggingError;
+logging.LEVELS = Object.keys(LEVELS);
+logging.parseSize = parseSize;
+
+module.exports = logging;
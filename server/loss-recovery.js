@@ -0,0 +1,517 @@
+/**
+ * Loss Recovery - Packet loss concealment and redundancy for audio streams
+ *
+ * DeviceManager counts sequence gaps; this module repairs or hides them:
+ * - XOR parity: REDUNDANCY packets protect a block of audio packets, so a
+ *   single loss in the block is rebuilt without a retransmission. Devices
+ *   may send parity to the server, and the server sends parity to devices
+ *   that negotiate the 'fec-xor' feature.
+ * - Opus in-band FEC: devices whose loss rate climbs are asked to embed FEC
+ *   (`set-fec` control command), and paced queues send the next frame
+ *   flagged FEC in the slot of a lost one to devices that negotiate 'opus-fec'
+ * - Concealment frames: otherwise paced queues fill the slot of a lost frame
+ *   with a missing-frame marker (empty payload, the receiver runs PLC) or a
+ *   PLC frame decoded and re-encoded here
+ *
+ * Parity layout (payload of a REDUNDANCY packet):
+ *   [BaseSequence(2)][Mask(2)][LengthXor(2)][TimestampXor(4)][Parity]
+ * Parity is the XOR of the protected payloads, zero-padded to the longest;
+ * LengthXor and TimestampXor restore the length and timestamp of the lost one.
+ */
+
+const CONFIG = require('../config/server-config.json');
+const protocol = require('./packet-protocol');
+const log = require('./logger').forModule('loss-recovery');
+
+// Opus is a native module; without it 'plc' concealment falls back to markers
+let OpusEncoder = null;
+try {
+    ({ OpusEncoder } = require('@discordjs/opus'));
+} catch (error) {
+    OpusEncoder = null;
+}
+
+const PARITY_HEADER_SIZE = 10;
+const MASK_BITS = 16;
+
+const DEFAULTS = {
+    enabled: true,
+    concealment: 'marker',   // 'off', 'marker' or 'plc'
+    maxConcealedFrames: 3,   // Longer gaps are left to the receiver
+    forwardFec: true,
+    requestFec: true,
+    fecLossThreshold: 2,     // Loss (%) at which a device is asked for in-band FEC
+    fecExpectedLoss: 10,     // Minimum loss (%) the device's encoder plans for
+    lossWindowMs: 5000,
+    redundancy: true,
+    parityGroupSize: 4,      // Audio packets per parity packet sent to devices
+    historySize: 32          // Audio packets kept per device to recover from parity
+};
+
+// Sequence a is before sequence b (16-bit wraparound)
+function isBefore(a, b) {
+    return a !== b && ((b - a) & 0xFFFF) < 0x8000;
+}
+
+function xorInto(target, source) {
+    for (let i = 0; i < source.length; i++) {
+        target[i] ^= source[i];
+    }
+}
+
+/**
+ * Accumulates the parity of one outgoing stream
+ */
+class ParityEncoder {
+    /**
+     * @param {number} groupSize - Packets per parity block (2-16)
+     */
+    constructor(groupSize) {
+        this.groupSize = Math.min(MASK_BITS, Math.max(2, groupSize));
+        this.reset();
+    }
+
+    reset() {
+        this.base = null;
+        this.mask = 0;
+        this.count = 0;
+        this.lengthXor = 0;
+        this.timestampXor = 0;
+        this.parity = Buffer.alloc(0);
+    }
+
+    /**
+     * Add an audio packet to the current block
+     * @param {number} sequence - Sequence number
+     * @param {number} timestamp - Timestamp
+     * @param {Buffer} payload - Audio payload
+     * @returns {Buffer|null} Parity payload once a block is complete
+     */
+    add(sequence, timestamp, payload) {
+        let flushed = null;
+
+        if (this.base !== null) {
+            const offset = (sequence - this.base) & 0xFFFF;
+            if (offset >= 0x8000 || (this.mask & (1 << offset))) {
+                return null; // Old or duplicate
+            }
+            if (offset >= MASK_BITS) {
+                // Too far ahead for this block: send what it has, start over
+                flushed = this.count > 1 ? this.encode() : null;
+                this.reset();
+            }
+        }
+
+        if (this.base === null) {
+            this.base = sequence;
+        }
+
+        if (payload.length > this.parity.length) {
+            this.parity = Buffer.concat([this.parity, Buffer.alloc(payload.length - this.parity.length)]);
+        }
+        xorInto(this.parity, payload);
+        this.mask |= 1 << ((sequence - this.base) & 0xFFFF);
+        this.lengthXor ^= payload.length;
+        this.timestampXor = (this.timestampXor ^ timestamp) >>> 0;
+        this.count++;
+
+        if (this.count >= this.groupSize) {
+            const block = this.encode();
+            this.reset();
+            return block;
+        }
+        return flushed;
+    }
+
+    encode() {
+        const header = Buffer.alloc(PARITY_HEADER_SIZE);
+        header.writeUInt16BE(this.base, 0);
+        header.writeUInt16BE(this.mask, 2);
+        header.writeUInt16BE(this.lengthXor, 4);
+        header.writeUInt32BE(this.timestampXor, 6);
+        return Buffer.concat([header, this.parity]);
+    }
+}
+
+class LossRecovery {
+    constructor(udpServer, options = {}) {
+        this.udpServer = udpServer;
+        this.deviceManager = udpServer.deviceManager;
+        this.options = { ...DEFAULTS, ...CONFIG.lossRecovery, ...options };
+
+        // Recent audio per source device, for parity recovery
+        this.history = new Map(); // Key: deviceId, Value: Map(sequence -> { timestamp, payload })
+
+        // Outgoing parity per stream
+        this.parityEncoders = new Map(); // Key: "SOURCE->TARGET", Value: ParityEncoder
+
+        // PLC codecs per paced queue
+        this.plcCodecs = new Map(); // Key: "SOURCE->TARGET", Value: { decoder, encoder }
+
+        // In-band FEC requests per device
+        this.fecState = new Map(); // Key: deviceId, Value: { enabled, received, lost }
+
+        this.stats = {
+            parityReceived: 0,
+            recovered: 0,
+            unrecoverable: 0,
+            paritySent: 0,
+            concealed: 0,
+            fecForwarded: 0,
+            plcFrames: 0,
+            fecRequests: 0
+        };
+
+        if (this.options.concealment === 'plc' && !OpusEncoder) {
+            log.warn('PLC concealment needs @discordjs/opus, using missing-frame markers');
+        }
+
+        this.deviceManager.on('device-disconnected', (device) => this.removeDevice(device.id));
+
+        if (this.options.enabled && this.options.requestFec) {
+            this.lossTimer = setInterval(() => this.checkLossRates(), this.options.lossWindowMs);
+            this.lossTimer.unref();
+        }
+    }
+
+    /**
+     * Server features to advertise in HELLO
+     * @returns {string[]}
+     */
+    getFeatures() {
+        if (!this.options.enabled) return [];
+
+        const features = [];
+        if (this.options.redundancy) features.push('fec-xor');
+        if (this.options.forwardFec) features.push('opus-fec');
+        return features;
+    }
+
+    supports(device, feature) {
+        const negotiated = device.capabilities && device.capabilities.negotiated;
+        return Boolean(negotiated && negotiated.features && negotiated.features.includes(feature));
+    }
+
+    // ----- Parity from devices -----
+
+    /**
+     * Remember an incoming audio packet for parity recovery
+     * @param {Object} device - Source device
+     * @param {Object} decoded - Decoded audio packet
+     */
+    recordAudio(device, decoded) {
+        if (!this.options.enabled || !this.options.redundancy) return;
+
+        if (!this.history.has(device.id)) {
+            this.history.set(device.id, new Map());
+        }
+
+        const history = this.history.get(device.id);
+        history.set(decoded.sequence, { timestamp: decoded.timestamp, payload: decoded.payload });
+
+        // Maps iterate in insertion order, so the first key is the oldest
+        while (history.size > this.options.historySize) {
+            history.delete(history.keys().next().value);
+        }
+    }
+
+    /**
+     * Rebuild a lost audio packet from a REDUNDANCY packet
+     * @param {Object} device - Source device
+     * @param {Object} decoded - Decoded REDUNDANCY packet
+     * @returns {Buffer|null} Recovered audio packet, or null if nothing was lost
+     *          or more than one packet of the block is missing
+     */
+    recover(device, decoded) {
+        if (!this.options.enabled || !this.options.redundancy) return null;
+
+        const block = LossRecovery.decodeParity(decoded.payload);
+        if (!block) {
+            log.limited(`parity:${device.id}`).warn(`Malformed parity packet from ${device.id}`, { deviceId: device.id });
+            return null;
+        }
+        this.stats.parityReceived++;
+
+        const history = this.history.get(device.id) || new Map();
+        const { missing, frame } = LossRecovery.rebuildFrame(block, history);
+        if (missing.length === 0) return null;
+        if (!frame) {
+            this.stats.unrecoverable++;
+            return null;
+        }
+
+        const { sequence, timestamp, payload: recovered } = frame;
+        this.recordAudio(device, frame);
+        this.stats.recovered++;
+
+        if (this.stats.recovered % 50 === 1) {
+            log.debug(`Recovered packet ${sequence} of ${device.id} from parity (${this.stats.recovered} total)`, { deviceId: device.id, sequence });
+        }
+
+        return protocol.encodePacket({
+            version: decoded.version,
+            type: protocol.PACKET_TYPES.AUDIO,
+            deviceId: device.id,
+            sequence,
+            timestamp,
+            frameDuration: decoded.frameDuration,
+            payload: recovered
+        });
+    }
+
+    // ----- Parity to devices -----
+
+    /**
+     * Account an audio packet sent to a device; sends a parity packet after
+     * every parityGroupSize packets of a stream
+     * @param {Object} device - Target device
+     * @param {Buffer} packet - Audio packet as sent (before encryption)
+     */
+    protectOutgoing(device, packet) {
+        if (!this.options.enabled || !this.options.redundancy || !this.supports(device, 'fec-xor')) return;
+
+        const decoded = protocol.decodePacket(packet);
+        if (!decoded || decoded.type !== protocol.PACKET_TYPES.AUDIO) return;
+
+        // Concealment frames are no audio worth recovering
+        if (decoded.payload.length === 0 ||
+            (decoded.flags & (protocol.FLAGS.CONCEALED | protocol.FLAGS.FEC))) return;
+
+        const streamKey = `${decoded.deviceId}->${device.id}`;
+        if (!this.parityEncoders.has(streamKey)) {
+            this.parityEncoders.set(streamKey, new ParityEncoder(this.options.parityGroupSize));
+        }
+
+        const parity = this.parityEncoders.get(streamKey).add(decoded.sequence, decoded.timestamp, decoded.payload);
+        if (!parity) return;
+
+        // The source's sequence space has no number to spare, so the
+        // header carries the block's base sequence
+        this.udpServer.sendToDevice(device, protocol.encodePacket({
+            version: device.protocolVersion,
+            type: protocol.PACKET_TYPES.REDUNDANCY,
+            deviceId: decoded.deviceId,
+            sequence: parity.readUInt16BE(0),
+            payload: parity
+        }));
+        this.stats.paritySent++;
+    }
+
+    // ----- Concealment in paced queues -----
+
+    /**
+     * Stand-in for a frame lost before it reached a paced queue
+     * @param {string} queueKey - Pacer queue ("SOURCE->TARGET")
+     * @param {Object} device - Target device
+     * @param {number} sequence - Sequence of the lost frame
+     * @param {Buffer} nextPacket - The queue's next packet (after the gap)
+     * @returns {Buffer|null} Packet to send in the lost frame's slot, or null
+     */
+    conceal(queueKey, device, sequence, nextPacket) {
+        if (!this.options.enabled || this.options.concealment === 'off') return null;
+
+        const next = protocol.decodePacket(nextPacket);
+        if (!next) return null;
+
+        const distance = (next.sequence - sequence) & 0xFFFF;
+        const samplesPerFrame = (CONFIG.audio.sampleRate * next.frameDuration) / 1000;
+        const fields = {
+            version: next.version,
+            type: protocol.PACKET_TYPES.AUDIO,
+            deviceId: next.deviceId,
+            sequence,
+            timestamp: (next.timestamp - distance * samplesPerFrame) >>> 0,
+            codec: next.codec,
+            frameDuration: next.frameDuration,
+            flags: protocol.FLAGS.CONCEALED
+        };
+
+        this.stats.concealed++;
+
+        // The frame right before the next one can come from the next one's in-band FEC
+        if (this.options.forwardFec && distance === 1 && next.version >= protocol.PROTOCOL_V2 &&
+            this.supports(device, 'opus-fec')) {
+            this.stats.fecForwarded++;
+            return protocol.encodePacket({ ...fields, flags: protocol.FLAGS.FEC, payload: next.payload });
+        }
+
+        const codec = this.getPlcCodec(queueKey);
+        if (codec) {
+            try {
+                // An empty packet makes the decoder conceal; it returns the
+                // longest frame Opus allows, keep one of ours
+                const frameBytes = samplesPerFrame * CONFIG.audio.channels * 2;
+                const pcm = codec.decoder.decode(Buffer.alloc(0)).slice(0, frameBytes);
+                this.stats.plcFrames++;
+                return protocol.encodePacket({ ...fields, payload: codec.encoder.encode(pcm) });
+            } catch (error) {
+                log.limited(`plc:${queueKey}`).error(`PLC failed for ${queueKey}: ${error.message}`, { route: queueKey });
+            }
+        }
+
+        // v1 has no flags; an empty payload is the marker
+        return protocol.encodePacket(fields);
+    }
+
+    /**
+     * Feed a packet leaving a paced queue to that queue's PLC decoder, so
+     * concealment continues from the audio that was actually played
+     * @param {string} queueKey - Pacer queue ("SOURCE->TARGET")
+     * @param {Buffer} packet - Audio packet
+     */
+    observe(queueKey, packet) {
+        const codec = this.getPlcCodec(queueKey);
+        if (!codec) return;
+
+        const decoded = protocol.decodePacket(packet);
+        if (!decoded || decoded.payload.length === 0) return;
+
+        try {
+            codec.decoder.decode(decoded.payload);
+        } catch (error) {
+            // Undecodable frames are forwarded anyway; PLC continues from the last good one
+        }
+    }
+
+    getPlcCodec(queueKey) {
+        if (!this.options.enabled || this.options.concealment !== 'plc' || !OpusEncoder) return null;
+
+        if (!this.plcCodecs.has(queueKey)) {
+            const encoder = new OpusEncoder(CONFIG.audio.sampleRate, CONFIG.audio.channels);
+            encoder.setBitrate(CONFIG.mixer.bitrate);
+            this.plcCodecs.set(queueKey, {
+                decoder: new OpusEncoder(CONFIG.audio.sampleRate, CONFIG.audio.channels),
+                encoder
+            });
+        }
+        return this.plcCodecs.get(queueKey);
+    }
+
+    // ----- In-band FEC requests -----
+
+    /**
+     * Ask devices whose loss rate crossed fecLossThreshold to embed Opus
+     * in-band FEC, and tell them to stop once it falls below half of it
+     */
+    checkLossRates() {
+        this.deviceManager.getOnlineDevices().forEach(device => {
+            const state = this.fecState.get(device.id) ||
+                { enabled: false, received: device.packetsReceived, lost: device.packetsLost };
+            this.fecState.set(device.id, state);
+
+            const received = device.packetsReceived - state.received;
+            const lost = device.packetsLost - state.lost;
+            if (received + lost < 25) return; // Too little traffic to judge
+
+            state.received = device.packetsReceived;
+            state.lost = device.packetsLost;
+
+            const lossRate = (lost / (received + lost)) * 100;
+            const threshold = this.options.fecLossThreshold;
+
+            if (!state.enabled && lossRate >= threshold) {
+                state.enabled = true;
+                this.requestFec(device, true, Math.max(this.options.fecExpectedLoss, Math.ceil(lossRate)));
+            } else if (state.enabled && lossRate < threshold / 2) {
+                state.enabled = false;
+                this.requestFec(device, false, 0);
+            }
+        });
+    }
+
+    requestFec(device, enabled, expectedLoss) {
+        log.info(`${enabled ? 'Requesting' : 'Ending'} in-band FEC for ${device.id}` +
+                 `${enabled ? ` (plan for ${expectedLoss}% loss)` : ''}`, { deviceId: device.id, expectedLoss });
+        this.udpServer.sendControl(device, { command: 'set-fec', enabled, expectedLoss: Math.min(100, expectedLoss) });
+        this.stats.fecRequests++;
+    }
+
+    // ----- Housekeeping -----
+
+    removeDevice(deviceId) {
+        this.history.delete(deviceId);
+        this.fecState.delete(deviceId);
+
+        [this.parityEncoders, this.plcCodecs].forEach(streams => {
+            Array.from(streams.keys())
+                .filter(key => key.split('->').includes(deviceId))
+                .forEach(key => streams.delete(key));
+        });
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            concealment: this.options.enabled ? this.options.concealment : 'off',
+            fecRequested: Array.from(this.fecState.entries())
+                .filter(([, state]) => state.enabled)
+                .map(([deviceId]) => deviceId)
+        };
+    }
+
+    stop() {
+        clearInterval(this.lossTimer);
+        this.history.clear();
+        this.parityEncoders.clear();
+        this.plcCodecs.clear();
+    }
+
+    /**
+     * Parse the payload of a REDUNDANCY packet
+     * @param {Buffer} payload - Parity payload
+     * @returns {Object|null} { sequences, lengthXor, timestampXor, parity }
+     */
+    static decodeParity(payload) {
+        if (payload.length < PARITY_HEADER_SIZE) return null;
+
+        const base = payload.readUInt16BE(0);
+        const mask = payload.readUInt16BE(2);
+        const sequences = [];
+        for (let bit = 0; bit < MASK_BITS; bit++) {
+            if (mask & (1 << bit)) sequences.push((base + bit) & 0xFFFF);
+        }
+
+        return {
+            sequences,
+            lengthXor: payload.readUInt16BE(4),
+            timestampXor: payload.readUInt32BE(6),
+            parity: payload.slice(PARITY_HEADER_SIZE)
+        };
+    }
+
+    /**
+     * Rebuild the one lost frame of a parity block
+     * @param {Object} block - Result of decodeParity()
+     * @param {Map} history - Received frames: sequence -> { timestamp, payload }
+     * @returns {{missing: number[], frame: (Object|null)}} Protected sequences not
+     *          received, and { sequence, timestamp, payload } if exactly one was lost
+     */
+    static rebuildFrame(block, history) {
+        const missing = block.sequences.filter(sequence => !history.has(sequence));
+        if (missing.length !== 1) return { missing, frame: null };
+
+        const payload = Buffer.from(block.parity);
+        let length = block.lengthXor;
+        let timestamp = block.timestampXor;
+
+        block.sequences.forEach(sequence => {
+            const frame = history.get(sequence);
+            if (!frame) return;
+            xorInto(payload, frame.payload);
+            length ^= frame.payload.length;
+            timestamp = (timestamp ^ frame.timestamp) >>> 0;
+        });
+
+        if (length > payload.length) return { missing, frame: null };
+
+        return {
+            missing,
+            frame: { sequence: missing[0], timestamp, payload: payload.slice(0, length) }
+        };
+    }
+}
+
+LossRecovery.ParityEncoder = ParityEncoder;
+LossRecovery.isBefore = isBefore;
+
+module.exports = LossRecovery;
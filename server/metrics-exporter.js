@@ -0,0 +1,213 @@
+/**
+ * Metrics Exporter - Server statistics in the Prometheus text format
+ *
+ * Served at GET /metrics by the dashboard server. Everything is read from
+ * the live statistics at scrape time, nothing is kept here:
+ *   udp_audio_*                server counters (UDPAudioServer.stats)
+ *   udp_audio_device_*         per device, label `device` (DeviceManager.getDeviceStats)
+ *   udp_audio_route*           routes and routed traffic, labels `source` and `target`
+ *   udp_audio_pacer_*          pacer counters, and per paced queue (labels `source`,
+ *                              `target`, `policy`) its depth, jitter and a histogram
+ *                              of send intervals (PacketPacer.getStats)
+ *
+ * Times are exposed in seconds as Prometheus expects, although the
+ * statistics they come from are kept in milliseconds.
+ */
+
+const CONFIG = require('../config/server-config.json');
+
+const DEFAULTS = {
+    enabled: true,
+    prefix: 'udp_audio_'
+};
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// PacketPacer.getSendErrorStats() fields by quantile label
+const LATENESS_QUANTILES = { p50: '0.5', p99: '0.99', max: '1' };
+
+class MetricsExporter {
+    constructor(udpServer, options = {}) {
+        this.udpServer = udpServer;
+        this.options = { ...DEFAULTS, ...CONFIG.metrics, ...options };
+    }
+
+    /**
+     * Render every metric family
+     * @returns {string} Exposition text
+     */
+    render() {
+        this.families = new Map();
+
+        this.collectServer();
+        this.collectDevices();
+        this.collectRoutes();
+        this.collectPacer();
+
+        const lines = [];
+        this.families.forEach(family => {
+            lines.push(`# HELP ${family.name} ${family.help}`);
+            lines.push(`# TYPE ${family.name} ${family.type}`);
+            family.samples.forEach(({ suffix, labels, value }) => {
+                lines.push(`${family.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+            });
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Add a sample, declaring its family on first use
+     * @param {string} name - Metric name without the prefix
+     * @param {string} type - 'counter', 'gauge' or 'histogram'
+     * @param {string} help - Description
+     * @param {number} value - Sample value
+     * @param {Object} [labels] - Label values
+     * @param {string} [suffix] - Sample suffix within the family (_bucket, _sum, _count)
+     */
+    add(name, type, help, value, labels = {}, suffix = '') {
+        const fullName = this.options.prefix + name;
+        if (!this.families.has(fullName)) {
+            this.families.set(fullName, { name: fullName, type, help, samples: [] });
+        }
+        this.families.get(fullName).samples.push({ suffix, labels, value });
+    }
+
+    collectServer() {
+        const stats = this.udpServer.stats;
+
+        this.add('uptime_seconds', 'gauge', 'Seconds since the server started',
+            (Date.now() - stats.startTime) / 1000);
+        this.add('packets_received_total', 'counter', 'UDP packets received', stats.packetsReceived);
+        this.add('packets_routed_total', 'counter', 'Audio packets routed to a target', stats.packetsRouted);
+        this.add('packets_dropped_total', 'counter', 'Packets dropped (invalid, failed to send or not protected)', stats.packetsDropped);
+        this.add('packets_rejected_total', 'counter', 'Packets rejected by packet authentication', stats.packetsRejected);
+        this.add('packets_refused_total', 'counter', 'Packets refused by the device registry', stats.packetsRefused);
+        this.add('bytes_received_total', 'counter', 'UDP payload bytes received', stats.bytesReceived);
+        this.add('bytes_transmitted_total', 'counter', 'UDP payload bytes sent', stats.bytesTransmitted);
+    }
+
+    collectDevices() {
+        const deviceManager = this.udpServer.deviceManager;
+        const devices = deviceManager.getAllDevices().map(device => deviceManager.getDeviceStats(device.id));
+        const online = devices.filter(device => device.online).length;
+
+        this.add('devices', 'gauge', 'Known devices by connection state', online, { state: 'online' });
+        this.add('devices', 'gauge', 'Known devices by connection state', devices.length - online, { state: 'offline' });
+
+        devices.forEach(device => {
+            const labels = { device: device.id };
+
+            this.add('device_info', 'gauge', 'Device name, address and protocol version', 1, {
+                device: device.id,
+                name: device.name,
+                address: `${device.address}:${device.port}`,
+                protocol_version: device.protocolVersion
+            });
+            this.add('device_online', 'gauge', '1 while the device is online', device.online ? 1 : 0, labels);
+            this.add('device_packets_received_total', 'counter', 'Packets received from the device', device.packetsReceived, labels);
+            this.add('device_packets_lost_total', 'counter', 'Packets from the device lost in transit (sequence gaps)', device.packetsLost, labels);
+            this.add('device_packet_loss_ratio', 'gauge', 'Lost packets over expected packets, since the device connected',
+                Number(device.packetLossRate) / 100, labels);
+            this.add('device_jitter_seconds', 'gauge', 'Average arrival jitter over recent packets',
+                Number(device.avgJitter) / 1000, labels);
+            this.add('device_last_seen_timestamp_seconds', 'gauge', 'Time the last packet arrived from the device',
+                device.lastSeen / 1000, labels);
+            if (device.codec) {
+                this.add('device_opus_malformed_total', 'counter', 'Malformed Opus packets from the device', device.codec.malformed, labels);
+            }
+        });
+    }
+
+    collectRoutes() {
+        const matrix = this.udpServer.audioRouter.getRoutingMatrix();
+        let routes = 0;
+
+        Object.entries(matrix).forEach(([deviceId, entry]) => {
+            routes += entry.routes.length;
+            this.add('device_routes', 'gauge', 'Targets the device is currently routed to (direct, group and broadcast)',
+                entry.routes.length, { device: deviceId });
+            this.add('device_muted', 'gauge', '1 while the device is muted', entry.muted ? 1 : 0, { device: deviceId });
+            this.add('device_broadcast', 'gauge', '1 while the device broadcasts to every device', entry.broadcast ? 1 : 0, { device: deviceId });
+        });
+        this.add('routes', 'gauge', 'Source to target routes currently active', routes);
+
+        this.udpServer.routeStats.forEach((route, key) => {
+            const labels = routeLabels(key);
+            this.add('route_packets_total', 'counter', 'Audio packets routed from source to target', route.packets, labels);
+            this.add('route_bytes_total', 'counter', 'Audio bytes routed from source to target', route.bytes, labels);
+        });
+    }
+
+    collectPacer() {
+        const stats = this.udpServer.packetPacer.getStats();
+
+        this.add('pacer_packets_received_total', 'counter', 'Packets buffered for paced delivery', stats.packetsReceived);
+        this.add('pacer_packets_sent_total', 'counter', 'Paced packets sent', stats.packetsSent);
+        this.add('pacer_packets_dropped_total', 'counter', 'Paced packets dropped (buffer full, too old or late)', stats.packetsDropped);
+        this.add('pacer_underruns_total', 'counter', 'Times a playing queue ran dry', stats.underruns);
+        this.add('pacer_latency_drops_total', 'counter', 'Packets dropped to bring a queue back to its target depth', stats.latencyDrops);
+        this.add('pacer_late_packets_total', 'counter', 'Packets that arrived after their slot was played', stats.latePackets);
+        this.add('pacer_jitter_events_total', 'counter', 'Packets sent with an extreme age', stats.jitterEvents);
+
+        Object.entries(stats.queues || {}).forEach(([key, queue]) => {
+            const labels = { ...routeLabels(key), policy: queue.policy };
+
+            this.add('pacer_queue_depth', 'gauge', 'Packets buffered in the queue', queue.buffered, labels);
+            this.add('pacer_queue_target_depth', 'gauge', 'Depth the jitter buffer aims for', queue.targetDepth, labels);
+            this.add('pacer_queue_playing', 'gauge', '1 while the queue plays, 0 while it buffers', queue.state === 'playing' ? 1 : 0, labels);
+            this.add('pacer_queue_jitter_seconds', 'gauge', 'Smoothed arrival jitter of the queue', queue.jitter / 1000, labels);
+            this.add('pacer_queue_underruns_total', 'counter', 'Times the queue ran dry while playing', queue.underruns, labels);
+            this.add('pacer_queue_latency_drops_total', 'counter', 'Packets the queue dropped to cut latency', queue.latencyDrops, labels);
+            this.add('pacer_queue_concealed_total', 'counter', 'Lost frames the queue replaced with concealment frames', queue.concealed, labels);
+
+            if (queue.intervals) {
+                this.addIntervalHistogram(queue.intervals, labels);
+            }
+        });
+
+        Object.entries(stats.sendErrors || {}).forEach(([deviceId, errors]) => {
+            Object.entries(LATENESS_QUANTILES).forEach(([field, quantile]) => {
+                this.add('pacer_send_lateness_seconds', 'gauge', 'How late paced packets left after their deadline, over recent packets',
+                    errors[field] / 1000, { device: deviceId, quantile });
+            });
+        });
+    }
+
+    addIntervalHistogram(intervals, labels) {
+        const name = 'pacer_send_interval_seconds';
+        const help = 'Time between consecutive sends of a paced queue';
+
+        let cumulative = 0;
+        intervals.buckets.forEach((bound, index) => {
+            cumulative += intervals.counts[index];
+            this.add(name, 'histogram', help, cumulative, { ...labels, le: formatValue(bound / 1000) }, '_bucket');
+        });
+        this.add(name, 'histogram', help, intervals.count, { ...labels, le: '+Inf' }, '_bucket');
+        this.add(name, 'histogram', help, intervals.sum / 1000, labels, '_sum');
+        this.add(name, 'histogram', help, intervals.count, labels, '_count');
+    }
+}
+
+function routeLabels(key) {
+    const [source, target] = key.split('->');
+    return { source, target };
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) return '';
+
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(Math.round(value * 1e6) / 1e6);
+}
+
+MetricsExporter.CONTENT_TYPE = CONTENT_TYPE;
+
+module.exports = MetricsExporter;
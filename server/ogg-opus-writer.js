@@ -0,0 +1,213 @@
+/**
+ * Ogg Opus Writer - Writes Opus packets to an Ogg Opus file (RFC 7845)
+ *
+ * The file holds one logical stream:
+ *   page 0   OpusHead (beginning of stream)
+ *   page 1   OpusTags
+ *   page 2.. audio packets, flushed every `packetsPerPage` packets
+ *   last     end of stream flag
+ *
+ * Page header (RFC 3533):
+ *   ['OggS'][Version(1)][HeaderType(1)][GranulePosition(8,LE)][Serial(4,LE)]
+ *   [PageSequence(4,LE)][CRC(4,LE)][Segments(1)][SegmentTable][Data]
+ * Packets are laced into 255-byte segments and never split across pages.
+ * The granule position of a page is the number of 48 kHz samples decoded
+ * up to the last packet that ends on it, pre-skip included.
+ *
+ * Pages are built as packets come in and written in the background, one
+ * after the other. The first failed write ends the file: later pages are
+ * dropped and close() rejects with the error.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+
+const OPUS_SAMPLE_RATE = 48000; // Granule positions always count 48 kHz samples
+const DEFAULT_PRE_SKIP = 312;   // libopus encoder lookahead at 48 kHz
+const MAX_SEGMENTS = 255;
+const VENDOR = 'udp-audio-server';
+
+const HEADER_TYPE = {
+    CONTINUED: 0x01,
+    BOS: 0x02,
+    EOS: 0x04
+};
+
+// CRC-32 of Ogg pages: polynomial 0x04C11DB7, not reflected, initial value 0
+const CRC_TABLE = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+    }
+    CRC_TABLE[i] = crc >>> 0;
+}
+
+function oggCrc(buffer) {
+    let crc = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ buffer[i]) & 0xFF]) >>> 0;
+    }
+    return crc;
+}
+
+function lacing(length) {
+    const segments = new Array(Math.floor(length / 255)).fill(255);
+    segments.push(length % 255);
+    return segments;
+}
+
+class OggOpusWriter {
+    /**
+     * @param {string} file - Output path (created or truncated, with its directory)
+     * @param {Object} options
+     * @param {number} options.channels - 1 or 2
+     * @param {number} [options.inputSampleRate] - Informational, for the OpusHead
+     * @param {number} [options.preSkip] - Samples to discard at the start
+     * @param {Object} [options.tags] - Comments for the OpusTags header
+     * @param {number} [options.packetsPerPage] - Audio packets per page
+     */
+    constructor(file, options = {}) {
+        this.file = file;
+        this.channels = options.channels || 1;
+        this.preSkip = options.preSkip !== undefined ? options.preSkip : DEFAULT_PRE_SKIP;
+        this.packetsPerPage = options.packetsPerPage || 50;
+
+        this.serial = crypto.randomBytes(4).readUInt32LE(0);
+        this.pageSequence = 0;
+        this.granulePosition = 0;
+        this.pending = []; // Packets of the page being filled
+        this.bytesWritten = 0;
+        this.packets = 0;
+        this.closed = false;
+
+        this.handle = null;
+        this.error = null;
+        this.writing = Promise.resolve(); // Page writes, one after the other
+        this.queue(async () => {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            this.handle = await fs.promises.open(file, 'w');
+        });
+        this.writePage([this.createHead(options.inputSampleRate || OPUS_SAMPLE_RATE)], 0, HEADER_TYPE.BOS);
+        this.writePage([this.createTags(options.tags || {})], 0, 0);
+    }
+
+    createHead(inputSampleRate) {
+        const head = Buffer.alloc(19);
+        head.write('OpusHead', 0, 'ascii');
+        head[8] = 1; // Version
+        head[9] = this.channels;
+        head.writeUInt16LE(this.preSkip, 10);
+        head.writeUInt32LE(inputSampleRate, 12);
+        head.writeInt16LE(0, 16); // Output gain
+        head[18] = 0; // Channel mapping family: mono or stereo
+        return head;
+    }
+
+    createTags(tags) {
+        const comments = Object.entries(tags)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => Buffer.from(`${key.toUpperCase()}=${value}`, 'utf8'));
+        const vendor = Buffer.from(VENDOR, 'utf8');
+
+        const parts = [Buffer.from('OpusTags', 'ascii'), uint32(vendor.length), vendor, uint32(comments.length)];
+        comments.forEach(comment => parts.push(uint32(comment.length), comment));
+        return Buffer.concat(parts);
+    }
+
+    /**
+     * Append an Opus packet
+     * @param {Buffer} packet - Opus packet (TOC byte first)
+     * @param {number} samples - Its duration in 48 kHz samples
+     */
+    write(packet, samples) {
+        if (this.closed) return;
+
+        const segments = this.pending.reduce((count, pending) => count + lacing(pending.length).length, 0);
+        if (segments + lacing(packet.length).length > MAX_SEGMENTS) {
+            this.flush(0);
+        }
+
+        this.pending.push(packet);
+        this.granulePosition += samples;
+        this.packets++;
+
+        if (this.pending.length >= this.packetsPerPage) {
+            this.flush(0);
+        }
+    }
+
+    flush(headerType) {
+        if (this.pending.length === 0 && !(headerType & HEADER_TYPE.EOS)) return;
+
+        this.writePage(this.pending, this.granulePosition, headerType);
+        this.pending = [];
+    }
+
+    writePage(packets, granulePosition, headerType) {
+        const segments = [];
+        packets.forEach(packet => segments.push(...lacing(packet.length)));
+
+        const header = Buffer.alloc(27 + segments.length);
+        header.write('OggS', 0, 'ascii');
+        header[4] = 0; // Version
+        header[5] = headerType;
+        header.writeBigUInt64LE(BigInt(granulePosition), 6);
+        header.writeUInt32LE(this.serial, 14);
+        header.writeUInt32LE(this.pageSequence++, 18);
+        header[26] = segments.length;
+        Buffer.from(segments).copy(header, 27);
+
+        const page = Buffer.concat([header, ...packets]);
+        page.writeUInt32LE(oggCrc(page), 22);
+
+        this.queue(async () => {
+            await this.handle.write(page);
+            this.bytesWritten += page.length;
+        });
+    }
+
+    // Run a file operation after the queued ones, unless one of them failed
+    queue(operation) {
+        this.writing = this.writing
+            .then(() => (this.error ? undefined : operation()))
+            .catch(error => {
+                this.error = error;
+            });
+    }
+
+    /**
+     * Write the remaining packets with the end of stream flag and close the file
+     * @returns {Promise} Resolves once everything is written, rejects with the first write error
+     */
+    close() {
+        if (!this.closed) {
+            this.flush(HEADER_TYPE.EOS);
+            this.closed = true;
+            this.writing = this.writing.then(() => this.handle && this.handle.close());
+        }
+
+        return this.writing.then(() => {
+            if (this.error) throw this.error;
+        });
+    }
+
+    /**
+     * Audio written so far, without the pre-skip (ms)
+     */
+    getDuration() {
+        return Math.max(0, this.granulePosition - this.preSkip) * 1000 / OPUS_SAMPLE_RATE;
+    }
+}
+
+function uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value, 0);
+    return buffer;
+}
+
+OggOpusWriter.OPUS_SAMPLE_RATE = OPUS_SAMPLE_RATE;
+OggOpusWriter.oggCrc = oggCrc;
+
+module.exports = OggOpusWriter;
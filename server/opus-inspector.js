@@ -0,0 +1,292 @@
+/**
+ * Opus Inspector - Validates the framing of device audio without decoding it
+ *
+ * Every Opus packet starts with a TOC byte (RFC 6716, section 3.1):
+ *   [config(5)][s(1)][c(2)]
+ * config selects the mode (SILK, hybrid, CELT), the audio bandwidth and the
+ * duration of each frame; s is the stereo flag; c is the frame count code:
+ *   0: one frame
+ *   1: two frames of equal size
+ *   2: two frames, the size of the first is coded after the TOC
+ *   3: a frame count byte [v(1)][p(1)][M(6)] follows, then optional padding
+ *      lengths and, for VBR (v=1), the sizes of the first M-1 frames
+ *
+ * A packet is malformed when its framing does not add up (sizes past the end,
+ * frames over 1275 bytes, more than 120 ms). A well-formed packet is a
+ * mismatch when its duration differs from CONFIG.audio.frameDuration or its
+ * channel count from CONFIG.audio.channels. The codec parameters last seen
+ * and the counters of each device are kept on its record as `device.codec`.
+ */
+
+const CONFIG = require('../config/server-config.json');
+const log = require('./logger').forModule('opus-inspector');
+
+const MAX_FRAME_SIZE = 1275;    // Bytes per frame
+const MAX_PACKET_DURATION = 120; // ms
+
+const BANDWIDTHS = {
+    NB: 'narrowband',      // 4 kHz
+    MB: 'mediumband',      // 6 kHz
+    WB: 'wideband',        // 8 kHz
+    SWB: 'superwideband',  // 12 kHz
+    FB: 'fullband'         // 20 kHz
+};
+
+const DEFAULTS = {
+    enabled: true,
+    dropMalformed: false,   // Malformed packets are routed (and counted) unless set
+    warnIntervalMs: 10000   // Malformed packet warnings per device
+};
+
+/**
+ * Mode, bandwidth and frame duration of a TOC config number
+ * @param {number} config - 0-31
+ * @returns {{mode: string, bandwidth: string, frameDuration: number}}
+ */
+function describeConfig(config) {
+    if (config < 12) {
+        return {
+            mode: 'silk',
+            bandwidth: [BANDWIDTHS.NB, BANDWIDTHS.MB, BANDWIDTHS.WB][config >> 2],
+            frameDuration: [10, 20, 40, 60][config & 3]
+        };
+    }
+    if (config < 16) {
+        return {
+            mode: 'hybrid',
+            bandwidth: config < 14 ? BANDWIDTHS.SWB : BANDWIDTHS.FB,
+            frameDuration: [10, 20][config & 1]
+        };
+    }
+    return {
+        mode: 'celt',
+        bandwidth: [BANDWIDTHS.NB, BANDWIDTHS.WB, BANDWIDTHS.SWB, BANDWIDTHS.FB][(config - 16) >> 2],
+        frameDuration: [2.5, 5, 10, 20][config & 3]
+    };
+}
+
+// Frame size coded in one or two bytes; returns { size, bytes } or null past the end
+function readFrameSize(payload, offset) {
+    if (offset >= payload.length) return null;
+
+    const first = payload[offset];
+    if (first < 252) return { size: first, bytes: 1 };
+    if (offset + 1 >= payload.length) return null;
+    return { size: first + 4 * payload[offset + 1], bytes: 2 };
+}
+
+/**
+ * Parse the TOC and frame layout of an Opus packet
+ * @param {Buffer} payload - Opus packet
+ * @returns {Object} { config, mode, bandwidth, stereo, channels, frameDuration,
+ *          frameCount, duration, frameSizes, vbr, padding } or { error }
+ */
+function parsePacket(payload) {
+    if (payload.length === 0) return { error: 'empty' };
+
+    const toc = payload[0];
+    const config = toc >> 3;
+    const stereo = Boolean(toc & 0x04);
+    const code = toc & 0x03;
+    const { mode, bandwidth, frameDuration } = describeConfig(config);
+
+    let offset = 1;
+    let frameSizes;
+    let vbr = false;
+    let padding = 0;
+
+    switch (code) {
+        case 0:
+            frameSizes = [payload.length - 1];
+            break;
+
+        case 1:
+            if ((payload.length - 1) % 2 !== 0) return { error: 'odd-cbr-length' };
+            frameSizes = [(payload.length - 1) / 2, (payload.length - 1) / 2];
+            break;
+
+        case 2: {
+            const first = readFrameSize(payload, offset);
+            if (!first) return { error: 'truncated' };
+            offset += first.bytes;
+            if (first.size > payload.length - offset) return { error: 'truncated' };
+            frameSizes = [first.size, payload.length - offset - first.size];
+            vbr = true;
+            break;
+        }
+
+        case 3: {
+            if (payload.length < 2) return { error: 'truncated' };
+            const countByte = payload[offset++];
+            const count = countByte & 0x3F;
+            vbr = Boolean(countByte & 0x80);
+
+            if (count === 0) return { error: 'no-frames' };
+            if (count * frameDuration > MAX_PACKET_DURATION) return { error: 'too-long' };
+
+            // Padding length: each 255 adds 254 bytes and continues
+            if (countByte & 0x40) {
+                let more = true;
+                while (more) {
+                    if (offset >= payload.length) return { error: 'truncated' };
+                    const value = payload[offset++];
+                    padding += value === 255 ? 254 : value;
+                    more = value === 255;
+                }
+            }
+
+            let remaining = payload.length - offset - padding;
+            if (remaining < 0) return { error: 'truncated' };
+
+            if (vbr) {
+                frameSizes = [];
+                for (let i = 0; i < count - 1; i++) {
+                    const frame = readFrameSize(payload, offset);
+                    if (!frame) return { error: 'truncated' };
+                    offset += frame.bytes;
+                    remaining -= frame.bytes + frame.size;
+                    if (remaining < 0) return { error: 'truncated' };
+                    frameSizes.push(frame.size);
+                }
+                frameSizes.push(remaining);
+            } else {
+                if (remaining % count !== 0) return { error: 'uneven-cbr-frames' };
+                frameSizes = new Array(count).fill(remaining / count);
+            }
+            break;
+        }
+    }
+
+    if (frameSizes.some(size => size > MAX_FRAME_SIZE)) return { error: 'frame-too-large' };
+
+    return {
+        config,
+        mode,
+        bandwidth,
+        stereo,
+        channels: stereo ? 2 : 1,
+        frameDuration,
+        frameCount: frameSizes.length,
+        duration: frameSizes.length * frameDuration,
+        frameSizes,
+        vbr,
+        padding
+    };
+}
+
+class OpusInspector {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...CONFIG.opusValidation, ...options };
+        this.expectedDuration = this.options.frameDuration || CONFIG.audio.frameDuration;
+        this.expectedChannels = this.options.channels || CONFIG.audio.channels;
+
+        this.stats = {
+            inspected: 0,
+            malformed: 0,
+            mismatched: 0,
+            dropped: 0,
+            errors: {} // Key: error or mismatch reason, Value: count
+        };
+
+        this.lastWarnings = new Map(); // Key: deviceId, Value: timestamp
+    }
+
+    /**
+     * Inspect the payload of an audio packet from a device
+     * @param {Object} device - Source device record
+     * @param {Object} decoded - Decoded audio packet
+     * @returns {boolean} False if the packet should be dropped
+     */
+    inspect(device, decoded) {
+        if (!this.options.enabled) return true;
+
+        const codec = device.codec || (device.codec = this.createCodecState());
+        const info = parsePacket(decoded.payload);
+        this.stats.inspected++;
+        codec.packets++;
+
+        if (info.error) {
+            this.stats.malformed++;
+            codec.malformed++;
+            this.countError(codec, info.error);
+            this.warn(device, `malformed Opus packet (${info.error}, ${decoded.payload.length} bytes, seq ${decoded.sequence})`);
+
+            if (this.options.dropMalformed) {
+                this.stats.dropped++;
+                return false;
+            }
+            return true;
+        }
+
+        const mismatch = info.duration !== this.expectedDuration
+            ? 'duration'
+            : info.channels !== this.expectedChannels ? 'channels' : null;
+        if (mismatch) {
+            this.stats.mismatched++;
+            codec.mismatched++;
+            this.countError(codec, `${mismatch}-mismatch`);
+            this.warn(device, `sends ${info.duration}ms ${info.stereo ? 'stereo' : 'mono'} Opus packets, ` +
+                `expected ${this.expectedDuration}ms ${this.expectedChannels === 2 ? 'stereo' : 'mono'}`);
+        }
+
+        codec.mode = info.mode;
+        codec.bandwidth = info.bandwidth;
+        codec.config = info.config;
+        codec.channels = info.channels;
+        codec.frameDuration = info.frameDuration;
+        codec.framesPerPacket = info.frameCount;
+        codec.packetDuration = info.duration;
+        codec.vbr = info.vbr;
+        codec.lastSize = decoded.payload.length;
+        return true;
+    }
+
+    createCodecState() {
+        return {
+            mode: null,
+            bandwidth: null,
+            config: null,
+            channels: null,
+            frameDuration: null,
+            framesPerPacket: null,
+            packetDuration: null,
+            vbr: null,
+            lastSize: null,
+            packets: 0,
+            malformed: 0,
+            mismatched: 0,
+            errors: {},
+            lastError: null,
+            lastErrorAt: null
+        };
+    }
+
+    countError(codec, reason) {
+        codec.errors[reason] = (codec.errors[reason] || 0) + 1;
+        codec.lastError = reason;
+        codec.lastErrorAt = Date.now();
+        this.stats.errors[reason] = (this.stats.errors[reason] || 0) + 1;
+    }
+
+    warn(device, message) {
+        const now = Date.now();
+        if (now - (this.lastWarnings.get(device.id) || 0) < this.options.warnIntervalMs) return;
+
+        this.lastWarnings.set(device.id, now);
+        log.warn(`Device ${device.id} ${message}`, { deviceId: device.id });
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            errors: { ...this.stats.errors },
+            enabled: Boolean(this.options.enabled),
+            dropMalformed: Boolean(this.options.dropMalformed)
+        };
+    }
+}
+
+OpusInspector.parsePacket = parsePacket;
+OpusInspector.describeConfig = describeConfig;
+
+module.exports = OpusInspector;
@@ -0,0 +1,106 @@
+/**
+ * Pacer Worker - Packet pacer send loop on its own thread
+ *
+ * Started by PacketPacer when pacing.scheduler.worker is enabled, so a busy
+ * main event loop (mixing, WebSocket traffic, persistence) cannot delay
+ * the playout timing. The main thread keeps routing, policies and encryption
+ * and posts every packet to pace, encrypted for its target; this thread
+ * buffers it and, when it is due, sends it from its own socket. That socket
+ * is bound to the server port with reuseAddr (NAT bindings and firewalls
+ * only know the server port) before the server binds its own, which then
+ * receives the devices' traffic. Sent packets are reported back for parity,
+ * retransmission history and capture, as in UDPAudioServer.sendAudio().
+ *
+ * Messages from the main thread:
+ *   { type: 'packet', packet, wire, sequence, from, to, policy }
+ *     (wire: the encrypted packet, if it differs; to: { id, address, port })
+ *   { type: 'policies', policies }
+ *   { type: 'remove-device', deviceId }
+ *   { type: 'log-levels', levels }
+ *   { type: 'stop' }
+ *
+ * Messages to the main thread:
+ *   { type: 'ready' }  (socket bound)
+ *   { type: 'sent', to, packet, wire, error }
+ *   { type: 'stats', stats }
+ *   { type: 'dashboard', message }
+ *   { type: 'log', entry }  (see logger.js)
+ */
+
+const dgram = require('dgram');
+const { parentPort, workerData } = require('worker_threads');
+const PacketPacer = require('./packet-pacer');
+const logging = require('./logger');
+
+logging.forModule('pacer-worker');
+logging.applyLevels(workerData.logLevels);
+
+// A failed bind ends the worker, and the main thread paces instead
+const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+socket.bind(workerData.socket.port, workerData.socket.host, () => {
+    parentPort.postMessage({ type: 'ready' });
+});
+
+// The packet before encryption, per encrypted packet still queued
+const cleartext = new WeakMap();
+
+// Stands in for the UDP server (there is no loss recovery here, so no concealment)
+const sender = {
+    sendAudio(device, wire) {
+        socket.send(wire, device.port, device.address, (error) => {
+            const packet = cleartext.get(wire);
+            parentPort.postMessage({
+                type: 'sent',
+                to: device.id,
+                packet: packet || wire,
+                wire: packet ? wire : undefined,
+                error: error ? error.message : undefined
+            });
+        });
+    }
+};
+
+const pacer = new PacketPacer(sender, { worker: false });
+pacer.loadPolicies(workerData.policies);
+pacer.dashboardCallback = (message) => {
+    parentPort.postMessage({ type: 'dashboard', message });
+};
+
+function reportStats() {
+    parentPort.postMessage({ type: 'stats', stats: pacer.getStats() });
+}
+
+const statsTimer = setInterval(reportStats, workerData.statsIntervalMs);
+
+parentPort.on('message', (message) => {
+    switch (message.type) {
+        case 'packet': {
+            const packet = Buffer.from(message.packet);
+            const wire = message.wire ? Buffer.from(message.wire) : packet;
+            if (wire !== packet) cleartext.set(wire, packet);
+
+            pacer.bufferPacket(wire, message.from, message.to, message.policy, message.sequence);
+            break;
+        }
+
+        case 'policies':
+            pacer.loadPolicies(message.policies);
+            pacer.applyPolicies();
+            break;
+
+        case 'remove-device':
+            pacer.removeDevice(message.deviceId);
+            break;
+
+        case 'log-levels':
+            logging.applyLevels(message.levels);
+            break;
+
+        case 'stop':
+            clearInterval(statsTimer);
+            pacer.stop();
+            socket.close();
+            parentPort.close();
+            break;
+    }
+});
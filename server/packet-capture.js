@@ -0,0 +1,284 @@
+/**
+ * Packet Capture - Tees server UDP traffic to a pcap file
+ *
+ * Every packet the server socket receives (ingress) or sends (egress) is
+ * written as it is on the wire, encrypted packets included, with its
+ * timestamp and the device address and port. The file is a classic libpcap
+ * capture (microsecond timestamps, LINKTYPE_RAW): each record is an IPv4
+ * header and a UDP header in front of the payload, so Wireshark and tcpdump
+ * open it directly ("Decode As" the server port for the payload).
+ *
+ * Next to the capture, <file>.json holds the routing, device configuration
+ * and registry (without secrets) at the moment the capture started, plus
+ * the server address. test/packet-replay.js loads both to feed the ingress
+ * packets back into UDPAudioServer.handlePacket.
+ *
+ * Paced packets sent by the pacer worker (pacing.scheduler.worker) leave
+ * from the worker's own socket; they are captured when the worker reports
+ * them sent, so their timestamps trail the actual send slightly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+
+const CONFIG = require('../config/server-config.json');
+const log = require('./logger').forModule('packet-capture');
+
+const DEFAULTS = {
+    enabled: false,         // Capture from startup (also: udp-server.js --capture[=file])
+    file: null,             // Default: capture-<time>.pcap in directory
+    directory: 'captures',
+    directions: ['ingress', 'egress'],
+    maxBytes: 100 * 1024 * 1024
+};
+
+const PCAP_MAGIC = 0xA1B2C3D4;  // Microsecond timestamps
+const LINKTYPE_RAW = 101;       // Records start with the IP header
+const SNAPLEN = 65535;
+const GLOBAL_HEADER_SIZE = 24;
+const IP_HEADER_SIZE = 20;
+const UDP_HEADER_SIZE = 8;
+const RECORD_HEADER_SIZE = 16;
+
+class PacketCapture {
+    constructor(udpServer, options = {}) {
+        this.udpServer = udpServer;
+        this.options = { ...DEFAULTS, ...CONFIG.capture, ...options };
+
+        this.file = null;
+        this.fd = null;
+        this.directions = new Set(this.options.directions);
+        this.ipId = 0;
+
+        this.stats = {
+            packets: 0,
+            bytes: 0,
+            ingress: 0,
+            egress: 0,
+            startedAt: null
+        };
+    }
+
+    /**
+     * Start writing a capture
+     * @param {string} [file] - Output path (default: a timestamped file in the capture directory)
+     * @returns {string} Path of the capture file
+     */
+    start(file = this.options.file) {
+        if (this.fd !== null) this.stop();
+
+        if (!file) {
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            file = path.join(this.options.directory, `capture-${stamp}.pcap`);
+        }
+        this.file = path.resolve(__dirname, '..', file);
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        this.server = this.getServerAddress();
+        fs.writeFileSync(`${this.file}.json`, JSON.stringify(this.createSidecar(), null, 2));
+
+        // Written synchronously so a capture is complete up to a crash or exit
+        this.fd = fs.openSync(this.file, 'w');
+        fs.writeSync(this.fd, createGlobalHeader());
+
+        this.stats = { packets: 0, bytes: GLOBAL_HEADER_SIZE, ingress: 0, egress: 0, startedAt: Date.now() };
+        log.info(`Capturing ${Array.from(this.directions).join(' and ')} packets to ${this.file}`);
+        return this.file;
+    }
+
+    /**
+     * Stop capturing and close the file
+     */
+    stop() {
+        if (this.fd === null) return;
+
+        fs.closeSync(this.fd);
+        this.fd = null;
+        log.info(`Capture stopped: ${this.stats.packets} packets in ${this.file}`);
+    }
+
+    isCapturing() {
+        return this.fd !== null;
+    }
+
+    getServerAddress() {
+        try {
+            const { address, port } = this.udpServer.socket.address();
+            return { address, port };
+        } catch (error) {
+            // Not bound yet
+            const { host, port } = this.udpServer.bindAddress;
+            return { address: host, port };
+        }
+    }
+
+    // State the replay tool starts from; secrets stay out of capture files
+    createSidecar() {
+        const snapshot = this.udpServer.persistence.createSnapshot();
+        snapshot.registry = {
+            ...snapshot.registry,
+            devices: snapshot.registry.devices.map(({ secret, ...record }) => record)
+        };
+
+        return {
+            format: 'udp-audio-capture',
+            version: 1,
+            startedAt: Date.now(),
+            server: this.server,
+            directions: Array.from(this.directions),
+            snapshot
+        };
+    }
+
+    /**
+     * Record a packet
+     * @param {string} direction - 'ingress' or 'egress'
+     * @param {Buffer} packet - Packet as on the wire
+     * @param {{address: string, port: number}} remote - Device address (rinfo or device record)
+     */
+    capture(direction, packet, remote) {
+        if (this.fd === null || !this.directions.has(direction)) return;
+
+        const ingress = direction === 'ingress';
+        // Sub-millisecond timestamps, for pacing analysis
+        const record = encodeRecord(performance.timeOrigin + performance.now(), packet,
+            ingress ? remote : this.server,
+            ingress ? this.server : remote,
+            this.ipId = (this.ipId + 1) & 0xFFFF);
+
+        try {
+            fs.writeSync(this.fd, record);
+        } catch (error) {
+            log.error(`Packet capture failed: ${error.message}`);
+            this.stop();
+            return;
+        }
+        this.stats.packets++;
+        this.stats[direction]++;
+        this.stats.bytes += record.length;
+
+        if (this.stats.bytes >= this.options.maxBytes) {
+            log.warn(`Capture reached ${this.options.maxBytes} bytes`);
+            this.stop();
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            capturing: this.isCapturing(),
+            file: this.file
+        };
+    }
+}
+
+function createGlobalHeader() {
+    const header = Buffer.alloc(GLOBAL_HEADER_SIZE);
+    header.writeUInt32LE(PCAP_MAGIC, 0);
+    header.writeUInt16LE(2, 4);  // Version 2.4
+    header.writeUInt16LE(4, 6);
+    header.writeInt32LE(0, 8);   // GMT offset
+    header.writeUInt32LE(0, 12); // Timestamp accuracy
+    header.writeUInt32LE(SNAPLEN, 16);
+    header.writeUInt32LE(LINKTYPE_RAW, 20);
+    return header;
+}
+
+function encodeRecord(timestamp, payload, from, to, ipId) {
+    const length = IP_HEADER_SIZE + UDP_HEADER_SIZE + payload.length;
+    const record = Buffer.alloc(RECORD_HEADER_SIZE + IP_HEADER_SIZE + UDP_HEADER_SIZE);
+
+    record.writeUInt32LE(Math.floor(timestamp / 1000), 0);
+    record.writeUInt32LE(Math.floor((timestamp % 1000) * 1000), 4);
+    record.writeUInt32LE(length, 8);  // Captured
+    record.writeUInt32LE(length, 12); // On the wire
+
+    const ip = record.subarray(RECORD_HEADER_SIZE, RECORD_HEADER_SIZE + IP_HEADER_SIZE);
+    ip[0] = 0x45; // IPv4, 5-word header
+    ip.writeUInt16BE(length, 2);
+    ip.writeUInt16BE(ipId, 4);
+    ip.writeUInt16BE(0x4000, 6); // Don't fragment
+    ip[8] = 64;  // TTL
+    ip[9] = 17;  // UDP
+    writeAddress(ip, 12, from.address);
+    writeAddress(ip, 16, to.address);
+    ip.writeUInt16BE(ipChecksum(ip), 10);
+
+    const udp = record.subarray(RECORD_HEADER_SIZE + IP_HEADER_SIZE);
+    udp.writeUInt16BE(from.port, 0);
+    udp.writeUInt16BE(to.port, 2);
+    udp.writeUInt16BE(UDP_HEADER_SIZE + payload.length, 4);
+    // Checksum 0: not computed (allowed for UDP over IPv4)
+
+    return Buffer.concat([record, payload]);
+}
+
+function writeAddress(buffer, offset, address) {
+    const parts = String(address).replace(/^::ffff:/, '').split('.').map(Number);
+    for (let i = 0; i < 4; i++) {
+        buffer[offset + i] = parts.length === 4 ? parts[i] & 0xFF : 0;
+    }
+}
+
+function ipChecksum(header) {
+    let sum = 0;
+    for (let i = 0; i < header.length; i += 2) {
+        sum += header.readUInt16BE(i);
+    }
+    while (sum > 0xFFFF) {
+        sum = (sum & 0xFFFF) + (sum >>> 16);
+    }
+    return ~sum & 0xFFFF;
+}
+
+/**
+ * Read a capture written by PacketCapture (or any LINKTYPE_RAW IPv4/UDP pcap)
+ * @param {string} file - Path of the .pcap file
+ * @returns {Object[]} Packets: { timestamp (ms), from: {address, port}, to: {address, port}, packet }
+ */
+function readCapture(file) {
+    const data = fs.readFileSync(file);
+    if (data.length < GLOBAL_HEADER_SIZE) {
+        throw new Error(`${file} is not a pcap file`);
+    }
+
+    const magic = data.readUInt32LE(0);
+    if (magic !== PCAP_MAGIC) {
+        throw new Error(`${file}: unsupported pcap format (magic 0x${magic.toString(16)})`);
+    }
+    if (data.readUInt32LE(20) !== LINKTYPE_RAW) {
+        throw new Error(`${file}: link type ${data.readUInt32LE(20)} is not raw IP`);
+    }
+
+    const packets = [];
+    let offset = GLOBAL_HEADER_SIZE;
+    while (offset + RECORD_HEADER_SIZE <= data.length) {
+        const seconds = data.readUInt32LE(offset);
+        const micros = data.readUInt32LE(offset + 4);
+        const captured = data.readUInt32LE(offset + 8);
+        const ip = data.subarray(offset + RECORD_HEADER_SIZE, offset + RECORD_HEADER_SIZE + captured);
+        offset += RECORD_HEADER_SIZE + captured;
+
+        // A capture cut short by a crash ends with a partial record
+        if (ip.length < captured) break;
+        if ((ip[0] >> 4) !== 4 || ip[9] !== 17) continue;
+
+        const udp = ip.subarray((ip[0] & 0x0F) * 4);
+        packets.push({
+            timestamp: seconds * 1000 + micros / 1000,
+            from: { address: readAddress(ip, 12), port: udp.readUInt16BE(0) },
+            to: { address: readAddress(ip, 16), port: udp.readUInt16BE(2) },
+            packet: Buffer.from(udp.subarray(UDP_HEADER_SIZE, udp.readUInt16BE(4)))
+        });
+    }
+    return packets;
+}
+
+function readAddress(buffer, offset) {
+    return Array.from(buffer.subarray(offset, offset + 4)).join('.');
+}
+
+PacketCapture.readCapture = readCapture;
+
+module.exports = PacketCapture;
@@ -1,39 +1,126 @@
 /**
  * Packet Pacer - Server-side jitter buffer and timing correction
  *
- * Receives packets from browser at irregular intervals and sends them
- * to ESP32 devices at precise 20ms intervals to prevent audio corruption.
+ * Receives packets from the browser and from devices at irregular intervals
+ * and sends them to ESP32 devices at precise 20ms intervals to prevent audio
+ * corruption.
+ *
+ * Every route has a pacing policy:
+ * - pass-through: sent as soon as it arrives (the caller sends it directly)
+ * - paced: fixed buffer of pacedDepth packets, then one packet per frame
+ * - adaptive: buffer depth follows the measured arrival jitter
  *
  * Features:
- * - 100ms jitter buffer depth
- * - Precise 20ms packet pacing
- * - Handles packet reordering
- * - Graceful drop handling
+ * - Per-route policy: config defaults, overrides by route or wildcard
+ * - Adaptive jitter buffer per queue, sized from measured arrival jitter
+ * - Target depth shrinks during silence, grows after underruns
+ * - Absolute per-queue send deadlines on the monotonic hrtime clock, so a
+ *   late wakeup delays one packet instead of shifting every packet after it
+ * - One timer for every queue: queues due within coalesceMs share a wakeup
+ * - Send-time error (actual send minus deadline) percentiles per destination
+ * - Optional pacing loop in a worker thread, sending from its own socket
+ * - Handles packet reordering; lost frames are concealed (see loss-recovery.js)
+ * - Bounded latency: packets beyond the buffer's headroom are dropped
  */
 
+const path = require('path');
+const { Worker } = require('worker_threads');
+const protocol = require('./packet-protocol');
+const logging = require('./logger');
+const CONFIG = require('../config/server-config.json');
+
+const log = logging.forModule('packet-pacer');
+
+const POLICIES = ['pass-through', 'paced', 'adaptive'];
+
+const PACING_DEFAULTS = {
+    defaultPolicy: 'pass-through',
+    dashboardPolicy: 'adaptive',
+    pacedDepth: 2,
+    routes: {}
+};
+
+const SCHEDULER_DEFAULTS = {
+    coalesceMs: 1,        // Send what is due this soon in the same wakeup
+    errorSamples: 500,    // Send-time errors kept per destination
+    worker: false,        // Run the pacing loop in a worker thread
+    statsIntervalMs: 500  // How often the worker reports its statistics
+};
+
+const JITTER_DEFAULTS = {
+    minDepth: 1,
+    maxDepth: 10,
+    initialDepth: 3,
+    jitterMultiplier: 2,
+    silenceTimeoutMs: 200,
+    silenceDecay: 0.5
+};
+
+// Monotonic clock in nanoseconds
+function hrnow() {
+    return process.hrtime.bigint();
+}
+
+function toMs(ns) {
+    return Number(ns) / 1e6;
+}
+
+// Sequence a comes after sequence b (16-bit wraparound)
+function isAfter(a, b) {
+    return a !== b && ((a - b) & 0xFFFF) < 0x8000;
+}
+
+// Upper bounds of the send interval histogram, in frame durations
+const INTERVAL_BUCKETS = [0.25, 0.5, 0.75, 0.9, 0.95, 1, 1.05, 1.1, 1.25, 1.5, 2, 3, 5];
+
+// Nearest-rank percentile of a sorted array
+function percentile(sorted, fraction) {
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(fraction * sorted.length) - 1))];
+}
+
 class PacketPacer {
-    constructor(udpServer) {
+    /**
+     * @param {Object} udpServer - Anything with sendAudio(device, packet)
+     * @param {Object} [options] - Overrides of pacing.scheduler
+     */
+    constructor(udpServer, options = {}) {
         this.udpServer = udpServer;
 
         // Packet queues per device pair (from -> to)
         this.queues = new Map(); // Key: "FROM_ID->TO_ID", Value: packet queue
 
         // Timing configuration
-        this.PACKET_INTERVAL = 20; // 20ms between packets
-        this.MAX_BUFFER_SIZE = 10; // Max 10 packets (200ms) in buffer
-        this.MAX_LATENCY = 100;    // Max 100ms initial latency
+        this.PACKET_INTERVAL = CONFIG.audio.frameDuration; // 20ms between packets
+        this.INTERVAL_NS = BigInt(Math.round(this.PACKET_INTERVAL * 1e6));
+        this.INTERVAL_BUCKETS = INTERVAL_BUCKETS.map(factor => factor * this.PACKET_INTERVAL);
+
+        // Adaptive jitter buffer: each queue buffers targetDepth packets before
+        // playout, with targetDepth derived from its measured arrival jitter
+        this.jitterConfig = { ...JITTER_DEFAULTS, ...CONFIG.jitterBuffer };
+        this.MAX_BUFFER_SIZE = this.jitterConfig.maxDepth * 2; // Hard cap per queue
+        this.SILENCE_NS = BigInt(this.jitterConfig.silenceTimeoutMs) * 1000000n;
+
+        // Pacing policy per route ("SRC->DST", "SRC->*" or "*->DST")
+        const pacing = { ...PACING_DEFAULTS, ...CONFIG.pacing };
+        this.loadPolicies(pacing);
 
-        // Global timing control to prevent packet bursts
-        this.lastGlobalSendTime = 0;
-        this.currentQueueIndex = 0;
-        this.lastPacketSendTime = 0; // For timing diagnostics
-        this.lastIntervalFire = 0;   // Track setInterval health
+        // Scheduler: one timer armed for the earliest queue deadline
+        this.scheduler = { ...SCHEDULER_DEFAULTS, ...pacing.scheduler, ...options };
+        this.COALESCE_NS = BigInt(Math.round(this.scheduler.coalesceMs * 1e6));
+        this.running = false;
+        this.timer = null;
+        this.timerDeadline = null;
+
+        // Worker thread running the send loop (pacing.scheduler.worker)
+        this.worker = null;
+        this.workerStats = null;
+        this.workerReady = null;
 
         // Comprehensive timing tracking
         this.timingHistory = [];      // Store last 100 packet timings
         this.timingViolations = [];   // Store timing problems
         this.dashboardCallback = null; // Callback to send data to dashboard
-        this.intervalHealth = [];      // Track setInterval performance
+        this.sendErrors = new Map();   // Key: destination ID, Value: { samples, next, count }
 
         // Statistics
         this.stats = {
@@ -41,6 +128,9 @@ class PacketPacer {
             packetsSent: 0,
             packetsDropped: 0,
             jitterEvents: 0,
+            underruns: 0,
+            latencyDrops: 0,
+            latePackets: 0,
             avgInterval: 0,
             minInterval: 999,
             maxInterval: 0
@@ -55,29 +145,62 @@ class PacketPacer {
      * @param {Buffer} packet - The UDP packet to send
      * @param {Object} fromDevice - Source device object
      * @param {Object} toDevice - Target device object
+     * @param {string} [policy] - 'paced' or 'adaptive' (default: the route's policy)
+     * @param {number} [sequence] - Sequence number (default: read from the packet)
      */
-    bufferPacket(packet, fromDevice, toDevice) {
+    bufferPacket(packet, fromDevice, toDevice, policy, sequence) {
         if (!fromDevice || !toDevice) return;
 
         const queueKey = `${fromDevice.id}->${toDevice.id}`;
+        policy = policy || this.getPolicy(fromDevice.id, toDevice.id);
+        if (policy === 'pass-through') policy = 'adaptive'; // Buffered anyway, so adapt
+
+        if (this.worker) {
+            this.forwardToWorker(packet, fromDevice, toDevice, policy, sequence);
+            return;
+        }
 
         // Get or create queue for this device pair
         if (!this.queues.has(queueKey)) {
             this.queues.set(queueKey, {
                 packets: [],
+                fromDevice: fromDevice,
                 toDevice: toDevice,
-                lastSendTime: 0,
-                sequence: 0
+                lastSendTime: 0,    // Wall clock, for display
+                lastSentAt: null,   // hrtime of the last send
+                deadline: null,     // hrtime the next packet is due, while playing
+                lastArrival: null,  // hrtime
+                lastSequence: null, // Sequence of the last packet played
+                sequence: 0,
+                policy,
+                state: 'buffering', // 'buffering' until targetDepth is reached, then 'playing'
+                jitter: 0,          // Smoothed arrival jitter (ms)
+                targetDepth: this.jitterConfig.initialDepth,
+                starved: false,     // Ran dry while playing
+                silent: false,      // Silence already shrank the target
+                underruns: 0,
+                latencyDrops: 0,
+                concealed: 0,
+                intervals: {        // Send interval histogram (ms), see getQueueStats()
+                    counts: new Array(this.INTERVAL_BUCKETS.length + 1).fill(0),
+                    sum: 0,
+                    count: 0
+                }
             });
         }
 
         const queue = this.queues.get(queueKey);
+        const now = hrnow();
+
+        queue.policy = policy;
+        queue.toDevice = toDevice;
+        this.measureJitter(queue, now);
 
         // Add packet to queue with timestamp
         queue.packets.push({
             data: packet,
-            timestamp: Date.now(),
-            sequence: this.extractSequence(packet)
+            arrival: now,
+            sequence: sequence !== undefined ? sequence : this.extractSequence(packet)
         });
 
         this.stats.packetsReceived++;
@@ -86,11 +209,81 @@ class PacketPacer {
         while (queue.packets.length > this.MAX_BUFFER_SIZE) {
             queue.packets.shift(); // Remove oldest
             this.stats.packetsDropped++;
-            console.log(`Dropped packet for ${queueKey} - buffer full`);
+            log.limited(`buffer-full:${queueKey}`).warn(`Dropped packet for ${queueKey} - buffer full`, { route: queueKey });
         }
 
         // Sort by sequence number to handle reordering
         queue.packets.sort((a, b) => a.sequence - b.sequence);
+
+        // The packet may have primed the queue or be its first in a while
+        this.schedule();
+    }
+
+    /**
+     * Update a queue's jitter estimate from the arrival of a packet
+     * Uses the RFC 3550 interarrival jitter filter, J += (|D| - J) / 16,
+     * combined with the jitter DeviceManager records for the source device.
+     * @param {Object} queue - Pacer queue
+     * @param {bigint} now - Arrival time (hrtime)
+     */
+    measureJitter(queue, now) {
+        if (queue.lastArrival !== null) {
+            const gap = toMs(now - queue.lastArrival);
+
+            if (gap > this.jitterConfig.silenceTimeoutMs) {
+                // First packet of a talk spurt: playout restarts at the (smaller) target
+                queue.state = 'buffering';
+                queue.deadline = null;
+                queue.lastSequence = null;
+            } else {
+                const deviation = Math.abs(gap - this.PACKET_INTERVAL);
+                queue.jitter += (deviation - queue.jitter) / 16;
+
+                // The buffer ran dry and the stream went on: that was an underrun
+                if (queue.starved) {
+                    queue.underruns++;
+                    this.stats.underruns++;
+                }
+            }
+        }
+        queue.lastArrival = now;
+        queue.starved = false;
+        queue.silent = false;
+
+        this.updateTargetDepth(queue);
+    }
+
+    /**
+     * Recompute a queue's target depth from its policy and jitter
+     * @param {Object} queue - Pacer queue
+     */
+    updateTargetDepth(queue) {
+        queue.targetDepth = queue.policy === 'paced'
+            ? this.pacedDepth
+            : this.calculateTargetDepth(Math.max(queue.jitter, this.getDeviceJitter(queue.fromDevice)));
+    }
+
+    /**
+     * Average jitter DeviceManager measured for a device
+     * @param {Object} device - Device record
+     * @returns {number} Jitter in ms (0 without samples)
+     */
+    getDeviceJitter(device) {
+        const samples = device && device.stats && device.stats.jitter;
+        if (!samples || samples.length === 0) return 0;
+
+        return samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    }
+
+    /**
+     * Buffer depth needed to ride out a given jitter
+     * @param {number} jitter - Jitter in ms
+     * @returns {number} Target depth in packets
+     */
+    calculateTargetDepth(jitter) {
+        const { minDepth, maxDepth, jitterMultiplier } = this.jitterConfig;
+        const depth = Math.ceil((jitter * jitterMultiplier) / this.PACKET_INTERVAL) + 1;
+        return Math.min(maxDepth, Math.max(minDepth, depth));
     }
 
     /**
@@ -99,179 +292,327 @@ class PacketPacer {
      * @returns {number} Sequence number
      */
     extractSequence(packet) {
-        if (packet.length < 6) return 0;
-        return (packet[4] << 8) | packet[5];
+        const decoded = protocol.decodePacket(packet);
+        return decoded ? decoded.sequence : 0;
     }
 
     /**
-     * Start the packet pacing timer
+     * Start the packet pacing scheduler
      */
     startPacer() {
-        // Use higher precision timer - run every 10ms but only send when needed
-        // This gives us better timing accuracy than 20ms setInterval
-        this.pacerInterval = setInterval(() => {
-            this.sendScheduledPackets();
-        }, 10); // Check every 10ms for better precision
+        if (this.scheduler.worker) {
+            this.startWorker();
+            return;
+        }
 
-        console.log(`📡 Packet pacer started - checking every 10ms for ${this.PACKET_INTERVAL}ms packet intervals`);
+        this.running = true;
+        this.schedule();
+        log.info(`Packet pacer started - ${this.PACKET_INTERVAL}ms packet intervals on hrtime deadlines`);
     }
 
     /**
-     * Send packets that are scheduled for transmission
-     * ENHANCED: With comprehensive timing diagnostics
+     * Arm the timer for the earliest queue deadline
+     * Each wakeup services every queue due within coalesceMs, so queues with
+     * close deadlines share one timer, and a timer that fires a little early
+     * (setTimeout is only accurate to a millisecond or so) still sends.
+     * Without buffered packets or pending silence checks nothing is armed.
      */
-    sendScheduledPackets() {
-        const now = Date.now();
-
-        // Only check timer health if we're actively sending packets
-        if (this.lastIntervalFire > 0 && this.stats.packetsSent > 0) {
-            const timeSinceLastCheck = now - this.lastIntervalFire;
-            // Only check drift if we expect regular intervals (not first run or after idle)
-            if (timeSinceLastCheck < 100) {  // Less than 100ms means we're actively sending
-                const intervalDrift = timeSinceLastCheck - this.PACKET_INTERVAL;
-                if (Math.abs(intervalDrift) > 10) {
-                    const warning = `⚠️ SetInterval drift: ${intervalDrift}ms (system overload?)`;
-                    console.warn(warning);
-                    this.recordViolation('interval_drift', intervalDrift, null);
-                }
+    schedule() {
+        if (!this.running) return;
+
+        const wakeAt = this.nextWakeup();
+        if (wakeAt === null) {
+            this.clearTimer();
+            return;
+        }
+
+        // Already armed early enough
+        if (this.timerDeadline !== null && this.timerDeadline <= wakeAt) return;
+
+        this.clearTimer();
+        this.timerDeadline = wakeAt;
+        this.timer = setTimeout(() => this.onTimer(), Math.max(0, toMs(wakeAt - hrnow())));
+    }
+
+    onTimer() {
+        this.timer = null;
+        this.timerDeadline = null;
+        this.sendScheduledPackets();
+        this.schedule();
+    }
+
+    clearTimer() {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+        this.timerDeadline = null;
+    }
+
+    /**
+     * Earliest time any queue needs servicing
+     * @returns {bigint|null} hrtime, or null when every queue is idle
+     */
+    nextWakeup() {
+        let next = null;
+        for (const queue of this.queues.values()) {
+            const due = this.queueDeadline(queue);
+            if (due !== null && (next === null || due < next)) {
+                next = due;
             }
         }
-        this.lastIntervalFire = now;
+        return next;
+    }
 
-        // Calculate time since last packet send
-        const timeSinceLastSend = this.lastGlobalSendTime ? (now - this.lastGlobalSendTime) : this.PACKET_INTERVAL;
+    /**
+     * When a queue next needs servicing
+     * @param {Object} queue - Pacer queue
+     * @returns {bigint|null} hrtime, or null when the queue is idle
+     */
+    queueDeadline(queue) {
+        if (queue.state === 'playing') {
+            // Sends its next packet, or runs dry, at its deadline
+            return queue.deadline;
+        }
 
-        // Check if we need to catch up (packets getting old or queue building)
-        let needsCatchup = false;
-        let maxQueueDepth = 0;
-        let oldestPacketAge = 0;
+        if (queue.packets.length > 0) {
+            // Primed at the target depth, or once the oldest packet has waited
+            // as long as a full buffer would have taken to fill
+            if (queue.packets.length >= queue.targetDepth) return 0n;
+            return queue.packets[0].arrival + BigInt(queue.targetDepth) * this.INTERVAL_NS;
+        }
+
+        if (!queue.silent && queue.lastArrival !== null) {
+            return queue.lastArrival + this.SILENCE_NS;
+        }
+        return null;
+    }
 
+    /**
+     * Service every queue that is due
+     */
+    sendScheduledPackets() {
+        // Each queue plays out one packet per interval once its buffer is primed
         for (const [queueKey, queue] of this.queues.entries()) {
-            if (queue.packets.length > 0) {
-                maxQueueDepth = Math.max(maxQueueDepth, queue.packets.length);
-                const age = now - queue.packets[0].timestamp;
-                oldestPacketAge = Math.max(oldestPacketAge, age);
-
-                // Catch up if packets are getting old OR queue is building up
-                if (age > 40 || queue.packets.length > 4) {
-                    needsCatchup = true;
-                }
+            this.serviceQueue(queueKey, queue, hrnow());
+        }
+    }
+
+    /**
+     * Play out the next packet of one queue if it is due
+     * @param {string} queueKey - Queue key ("FROM->TO")
+     * @param {Object} queue - Pacer queue
+     * @param {bigint} now - Current time (hrtime)
+     */
+    serviceQueue(queueKey, queue, now) {
+        if (queue.packets.length === 0) {
+            if (queue.state === 'playing' && now >= queue.deadline) {
+                // Underrun or end of a talk spurt, the next arrival tells which
+                queue.state = 'buffering';
+                queue.deadline = null;
+                queue.starved = true;
+            }
+
+            if (!queue.silent && queue.lastArrival !== null &&
+                now - queue.lastArrival >= this.SILENCE_NS) {
+                // Silence: let the buffer shrink before the next talk spurt
+                queue.silent = true;
+                queue.jitter *= this.jitterConfig.silenceDecay;
+                this.updateTargetDepth(queue);
+            }
+            return;
+        }
+
+        // The first packet of a talk spurt has no deadline to miss
+        const scheduled = queue.state === 'playing';
+
+        if (!scheduled) {
+            const primed = queue.packets.length >= queue.targetDepth ||
+                now + this.COALESCE_NS >= this.queueDeadline(queue);
+            if (!primed) return;
+
+            queue.state = 'playing';
+            queue.deadline = now;
+            queue.lastSentAt = null;
+        }
+
+        if (now + this.COALESCE_NS < queue.deadline) {
+            return; // Not time yet
+        }
+
+        // Bound latency: drop what the buffer holds beyond twice its target
+        const maxDepth = Math.max(queue.targetDepth * 2, queue.targetDepth + 2);
+        while (queue.packets.length > maxDepth) {
+            queue.packets.shift();
+            queue.latencyDrops++;
+            this.stats.latencyDrops++;
+            this.stats.packetsDropped++;
+
+            log.limited(`buildup:${queueKey}`).warn(`Queue buildup: ${queueKey} above ${maxDepth} packets, dropping oldest`,
+                { route: queueKey, maxDepth });
+            if (!queue.lastBuilupWarning || Date.now() - queue.lastBuilupWarning > 1000) {
+                this.recordViolation('queue_buildup', queue.packets.length, queueKey);
+                queue.lastBuilupWarning = Date.now();
             }
         }
 
-        // Smart timing: send at 20ms normally, or immediately if catching up
-        if (!needsCatchup && timeSinceLastSend < this.PACKET_INTERVAL - 1) {
-            return; // Not time yet, and no need to catch up
+        // Packets behind the last one played (recovered from parity or
+        // reordered too late) would only take playout back in time
+        while (queue.packets.length > 0 && queue.lastSequence !== null &&
+               !isAfter(queue.packets[0].sequence, queue.lastSequence)) {
+            queue.packets.shift();
+            this.stats.latePackets++;
+            this.stats.packetsDropped++;
         }
+        if (queue.packets.length === 0) return;
 
-        // If we're way behind (>80ms old packets), send multiple this cycle
-        const packetsToSend = oldestPacketAge > 80 ? 2 : 1;
+        const packet = this.nextPacket(queueKey, queue);
+        const latency = Math.round(toMs(now - packet.arrival));
 
-        // Get all queue keys for round-robin processing
-        const queueKeys = Array.from(this.queues.keys());
-        if (queueKeys.length === 0) return;
+        if (latency > this.jitterConfig.maxDepth * this.PACKET_INTERVAL) {
+            this.stats.jitterEvents++;
+            log.limited(`latency:${queueKey}`).warn(`Extreme latency: ${latency}ms for ${queueKey} (packet age)`,
+                { route: queueKey, latencyMs: latency });
+            // Only every 10th high latency on the dashboard
+            if (this.stats.jitterEvents % 10 === 1) {
+                this.recordViolation('high_latency', latency, queueKey);
+            }
+        }
 
-        // Send packets (1 normally, 2 when catching up)
-        let packetsSentThisCycle = 0;
+        if (!this.udpServer || !queue.toDevice) return;
 
-        // Try each queue starting from current index (round-robin)
-        while (packetsSentThisCycle < packetsToSend && queueKeys.length > 0) {
-            let sentThisRound = false;
+        try {
+            this.udpServer.sendAudio(queue.toDevice, packet.data);
+        } catch (error) {
+            log.limited(`send:${queueKey}`).error(`Failed to send paced packet: ${error.message}`, { route: queueKey });
+            return;
+        }
 
-            for (let i = 0; i < queueKeys.length; i++) {
-                const index = (this.currentQueueIndex + i) % queueKeys.length;
-                const queueKey = queueKeys[index];
-                const queue = this.queues.get(queueKey);
+        const lateness = now - queue.deadline;
+        if (scheduled) {
+            this.recordSendError(queue.toDevice.id, lateness);
+        }
 
-                // Skip empty queues
-                if (!queue || queue.packets.length === 0) continue;
+        // Comprehensive timing diagnostics (per queue, back-to-back sends only)
+        if (queue.lastSentAt !== null) {
+            const interval = Math.round(toMs(now - queue.lastSentAt) * 10) / 10;
 
-                // Get the oldest packet
-                const packet = queue.packets[0];
-                const age = now - packet.timestamp;
+            this.updateTimingStats(interval);
+            this.observeInterval(queue, interval);
 
-                // Check queue depth (only log occasionally to avoid spam)
-                if (queue.packets.length > 5) {
-                    // Only log every 10th violation to avoid spam
-                    if (!queue.lastBuilupWarning || now - queue.lastBuilupWarning > 1000) {
-                        console.warn(`📦 Queue buildup: ${queueKey} has ${queue.packets.length} packets waiting`);
-                        this.recordViolation('queue_buildup', queue.packets.length, queueKey);
-                        queue.lastBuilupWarning = now;
-                    }
+            // Log significant violations (every 10th packet on the dashboard)
+            if (interval < 10 || interval > 30) {
+                log.limited(`interval:${queueKey}`).warn(`Packet interval: ${interval}ms (expected ${this.PACKET_INTERVAL}ms) for ${queueKey}`,
+                    { route: queueKey, intervalMs: interval });
+                if (this.stats.packetsSent % 10 === 0) {
+                    this.recordViolation('packet_interval', interval, queueKey);
                 }
+            }
+        }
 
-                // Skip initial buffering check after first few packets
-                if (this.stats.packetsSent === 0 && queue.packets.length < 2 && age < 20) {
-                    continue; // Only buffer at the very start
-                }
+        // Deadlines are absolute, so a late send does not delay the packets
+        // after it; more than a frame behind, the queue starts over from now
+        if (lateness > this.INTERVAL_NS) {
+            queue.deadline = now + this.INTERVAL_NS;
 
-                // Check if packet is too old (> MAX_LATENCY)
-                if (age > this.MAX_LATENCY) {
-                    this.stats.jitterEvents++;
-                    // Only log every 10th high latency to reduce spam
-                    if (this.stats.jitterEvents % 10 === 1) {
-                        console.warn(`🔴 Extreme latency: ${age}ms for ${queueKey} (packet age)`);
-                        this.recordViolation('high_latency', age, queueKey);
-                    }
-                }
+            const lateMs = Math.round(toMs(lateness) * 10) / 10;
+            log.limited(`deadline:${queueKey}`).warn(`Deadline missed by ${lateMs}ms for ${queueKey} (event loop busy?)`,
+                { route: queueKey, lateMs });
+            if (!queue.lastLateWarning || Date.now() - queue.lastLateWarning > 1000) {
+                this.recordViolation('deadline_miss', lateMs, queueKey);
+                queue.lastLateWarning = Date.now();
+            }
+        } else {
+            queue.deadline += this.INTERVAL_NS;
+        }
 
-                // Remove and send this ONE packet
-                queue.packets.shift();
-
-                // Send packet via UDP server
-                if (this.udpServer && queue.toDevice) {
-                    try {
-                        this.udpServer.sendToDevice(queue.toDevice, packet.data);
-
-                        // Update all timing trackers
-                        this.lastGlobalSendTime = now;
-                        queue.lastSendTime = now;
-                        this.stats.packetsSent++;
-                        packetsSentThisCycle++;
-                        sentThisRound = true;
-
-                        // Comprehensive timing diagnostics
-                        if (this.lastPacketSendTime) {
-                            const interval = now - this.lastPacketSendTime;
-
-                            // Update statistics
-                            this.updateTimingStats(interval);
-
-                            // Log significant violations (but less spam)
-                            if ((interval < 10 || interval > 30) && this.stats.packetsSent % 10 === 0) {
-                                const severity = interval > 50 ? '🔴' : interval > 30 ? '🟡' : '⚠️';
-                                console.log(`${severity} Packet interval: ${interval}ms (expected 20ms) for ${queueKey}`);
-                                this.recordViolation('packet_interval', interval, queueKey);
-                            }
-                        }
-                        this.lastPacketSendTime = now;
-
-                        // Move to next queue for next packet
-                        this.currentQueueIndex = (index + 1) % queueKeys.length;
-
-                        // Log every 50th packet for monitoring
-                        if (this.stats.packetsSent % 50 === 0) {
-                            console.log(`📊 Pacer: Sent=${this.stats.packetsSent}, Queue=${queueKey}, ` +
-                                      `Buffered=${queue.packets.length}, CatchUp=${needsCatchup}`);
-                        }
-
-                        // Break inner loop to continue with next packet if catching up
-                        break;
-
-                    } catch (error) {
-                        console.error(`Failed to send paced packet: ${error.message}`);
-                    }
+        queue.lastSentAt = now;
+        queue.lastSendTime = Date.now();
+        queue.lastSequence = packet.sequence;
+        this.stats.packetsSent++;
+
+        // Log every 50th packet for monitoring
+        if (this.stats.packetsSent % 50 === 0 && log.isEnabled('debug')) {
+            log.debug(`Pacer: Sent=${this.stats.packetsSent}, Queue=${queueKey}, ` +
+                      `Buffered=${queue.packets.length}/${queue.targetDepth}, Jitter=${queue.jitter.toFixed(1)}ms`,
+                      { route: queueKey });
+        }
+    }
+
+    /**
+     * Take the packet to play next
+     * After a sequence gap of up to maxConcealedFrames, the lost frames' slots
+     * are filled first with concealment frames from LossRecovery (not
+     * available in the worker thread, which has no loss recovery).
+     * @param {string} queueKey - Queue key ("FROM->TO")
+     * @param {Object} queue - Pacer queue with at least one packet
+     * @returns {Object} { data, arrival, sequence }
+     */
+    nextPacket(queueKey, queue) {
+        const recovery = this.udpServer.lossRecovery;
+        const next = queue.packets[0];
+
+        if (recovery && queue.lastSequence !== null) {
+            const lost = (next.sequence - queue.lastSequence - 1) & 0xFFFF;
+
+            if (lost > 0 && lost <= recovery.options.maxConcealedFrames) {
+                const sequence = (queue.lastSequence + 1) & 0xFFFF;
+                const data = recovery.conceal(queueKey, queue.toDevice, sequence, next.data);
+                if (data) {
+                    queue.concealed++;
+                    return { data, arrival: next.arrival, sequence };
                 }
             }
+        }
+
+        const packet = queue.packets.shift();
+        if (recovery) {
+            recovery.observe(queueKey, packet.data);
+        }
+        return packet;
+    }
+
+    /**
+     * Record how far after its deadline a packet was sent
+     * @param {string} deviceId - Destination device ID
+     * @param {bigint} lateness - Send time minus deadline (ns)
+     */
+    recordSendError(deviceId, lateness) {
+        if (!this.sendErrors.has(deviceId)) {
+            this.sendErrors.set(deviceId, { samples: [], next: 0, count: 0 });
+        }
+
+        // Ring buffer of the last errorSamples errors
+        const errors = this.sendErrors.get(deviceId);
+        const value = toMs(lateness);
+        if (errors.samples.length < this.scheduler.errorSamples) {
+            errors.samples.push(value);
+        } else {
+            errors.samples[errors.next] = value;
+            errors.next = (errors.next + 1) % errors.samples.length;
+        }
+        errors.count++;
+    }
 
-            // If no packets were sent this round, exit
-            if (!sentThisRound) break;
+    /**
+     * Send-time error distribution per destination
+     * @returns {Object} Per destination ID: { samples, p50, p99, max } in ms
+     */
+    getSendErrorStats() {
+        if (this.worker) {
+            return this.workerStats ? this.workerStats.sendErrors : {};
         }
 
-        // Advance queue index if nothing was sent
-        if (packetsSentThisCycle === 0) {
-            this.currentQueueIndex = (this.currentQueueIndex + 1) % Math.max(queueKeys.length, 1);
+        const round = value => Math.round(value * 100) / 100;
+        const result = {};
+        for (const [deviceId, errors] of this.sendErrors.entries()) {
+            const sorted = errors.samples.slice().sort((a, b) => a - b);
+            result[deviceId] = {
+                samples: errors.count,
+                p50: round(percentile(sorted, 0.5)),
+                p99: round(percentile(sorted, 0.99)),
+                max: round(sorted[sorted.length - 1])
+            };
         }
+        return result;
     }
 
     /**
@@ -339,62 +680,359 @@ class PacketPacer {
             this.dashboardCallback({
                 type: 'timing_update',
                 history: this.timingHistory.slice(-50),
-                stats: this.stats
+                stats: this.stats,
+                queues: this.getQueueStats(),
+                sendErrors: this.getSendErrorStats()
             });
         }
     }
 
+    /**
+     * Count a send interval in the queue's histogram
+     * @param {Object} queue - Packet queue
+     * @param {number} interval - Time since the previous send of the queue (ms)
+     */
+    observeInterval(queue, interval) {
+        const bucket = this.INTERVAL_BUCKETS.findIndex(bound => interval <= bound);
+        queue.intervals.counts[bucket === -1 ? this.INTERVAL_BUCKETS.length : bucket]++;
+        queue.intervals.sum += interval;
+        queue.intervals.count++;
+    }
+
     /**
      * Get statistics for monitoring
      * @returns {Object} Current statistics
      */
     getStats() {
-        const queueStats = {};
-        for (const [key, queue] of this.queues.entries()) {
-            queueStats[key] = {
-                buffered: queue.packets.length,
-                lastSend: queue.lastSendTime
-            };
+        if (this.worker && this.workerStats) {
+            return { ...this.workerStats, scheduler: 'worker' };
         }
 
         return {
             ...this.stats,
-            queues: queueStats,
-            uptime: this.pacerInterval ? 'running' : 'stopped',
+            queues: this.getQueueStats(),
+            sendErrors: this.getSendErrorStats(),
+            scheduler: this.worker ? 'worker' : 'hrtime',
+            uptime: this.running || this.worker ? 'running' : 'stopped',
             recentViolations: this.timingViolations.slice(-10)
         };
     }
 
+    /**
+     * Jitter buffer state per queue
+     * @returns {Object} Per queue: target vs actual depth, jitter, underruns and send intervals
+     */
+    getQueueStats() {
+        if (this.worker) {
+            return this.workerStats ? this.workerStats.queues : {};
+        }
+
+        const queueStats = {};
+        for (const [key, queue] of this.queues.entries()) {
+            queueStats[key] = {
+                policy: queue.policy,
+                buffered: queue.packets.length,
+                targetDepth: queue.targetDepth,
+                state: queue.state,
+                jitter: Math.round(queue.jitter * 10) / 10,
+                underruns: queue.underruns,
+                latencyDrops: queue.latencyDrops,
+                concealed: queue.concealed,
+                lastSend: queue.lastSendTime,
+                // Per bucket, not cumulative; the last count is above the last bound
+                intervals: {
+                    buckets: this.INTERVAL_BUCKETS,
+                    counts: queue.intervals.counts.slice(),
+                    sum: Math.round(queue.intervals.sum * 10) / 10,
+                    count: queue.intervals.count
+                }
+            };
+        }
+        return queueStats;
+    }
+
     /**
      * Stop the packet pacer
      */
     stop() {
-        if (this.pacerInterval) {
-            clearInterval(this.pacerInterval);
-            this.pacerInterval = null;
-            console.log('Packet pacer stopped');
+        if (this.worker) {
+            const worker = this.worker;
+            this.worker = null; // Not a crash, see startWorker()
+            worker.postMessage({ type: 'stop' });
+            worker.terminate();
+            log.info('Packet pacer worker stopped');
+        }
+
+        if (this.running) {
+            this.running = false;
+            this.clearTimer();
+            log.info('Packet pacer stopped');
         }
 
         // Clear all queues
         this.queues.clear();
     }
 
+    // ----- Worker thread -----
+
+    /**
+     * Move the pacing loop to server/pacer-worker.js
+     * Routing, policies and encryption stay on this thread; the worker gets
+     * each packet to pace, sends it from its own socket on the server port
+     * when it is due, reports it back as sent and reports its statistics.
+     * If the worker dies the pacer falls back to the in-process scheduler.
+     */
+    startWorker() {
+        let resolveReady;
+        this.workerReady = new Promise(resolve => { resolveReady = resolve; });
+
+        const { host, port } = this.udpServer.bindAddress;
+        this.worker = new Worker(path.join(__dirname, 'pacer-worker.js'), {
+            workerData: {
+                socket: { host, port },
+                policies: this.getPolicies(),
+                statsIntervalMs: this.scheduler.statsIntervalMs,
+                logLevels: logging.getLevelConfig()
+            }
+        });
+        this.worker.unref();
+
+        const worker = this.worker;
+        const forwardLevels = (levels) => worker.postMessage({ type: 'log-levels', levels });
+        logging.on('levels-changed', forwardLevels);
+        worker.once('exit', () => logging.removeListener('levels-changed', forwardLevels));
+
+        this.worker.on('message', (message) => {
+            if (message.type === 'ready') {
+                resolveReady();
+            } else {
+                this.handleWorkerMessage(message);
+            }
+        });
+        this.worker.on('error', (error) => {
+            log.error(`Pacer worker failed: ${error.message}`, { error: error.stack });
+        });
+        this.worker.on('exit', (code) => {
+            resolveReady();
+            if (!this.worker) return; // Stopped
+
+            log.warn(`Pacer worker exited (code ${code}), pacing on the main thread`);
+            this.worker = null;
+            this.workerStats = null;
+            this.running = true;
+            this.schedule();
+        });
+
+        log.info(`Packet pacer started - ${this.PACKET_INTERVAL}ms packet intervals in a worker thread`);
+    }
+
+    /**
+     * Resolves once the pacer can send: at once on the main thread, with the
+     * worker once its socket is bound (or it failed and this thread took
+     * over). The server binds its own socket after that, since the last
+     * socket bound to a port is the one receiving its unicast datagrams.
+     * @returns {Promise<void>}
+     */
+    ready() {
+        return this.workerReady || Promise.resolve();
+    }
+
+    handleWorkerMessage(message) {
+        switch (message.type) {
+            case 'sent': {
+                // Feeds parity and retransmission history, unless the device went offline meanwhile
+                const device = this.udpServer.deviceManager.getDevice(message.to);
+                if (!device || !device.online) break;
+
+                const packet = Buffer.from(message.packet);
+                const wire = message.wire ? Buffer.from(message.wire) : packet;
+                this.udpServer.recordPacedAudio(device, packet, wire, message.error);
+                break;
+            }
+
+            case 'stats':
+                this.workerStats = message.stats;
+                break;
+
+            case 'dashboard':
+                if (this.dashboardCallback) {
+                    this.dashboardCallback(message.message);
+                }
+                break;
+
+            case 'log':
+                logging.write(message.entry);
+                break;
+        }
+    }
+
+    /**
+     * Hand a packet to the worker
+     * It is encrypted here, where the sessions are, and comes back in a
+     * 'sent' message once the worker sent it.
+     * @param {Buffer} packet - The UDP packet to send
+     * @param {Object} fromDevice - Source device object
+     * @param {Object} toDevice - Target device object
+     * @param {string} policy - 'paced' or 'adaptive'
+     * @param {number} [sequence] - Sequence number (default: read from the packet)
+     */
+    forwardToWorker(packet, fromDevice, toDevice, policy, sequence) {
+        const wire = this.udpServer.protectPacket(toDevice, packet);
+        if (!wire) return;
+
+        this.worker.postMessage({
+            type: 'packet',
+            packet,
+            wire: wire === packet ? undefined : wire,
+            sequence: sequence !== undefined ? sequence : this.extractSequence(packet),
+            from: { id: fromDevice.id, stats: { jitter: [this.getDeviceJitter(fromDevice)] } },
+            to: { id: toDevice.id, address: toDevice.address, port: toDevice.port },
+            policy
+        });
+    }
+
     /**
      * Check if a route should use the pacer
-     * Dashboard (DSH) to ESP devices should be paced
      * @param {string} fromId - Source device ID
      * @param {string} toId - Target device ID
      * @returns {boolean} Whether to use pacer
      */
     shouldUsePacer(fromId, toId) {
-        // Use pacer for dashboard to ESP32 audio
-        if (fromId === 'DSH' && toId !== 'DSH') {
-            return true;
+        return this.getPolicy(fromId, toId) !== 'pass-through';
+    }
+
+    /**
+     * Pacing policy of a route
+     * The most specific override wins (SRC->DST, then SRC->*, then *->DST);
+     * without one, dashboard audio uses dashboardPolicy and the rest defaultPolicy.
+     * Audio to the dashboard is never paced (the browser buffers it).
+     * @param {string} fromId - Source device ID
+     * @param {string} toId - Target device ID
+     * @returns {string} 'pass-through', 'paced' or 'adaptive'
+     */
+    getPolicy(fromId, toId) {
+        if (toId === 'DSH') return 'pass-through';
+
+        const override = [`${fromId}->${toId}`, `${fromId}->*`, `*->${toId}`]
+            .find(key => this.routePolicies.has(key));
+        if (override) {
+            return this.routePolicies.get(override);
+        }
+
+        return fromId === 'DSH' ? this.dashboardPolicy : this.defaultPolicy;
+    }
+
+    /**
+     * Override the policy of a route
+     * @param {string} fromId - Source device ID or '*'
+     * @param {string} toId - Target device ID or '*'
+     * @param {string|null} policy - Policy, or null to remove the override
+     * @returns {boolean} False for an unknown policy or a '*->*' route
+     */
+    setPolicy(fromId, toId, policy) {
+        const key = `${fromId}->${toId}`;
+
+        if (fromId === '*' && toId === '*') {
+            log.warn('Use setDefaultPolicy() for every route');
+            return false;
+        }
+
+        if (policy === null) {
+            this.routePolicies.delete(key);
+        } else if (POLICIES.includes(policy)) {
+            this.routePolicies.set(key, policy);
+        } else {
+            log.warn(`Unknown pacing policy: ${policy}`);
+            return false;
+        }
+
+        this.applyPolicies();
+        log.info(`Pacing policy ${key}: ${policy || 'default'}`, { route: key, policy });
+        return true;
+    }
+
+    /**
+     * Change the policy of routes without an override
+     * @param {string} policy - Policy
+     * @returns {boolean} False for an unknown policy
+     */
+    setDefaultPolicy(policy) {
+        if (!POLICIES.includes(policy)) {
+            log.warn(`Unknown pacing policy: ${policy}`);
+            return false;
+        }
+
+        this.defaultPolicy = policy;
+        this.applyPolicies();
+        log.info(`Default pacing policy: ${policy}`);
+        return true;
+    }
+
+    /**
+     * Replace the policy configuration
+     * @param {{defaultPolicy: string, dashboardPolicy: string, pacedDepth: number, routes: Object}} policies
+     */
+    loadPolicies(policies) {
+        this.defaultPolicy = policies.defaultPolicy;
+        this.dashboardPolicy = policies.dashboardPolicy;
+        this.pacedDepth = policies.pacedDepth;
+        this.routePolicies = new Map(Object.entries(policies.routes || {}));
+    }
+
+    /**
+     * Describe the pacing configuration for the control APIs
+     * @returns {{defaultPolicy: string, dashboardPolicy: string, pacedDepth: number, routes: Object}}
+     */
+    getPolicies() {
+        return {
+            defaultPolicy: this.defaultPolicy,
+            dashboardPolicy: this.dashboardPolicy,
+            pacedDepth: this.pacedDepth,
+            routes: Object.fromEntries(this.routePolicies)
+        };
+    }
+
+    // Re-evaluate existing queues; queues switched to pass-through are flushed
+    applyPolicies() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'policies', policies: this.getPolicies() });
+            return;
         }
 
-        // Don't pace ESP32 to ESP32 (they already have good timing)
-        return false;
+        for (const [queueKey, queue] of this.queues.entries()) {
+            const policy = this.getPolicy(queue.fromDevice.id, queue.toDevice.id);
+
+            if (policy === 'pass-through') {
+                queue.packets.forEach(packet => this.udpServer.sendAudio(queue.toDevice, packet.data));
+                this.queues.delete(queueKey);
+            } else {
+                queue.policy = policy;
+                this.updateTargetDepth(queue);
+            }
+        }
+        this.schedule();
+    }
+
+    /**
+     * Drop the queues of a device that went offline
+     * @param {string} deviceId - Device ID
+     */
+    removeDevice(deviceId) {
+        this.sendErrors.delete(deviceId);
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'remove-device', deviceId });
+            return;
+        }
+
+        for (const [queueKey, queue] of this.queues.entries()) {
+            if (queue.fromDevice.id === deviceId || queue.toDevice.id === deviceId) {
+                this.queues.delete(queueKey);
+            }
+        }
     }
 }
 
+PacketPacer.POLICIES = POLICIES;
+
 module.exports = PacketPacer;
\ No newline at end of file
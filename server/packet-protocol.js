@@ -0,0 +1,287 @@
+/**
+ * Packet Protocol - Shared encoder/decoder for the UDP wire format
+ *
+ * Version 1 (deployed firmware, 8-byte header):
+ *   [DeviceID(4)][Sequence(2,BE)][Type(2,BE)][Payload]
+ *
+ * Version 2 (20-byte header + optional extension TLVs):
+ *   Offset  Size  Field
+ *   0       1     Version marker (0x80 | version)
+ *   1       1     Flags (see FLAGS)
+ *   2       2     Packet type (BE)
+ *   4       4     Device ID (null padded)
+ *   8       2     Sequence (BE)
+ *   10      2     Payload length (BE)
+ *   12      4     Timestamp (BE, sample clock at CONFIG.audio.sampleRate)
+ *   16      1     Codec (see CODECS)
+ *   17      1     Frame duration in ms
+ *   18      2     Extension block length in bytes (BE)
+ *   20      N     Extensions: [Type(1)][Length(1)][Value]...
+ *   20+N    L     Payload
+ *
+ * The two versions are told apart by the first byte: v1 device IDs are
+ * ASCII, so a first byte with the high bit set can only be a v2 marker.
+ *
+ * REDUNDANCY packets carry XOR parity over up to 16 audio packets of one
+ * stream (see loss-recovery.js):
+ *   [BaseSequence(2)][Mask(2)][LengthXor(2)][TimestampXor(4)][Parity]
+ * Bit i of the mask marks sequence BaseSequence + i as protected.
+ *
+ * CONTROL_ACK packets answer a CONTROL packet that carried an id, and NACK
+ * packets request retransmission of audio (see reliable-delivery.js).
+ */
+
+const CONFIG = require('../config/server-config.json');
+
+const PROTOCOL_V1 = 1;
+const PROTOCOL_V2 = 2;
+const SUPPORTED_VERSIONS = [PROTOCOL_V1, PROTOCOL_V2];
+
+const V1_HEADER_SIZE = 8;
+const V2_HEADER_SIZE = 20;
+const VERSION_MARKER = 0x80;
+
+const PACKET_TYPES = {
+    AUDIO: 0x0001,
+    CONTROL: 0x0002,
+    HEARTBEAT: 0x0003,
+    HELLO: 0x0004,
+    HELLO_ACK: 0x0005,
+    KEY_EXCHANGE: 0x0006,
+    KEY_EXCHANGE_ACK: 0x0007,
+    REDUNDANCY: 0x0008,
+    CONTROL_ACK: 0x0009,
+    NACK: 0x000A
+};
+
+const CODECS = {
+    NONE: 0,
+    OPUS: 1,
+    PCM16: 2
+};
+
+const FLAGS = {
+    MARKER: 0x01,    // First packet of a talkspurt
+    AUTH: 0x02,      // Packet ends with an auth trailer (see device-auth.js)
+    ENCRYPTED: 0x04, // Payload is AEAD encrypted (see secure-transport.js)
+    CONCEALED: 0x08, // Server-made stand-in for a lost frame (empty payload: run PLC)
+    FEC: 0x10,       // Payload is the next frame: decode its in-band FEC for this one
+    RETRANSMIT: 0x20 // Resent on request of a NACK
+};
+
+const SAMPLES_PER_FRAME = (CONFIG.audio.sampleRate * CONFIG.audio.frameDuration) / 1000;
+
+/**
+ * Detect the protocol version of a raw packet
+ * @param {Buffer} packet - Raw UDP packet
+ * @returns {number} Protocol version (1 for legacy packets)
+ */
+function detectVersion(packet) {
+    if (packet.length > 0 && (packet[0] & VERSION_MARKER)) {
+        return packet[0] & 0x7F;
+    }
+    return PROTOCOL_V1;
+}
+
+/**
+ * Decode a packet of any supported version
+ * @param {Buffer} packet - Raw UDP packet
+ * @returns {Object|null} Decoded packet, or null if malformed
+ */
+function decodePacket(packet) {
+    const version = detectVersion(packet);
+
+    if (version === PROTOCOL_V1) {
+        return decodeV1(packet);
+    }
+    if (version === PROTOCOL_V2) {
+        return decodeV2(packet);
+    }
+    return null;
+}
+
+function decodeV1(packet) {
+    if (packet.length < V1_HEADER_SIZE) return null;
+
+    const type = packet.readUInt16BE(6);
+    const sequence = packet.readUInt16BE(4);
+
+    return {
+        version: PROTOCOL_V1,
+        flags: 0,
+        type,
+        deviceId: readDeviceId(packet, 0),
+        sequence,
+        // v1 has no timestamp, derive one from the sequence
+        timestamp: (sequence * SAMPLES_PER_FRAME) >>> 0,
+        codec: type === PACKET_TYPES.AUDIO ? CODECS.OPUS : CODECS.NONE,
+        frameDuration: CONFIG.audio.frameDuration,
+        extensions: [],
+        headerLength: V1_HEADER_SIZE,
+        payload: packet.slice(V1_HEADER_SIZE)
+    };
+}
+
+function decodeV2(packet) {
+    if (packet.length < V2_HEADER_SIZE) return null;
+
+    const payloadLength = packet.readUInt16BE(10);
+    const extensionLength = packet.readUInt16BE(18);
+    const headerLength = V2_HEADER_SIZE + extensionLength;
+
+    if (packet.length < headerLength + payloadLength) return null;
+
+    const extensions = decodeExtensions(packet.slice(V2_HEADER_SIZE, headerLength));
+    if (!extensions) return null;
+
+    return {
+        version: PROTOCOL_V2,
+        flags: packet[1],
+        type: packet.readUInt16BE(2),
+        deviceId: readDeviceId(packet, 4),
+        sequence: packet.readUInt16BE(8),
+        timestamp: packet.readUInt32BE(12),
+        codec: packet[16],
+        frameDuration: packet[17],
+        extensions,
+        headerLength,
+        payload: packet.slice(headerLength, headerLength + payloadLength)
+    };
+}
+
+function decodeExtensions(block) {
+    const extensions = [];
+    let offset = 0;
+
+    while (offset < block.length) {
+        if (offset + 2 > block.length) return null;
+
+        const type = block[offset];
+        const length = block[offset + 1];
+        if (offset + 2 + length > block.length) return null;
+
+        extensions.push({ type, value: block.slice(offset + 2, offset + 2 + length) });
+        offset += 2 + length;
+    }
+
+    return extensions;
+}
+
+/**
+ * Encode a packet in the requested protocol version
+ * Fields missing from `fields` fall back to defaults; v1 silently drops
+ * everything its header cannot carry.
+ * @param {Object} fields - Packet fields (see decodePacket)
+ * @returns {Buffer} Encoded packet
+ */
+function encodePacket(fields) {
+    const version = fields.version || PROTOCOL_V1;
+    const payload = fields.payload || Buffer.alloc(0);
+    const sequence = (fields.sequence || 0) & 0xFFFF;
+
+    if (version === PROTOCOL_V1) {
+        const packet = Buffer.alloc(V1_HEADER_SIZE + payload.length);
+        writeDeviceId(packet, 0, fields.deviceId);
+        packet.writeUInt16BE(sequence, 4);
+        packet.writeUInt16BE(fields.type, 6);
+        payload.copy(packet, V1_HEADER_SIZE);
+        return packet;
+    }
+
+    if (version !== PROTOCOL_V2) {
+        throw new Error(`Unsupported protocol version ${version}`);
+    }
+
+    const extensionBlock = encodeExtensions(fields.extensions || []);
+    const headerLength = V2_HEADER_SIZE + extensionBlock.length;
+    const packet = Buffer.alloc(headerLength + payload.length);
+
+    packet[0] = VERSION_MARKER | PROTOCOL_V2;
+    packet[1] = fields.flags || 0;
+    packet.writeUInt16BE(fields.type, 2);
+    writeDeviceId(packet, 4, fields.deviceId);
+    packet.writeUInt16BE(sequence, 8);
+    packet.writeUInt16BE(payload.length, 10);
+    packet.writeUInt32BE((fields.timestamp !== undefined ? fields.timestamp : sequence * SAMPLES_PER_FRAME) >>> 0, 12);
+    packet[16] = fields.codec !== undefined
+        ? fields.codec
+        : (fields.type === PACKET_TYPES.AUDIO ? CODECS.OPUS : CODECS.NONE);
+    packet[17] = fields.frameDuration || CONFIG.audio.frameDuration;
+    packet.writeUInt16BE(extensionBlock.length, 18);
+    extensionBlock.copy(packet, V2_HEADER_SIZE);
+    payload.copy(packet, headerLength);
+
+    return packet;
+}
+
+function encodeExtensions(extensions) {
+    return Buffer.concat(extensions.map(ext => {
+        const value = Buffer.isBuffer(ext.value) ? ext.value : Buffer.from(ext.value);
+        if (value.length > 255) {
+            throw new Error(`Extension 0x${ext.type.toString(16)} too long (${value.length} bytes)`);
+        }
+        return Buffer.concat([Buffer.from([ext.type, value.length]), value]);
+    }));
+}
+
+/**
+ * Re-encode a decoded packet for a receiver speaking another version
+ * Returns the original bytes untouched when no conversion is needed.
+ * @param {Buffer} packet - Raw packet as received
+ * @param {Object} decoded - Result of decodePacket(packet)
+ * @param {number} version - Protocol version of the receiver
+ * @returns {Buffer} Packet in the receiver's version
+ */
+function convertPacket(packet, decoded, version) {
+    if (decoded.version === (version || PROTOCOL_V1)) {
+        return packet;
+    }
+    return encodePacket({ ...decoded, version: version || PROTOCOL_V1 });
+}
+
+/**
+ * Check the shape of a parsed HELLO payload
+ * Every field is optional, but present ones must have the right type.
+ * @param {*} offered - JSON.parse of the HELLO payload
+ * @returns {string|null} Why the offer is invalid, or null if it is fine
+ */
+function validateHello(offered) {
+    if (offered === null || typeof offered !== 'object' || Array.isArray(offered)) {
+        return 'capabilities must be an object';
+    }
+
+    for (const field of ['versions', 'codecs', 'frameDurations', 'features']) {
+        if (offered[field] !== undefined && !Array.isArray(offered[field])) {
+            return `${field} must be an array`;
+        }
+    }
+
+    if (offered.firmware !== undefined && typeof offered.firmware !== 'string') {
+        return 'firmware must be a string';
+    }
+    return null;
+}
+
+function readDeviceId(packet, offset) {
+    return packet.slice(offset, offset + 4).toString().replace(/\0/g, '');
+}
+
+function writeDeviceId(packet, offset, deviceId) {
+    packet.write(`${deviceId || ''}\0\0\0\0`.slice(0, 4), offset, 4);
+}
+
+module.exports = {
+    PROTOCOL_V1,
+    PROTOCOL_V2,
+    SUPPORTED_VERSIONS,
+    V1_HEADER_SIZE,
+    V2_HEADER_SIZE,
+    PACKET_TYPES,
+    CODECS,
+    FLAGS,
+    detectVersion,
+    decodePacket,
+    encodePacket,
+    convertPacket,
+    validateHello
+};
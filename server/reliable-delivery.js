@@ -0,0 +1,507 @@
+/**
+ * Reliable Delivery - Acknowledged control messages and audio NACKs
+ *
+ * Control: a CONTROL packet whose JSON carries an `id` is answered with a
+ * CONTROL_ACK packet, `{ "id": 17, "status": "ok" }` or
+ * `{ "id": 17, "status": "error", "error": "unknown-command", "message": "..." }`.
+ * Devices retransmit until the ACK arrives; the last `dedupSize` ACKs per
+ * device are kept so a retransmitted command is answered again instead of
+ * being executed twice. Commands without an id stay fire-and-forget.
+ * The same holds the other way round for commands the server sends with
+ * sendReliable(): the device answers with a CONTROL_ACK, the server
+ * retransmits until it does.
+ *
+ * Audio: devices that negotiate the 'nack' feature get NACK packets for
+ * gaps in their audio sequence, and may send NACKs for the audio the server
+ * sent them. The sender answers with the original packet, flagged
+ * RETRANSMIT. NACKs are only sent while the measured round trip fits the
+ * latency budget; a retransmission arriving after that is useless to a
+ * jitter buffer that already played out the slot.
+ *
+ * NACK layout (payload of a NACK packet, one or more entries):
+ *   [SourceID(4)][BaseSequence(2)][Mask(2)]
+ * Bit i of the mask requests sequence BaseSequence + i, as in REDUNDANCY.
+ */
+
+const CONFIG = require('../config/server-config.json');
+const protocol = require('./packet-protocol');
+const log = require('./logger').forModule('reliable-delivery');
+
+const NACK_ENTRY_SIZE = 8;
+const MASK_BITS = 16;
+
+const DEFAULTS = {
+    control: {
+        ackTimeoutMs: 200,   // Device retransmits a command after this, doubling each time
+        maxRetries: 5,
+        dedupSize: 64        // ACKs remembered per device
+    },
+    nack: {
+        enabled: true,
+        latencyBudgetMs: 60, // No NACKs while the round trip is longer than this
+        maxGap: 8,           // Longer gaps are left to concealment
+        maxRetries: 1,       // NACKs per lost packet, and retransmissions per packet
+        historySize: 32      // Audio packets kept per stream for retransmission
+    }
+};
+
+// Sequence a is before sequence b (16-bit wraparound)
+function isBefore(a, b) {
+    return a !== b && ((b - a) & 0xFFFF) < 0x8000;
+}
+
+class ReliableDelivery {
+    constructor(udpServer, options = {}) {
+        this.udpServer = udpServer;
+        this.deviceManager = udpServer.deviceManager;
+
+        const configured = CONFIG.reliability || {};
+        this.options = {
+            control: { ...DEFAULTS.control, ...configured.control, ...options.control },
+            nack: { ...DEFAULTS.nack, ...configured.nack, ...options.nack }
+        };
+
+        // ACKs already sent, per device
+        this.acks = new Map(); // Key: deviceId, Value: Map(id -> ack)
+
+        // Incoming audio per nack-capable device
+        this.streams = new Map(); // Key: deviceId, Value: { highest, pending, rtt }
+
+        // Audio sent to nack-capable devices
+        this.sent = new Map(); // Key: "SOURCE->TARGET", Value: Map(sequence -> { packet, retransmits })
+
+        // Control sent to devices, awaiting their ACK
+        this.outbound = new Map(); // Key: id, Value: { deviceId, message, attempts, timer, callback }
+        // Seeded from the clock so a restarted server does not reuse ids devices still remember
+        this.nextControlId = Math.floor(Date.now() / 10) >>> 0;
+
+        this.stats = {
+            controlAcked: 0,
+            controlErrors: 0,
+            controlDuplicates: 0,
+            commandsSent: 0,
+            commandsResent: 0,
+            commandsAcked: 0,
+            commandsTimedOut: 0,
+            nacksSent: 0,
+            nacksReceived: 0,
+            retransmitsReceived: 0,
+            retransmitsSent: 0,
+            duplicateRetransmits: 0,
+            nacksSkipped: 0,  // Round trip over the latency budget
+            expired: 0        // Requested but never received in time
+        };
+
+        this.deviceManager.on('device-disconnected', (device) => this.removeDevice(device.id));
+    }
+
+    /**
+     * Server features to advertise in HELLO
+     * @returns {string[]}
+     */
+    getFeatures() {
+        return this.options.nack.enabled ? ['nack'] : [];
+    }
+
+    supportsNack(device) {
+        const negotiated = device.capabilities && device.capabilities.negotiated;
+        return this.options.nack.enabled &&
+            Boolean(negotiated && negotiated.features && negotiated.features.includes('nack'));
+    }
+
+    // ----- Control -----
+
+    /**
+     * Check whether a control message still has to be executed. A retransmit
+     * of an acknowledged one gets its ACK again instead.
+     * @param {Object} device - Sending device
+     * @param {Object} control - Parsed control message
+     * @returns {boolean} False for duplicates
+     */
+    isNewControl(device, control) {
+        if (control.id === undefined) return true;
+
+        const acks = this.acks.get(device.id);
+        const ack = acks && acks.get(control.id);
+        if (!ack) return true;
+
+        this.stats.controlDuplicates++;
+        this.sendAck(device, ack);
+        return false;
+    }
+
+    /**
+     * Acknowledge an executed control message (no-op for messages without id)
+     * @param {Object} device - Sending device
+     * @param {Object} control - Parsed control message
+     * @param {Error} [error] - Why the command failed; `error.code` is sent if set
+     */
+    ackControl(device, control, error) {
+        if (control.id === undefined) return;
+
+        const ack = error
+            ? { id: control.id, status: 'error', error: error.code || 'failed', message: error.message }
+            : { id: control.id, status: 'ok' };
+
+        if (!this.acks.has(device.id)) {
+            this.acks.set(device.id, new Map());
+        }
+        const acks = this.acks.get(device.id);
+        acks.set(control.id, ack);
+        while (acks.size > this.options.control.dedupSize) {
+            acks.delete(acks.keys().next().value);
+        }
+
+        if (error) {
+            this.stats.controlErrors++;
+        } else {
+            this.stats.controlAcked++;
+        }
+        this.sendAck(device, ack);
+    }
+
+    sendAck(device, ack) {
+        this.udpServer.sendToDevice(device, protocol.encodePacket({
+            version: device.protocolVersion,
+            type: protocol.PACKET_TYPES.CONTROL_ACK,
+            deviceId: 'SRVR',
+            sequence: 0,
+            payload: Buffer.from(JSON.stringify(ack))
+        }));
+    }
+
+    /**
+     * Send a control message to a device and retransmit it until acknowledged
+     * @param {Object} device - Target device
+     * @param {Object} control - Control message (an `id` is added)
+     * @param {Function} callback - (ack, reason, attempts): the device's ACK, or
+     *        null with reason 'timeout' or 'offline'
+     */
+    sendReliable(device, control, callback) {
+        const id = this.nextControlId;
+        this.nextControlId = (this.nextControlId + 1) >>> 0;
+
+        const entry = { id, deviceId: device.id, message: { ...control, id }, attempts: 0, timer: null, callback };
+        this.outbound.set(id, entry);
+        this.stats.commandsSent++;
+        this.transmit(entry);
+    }
+
+    transmit(entry) {
+        const device = this.deviceManager.getDevice(entry.deviceId);
+        if (!device || !device.online) {
+            this.settle(entry, null, 'offline');
+            return;
+        }
+
+        entry.attempts++;
+        this.udpServer.sendControl(device, entry.message);
+
+        const { ackTimeoutMs, maxRetries } = this.options.control;
+        entry.timer = setTimeout(() => {
+            if (entry.attempts > maxRetries) {
+                this.stats.commandsTimedOut++;
+                this.settle(entry, null, 'timeout');
+                return;
+            }
+            this.stats.commandsResent++;
+            this.transmit(entry);
+        }, ackTimeoutMs * Math.pow(2, entry.attempts - 1));
+    }
+
+    /**
+     * Match a device's CONTROL_ACK to the message it acknowledges
+     * @param {Object} device - Sending device
+     * @param {Buffer} payload - ACK payload
+     */
+    handleAck(device, payload) {
+        let ack;
+        try {
+            ack = JSON.parse(payload.toString());
+        } catch (error) {
+            log.warn(`CONTROL_ACK parse error from ${device.id}: ${error.message}`, { deviceId: device.id });
+            return;
+        }
+
+        const entry = ack && this.outbound.get(ack.id);
+        if (!entry || entry.deviceId !== device.id) return; // Late ACK of a retransmission
+
+        this.stats.commandsAcked++;
+        this.settle(entry, ack);
+    }
+
+    settle(entry, ack, reason) {
+        clearTimeout(entry.timer);
+        this.outbound.delete(entry.id);
+        entry.callback(ack, reason, entry.attempts);
+    }
+
+    // ----- NACKs for audio from devices -----
+
+    /**
+     * Account an incoming audio packet: NACK the gap before it, match
+     * retransmissions to their NACK
+     * @param {Object} device - Source device
+     * @param {Object} decoded - Decoded audio packet
+     * @returns {boolean} False for retransmissions nobody asked for (any more)
+     */
+    trackAudio(device, decoded) {
+        if (!this.supportsNack(device)) return true;
+
+        if (!this.streams.has(device.id)) {
+            this.streams.set(device.id, { highest: null, pending: new Map(), rtt: null });
+        }
+
+        const stream = this.streams.get(device.id);
+        const { sequence } = decoded;
+        const now = Date.now();
+        const retransmit = Boolean(decoded.flags & protocol.FLAGS.RETRANSMIT);
+
+        this.expirePending(device, stream, now);
+
+        if (stream.highest === null || isBefore(stream.highest, sequence)) {
+            if (retransmit) return false;
+
+            const gap = stream.highest === null ? 0 : ((sequence - stream.highest - 1) & 0xFFFF);
+            if (gap > 0 && gap <= this.options.nack.maxGap) {
+                const missing = [];
+                for (let i = 1; i <= gap; i++) {
+                    missing.push((stream.highest + i) & 0xFFFF);
+                }
+                this.requestRetransmit(device, stream, missing, now);
+            }
+            stream.highest = sequence;
+            return true;
+        }
+
+        const request = stream.pending.get(sequence);
+        if (request) {
+            // Whatever arrives first (retransmit, late original, parity) fills the gap
+            stream.pending.delete(sequence);
+            if (retransmit) {
+                this.stats.retransmitsReceived++;
+                const sample = now - request.sentAt;
+                stream.rtt = stream.rtt === null ? sample : Math.round(stream.rtt * 0.875 + sample * 0.125);
+            }
+            return true;
+        }
+
+        if (retransmit) {
+            this.stats.duplicateRetransmits++;
+            return false;
+        }
+        return true; // Plain reordering
+    }
+
+    requestRetransmit(device, stream, sequences, now) {
+        if (stream.rtt !== null && stream.rtt >= this.options.nack.latencyBudgetMs) {
+            this.stats.nacksSkipped++;
+            return;
+        }
+
+        sequences.forEach(sequence => {
+            const request = stream.pending.get(sequence) || { firstSentAt: now, tries: 0 };
+            request.sentAt = now;
+            request.tries++;
+            stream.pending.set(sequence, request);
+        });
+
+        this.sendNack(device, device.id, sequences);
+    }
+
+    // Re-request what is still missing, forget what can no longer be played
+    expirePending(device, stream, now) {
+        const { latencyBudgetMs, maxRetries } = this.options.nack;
+        const timeout = stream.rtt !== null ? Math.max(stream.rtt * 1.5, 10) : latencyBudgetMs / 2;
+        const retry = [];
+
+        stream.pending.forEach((request, sequence) => {
+            if (now - request.firstSentAt >= latencyBudgetMs) {
+                stream.pending.delete(sequence);
+                this.stats.expired++;
+            } else if (request.tries < maxRetries && now - request.sentAt >= timeout) {
+                retry.push(sequence);
+            }
+        });
+
+        if (retry.length > 0) {
+            this.requestRetransmit(device, stream, retry, now);
+        }
+    }
+
+    sendNack(device, sourceId, sequences) {
+        this.udpServer.sendToDevice(device, protocol.encodePacket({
+            version: device.protocolVersion,
+            type: protocol.PACKET_TYPES.NACK,
+            deviceId: 'SRVR',
+            sequence: 0,
+            payload: ReliableDelivery.encodeNack(sourceId, sequences)
+        }));
+        this.stats.nacksSent++;
+    }
+
+    // ----- NACKs for audio to devices -----
+
+    /**
+     * Keep an audio packet sent to a device for retransmission
+     * @param {Object} device - Target device
+     * @param {Buffer} packet - Audio packet as sent (before encryption)
+     */
+    recordSent(device, packet) {
+        if (!this.supportsNack(device)) return;
+
+        const decoded = protocol.decodePacket(packet);
+        if (!decoded || decoded.type !== protocol.PACKET_TYPES.AUDIO ||
+            (decoded.flags & (protocol.FLAGS.CONCEALED | protocol.FLAGS.FEC))) return;
+
+        const streamKey = `${decoded.deviceId}->${device.id}`;
+        if (!this.sent.has(streamKey)) {
+            this.sent.set(streamKey, new Map());
+        }
+
+        const history = this.sent.get(streamKey);
+        history.delete(decoded.sequence); // Re-insert at the end
+        history.set(decoded.sequence, { packet, retransmits: 0 });
+        while (history.size > this.options.nack.historySize) {
+            history.delete(history.keys().next().value);
+        }
+    }
+
+    /**
+     * Retransmit the audio packets a device reports lost
+     * @param {Object} device - Device that sent the NACK
+     * @param {Buffer} payload - NACK payload
+     */
+    handleNack(device, payload) {
+        const entries = ReliableDelivery.decodeNack(payload);
+        if (!entries) {
+            log.limited(`nack:${device.id}`).warn(`Malformed NACK from ${device.id}`, { deviceId: device.id });
+            return;
+        }
+        this.stats.nacksReceived++;
+
+        entries.forEach(({ sourceId, sequences }) => {
+            const history = this.sent.get(`${sourceId}->${device.id}`);
+            if (!history) return;
+
+            sequences.forEach(sequence => {
+                const sent = history.get(sequence);
+                if (!sent || sent.retransmits >= this.options.nack.maxRetries) return;
+
+                sent.retransmits++;
+                this.stats.retransmitsSent++;
+                this.udpServer.sendToDevice(device, ReliableDelivery.markRetransmit(sent.packet));
+            });
+        });
+    }
+
+    // ----- Housekeeping -----
+
+    removeDevice(deviceId) {
+        this.outbound.forEach(entry => {
+            if (entry.deviceId === deviceId) this.settle(entry, null, 'offline');
+        });
+        this.acks.delete(deviceId);
+        this.streams.delete(deviceId);
+
+        Array.from(this.sent.keys())
+            .filter(key => key.split('->').includes(deviceId))
+            .forEach(key => this.sent.delete(key));
+    }
+
+    getStats() {
+        const rtt = {};
+        this.streams.forEach((stream, deviceId) => {
+            if (stream.rtt !== null) rtt[deviceId] = stream.rtt;
+        });
+
+        return {
+            ...this.stats,
+            nack: this.options.nack.enabled,
+            latencyBudgetMs: this.options.nack.latencyBudgetMs,
+            commandsPending: this.outbound.size,
+            rtt
+        };
+    }
+
+    stop() {
+        this.outbound.forEach(entry => clearTimeout(entry.timer));
+        this.outbound.clear();
+        this.acks.clear();
+        this.streams.clear();
+        this.sent.clear();
+    }
+
+    /**
+     * Build a NACK payload for lost sequences of one source
+     * @param {string} sourceId - Device whose audio was lost
+     * @param {number[]} sequences - Lost sequences, oldest first
+     * @returns {Buffer} NACK payload
+     */
+    static encodeNack(sourceId, sequences) {
+        const entries = [];
+        let base = null;
+        let mask = 0;
+
+        const flush = () => {
+            const entry = Buffer.alloc(NACK_ENTRY_SIZE);
+            entry.write(`${sourceId}\0\0\0\0`.slice(0, 4), 0, 4);
+            entry.writeUInt16BE(base, 4);
+            entry.writeUInt16BE(mask, 6);
+            entries.push(entry);
+        };
+
+        sequences.forEach(sequence => {
+            const offset = base === null ? MASK_BITS : (sequence - base) & 0xFFFF;
+            if (offset >= MASK_BITS) {
+                if (base !== null) flush();
+                base = sequence;
+                mask = 0;
+            }
+            mask |= 1 << ((sequence - base) & 0xFFFF);
+        });
+        if (base !== null) flush();
+
+        return Buffer.concat(entries);
+    }
+
+    /**
+     * Parse a NACK payload
+     * @param {Buffer} payload - NACK payload
+     * @returns {Array<{sourceId: string, sequences: number[]}>|null} Null if malformed
+     */
+    static decodeNack(payload) {
+        if (payload.length === 0 || payload.length % NACK_ENTRY_SIZE !== 0) return null;
+
+        const entries = [];
+        for (let offset = 0; offset < payload.length; offset += NACK_ENTRY_SIZE) {
+            const base = payload.readUInt16BE(offset + 4);
+            const mask = payload.readUInt16BE(offset + 6);
+            const sequences = [];
+            for (let bit = 0; bit < MASK_BITS; bit++) {
+                if (mask & (1 << bit)) sequences.push((base + bit) & 0xFFFF);
+            }
+            entries.push({
+                sourceId: payload.slice(offset, offset + 4).toString().replace(/\0/g, ''),
+                sequences
+            });
+        }
+        return entries;
+    }
+
+    /**
+     * Copy of a packet with the RETRANSMIT flag set (v1 has no flags and
+     * is sent unchanged)
+     * @param {Buffer} packet - Original packet
+     * @returns {Buffer}
+     */
+    static markRetransmit(packet) {
+        const copy = Buffer.from(packet);
+        if (protocol.detectVersion(copy) >= protocol.PROTOCOL_V2) {
+            copy[1] |= protocol.FLAGS.RETRANSMIT;
+        }
+        return copy;
+    }
+}
+
+module.exports = ReliableDelivery;
@@ -0,0 +1,52 @@
+/**
+ * Replay Window - Sliding window check for packet counters
+ *
+ * Accepts counters that are new and not older than `size` behind the
+ * highest counter seen; rejects duplicates and anything older. Counters at
+ * or below `floor` (the highest one accepted before a restart) are rejected
+ * too, so the first packet after a restart cannot be a replay.
+ */
+
+class ReplayWindow {
+    constructor(size, floor = -1) {
+        this.size = size;
+        this.floor = floor;
+        this.highest = -1;
+        this.seen = new Set();
+    }
+
+    /**
+     * Check a counter and record it when accepted
+     * @param {number} counter - Counter from the packet
+     * @returns {boolean} True if the counter has not been seen
+     */
+    accept(counter) {
+        if (counter <= this.floor) {
+            return false;
+        }
+
+        if (this.highest < 0) {
+            this.highest = counter;
+            this.seen.add(counter);
+            return true;
+        }
+
+        if (counter + this.size <= this.highest || this.seen.has(counter)) {
+            return false;
+        }
+
+        this.seen.add(counter);
+        if (counter > this.highest) {
+            this.highest = counter;
+            // Forget counters that fell out of the window
+            this.seen.forEach(seen => {
+                if (seen + this.size <= this.highest) {
+                    this.seen.delete(seen);
+                }
+            });
+        }
+        return true;
+    }
+}
+
+module.exports = ReplayWindow;
@@ -0,0 +1,1205 @@
+/**
+ * REST API - HTTP control surface for routing, groups, devices and scenarios
+ *
+ * Mounted by DashboardServer under /api/ next to the original dashboard
+ * endpoints /api/stats and /api/devices; the matrix's /api/route and
+ * /api/route/clear are handled here, with the same validation.
+ * Every operation is backed by the same AudioRouter / DeviceManager
+ * methods the WebSocket API uses, so both surfaces stay consistent.
+ *
+ * Routes:
+ *   GET    /api/routes                      All direct routes
+ *   POST   /api/routes                      Add {source, target} or {source, targets}
+ *   DELETE /api/routes                      Clear every direct route
+ *   GET    /api/routes/:source              Direct and effective routes of a source
+ *   PUT    /api/routes/:source              Replace the targets of a source
+ *   DELETE /api/routes/:source              Clear the routes of a source
+ *   DELETE /api/routes/:source/:target      Remove one route
+ *   POST   /api/route                       Enable or disable {from, to, enable} (dashboard matrix)
+ *   POST   /api/route/clear                 Clear every direct route (dashboard matrix)
+ *   GET    /api/devices/:id                 Device details and statistics
+ *   PATCH  /api/devices/:id                 Update name / metadata
+ *   GET|PUT|DELETE /api/devices/:id/mute    Read, set or clear mute
+ *   GET|PUT|DELETE /api/devices/:id/broadcast
+ *   GET    /api/devices/:id/commands        Recent commands and acknowledged settings
+ *   POST   /api/devices/:id/commands        Send {command, params} to the device (202)
+ *   GET    /api/devices/:id/commands/:commandId  One command and its acknowledgement
+ *   GET    /api/registry                    Enrollment policy, registered and pending devices
+ *   PUT    /api/registry/policy             Set {policy} (auto-enroll or allowlist)
+ *   POST   /api/registry/devices            Provision {id, name, location, owner, secret, allowedGroups}
+ *   GET    /api/registry/devices/:id        One registered device
+ *   PATCH  /api/registry/devices/:id        Update its fields or {status} (approved or blocked)
+ *   DELETE /api/registry/devices/:id        Remove it from the registry
+ *   POST   /api/registry/pending/:id/approve  Register a waiting device
+ *   POST   /api/registry/pending/:id/reject   Block a waiting device
+ *   GET    /api/recordings                  Recordings and their tracks, newest first
+ *   POST   /api/recordings                  Start recording {target, label}
+ *   GET    /api/recordings/:id              One recording
+ *   POST   /api/recordings/:id/stop         Stop a recording
+ *   DELETE /api/recordings/:id              Delete a stopped recording and its files
+ *   GET    /api/groups                      List groups
+ *   POST   /api/groups                      Create {groupId, members, mode}
+ *   GET    /api/groups/:id                  Group details
+ *   DELETE /api/groups/:id                  Delete a group
+ *   POST   /api/groups/:id/members          Add {deviceId} to a group
+ *   DELETE /api/groups/:id/members/:deviceId Remove a member
+ *   PUT    /api/groups/:id/mode             Set {mode} (forward or mix)
+ *   GET    /api/scenarios                   Available scenarios
+ *   POST   /api/scenarios/:name             Apply a scenario
+ *   GET    /api/pacing                      Pacing policies and jitter buffers
+ *   PUT    /api/pacing                      Set {defaultPolicy}
+ *   PUT    /api/pacing/:source/:target      Override the policy of a route ('*' matches any device)
+ *   DELETE /api/pacing/:source/:target      Remove an override
+ *   GET    /api/logging                     Default and per-module log levels
+ *   PUT    /api/logging                     Set the default {level}
+ *   PUT    /api/logging/:module             Set the {level} of a module
+ *   DELETE /api/logging/:module             Remove a module's level
+ *   GET    /api/audit                       Audit log, filtered by ?actorType=&actor=&action=
+ *                                           &device=&since=&until=&limit=
+ *   POST   /api/auth/login                  Log in with {username, password}; sets the session cookie
+ *   POST   /api/auth/logout                 End the session
+ *   GET    /api/auth/session                The logged-in user, role and permissions
+ *   PUT    /api/auth/password               Change own password {currentPassword, password}
+ *   GET    /api/users                       Dashboard users
+ *   POST   /api/users                       Create {username, password, role}
+ *   PATCH  /api/users/:username             Change {role} and/or {password}
+ *   DELETE /api/users/:username             Remove a user
+ *   GET    /api/tokens                      API tokens with their scopes and usage
+ *   POST   /api/tokens                      Issue {name, scopes, expiresInDays}; the token is in the response only
+ *   GET    /api/tokens/:id                  One API token
+ *   DELETE /api/tokens/:id                  Revoke an API token
+ *   GET    /api/config                      Export routing and device registry
+ *   PUT    /api/config                      Import routing and/or device registry
+ *
+ * The routes are described in schemas/openapi.json. Recorded tracks are
+ * downloaded from DashboardServer (/recordings/:id/:deviceId.opus).
+ *
+ * Every operation needs a session whose role grants the operation's
+ * x-permission, or an API token with a scope for it (see dashboard-auth.js);
+ * the login itself is public.
+ *
+ * Every change a request makes is recorded in the audit log under its
+ * operationId, with the caller's address and user as actor.
+ *
+ * Status codes: 200/201/204 on success, 400 for invalid JSON or fields,
+ * 401 without a session, 403 without the permission, 404 for unknown
+ * resources, 405 for unsupported methods, 409 for conflicts, 413 for
+ * oversized bodies, 429 after too many failed logins.
+ */
+
+const CONFIG = require('../config/server-config.json');
+const AudioRouter = require('./audio-router');
+const PacketPacer = require('./packet-pacer');
+const DeviceCommands = require('./device-commands');
+const DeviceRegistry = require('./device-registry');
+const CallRecorder = require('./call-recorder');
+const AuditLog = require('./audit-log');
+const DashboardAuth = require('./dashboard-auth');
+const UserStore = require('./user-store');
+const TokenStore = require('./token-store');
+const { RequestValidator } = require('./schema-validator');
+const logging = require('./logger');
+const log = logging.forModule('rest-api');
+
+const MAX_BODY_SIZE = 1024 * 1024;
+const MAX_DEVICE_ID_LENGTH = 4; // Device IDs travel in a 4-byte header field
+const MAX_NAME_LENGTH = 64;
+const MAX_AUDIT_LIMIT = 1000;
+
+// HTTP status of DeviceCommandError codes
+const COMMAND_ERROR_STATUS = {
+    'unknown-device': 404,
+    'offline': 409
+};
+
+// HTTP status of RegistryError codes
+const REGISTRY_ERROR_STATUS = {
+    'not-found': 404,
+    'exists': 409
+};
+
+// HTTP status of RecordingError codes
+const RECORDING_ERROR_STATUS = {
+    'not-found': 404,
+    'unknown-target': 404,
+    'limit': 409,
+    'active': 409
+};
+
+// HTTP status of TokenError codes
+const TOKEN_ERROR_STATUS = {
+    'invalid': 400,
+    'not-found': 404
+};
+
+// HTTP status of UserError codes
+const USER_ERROR_STATUS = {
+    'invalid': 400,
+    'not-found': 404,
+    'exists': 409,
+    'last-admin': 409
+};
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+class RestAPI {
+    /**
+     * @param {UDPAudioServer} udpServer - Server whose state the API controls
+     * @param {DashboardAuth} auth - Sessions and permissions of the callers
+     */
+    constructor(udpServer, auth) {
+        this.udpServer = udpServer;
+        this.auth = auth;
+        this.endpoints = [];
+        this.validator = new RequestValidator();
+
+        this.registerEndpoints();
+    }
+
+    registerEndpoints() {
+        this.route('GET', '/api/routes', 'listRoutes');
+        this.route('POST', '/api/routes', 'createRoutes');
+        this.route('DELETE', '/api/routes', 'clearAllRoutes');
+        this.route('GET', '/api/routes/:source', 'getSourceRoutes');
+        this.route('PUT', '/api/routes/:source', 'replaceSourceRoutes');
+        this.route('DELETE', '/api/routes/:source', 'clearSourceRoutes');
+        this.route('DELETE', '/api/routes/:source/:target', 'removeRoute');
+        this.route('POST', '/api/route', 'toggleRoute');
+        this.route('POST', '/api/route/clear', 'clearRoutesLegacy');
+
+        this.route('GET', '/api/devices/:id', 'getDevice');
+        this.route('PATCH', '/api/devices/:id', 'updateDevice');
+        this.route('GET', '/api/devices/:id/mute', 'getMute');
+        this.route('PUT', '/api/devices/:id/mute', 'muteDevice');
+        this.route('DELETE', '/api/devices/:id/mute', 'unmuteDevice');
+        this.route('GET', '/api/devices/:id/broadcast', 'getBroadcast');
+        this.route('PUT', '/api/devices/:id/broadcast', 'enableBroadcast');
+        this.route('DELETE', '/api/devices/:id/broadcast', 'disableBroadcast');
+        this.route('GET', '/api/devices/:id/commands', 'listDeviceCommands');
+        this.route('POST', '/api/devices/:id/commands', 'sendDeviceCommand');
+        this.route('GET', '/api/devices/:id/commands/:commandId', 'getDeviceCommand');
+
+        this.route('GET', '/api/registry', 'getRegistry');
+        this.route('PUT', '/api/registry/policy', 'setEnrollmentPolicy');
+        this.route('POST', '/api/registry/devices', 'provisionDevice');
+        this.route('GET', '/api/registry/devices/:id', 'getRegistryDevice');
+        this.route('PATCH', '/api/registry/devices/:id', 'updateRegistryDevice');
+        this.route('DELETE', '/api/registry/devices/:id', 'removeRegistryDevice');
+        this.route('POST', '/api/registry/pending/:id/approve', 'approveDevice');
+        this.route('POST', '/api/registry/pending/:id/reject', 'rejectDevice');
+
+        this.route('GET', '/api/recordings', 'listRecordings');
+        this.route('POST', '/api/recordings', 'startRecording');
+        this.route('GET', '/api/recordings/:id', 'getRecording');
+        this.route('POST', '/api/recordings/:id/stop', 'stopRecording');
+        this.route('DELETE', '/api/recordings/:id', 'deleteRecording');
+
+        this.route('GET', '/api/groups', 'listGroups');
+        this.route('POST', '/api/groups', 'createGroup');
+        this.route('GET', '/api/groups/:id', 'getGroup');
+        this.route('DELETE', '/api/groups/:id', 'deleteGroup');
+        this.route('POST', '/api/groups/:id/members', 'addGroupMember');
+        this.route('DELETE', '/api/groups/:id/members/:deviceId', 'removeGroupMember');
+        this.route('PUT', '/api/groups/:id/mode', 'setGroupMode');
+
+        this.route('GET', '/api/scenarios', 'listScenarios');
+        this.route('POST', '/api/scenarios/:name', 'applyScenario');
+
+        this.route('GET', '/api/pacing', 'getPacing');
+        this.route('PUT', '/api/pacing', 'setDefaultPacing');
+        this.route('PUT', '/api/pacing/:source/:target', 'setRoutePacing');
+        this.route('DELETE', '/api/pacing/:source/:target', 'clearRoutePacing');
+
+        this.route('GET', '/api/logging', 'getLogging');
+        this.route('PUT', '/api/logging', 'setDefaultLogLevel');
+        this.route('PUT', '/api/logging/:module', 'setModuleLogLevel');
+        this.route('DELETE', '/api/logging/:module', 'clearModuleLogLevel');
+
+        this.route('GET', '/api/audit', 'getAuditLog');
+
+        this.route('POST', '/api/auth/login', 'login');
+        this.route('POST', '/api/auth/logout', 'logout');
+        this.route('GET', '/api/auth/session', 'getSession');
+        this.route('PUT', '/api/auth/password', 'changePassword');
+        this.route('GET', '/api/users', 'listUsers');
+        this.route('POST', '/api/users', 'createUser');
+        this.route('PATCH', '/api/users/:username', 'updateUser');
+        this.route('DELETE', '/api/users/:username', 'deleteUser');
+        this.route('GET', '/api/tokens', 'listTokens');
+        this.route('POST', '/api/tokens', 'issueToken');
+        this.route('GET', '/api/tokens/:id', 'getApiToken');
+        this.route('DELETE', '/api/tokens/:id', 'revokeToken');
+
+        this.route('GET', '/api/config', 'exportConfiguration');
+        this.route('PUT', '/api/config', 'importConfiguration');
+    }
+
+    /**
+     * Register an endpoint
+     * The handler is the method named after the OpenAPI operationId; request
+     * bodies are validated against that operation's schema before it runs.
+     * Handlers are called with (params, body, query, req) and return
+     * { status, body, headers }.
+     * @param {string} method - HTTP method
+     * @param {string} pattern - Path with :param placeholders
+     * @param {string} operationId - OpenAPI operation ID and handler name
+     */
+    route(method, pattern, operationId) {
+        const keys = [];
+        const source = pattern.replace(/:(\w+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+
+        this.endpoints.push({
+            method,
+            pattern,
+            regex: new RegExp(`^${source}/?$`),
+            keys,
+            operationId,
+            handler: this[operationId].bind(this)
+        });
+    }
+
+    /**
+     * Handle an /api/ request (always sends a response)
+     * @param {http.IncomingMessage} req - Request, with req.principal from DashboardAuth
+     * @param {http.ServerResponse} res - Response
+     */
+    handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const pathname = url.pathname;
+        const matches = this.endpoints.filter(endpoint => endpoint.regex.test(pathname));
+
+        if (matches.length === 0) {
+            this.sendError(res, new ApiError(404, `No such endpoint: ${pathname}`));
+            return;
+        }
+
+        const allowed = matches.map(endpoint => endpoint.method);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Methods': [...allowed, 'OPTIONS'].join(', '),
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+            });
+            res.end();
+            return;
+        }
+
+        const endpoint = matches.find(candidate => candidate.method === req.method);
+        if (!endpoint) {
+            res.setHeader('Allow', allowed.join(', '));
+            this.sendError(res, new ApiError(405, `Method ${req.method} not allowed on ${pathname}`));
+            return;
+        }
+
+        // The permission alone first: the devices and groups that limited API
+        // tokens are checked against are only known once the body is read
+        const operation = endpoint.operationId;
+        const permission = this.validator.getPermission(operation);
+        const address = req.socket.remoteAddress;
+        if (!this.auth.allows(req.principal, permission)) {
+            req.resume();
+            this.auth.authorize(req.principal, { operation, permission, address }); // Counts the refusal
+            this.refuse(req, res, operation);
+            return;
+        }
+
+        const params = {};
+        const values = endpoint.regex.exec(pathname).slice(1);
+        try {
+            endpoint.keys.forEach((key, i) => {
+                params[key] = decodeURIComponent(values[i]);
+            });
+        } catch (error) {
+            this.sendError(res, new ApiError(400, 'Malformed URL'));
+            return;
+        }
+
+        this.readBody(req, (error, body) => {
+            if (error) {
+                this.sendError(res, error);
+                return;
+            }
+
+            const errors = this.validator.validateBody(endpoint.operationId, body);
+            if (errors.length > 0) {
+                const validationError = new ApiError(400, `Invalid request body for ${endpoint.operationId}`);
+                validationError.errors = errors;
+                this.sendError(res, validationError);
+                return;
+            }
+
+            const resources = this.validator.getResources(operation, params, body);
+            if (!this.auth.authorize(req.principal, { operation, permission, resources, address })) {
+                this.refuse(req, res, operation);
+                return;
+            }
+
+            const failed = (handlerError) => {
+                if (!(handlerError instanceof ApiError)) {
+                    log.error(`REST ${req.method} ${pathname} failed: ${handlerError.message}`, { error: handlerError.stack });
+                }
+                this.sendError(res, handlerError);
+            };
+
+            let result;
+            try {
+                const actor = this.auth.actor('rest', address, req.principal);
+                const query = Object.fromEntries(url.searchParams);
+                result = this.auditLog.record(actor, endpoint.operationId,
+                    () => endpoint.handler(params, body, query, req));
+            } catch (handlerError) {
+                failed(handlerError);
+                return;
+            }
+
+            // Handlers that hash passwords answer with a promise
+            Promise.resolve(result).then(
+                ({ status, body: responseBody, headers }) => this.sendJson(res, status || 200, responseBody, headers),
+                failed);
+        });
+    }
+
+    /**
+     * Read and parse a JSON request body
+     * @param {http.IncomingMessage} req - Request
+     * @param {Function} callback - (error, body)
+     */
+    readBody(req, callback) {
+        if (req.method === 'GET' || req.method === 'DELETE') {
+            req.resume();
+            callback(null, {});
+            return;
+        }
+
+        let body = '';
+        let tooLarge = false;
+
+        req.on('data', chunk => {
+            if (tooLarge) return;
+            body += chunk.toString();
+            if (body.length > MAX_BODY_SIZE) {
+                tooLarge = true;
+            }
+        });
+
+        req.on('end', () => {
+            if (tooLarge) {
+                callback(new ApiError(413, `Request body exceeds ${MAX_BODY_SIZE} bytes`));
+                return;
+            }
+            if (body.trim() === '') {
+                callback(null, {});
+                return;
+            }
+
+            let parsed;
+            try {
+                parsed = JSON.parse(body);
+            } catch (error) {
+                callback(new ApiError(400, `Invalid JSON: ${error.message}`));
+                return;
+            }
+
+            if (!isPlainObject(parsed)) {
+                callback(new ApiError(400, 'Request body must be a JSON object'));
+                return;
+            }
+            callback(null, parsed);
+        });
+    }
+
+    sendJson(res, status, body, headers = {}) {
+        if (status === 204 || body === undefined) {
+            res.writeHead(status === 200 ? 204 : status, headers);
+            res.end();
+            return;
+        }
+
+        res.writeHead(status, {
+            ...headers,
+            'Content-Type': 'application/json'
+        });
+        res.end(JSON.stringify(body));
+    }
+
+    // 401 without a session or valid token, 403 without the permission
+    refuse(req, res, operationId) {
+        this.sendError(res, this.auth.isActive(req.principal) ?
+            new ApiError(403, `Not allowed to use ${operationId}`) :
+            new ApiError(401, 'Login required'));
+    }
+
+    sendError(res, error) {
+        const status = error.status || 500;
+        const body = { error: status === 500 ? 'Internal server error' : error.message };
+        if (error.errors) {
+            body.errors = error.errors;
+        }
+        this.sendJson(res, status, body);
+    }
+
+    // ----- Routes -----
+
+    listRoutes() {
+        return { body: { routes: this.router.exportConfiguration().routes } };
+    }
+
+    createRoutes(params, body) {
+        const source = requireDeviceId(body.source, 'source');
+        const targets = body.targets !== undefined
+            ? requireDeviceIdList(body.targets, 'targets')
+            : [requireDeviceId(body.target, 'target')];
+
+        targets.forEach(target => this.router.setRoute(source, target));
+
+        return { status: 201, body: this.describeRoutes(source) };
+    }
+
+    clearAllRoutes() {
+        this.router.clearAllRoutes();
+        return { status: 204 };
+    }
+
+    getSourceRoutes(params) {
+        return { body: this.describeRoutes(requireDeviceId(params.source, 'source')) };
+    }
+
+    replaceSourceRoutes(params, body) {
+        const source = requireDeviceId(params.source, 'source');
+        const targets = requireDeviceIdList(body.targets, 'targets');
+
+        if (targets.length === 0) {
+            this.router.clearRoutes(source);
+        } else {
+            this.router.setMultipleRoutes(source, targets);
+        }
+
+        return { body: this.describeRoutes(source) };
+    }
+
+    clearSourceRoutes(params) {
+        this.router.clearRoutes(requireDeviceId(params.source, 'source'));
+        return { status: 204 };
+    }
+
+    removeRoute(params) {
+        const source = requireDeviceId(params.source, 'source');
+        const target = requireDeviceId(params.target, 'target');
+
+        if (!this.router.getDirectRoutes(source).includes(target)) {
+            throw new ApiError(404, `No route ${source} → ${target}`);
+        }
+
+        this.router.removeRoute(source, target);
+        return { status: 204 };
+    }
+
+    // Dashboard matrix: a route to itself is echo mode
+    toggleRoute(params, body) {
+        const from = requireDeviceId(body.from, 'from');
+        const to = requireDeviceId(body.to, 'to');
+
+        if (body.enable) {
+            this.router.setRoute(from, to);
+        } else {
+            this.router.removeRoute(from, to);
+        }
+        return { body: { success: true } };
+    }
+
+    clearRoutesLegacy() {
+        this.router.clearAllRoutes();
+        return { body: { success: true } };
+    }
+
+    describeRoutes(source) {
+        return {
+            source,
+            targets: this.router.getDirectRoutes(source),
+            effective: this.router.getRoutes(source)
+        };
+    }
+
+    // ----- Devices -----
+
+    getDevice(params) {
+        const device = this.requireDevice(params.id);
+
+        return {
+            body: {
+                ...this.deviceManager.getDeviceStats(device.id),
+                address: device.address,
+                port: device.port,
+                isDashboard: Boolean(device.isDashboard),
+                metadata: this.deviceManager.getDeviceMetadata(device.id),
+                groups: this.deviceManager.getDeviceGroups(device.id),
+                muted: this.router.mutedDevices.has(device.id),
+                broadcast: this.router.broadcastMode.get(device.id) || false,
+                routes: this.router.getRoutes(device.id)
+            }
+        };
+    }
+
+    updateDevice(params, body) {
+        const device = this.requireDevice(params.id);
+        const update = {};
+
+        if (body.metadata !== undefined) {
+            if (!isPlainObject(body.metadata)) {
+                throw new ApiError(400, 'metadata must be an object');
+            }
+            Object.assign(update, body.metadata);
+        }
+
+        if (body.name !== undefined) {
+            if (typeof body.name !== 'string' || body.name.length > MAX_NAME_LENGTH) {
+                throw new ApiError(400, `name must be a string of at most ${MAX_NAME_LENGTH} characters`);
+            }
+            update.name = body.name;
+        }
+
+        if (Object.keys(update).length === 0) {
+            throw new ApiError(400, 'Nothing to update: provide name and/or metadata');
+        }
+
+        return { body: { id: device.id, metadata: this.deviceManager.setDeviceMetadata(device.id, update) } };
+    }
+
+    getMute(params) {
+        const device = this.requireDevice(params.id);
+        return { body: { id: device.id, muted: this.router.mutedDevices.has(device.id) } };
+    }
+
+    muteDevice(params) {
+        const device = this.requireDevice(params.id);
+        this.router.muteDevice(device.id);
+        return { body: { id: device.id, muted: true } };
+    }
+
+    unmuteDevice(params) {
+        const device = this.requireDevice(params.id);
+        this.router.unmuteDevice(device.id);
+        return { body: { id: device.id, muted: false } };
+    }
+
+    getBroadcast(params) {
+        const device = this.requireDevice(params.id);
+        return { body: { id: device.id, broadcast: this.router.broadcastMode.get(device.id) || false } };
+    }
+
+    enableBroadcast(params) {
+        const device = this.requireDevice(params.id);
+        this.router.enableBroadcast(device.id);
+        return { body: { id: device.id, broadcast: true } };
+    }
+
+    disableBroadcast(params) {
+        const device = this.requireDevice(params.id);
+        this.router.disableBroadcast(device.id);
+        return { body: { id: device.id, broadcast: false } };
+    }
+
+    listDeviceCommands(params) {
+        const device = this.requireDevice(params.id);
+        return { body: this.udpServer.deviceCommands.describeDevice(device.id) };
+    }
+
+    sendDeviceCommand(params, body) {
+        const device = this.requireDevice(params.id);
+
+        try {
+            return { status: 202, body: this.udpServer.deviceCommands.send(device.id, body.command, body.params) };
+        } catch (error) {
+            if (error instanceof DeviceCommands.DeviceCommandError) {
+                throw new ApiError(COMMAND_ERROR_STATUS[error.code] || 400, error.message);
+            }
+            throw error;
+        }
+    }
+
+    getDeviceCommand(params) {
+        const device = this.requireDevice(params.id);
+        const record = this.udpServer.deviceCommands.getCommand(device.id, Number(params.commandId));
+        if (!record) {
+            throw new ApiError(404, `No command ${params.commandId} for ${device.id}`);
+        }
+        return { body: record };
+    }
+
+    requireDevice(deviceId) {
+        const device = this.deviceManager.getDevice(deviceId);
+        if (!device) {
+            throw new ApiError(404, `Unknown device: ${deviceId}`);
+        }
+        return device;
+    }
+
+    // ----- Registry -----
+
+    getRegistry() {
+        return { body: this.registry.getRegistry() };
+    }
+
+    setEnrollmentPolicy(params, body) {
+        this.callRegistry(() => this.registry.setPolicy(body.policy));
+        return { body: this.registry.getRegistry() };
+    }
+
+    provisionDevice(params, body) {
+        requireDeviceId(body.id, 'id');
+        return { status: 201, body: this.callRegistry(() => this.registry.provision(body)) };
+    }
+
+    getRegistryDevice(params) {
+        const device = this.registry.getDevice(params.id);
+        if (!device) {
+            throw new ApiError(404, `Device ${params.id} is not registered`);
+        }
+        return { body: device };
+    }
+
+    updateRegistryDevice(params, body) {
+        return { body: this.callRegistry(() => this.registry.update(params.id, body)) };
+    }
+
+    removeRegistryDevice(params) {
+        this.callRegistry(() => this.registry.remove(params.id));
+        return { status: 204 };
+    }
+
+    approveDevice(params, body) {
+        return { status: 201, body: this.callRegistry(() => this.registry.approve(params.id, body)) };
+    }
+
+    rejectDevice(params) {
+        return { body: this.callRegistry(() => this.registry.reject(params.id)) };
+    }
+
+    callRegistry(operation) {
+        try {
+            return operation();
+        } catch (error) {
+            if (error instanceof DeviceRegistry.RegistryError) {
+                throw new ApiError(REGISTRY_ERROR_STATUS[error.code] || 400, error.message);
+            }
+            throw error;
+        }
+    }
+
+    // ----- Recordings -----
+
+    listRecordings() {
+        return { body: { recordings: this.recorder.getRecordings() } };
+    }
+
+    startRecording(params, body) {
+        return { status: 201, body: this.callRecorder(() => this.recorder.start(body.target, body.label)) };
+    }
+
+    getRecording(params) {
+        const recording = this.recorder.getRecording(params.id);
+        if (!recording) {
+            throw new ApiError(404, `Unknown recording: ${params.id}`);
+        }
+        return { body: recording };
+    }
+
+    stopRecording(params) {
+        return { body: this.callRecorder(() => this.recorder.stop(params.id)) };
+    }
+
+    deleteRecording(params) {
+        this.callRecorder(() => this.recorder.remove(params.id));
+        return { status: 204 };
+    }
+
+    callRecorder(operation) {
+        try {
+            return operation();
+        } catch (error) {
+            if (error instanceof CallRecorder.RecordingError) {
+                throw new ApiError(RECORDING_ERROR_STATUS[error.code] || 400, error.message);
+            }
+            throw error;
+        }
+    }
+
+    // ----- Groups -----
+
+    listGroups() {
+        return { body: { groups: this.deviceManager.getGroups().map(groupId => this.describeGroup(groupId)) } };
+    }
+
+    createGroup(params, body) {
+        if (typeof body.groupId !== 'string' || body.groupId.trim() === '') {
+            throw new ApiError(400, 'groupId must be a non-empty string');
+        }
+
+        const groupId = body.groupId;
+        const members = body.members !== undefined ? requireDeviceIdList(body.members, 'members') : [];
+        const mode = body.mode || 'forward';
+
+        if (mode !== 'forward' && mode !== 'mix') {
+            throw new ApiError(400, 'mode must be "forward" or "mix"');
+        }
+        if (members.length > CONFIG.routing.maxGroupSize) {
+            throw new ApiError(400, `Groups are limited to ${CONFIG.routing.maxGroupSize} members`);
+        }
+        if (this.deviceManager.hasGroup(groupId)) {
+            throw new ApiError(409, `Group ${groupId} already exists`);
+        }
+        if (mode === 'mix' && !this.router.mixerAvailable) {
+            throw new ApiError(409, 'Audio mixer unavailable, cannot create a mixed group');
+        }
+        const refused = members.filter(deviceId => !this.deviceManager.canJoinGroup(groupId, deviceId));
+        if (refused.length > 0) {
+            throw new ApiError(409, `Not allowed in group ${groupId}: ${refused.join(', ')}`);
+        }
+
+        this.deviceManager.createGroup(groupId, members);
+        if (mode === 'mix') {
+            this.router.setGroupMode(groupId, mode);
+        }
+
+        return { status: 201, body: this.describeGroup(groupId) };
+    }
+
+    getGroup(params) {
+        this.requireGroup(params.id);
+        return { body: this.describeGroup(params.id) };
+    }
+
+    deleteGroup(params) {
+        this.requireGroup(params.id);
+        this.deviceManager.deleteGroup(params.id);
+        return { status: 204 };
+    }
+
+    addGroupMember(params, body) {
+        this.requireGroup(params.id);
+        const deviceId = requireDeviceId(body.deviceId, 'deviceId');
+
+        if (this.deviceManager.getGroupMembers(params.id).includes(deviceId)) {
+            return { body: this.describeGroup(params.id) };
+        }
+        if (!this.deviceManager.canJoinGroup(params.id, deviceId)) {
+            throw new ApiError(409, `${deviceId} is not allowed in group ${params.id}`);
+        }
+        if (!this.deviceManager.addToGroup(params.id, deviceId)) {
+            throw new ApiError(409, `Group ${params.id} is full (${CONFIG.routing.maxGroupSize} members)`);
+        }
+
+        return { body: this.describeGroup(params.id) };
+    }
+
+    removeGroupMember(params) {
+        this.requireGroup(params.id);
+        const deviceId = requireDeviceId(params.deviceId, 'deviceId');
+
+        if (!this.deviceManager.getGroupMembers(params.id).includes(deviceId)) {
+            throw new ApiError(404, `${deviceId} is not a member of group ${params.id}`);
+        }
+
+        this.deviceManager.removeFromGroup(params.id, deviceId);
+
+        // Removing the last member deletes the group
+        if (!this.deviceManager.hasGroup(params.id)) {
+            return { status: 204 };
+        }
+        return { body: this.describeGroup(params.id) };
+    }
+
+    setGroupMode(params, body) {
+        this.requireGroup(params.id);
+
+        if (body.mode === 'mix' && !this.router.mixerAvailable) {
+            throw new ApiError(409, 'Audio mixer unavailable, cannot mix this group');
+        }
+        if (!this.router.setGroupMode(params.id, body.mode)) {
+            throw new ApiError(400, 'mode must be "forward" or "mix"');
+        }
+
+        return { body: this.describeGroup(params.id) };
+    }
+
+    requireGroup(groupId) {
+        if (!this.deviceManager.hasGroup(groupId)) {
+            throw new ApiError(404, `Unknown group: ${groupId}`);
+        }
+    }
+
+    describeGroup(groupId) {
+        return this.router.describeGroup(groupId);
+    }
+
+    // ----- Scenarios -----
+
+    listScenarios() {
+        return { body: { scenarios: AudioRouter.SCENARIOS } };
+    }
+
+    applyScenario(params) {
+        if (!AudioRouter.SCENARIOS.includes(params.name)) {
+            throw new ApiError(404, `Unknown scenario: ${params.name}`);
+        }
+
+        this.router.applyRoutingScenario(params.name);
+        return { body: { scenario: params.name, routes: this.router.getRoutingMatrix() } };
+    }
+
+    // ----- Pacing -----
+
+    getPacing() {
+        return { body: this.describePacing() };
+    }
+
+    setDefaultPacing(params, body) {
+        if (!this.pacer.setDefaultPolicy(body.defaultPolicy)) {
+            throw new ApiError(400, `defaultPolicy must be one of ${PacketPacer.POLICIES.join(', ')}`);
+        }
+        return { body: this.describePacing() };
+    }
+
+    setRoutePacing(params, body) {
+        const { source, target } = requirePacingRoute(params);
+
+        if (!this.pacer.setPolicy(source, target, body.policy)) {
+            throw new ApiError(400, `policy must be one of ${PacketPacer.POLICIES.join(', ')}`);
+        }
+        return { body: this.describePacing() };
+    }
+
+    clearRoutePacing(params) {
+        const { source, target } = requirePacingRoute(params);
+
+        if (!(`${source}->${target}` in this.pacer.getPolicies().routes)) {
+            throw new ApiError(404, `No pacing override for ${source}->${target}`);
+        }
+        this.pacer.setPolicy(source, target, null);
+        return { status: 204 };
+    }
+
+    describePacing() {
+        return {
+            ...this.pacer.getPolicies(),
+            queues: this.pacer.getQueueStats(),
+            sendErrors: this.pacer.getSendErrorStats()
+        };
+    }
+
+    // ----- Logging -----
+
+    getLogging() {
+        return { body: logging.getLevels() };
+    }
+
+    setDefaultLogLevel(params, body) {
+        setLogLevel(null, body.level);
+        return { body: logging.getLevels() };
+    }
+
+    setModuleLogLevel(params, body) {
+        setLogLevel(params.module, body.level);
+        return { body: logging.getLevels() };
+    }
+
+    clearModuleLogLevel(params) {
+        if (!(params.module in logging.getLevels().overrides)) {
+            throw new ApiError(404, `No log level set for ${params.module}`);
+        }
+        logging.setLevel(params.module, null);
+        return { status: 204 };
+    }
+
+    // ----- Audit log -----
+
+    getAuditLog(params, body, query) {
+        const filters = {};
+
+        if (query.actorType !== undefined) {
+            if (!AuditLog.ACTOR_TYPES.includes(query.actorType)) {
+                throw new ApiError(400, `actorType must be one of ${AuditLog.ACTOR_TYPES.join(', ')}`);
+            }
+            filters.actorType = query.actorType;
+        }
+        ['actor', 'action', 'device'].forEach(key => {
+            if (query[key] !== undefined) filters[key] = query[key];
+        });
+        ['since', 'until'].forEach(key => {
+            if (query[key] !== undefined) filters[key] = parseTime(query[key], key);
+        });
+        if (query.limit !== undefined) {
+            const limit = Number(query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT) {
+                throw new ApiError(400, `limit must be an integer from 1 to ${MAX_AUDIT_LIMIT}`);
+            }
+            filters.limit = limit;
+        }
+
+        return { body: this.auditLog.query(filters) };
+    }
+
+    // ----- Authentication -----
+
+    async login(params, body, query, req) {
+        let session;
+        try {
+            session = await this.auth.login(body.username, body.password, req.socket.remoteAddress);
+        } catch (error) {
+            if (error instanceof DashboardAuth.AuthError) {
+                throw new ApiError(error.code === 'too-many-attempts' ? 429 : 401, error.message);
+            }
+            throw error;
+        }
+
+        const principal = { type: 'session', username: session.user.username, token: session.token };
+        return {
+            body: { ...this.auth.describe(principal), token: session.token },
+            headers: { 'Set-Cookie': this.auth.sessionCookie(session.token, session.expiresAt, Boolean(req.socket.encrypted)) }
+        };
+    }
+
+    logout(params, body, query, req) {
+        this.auth.logout(req.principal);
+        return { status: 204, headers: { 'Set-Cookie': this.auth.clearedCookie(Boolean(req.socket.encrypted)) } };
+    }
+
+    getSession(params, body, query, req) {
+        return { body: this.auth.describe(req.principal) };
+    }
+
+    async changePassword(params, body, query, req) {
+        const principal = req.principal;
+        if (principal.type !== 'session') {
+            throw new ApiError(403, 'Only logged-in users have a password');
+        }
+        if (!await this.users.verify(principal.username, body.currentPassword)) {
+            throw new ApiError(403, 'Current password is wrong');
+        }
+
+        await callUsers(() => this.users.update(principal.username, { password: body.password }));
+        this.auth.endSessions(principal.username, principal.token);
+        return { status: 204 };
+    }
+
+    // ----- Users -----
+
+    listUsers() {
+        return { body: { users: this.users.list() } };
+    }
+
+    async createUser(params, body) {
+        const user = await callUsers(() => this.users.create(body.username, body.password, body.role));
+        return { status: 201, body: user };
+    }
+
+    async updateUser(params, body, query, req) {
+        const user = await callUsers(() => this.users.update(params.username, { role: body.role, password: body.password }));
+        if (body.password !== undefined) {
+            this.auth.endSessions(params.username, req.principal.token);
+        }
+        return { body: user };
+    }
+
+    async deleteUser(params) {
+        await callUsers(() => this.users.remove(params.username));
+        this.auth.endSessions(params.username);
+        return { status: 204 };
+    }
+
+    // ----- API tokens -----
+
+    listTokens() {
+        return { body: { tokens: this.tokens.list() } };
+    }
+
+    issueToken(params, body, query, req) {
+        const token = callTokens(() => this.tokens.issue(body, req.principal.username));
+        return { status: 201, body: token };
+    }
+
+    getApiToken(params) {
+        const token = this.tokens.get(params.id);
+        if (!token) {
+            throw new ApiError(404, `Unknown API token: ${params.id}`);
+        }
+        return { body: token };
+    }
+
+    revokeToken(params) {
+        callTokens(() => this.tokens.revoke(params.id));
+        return { status: 204 };
+    }
+
+    // ----- Configuration -----
+
+    exportConfiguration() {
+        return {
+            body: {
+                routing: this.router.exportConfiguration(),
+                devices: this.deviceManager.exportConfiguration()
+            }
+        };
+    }
+
+    importConfiguration(params, body) {
+        if (body.routing === undefined && body.devices === undefined) {
+            throw new ApiError(400, 'Configuration must contain routing and/or devices');
+        }
+        if (body.routing !== undefined) {
+            validateRoutingConfig(body.routing);
+        }
+        if (body.devices !== undefined && !isPlainObject(body.devices)) {
+            throw new ApiError(400, 'devices must be an object');
+        }
+
+        // Groups first, routing may refer to their modes
+        if (body.devices !== undefined && !this.deviceManager.importConfiguration(body.devices)) {
+            throw new ApiError(400, 'Device configuration could not be imported');
+        }
+        if (body.routing !== undefined && !this.router.importConfiguration(body.routing)) {
+            throw new ApiError(400, 'Routing configuration could not be imported');
+        }
+
+        return this.exportConfiguration();
+    }
+
+    get router() {
+        return this.udpServer.audioRouter;
+    }
+
+    get deviceManager() {
+        return this.udpServer.deviceManager;
+    }
+
+    get pacer() {
+        return this.udpServer.packetPacer;
+    }
+
+    get registry() {
+        return this.udpServer.deviceRegistry;
+    }
+
+    get recorder() {
+        return this.udpServer.callRecorder;
+    }
+
+    get auditLog() {
+        return this.udpServer.auditLog;
+    }
+
+    get users() {
+        return this.auth.users;
+    }
+
+    get tokens() {
+        return this.auth.tokens;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function requireDeviceId(value, field) {
+    if (typeof value !== 'string' || value.length === 0 || value.length > MAX_DEVICE_ID_LENGTH) {
+        throw new ApiError(400, `${field} must be a device ID of 1-${MAX_DEVICE_ID_LENGTH} characters`);
+    }
+    return value;
+}
+
+// Milliseconds since the epoch or an ISO 8601 date
+function parseTime(value, field) {
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new ApiError(400, `${field} must be a timestamp in ms or an ISO 8601 date`);
+    }
+    return time;
+}
+
+function setLogLevel(module, level) {
+    try {
+        logging.setLevel(module, level);
+    } catch (error) {
+        if (error instanceof logging.LoggingError) {
+            throw new ApiError(400, error.message);
+        }
+        throw error;
+    }
+}
+
+async function callUsers(operation) {
+    try {
+        return await operation();
+    } catch (error) {
+        if (error instanceof UserStore.UserError) {
+            throw new ApiError(USER_ERROR_STATUS[error.code] || 400, error.message);
+        }
+        throw error;
+    }
+}
+
+function callTokens(operation) {
+    try {
+        return operation();
+    } catch (error) {
+        if (error instanceof TokenStore.TokenError) {
+            throw new ApiError(TOKEN_ERROR_STATUS[error.code] || 400, error.message);
+        }
+        throw error;
+    }
+}
+
+// Pacing overrides may use '*' for either end, but not both
+function requirePacingRoute(params) {
+    const source = params.source === '*' ? '*' : requireDeviceId(params.source, 'source');
+    const target = params.target === '*' ? '*' : requireDeviceId(params.target, 'target');
+
+    if (source === '*' && target === '*') {
+        throw new ApiError(400, 'Use PUT /api/pacing to change the policy of every route');
+    }
+    return { source, target };
+}
+
+function requireDeviceIdList(value, field) {
+    if (!Array.isArray(value)) {
+        throw new ApiError(400, `${field} must be an array of device IDs`);
+    }
+    value.forEach((deviceId, i) => requireDeviceId(deviceId, `${field}[${i}]`));
+    return Array.from(new Set(value));
+}
+
+function validateRoutingConfig(routing) {
+    if (!isPlainObject(routing)) {
+        throw new ApiError(400, 'routing must be an object');
+    }
+
+    if (routing.routes !== undefined) {
+        if (!Array.isArray(routing.routes)) {
+            throw new ApiError(400, 'routing.routes must be an array');
+        }
+        routing.routes.forEach((route, i) => {
+            if (!isPlainObject(route)) {
+                throw new ApiError(400, `routing.routes[${i}] must be an object`);
+            }
+            requireDeviceId(route.source, `routing.routes[${i}].source`);
+            requireDeviceIdList(route.targets, `routing.routes[${i}].targets`);
+        });
+    }
+
+    ['broadcast', 'muted', 'groupModes', 'gains'].forEach(key => {
+        if (routing[key] !== undefined && !Array.isArray(routing[key])) {
+            throw new ApiError(400, `routing.${key} must be an array`);
+        }
+    });
+}
+
+module.exports = RestAPI;
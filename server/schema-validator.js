@@ -0,0 +1,388 @@
+/**
+ * Schema Validator - Runtime validation against the published API schemas
+ *
+ * schemas/openapi.json describes the REST API, schemas/asyncapi.json the
+ * control and audio WebSocket protocols. This module validates incoming
+ * requests and messages against those documents so the schemas stay the
+ * single source of truth.
+ *
+ * Supports the JSON Schema subset the documents use: type, const, enum,
+ * required, properties, additionalProperties, items, min/maxItems,
+ * min/maxLength, pattern, minimum/maximum, oneOf, anyOf, nullable and
+ * local $ref pointers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMAS_DIR = path.join(__dirname, '..', 'schemas');
+
+// Error codes sent to WebSocket clients
+const ERROR_CODES = {
+    INVALID_JSON: 'INVALID_JSON',
+    UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+    VALIDATION_FAILED: 'VALIDATION_FAILED',
+    COMMAND_FAILED: 'COMMAND_FAILED',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    FORBIDDEN: 'FORBIDDEN',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+const documentCache = new Map();
+
+/**
+ * Load a schema document from the schemas directory (cached)
+ * @param {string} name - Document name without extension ('openapi', 'asyncapi')
+ * @returns {Object} Parsed document
+ */
+function loadSchema(name) {
+    if (!documentCache.has(name)) {
+        const filePath = path.join(SCHEMAS_DIR, `${name}.json`);
+        documentCache.set(name, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+    return documentCache.get(name);
+}
+
+class SchemaValidator {
+    constructor(document) {
+        this.document = document;
+    }
+
+    /**
+     * Follow a local $ref ("#/components/schemas/Name")
+     * @param {string} ref - Reference
+     * @returns {Object} Referenced schema
+     */
+    resolve(ref) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Only local references are supported: ${ref}`);
+        }
+
+        const target = ref.slice(2).split('/').reduce((node, key) => {
+            return node ? node[key.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined;
+        }, this.document);
+
+        if (!target) {
+            throw new Error(`Unresolvable reference: ${ref}`);
+        }
+        return target;
+    }
+
+    /**
+     * Validate a value against a schema
+     * @param {Object} schema - Schema (may be a $ref)
+     * @param {*} value - Value to check
+     * @param {string} [pointer] - JSON pointer of the value, for error paths
+     * @returns {Array} Errors as { path, message }, empty if valid
+     */
+    validate(schema, value, pointer = '') {
+        if (schema.$ref) {
+            return this.validate(this.resolve(schema.$ref), value, pointer);
+        }
+
+        const errors = [];
+        const fail = (message, at = pointer) => errors.push({ path: at || '/', message });
+
+        if (value === null && schema.nullable) {
+            return errors;
+        }
+
+        if (schema.const !== undefined && value !== schema.const) {
+            fail(`must be ${JSON.stringify(schema.const)}`);
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+            return errors;
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => matchesType(type, value))) {
+                fail(`must be ${types.join(' or ')}`);
+                return errors;
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(`must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                fail(`must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                fail(`must match ${schema.pattern}`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                fail(`must be >= ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                fail(`must be <= ${schema.maximum}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail(`must have at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                fail(`must have at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, i) => {
+                    errors.push(...this.validate(schema.items, item, `${pointer}/${i}`));
+                });
+            }
+        }
+
+        if (matchesType('object', value)) {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    fail(`is required`, `${pointer}/${key}`);
+                }
+            });
+
+            const properties = schema.properties || {};
+            Object.keys(value).forEach(key => {
+                if (properties[key]) {
+                    errors.push(...this.validate(properties[key], value[key], `${pointer}/${key}`));
+                } else if (schema.additionalProperties === false) {
+                    fail(`is not allowed`, `${pointer}/${key}`);
+                } else if (typeof schema.additionalProperties === 'object') {
+                    errors.push(...this.validate(schema.additionalProperties, value[key], `${pointer}/${key}`));
+                }
+            });
+        }
+
+        if (schema.oneOf) {
+            const matches = schema.oneOf.filter(option => this.validate(option, value, pointer).length === 0);
+            if (matches.length !== 1) {
+                fail(`must match exactly one of: ${schema.oneOf.map(describe).join('; ')}`);
+            }
+        }
+
+        if (schema.anyOf) {
+            if (!schema.anyOf.some(option => this.validate(option, value, pointer).length === 0)) {
+                fail(`must match at least one of: ${schema.anyOf.map(describe).join('; ')}`);
+            }
+        }
+
+        return errors;
+    }
+}
+
+/**
+ * Validates WebSocket messages of one AsyncAPI channel
+ */
+class MessageValidator extends SchemaValidator {
+    /**
+     * @param {string} channel - Channel name in asyncapi.json ('control', 'audio')
+     */
+    constructor(channel) {
+        super(loadSchema('asyncapi'));
+
+        this.channel = channel;
+        this.messages = new Map();    // type -> payload schema
+        this.replies = new Map();     // type -> reply message type
+        this.permissions = new Map(); // type -> x-permission
+        this.resources = new Map();   // type -> x-resources
+
+        const operation = this.document.channels[channel].publish;
+        operation.message.oneOf.forEach(ref => {
+            const message = this.resolve(ref.$ref);
+            this.messages.set(message.name, message.payload);
+            this.permissions.set(message.name, message['x-permission']);
+            if (message['x-resources']) {
+                this.resources.set(message.name, message['x-resources']);
+            }
+            if (message['x-reply']) {
+                this.replies.set(message.name, this.resolve(message['x-reply'].$ref).name);
+            }
+        });
+    }
+
+    /**
+     * Whether a message type is answered with its own reply (others get an ack)
+     * @param {string} type - Message type
+     * @returns {boolean} True if the schema declares an x-reply
+     */
+    hasReply(type) {
+        return this.replies.has(type);
+    }
+
+    /**
+     * Permission a message type needs (see dashboard-auth.js)
+     * @param {string} type - Message type
+     * @returns {string|undefined} The x-permission of the message
+     */
+    getPermission(type) {
+        return this.permissions.get(type);
+    }
+
+    /**
+     * Devices and groups a message is about, for scoped API tokens
+     * @param {Object} message - Validated message
+     * @returns {Object|null} { devices, groups }, null if the type declares no x-resources
+     */
+    getResources(message) {
+        return collectResources(this.resources.get(message.type), message);
+    }
+
+    /**
+     * Validate a parsed client message
+     * @param {*} message - Parsed JSON message
+     * @returns {Object} { ok, code, message, errors }
+     */
+    validateMessage(message) {
+        if (!matchesType('object', message) || typeof message.type !== 'string') {
+            return {
+                ok: false,
+                code: ERROR_CODES.VALIDATION_FAILED,
+                message: 'Message must be an object with a string "type"',
+                errors: [{ path: '/type', message: 'is required' }]
+            };
+        }
+
+        const schema = this.messages.get(message.type);
+        if (!schema) {
+            return {
+                ok: false,
+                code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE,
+                message: `Unknown message type: ${message.type}`,
+                errors: []
+            };
+        }
+
+        const errors = this.validate(schema, message);
+        if (errors.length > 0) {
+            return {
+                ok: false,
+                code: ERROR_CODES.VALIDATION_FAILED,
+                message: `Invalid ${message.type} message`,
+                errors
+            };
+        }
+
+        return { ok: true };
+    }
+
+    getMessageTypes() {
+        return Array.from(this.messages.keys());
+    }
+}
+
+/**
+ * Validates REST request bodies against OpenAPI operations
+ */
+class RequestValidator extends SchemaValidator {
+    constructor() {
+        super(loadSchema('openapi'));
+
+        this.bodies = new Map();      // operationId -> { required, schema }
+        this.permissions = new Map(); // operationId -> x-permission
+        this.resources = new Map();   // operationId -> x-resources
+
+        Object.values(this.document.paths).forEach(pathItem => {
+            Object.values(pathItem).forEach(operation => {
+                if (!operation || !operation.operationId) return;
+
+                this.permissions.set(operation.operationId, operation['x-permission']);
+                if (operation['x-resources']) {
+                    this.resources.set(operation.operationId, operation['x-resources']);
+                }
+                if (!operation.requestBody) return;
+
+                const content = operation.requestBody.content['application/json'];
+                this.bodies.set(operation.operationId, {
+                    required: Boolean(operation.requestBody.required),
+                    schema: content.schema
+                });
+            });
+        });
+    }
+
+    /**
+     * Permission an operation needs (see dashboard-auth.js)
+     * @param {string} operationId - OpenAPI operation ID
+     * @returns {string|undefined} The x-permission of the operation
+     */
+    getPermission(operationId) {
+        return this.permissions.get(operationId);
+    }
+
+    /**
+     * Devices and groups a request is about, for scoped API tokens
+     * x-resources fields are looked up in the path parameters, then the body.
+     * @param {string} operationId - OpenAPI operation ID
+     * @param {Object} params - Path parameters
+     * @param {Object} body - Validated body
+     * @returns {Object|null} { devices, groups }, null if the operation declares no x-resources
+     */
+    getResources(operationId, params, body) {
+        return collectResources(this.resources.get(operationId), { ...body, ...params });
+    }
+
+    /**
+     * Validate the body of a request
+     * @param {string} operationId - OpenAPI operation ID
+     * @param {Object} body - Parsed body ({} when empty)
+     * @returns {Array} Errors as { path, message }, empty if valid
+     */
+    validateBody(operationId, body) {
+        const definition = this.bodies.get(operationId);
+        if (!definition) return [];
+
+        return this.validate(definition.schema, body);
+    }
+}
+
+// Values of the x-resources fields: { devices: [...], groups: [...] }
+function collectResources(spec, values) {
+    if (!spec) return null;
+
+    const collect = fields => (fields || []).reduce((ids, field) => {
+        const value = values[field];
+        if (typeof value === 'string') ids.push(value);
+        if (Array.isArray(value)) ids.push(...value.filter(id => typeof id === 'string'));
+        return ids;
+    }, []);
+
+    return { devices: collect(spec.devices), groups: collect(spec.groups) };
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+function describe(schema) {
+    if (schema.required && Object.keys(schema).length === 1) {
+        return `has ${schema.required.join(', ')}`;
+    }
+    return schema.$ref ? schema.$ref.split('/').pop() : JSON.stringify(schema);
+}
+
+module.exports = {
+    ERROR_CODES,
+    loadSchema,
+    SchemaValidator,
+    MessageValidator,
+    RequestValidator
+};
@@ -0,0 +1,583 @@
+/**
+ * Secure Transport - Encrypted sessions between devices and the server
+ *
+ * Handshake (DTLS-SRTP style, over the normal UDP socket):
+ *   Device → Server  KEY_EXCHANGE      { method, random, publicKey }
+ *   Server → Device  KEY_EXCHANGE_ACK  { challenge }
+ *   Device → Server  KEY_EXCHANGE      { method, random, publicKey, challenge, proof | certificate + signature }
+ *   Server → Device  KEY_EXCHANGE_ACK  { random, publicKey, proof }
+ *
+ * The challenge (like a DTLS cookie) is issued statelessly for the device ID
+ * and address and expires after CHALLENGE_LIFETIME_MS; it is part of the
+ * signed transcript, and a client random is accepted only once while its
+ * challenge is valid. A replayed KEY_EXCHANGE therefore cannot replace a
+ * live session, and the server only moves a device to the handshake's
+ * address once it succeeded (see udp-server.js).
+ *
+ * Both sides run an ephemeral X25519 exchange. Session keys come from
+ * HKDF-SHA256 over the shared secret (plus the device's pre-shared key in
+ * 'psk' mode), salted with both randoms, one AES-128-GCM key per direction.
+ *
+ * Device authentication:
+ * - psk:  HMAC of the transcript with the device key from DeviceAuthenticator
+ * - cert: RSA/ECDSA signature with the device's X.509 private key, checked
+ *         against the pinned certificate configured for that device
+ * In psk mode the server proves knowledge of the same key; in cert mode the
+ * server proof only confirms both sides derived the same keys.
+ *
+ * Encrypted packets are v2 packets with FLAGS.ENCRYPTED whose payload is
+ *   [Counter(4,BE)][AES-128-GCM ciphertext][Tag(16)]
+ * with the packet header as additional authenticated data. Only AUDIO and
+ * CONTROL packets are encrypted; handshake and heartbeat packets stay clear.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config/server-config.json');
+const protocol = require('./packet-protocol');
+const ReplayWindow = require('./replay-window');
+const log = require('./logger').forModule('secure-transport');
+
+const SESSION_INFO = Buffer.from('esp-udp-audio session v1');
+const KEY_SIZE = 16;
+const SALT_SIZE = 4;
+const COUNTER_SIZE = 4;
+const TAG_SIZE = 16;
+const RANDOM_SIZE = 32;
+const CHALLENGE_LIFETIME_MS = 30000;
+
+// Parity is derived from audio, so it is as sensitive as the audio itself;
+// ACKs echo control outcomes and NACKs trigger retransmissions
+const ENCRYPTED_TYPES = [
+    protocol.PACKET_TYPES.AUDIO,
+    protocol.PACKET_TYPES.CONTROL,
+    protocol.PACKET_TYPES.REDUNDANCY,
+    protocol.PACKET_TYPES.CONTROL_ACK,
+    protocol.PACKET_TYPES.NACK
+];
+
+// Packets a device may always send in the clear, even in 'required' mode
+const CLEARTEXT_TYPES = [
+    protocol.PACKET_TYPES.HEARTBEAT,
+    protocol.PACKET_TYPES.HELLO,
+    protocol.PACKET_TYPES.KEY_EXCHANGE
+];
+
+class SecureTransport {
+    constructor(deviceAuth, options = {}) {
+        const encryptionConfig = CONFIG.security.encryption;
+
+        this.deviceAuth = deviceAuth;
+        this.mode = options.mode || encryptionConfig.mode; // 'off', 'optional', 'required'
+        this.requireCertificates = CONFIG.security.requireCertificates;
+
+        // Active sessions
+        this.sessions = new Map(); // deviceId -> session
+
+        // Pinned device certificates
+        this.certificates = new Map(); // deviceId -> { fingerprint, publicKey }
+
+        // Handshake freshness: challenges are MACs with a per-process secret
+        this.challengeSecret = crypto.randomBytes(32);
+        this.usedRandoms = new Map(); // client random (base64) -> expiry, while its challenge is valid
+
+        // Statistics
+        this.stats = {
+            handshakes: 0,
+            handshakeFailures: 0,
+            challengesSent: 0,
+            packetsEncrypted: 0,
+            packetsDecrypted: 0,
+            decryptFailures: 0,
+            plaintextRejected: 0
+        };
+
+        if (this.mode !== 'off') {
+            this.loadCertificates(options.certificates || encryptionConfig.certificates);
+        }
+    }
+
+    /**
+     * Pin the certificate of every configured device
+     * @param {Object} directories - deviceId -> certificate directory (relative to project root)
+     */
+    loadCertificates(directories = {}) {
+        Object.entries(directories).forEach(([deviceId, directory]) => {
+            const credentials = SecureTransport.readCredentials(directory);
+            if (!credentials) {
+                log.warn(`No certificate found for ${deviceId} in ${directory}`, { deviceId });
+                return;
+            }
+
+            this.certificates.set(deviceId, {
+                fingerprint: SecureTransport.fingerprint(credentials.certificate),
+                publicKey: crypto.createPublicKey(credentials.certificate)
+            });
+        });
+
+        if (this.certificates.size > 0) {
+            log.info(`Pinned ${this.certificates.size} device certificates (encryption: ${this.mode})`);
+        }
+    }
+
+    /**
+     * Handle a KEY_EXCHANGE from a device and create its session
+     * An offer without a valid challenge is answered with a fresh one.
+     * @param {string} deviceId - Device ID from the packet header
+     * @param {Buffer} payload - KEY_EXCHANGE payload
+     * @param {string} address - Sender as 'address:port'
+     * @returns {Object|null} { payload, established } with the KEY_EXCHANGE_ACK
+     *   payload and whether a session was created, or null if refused
+     */
+    handleKeyExchange(deviceId, payload, address) {
+        if (this.mode === 'off') return null;
+
+        try {
+            const offer = JSON.parse(payload.toString());
+
+            if (!this.checkChallenge(deviceId, address, offer.challenge)) {
+                this.stats.challengesSent++;
+                return {
+                    payload: Buffer.from(JSON.stringify({ challenge: this.createChallenge(deviceId, address, Date.now()) })),
+                    established: false
+                };
+            }
+
+            const clientRandom = Buffer.from(offer.random, 'base64');
+            const clientPublic = Buffer.from(offer.publicKey, 'base64');
+            const transcript = SecureTransport.transcript(deviceId, offer.method, clientRandom, clientPublic, offer.challenge);
+
+            let psk = null;
+            if (offer.method === 'psk') {
+                if (this.requireCertificates) {
+                    throw new Error('PSK handshakes are disabled (requireCertificates)');
+                }
+                psk = this.deviceAuth.keys.get(deviceId);
+                if (!psk) {
+                    throw new Error('no pre-shared key registered');
+                }
+                const expected = hmac(psk, Buffer.concat([Buffer.from('client'), transcript]));
+                if (!safeEqual(expected, Buffer.from(offer.proof || '', 'base64'))) {
+                    throw new Error('bad PSK proof');
+                }
+            } else if (offer.method === 'cert') {
+                const pinned = this.certificates.get(deviceId);
+                if (!pinned) {
+                    throw new Error('no certificate pinned for device');
+                }
+                if (SecureTransport.fingerprint(offer.certificate || '') !== pinned.fingerprint) {
+                    throw new Error('certificate does not match pinned certificate');
+                }
+                if (!crypto.verify('sha256', transcript, pinned.publicKey, Buffer.from(offer.signature || '', 'base64'))) {
+                    throw new Error('bad certificate signature');
+                }
+            } else {
+                throw new Error(`unknown method ${offer.method}`);
+            }
+
+            // Checked after the proof so forged offers cannot burn a device's randoms
+            if (!this.useRandom(offer.random)) {
+                throw new Error('replayed offer');
+            }
+
+            const ephemeral = SecureTransport.generateEphemeral();
+            const serverRandom = crypto.randomBytes(RANDOM_SIZE);
+            const shared = SecureTransport.sharedSecret(ephemeral.privateKey, clientPublic);
+
+            const session = SecureTransport.deriveSession(shared, psk, clientRandom, serverRandom, true);
+            session.method = offer.method;
+
+            const finished = Buffer.concat([transcript, serverRandom, ephemeral.publicKey]);
+            this.sessions.set(deviceId, session);
+            this.stats.handshakes++;
+
+            log.info(`Encrypted session established with ${deviceId} (${offer.method})`, { deviceId, method: offer.method });
+
+            return {
+                payload: Buffer.from(JSON.stringify({
+                    random: serverRandom.toString('base64'),
+                    publicKey: ephemeral.publicKey.toString('base64'),
+                    proof: hmac(session.sendKey, Buffer.concat([Buffer.from('server'), finished])).toString('base64')
+                })),
+                established: true
+            };
+        } catch (error) {
+            this.stats.handshakeFailures++;
+            log.limited('key-exchange').warn(`Key exchange from ${deviceId} refused: ${error.message}`, { deviceId });
+            return null;
+        }
+    }
+
+    // [IssuedAt(8,BE)][HMAC(secret, deviceId|address|issuedAt)], base64
+    createChallenge(deviceId, address, issuedAt) {
+        const time = Buffer.alloc(8);
+        time.writeBigUInt64BE(BigInt(issuedAt));
+        const mac = hmac(this.challengeSecret, Buffer.concat([Buffer.from(`${deviceId}|${address}|`), time]));
+        return Buffer.concat([time, mac]).toString('base64');
+    }
+
+    checkChallenge(deviceId, address, challenge) {
+        if (typeof challenge !== 'string') return false;
+
+        const bytes = Buffer.from(challenge, 'base64');
+        if (bytes.length !== 8 + 32) return false;
+
+        const issuedAt = Number(bytes.readBigUInt64BE(0));
+        const age = Date.now() - issuedAt;
+        if (age < 0 || age > CHALLENGE_LIFETIME_MS) return false;
+
+        return safeEqual(Buffer.from(this.createChallenge(deviceId, address, issuedAt), 'base64'), bytes);
+    }
+
+    // Record a client random; false if it was used while a challenge could still be valid
+    useRandom(random) {
+        const now = Date.now();
+        this.usedRandoms.forEach((expiresAt, used) => {
+            if (expiresAt <= now) this.usedRandoms.delete(used);
+        });
+
+        if (this.usedRandoms.has(random)) return false;
+        this.usedRandoms.set(random, now + CHALLENGE_LIFETIME_MS);
+        return true;
+    }
+
+    hasSession(deviceId) {
+        return this.sessions.has(deviceId);
+    }
+
+    endSession(deviceId) {
+        if (this.sessions.delete(deviceId)) {
+            log.info(`Encrypted session with ${deviceId} closed`, { deviceId });
+        }
+    }
+
+    isEncrypted(decoded) {
+        return Boolean(decoded.flags & protocol.FLAGS.ENCRYPTED);
+    }
+
+    /**
+     * Decrypt an ingress packet
+     * @param {Buffer} packet - Raw encrypted packet
+     * @param {Object} decoded - decodePacket(packet)
+     * @returns {Buffer|null} Plain packet, or null if it fails authentication
+     */
+    decrypt(packet, decoded) {
+        const session = this.sessions.get(decoded.deviceId);
+        const plain = session ? SecureTransport.openPacket(session, packet, decoded) : null;
+
+        if (!plain) {
+            this.stats.decryptFailures++;
+            return null;
+        }
+
+        this.stats.packetsDecrypted++;
+        return plain;
+    }
+
+    /**
+     * Whether a cleartext packet may be accepted from a device
+     * Once a device has a session, cleartext audio and control claiming its
+     * ID is rejected in every mode, else anyone could inject audio or move
+     * the device to another address.
+     * @param {Object} decoded - Decoded plaintext packet
+     * @returns {boolean} False when the packet must have been encrypted
+     */
+    allowsPlaintext(decoded) {
+        if (CLEARTEXT_TYPES.includes(decoded.type)) return true;
+
+        const required = this.mode === 'required' ||
+            (this.sessions.has(decoded.deviceId) && ENCRYPTED_TYPES.includes(decoded.type));
+        if (!required) return true;
+
+        this.stats.plaintextRejected++;
+        return false;
+    }
+
+    /**
+     * Encrypt an egress packet for its target device
+     * @param {Object} device - Target device
+     * @param {Buffer} packet - Plain packet
+     * @returns {Buffer|null} Packet to send, or null if it must not be sent in the clear
+     */
+    protect(device, packet) {
+        if (this.mode === 'off') return packet;
+
+        const decoded = protocol.decodePacket(packet);
+        if (!decoded || !ENCRYPTED_TYPES.includes(decoded.type)) {
+            return packet;
+        }
+
+        const session = this.sessions.get(device.id);
+        if (!session) {
+            return this.mode === 'required' && !device.isDashboard ? null : packet;
+        }
+
+        this.stats.packetsEncrypted++;
+        return SecureTransport.sealPacket(session, packet, decoded);
+    }
+
+    getStats() {
+        const sessions = {};
+        this.sessions.forEach((session, deviceId) => {
+            sessions[deviceId] = {
+                method: session.method,
+                established: session.createdAt,
+                sent: session.sendCounter
+            };
+        });
+
+        return {
+            ...this.stats,
+            mode: this.mode,
+            sessions
+        };
+    }
+
+    // ---- Shared by server and devices (simulators) ----
+
+    /**
+     * Build a device's KEY_EXCHANGE payload
+     * Without a challenge the server only answers with one (see
+     * challengeOf()); the device then sends a new offer including it.
+     * @param {string} deviceId - Device ID
+     * @param {Object} credentials - { psk } or { certificate, privateKey } (PEM)
+     * @param {string} [challenge] - Challenge from the server's KEY_EXCHANGE_ACK
+     * @returns {Object} { payload, state } - state is needed to finish the handshake
+     */
+    static createKeyExchange(deviceId, credentials, challenge) {
+        const method = credentials.certificate ? 'cert' : 'psk';
+        const ephemeral = SecureTransport.generateEphemeral();
+        const random = crypto.randomBytes(RANDOM_SIZE);
+        const transcript = SecureTransport.transcript(deviceId, method, random, ephemeral.publicKey, challenge);
+        const psk = credentials.psk
+            ? (Buffer.isBuffer(credentials.psk) ? credentials.psk : Buffer.from(credentials.psk, 'hex'))
+            : null;
+
+        const offer = {
+            method,
+            random: random.toString('base64'),
+            publicKey: ephemeral.publicKey.toString('base64'),
+            challenge
+        };
+
+        if (method === 'psk') {
+            offer.proof = hmac(psk, Buffer.concat([Buffer.from('client'), transcript])).toString('base64');
+        } else {
+            offer.certificate = credentials.certificate;
+            offer.signature = crypto.sign('sha256', transcript, crypto.createPrivateKey(credentials.privateKey))
+                .toString('base64');
+        }
+
+        return {
+            payload: Buffer.from(JSON.stringify(offer)),
+            state: { method, random, transcript, psk, privateKey: ephemeral.privateKey }
+        };
+    }
+
+    /**
+     * The challenge in a KEY_EXCHANGE_ACK, if the server asks for one
+     * @param {Buffer} payload - KEY_EXCHANGE_ACK payload
+     * @returns {string|null} Challenge to put in a new offer, null for a session answer
+     */
+    static challengeOf(payload) {
+        const answer = JSON.parse(payload.toString());
+        return typeof answer.challenge === 'string' ? answer.challenge : null;
+    }
+
+    /**
+     * Finish a device-side handshake from the server's KEY_EXCHANGE_ACK
+     * @param {Object} state - State returned by createKeyExchange
+     * @param {Buffer} payload - KEY_EXCHANGE_ACK payload
+     * @returns {Object} Device-side session
+     */
+    static completeKeyExchange(state, payload) {
+        const answer = JSON.parse(payload.toString());
+        const serverRandom = Buffer.from(answer.random, 'base64');
+        const serverPublic = Buffer.from(answer.publicKey, 'base64');
+        const shared = SecureTransport.sharedSecret(state.privateKey, serverPublic);
+
+        const session = SecureTransport.deriveSession(shared, state.psk, state.random, serverRandom, false);
+        session.method = state.method;
+
+        const finished = Buffer.concat([state.transcript, serverRandom, serverPublic]);
+        const expected = hmac(session.recvKey, Buffer.concat([Buffer.from('server'), finished]));
+        if (!safeEqual(expected, Buffer.from(answer.proof || '', 'base64'))) {
+            throw new Error('server proof mismatch');
+        }
+
+        return session;
+    }
+
+    /**
+     * Encrypt a plain packet (converted to v2) with a session's send key
+     * @param {Object} session - Session
+     * @param {Buffer} packet - Plain packet
+     * @param {Object} [decoded] - decodePacket(packet), if already known
+     * @returns {Buffer} Encrypted v2 packet
+     */
+    static sealPacket(session, packet, decoded) {
+        decoded = decoded || protocol.decodePacket(packet);
+
+        const sealed = protocol.encodePacket({
+            ...decoded,
+            version: protocol.PROTOCOL_V2,
+            flags: decoded.flags | protocol.FLAGS.ENCRYPTED,
+            payload: Buffer.alloc(COUNTER_SIZE + decoded.payload.length + TAG_SIZE)
+        });
+        const headerLength = sealed.length - COUNTER_SIZE - decoded.payload.length - TAG_SIZE;
+
+        const counter = session.sendCounter;
+        session.sendCounter = (session.sendCounter + 1) >>> 0;
+
+        const cipher = crypto.createCipheriv('aes-128-gcm', session.sendKey, nonce(session.sendSalt, counter));
+        cipher.setAAD(sealed.slice(0, headerLength));
+        const ciphertext = Buffer.concat([cipher.update(decoded.payload), cipher.final()]);
+
+        sealed.writeUInt32BE(counter, headerLength);
+        ciphertext.copy(sealed, headerLength + COUNTER_SIZE);
+        cipher.getAuthTag().copy(sealed, headerLength + COUNTER_SIZE + ciphertext.length);
+
+        return sealed;
+    }
+
+    /**
+     * Decrypt a packet with a session's receive key
+     * @param {Object} session - Session
+     * @param {Buffer} packet - Encrypted packet
+     * @param {Object} [decoded] - decodePacket(packet), if already known
+     * @returns {Buffer|null} Plain v2 packet, or null on failure or replay
+     */
+    static openPacket(session, packet, decoded) {
+        decoded = decoded || protocol.decodePacket(packet);
+        if (!decoded || decoded.payload.length < COUNTER_SIZE + TAG_SIZE) return null;
+
+        const body = decoded.payload;
+        const counter = body.readUInt32BE(0);
+        const ciphertext = body.slice(COUNTER_SIZE, body.length - TAG_SIZE);
+
+        let plaintext;
+        try {
+            const decipher = crypto.createDecipheriv('aes-128-gcm', session.recvKey, nonce(session.recvSalt, counter));
+            decipher.setAAD(packet.slice(0, decoded.headerLength));
+            decipher.setAuthTag(body.slice(body.length - TAG_SIZE));
+            plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+        } catch (error) {
+            return null;
+        }
+
+        // Only authenticated counters may advance the replay window
+        if (!session.replay.accept(counter)) return null;
+
+        return protocol.encodePacket({
+            ...decoded,
+            flags: decoded.flags & ~protocol.FLAGS.ENCRYPTED,
+            payload: plaintext
+        });
+    }
+
+    static deriveSession(shared, psk, clientRandom, serverRandom, isServer) {
+        const ikm = psk ? Buffer.concat([shared, psk]) : shared;
+        const okm = hkdf(ikm, Buffer.concat([clientRandom, serverRandom]), SESSION_INFO, 2 * (KEY_SIZE + SALT_SIZE));
+
+        const clientToServer = { key: okm.slice(0, KEY_SIZE), salt: okm.slice(2 * KEY_SIZE, 2 * KEY_SIZE + SALT_SIZE) };
+        const serverToClient = { key: okm.slice(KEY_SIZE, 2 * KEY_SIZE), salt: okm.slice(2 * KEY_SIZE + SALT_SIZE) };
+        const send = isServer ? serverToClient : clientToServer;
+        const recv = isServer ? clientToServer : serverToClient;
+
+        return {
+            sendKey: send.key,
+            sendSalt: send.salt,
+            sendCounter: 0,
+            recvKey: recv.key,
+            recvSalt: recv.salt,
+            replay: new ReplayWindow(CONFIG.security.authentication.replayWindow),
+            createdAt: Date.now()
+        };
+    }
+
+    static generateEphemeral() {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('x25519');
+        return {
+            privateKey,
+            publicKey: Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64')
+        };
+    }
+
+    static sharedSecret(privateKey, peerPublic) {
+        const publicKey = crypto.createPublicKey({
+            key: { kty: 'OKP', crv: 'X25519', x: toBase64Url(peerPublic) },
+            format: 'jwk'
+        });
+        return crypto.diffieHellman({ privateKey, publicKey });
+    }
+
+    static transcript(deviceId, method, random, publicKey, challenge = '') {
+        return Buffer.concat([Buffer.from(`${deviceId}|${method}|${challenge}|`), random, publicKey]);
+    }
+
+    /**
+     * SHA-256 fingerprint of a PEM certificate (as used in AWS IoT file names)
+     * @param {string} pem - PEM certificate
+     * @returns {string} Hex fingerprint
+     */
+    static fingerprint(pem) {
+        const der = Buffer.from(pem.replace(/-----[^-]+-----/g, '').replace(/\s+/g, ''), 'base64');
+        return crypto.createHash('sha256').update(der).digest('hex');
+    }
+
+    /**
+     * Read a device certificate and private key from a certificates directory
+     * @param {string} directory - e.g. certificates/TEST_DEVICE_001
+     * @returns {Object|null} { certificate, privateKey } as PEM strings
+     */
+    static readCredentials(directory) {
+        const dir = path.resolve(__dirname, '..', directory);
+        if (!fs.existsSync(dir)) return null;
+
+        const files = fs.readdirSync(dir);
+        const certFile = files.find(f => f.endsWith('-certificate.pem.crt'));
+        const keyFile = files.find(f => f.endsWith('-private.pem.key'));
+        if (!certFile) return null;
+
+        return {
+            certificate: fs.readFileSync(path.join(dir, certFile), 'utf8'),
+            privateKey: keyFile ? fs.readFileSync(path.join(dir, keyFile), 'utf8') : null
+        };
+    }
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 5869 HKDF-SHA256
+function hkdf(ikm, salt, info, length) {
+    const prk = hmac(salt, ikm);
+    const blocks = [];
+    let previous = Buffer.alloc(0);
+
+    for (let i = 1; Buffer.concat(blocks).length < length; i++) {
+        previous = hmac(prk, Buffer.concat([previous, info, Buffer.from([i])]));
+        blocks.push(previous);
+    }
+
+    return Buffer.concat(blocks).slice(0, length);
+}
+
+function nonce(salt, counter) {
+    const iv = Buffer.alloc(12);
+    salt.copy(iv, 0);
+    iv.writeUInt32BE(counter >>> 0, 8);
+    return iv;
+}
+
+function safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function toBase64Url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+module.exports = SecureTransport;
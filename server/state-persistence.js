@@ -0,0 +1,212 @@
+/**
+ * State Persistence - Snapshots routing and device registry across restarts
+ *
+ * Listens to AudioRouter, DeviceManager and DeviceRegistry change events and
+ * saves a debounced snapshot to the configured state store. The snapshot
+ * reuses the exportConfiguration() format of these modules:
+ *   { version, savedAt, routing: {...}, devices: {...}, registry: {...} }
+ *
+ * Restoring feeds the snapshot back through importConfiguration(); saves
+ * are suppressed while that happens so the restore does not echo itself.
+ */
+
+const CONFIG = require('../config/server-config.json');
+const { createStateStore } = require('./state-store');
+const log = require('./logger').forModule('state-persistence');
+
+const SNAPSHOT_KEY = 'snapshot';
+const SNAPSHOT_VERSION = 1;
+
+const DEFAULTS = {
+    debounceMs: 500
+};
+
+const ROUTER_EVENTS = [
+    'route-created',
+    'routes-updated',
+    'route-removed',
+    'routes-cleared',
+    'broadcast-enabled',
+    'broadcast-disabled',
+    'device-muted',
+    'device-unmuted',
+    'conference-created',
+    'group-mode-changed',
+    'participant-gain-changed',
+    'scenario-applied',
+    'configuration-imported'
+];
+
+const DEVICE_EVENTS = [
+    'device-connected',
+    'group-created',
+    'group-updated',
+    'group-deleted',
+    'device-metadata-changed',
+    'configuration-imported'
+];
+
+const REGISTRY_EVENTS = [
+    'registry-changed'
+];
+
+class StatePersistence {
+    constructor(audioRouter, deviceManager, deviceRegistry, options = {}) {
+        this.audioRouter = audioRouter;
+        this.deviceManager = deviceManager;
+        this.deviceRegistry = deviceRegistry;
+        this.options = { ...DEFAULTS, ...CONFIG.persistence, ...options };
+
+        this.store = null;
+        this.saveTimer = null;
+        this.restoring = false;
+
+        this.stats = {
+            saves: 0,
+            saveErrors: 0,
+            lastSaved: null,
+            restored: false
+        };
+
+        this.scheduleSave = this.scheduleSave.bind(this);
+    }
+
+    /**
+     * Open the store, restore the last snapshot and start tracking changes
+     * @returns {boolean} True if a snapshot was restored
+     */
+    start() {
+        if (!this.options.enabled) return false;
+
+        this.store = createStateStore(this.options);
+        const restored = this.restore();
+
+        ROUTER_EVENTS.forEach(event => this.audioRouter.on(event, this.scheduleSave));
+        DEVICE_EVENTS.forEach(event => this.deviceManager.on(event, this.scheduleSave));
+        REGISTRY_EVENTS.forEach(event => this.deviceRegistry.on(event, this.scheduleSave));
+
+        log.info(`State persistence enabled (${this.store.driver}: ${this.store.filePath})`);
+        return restored;
+    }
+
+    /**
+     * Load the last snapshot into the router, device manager and registry
+     * @returns {boolean} True if a snapshot was found and applied
+     */
+    restore() {
+        let snapshot;
+        try {
+            snapshot = this.store.load(SNAPSHOT_KEY);
+        } catch (error) {
+            log.error(`Failed to load saved state: ${error.message}`);
+            return false;
+        }
+
+        if (!snapshot) return false;
+
+        this.apply(snapshot);
+        this.stats.restored = true;
+        log.info(`Restored state saved at ${new Date(snapshot.savedAt).toISOString()}`);
+        return true;
+    }
+
+    /**
+     * Load a snapshot into the router, device manager and registry
+     * Also used by the packet replay tool with the snapshot saved next to a capture.
+     * @param {Object} snapshot - As returned by createSnapshot()
+     */
+    apply(snapshot) {
+        this.restoring = true;
+        try {
+            // Groups must exist before routing refers to their modes
+            if (snapshot.devices) {
+                this.deviceManager.importConfiguration(snapshot.devices);
+            }
+            // After the device metadata, which holds registry names
+            // (older snapshots have no registry, provisioned names still apply)
+            this.deviceRegistry.importConfiguration(snapshot.registry || {});
+            if (snapshot.routing) {
+                this.audioRouter.importConfiguration(snapshot.routing);
+            }
+        } finally {
+            this.restoring = false;
+        }
+    }
+
+    /**
+     * Save a snapshot after changes settle
+     */
+    scheduleSave() {
+        if (this.restoring || !this.store) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.options.debounceMs);
+    }
+
+    /**
+     * Save a snapshot immediately
+     * @returns {boolean} True on success
+     */
+    save() {
+        if (!this.store) return false;
+
+        const snapshot = this.createSnapshot();
+        try {
+            this.store.save(SNAPSHOT_KEY, snapshot);
+            this.stats.saves++;
+            this.stats.lastSaved = snapshot.savedAt;
+            return true;
+        } catch (error) {
+            this.stats.saveErrors++;
+            log.error(`Failed to save state: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Routing, device configuration and registry as they are now
+     * @returns {Object} Snapshot
+     */
+    createSnapshot() {
+        return {
+            version: SNAPSHOT_VERSION,
+            savedAt: Date.now(),
+            routing: this.audioRouter.exportConfiguration(),
+            devices: this.deviceManager.exportConfiguration(),
+            registry: this.deviceRegistry.exportConfiguration()
+        };
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            enabled: Boolean(this.options.enabled),
+            driver: this.store ? this.store.driver : null
+        };
+    }
+
+    /**
+     * Flush pending changes and close the store
+     */
+    stop() {
+        if (!this.store) return;
+
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.save();
+        }
+
+        ROUTER_EVENTS.forEach(event => this.audioRouter.removeListener(event, this.scheduleSave));
+        DEVICE_EVENTS.forEach(event => this.deviceManager.removeListener(event, this.scheduleSave));
+        REGISTRY_EVENTS.forEach(event => this.deviceRegistry.removeListener(event, this.scheduleSave));
+
+        this.store.close();
+        this.store = null;
+    }
+}
+
+module.exports = StatePersistence;
@@ -0,0 +1,121 @@
+/**
+ * State Store - Pluggable key/value storage for server state
+ *
+ * Drivers:
+ * - json:   one JSON document on disk, written atomically (see atomic-file.js)
+ *           and readable only by the server's user, as it holds device secrets
+ * - sqlite: a `state` table in a SQLite database (needs better-sqlite3), also
+ *           readable only by the server's user; SQLite gives its WAL and
+ *           shared-memory files the database file's permissions
+ *
+ * Both drivers expose the same synchronous interface:
+ *   load(key) -> value | null
+ *   save(key, value)
+ *   close()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const atomicFile = require('./atomic-file');
+const log = require('./logger').forModule('state-store');
+
+class JsonStateStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.driver = 'json';
+        this.data = this.read();
+    }
+
+    read() {
+        if (!fs.existsSync(this.filePath)) return {};
+
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            log.error(`Failed to read state file ${this.filePath}: ${error.message}`);
+            return {};
+        }
+    }
+
+    load(key) {
+        return this.data[key] !== undefined ? this.data[key] : null;
+    }
+
+    save(key, value) {
+        this.data[key] = value;
+        atomicFile.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2), 0o600);
+    }
+
+    close() {}
+}
+
+class SqliteStateStore {
+    constructor(filePath, Database) {
+        this.filePath = filePath;
+        this.driver = 'sqlite';
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.closeSync(fs.openSync(filePath, 'a', 0o600));
+        fs.chmodSync(filePath, 0o600);
+
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS state (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            )
+        `);
+
+        this.selectStatement = this.db.prepare('SELECT value FROM state WHERE key = ?');
+        this.upsertStatement = this.db.prepare(`
+            INSERT INTO state (key, value, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+        `);
+    }
+
+    load(key) {
+        const row = this.selectStatement.get(key);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    save(key, value) {
+        this.upsertStatement.run(key, JSON.stringify(value), Date.now());
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+/**
+ * Create a state store from the persistence configuration
+ * Falls back to the JSON driver when SQLite is requested but not installed.
+ * @param {Object} options - { driver, file, sqliteFile }
+ * @returns {JsonStateStore|SqliteStateStore} State store
+ */
+function createStateStore(options) {
+    const root = path.resolve(__dirname, '..');
+
+    if (options.driver === 'sqlite') {
+        let Database = null;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            log.warn('better-sqlite3 is not installed, falling back to JSON state file');
+        }
+
+        if (Database) {
+            return new SqliteStateStore(path.resolve(root, options.sqliteFile), Database);
+        }
+    }
+
+    return new JsonStateStore(path.resolve(root, options.file));
+}
+
+module.exports = {
+    JsonStateStore,
+    SqliteStateStore,
+    createStateStore
+};
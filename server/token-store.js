@@ -0,0 +1,264 @@
+/**
+ * Token Store - Long-lived API tokens for automation clients
+ *
+ * Tokens are kept in config.auth.tokensFile (JSON, written atomically):
+ *   { tokens: [{ id, name, hash, scopes, createdBy, createdAt, expiresAt, usage }] }
+ * Only a SHA-256 hash of a token is stored; the token itself (`uat_...`,
+ * which tells it apart from session tokens) is shown once, when issued.
+ *
+ * A token may do what one of its scopes allows:
+ *   { permission }                     Every operation needing the permission
+ *   { permission, devices, groups }    Only operations about these devices and
+ *                                      groups (members of the groups count as
+ *                                      listed devices)
+ * e.g. [{ permission: 'stats' }, { permission: 'routes', groups: ['lobby'] },
+ *       { permission: 'audio', devices: ['001', '002'] }]
+ * What an operation is about comes from its x-resources in the schemas;
+ * operations without any (clear all routes, apply a scenario, broadcast,
+ * which reaches devices the operation does not name) need a scope without
+ * devices and groups.
+ *
+ * usage counts the allowed requests per operation and the denied ones, with
+ * the time and address of the last use. It is saved by flush(), which
+ * DashboardAuth calls once a minute and on stop.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const atomicFile = require('./atomic-file');
+
+const CONFIG = require('../config/server-config.json');
+const log = require('./logger').forModule('token-store');
+
+const TOKEN_PREFIX = 'uat_';
+const MAX_NAME_LENGTH = 64;
+const MAX_DEVICE_ID_LENGTH = 4;
+
+class TokenError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code; // 'invalid', 'not-found'
+    }
+}
+
+class TokenStore {
+    /**
+     * @param {Object} options - config.auth
+     * @param {string[]} permissions - Permissions a scope may grant
+     */
+    constructor(options, permissions) {
+        this.options = { ...CONFIG.auth, ...options };
+        this.permissions = permissions;
+        this.file = path.resolve(__dirname, '..', this.options.tokensFile);
+
+        this.tokens = new Map(); // Key: token ID, Value: token record
+        this.hashes = new Map(); // Key: token hash, Value: token ID
+        this.dirty = false;      // Usage changed since the last save
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            (data.tokens || []).forEach(token => {
+                this.tokens.set(token.id, token);
+                this.hashes.set(token.hash, token.id);
+            });
+        } catch (error) {
+            throw new Error(`Failed to read API tokens file ${this.file}: ${error.message}`);
+        }
+        log.info(`${this.tokens.size} API tokens in ${this.options.tokensFile}`);
+    }
+
+    save() {
+        atomicFile.writeFileSync(this.file, JSON.stringify({ tokens: Array.from(this.tokens.values()) }, null, 2), 0o600);
+        this.dirty = false;
+    }
+
+    // Save usage counters if they changed
+    flush() {
+        if (!this.dirty) return;
+        try {
+            this.save();
+        } catch (error) {
+            log.error(`Failed to save API token usage: ${error.message}`);
+        }
+    }
+
+    /**
+     * Issue a token
+     * @param {Object} request - { name, scopes, expiresInDays }
+     * @param {string|null} createdBy - User issuing it
+     * @returns {Object} The token record, with the token itself in `token`
+     */
+    issue({ name, scopes, expiresInDays }, createdBy) {
+        if (typeof name !== 'string' || name.length === 0 || name.length > MAX_NAME_LENGTH) {
+            throw new TokenError('invalid', `name must be 1-${MAX_NAME_LENGTH} characters`);
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            throw new TokenError('invalid', 'scopes must be a non-empty array');
+        }
+        scopes.forEach((scope, i) => this.validateScope(scope, `scopes[${i}]`));
+        if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+            throw new TokenError('invalid', 'expiresInDays must be a positive integer');
+        }
+
+        const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        const record = {
+            id: crypto.randomBytes(6).toString('hex'),
+            name,
+            hash: hashToken(token),
+            scopes: scopes.map(normalizeScope),
+            createdBy,
+            createdAt: now,
+            expiresAt: expiresInDays !== undefined ? now + expiresInDays * 86400000 : null,
+            usage: { requests: 0, denied: 0, operations: {}, lastUsedAt: null, lastUsedAddress: null }
+        };
+
+        this.tokens.set(record.id, record);
+        this.hashes.set(record.hash, record.id);
+        this.save();
+
+        log.info(`Issued API token ${record.id} (${name}) for ${record.scopes.map(describeScope).join(', ')}`, { tokenId: record.id, createdBy });
+        return { ...describe(record), token };
+    }
+
+    validateScope(scope, field) {
+        if (scope === null || typeof scope !== 'object' || Array.isArray(scope)) {
+            throw new TokenError('invalid', `${field} must be an object`);
+        }
+        if (!this.permissions.includes(scope.permission)) {
+            throw new TokenError('invalid', `${field}.permission must be one of ${this.permissions.join(', ')}`);
+        }
+        if (scope.devices !== undefined && !isIdList(scope.devices, MAX_DEVICE_ID_LENGTH)) {
+            throw new TokenError('invalid', `${field}.devices must be a non-empty array of device IDs`);
+        }
+        if (scope.groups !== undefined && !isIdList(scope.groups, MAX_NAME_LENGTH)) {
+            throw new TokenError('invalid', `${field}.groups must be a non-empty array of group IDs`);
+        }
+    }
+
+    /**
+     * The valid token record of a presented token
+     * @param {string} token - Token from an Authorization header
+     * @returns {Object|null} Token record, null if unknown, revoked or expired
+     */
+    find(token) {
+        const id = this.hashes.get(hashToken(token));
+        return id && this.isValid(id) ? this.tokens.get(id) : null;
+    }
+
+    isValid(id) {
+        const record = this.tokens.get(id);
+        return Boolean(record && (record.expiresAt === null || record.expiresAt > Date.now()));
+    }
+
+    get(id) {
+        const record = this.tokens.get(id);
+        return record ? describe(record) : null;
+    }
+
+    list() {
+        return Array.from(this.tokens.values()).map(describe);
+    }
+
+    revoke(id) {
+        const record = this.tokens.get(id);
+        if (!record) {
+            throw new TokenError('not-found', `Unknown API token: ${id}`);
+        }
+
+        this.tokens.delete(id);
+        this.hashes.delete(record.hash);
+        this.save();
+        log.info(`Revoked API token ${id} (${record.name})`, { tokenId: id });
+    }
+
+    /**
+     * Whether a token may do something
+     * @param {string} id - Token ID
+     * @param {string} permission - Permission needed
+     * @param {Object|null} [resources] - { devices, groups } the operation is
+     *   about (null: none declared); omitted to check the permission only
+     * @param {Function} groupMembers - (groupId) => device IDs
+     * @returns {boolean}
+     */
+    allows(id, permission, resources, groupMembers) {
+        const record = this.tokens.get(id);
+        if (!record) return false;
+
+        return record.scopes.some(scope => scope.permission === permission &&
+            (resources === undefined || covers(scope, resources, groupMembers)));
+    }
+
+    /**
+     * Count a request made with a token
+     * @param {string} id - Token ID
+     * @param {string} operation - operationId, message type or path
+     * @param {boolean} allowed - Whether it was allowed
+     * @param {string} [address] - Client address
+     */
+    recordUse(id, operation, allowed, address) {
+        const record = this.tokens.get(id);
+        if (!record) return;
+
+        const usage = record.usage;
+        if (allowed) {
+            usage.requests++;
+            usage.operations[operation] = (usage.operations[operation] || 0) + 1;
+        } else {
+            usage.denied++;
+        }
+        usage.lastUsedAt = Date.now();
+        usage.lastUsedAddress = address || null;
+        this.dirty = true;
+    }
+}
+
+// Whether a scope with devices or groups covers everything an operation is about
+function covers(scope, resources, groupMembers) {
+    if (!scope.devices && !scope.groups) return true;
+    if (!resources || resources.devices.length + resources.groups.length === 0) return false;
+
+    const groups = scope.groups || [];
+    const devices = new Set(scope.devices || []);
+    groups.forEach(groupId => groupMembers(groupId).forEach(deviceId => devices.add(deviceId)));
+
+    return resources.groups.every(groupId => groups.includes(groupId)) &&
+        resources.devices.every(deviceId => devices.has(deviceId));
+}
+
+function isIdList(value, maxLength) {
+    return Array.isArray(value) && value.length > 0 &&
+        value.every(id => typeof id === 'string' && id.length > 0 && id.length <= maxLength);
+}
+
+function normalizeScope(scope) {
+    const normalized = { permission: scope.permission };
+    if (scope.devices) normalized.devices = Array.from(new Set(scope.devices));
+    if (scope.groups) normalized.groups = Array.from(new Set(scope.groups));
+    return normalized;
+}
+
+function describeScope(scope) {
+    const limits = [...(scope.devices || []), ...(scope.groups || []).map(groupId => `group ${groupId}`)];
+    return limits.length > 0 ? `${scope.permission} (${limits.join(', ')})` : scope.permission;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A token as shown to clients: everything but the hash
+function describe(record) {
+    const { hash, ...rest } = record;
+    return rest;
+}
+
+TokenStore.TokenError = TokenError;
+TokenStore.TOKEN_PREFIX = TOKEN_PREFIX;
+
+module.exports = TokenStore;
@@ -1,55 +1,116 @@
 const dgram = require('dgram');
 const EventEmitter = require('events');
-const fs = require('fs');
-const path = require('path');
 const DeviceManager = require('./device-manager');
 const AudioRouter = require('./audio-router');
+const AudioMixer = require('./audio-mixer');
+const protocol = require('./packet-protocol');
+const DeviceAuthenticator = require('./device-auth');
+const SecureTransport = require('./secure-transport');
+const StatePersistence = require('./state-persistence');
+const AuditLog = require('./audit-log');
+const DashboardAuth = require('./dashboard-auth');
+const FloorControl = require('./floor-control');
+const LossRecovery = require('./loss-recovery');
+const OpusInspector = require('./opus-inspector');
+const CallRecorder = require('./call-recorder');
+const PacketCapture = require('./packet-capture');
+const ReliableDelivery = require('./reliable-delivery');
+const DeviceCommands = require('./device-commands');
+const DeviceRegistry = require('./device-registry');
+const PacketPacer = require('./packet-pacer');
+const HttpListener = require('./http-listener');
 const WebSocketAPI = require('./websocket-api');
+const log = require('./logger').forModule('udp-server');
 
 const CONFIG = require('../config/server-config.json');
 
+// A device control command that could not be carried out; `code` is
+// reported in the CONTROL_ACK
+class ControlError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
 class UDPAudioServer extends EventEmitter {
     constructor() {
         super();
-        this.socket = dgram.createSocket('udp4');
+        // UDP_HOST and UDP_PORT override config.udp
+        this.bindAddress = {
+            host: process.env.UDP_HOST || CONFIG.udp.host || '0.0.0.0',
+            port: Number(process.env.UDP_PORT) || CONFIG.udp.serverPort
+        };
         this.deviceManager = new DeviceManager();
         this.audioRouter = new AudioRouter(this.deviceManager);
+        this.audioMixer = new AudioMixer(this);
+        this.audioRouter.mixerAvailable = this.audioMixer.isAvailable();
+        this.deviceAuth = new DeviceAuthenticator();
+        this.secureTransport = new SecureTransport(this.deviceAuth);
+        this.deviceRegistry = new DeviceRegistry(this.deviceManager, this.deviceAuth);
+        this.deviceManager.registry = this.deviceRegistry;
+        this.packetPacer = new PacketPacer(this);
+        // Shares its port with the pacer worker's socket, if there is one
+        this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: Boolean(this.packetPacer.worker) });
+        this.lossRecovery = new LossRecovery(this);
+        this.opusInspector = new OpusInspector();
+        this.reliableDelivery = new ReliableDelivery(this);
+        this.deviceCommands = new DeviceCommands(this);
+        this.deviceManager.on('device-disconnected', (device) => {
+            this.secureTransport.endSession(device.id);
+            this.packetPacer.removeDevice(device.id);
+        });
+        this.floorControl = new FloorControl(this.deviceManager);
+        this.callRecorder = new CallRecorder(this.deviceManager);
+        this.audioRouter.floorControl = this.floorControl;
+        this.persistence = new StatePersistence(this.audioRouter, this.deviceManager, this.deviceRegistry);
+        this.auditLog = new AuditLog(this.audioRouter, this.deviceManager);
+        this.packetCapture = new PacketCapture(this);
+        this.dashboardAuth = new DashboardAuth(this.deviceManager);
+        this.httpListener = new HttpListener();
         this.websocketAPI = new WebSocketAPI(this);
 
         this.stats = {
             packetsReceived: 0,
             packetsRouted: 0,
             packetsDropped: 0,
+            packetsRejected: 0,
+            packetsRefused: 0,
             bytesReceived: 0,
             bytesTransmitted: 0,
             startTime: Date.now()
         };
+        this.routeStats = new Map(); // Key: "SRC->DST", Value: { packets, bytes } routed since startup
 
         this.setupSocket();
+        this.setupFloorNotifications();
         this.setupLogging();
     }
 
     setupSocket() {
         this.socket.on('error', (err) => {
-            console.error(`❌ Server error: ${err.stack}`);
+            log.error(`Server error: ${err.message}`, { error: err.stack });
             this.socket.close();
         });
 
         this.socket.on('message', (msg, rinfo) => {
+            this.packetCapture.capture('ingress', msg, rinfo);
             this.handlePacket(msg, rinfo);
         });
 
         this.socket.on('listening', () => {
             const address = this.socket.address();
-            console.log(`\n${'='.repeat(50)}`);
-            console.log(`🎵 UDP Audio Server`);
-            console.log(`${'='.repeat(50)}`);
-            console.log(`✅ Listening on: ${address.address}:${address.port}`);
-            console.log(`✅ WebSocket API: ws://localhost:${CONFIG.websocket.port}`);
-            console.log(`✅ Dashboard: http://localhost:8080`);
-            console.log(`✅ Max devices: ${CONFIG.device.maxDevices}`);
-            console.log(`✅ Audio: ${CONFIG.audio.sampleRate}Hz, ${CONFIG.audio.frameDuration}ms frames`);
-            console.log(`${'='.repeat(50)}\n`);
+            log.info(`UDP Audio Server listening on ${address.address}:${address.port}`, {
+                websocket: `${this.httpListener.webSocketUrl}/ws/control`,
+                dashboard: this.httpListener.url,
+                maxDevices: this.deviceRegistry.maxDevices,
+                enrollment: this.deviceRegistry.policy,
+                audio: `${CONFIG.audio.sampleRate}Hz, ${CONFIG.audio.frameDuration}ms frames`
+            });
+
+            if (this.packetCapture.options.enabled) {
+                this.packetCapture.start();
+            }
         });
     }
 
@@ -59,40 +120,113 @@ class UDPAudioServer extends EventEmitter {
             this.stats.packetsReceived++;
             this.stats.bytesReceived += packet.length;
 
-            // Validate packet minimum size
-            if (packet.length < 8) {
-                console.warn(`⚠️ Invalid packet size ${packet.length} from ${rinfo.address}:${rinfo.port}`);
+            // Parse packet header (v1 or v2)
+            let decoded = protocol.decodePacket(packet);
+            if (!decoded) {
+                log.limited('invalid').warn(`Invalid packet (${packet.length} bytes) from ${rinfo.address}:${rinfo.port}`,
+                    { address: `${rinfo.address}:${rinfo.port}` });
                 this.stats.packetsDropped++;
                 return;
             }
 
-            // Parse packet header
-            const deviceId = packet.slice(0, 4).toString().replace(/\0/g, '');
-            const sequence = packet.readUInt16BE(4);
-            const packetType = packet.readUInt16BE(6);
-            const audioData = packet.slice(8);
+            // Verify the sender before it can touch device state or routes:
+            // encrypted packets authenticate through their session, others via HMAC
+            let auth;
+            const encrypted = this.secureTransport.isEncrypted(decoded);
+            if (encrypted) {
+                const plain = this.secureTransport.decrypt(packet, decoded);
+                auth = plain ? { ok: true, packet: plain, authenticated: true } : { ok: false };
+            } else {
+                auth = this.deviceAuth.verify(packet);
+            }
 
-            // Register/update device
-            const device = this.deviceManager.updateDevice(deviceId, {
+            if (!auth.ok) {
+                this.stats.packetsRejected++;
+                this.stats.packetsDropped++;
+                return;
+            }
+
+            if (auth.packet !== packet) {
+                packet = auth.packet;
+                decoded = protocol.decodePacket(packet);
+            }
+
+            if (!encrypted && !this.secureTransport.allowsPlaintext(decoded)) {
+                this.stats.packetsRejected++;
+                this.stats.packetsDropped++;
+                return;
+            }
+
+            const { deviceId, sequence, type: packetType } = decoded;
+            const retransmit = Boolean(decoded.flags & protocol.FLAGS.RETRANSMIT);
+
+            const info = {
                 address: rinfo.address,
                 port: rinfo.port,
                 lastSeen: Date.now(),
-                sequence: sequence
-            });
+                // Only audio sequences count for loss and jitter, retransmissions are late by design
+                sequence: packetType === protocol.PACKET_TYPES.AUDIO && !retransmit ? sequence : undefined,
+                protocolVersion: decoded.version,
+                authenticated: auth.authenticated
+            };
+
+            // Unknown (when not auto-enrolled), blocked or over maxDevices
+            if (!this.deviceRegistry.admit(deviceId, info)) {
+                this.stats.packetsRefused++;
+                this.stats.packetsDropped++;
+                return;
+            }
+
+            // Answered to the sender only: a challenge round or a replayed
+            // offer must not move the device to another address
+            if (packetType === protocol.PACKET_TYPES.KEY_EXCHANGE &&
+                !this.handleKeyExchange(deviceId, decoded.payload, rinfo)) {
+                return;
+            }
+
+            // Register/update device
+            const device = this.deviceManager.updateDevice(deviceId, info);
+
+            // First v2 contact without a HELLO: advertise our capabilities
+            if (decoded.version >= protocol.PROTOCOL_V2 && !device.capabilities &&
+                !device.helloSent && packetType !== protocol.PACKET_TYPES.HELLO) {
+                this.sendHello(device);
+            }
 
             // Handle different packet types
             switch(packetType) {
-                case 0x0001: // Audio packet
-                    this.routeAudio(device, packet);
+                case protocol.PACKET_TYPES.AUDIO:
+                    if (!this.reliableDelivery.trackAudio(device, decoded)) break;
+                    if (!this.opusInspector.inspect(device, decoded)) {
+                        this.stats.packetsDropped++;
+                        break;
+                    }
+                    this.lossRecovery.recordAudio(device, decoded);
+                    this.routeAudio(device, packet, decoded);
+                    break;
+                case protocol.PACKET_TYPES.REDUNDANCY:
+                    this.handleRedundancy(device, decoded);
+                    break;
+                case protocol.PACKET_TYPES.CONTROL:
+                    this.handleControl(device, decoded.payload);
                     break;
-                case 0x0002: // Control packet
-                    this.handleControl(device, audioData);
+                case protocol.PACKET_TYPES.CONTROL_ACK:
+                    this.reliableDelivery.handleAck(device, decoded.payload);
                     break;
-                case 0x0003: // Heartbeat
+                case protocol.PACKET_TYPES.NACK:
+                    this.reliableDelivery.handleNack(device, decoded.payload);
+                    break;
+                case protocol.PACKET_TYPES.HEARTBEAT:
                     this.handleHeartbeat(device);
                     break;
+                case protocol.PACKET_TYPES.HELLO:
+                    this.handleHello(device, decoded.payload);
+                    break;
+                case protocol.PACKET_TYPES.KEY_EXCHANGE:
+                    // Answered before the device was updated
+                    break;
                 default:
-                    console.warn(`⚠️ Unknown packet type 0x${packetType.toString(16)} from ${deviceId}`);
+                    log.limited('unknown-type').warn(`Unknown packet type 0x${packetType.toString(16)} from ${deviceId}`, { deviceId });
             }
 
             // Emit for monitoring
@@ -100,18 +234,30 @@ class UDPAudioServer extends EventEmitter {
                 deviceId,
                 sequence,
                 type: packetType,
+                version: decoded.version,
                 size: packet.length,
                 timestamp: Date.now()
             });
 
         } catch (error) {
-            console.error(`❌ Packet handling error: ${error.message}`);
+            log.limited('handling').error(`Packet handling error: ${error.message}`,
+                { address: `${rinfo.address}:${rinfo.port}`, error: error.stack });
             this.stats.packetsDropped++;
         }
     }
 
-    routeAudio(sourceDevice, packet) {
+    routeAudio(sourceDevice, packet, decoded) {
+        decoded = decoded || protocol.decodePacket(packet);
+        if (!decoded) return;
+
+        // Mixed groups get one mix-minus stream per listener from the mixer
+        const mixGroups = this.audioRouter.getMixGroups(sourceDevice.id);
+        mixGroups.forEach(groupId => {
+            this.audioMixer.pushFrame(groupId, sourceDevice.id, decoded.payload);
+        });
+
         const routes = this.audioRouter.getRoutes(sourceDevice.id);
+        this.callRecorder.capture(sourceDevice, decoded, routes);
 
         if (routes.length === 0) {
             // No active routes for this device
@@ -121,16 +267,38 @@ class UDPAudioServer extends EventEmitter {
         routes.forEach(targetDeviceId => {
             const targetDevice = this.deviceManager.getDevice(targetDeviceId);
             if (targetDevice && targetDevice.online) {
-                this.sendToDevice(targetDevice, packet);
+                // Re-encode the header if the target speaks another protocol version
+                const converted = protocol.convertPacket(packet, decoded, targetDevice.protocolVersion);
+
+                // Paced routes go through the jitter buffer, the rest is sent as it arrives
+                const policy = this.packetPacer.getPolicy(sourceDevice.id, targetDeviceId);
+                if (policy === 'pass-through') {
+                    this.sendAudio(targetDevice, converted);
+                } else {
+                    this.packetPacer.bufferPacket(converted, sourceDevice, targetDevice, policy);
+                }
                 this.stats.packetsRouted++;
+                this.countRoute(sourceDevice.id, targetDeviceId, converted.length);
             }
         });
     }
 
+    countRoute(sourceId, targetId, bytes) {
+        const key = `${sourceId}->${targetId}`;
+        const route = this.routeStats.get(key) || { packets: 0, bytes: 0 };
+        route.packets++;
+        route.bytes += bytes;
+        this.routeStats.set(key, route);
+    }
+
     sendToDevice(device, packet) {
+        packet = this.protectPacket(device, packet);
+        if (!packet) return;
+
+        this.packetCapture.capture('egress', packet, device);
         this.socket.send(packet, device.port, device.address, (err) => {
             if (err) {
-                console.error(`❌ Failed to send to ${device.id}: ${err.message}`);
+                log.limited(`send:${device.id}`).error(`Failed to send to ${device.id}: ${err.message}`, { deviceId: device.id });
                 this.stats.packetsDropped++;
             } else {
                 this.stats.bytesTransmitted += packet.length;
@@ -138,99 +306,454 @@ class UDPAudioServer extends EventEmitter {
         });
     }
 
+    sendAudio(device, packet) {
+        this.sendToDevice(device, packet);
+        this.recordAudio(device, packet);
+    }
+
+    // Audio also feeds the parity of the target's stream (see loss-recovery.js)
+    // and is kept for retransmission (see reliable-delivery.js)
+    recordAudio(device, packet) {
+        this.lossRecovery.protectOutgoing(device, packet);
+        this.reliableDelivery.recordSent(device, packet);
+    }
+
+    /**
+     * Account for audio the pacer worker sent from its own socket
+     * @param {Object} device - Target device
+     * @param {Buffer} packet - Packet before encryption
+     * @param {Buffer} wire - Packet as sent
+     * @param {string} [error] - Why sending failed
+     */
+    recordPacedAudio(device, packet, wire, error) {
+        this.packetCapture.capture('egress', wire, device);
+        if (error) {
+            log.limited(`send:${device.id}`).error(`Failed to send to ${device.id}: ${error}`, { deviceId: device.id });
+            this.stats.packetsDropped++;
+            return;
+        }
+
+        this.stats.bytesTransmitted += wire.length;
+        this.recordAudio(device, packet);
+    }
+
+    protectPacket(device, packet) {
+        // Encrypt for devices with a session (never downgrade to cleartext in 'required' mode)
+        const protectedPacket = this.secureTransport.protect(device, packet);
+        if (!protectedPacket) {
+            this.stats.packetsDropped++;
+        }
+        return protectedPacket;
+    }
+
     broadcastAudio(sourceDevice, packet) {
         const devices = this.deviceManager.getOnlineDevices();
         devices.forEach(device => {
             if (device.id !== sourceDevice.id) {
-                this.sendToDevice(device, packet);
+                this.sendAudio(device, packet);
             }
         });
     }
 
+    handleRedundancy(device, decoded) {
+        const recovered = this.lossRecovery.recover(device, decoded);
+        if (recovered) {
+            // Settles the NACK for it, if any
+            this.reliableDelivery.trackAudio(device, protocol.decodePacket(recovered));
+            this.routeAudio(device, recovered);
+        }
+    }
+
     handleControl(device, data) {
+        let control;
         try {
-            const control = JSON.parse(data.toString());
-            console.log(`🎮 Control from ${device.id}: ${control.command}`);
+            control = JSON.parse(data.toString());
+        } catch (error) {
+            log.warn(`Control packet parse error from ${device.id}: ${error.message}`, { deviceId: device.id });
+            return;
+        }
+        if (!control || typeof control !== 'object') {
+            log.warn(`Control packet from ${device.id} is not an object`, { deviceId: device.id });
+            return;
+        }
 
-            switch(control.command) {
-                case 'route':
-                    this.audioRouter.setRoute(device.id, control.target);
-                    break;
-                case 'broadcast':
-                    this.audioRouter.enableBroadcast(device.id);
-                    break;
-                case 'mute':
-                    this.audioRouter.muteDevice(device.id);
-                    break;
-                default:
-                    console.warn(`Unknown control command: ${control.command}`);
-            }
+        // Retransmitted commands are acknowledged again, not executed twice
+        if (!this.reliableDelivery.isNewControl(device, control)) return;
+
+        log.info(`Control from ${device.id}: ${control.command}`, { deviceId: device.id, command: control.command });
+        try {
+            this.auditLog.record({ type: 'device', id: device.id }, control.command,
+                () => this.executeControl(device, control));
+            this.reliableDelivery.ackControl(device, control);
         } catch (error) {
-            console.error(`Control packet parse error: ${error.message}`);
+            if (error instanceof ControlError) {
+                log.warn(`Control ${control.command} from ${device.id} failed: ${error.message}`,
+                    { deviceId: device.id, command: control.command });
+            } else {
+                log.error(`Control ${control.command} from ${device.id} failed: ${error.message}`,
+                    { deviceId: device.id, command: control.command, error: error.stack });
+            }
+            this.reliableDelivery.ackControl(device, control, error);
+        }
+    }
+
+    executeControl(device, control) {
+        switch(control.command) {
+            case 'route':
+                if (typeof control.target !== 'string' || control.target.length === 0) {
+                    throw new ControlError('invalid-request', 'route needs a target');
+                }
+                this.audioRouter.setRoute(device.id, control.target);
+                break;
+            case 'broadcast':
+                this.audioRouter.enableBroadcast(device.id);
+                break;
+            case 'mute':
+                this.audioRouter.muteDevice(device.id);
+                break;
+            case 'ptt-start':
+            case 'ptt-stop':
+                this.handlePtt(device, control);
+                break;
+            case 'create-group':
+            case 'join-group':
+            case 'leave-group':
+            case 'add-to-group':
+            case 'remove-from-group':
+            case 'delete-group':
+                this.handleGroupControl(device, control);
+                break;
+            default:
+                throw new ControlError('unknown-command', `Unknown control command: ${control.command}`);
+        }
+    }
+
+    // Group commands from devices: a device only changes its own membership
+    // (other devices consent by joining themselves, operators use the APIs).
+    // It can create, join and leave groups, and delete a group it is alone in.
+    handleGroupControl(device, control) {
+        const { groupId } = control;
+        if (typeof groupId !== 'string' || groupId.length === 0) {
+            throw new ControlError('invalid-request', `${control.command} needs a groupId`);
+        }
+
+        // add-to-group and remove-from-group name the device itself
+        let command = control.command;
+        if (command === 'add-to-group' || command === 'remove-from-group') {
+            if (typeof control.target !== 'string' || control.target.length === 0) {
+                throw new ControlError('invalid-request', `${command} needs a target`);
+            }
+            if (control.target !== device.id) {
+                throw new ControlError('not-allowed', `${device.id} may not change the membership of ${control.target}`);
+            }
+            command = command === 'add-to-group' ? 'join-group' : 'leave-group';
         }
+
+        let done;
+        if (command === 'create-group') {
+            const members = Array.isArray(control.members) ? control.members : [];
+            if (members.some(memberId => memberId !== device.id)) {
+                throw new ControlError('not-allowed', `${device.id} may only create a group with itself, others join it`);
+            }
+            if (!this.deviceManager.canJoinGroup(groupId, device.id)) {
+                throw new ControlError('not-allowed', `${device.id} may not join group ${groupId}`);
+            }
+            done = this.deviceManager.createGroup(groupId, [device.id]);
+        } else if (command === 'join-group') {
+            if (!this.deviceManager.canJoinGroup(groupId, device.id)) {
+                throw new ControlError('not-allowed', `${device.id} may not join group ${groupId}`);
+            }
+            done = this.deviceManager.addToGroup(groupId, device.id);
+        } else {
+            const members = this.deviceManager.getGroupMembers(groupId);
+            if (!members.includes(device.id)) {
+                throw new ControlError('not-member', `${device.id} is not a member of group ${groupId}`);
+            }
+
+            if (command === 'leave-group') {
+                done = this.deviceManager.removeFromGroup(groupId, device.id);
+            } else {
+                if (members.length > 1) {
+                    throw new ControlError('not-allowed', `Group ${groupId} has other members, only an operator can delete it`);
+                }
+                done = this.deviceManager.deleteGroup(groupId);
+            }
+        }
+
+        // DeviceManager logs why (exists, full, ...)
+        if (!done) {
+            throw new ControlError('failed', `${control.command} ${groupId} was refused`);
+        }
+    }
+
+    // Push-to-talk: groupId may be omitted by devices that belong to one group
+    handlePtt(device, control) {
+        let groupId = control.groupId;
+        if (groupId === undefined) {
+            const groups = this.deviceManager.getDeviceGroups(device.id);
+            groupId = groups.length === 1 ? groups[0] : undefined;
+        }
+
+        if (typeof groupId !== 'string' || groupId.length === 0) {
+            log.warn(`${control.command} from ${device.id} without a groupId`, { deviceId: device.id });
+            this.sendControl(device, { command: 'floor-denied', groupId: null, reason: 'no-group', tone: 'deny' });
+            return;
+        }
+
+        if (control.command === 'ptt-start') {
+            this.floorControl.request(groupId, device.id);
+        } else {
+            this.floorControl.release(groupId, device.id);
+        }
+    }
+
+    // Tell devices about floor changes; `tone` names the cue the device should play
+    setupFloorNotifications() {
+        const notifyMembers = (groupId, message, exceptId) => {
+            this.deviceManager.getGroupMembers(groupId).forEach(memberId => {
+                const member = this.deviceManager.getDevice(memberId);
+                if (memberId !== exceptId && member && member.online) {
+                    this.sendControl(member, message);
+                }
+            });
+        };
+        const notifyDevice = (deviceId, message) => {
+            const device = this.deviceManager.getDevice(deviceId);
+            if (device && device.online) {
+                this.sendControl(device, message);
+            }
+        };
+
+        this.floorControl.on('floor-granted', ({ groupId, deviceId, renewed }) => {
+            notifyDevice(deviceId, { command: 'floor-granted', groupId, tone: 'grant' });
+            if (!renewed) {
+                notifyMembers(groupId, { command: 'floor-taken', groupId, holder: deviceId }, deviceId);
+            }
+        });
+
+        this.floorControl.on('floor-queued', ({ groupId, deviceId, holder, position }) => {
+            notifyDevice(deviceId, { command: 'floor-queued', groupId, holder, position, tone: 'busy' });
+        });
+
+        this.floorControl.on('floor-denied', ({ groupId, deviceId, holder, reason }) => {
+            notifyDevice(deviceId, { command: 'floor-denied', groupId, holder, reason, tone: 'deny' });
+        });
+
+        this.floorControl.on('floor-released', ({ groupId, deviceId, reason }) => {
+            if (reason !== 'released') {
+                notifyDevice(deviceId, { command: 'floor-revoked', groupId, reason, tone: 'revoked' });
+            }
+            notifyMembers(groupId, { command: 'floor-released', groupId, holder: deviceId, reason }, deviceId);
+        });
+    }
+
+    sendControl(device, control) {
+        const packet = protocol.encodePacket({
+            version: device.protocolVersion,
+            type: protocol.PACKET_TYPES.CONTROL,
+            deviceId: 'SRVR',
+            sequence: 0,
+            payload: Buffer.from(JSON.stringify(control))
+        });
+        this.sendToDevice(device, packet);
     }
 
     handleHeartbeat(device) {
         device.lastHeartbeat = Date.now();
         // Send acknowledgment
-        const ack = Buffer.alloc(8);
-        ack.write('SRVR', 0);
-        ack.writeUInt16BE(0, 4);
-        ack.writeUInt16BE(0x0003, 6);
+        const ack = protocol.encodePacket({
+            version: device.protocolVersion,
+            type: protocol.PACKET_TYPES.HEARTBEAT,
+            deviceId: 'SRVR',
+            sequence: 0
+        });
         this.sendToDevice(device, ack);
     }
 
+    getCapabilities() {
+        return {
+            versions: protocol.SUPPORTED_VERSIONS,
+            codecs: ['opus'],
+            frameDurations: [CONFIG.audio.frameDuration],
+            sampleRate: CONFIG.audio.sampleRate,
+            features: [
+                ...(this.audioMixer.isAvailable() ? ['mix'] : []),
+                ...this.lossRecovery.getFeatures(),
+                ...this.reliableDelivery.getFeatures()
+            ]
+        };
+    }
+
+    sendHello(device) {
+        device.helloSent = true;
+        const hello = protocol.encodePacket({
+            version: protocol.PROTOCOL_V2,
+            type: protocol.PACKET_TYPES.HELLO,
+            deviceId: 'SRVR',
+            payload: Buffer.from(JSON.stringify(this.getCapabilities()))
+        });
+        this.sendToDevice(device, hello);
+    }
+
+    handleHello(device, data) {
+        let offered;
+        let reason;
+        try {
+            offered = JSON.parse(data.toString());
+            reason = protocol.validateHello(offered);
+        } catch (error) {
+            reason = `unreadable JSON (${error.message})`;
+        }
+
+        if (reason) {
+            log.limited('invalid-hello').warn(`Rejected HELLO from ${device.id}: ${reason}`, { deviceId: device.id });
+            this.sendToDevice(device, protocol.encodePacket({
+                version: device.protocolVersion || protocol.PROTOCOL_V1,
+                type: protocol.PACKET_TYPES.HELLO_ACK,
+                deviceId: 'SRVR',
+                payload: Buffer.from(JSON.stringify({ error: 'invalid-hello', reason }))
+            }));
+            return;
+        }
+
+        const ours = this.getCapabilities();
+        const versions = (offered.versions || [protocol.PROTOCOL_V1])
+            .filter(v => ours.versions.includes(v));
+        const frameDurations = offered.frameDurations || [CONFIG.audio.frameDuration];
+
+        // Negotiate the highest common version, our codec and our frame size
+        const negotiated = {
+            version: versions.length > 0 ? Math.max(...versions) : protocol.PROTOCOL_V1,
+            codec: (offered.codecs || ['opus']).includes('opus') ? 'opus' : null,
+            frameDuration: frameDurations.includes(CONFIG.audio.frameDuration)
+                ? CONFIG.audio.frameDuration
+                : null,
+            sampleRate: ours.sampleRate,
+            features: (offered.features || []).filter(f => ours.features.includes(f))
+        };
+
+        device.protocolVersion = negotiated.version;
+        device.capabilities = {
+            offered,
+            negotiated,
+            firmware: offered.firmware || null
+        };
+
+        log.info(`HELLO from ${device.id}: protocol v${negotiated.version}, ` +
+                 `codec ${negotiated.codec || 'none'}, ${negotiated.frameDuration || '?'}ms frames`,
+                 { deviceId: device.id, firmware: device.capabilities.firmware });
+        if (!negotiated.codec || !negotiated.frameDuration) {
+            log.warn(`Device ${device.id} has no compatible audio format`, { deviceId: device.id });
+        }
+
+        const ack = protocol.encodePacket({
+            version: negotiated.version,
+            type: protocol.PACKET_TYPES.HELLO_ACK,
+            deviceId: 'SRVR',
+            payload: Buffer.from(JSON.stringify(negotiated))
+        });
+        this.sendToDevice(device, ack);
+
+        this.deviceManager.emit('device-capabilities', device);
+    }
+
+    // True once a session was established with the sender
+    handleKeyExchange(deviceId, data, rinfo) {
+        const answer = this.secureTransport.handleKeyExchange(deviceId, data, `${rinfo.address}:${rinfo.port}`);
+        if (!answer) return false;
+
+        const ack = protocol.encodePacket({
+            version: protocol.PROTOCOL_V2,
+            type: protocol.PACKET_TYPES.KEY_EXCHANGE_ACK,
+            deviceId: 'SRVR',
+            payload: answer.payload
+        });
+        this.sendToDevice({ id: deviceId, address: rinfo.address, port: rinfo.port }, ack);
+        return answer.established;
+    }
+
     setupLogging() {
         // Statistics reporting
-        setInterval(() => {
-            const uptime = Math.floor((Date.now() - this.stats.startTime) / 1000);
-            const onlineDevices = this.deviceManager.getOnlineDevices().length;
-
-            console.log('\n📊 === SERVER STATISTICS ===');
-            console.log(`Uptime: ${uptime}s`);
-            console.log(`Online devices: ${onlineDevices}`);
-            console.log(`Packets received: ${this.stats.packetsReceived}`);
-            console.log(`Packets routed: ${this.stats.packetsRouted}`);
-            console.log(`Packets dropped: ${this.stats.packetsDropped}`);
-            console.log(`Data received: ${(this.stats.bytesReceived / 1024).toFixed(2)} KB`);
-            console.log(`Data transmitted: ${(this.stats.bytesTransmitted / 1024).toFixed(2)} KB`);
-            console.log('===========================\n');
+        this.statsTimer = setInterval(() => {
+            const { startTime, ...stats } = this.stats;
+
+            log.info('Server statistics', {
+                uptime: Math.floor((Date.now() - startTime) / 1000),
+                onlineDevices: this.deviceManager.getOnlineDevices().length,
+                ...stats,
+                malformedOpus: this.opusInspector.stats.malformed,
+                encryptedSessions: this.secureTransport.sessions.size,
+                mixSessions: this.audioMixer.sessions.size
+            });
         }, 30000); // Every 30 seconds
 
         // Device timeout check
-        setInterval(() => {
+        this.timeoutTimer = setInterval(() => {
             this.deviceManager.checkTimeouts();
         }, 5000);
     }
 
     start() {
-        this.socket.bind(CONFIG.udp.serverPort);
-        this.websocketAPI.start();
+        // Restore routing and the device registry before devices reconnect
+        this.persistence.start();
+        // After the registry, which may hold the device keys
+        this.deviceAuth.start();
+        this.auditLog.start();
+        this.dashboardAuth.start();
 
-        // Create logs directory if it doesn't exist
-        const logsDir = path.join(__dirname, '../logs');
-        if (!fs.existsSync(logsDir)) {
-            fs.mkdirSync(logsDir, { recursive: true });
-        }
+        // Bound last, so that devices' datagrams reach this socket and not the pacer worker's
+        this.packetPacer.ready().then(() => {
+            this.socket.bind(this.bindAddress.port, this.bindAddress.host);
+        });
+        this.httpListener.start();
     }
 
     stop() {
+        clearInterval(this.statsTimer);
+        clearInterval(this.timeoutTimer);
+        this.persistence.stop();
+        this.deviceAuth.stop();
+        this.floorControl.stop();
+        this.packetPacer.stop();
+        this.lossRecovery.stop();
+        this.reliableDelivery.stop();
+        this.audioMixer.stop();
+        this.callRecorder.stopAll('shutdown');
+        this.packetCapture.stop();
         this.socket.close();
         this.websocketAPI.stop();
-        console.log('Server stopped');
+        this.httpListener.stop();
+        this.dashboardAuth.stop();
+        log.info('Server stopped');
+    }
+
+    /**
+     * Wait for the audit log, recordings and their index to be written, e.g. before exiting
+     * @returns {Promise}
+     */
+    flush() {
+        return Promise.all([this.auditLog.flush(), this.callRecorder.flush()]);
     }
 }
 
 // Start server if run directly
 if (require.main === module) {
     const server = new UDPAudioServer();
+
+    // --capture or --capture=file.pcap: tee every packet to a capture file
+    const captureArg = process.argv.find(arg => arg === '--capture' || arg.startsWith('--capture='));
+    if (captureArg) {
+        server.packetCapture.options.enabled = true;
+        server.packetCapture.options.file = captureArg.split('=')[1] || null;
+    }
+
     server.start();
 
     // Graceful shutdown
     process.on('SIGINT', () => {
-        console.log('\n👋 Shutting down server...');
+        log.info('Shutting down server...');
         server.stop();
-        process.exit(0);
+        server.flush().then(() => process.exit(0));
     });
 }
 
@@ -0,0 +1,223 @@
+/**
+ * User Store - Local dashboard accounts
+ *
+ * Users are kept in config.auth.usersFile (JSON, written atomically):
+ *   { users: [{ username, role, password: { salt, hash }, createdAt, updatedAt }] }
+ * Passwords are stored as scrypt hashes with a random salt per user and
+ * never leave this module. Hashing takes tens of milliseconds, so verify(),
+ * create() and update() hash in the libuv thread pool and return promises.
+ *
+ * When the file has no users, an `admin` account is created on start: with
+ * the password in the DASHBOARD_ADMIN_PASSWORD environment variable, or a
+ * random one that is printed once to stderr (never to the log files).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const atomicFile = require('./atomic-file');
+
+const CONFIG = require('../config/server-config.json');
+const log = require('./logger').forModule('user-store');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{1,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const HASH_LENGTH = 64;
+
+const scrypt = util.promisify(crypto.scrypt);
+
+class UserError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code; // 'invalid', 'not-found', 'exists', 'last-admin'
+    }
+}
+
+class UserStore {
+    constructor(options = {}) {
+        this.options = { ...CONFIG.auth, ...options };
+        this.file = path.resolve(__dirname, '..', this.options.usersFile);
+        this.users = new Map(); // Key: username, Value: user record
+    }
+
+    /**
+     * Load the users, creating the first admin if there are none
+     */
+    load() {
+        if (fs.existsSync(this.file)) {
+            try {
+                const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+                (data.users || []).forEach(user => this.users.set(user.username, user));
+            } catch (error) {
+                // Starting without accounts would lock everybody out or let anyone create one
+                throw new Error(`Failed to read users file ${this.file}: ${error.message}`);
+            }
+        }
+
+        if (this.users.size === 0) {
+            this.createInitialAdmin();
+        }
+        log.info(`${this.users.size} dashboard users in ${this.options.usersFile}`);
+    }
+
+    // Hashed synchronously: once, before the server takes requests
+    createInitialAdmin() {
+        const password = process.env.DASHBOARD_ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+        const salt = crypto.randomBytes(16);
+        this.add('admin', 'admin', encodePassword(salt, crypto.scryptSync(password, salt, HASH_LENGTH)));
+
+        if (process.env.DASHBOARD_ADMIN_PASSWORD) {
+            log.warn('Created dashboard user admin with the password from DASHBOARD_ADMIN_PASSWORD');
+        } else {
+            // Straight to the terminal: log transports end up in rotated files
+            process.stderr.write(`\nDashboard user admin created with password: ${password}\nChange it after logging in.\n\n`);
+            log.warn('Created dashboard user admin with a random password, printed to stderr');
+        }
+    }
+
+    save() {
+        atomicFile.writeFileSync(this.file, JSON.stringify({ users: Array.from(this.users.values()) }, null, 2), 0o600);
+    }
+
+    /**
+     * Check a username and password
+     * @returns {Promise<Object|null>} The user (without password) or null
+     */
+    async verify(username, password) {
+        const user = this.users.get(username);
+        if (!user || typeof password !== 'string') {
+            // Hash anyway so unknown users take as long as wrong passwords
+            await scrypt(typeof password === 'string' ? password : '', crypto.randomBytes(16), HASH_LENGTH);
+            return null;
+        }
+
+        const { salt, hash } = user.password;
+        const computed = await scrypt(password, Buffer.from(salt, 'base64'), HASH_LENGTH);
+        // The user may have been removed or changed meanwhile
+        if (this.users.get(username) !== user || user.password.hash !== hash) return null;
+        return crypto.timingSafeEqual(computed, Buffer.from(hash, 'base64')) ? describe(user) : null;
+    }
+
+    get(username) {
+        const user = this.users.get(username);
+        return user ? describe(user) : null;
+    }
+
+    list() {
+        return Array.from(this.users.values()).map(describe);
+    }
+
+    /**
+     * @returns {Promise<Object>} The new user
+     */
+    async create(username, password, role) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new UserError('invalid', 'username must be 1-32 letters, digits, dots, dashes or underscores');
+        }
+        this.requireNewUser(username);
+        requireRole(role);
+
+        const hashed = await createPassword(password);
+        this.requireNewUser(username); // Created while hashing
+        return this.add(username, role, hashed);
+    }
+
+    add(username, role, password) {
+        const now = Date.now();
+        const user = { username, role, password, createdAt: now, updatedAt: now };
+        this.users.set(username, user);
+        this.save();
+
+        log.info(`Created dashboard user ${username} (${role})`, { username, role });
+        return describe(user);
+    }
+
+    /**
+     * Change the role and/or password of a user
+     * @param {string} username - User
+     * @param {Object} changes - { role, password }
+     * @returns {Promise<Object>} The updated user
+     */
+    async update(username, { role, password }) {
+        this.requireUser(username);
+        if (role !== undefined) requireRole(role);
+
+        const hashed = password !== undefined ? await createPassword(password) : null;
+
+        // Checked after hashing: the user or the other admins may be gone by now
+        const user = this.requireUser(username);
+        if (role !== undefined && user.role === 'admin' && role !== 'admin') {
+            this.requireOtherAdmin(username);
+        }
+        if (role !== undefined) user.role = role;
+        if (hashed) user.password = hashed;
+        user.updatedAt = Date.now();
+        this.save();
+
+        log.info(`Updated dashboard user ${username}${role !== undefined ? ` (${role})` : ''}${hashed ? ', new password' : ''}`, { username });
+        return describe(user);
+    }
+
+    remove(username) {
+        const user = this.requireUser(username);
+        if (user.role === 'admin') {
+            this.requireOtherAdmin(username);
+        }
+
+        this.users.delete(username);
+        this.save();
+        log.info(`Removed dashboard user ${username}`, { username });
+    }
+
+    requireNewUser(username) {
+        if (this.users.has(username)) {
+            throw new UserError('exists', `User ${username} already exists`);
+        }
+    }
+
+    requireUser(username) {
+        const user = this.users.get(username);
+        if (!user) {
+            throw new UserError('not-found', `Unknown user: ${username}`);
+        }
+        return user;
+    }
+
+    // Nobody could manage users any more without an admin
+    requireOtherAdmin(username) {
+        const admins = Array.from(this.users.values()).filter(user => user.role === 'admin' && user.username !== username);
+        if (admins.length === 0) {
+            throw new UserError('last-admin', `${username} is the last admin`);
+        }
+    }
+}
+
+function requireRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new UserError('invalid', `role must be one of ${ROLES.join(', ')}`);
+    }
+}
+
+async function createPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new UserError('invalid', `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    const salt = crypto.randomBytes(16);
+    return encodePassword(salt, await scrypt(password, salt, HASH_LENGTH));
+}
+
+function encodePassword(salt, hash) {
+    return { salt: salt.toString('base64'), hash: hash.toString('base64') };
+}
+
+// A user as shown to clients: everything but the password
+function describe(user) {
+    return { username: user.username, role: user.role, createdAt: user.createdAt, updatedAt: user.updatedAt };
+}
+
+UserStore.UserError = UserError;
+UserStore.ROLES = ROLES;
+
+module.exports = UserStore;
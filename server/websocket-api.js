@@ -1,13 +1,59 @@
 const WebSocket = require('ws');
-const http = require('http');
 const CONFIG = require('../config/server-config.json');
+const { MessageValidator, ERROR_CODES } = require('./schema-validator');
+const DeviceCommands = require('./device-commands');
+const DeviceRegistry = require('./device-registry');
+const CallRecorder = require('./call-recorder');
+const logging = require('./logger');
+const log = logging.forModule('websocket-api');
+
+// Registry record fields accepted by provision, update and approve messages
+const REGISTRY_FIELDS = ['name', 'location', 'owner', 'secret', 'allowedGroups', 'status'];
+
+// What a client needs to be sent a broadcast: the permission of the request
+// that returns the same information, and the message fields naming the
+// devices and groups it is about (like x-resources in the schemas). API
+// tokens limited to some devices or groups only get broadcasts about those;
+// broadcasts about no device or group need an unlimited scope.
+const BROADCASTS = {
+    'device-connected': { permission: 'read', devices: ['device.id'] },
+    'device-disconnected': { permission: 'read', devices: ['deviceId'] },
+    'device-name-changed': { permission: 'read', devices: ['deviceId'] },
+    'route-created': { permission: 'read', devices: ['source', 'target'] },
+    'route-removed': { permission: 'read', devices: ['source', 'target'] },
+    'route-update': { permission: 'read', devices: ['source', 'target'] },
+    'bidirectional-created': { permission: 'read', devices: ['deviceA', 'deviceB'] },
+    'broadcast-enabled': { permission: 'read', devices: ['deviceId'] },
+    'broadcast-disabled': { permission: 'read', devices: ['deviceId'] },
+    'device-muted': { permission: 'read', devices: ['deviceId'] },
+    'device-unmuted': { permission: 'read', devices: ['deviceId'] },
+    'conference-created': { permission: 'read', devices: ['participants'], groups: ['groupId'] },
+    'group-changed': { permission: 'read', groups: ['groupId'] },
+    'group-mode-changed': { permission: 'read', groups: ['groupId'] },
+    'participant-gain-changed': { permission: 'read', devices: ['deviceId'], groups: ['groupId'] },
+    'floor-changed': { permission: 'read', groups: ['groupId'] },
+    'device-command-updated': { permission: 'read', devices: ['deviceCommand.deviceId'] },
+    'scenario-applied': { permission: 'read' },
+    'configuration-imported': { permission: 'read' },
+    'recordings': { permission: 'read' },
+    'audit-entry': { permission: 'read' },
+    'registry': { permission: 'read' },
+    'device-pending': { permission: 'read' },
+    'pacing': { permission: 'read' },
+    'log-levels': { permission: 'read' }
+};
+
+// A command that was understood but could not be carried out
+class CommandError extends Error {}
 
 class WebSocketAPI {
     constructor(udpServer) {
         this.udpServer = udpServer;
-        this.server = http.createServer();
-        this.wss = new WebSocket.Server({ server: this.server });
+        this.auth = udpServer.dashboardAuth;
+        // Upgrades to /ws/control on the server's HTTP listener
+        this.wss = udpServer.httpListener.addWebSocketServer('/ws/control', { verifyClient: this.auth.verifyClient });
         this.clients = new Set();
+        this.validator = new MessageValidator('control');
 
         this.setupWebSocket();
         this.setupEventHandlers();
@@ -15,9 +61,14 @@ class WebSocketAPI {
 
     setupWebSocket() {
         this.wss.on('connection', (ws, req) => {
-            console.log(`🔌 New WebSocket connection from ${req.socket.remoteAddress}`);
+            log.info(`New WebSocket connection from ${req.socket.remoteAddress}`);
             this.clients.add(ws);
 
+            // Logged-in user (see DashboardAuth.verifyClient), and who made
+            // the changes this client asks for in the audit log
+            ws.principal = req.principal;
+            ws.actor = this.auth.actor('dashboard', req.socket.remoteAddress, req.principal);
+
             // Send initial state
             this.sendInitialState(ws);
 
@@ -29,12 +80,12 @@ class WebSocketAPI {
             // Handle disconnection
             ws.on('close', () => {
                 this.clients.delete(ws);
-                console.log('🔌 WebSocket client disconnected');
+                log.info('WebSocket client disconnected');
             });
 
             // Handle errors
             ws.on('error', (error) => {
-                console.error(`WebSocket error: ${error.message}`);
+                log.warn(`WebSocket error: ${error.message}`);
             });
 
             // Ping to keep connection alive
@@ -79,6 +130,74 @@ class WebSocketAPI {
             });
         });
 
+        // Group events (from any control surface: WebSocket, REST or device packets)
+        const deviceManager = this.udpServer.deviceManager;
+        deviceManager.on('group-created', ({ groupId }) => this.broadcastGroupChange('created', groupId));
+        deviceManager.on('group-updated', ({ groupId }) => this.broadcastGroupChange('updated', groupId));
+        deviceManager.on('group-deleted', ({ groupId }) => this.broadcastGroupChange('deleted', groupId));
+
+        this.udpServer.audioRouter.on('group-mode-changed', ({ groupId }) => {
+            if (deviceManager.hasGroup(groupId)) {
+                this.broadcastGroupChange('mode-changed', groupId);
+            }
+        });
+
+        // Push-to-talk floor events
+        const floorControl = this.udpServer.floorControl;
+        ['granted', 'queued', 'denied', 'released'].forEach(action => {
+            floorControl.on(`floor-${action}`, ({ groupId, deviceId, reason, renewed }) => {
+                if (renewed) return;
+                this.broadcast({
+                    type: 'floor-changed',
+                    action,
+                    groupId,
+                    deviceId,
+                    reason,
+                    floor: floorControl.describeFloor(groupId)
+                });
+            });
+        });
+
+        // Server-to-device commands and their acknowledgements
+        this.udpServer.deviceCommands.on('command-updated', (record) => {
+            this.broadcast({
+                type: 'device-command-updated',
+                deviceCommand: record
+            });
+        });
+
+        // Recordings started, stopped or deleted from any control surface
+        this.udpServer.callRecorder.on('recordings-changed', () => {
+            this.broadcast({
+                type: 'recordings',
+                recordings: this.udpServer.callRecorder.getRecordings()
+            });
+        });
+
+        // Audit log entries, for the dashboard timeline
+        this.udpServer.auditLog.on('entry', (entry) => {
+            this.broadcast({
+                type: 'audit-entry',
+                entry
+            });
+        });
+
+        // Device registry and unknown devices waiting for approval
+        const deviceRegistry = this.udpServer.deviceRegistry;
+        deviceRegistry.on('registry-changed', () => {
+            this.broadcast({
+                type: 'registry',
+                registry: deviceRegistry.getRegistry()
+            });
+        });
+
+        deviceRegistry.on('device-pending', (device) => {
+            this.broadcast({
+                type: 'device-pending',
+                device
+            });
+        });
+
         // Packet events (throttled)
         let packetBuffer = [];
         let packetTimer = null;
@@ -89,10 +208,7 @@ class WebSocketAPI {
             if (!packetTimer) {
                 packetTimer = setTimeout(() => {
                     if (packetBuffer.length > 0) {
-                        this.broadcast({
-                            type: 'packets',
-                            packets: packetBuffer
-                        });
+                        this.broadcastPackets(packetBuffer);
                         packetBuffer = [];
                     }
                     packetTimer = null;
@@ -102,16 +218,48 @@ class WebSocketAPI {
     }
 
     handleMessage(ws, message) {
+        let data;
         try {
-            const data = JSON.parse(message);
+            data = JSON.parse(message);
+        } catch (error) {
+            this.sendError(ws, undefined, ERROR_CODES.INVALID_JSON, `Invalid JSON: ${error.message}`);
+            return;
+        }
 
+        const requestId = data !== null && typeof data === 'object' ? data.requestId : undefined;
+
+        const result = this.validator.validateMessage(data);
+        if (!result.ok) {
+            this.sendError(ws, requestId, result.code, result.message, result.errors);
+            return;
+        }
+
+        const allowed = this.auth.authorize(ws.principal, {
+            operation: data.type,
+            permission: this.validator.getPermission(data.type),
+            resources: this.validator.getResources(data),
+            address: ws.actor.address
+        });
+        if (!allowed) {
+            if (!this.auth.isActive(ws.principal)) {
+                this.sendError(ws, requestId, ERROR_CODES.UNAUTHORIZED, 'Session expired or token revoked');
+                ws.close(4401, 'Session expired');
+            } else {
+                this.sendError(ws, requestId, ERROR_CODES.FORBIDDEN, `Not allowed to send ${data.type}`);
+            }
+            return;
+        }
+
+        const auditLog = this.udpServer.auditLog;
+        auditLog.begin(ws.actor, data.type);
+        try {
             switch(data.type) {
                 case 'get-devices':
-                    this.sendDevices(ws);
+                    this.sendDevices(ws, requestId);
                     break;
 
                 case 'get-routes':
-                    this.sendRoutes(ws);
+                    this.sendRoutes(ws, requestId);
                     break;
 
                 case 'set-route':
@@ -142,16 +290,124 @@ class WebSocketAPI {
                     this.unmuteDevice(data.deviceId);
                     break;
 
+                case 'create-conference':
+                    this.createConference(data.deviceIds, data.mode, data.groupId);
+                    break;
+
+                case 'get-groups':
+                    this.sendGroups(ws, requestId);
+                    break;
+
+                case 'create-group':
+                    this.createGroup(data.groupId, data.members, data.mode);
+                    break;
+
+                case 'delete-group':
+                    this.deleteGroup(data.groupId);
+                    break;
+
+                case 'add-to-group':
+                    this.addToGroup(data.groupId, data.deviceId);
+                    break;
+
+                case 'remove-from-group':
+                    this.removeFromGroup(data.groupId, data.deviceId);
+                    break;
+
+                case 'set-group-mode':
+                    this.setGroupMode(data.groupId, data.mode);
+                    break;
+
+                case 'set-participant-gain':
+                    this.setParticipantGain(data.groupId, data.deviceId, data.gain);
+                    break;
+
+                case 'set-device-name':
+                    this.setDeviceName(data.deviceId, data.name);
+                    break;
+
                 case 'apply-scenario':
                     this.applyScenario(data.scenario);
                     break;
 
+                case 'get-pacing':
+                    this.sendPacing(ws, requestId);
+                    break;
+
+                case 'set-pacing-policy':
+                    this.setPacingPolicy(data.source, data.target, data.policy);
+                    break;
+
+                case 'get-log-levels':
+                    this.sendLogLevels(ws, requestId);
+                    break;
+
+                case 'set-log-level':
+                    this.setLogLevel(data.module, data.level);
+                    break;
+
+                case 'get-audit-log':
+                    this.sendAuditLog(ws, requestId, data.filters);
+                    break;
+
+                case 'send-device-command':
+                    this.sendDeviceCommand(ws, requestId, data.deviceId, data.command, data.params);
+                    break;
+
+                case 'get-device-commands':
+                    this.sendDeviceCommands(ws, requestId, data.deviceId);
+                    break;
+
+                case 'get-registry':
+                    this.sendRegistry(ws, requestId);
+                    break;
+
+                case 'set-enrollment-policy':
+                    this.callRegistry(registry => registry.setPolicy(data.policy));
+                    break;
+
+                case 'provision-device':
+                    this.callRegistry(registry => registry.provision({ id: data.deviceId, ...pickRegistryFields(data) }));
+                    break;
+
+                case 'update-registry-device':
+                    this.callRegistry(registry => registry.update(data.deviceId, pickRegistryFields(data)));
+                    break;
+
+                case 'remove-registry-device':
+                    this.callRegistry(registry => registry.remove(data.deviceId));
+                    break;
+
+                case 'approve-device':
+                    this.callRegistry(registry => registry.approve(data.deviceId, pickRegistryFields(data)));
+                    break;
+
+                case 'reject-device':
+                    this.callRegistry(registry => registry.reject(data.deviceId));
+                    break;
+
+                case 'get-recordings':
+                    this.sendRecordings(ws, requestId);
+                    break;
+
+                case 'start-recording':
+                    this.sendRecording(ws, requestId, recorder => recorder.start(data.target, data.label));
+                    break;
+
+                case 'stop-recording':
+                    this.sendRecording(ws, requestId, recorder => recorder.stop(data.recordingId));
+                    break;
+
+                case 'delete-recording':
+                    this.callRecorder(recorder => recorder.remove(data.recordingId));
+                    break;
+
                 case 'get-stats':
-                    this.sendStats(ws);
+                    this.sendStats(ws, requestId);
                     break;
 
                 case 'export-config':
-                    this.exportConfiguration(ws);
+                    this.exportConfiguration(ws, requestId);
                     break;
 
                 case 'import-config':
@@ -159,30 +415,53 @@ class WebSocketAPI {
                     break;
 
                 case 'ping':
-                    ws.send(JSON.stringify({ type: 'pong' }));
+                    ws.send(JSON.stringify({ type: 'pong', requestId }));
                     break;
+            }
 
-                default:
-                    console.warn(`Unknown message type: ${data.type}`);
+            // Messages without their own reply are acknowledged
+            if (requestId !== undefined && !this.validator.hasReply(data.type)) {
+                ws.send(JSON.stringify({ type: 'ack', requestId, command: data.type }));
             }
         } catch (error) {
-            console.error(`Message handling error: ${error.message}`);
-            ws.send(JSON.stringify({
-                type: 'error',
-                message: error.message
-            }));
+            if (error instanceof CommandError) {
+                this.sendError(ws, requestId, ERROR_CODES.COMMAND_FAILED, error.message);
+                return;
+            }
+            log.error(`Message handling error: ${error.message}`);
+            this.sendError(ws, requestId, ERROR_CODES.INTERNAL_ERROR, error.message);
+        } finally {
+            auditLog.end();
         }
     }
 
+    sendError(ws, requestId, code, message, errors = []) {
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        ws.send(JSON.stringify({
+            type: 'error',
+            requestId,
+            code,
+            message,
+            errors
+        }));
+    }
+
+    // Only the devices and groups the client may see, stats if it may read them
     sendInitialState(ws) {
-        const devices = this.udpServer.deviceManager.exportDeviceList();
-        const routes = this.udpServer.audioRouter.getRoutingMatrix();
-        const stats = this.udpServer.stats;
+        const mayRead = (devices, groups = []) => this.auth.allows(ws.principal, 'read', { devices, groups });
+
+        const devices = this.udpServer.deviceManager.exportDeviceList().filter(device => mayRead([device.id]));
+        const routes = Object.fromEntries(Object.entries(this.udpServer.audioRouter.getRoutingMatrix())
+            .filter(([deviceId]) => mayRead([deviceId])));
+        const groups = this.describeGroups().filter(group => mayRead([], [group.groupId]));
+        const stats = this.auth.allows(ws.principal, 'stats', null) ? this.udpServer.stats : {};
 
         ws.send(JSON.stringify({
             type: 'initial-state',
             devices,
             routes,
+            groups,
             stats,
             config: {
                 sampleRate: CONFIG.audio.sampleRate,
@@ -191,25 +470,198 @@ class WebSocketAPI {
         }));
     }
 
-    sendDevices(ws) {
+    sendDevices(ws, requestId) {
         const devices = this.udpServer.deviceManager.exportDeviceList();
         ws.send(JSON.stringify({
             type: 'devices',
+            requestId,
             devices
         }));
     }
 
-    sendRoutes(ws) {
+    sendRoutes(ws, requestId) {
         const routes = this.udpServer.audioRouter.getRoutingMatrix();
         ws.send(JSON.stringify({
             type: 'routes',
+            requestId,
             routes
         }));
     }
 
-    sendStats(ws) {
+    sendGroups(ws, requestId) {
+        ws.send(JSON.stringify({
+            type: 'groups',
+            requestId,
+            groups: this.describeGroups()
+        }));
+    }
+
+    sendPacing(ws, requestId) {
+        ws.send(JSON.stringify({
+            type: 'pacing',
+            requestId,
+            pacing: this.describePacing()
+        }));
+    }
+
+    setPacingPolicy(source, target, policy) {
+        const pacer = this.udpServer.packetPacer;
+        let success;
+
+        if (source === undefined && target === undefined) {
+            if (policy === 'default') {
+                throw new CommandError('The default policy cannot be removed');
+            }
+            success = pacer.setDefaultPolicy(policy);
+        } else if (source === undefined || target === undefined) {
+            throw new CommandError('Give both source and target, or neither to set the default policy');
+        } else {
+            success = pacer.setPolicy(source, target, policy === 'default' ? null : policy);
+        }
+
+        if (!success) {
+            throw new CommandError(`Cannot set pacing policy ${policy} for ${source}->${target}`);
+        }
+
+        this.broadcast({
+            type: 'pacing',
+            pacing: this.describePacing()
+        });
+    }
+
+    sendLogLevels(ws, requestId) {
+        ws.send(JSON.stringify({
+            type: 'log-levels',
+            requestId,
+            logging: logging.getLevels()
+        }));
+    }
+
+    setLogLevel(module, level) {
+        try {
+            logging.setLevel(module || null, level === 'default' ? null : level);
+        } catch (error) {
+            if (error instanceof logging.LoggingError) {
+                throw new CommandError(error.message);
+            }
+            throw error;
+        }
+
+        this.broadcast({
+            type: 'log-levels',
+            logging: logging.getLevels()
+        });
+    }
+
+    sendAuditLog(ws, requestId, filters = {}) {
+        ws.send(JSON.stringify({
+            type: 'audit-log',
+            requestId,
+            ...this.udpServer.auditLog.query(filters)
+        }));
+    }
+
+    sendDeviceCommand(ws, requestId, deviceId, command, params) {
+        let record;
+        try {
+            record = this.udpServer.deviceCommands.send(deviceId, command, params);
+        } catch (error) {
+            if (error instanceof DeviceCommands.DeviceCommandError) {
+                throw new CommandError(error.message);
+            }
+            throw error;
+        }
+
+        ws.send(JSON.stringify({
+            type: 'device-command',
+            requestId,
+            deviceCommand: record
+        }));
+    }
+
+    sendDeviceCommands(ws, requestId, deviceId) {
+        if (!this.udpServer.deviceManager.getDevice(deviceId)) {
+            throw new CommandError(`Unknown device: ${deviceId}`);
+        }
+
+        ws.send(JSON.stringify({
+            type: 'device-commands',
+            requestId,
+            ...this.udpServer.deviceCommands.describeDevice(deviceId)
+        }));
+    }
+
+    sendRegistry(ws, requestId) {
+        ws.send(JSON.stringify({
+            type: 'registry',
+            requestId,
+            registry: this.udpServer.deviceRegistry.getRegistry()
+        }));
+    }
+
+    // Registry changes are broadcast through its registry-changed event
+    callRegistry(operation) {
+        try {
+            return operation(this.udpServer.deviceRegistry);
+        } catch (error) {
+            if (error instanceof DeviceRegistry.RegistryError) {
+                throw new CommandError(error.message);
+            }
+            throw error;
+        }
+    }
+
+    sendRecordings(ws, requestId) {
+        ws.send(JSON.stringify({
+            type: 'recordings',
+            requestId,
+            recordings: this.udpServer.callRecorder.getRecordings()
+        }));
+    }
+
+    sendRecording(ws, requestId, operation) {
+        ws.send(JSON.stringify({
+            type: 'recording',
+            requestId,
+            recording: this.callRecorder(operation)
+        }));
+    }
+
+    // Changes are broadcast through the recorder's recordings-changed event
+    callRecorder(operation) {
+        try {
+            return operation(this.udpServer.callRecorder);
+        } catch (error) {
+            if (error instanceof CallRecorder.RecordingError) {
+                throw new CommandError(error.message);
+            }
+            throw error;
+        }
+    }
+
+    describePacing() {
+        return {
+            ...this.udpServer.packetPacer.getPolicies(),
+            queues: this.udpServer.packetPacer.getQueueStats(),
+            sendErrors: this.udpServer.packetPacer.getSendErrorStats()
+        };
+    }
+
+    sendStats(ws, requestId) {
         const stats = {
             server: this.udpServer.stats,
+            mixer: this.udpServer.audioMixer.getStats(),
+            auth: this.udpServer.deviceAuth.getStats(),
+            encryption: this.udpServer.secureTransport.getStats(),
+            floorControl: this.udpServer.floorControl.getStats(),
+            pacer: this.udpServer.packetPacer.getStats(),
+            lossRecovery: this.udpServer.lossRecovery.getStats(),
+            opus: this.udpServer.opusInspector.getStats(),
+            reliability: this.udpServer.reliableDelivery.getStats(),
+            deviceCommands: this.udpServer.deviceCommands.getStats(),
+            registry: this.udpServer.deviceRegistry.getStats(),
+            recording: this.udpServer.callRecorder.getStats(),
+            capture: this.udpServer.packetCapture.getStats(),
             devices: {}
         };
 
@@ -219,6 +671,7 @@ class WebSocketAPI {
 
         ws.send(JSON.stringify({
             type: 'stats',
+            requestId,
             stats
         }));
     }
@@ -284,6 +737,102 @@ class WebSocketAPI {
         });
     }
 
+    createConference(deviceIds, mode, groupId) {
+        const result = this.udpServer.audioRouter.createConference(deviceIds || [], { mode, groupId });
+        this.broadcast({
+            type: 'conference-created',
+            success: result !== false,
+            groupId: typeof result === 'string' ? result : null,
+            participants: deviceIds,
+            mode: typeof result === 'string' ? 'mix' : 'forward'
+        });
+    }
+
+    createGroup(groupId, members = [], mode = 'forward') {
+        const { deviceManager, audioRouter } = this.udpServer;
+
+        if (deviceManager.hasGroup(groupId)) {
+            throw new CommandError(`Group ${groupId} already exists`);
+        }
+        if (mode === 'mix' && !audioRouter.mixerAvailable) {
+            throw new CommandError('Audio mixer unavailable, cannot mix this group');
+        }
+        const refused = members.filter(deviceId => !deviceManager.canJoinGroup(groupId, deviceId));
+        if (refused.length > 0) {
+            throw new CommandError(`Not allowed in group ${groupId}: ${refused.join(', ')}`);
+        }
+        if (!deviceManager.createGroup(groupId, Array.from(new Set(members)))) {
+            throw new CommandError(`Group ${groupId} exceeds maximum size ${CONFIG.routing.maxGroupSize}`);
+        }
+
+        if (mode === 'mix') {
+            audioRouter.setGroupMode(groupId, mode);
+        }
+    }
+
+    deleteGroup(groupId) {
+        if (!this.udpServer.deviceManager.deleteGroup(groupId)) {
+            throw new CommandError(`Group ${groupId} not found`);
+        }
+    }
+
+    addToGroup(groupId, deviceId) {
+        const deviceManager = this.udpServer.deviceManager;
+
+        if (!deviceManager.hasGroup(groupId)) {
+            throw new CommandError(`Group ${groupId} not found`);
+        }
+        if (deviceManager.getGroupMembers(groupId).includes(deviceId)) {
+            return;
+        }
+        if (!deviceManager.canJoinGroup(groupId, deviceId)) {
+            throw new CommandError(`${deviceId} is not allowed in group ${groupId}`);
+        }
+        if (!deviceManager.addToGroup(groupId, deviceId)) {
+            throw new CommandError(`Group ${groupId} is full (${CONFIG.routing.maxGroupSize} members)`);
+        }
+    }
+
+    removeFromGroup(groupId, deviceId) {
+        const deviceManager = this.udpServer.deviceManager;
+
+        if (!deviceManager.getGroupMembers(groupId).includes(deviceId)) {
+            throw new CommandError(`${deviceId} is not a member of group ${groupId}`);
+        }
+        deviceManager.removeFromGroup(groupId, deviceId);
+    }
+
+    setGroupMode(groupId, mode) {
+        const success = this.udpServer.audioRouter.setGroupMode(groupId, mode);
+        this.broadcast({
+            type: 'group-mode-changed',
+            success,
+            groupId,
+            mode
+        });
+    }
+
+    setParticipantGain(groupId, deviceId, gain) {
+        const success = this.udpServer.audioRouter.setParticipantGain(groupId, deviceId, gain);
+        this.broadcast({
+            type: 'participant-gain-changed',
+            success,
+            groupId,
+            deviceId,
+            gain
+        });
+    }
+
+    setDeviceName(deviceId, name) {
+        const success = this.udpServer.deviceManager.setDeviceName(deviceId, name);
+        this.broadcast({
+            type: 'device-name-changed',
+            success,
+            deviceId,
+            name
+        });
+    }
+
     applyScenario(scenario) {
         const success = this.udpServer.audioRouter.applyRoutingScenario(scenario);
         this.broadcast({
@@ -293,7 +842,7 @@ class WebSocketAPI {
         });
     }
 
-    exportConfiguration(ws) {
+    exportConfiguration(ws, requestId) {
         const config = {
             routing: this.udpServer.audioRouter.exportConfiguration(),
             devices: this.udpServer.deviceManager.exportDeviceList()
@@ -301,6 +850,7 @@ class WebSocketAPI {
 
         ws.send(JSON.stringify({
             type: 'configuration',
+            requestId,
             config
         }));
     }
@@ -318,23 +868,51 @@ class WebSocketAPI {
             id: device.id,
             address: device.address,
             port: device.port,
+            name: this.udpServer.deviceManager.getDeviceName(device.id),
             online: device.online,
             lastSeen: device.lastSeen
         };
     }
 
+    describeGroups() {
+        return this.udpServer.deviceManager.getGroups()
+            .map(groupId => this.udpServer.audioRouter.describeGroup(groupId));
+    }
+
+    broadcastGroupChange(action, groupId) {
+        this.broadcast({
+            type: 'group-changed',
+            action,
+            groupId,
+            group: action === 'deleted' ? undefined : this.udpServer.audioRouter.describeGroup(groupId)
+        });
+    }
+
+    /**
+     * Send a message to every client allowed to see it (see BROADCASTS)
+     * @param {Object} message - Message; its type selects the permission
+     */
     broadcast(message) {
+        const { permission, ...fields } = BROADCASTS[message.type] || { permission: 'read' };
+        const resources = collectResources(fields, message);
         const data = JSON.stringify(message);
         this.clients.forEach(client => {
-            if (client.readyState === WebSocket.OPEN) {
+            if (client.readyState === WebSocket.OPEN && this.auth.allows(client.principal, permission, resources)) {
                 client.send(data);
             }
         });
     }
 
-    start() {
-        this.server.listen(CONFIG.websocket.port, () => {
-            console.log(`📡 WebSocket API listening on port ${CONFIG.websocket.port}`);
+    // The packet feed: each client gets the packets of the devices whose stats it may see
+    broadcastPackets(packets) {
+        this.clients.forEach(client => {
+            if (client.readyState !== WebSocket.OPEN) return;
+
+            const visible = packets.filter(packet =>
+                this.auth.allows(client.principal, 'stats', { devices: [packet.deviceId], groups: [] }));
+            if (visible.length > 0) {
+                client.send(JSON.stringify({ type: 'packets', packets: visible }));
+            }
         });
     }
 
@@ -342,8 +920,29 @@ class WebSocketAPI {
         this.wss.clients.forEach(client => {
             client.close();
         });
-        this.server.close();
     }
 }
 
+// { devices, groups } named by the BROADCASTS fields of a message, null if none
+function collectResources(fields, message) {
+    const collect = paths => (paths || []).reduce((ids, fieldPath) => {
+        const value = fieldPath.split('.').reduce((object, key) => (object ? object[key] : undefined), message);
+        if (typeof value === 'string') ids.push(value);
+        if (Array.isArray(value)) ids.push(...value.filter(id => typeof id === 'string'));
+        return ids;
+    }, []);
+
+    const devices = collect(fields.devices);
+    const groups = collect(fields.groups);
+    return devices.length + groups.length > 0 ? { devices, groups } : null;
+}
+
+function pickRegistryFields(data) {
+    const fields = {};
+    REGISTRY_FIELDS.forEach(key => {
+        if (data[key] !== undefined) fields[key] = data[key];
+    });
+    return fields;
+}
+
 module.exports = WebSocketAPI;
\ No newline at end of file
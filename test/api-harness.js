@@ -0,0 +1,138 @@
+/**
+ * API Harness - The REST and control WebSocket APIs, for the jest suites
+ *
+ * Wires the server modules the APIs use around a fake UDP server (nothing is
+ * bound but a local HTTP port) and keeps every file it writes in a
+ * temporary directory. Control messages are handed to WebSocketAPI
+ * directly, without a socket. Authentication is off unless `auth` options
+ * are given.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const AudioRouter = require('../server/audio-router');
+const AuditLog = require('../server/audit-log');
+const CallRecorder = require('../server/call-recorder');
+const DashboardAuth = require('../server/dashboard-auth');
+const DashboardServer = require('../server/dashboard-server');
+const DeviceAuthenticator = require('../server/device-auth');
+const DeviceCommands = require('../server/device-commands');
+const DeviceManager = require('../server/device-manager');
+const DeviceRegistry = require('../server/device-registry');
+const FloorControl = require('../server/floor-control');
+const PacketPacer = require('../server/packet-pacer');
+const WebSocketAPI = require('../server/websocket-api');
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.auth] - DashboardAuth options; enables authentication
+ * @param {string[]} [options.devices] - IDs of devices to bring online
+ * @returns {Promise<Object>} { udpServer, auth, dashboard, request, control, close }
+ */
+async function startApi(options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-'));
+
+    const deviceManager = new DeviceManager();
+    const deviceAuth = new DeviceAuthenticator({ mode: 'optional', countersFile: null });
+    const audioRouter = new AudioRouter(deviceManager);
+    const sent = [];
+    const udpServer = Object.assign(new EventEmitter(), {
+        deviceManager,
+        deviceAuth,
+        audioRouter,
+        deviceRegistry: new DeviceRegistry(deviceManager, deviceAuth, { file: null }),
+        floorControl: new FloorControl(deviceManager),
+        callRecorder: new CallRecorder(deviceManager, { directory: path.join(dir, 'recordings') }),
+        auditLog: new AuditLog(audioRouter, deviceManager, { file: path.join(dir, 'audit.log') }),
+        stats: { startTime: Date.now(), packetsReceived: 0, packetsRouted: 0, packetsDropped: 0,
+            packetsRejected: 0, bytesReceived: 0, bytesTransmitted: 0 },
+        routeStats: new Map(),
+        // Packets to devices, `done` settles the reliable control messages
+        reliableDelivery: { sendReliable: (device, control, done) => sent.push({ to: device.id, control, done }) },
+        sendControl: (device, control) => sent.push({ to: device.id, control }),
+        sendAudio: (device, packet) => sent.push({ to: device.id, packet }),
+        httpListener: { addWebSocketServer: () => new EventEmitter() },
+        sent
+    });
+    deviceManager.registry = udpServer.deviceRegistry;
+    audioRouter.floorControl = udpServer.floorControl;
+    udpServer.deviceCommands = new DeviceCommands(udpServer);
+    udpServer.packetPacer = new PacketPacer(udpServer, { worker: false });
+
+    udpServer.dashboardAuth = new DashboardAuth(deviceManager, {
+        usersFile: path.join(dir, 'users.json'),
+        tokensFile: path.join(dir, 'api-tokens.json'),
+        enabled: Boolean(options.auth),
+        ...options.auth
+    });
+    udpServer.dashboardAuth.start();
+    udpServer.websocketAPI = new WebSocketAPI(udpServer);
+
+    (options.devices || []).forEach((id, n) => {
+        deviceManager.updateDevice(id, { address: '127.0.0.1', port: 7000 + n, protocolVersion: 2 });
+    });
+
+    const dashboard = new DashboardServer(udpServer);
+    const server = http.createServer((req, res) => dashboard.handleRequest(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    /**
+     * Send a request
+     * @param {string} method - HTTP method
+     * @param {string} url - Path and query
+     * @param {Object|string} [body] - JSON body, or raw text
+     * @param {Object} [headers] - Extra request headers
+     * @returns {Promise<Object>} { status, headers, body } with JSON bodies parsed
+     */
+    function request(method, url, body, headers = {}) {
+        const data = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+        return new Promise((resolve, reject) => {
+            const req = http.request({ host: '127.0.0.1', port, method, path: url, headers }, (res) => {
+                let text = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => { text += chunk; });
+                res.on('end', () => {
+                    const json = (res.headers['content-type'] || '').includes('json');
+                    resolve({ status: res.statusCode, headers: res.headers, body: json && text ? JSON.parse(text) : text });
+                });
+            });
+            req.on('error', reject);
+            req.end(data);
+        });
+    }
+
+    /**
+     * Handle a control WebSocket message
+     * @param {Object} message - Message, sent as JSON
+     * @param {Object} [principal] - Who sends it (default: anonymous, as with auth off)
+     * @returns {Array} Messages sent back to the client, parsed
+     */
+    function control(message, principal = udpServer.dashboardAuth.authenticate({ headers: {} })) {
+        const replies = [];
+        const ws = {
+            readyState: 1,
+            principal,
+            actor: udpServer.dashboardAuth.actor('dashboard', '127.0.0.1', principal),
+            send: data => replies.push(JSON.parse(data))
+        };
+        udpServer.websocketAPI.handleMessage(ws, JSON.stringify(message));
+        return replies;
+    }
+
+    async function close() {
+        udpServer.dashboardAuth.stop();
+        udpServer.floorControl.stop();
+        udpServer.packetPacer.stop();
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    return { udpServer, auth: udpServer.dashboardAuth, dashboard, request, control, close, dir, port };
+}
+
+module.exports = { startApi };
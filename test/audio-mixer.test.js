@@ -0,0 +1,133 @@
+const AudioMixer = require('../server/audio-mixer');
+const AudioRouter = require('../server/audio-router');
+const DeviceManager = require('../server/device-manager');
+const protocol = require('../server/packet-protocol');
+const CONFIG = require('../config/server-config.json');
+
+const FRAME_SIZE = CONFIG.audio.sampleRate * CONFIG.audio.frameDuration / 1000;
+
+// Optional dependency, mixing itself is only tested where it is installed
+let OpusEncoder = null;
+try {
+    ({ OpusEncoder } = require('@discordjs/opus'));
+} catch (error) {
+    OpusEncoder = null;
+}
+const withOpus = OpusEncoder ? test : test.skip;
+
+// The parts of the UDP server the mixer uses, recording what it sends
+function server(deviceIds) {
+    const deviceManager = new DeviceManager();
+    deviceIds.forEach((id, n) => {
+        deviceManager.updateDevice(id, { address: '127.0.0.1', port: 6000 + n, protocolVersion: 2 });
+    });
+    const audioRouter = new AudioRouter(deviceManager);
+    audioRouter.mixerAvailable = true;
+
+    const sent = [];
+    const udpServer = {
+        deviceManager,
+        audioRouter,
+        stats: { packetsRouted: 0 },
+        sendAudio: (device, packet) => sent.push({ to: device.id, packet: protocol.decodePacket(packet) })
+    };
+    return { deviceManager, audioRouter, mixer: new AudioMixer(udpServer), sent };
+}
+
+function tone(value) {
+    return new Int16Array(FRAME_SIZE).fill(value);
+}
+
+describe('AudioMixer', () => {
+    test('mix-minus leaves out the listener and applies gains', () => {
+        const { mixer } = server([]);
+        const talkers = [
+            { deviceId: 'A', samples: tone(1000), gain: 1 },
+            { deviceId: 'B', samples: tone(200), gain: 0.5 },
+            { deviceId: 'C', samples: tone(30), gain: 2 }
+        ];
+
+        expect(mixer.mixMinus(talkers, 'A').readInt16LE(0)).toBe(100 + 60);
+        expect(mixer.mixMinus(talkers, 'B').readInt16LE(0)).toBe(1000 + 60);
+        expect(mixer.mixMinus(talkers, 'D').readInt16LE(0)).toBe(1000 + 100 + 60);
+        expect(mixer.mixMinus([talkers[0]], 'A')).toBeNull();
+    });
+
+    test('clips the sum to 16 bits', () => {
+        const { mixer } = server([]);
+        const loud = [
+            { deviceId: 'A', samples: tone(30000), gain: 1 },
+            { deviceId: 'B', samples: tone(30000), gain: 1 },
+            { deviceId: 'C', samples: tone(-30000), gain: 4 }
+        ];
+
+        expect(mixer.mixMinus(loud, 'C').readInt16LE(0)).toBe(32767);
+        expect(mixer.mixMinus(loud, 'A').readInt16LE(0)).toBe(-32768);
+    });
+
+    withOpus('sends one stream per listener, muted listeners included', () => {
+        const { deviceManager, audioRouter, mixer, sent } = server(['A', 'B', 'C']);
+        deviceManager.createGroup('room', ['A', 'B', 'C']);
+        audioRouter.setGroupMode('room', 'mix');
+        audioRouter.muteDevice('C');
+
+        const encoder = new OpusEncoder(CONFIG.audio.sampleRate, CONFIG.audio.channels);
+        const frame = encoder.encode(Buffer.from(tone(4000).buffer));
+        mixer.pushFrame('room', 'A', frame);
+        mixer.mixAll();
+        mixer.stop();
+
+        // A only talks, so only the others get a mix
+        expect(sent.map(s => s.to).sort()).toEqual(['B', 'C']);
+        sent.forEach(({ packet }) => {
+            expect(packet).toMatchObject({ type: protocol.PACKET_TYPES.AUDIO, deviceId: AudioMixer.MIXER_DEVICE_ID, sequence: 0 });
+        });
+        expect(mixer.stats).toMatchObject({ framesDecoded: 1, framesMixed: 2, packetsSent: 2 });
+    });
+
+    test('muted devices do not talk into the mix', () => {
+        const { deviceManager, audioRouter } = server(['A', 'B']);
+        deviceManager.createGroup('room', ['A', 'B']);
+        audioRouter.setGroupMode('room', 'mix');
+
+        expect(audioRouter.getMixGroups('A')).toEqual(['room']);
+        audioRouter.muteDevice('A');
+        expect(audioRouter.getMixGroups('A')).toEqual([]);
+    });
+});
+
+describe('AudioRouter mute', () => {
+    test('silences the muted source and still delivers to it', () => {
+        const { deviceManager, audioRouter } = server(['A', 'B', 'C', 'D']);
+        audioRouter.setRoute('A', 'B');
+        audioRouter.muteDevice('B');
+
+        // Direct routes
+        expect(audioRouter.getRoutes('A')).toEqual(['B']);
+        expect(audioRouter.getRoutes('B')).toEqual([]);
+
+        // Forwarded groups
+        deviceManager.createGroup('room', ['C', 'B']);
+        expect(audioRouter.getRoutes('C')).toEqual(['B']);
+
+        // Broadcast
+        audioRouter.enableBroadcast('D');
+        expect(audioRouter.getRoutes('D').sort()).toEqual(['A', 'B', 'C']);
+    });
+});
+
+describe('AudioRouter import', () => {
+    test('imports mixed groups as forwarded without the mixer', () => {
+        const { audioRouter } = server([]);
+        const config = { groupModes: [['room', 'mix'], ['hall', 'forward']] };
+
+        audioRouter.mixerAvailable = false;
+        audioRouter.importConfiguration(config);
+        expect(audioRouter.isGroupMixed('room')).toBe(false);
+        expect(audioRouter.isGroupMixed('hall')).toBe(false);
+
+        audioRouter.mixerAvailable = true;
+        audioRouter.importConfiguration(config);
+        expect(audioRouter.isGroupMixed('room')).toBe(true);
+    });
+});
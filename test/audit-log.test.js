@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AudioRouter = require('../server/audio-router');
+const AuditLog = require('../server/audit-log');
+const DeviceManager = require('../server/device-manager');
+const { startApi } = require('./api-harness');
+
+const DASHBOARD = { type: 'dashboard', address: '10.0.0.9', user: 'alice', token: null };
+
+let dir;
+let deviceManager;
+let audioRouter;
+let auditLog;
+
+function open(options = {}) {
+    const instance = new AuditLog(audioRouter, deviceManager, { file: path.join(dir, 'audit.log'), ...options });
+    instance.start();
+    return instance;
+}
+
+function readLines(file) {
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    deviceManager = new DeviceManager();
+    audioRouter = new AudioRouter(deviceManager);
+    auditLog = open();
+});
+
+afterEach(async () => {
+    await auditLog.flush();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('AuditLog entries', () => {
+    test('records a command and its changes as one entry with a diff', async () => {
+        audioRouter.setRoute('001', '002');
+        auditLog.record(DASHBOARD, 'set-routes', () => {
+            audioRouter.setRoute('001', '003');
+            audioRouter.muteDevice('004');
+        });
+        await auditLog.flush();
+
+        const [server, command] = readLines(path.join(dir, 'audit.log'));
+        expect(server).toMatchObject({ id: 1, actor: { type: 'server' }, action: 'route-created', devices: ['001', '002'] });
+        expect(command).toMatchObject({ id: 2, actor: DASHBOARD, action: 'set-routes', devices: ['001', '003', '004'] });
+        expect(command.changes.map(change => change.event)).toEqual(['route-created', 'device-muted']);
+        expect(command.diff).toEqual([
+            { path: ['routes', '001'], before: ['002'], after: ['002', '003'] },
+            { path: ['muted', '004'], after: true }
+        ]);
+    });
+
+    test('folds nested commands into the outer one and skips commands that changed nothing', () => {
+        const entries = [];
+        auditLog.on('entry', entry => entries.push(entry));
+        audioRouter.muteDevice('001');
+
+        auditLog.begin({ type: 'device', id: '005' }, 'scenario');
+        auditLog.record(DASHBOARD, 'mute', () => audioRouter.muteDevice('001'));
+        audioRouter.enableBroadcast('002');
+        auditLog.end();
+        auditLog.record(DASHBOARD, 'mute', () => audioRouter.muteDevice('001'));
+
+        expect(entries.map(entry => [entry.action, entry.devices])).toEqual([
+            ['device-muted', ['001']],
+            ['scenario', ['005', '001', '002']]
+        ]);
+        expect(entries[1].diff).toEqual([{ path: ['broadcast', '002'], after: true }]);
+        expect(auditLog.getStats()).toMatchObject({ enabled: true, recorded: 2, writeErrors: 0 });
+    });
+
+    test('records group and metadata changes', () => {
+        deviceManager.updateDevice('001', { address: '127.0.0.1', port: 6000, protocolVersion: 2 });
+        auditLog.record(DASHBOARD, 'create-group', () => deviceManager.createGroup('desk', ['001']));
+        auditLog.record(DASHBOARD, 'rename', () => deviceManager.setDeviceMetadata('001', { name: 'Front' }));
+
+        const { entries: [rename, group] } = auditLog.query();
+        expect(group.diff).toEqual([{ path: ['groups', 'desk'], after: ['001'] }]);
+        expect(rename.diff).toEqual([{ path: ['metadata', '001'], after: expect.objectContaining({ name: 'Front' }) }]);
+    });
+});
+
+describe('AuditLog queries', () => {
+    test('filters by actor, action, device and time, newest first', () => {
+        const device = { type: 'device', id: '007' };
+        auditLog.record(DASHBOARD, 'set-route', () => audioRouter.setRoute('001', '002'));
+        auditLog.record(device, 'mute', () => audioRouter.muteDevice('007'));
+        auditLog.record({ type: 'rest', address: '10.0.0.8', user: null, token: 'tok1' }, 'setRoute', () => audioRouter.setRoute('003', '002'));
+        auditLog.entries[0].timestamp -= 60000;
+
+        const ids = filters => auditLog.query(filters).entries.map(entry => entry.id);
+        expect(ids()).toEqual([3, 2, 1]);
+        expect(ids({ actorType: 'device' })).toEqual([2]);
+        expect(ids({ actor: 'alice' })).toEqual([1]);
+        expect(ids({ actor: 'tok1' })).toEqual([3]);
+        expect(ids({ actor: '007' })).toEqual([2]);
+        expect(ids({ device: '002' })).toEqual([3, 1]);
+        expect(ids({ action: 'mute' })).toEqual([2]);
+        expect(ids({ since: Date.now() - 30000 })).toEqual([3, 2]);
+        expect(ids({ until: Date.now() - 30000 })).toEqual([1]);
+        expect(auditLog.query({ limit: 1 })).toMatchObject({ entries: [{ id: 3 }], total: 3 });
+    });
+
+    test('serves the log over REST and validates the filters', async () => {
+        const api = await startApi({ devices: ['001'] });
+        try {
+            api.udpServer.auditLog.start();
+            await api.request('PUT', '/api/devices/001/mute');
+
+            const res = await api.request('GET', '/api/audit?actorType=rest&device=001&limit=5');
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({ total: 1, entries: [{ action: 'muteDevice', devices: ['001'] }] });
+            expect((await api.request('GET', '/api/audit?actorType=robot')).status).toBe(400);
+            expect((await api.request('GET', '/api/audit?limit=0')).status).toBe(400);
+        } finally {
+            await api.udpServer.auditLog.flush();
+            await api.close();
+        }
+    });
+});
+
+describe('AuditLog files', () => {
+    test('rotates past maxSize and drops the oldest file', async () => {
+        auditLog = open({ file: path.join(dir, 'rotated.log'), maxSize: 600, maxFiles: 2 });
+        for (let n = 1; n <= 12; n++) {
+            auditLog.record(DASHBOARD, 'set-route', () => audioRouter.setRoute('001', String(n).padStart(3, '0')));
+        }
+        await auditLog.flush();
+
+        const file = path.join(dir, 'rotated.log');
+        expect(fs.readdirSync(dir).filter(name => name.startsWith('rotated')).sort())
+            .toEqual(['rotated.log', 'rotated.log.1', 'rotated.log.2']);
+        [file, `${file}.1`, `${file}.2`].forEach(name => expect(fs.statSync(name).size).toBeLessThanOrEqual(600));
+
+        const ids = [`${file}.2`, `${file}.1`, file].flatMap(name => readLines(name).map(entry => entry.id));
+        expect(ids).toEqual(ids.slice().sort((a, b) => a - b));
+        expect(ids[ids.length - 1]).toBe(12);
+        expect(ids[0]).toBeGreaterThan(1);
+    });
+
+    test('reads recent entries back on start, past a line cut short', async () => {
+        [1, 2, 3].forEach(n => auditLog.record(DASHBOARD, `command-${n}`, () => audioRouter.muteDevice(`00${n}`)));
+        await auditLog.flush();
+        fs.appendFileSync(path.join(dir, 'audit.log'), '{"id": 4, "act');
+
+        // A server restart: the old instance no longer hears the router
+        audioRouter = new AudioRouter(deviceManager);
+        const restarted = open({ maxEntries: 2 });
+        expect(restarted.query().entries.map(entry => entry.action)).toEqual(['command-3', 'command-2']);
+
+        restarted.record(DASHBOARD, 'command-5', () => audioRouter.muteDevice('005'));
+        expect(restarted.query({ limit: 1 }).entries[0].id).toBe(4);
+        await restarted.flush();
+
+        const lines = fs.readFileSync(path.join(dir, 'audit.log'), 'utf8').split('\n');
+        expect(lines.slice(-3)).toEqual(['{"id": 4, "act', expect.stringMatching(/^{"id":4,/), '']);
+        expect(open().query({ limit: 2 }).entries.map(entry => entry.action)).toEqual(['command-5', 'command-3']);
+    });
+
+    test('counts failed writes and keeps recording', async () => {
+        fs.mkdirSync(path.join(dir, 'blocked.log'));
+        auditLog = open({ file: path.join(dir, 'blocked.log') });
+        auditLog.record(DASHBOARD, 'mute', () => audioRouter.muteDevice('001'));
+        auditLog.record(DASHBOARD, 'unmute', () => audioRouter.unmuteDevice('001'));
+        await auditLog.flush();
+
+        expect(auditLog.getStats()).toMatchObject({ entries: 2, recorded: 2, writeErrors: 2 });
+    });
+});
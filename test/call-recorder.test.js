@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CallRecorder = require('../server/call-recorder');
+const DeviceManager = require('../server/device-manager');
+
+let dir;
+let deviceManager;
+let recorder;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    deviceManager = new DeviceManager();
+    ['001', 'a/b'].forEach((id, n) => deviceManager.updateDevice(id, { address: '127.0.0.1', port: 6000 + n, protocolVersion: 2 }));
+    recorder = new CallRecorder(deviceManager, { directory: dir, maxGapMs: 40 });
+});
+
+afterEach(async () => {
+    recorder.stopAll('shutdown');
+    await recorder.flush();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A 20 ms CELT fullband frame
+function audio(sequence) {
+    return { sequence, payload: Buffer.concat([Buffer.from([0xF8]), Buffer.alloc(40, sequence)]) };
+}
+
+function readIndex() {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8')).recordings;
+}
+
+describe('CallRecorder', () => {
+    test('writes a track per device, filling gaps and skipping late packets', async () => {
+        const recording = recorder.start({ type: 'device', deviceId: '001' }, 'Ticket 1234');
+        const source = deviceManager.getDevice('001');
+        [1, 2, 6, 4, 7].forEach(sequence => recorder.capture(source, audio(sequence), []));
+        recorder.capture(source, { sequence: 8, payload: Buffer.alloc(0) }, []);
+        recorder.stop(recording.id);
+        await recorder.flush();
+
+        const [track] = readIndex()[0].tracks;
+        expect(track).toMatchObject({ deviceId: '001', packets: 4, lostPackets: 3, filledPackets: 2, latePackets: 1 });
+        expect(track.durationMs).toBe(Math.round((6 * 960 - 312) / 48));
+        expect(track.bytes).toBe(fs.statSync(path.join(dir, track.file)).size);
+        expect(recorder.getStats()).toMatchObject({ packetsWritten: 4, packetsFilled: 2, packetsSkipped: 1, active: 0 });
+    });
+
+    test('escapes device IDs in track file names', async () => {
+        const recording = recorder.start({ type: 'device', deviceId: 'a/b' });
+        recorder.capture(deviceManager.getDevice('a/b'), audio(1), []);
+        recorder.stop(recording.id);
+        await recorder.flush();
+
+        const [track] = readIndex()[0].tracks;
+        expect(track.file).toBe(`${recording.id}-a%2Fb.opus`);
+        expect(track.url).toBe(`/recordings/${recording.id}/a%2Fb.opus`);
+        expect(fs.readdirSync(dir).sort()).toEqual(['index.json', track.file]);
+        expect(recorder.getTrackFile(recording.id, 'a/b')).toBe(path.join(dir, track.file));
+    });
+
+    test('records routes and groups, and deletes stopped recordings', async () => {
+        deviceManager.createGroup('ops', ['001']);
+        const route = recorder.start({ type: 'route', source: '001', target: 'a/b' });
+        const group = recorder.start({ type: 'group', groupId: 'ops' });
+        const source = deviceManager.getDevice('001');
+
+        recorder.capture(source, audio(1), []);
+        recorder.capture(source, audio(2), ['a/b']);
+        expect(recorder.getRecording(route.id).tracks[0].packets).toBe(1);
+        expect(recorder.getRecording(group.id).tracks[0].packets).toBe(2);
+        expect(() => recorder.remove(group.id)).toThrow(expect.objectContaining({ code: 'active' }));
+
+        deviceManager.deleteGroup('ops');
+        expect(recorder.getRecording(group.id)).toMatchObject({ status: 'stopped', stopReason: 'group-deleted' });
+        recorder.remove(group.id);
+        await recorder.flush();
+
+        expect(readIndex().map(recording => recording.id)).toEqual([route.id]);
+        expect(fs.readdirSync(dir).filter(file => file.startsWith(group.id))).toEqual([]);
+    });
+
+    test('validates targets and limits', () => {
+        expect(() => recorder.start({ type: 'channel' })).toThrow(expect.objectContaining({ code: 'invalid-request' }));
+        expect(() => recorder.start({ type: 'device', deviceId: '999' })).toThrow(expect.objectContaining({ code: 'unknown-target' }));
+        expect(() => recorder.start({ type: 'group', groupId: 'none' })).toThrow(expect.objectContaining({ code: 'unknown-target' }));
+
+        recorder.options.maxActive = 1;
+        recorder.start({ type: 'device', deviceId: '001' });
+        expect(() => recorder.start({ type: 'device', deviceId: '001' })).toThrow(expect.objectContaining({ code: 'limit' }));
+    });
+
+    test('ends recordings left running by a restart', async () => {
+        const recording = recorder.start({ type: 'device', deviceId: '001' });
+        await recorder.flush();
+
+        const restarted = new CallRecorder(deviceManager, { directory: dir });
+        expect(restarted.getRecording(recording.id)).toMatchObject({ status: 'stopped', stopReason: 'interrupted' });
+        await restarted.flush();
+    });
+});
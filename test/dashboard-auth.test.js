@@ -0,0 +1,201 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DashboardAuth = require('../server/dashboard-auth');
+const UserStore = require('../server/user-store');
+const { startApi } = require('./api-harness');
+
+const PASSWORD = 'correct-horse';
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+    process.env.DASHBOARD_ADMIN_PASSWORD = PASSWORD;
+});
+
+afterEach(() => {
+    delete process.env.DASHBOARD_ADMIN_PASSWORD;
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function auth(options = {}) {
+    const instance = new DashboardAuth(null, {
+        enabled: true,
+        usersFile: path.join(dir, 'users.json'),
+        tokensFile: path.join(dir, 'api-tokens.json'),
+        ...options
+    });
+    instance.start();
+    return instance;
+}
+
+// What verifyClient is handed for a WebSocket upgrade
+function upgrade(instance, headers) {
+    const req = { headers: { host: 'dashboard.example:8080', ...headers } };
+    return new Promise(resolve => {
+        instance.verifyClient({ req, origin: headers.origin }, (accepted, code) => resolve({ accepted, code, req }));
+    });
+}
+
+describe('UserStore', () => {
+    test('creates the first admin and keeps hashes in a private file', async () => {
+        const users = new UserStore({ usersFile: path.join(dir, 'users.json') });
+        users.load();
+
+        expect(await users.verify('admin', PASSWORD)).toMatchObject({ username: 'admin', role: 'admin' });
+        expect(await users.verify('admin', 'wrong-password')).toBeNull();
+        expect(await users.verify('nobody', PASSWORD)).toBeNull();
+        expect(await users.verify('admin', undefined)).toBeNull();
+
+        const file = path.join(dir, 'users.json');
+        expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+        expect(fs.readFileSync(file, 'utf8')).not.toContain(PASSWORD);
+    });
+
+    test('validates users and keeps the last admin', async () => {
+        const users = new UserStore({ usersFile: path.join(dir, 'users.json') });
+        users.load();
+
+        await expect(users.create('a b', 'long-enough', 'viewer')).rejects.toMatchObject({ code: 'invalid' });
+        await expect(users.create('ops', 'short', 'viewer')).rejects.toMatchObject({ code: 'invalid' });
+        await expect(users.create('ops', 'long-enough', 'root')).rejects.toMatchObject({ code: 'invalid' });
+        await expect(users.create('admin', 'long-enough', 'viewer')).rejects.toMatchObject({ code: 'exists' });
+        await expect(users.update('admin', { role: 'viewer' })).rejects.toMatchObject({ code: 'last-admin' });
+        expect(() => users.remove('admin')).toThrow(expect.objectContaining({ code: 'last-admin' }));
+
+        // Two requests creating the same user while hashing: one wins
+        const results = await Promise.allSettled([
+            users.create('ops', 'long-enough', 'operator'),
+            users.create('ops', 'other-password', 'viewer')
+        ]);
+        expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find(result => result.reason).reason).toMatchObject({ code: 'exists' });
+
+        await users.update('ops', { password: 'a-new-password', role: 'operator' });
+        expect(await users.verify('ops', 'long-enough')).toBeNull();
+        expect(await users.verify('ops', 'a-new-password')).toMatchObject({ role: 'operator' });
+
+        const reloaded = new UserStore({ usersFile: path.join(dir, 'users.json') });
+        reloaded.load();
+        expect(reloaded.list().map(user => user.username)).toEqual(['admin', 'ops']);
+    });
+});
+
+describe('DashboardAuth', () => {
+    test('logs in and ends sessions', async () => {
+        const instance = auth();
+        const session = await instance.login('admin', PASSWORD, '10.0.0.9');
+        const principal = instance.authenticate({ headers: { cookie: `other=1; udp_audio_session=${session.token}` } });
+
+        expect(principal).toEqual({ type: 'session', username: 'admin', token: session.token });
+        expect(instance.allows(principal, 'users')).toBe(true);
+        expect(instance.describe(principal)).toMatchObject({ username: 'admin', role: 'admin', expiresAt: session.expiresAt });
+
+        instance.endSessions('admin');
+        expect(instance.allows(principal, 'read')).toBe(false);
+        expect(instance.authenticate({ headers: { authorization: `Bearer ${session.token}` } })).toBeNull();
+        instance.stop();
+    });
+
+    test('limits failed logins per address, counting those in progress', async () => {
+        const instance = auth({ maxLoginAttempts: 2 });
+        const guesses = await Promise.allSettled(['guess-1', 'guess-2', 'guess-3']
+            .map(password => instance.login('admin', password, '10.0.0.9')));
+
+        expect(guesses.map(guess => guess.reason.code))
+            .toEqual(['invalid-credentials', 'invalid-credentials', 'too-many-attempts']);
+        await expect(instance.login('admin', PASSWORD, '10.0.0.9')).rejects.toMatchObject({ code: 'too-many-attempts' });
+        await expect(instance.login('admin', PASSWORD, '10.0.0.10')).resolves.toHaveProperty('token');
+        instance.stop();
+    });
+
+    test('grants roles their permissions and tokens their scopes', async () => {
+        const instance = auth();
+        await instance.users.create('viewer', 'long-enough', 'viewer');
+        const session = await instance.login('viewer', 'long-enough', '10.0.0.9');
+        const viewer = instance.authenticate({ headers: { authorization: `Bearer ${session.token}` } });
+
+        expect(instance.allows(viewer, 'stats')).toBe(true);
+        expect(instance.allows(viewer, 'routes')).toBe(false);
+        expect(instance.allows(null, 'public')).toBe(true);
+        expect(instance.allows(null, 'session')).toBe(false);
+
+        const { token } = instance.tokens.issue({ name: 'ci', scopes: [{ permission: 'routes', devices: ['001'] }] }, null);
+        const principal = instance.authenticate({ headers: { authorization: `Bearer ${token}` } });
+        expect(instance.allows(principal, 'routes', { devices: ['001'], groups: [] })).toBe(true);
+        expect(instance.allows(principal, 'routes', { devices: ['002'], groups: [] })).toBe(false);
+        expect(instance.allows(principal, 'users')).toBe(false);
+        instance.stop();
+    });
+
+    test('accepts WebSocket upgrades with a session from the dashboard or an allowed origin', async () => {
+        const instance = auth({ allowedOrigins: ['https://wall.example'] });
+        const { token } = await instance.login('admin', PASSWORD, '10.0.0.9');
+        const cookie = `udp_audio_session=${token}`;
+
+        expect(await upgrade(instance, { cookie, origin: 'http://dashboard.example:8080' })).toMatchObject({ accepted: true });
+        expect(await upgrade(instance, { cookie, origin: 'https://wall.example' })).toMatchObject({ accepted: true });
+        expect(await upgrade(instance, { authorization: `Bearer ${token}` })).toMatchObject({ accepted: true });
+
+        expect(await upgrade(instance, { cookie, origin: 'https://evil.example' })).toMatchObject({ accepted: false, code: 403 });
+        expect(await upgrade(instance, { cookie, origin: 'http://dashboard.example:9090' })).toMatchObject({ accepted: false, code: 403 });
+        expect(await upgrade(instance, { cookie, origin: 'null' })).toMatchObject({ accepted: false, code: 403 });
+        expect(await upgrade(instance, { origin: 'http://dashboard.example:8080' })).toMatchObject({ accepted: false, code: 401 });
+
+        const { req } = await upgrade(instance, { cookie });
+        expect(req.principal).toMatchObject({ type: 'session', username: 'admin' });
+        instance.stop();
+    });
+});
+
+describe('Authentication over REST', () => {
+    let api;
+
+    beforeEach(async () => {
+        api = await startApi({ auth: { enabled: true } });
+    });
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    async function login(username, password) {
+        const res = await api.request('POST', '/api/auth/login', { username, password });
+        return { ...res, headers: { Authorization: `Bearer ${res.body.token}` } };
+    }
+
+    test('logs in with a cookie and refuses requests without a session or permission', async () => {
+        expect((await api.request('GET', '/api/routes')).status).toBe(401);
+        expect((await api.request('POST', '/api/auth/login', { username: 'admin', password: 'wrong-password' })).status).toBe(401);
+
+        const admin = await login('admin', PASSWORD);
+        expect(admin.status).toBe(200);
+        expect(admin.body).toMatchObject({ username: 'admin', role: 'admin' });
+        const cookie = (await api.request('POST', '/api/auth/login', { username: 'admin', password: PASSWORD }))
+            .headers['set-cookie'][0];
+        expect(cookie).toMatch(/^udp_audio_session=[\w-]+; Path=\/; HttpOnly; SameSite=Strict; Max-Age=\d+$/);
+        expect((await api.request('GET', '/api/routes', undefined, { Cookie: cookie.split(';')[0] })).status).toBe(200);
+
+        const created = await api.request('POST', '/api/users', { username: 'viewer', password: 'long-enough', role: 'viewer' }, admin.headers);
+        expect(created.status).toBe(201);
+        expect((await api.request('POST', '/api/users', { username: 'viewer', password: 'long-enough', role: 'viewer' }, admin.headers)).status).toBe(409);
+
+        const viewer = await login('viewer', 'long-enough');
+        expect((await api.request('GET', '/api/routes', undefined, viewer.headers)).status).toBe(200);
+        expect((await api.request('POST', '/api/routes', { source: '001', target: '002' }, viewer.headers)).status).toBe(403);
+    });
+
+    test('changes passwords and ends the other sessions', async () => {
+        const first = await login('admin', PASSWORD);
+        const second = await login('admin', PASSWORD);
+
+        expect((await api.request('PUT', '/api/auth/password', { currentPassword: 'wrong-password', password: 'a-new-password' }, first.headers)).status).toBe(403);
+        expect((await api.request('PUT', '/api/auth/password', { currentPassword: PASSWORD, password: 'a-new-password' }, first.headers)).status).toBe(204);
+
+        expect((await api.request('GET', '/api/auth/session', undefined, first.headers)).status).toBe(200);
+        expect((await api.request('GET', '/api/auth/session', undefined, second.headers)).status).toBe(401);
+        expect((await login('admin', 'a-new-password')).status).toBe(200);
+    });
+});
@@ -0,0 +1,69 @@
+const { startApi } = require('./api-harness');
+
+let api;
+
+beforeEach(async () => {
+    api = await startApi({ devices: ['001', '002'] });
+});
+
+afterEach(async () => {
+    await api.close();
+});
+
+describe('DashboardServer pages and files', () => {
+    test('serves the dashboard and its assets from the root', async () => {
+        let res = await api.request('GET', '/?tab=routes');
+        expect(res.status).toBe(200);
+        expect(res.body).toContain('style.css');
+
+        res = await api.request('GET', '/app.js?v=2');
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('application/javascript');
+
+        res = await api.request('GET', '/dashboard/style.css');
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('text/css');
+    });
+
+    test('serves nothing outside the dashboard directory', async () => {
+        expect((await api.request('GET', '/missing.js')).status).toBe(404);
+        expect((await api.request('GET', '/%2e%2e/package.json')).status).toBe(404);
+        expect((await api.request('GET', '/dashboard/..%2fpackage.json')).status).toBe(404);
+        expect((await api.request('POST', '/app.js')).status).toBe(404);
+    });
+
+    test('answers the original endpoints with a query string', async () => {
+        const res = await api.request('GET', '/api/devices?fresh=1');
+        expect(res.status).toBe(200);
+        expect(res.body.map(device => device.id).sort()).toEqual(['001', '002']);
+    });
+});
+
+describe('DashboardServer matrix', () => {
+    test('enables and disables one route', async () => {
+        let res = await api.request('POST', '/api/route', { from: '001', to: '002', enable: true });
+        expect(res.body).toEqual({ success: true });
+        expect(api.udpServer.audioRouter.getDirectRoutes('001')).toEqual(['002']);
+
+        await api.request('POST', '/api/route', { from: '001', to: '002', enable: false });
+        expect(api.udpServer.audioRouter.getDirectRoutes('001')).toEqual([]);
+    });
+
+    test('validates route updates like the REST API', async () => {
+        expect((await api.request('POST', '/api/route', { from: 42, to: '002', enable: true })).status).toBe(400);
+        expect((await api.request('POST', '/api/route', '{ "from"')).status).toBe(400);
+
+        const res = await api.request('POST', '/api/route', JSON.stringify({ from: 'x'.repeat(1024 * 1024) }));
+        expect(res.status).toBe(413);
+        expect(api.udpServer.audioRouter.getDirectRoutes('001')).toEqual([]);
+    });
+
+    test('clears every route', async () => {
+        api.udpServer.audioRouter.setRoute('001', '002');
+        api.udpServer.audioRouter.setRoute('002', '001');
+
+        expect((await api.request('POST', '/api/route/clear')).body).toEqual({ success: true });
+        expect(api.udpServer.audioRouter.getDirectRoutes('001')).toEqual([]);
+        expect(api.udpServer.audioRouter.getDirectRoutes('002')).toEqual([]);
+    });
+});
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DeviceAuthenticator = require('../server/device-auth');
+const ReplayWindow = require('../server/replay-window');
+const protocol = require('../server/packet-protocol');
+
+const { PACKET_TYPES, FLAGS } = protocol;
+
+const KEY = '00112233445566778899aabbccddeeff00112233445566778899aabbccddeeff';
+const WINDOW = 64;
+
+function audioPacket(version, sequence = 1) {
+    return protocol.encodePacket({
+        version,
+        type: PACKET_TYPES.AUDIO,
+        deviceId: 'T001',
+        sequence,
+        flags: version >= protocol.PROTOCOL_V2 ? FLAGS.AUTH : 0,
+        payload: Buffer.from([sequence & 0xFF, 2, 3])
+    });
+}
+
+function authenticator() {
+    const auth = new DeviceAuthenticator({ mode: 'optional', replayWindow: WINDOW });
+    auth.setKey('T001', KEY);
+    return auth;
+}
+
+describe('DeviceAuthenticator', () => {
+    test.each([1, 2])('signs and verifies v%i packets', (version) => {
+        const auth = authenticator();
+        const packet = audioPacket(version);
+        const signed = DeviceAuthenticator.sign(packet, KEY, 7);
+
+        expect(signed.length).toBe(packet.length + DeviceAuthenticator.TRAILER_SIZE);
+
+        const result = auth.verify(signed);
+        expect(result).toMatchObject({ ok: true, deviceId: 'T001', authenticated: true });
+
+        // The trailer and the AUTH flag are stripped
+        const plain = protocol.decodePacket(result.packet);
+        expect(plain.flags & FLAGS.AUTH).toBe(0);
+        expect(plain.payload).toEqual(protocol.decodePacket(packet).payload);
+    });
+
+    test('rejects a tampered packet or a wrong key', () => {
+        const auth = authenticator();
+        const signed = DeviceAuthenticator.sign(audioPacket(2), KEY, 1);
+
+        const tampered = Buffer.from(signed);
+        tampered[protocol.V2_HEADER_SIZE] ^= 0x01;
+        expect(auth.verify(tampered)).toMatchObject({ ok: false, reason: 'bad signature' });
+
+        const forged = DeviceAuthenticator.sign(audioPacket(2), KEY.replace(/^00/, 'ff'), 2);
+        expect(auth.verify(forged)).toMatchObject({ ok: false, reason: 'bad signature' });
+        expect(auth.stats.rejectedBadSignature).toBe(2);
+    });
+
+    test('rejects unsigned packets from devices with a key', () => {
+        const auth = authenticator();
+        expect(auth.verify(audioPacket(2))).toMatchObject({ ok: false, reason: 'missing signature' });
+    });
+
+    test('rejects replayed counters', () => {
+        const auth = authenticator();
+        const signed = DeviceAuthenticator.sign(audioPacket(2), KEY, 100);
+
+        expect(auth.verify(signed).ok).toBe(true);
+        expect(auth.verify(signed)).toMatchObject({ ok: false, reason: 'replayed counter 100' });
+        expect(auth.stats.rejectedReplay).toBe(1);
+    });
+
+    test('accepts reordered counters inside the window only', () => {
+        const auth = authenticator();
+        const verify = (counter) => auth.verify(DeviceAuthenticator.sign(audioPacket(2, counter), KEY, counter)).ok;
+
+        expect(verify(200)).toBe(true);
+        expect(verify(200 - WINDOW + 1)).toBe(true);  // Oldest counter still in the window
+        expect(verify(200 - WINDOW)).toBe(false);     // Just out of it
+        expect(verify(199)).toBe(true);
+        expect(verify(199)).toBe(false);
+        expect(verify(201)).toBe(true);
+    });
+
+    test('rejects counters at or below the saved floor after a restart', () => {
+        const before = authenticator();
+        [5, 6, 7].forEach(counter => {
+            expect(before.verify(DeviceAuthenticator.sign(audioPacket(2, counter), KEY, counter)).ok).toBe(true);
+        });
+        const counters = before.exportCounters();
+        expect(counters).toEqual({ T001: 7 });
+
+        const after = authenticator();
+        after.importCounters(counters);
+        const verify = (counter) => after.verify(DeviceAuthenticator.sign(audioPacket(2, counter), KEY, counter)).ok;
+
+        expect(verify(5)).toBe(false);
+        expect(verify(7)).toBe(false);
+        expect(verify(8)).toBe(true);
+
+        // A new key starts a new counter
+        after.setKey('T001', KEY.replace(/^00/, 'ff'));
+        const signed = DeviceAuthenticator.sign(audioPacket(2, 1), KEY.replace(/^00/, 'ff'), 1);
+        expect(after.verify(signed).ok).toBe(true);
+    });
+});
+
+describe('counters file', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'counters-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function persistent() {
+        const auth = new DeviceAuthenticator({ mode: 'optional', countersFile: path.join(dir, 'counters.json') });
+        auth.setKey('T001', KEY);
+        return auth;
+    }
+
+    test('saves in the background and restores on start', async () => {
+        const before = persistent();
+        before.start();
+        expect(before.verify(DeviceAuthenticator.sign(audioPacket(2, 9), KEY, 9)).ok).toBe(true);
+
+        await before.saveCounters();
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'counters.json'), 'utf8'))).toEqual({ T001: 9 });
+        expect(before.countersChanged).toBe(false);
+        before.stop();
+
+        const after = persistent();
+        after.start();
+        expect(after.verify(DeviceAuthenticator.sign(audioPacket(2, 9), KEY, 9)).ok).toBe(false);
+        expect(after.verify(DeviceAuthenticator.sign(audioPacket(2, 10), KEY, 10)).ok).toBe(true);
+        after.stop();
+    });
+
+    test('saves on stop and skips unchanged counters', async () => {
+        const auth = persistent();
+        auth.start();
+        await auth.saveCounters();
+        expect(fs.existsSync(path.join(dir, 'counters.json'))).toBe(false);
+
+        auth.verify(DeviceAuthenticator.sign(audioPacket(2, 3), KEY, 3));
+        auth.stop();
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'counters.json'), 'utf8'))).toEqual({ T001: 3 });
+    });
+});
+
+describe('ReplayWindow', () => {
+    test('window edges', () => {
+        const window = new ReplayWindow(4);
+
+        expect(window.accept(10)).toBe(true);
+        expect(window.accept(7)).toBe(true);   // 10 - 4 + 1
+        expect(window.accept(6)).toBe(false);  // 10 - 4
+        expect(window.accept(7)).toBe(false);  // Seen
+        expect(window.accept(14)).toBe(true);
+        expect(window.accept(10)).toBe(false); // Fell out of the window
+        expect(window.accept(11)).toBe(true);
+    });
+
+    test('floor', () => {
+        const window = new ReplayWindow(4, 20);
+
+        expect(window.accept(0)).toBe(false);
+        expect(window.accept(20)).toBe(false);
+        expect(window.accept(21)).toBe(true);
+    });
+});
@@ -0,0 +1,71 @@
+const { startApi } = require('./api-harness');
+
+let api;
+
+beforeEach(async () => {
+    api = await startApi({ devices: ['001', '002'] });
+});
+
+afterEach(async () => {
+    await api.close();
+});
+
+describe('DeviceCommands', () => {
+    test('tracks a command until the device acknowledges it', async () => {
+        let res = await api.request('POST', '/api/devices/001/commands', { command: 'set-volume', params: { volume: 40 } });
+        expect(res.status).toBe(202);
+        expect(res.body).toMatchObject({ deviceId: '001', command: 'set-volume', params: { volume: 40 }, status: 'pending' });
+
+        const [{ to, control, done }] = api.udpServer.sent;
+        expect(to).toBe('001');
+        expect(control).toEqual({ command: 'set-volume', volume: 40 });
+        done({ id: 1, status: 'ok' }, undefined, 2);
+
+        res = await api.request('GET', `/api/devices/001/commands/${res.body.commandId}`);
+        expect(res.body).toMatchObject({ status: 'acknowledged', attempts: 2 });
+        expect((await api.request('GET', '/api/devices/001/commands')).body.settings).toEqual({ volume: 40 });
+    });
+
+    test('records rejections and timeouts without applying them', () => {
+        const commands = api.udpServer.deviceCommands;
+        const mute = commands.send('001', 'mute');
+        const config = commands.send('001', 'push-config', { config: { heartbeatInterval: 5000 } });
+
+        api.udpServer.sent[0].done({ id: 1, status: 'error', error: 'busy', message: 'Try later' }, undefined, 1);
+        api.udpServer.sent[1].done(null, 'timeout', 6);
+
+        expect(mute).toMatchObject({ status: 'rejected', error: 'busy', message: 'Try later' });
+        expect(config).toMatchObject({ status: 'timeout', error: 'timeout' });
+        expect(commands.describeDevice('001').settings).toEqual({});
+        expect(commands.getStats()).toMatchObject({ sent: 2, rejected: 1, timedOut: 1, pending: 0 });
+    });
+
+    test('sends to v1 devices once, without waiting for an acknowledgement', () => {
+        api.udpServer.deviceManager.getDevice('002').protocolVersion = 1;
+
+        expect(api.udpServer.deviceCommands.send('002', 'reboot', { delayMs: 1000 })).toMatchObject({ status: 'sent', attempts: 1 });
+        expect(api.udpServer.sent).toEqual([{ to: '002', control: { command: 'reboot', delayMs: 1000 } }]);
+    });
+
+    test('rejects unknown commands, bad parameters and unreachable devices', async () => {
+        const send = (id, body) => api.request('POST', `/api/devices/${id}/commands`, body);
+
+        expect((await send('001', { command: 'self-destruct' })).status).toBe(400);
+        expect((await send('001', { command: 'set-volume', params: { volume: 101 } })).status).toBe(400);
+        expect((await send('001', { command: 'push-config', params: { config: { wifi: 'x' } } })).body.error)
+            .toMatch(/Unknown config keys: wifi/);
+        expect((await send('XYZ', { command: 'mute' })).status).toBe(404);
+
+        api.udpServer.deviceManager.setOffline(api.udpServer.deviceManager.getDevice('002'), 'timeout');
+        expect((await send('002', { command: 'mute' })).status).toBe(409);
+        expect(api.udpServer.sent).toHaveLength(0);
+    });
+
+    test('sends commands over the control WebSocket', () => {
+        const [reply] = api.control({ type: 'send-device-command', requestId: 'r1', deviceId: '001', command: 'set-bitrate', params: { bitrate: 24000 } });
+        expect(reply).toMatchObject({ type: 'device-command', requestId: 'r1', deviceCommand: { command: 'set-bitrate', status: 'pending' } });
+
+        const [error] = api.control({ type: 'send-device-command', deviceId: '001', command: 'set-bitrate', params: { bitrate: 1 } });
+        expect(error.type).toBe('error');
+    });
+});
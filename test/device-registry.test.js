@@ -0,0 +1,113 @@
+const DeviceAuthenticator = require('../server/device-auth');
+const DeviceManager = require('../server/device-manager');
+const DeviceRegistry = require('../server/device-registry');
+
+const INFO = { address: '127.0.0.1', port: 6000, protocolVersion: 2, authenticated: false };
+
+let deviceManager;
+let deviceAuth;
+
+function registry(options = {}) {
+    deviceManager = new DeviceManager();
+    deviceAuth = new DeviceAuthenticator({ mode: 'optional' });
+    return new DeviceRegistry(deviceManager, deviceAuth, { file: null, policy: 'auto-enroll', maxDevices: 10, ...options });
+}
+
+// Admit a device and bring it online, as the UDP server does
+function connect(registry, deviceId) {
+    const admitted = registry.admit(deviceId, INFO);
+    if (admitted) deviceManager.updateDevice(deviceId, INFO);
+    return admitted;
+}
+
+describe('DeviceRegistry enrollment', () => {
+    test('auto-enrolls unknown devices and refuses blocked ones', () => {
+        const devices = registry();
+        expect(connect(devices, '001')).toBe(true);
+        expect(devices.getDevice('001')).toMatchObject({ status: 'approved', source: 'auto-enroll', online: true });
+
+        devices.update('001', { status: 'blocked' });
+        expect(deviceManager.getDevice('001').online).toBe(false);
+        expect(connect(devices, '001')).toBe(false);
+        expect(devices.getStats()).toMatchObject({ enrolled: 1, refusedBlocked: 1 });
+    });
+
+    test('allowlist devices wait for approval', () => {
+        const devices = registry({ policy: 'allowlist', maxPending: 2 });
+        ['001', '002', '003', '001'].forEach(deviceId => connect(devices, deviceId));
+        expect(devices.getRegistry().pending.map(entry => [entry.deviceId, entry.packets])).toEqual([['001', 2], ['002', 1]]);
+
+        expect(devices.approve('001', { name: 'Lobby', allowedGroups: ['ops'] })).toMatchObject({ source: 'approval', name: 'Lobby' });
+        devices.reject('002');
+        expect(connect(devices, '001')).toBe(true);
+        expect(connect(devices, '002')).toBe(false);
+        expect(devices.canJoinGroup('001', 'ops')).toBe(true);
+        expect(devices.canJoinGroup('001', 'stage')).toBe(false);
+        expect(() => devices.approve('003')).toThrow(expect.objectContaining({ code: 'not-found' }));
+        expect(devices.getStats()).toMatchObject({ refusedPending: 4, pendingDropped: 1, registered: 2, pending: 0 });
+    });
+
+    test('validates provisioned fields and keeps secrets to itself', () => {
+        const devices = registry();
+        const secret = 'ab'.repeat(16);
+
+        expect(devices.provision({ id: '001', secret })).toMatchObject({ hasSecret: true, source: 'api' });
+        expect(devices.getDevice('001')).not.toHaveProperty('secret');
+        expect(deviceAuth.hasKey('001')).toBe(true);
+        expect(() => devices.provision({ id: '001' })).toThrow(expect.objectContaining({ code: 'exists' }));
+        expect(() => devices.provision({ id: '00002' })).toThrow(expect.objectContaining({ code: 'invalid-request' }));
+        expect(() => devices.update('001', { secret: 'short' })).toThrow(expect.objectContaining({ code: 'invalid-request' }));
+
+        devices.remove('001');
+        expect(deviceAuth.hasKey('001')).toBe(false);
+    });
+});
+
+describe('DeviceRegistry capacity', () => {
+    test('refuses devices beyond maxDevices until one goes offline', () => {
+        const devices = registry({ maxDevices: 2 });
+        connect(devices, '001');
+        connect(devices, '002');
+
+        expect(connect(devices, '003')).toBe(false);
+        expect(devices.capacityRefused.has('003')).toBe(true);
+
+        deviceManager.setOffline(deviceManager.getDevice('001'), 'timeout');
+        expect(connect(devices, '003')).toBe(true);
+        expect(devices.capacityRefused.size).toBe(0);
+        expect(devices.getStats().refusedCapacity).toBe(1);
+    });
+
+    test('remembers a bounded number of refused devices', () => {
+        const devices = registry({ maxDevices: 1 });
+        connect(devices, '001');
+        for (let n = 0; n < 150; n++) {
+            devices.admit(`R${n}`, INFO);
+        }
+
+        expect(devices.capacityRefused.size).toBe(100);
+        expect(devices.capacityRefused.has('R0')).toBe(false);
+        expect(devices.capacityRefused.has('R149')).toBe(true);
+    });
+
+    test('auto-enrolled devices seen longest ago make room for new ones', () => {
+        const devices = registry({ maxAutoEnrolled: 3 });
+        ['001', '002', '003'].forEach(deviceId => connect(devices, deviceId));
+        deviceManager.getDevice('001').lastSeen = 2000;
+        deviceManager.getDevice('002').lastSeen = 1000;
+        ['001', '002'].forEach(deviceId => deviceManager.setOffline(deviceManager.getDevice(deviceId), 'timeout'));
+
+        const changes = jest.fn();
+        devices.on('registry-changed', changes);
+        expect(connect(devices, '004')).toBe(true);
+        expect(devices.getDevice('002')).toBeNull();
+        expect(changes).toHaveBeenCalled();
+
+        // Records an operator changed neither count nor go; with the rest online nothing can
+        devices.update('001', { status: 'blocked' });
+        expect(connect(devices, '005')).toBe(true);
+        expect(connect(devices, '006')).toBe(false);
+        expect(devices.getDevice('001')).toMatchObject({ status: 'blocked' });
+        expect(devices.getStats()).toMatchObject({ enrolled: 5, evicted: 1, refusedEnrollment: 1, registered: 4 });
+    });
+});
@@ -5,6 +5,8 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const CONFIG = require('../config/server-config.json');
+const protocol = require('../server/packet-protocol');
+const DeviceAuthenticator = require('../server/device-auth');
 
 class ESP32SimulatorWithMonitor {
     constructor(deviceNumber, options = {}) {
@@ -33,6 +35,15 @@ class ESP32SimulatorWithMonitor {
         // Packet sequencing
         this.sequenceNumber = 0;
 
+        // Wire protocol (v1 mimics deployed firmware, v2 negotiates via HELLO)
+        this.protocolVersion = options.protocolVersion || protocol.PROTOCOL_V2;
+        this.negotiated = null;
+
+        // Packet signing (key from options or the server's device keys file)
+        this.authKey = options.secret || DeviceAuthenticator.readKey(this.deviceId.replace(/\0/g, ''));
+        // Real firmware persists the counter; seed from the clock so restarts stay ahead
+        this.authCounter = Math.floor(Date.now() / 10) >>> 0;
+
         // Audio generation
         this.audioPattern = options.audioPattern || this.getDefaultPattern(deviceNumber);
         this.phase = 0;
@@ -213,6 +224,11 @@ class ESP32SimulatorWithMonitor {
         this.isTransmitting = true;
         this.stats.startTime = Date.now();
 
+        // Announce capabilities before the first audio packet
+        if (this.protocolVersion >= protocol.PROTOCOL_V2) {
+            this.sendHello();
+        }
+
         // Start audio transmission
         this.transmitInterval = setInterval(() => {
             if (!this.isMuted) {
@@ -316,30 +332,52 @@ class ESP32SimulatorWithMonitor {
         }
     }
 
+    buildPacket(type, payload, fields = {}) {
+        const packet = protocol.encodePacket({
+            version: this.protocolVersion,
+            type,
+            deviceId: this.deviceId,
+            payload,
+            ...fields,
+            flags: (fields.flags || 0) | (this.authKey ? protocol.FLAGS.AUTH : 0)
+        });
+
+        if (!this.authKey) return packet;
+
+        const signed = DeviceAuthenticator.sign(packet, this.authKey, this.authCounter);
+        this.authCounter = (this.authCounter + 1) >>> 0;
+        return signed;
+    }
+
     buildAudioPacket(opusData) {
-        const packet = Buffer.alloc(8 + opusData.length);
-        packet.write(this.deviceId, 0, 4);
-        packet.writeUInt16BE(this.sequenceNumber, 4);
-        packet.writeUInt16BE(0x0001, 6); // Audio packet type
-        opusData.copy(packet, 8);
-        return packet;
+        return this.buildPacket(protocol.PACKET_TYPES.AUDIO, opusData, {
+            sequence: this.sequenceNumber,
+            flags: this.stats.packetsSent === 0 ? protocol.FLAGS.MARKER : 0
+        });
     }
 
     handleIncomingPacket(packet, rinfo) {
-        if (packet.length < 8) {
+        const decoded = protocol.decodePacket(packet);
+        if (!decoded) {
             console.warn(`Invalid packet size: ${packet.length}`);
             return;
         }
 
-        const sourceId = packet.slice(0, 4).toString().replace(/\0/g, '');
-        const sequence = packet.readUInt16BE(4);
-        const packetType = packet.readUInt16BE(6);
-
         this.stats.packetsReceived++;
         this.stats.bytesReceived += packet.length;
 
-        if (packetType === 0x0001) { // Audio packet
-            this.handleAudioPacket(sourceId, sequence, packet.slice(8));
+        switch(decoded.type) {
+            case protocol.PACKET_TYPES.AUDIO:
+                this.handleAudioPacket(decoded.deviceId, decoded.sequence, decoded.payload);
+                break;
+
+            case protocol.PACKET_TYPES.HELLO:
+                this.sendHello();
+                break;
+
+            case protocol.PACKET_TYPES.HELLO_ACK:
+                this.handleHelloAck(decoded.payload);
+                break;
         }
     }
 
@@ -366,13 +404,31 @@ class ESP32SimulatorWithMonitor {
     }
 
     sendHeartbeat() {
-        const packet = Buffer.alloc(8);
-        packet.write(this.deviceId, 0, 4);
-        packet.writeUInt16BE(0, 4);
-        packet.writeUInt16BE(0x0003, 6); // Heartbeat type
+        const packet = this.buildPacket(protocol.PACKET_TYPES.HEARTBEAT, null, { sequence: 0 });
+        this.socket.send(packet, this.serverPort, this.serverHost);
+    }
+
+    sendHello() {
+        const capabilities = JSON.stringify({
+            versions: protocol.SUPPORTED_VERSIONS,
+            codecs: ['opus'],
+            frameDurations: [this.frameDuration],
+            firmware: 'simulator-monitor'
+        });
+        const packet = this.buildPacket(protocol.PACKET_TYPES.HELLO, Buffer.from(capabilities), { sequence: 0 });
         this.socket.send(packet, this.serverPort, this.serverHost);
     }
 
+    handleHelloAck(data) {
+        try {
+            this.negotiated = JSON.parse(data.toString());
+            this.protocolVersion = this.negotiated.version;
+        } catch (error) {
+            console.error(`HELLO_ACK parse error: ${error.message}`);
+            this.stats.errors++;
+        }
+    }
+
     getDefaultPattern(deviceNumber) {
         const patterns = {
             '001': 'square',
@@ -417,11 +473,13 @@ if (require.main === module) {
     const deviceCount = parseInt(args.find(a => a.startsWith('--devices='))?.split('=')[1] || '3');
     const serverHost = args.find(a => a.startsWith('--server='))?.split('=')[1] || '127.0.0.1';
     const verbose = args.includes('--verbose');
+    const protocolVersion = parseInt(args.find(a => a.startsWith('--protocol='))?.split('=')[1] || '2');
 
     console.log('🚀 ESP32 Audio Simulator with Monitoring');
     console.log('========================================');
     console.log(`Devices: ${deviceCount}`);
     console.log(`Server: ${serverHost}:${CONFIG.udp.serverPort}`);
+    console.log(`Protocol: v${protocolVersion}`);
     console.log('========================================\n');
 
     // Create simulators
@@ -431,6 +489,7 @@ if (require.main === module) {
         const simulator = new ESP32SimulatorWithMonitor(deviceNumber, {
             serverHost,
             verbose,
+            protocolVersion,
             enableMonitor: true
         });
         simulators.push(simulator);
@@ -2,6 +2,33 @@ const dgram = require('dgram');
 const { OpusEncoder } = require('@discordjs/opus');
 const crypto = require('crypto');
 const CONFIG = require('../config/server-config.json');
+const protocol = require('../server/packet-protocol');
+const DeviceAuthenticator = require('../server/device-auth');
+const SecureTransport = require('../server/secure-transport');
+const LossRecovery = require('../server/loss-recovery');
+const ReliableDelivery = require('../server/reliable-delivery');
+
+// Opus encoder CTLs (opus_defines.h)
+const OPUS_SET_INBAND_FEC = 4012;
+const OPUS_SET_PACKET_LOSS_PERC = 4014;
+
+// Received frames kept per source for parity recovery, sent frames for NACKs
+const FRAME_HISTORY = 32;
+
+const RELIABILITY = CONFIG.reliability || { control: {}, nack: {} };
+
+const AUDIO_PATTERNS = ['sine', 'square', 'sawtooth', 'noise', 'silence', 'chirp'];
+
+// Time a simulated reboot keeps the device silent
+const BOOT_TIME_MS = 1000;
+
+// A server command the device refuses; `code` goes into the CONTROL_ACK
+class ControlError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
 
 class ESP32Simulator {
     constructor(deviceNumber, options = {}) {
@@ -29,8 +56,51 @@ class ESP32Simulator {
 
         // Packet sequencing
         this.sequenceNumber = 0;
+
+        // Wire protocol (v1 mimics deployed firmware, v2 negotiates via HELLO)
+        this.protocolVersion = options.protocolVersion || protocol.PROTOCOL_V2;
+        this.bootProtocolVersion = this.protocolVersion;
+        this.negotiated = null;
+
+        // Packet signing (key from options or the server's device keys file)
+        this.authKey = options.secret || DeviceAuthenticator.readKey(this.deviceId.replace(/\0/g, ''));
+        // Real firmware persists the counter; seed from the clock so restarts stay ahead
+        this.authCounter = Math.floor(Date.now() / 10) >>> 0;
+
+        // Encrypted transport ('psk' uses the device key, 'cert' the X.509 certificate)
+        this.encryption = options.encryption || null;
+        this.session = null;
+        this.keyExchange = null;
+        if (this.encryption) {
+            this.protocolVersion = protocol.PROTOCOL_V2;
+        }
         this.receivedPackets = new Map();
 
+        // Loss recovery: XOR parity both ways and in-band FEC (see server/loss-recovery.js)
+        this.fec = Boolean(options.fec);
+        this.parityEncoder = this.fec
+            ? new LossRecovery.ParityEncoder(CONFIG.lossRecovery.parityGroupSize)
+            : null;
+        this.receivedFrames = new Map(); // sourceId -> Map(sequence -> { timestamp, payload })
+
+        // Retransmission on NACK, both ways (see server/reliable-delivery.js)
+        this.nack = Boolean(options.nack);
+        this.sentFrames = new Map();     // sequence -> opusData
+        this.highestReceived = new Map(); // sourceId -> sequence
+
+        // Control commands awaiting their CONTROL_ACK (v1 firmware sends no ids)
+        this.controlId = 0;
+        this.pendingControl = new Map(); // id -> { command, timer }
+        this.handledControl = new Map(); // id -> ACK, for server commands resent before our ACK arrived
+
+        // Settings the server can change (see server/device-commands.js)
+        this.volume = 100;   // Speaker volume (%)
+        this.gainDb = 0;     // Microphone gain
+        this.bitrate = CONFIG.audio.opusBitrate;
+        this.encoder.setBitrate(this.bitrate);
+        this.heartbeatMs = CONFIG.device.heartbeatInterval;
+        this.rebootTimer = null;
+
         // Audio generation
         this.audioPattern = options.audioPattern || this.getDefaultPattern(deviceNumber);
         this.phase = 0;
@@ -43,6 +113,13 @@ class ESP32Simulator {
             bytesTransmitted: 0,
             bytesReceived: 0,
             errors: 0,
+            recovered: 0,
+            concealedFrames: 0,
+            fecFrames: 0,
+            controlRetries: 0,
+            controlFailed: 0,
+            retransmitted: 0,
+            retransmitsReceived: 0,
             startTime: Date.now()
         };
 
@@ -94,6 +171,14 @@ class ESP32Simulator {
         this.isTransmitting = true;
         this.stats.startTime = Date.now();
 
+        // Announce capabilities before the first audio packet
+        if (this.protocolVersion >= protocol.PROTOCOL_V2) {
+            this.sendHello();
+        }
+        if (this.encryption) {
+            this.sendKeyExchange();
+        }
+
         // Start audio transmission
         this.transmitInterval = setInterval(() => {
             if (!this.isMuted) {
@@ -104,7 +189,7 @@ class ESP32Simulator {
         // Start heartbeat
         this.heartbeatInterval = setInterval(() => {
             this.sendHeartbeat();
-        }, CONFIG.device.heartbeatInterval);
+        }, this.heartbeatMs);
 
         console.log(`▶️ Device ${this.deviceNumber} started transmitting`);
     }
@@ -115,15 +200,17 @@ class ESP32Simulator {
         this.isTransmitting = false;
         clearInterval(this.transmitInterval);
         clearInterval(this.heartbeatInterval);
+        this.pendingControl.forEach(pending => clearTimeout(pending.timer));
+        this.pendingControl.clear();
 
         console.log(`⏹️ Device ${this.deviceNumber} stopped`);
         this.printStats();
     }
 
     transmitAudioPacket() {
-        // Simulate packet loss
-        if (this.simulatePacketLoss > 0 && Math.random() < this.simulatePacketLoss) {
-            return; // Drop packet
+        // Hold audio until the encrypted session is up
+        if (this.encryption && !this.session) {
+            return;
         }
 
         // Generate PCM audio
@@ -134,6 +221,23 @@ class ESP32Simulator {
 
         // Build packet
         const packet = this.buildAudioPacket(opusData);
+        if (this.nack) {
+            this.sentFrames.set(this.sequenceNumber, opusData);
+            while (this.sentFrames.size > FRAME_HISTORY) {
+                this.sentFrames.delete(this.sentFrames.keys().next().value);
+            }
+        }
+
+        const parity = this.parityEncoder
+            ? this.parityEncoder.add(this.sequenceNumber, (this.sequenceNumber * this.frameSize) >>> 0, opusData)
+            : null;
+
+        // Simulate packet loss: the packet is lost on the air, its sequence number is used up
+        if (this.isLost()) {
+            this.sequenceNumber = (this.sequenceNumber + 1) & 0xFFFF;
+            if (parity) this.sendParity(parity);
+            return;
+        }
 
         // Simulate jitter
         const delay = this.simulateJitter > 0 ? Math.random() * this.simulateJitter : 0;
@@ -156,6 +260,22 @@ class ESP32Simulator {
 
         // Increment sequence number
         this.sequenceNumber = (this.sequenceNumber + 1) & 0xFFFF;
+
+        if (parity) {
+            setTimeout(() => this.sendParity(parity), delay);
+        }
+    }
+
+    isLost() {
+        return this.simulatePacketLoss > 0 && Math.random() < this.simulatePacketLoss;
+    }
+
+    sendParity(parity) {
+        if (this.isLost()) return;
+
+        // Sequence 0 like every other non-audio packet
+        const packet = this.buildPacket(protocol.PACKET_TYPES.REDUNDANCY, parity, { sequence: 0 });
+        this.socket.send(packet, this.serverPort, this.serverHost);
     }
 
     generatePCMAudio() {
@@ -196,6 +316,7 @@ class ESP32Simulator {
 
             // Apply volume scaling
             sample *= 0.3; // 30% volume to avoid clipping
+            sample *= Math.pow(10, this.gainDb / 20);
 
             // Convert to 16-bit integer
             const int16Sample = Math.max(-32768, Math.min(32767, Math.floor(sample * 32767)));
@@ -206,63 +327,135 @@ class ESP32Simulator {
         return samples;
     }
 
-    buildAudioPacket(opusData) {
-        const packet = Buffer.alloc(8 + opusData.length);
-
-        // Device ID (4 bytes)
-        packet.write(this.deviceId, 0, 4);
-
-        // Sequence number (2 bytes, big-endian)
-        packet.writeUInt16BE(this.sequenceNumber, 4);
+    buildPacket(type, payload, fields = {}) {
+        // Encrypted packets are authenticated by the session, not the HMAC trailer
+        const seal = this.session && (type === protocol.PACKET_TYPES.AUDIO ||
+            type === protocol.PACKET_TYPES.CONTROL || type === protocol.PACKET_TYPES.REDUNDANCY ||
+            type === protocol.PACKET_TYPES.NACK || type === protocol.PACKET_TYPES.CONTROL_ACK);
+
+        const packet = protocol.encodePacket({
+            version: this.protocolVersion,
+            type,
+            deviceId: this.deviceId,
+            payload,
+            ...fields,
+            flags: (fields.flags || 0) | (this.authKey && !seal ? protocol.FLAGS.AUTH : 0)
+        });
 
-        // Packet type (2 bytes) - 0x0001 for audio
-        packet.writeUInt16BE(0x0001, 6);
+        if (seal) return SecureTransport.sealPacket(this.session, packet);
+        if (!this.authKey) return packet;
 
-        // Opus audio data
-        opusData.copy(packet, 8);
+        const signed = DeviceAuthenticator.sign(packet, this.authKey, this.authCounter);
+        this.authCounter = (this.authCounter + 1) >>> 0;
+        return signed;
+    }
 
-        return packet;
+    buildAudioPacket(opusData) {
+        return this.buildPacket(protocol.PACKET_TYPES.AUDIO, opusData, {
+            sequence: this.sequenceNumber,
+            flags: this.stats.packetsSent === 0 ? protocol.FLAGS.MARKER : 0
+        });
     }
 
     handleIncomingPacket(packet, rinfo) {
-        if (packet.length < 8) {
+        let decoded = protocol.decodePacket(packet);
+        if (!decoded) {
             console.warn(`Invalid packet size: ${packet.length}`);
             return;
         }
 
-        const sourceId = packet.slice(0, 4).toString().replace(/\0/g, '');
-        const sequence = packet.readUInt16BE(4);
-        const packetType = packet.readUInt16BE(6);
+        if (decoded.flags & protocol.FLAGS.ENCRYPTED) {
+            const plain = this.session && SecureTransport.openPacket(this.session, packet, decoded);
+            if (!plain) {
+                console.warn(`🚫 [${this.deviceNumber}] Could not decrypt packet from ${decoded.deviceId}`);
+                this.stats.errors++;
+                return;
+            }
+            decoded = protocol.decodePacket(plain);
+        }
+
+        const { deviceId: sourceId, sequence, type: packetType, payload } = decoded;
 
         this.stats.packetsReceived++;
         this.stats.bytesReceived += packet.length;
 
         switch(packetType) {
-            case 0x0001: // Audio packet
-                this.handleAudioPacket(sourceId, sequence, packet.slice(8));
+            case protocol.PACKET_TYPES.AUDIO:
+                this.handleAudioPacket(sourceId, sequence, payload, decoded);
                 break;
 
-            case 0x0002: // Control packet
-                this.handleControlPacket(sourceId, packet.slice(8));
+            case protocol.PACKET_TYPES.REDUNDANCY:
+                this.handleParity(sourceId, payload);
                 break;
 
-            case 0x0003: // Heartbeat acknowledgment
+            case protocol.PACKET_TYPES.CONTROL:
+                this.handleControlPacket(sourceId, payload);
+                break;
+
+            case protocol.PACKET_TYPES.CONTROL_ACK:
+                this.handleControlAck(payload);
+                break;
+
+            case protocol.PACKET_TYPES.NACK:
+                this.handleNack(payload);
+                break;
+
+            case protocol.PACKET_TYPES.HEARTBEAT: // Heartbeat acknowledgment
                 if (this.verbose) {
                     console.log(`💓 Heartbeat ACK from server`);
                 }
                 break;
 
+            case protocol.PACKET_TYPES.HELLO: // Server asks for our capabilities
+                this.sendHello();
+                break;
+
+            case protocol.PACKET_TYPES.HELLO_ACK:
+                this.handleHelloAck(payload);
+                break;
+
+            case protocol.PACKET_TYPES.KEY_EXCHANGE_ACK:
+                this.handleKeyExchangeAck(payload);
+                break;
+
             default:
                 console.warn(`Unknown packet type: 0x${packetType.toString(16)}`);
         }
     }
 
-    handleAudioPacket(sourceId, sequence, opusData) {
+    handleAudioPacket(sourceId, sequence, opusData, decoded) {
         if (sourceId === this.deviceId.replace(/\0/g, '')) {
             return; // Ignore own packets (echo)
         }
 
+        const flags = decoded ? decoded.flags : 0;
+
+        if (flags & protocol.FLAGS.RETRANSMIT) {
+            this.stats.retransmitsReceived++;
+        } else if (this.nack) {
+            this.detectGap(sourceId, sequence);
+        }
+
         try {
+            // A FEC frame carries the next frame; real firmware decodes its
+            // in-band FEC (decode_fec=1), which @discordjs/opus cannot, so conceal
+            if (flags & protocol.FLAGS.FEC) {
+                this.stats.fecFrames++;
+                this.decoder.decode(Buffer.alloc(0));
+                return;
+            }
+
+            // Missing-frame marker: run the decoder's PLC
+            if (opusData.length === 0) {
+                this.stats.concealedFrames++;
+                this.decoder.decode(Buffer.alloc(0));
+                return;
+            }
+
+            if (this.fec && decoded) {
+                this.rememberFrame(sourceId, sequence, decoded.timestamp, opusData);
+            }
+
             // Decode Opus to PCM
             const pcmData = this.decoder.decode(opusData);
 
@@ -279,51 +472,417 @@ class ESP32Simulator {
         }
     }
 
-    handleControlPacket(sourceId, data) {
+    rememberFrame(sourceId, sequence, timestamp, payload) {
+        if (!this.receivedFrames.has(sourceId)) {
+            this.receivedFrames.set(sourceId, new Map());
+        }
+
+        const frames = this.receivedFrames.get(sourceId);
+        frames.set(sequence, { timestamp, payload });
+        while (frames.size > FRAME_HISTORY) {
+            frames.delete(frames.keys().next().value);
+        }
+    }
+
+    // Rebuild a single lost frame from the server's parity
+    handleParity(sourceId, payload) {
+        const block = LossRecovery.decodeParity(payload);
+        if (!block) return;
+
+        const { frame } = LossRecovery.rebuildFrame(block, this.receivedFrames.get(sourceId) || new Map());
+        if (!frame) return;
+
+        this.stats.recovered++;
+        if (this.verbose) {
+            console.log(`🩹 [${this.deviceNumber}] Recovered packet ${frame.sequence} from ${sourceId}`);
+        }
+        this.handleAudioPacket(sourceId, frame.sequence, frame.payload,
+            { flags: 0, timestamp: frame.timestamp });
+    }
+
+    // Ask the server to resend audio that did not arrive
+    detectGap(sourceId, sequence) {
+        const highest = this.highestReceived.get(sourceId);
+        if (highest !== undefined && !LossRecovery.isBefore(highest, sequence)) return;
+        this.highestReceived.set(sourceId, sequence);
+        if (highest === undefined) return;
+
+        const gap = (sequence - highest - 1) & 0xFFFF;
+        if (gap === 0 || gap > (RELIABILITY.nack.maxGap || 8)) return;
+
+        const missing = [];
+        for (let i = 1; i <= gap; i++) {
+            missing.push((highest + i) & 0xFFFF);
+        }
+        const packet = this.buildPacket(protocol.PACKET_TYPES.NACK,
+            ReliableDelivery.encodeNack(sourceId, missing), { sequence: 0 });
+        this.socket.send(packet, this.serverPort, this.serverHost);
+    }
+
+    // Resend our own audio the server reports lost
+    handleNack(data) {
+        const entries = ReliableDelivery.decodeNack(data);
+        if (!entries) return;
+
+        const ownId = this.deviceId.replace(/\0/g, '');
+        entries.filter(entry => entry.sourceId === ownId).forEach(({ sequences }) => {
+            sequences.forEach(sequence => {
+                const opusData = this.sentFrames.get(sequence);
+                if (!opusData || this.isLost()) return;
+
+                const packet = this.buildPacket(protocol.PACKET_TYPES.AUDIO, opusData, {
+                    sequence,
+                    flags: protocol.FLAGS.RETRANSMIT
+                });
+                this.socket.send(packet, this.serverPort, this.serverHost);
+                this.stats.retransmitted++;
+            });
+        });
+    }
+
+    handleControlAck(data) {
+        let ack;
         try {
-            const control = JSON.parse(data.toString());
-            console.log(`🎮 Control from ${sourceId}: ${control.command}`);
+            ack = JSON.parse(data.toString());
+        } catch (error) {
+            console.error(`CONTROL_ACK parse error: ${error.message}`);
+            this.stats.errors++;
+            return;
+        }
 
-            switch(control.command) {
-                case 'mute':
-                    this.mute();
-                    break;
-                case 'unmute':
-                    this.unmute();
-                    break;
-                case 'change-pattern':
-                    this.changeAudioPattern(control.pattern);
-                    break;
-                default:
-                    console.warn(`Unknown control command: ${control.command}`);
-            }
+        const pending = this.pendingControl.get(ack.id);
+        if (!pending) return; // Duplicate ACK of a retransmission
+
+        clearTimeout(pending.timer);
+        this.pendingControl.delete(ack.id);
+
+        if (ack.status === 'error') {
+            console.warn(`⚠️ [${this.deviceNumber}] ${pending.command} rejected: ${ack.error} (${ack.message})`);
+        } else if (this.verbose) {
+            console.log(`✅ [${this.deviceNumber}] ${pending.command} acknowledged`);
+        }
+    }
+
+    handleControlPacket(sourceId, data) {
+        let control;
+        try {
+            control = JSON.parse(data.toString());
         } catch (error) {
             console.error(`Control packet error: ${error.message}`);
+            this.stats.errors++;
+            return;
+        }
+
+        // A resend of a command we already carried out: only the ACK got lost
+        const handled = control.id !== undefined && this.handledControl.get(control.id);
+        if (handled) {
+            this.sendControlAck(handled);
+            return;
         }
+
+        console.log(`🎮 Control from ${sourceId}: ${control.command}`);
+
+        let ack = { id: control.id, status: 'ok' };
+        try {
+            this.executeControl(control);
+        } catch (error) {
+            console.warn(`⚠️ [${this.deviceNumber}] ${control.command} failed: ${error.message}`);
+            ack = { id: control.id, status: 'error', error: error.code || 'failed', message: error.message };
+        }
+
+        if (control.id === undefined) return;
+
+        this.handledControl.set(control.id, ack);
+        while (this.handledControl.size > (RELIABILITY.control.dedupSize || 64)) {
+            this.handledControl.delete(this.handledControl.keys().next().value);
+        }
+        this.sendControlAck(ack);
     }
 
-    sendHeartbeat() {
-        const packet = Buffer.alloc(8);
-        packet.write(this.deviceId, 0, 4);
-        packet.writeUInt16BE(0, 4); // Sequence 0 for heartbeat
-        packet.writeUInt16BE(0x0003, 6); // Heartbeat type
+    executeControl(control) {
+        switch(control.command) {
+            case 'mute':
+                this.mute();
+                break;
+            case 'unmute':
+                this.unmute();
+                break;
+            case 'set-volume':
+                this.setVolume(control.volume);
+                break;
+            case 'set-mic-gain':
+                this.setMicGain(control.gainDb);
+                break;
+            case 'set-bitrate':
+                this.setBitrate(control.bitrate);
+                break;
+            case 'reboot':
+                this.reboot(control.delayMs);
+                break;
+            case 'push-config':
+                this.applyConfig(control.config);
+                break;
+            case 'change-pattern':
+                this.changeAudioPattern(control.pattern);
+                break;
+            case 'floor-granted':
+            case 'floor-queued':
+            case 'floor-denied':
+            case 'floor-revoked':
+            case 'floor-taken':
+            case 'floor-released':
+                this.handleFloorNotification(control);
+                break;
+            case 'set-fec':
+                this.setFec(control.enabled, control.expectedLoss);
+                break;
+            default:
+                throw new ControlError('unknown-command', `Unknown control command: ${control.command}`);
+        }
+    }
 
+    sendControlAck(ack) {
+        const packet = this.buildPacket(protocol.PACKET_TYPES.CONTROL_ACK,
+            Buffer.from(JSON.stringify(ack)), { sequence: 0 });
         this.socket.send(packet, this.serverPort, this.serverHost);
     }
 
-    sendControl(command, data = {}) {
-        const control = JSON.stringify({ command, ...data });
-        const packet = Buffer.alloc(8 + Buffer.byteLength(control));
+    setVolume(volume) {
+        requireSetting('volume', volume, 0, 100, true);
+        this.volume = volume;
+        console.log(`🔈 Device ${this.deviceNumber}: volume ${volume}%`);
+    }
 
-        packet.write(this.deviceId, 0, 4);
-        packet.writeUInt16BE(0, 4); // Sequence 0 for control
-        packet.writeUInt16BE(0x0002, 6); // Control type
-        packet.write(control, 8);
+    setMicGain(gainDb) {
+        requireSetting('gainDb', gainDb, -20, 40);
+        this.gainDb = gainDb;
+        console.log(`🎚️ Device ${this.deviceNumber}: mic gain ${gainDb} dB`);
+    }
 
+    setBitrate(bitrate) {
+        requireSetting('bitrate', bitrate, 6000, 510000, true);
+        this.encoder.setBitrate(bitrate);
+        this.bitrate = bitrate;
+        console.log(`🎛️ Device ${this.deviceNumber}: bitrate ${bitrate} bit/s`);
+    }
+
+    // Check every key before applying any, so a bad config changes nothing
+    applyConfig(config) {
+        if (!config || typeof config !== 'object') {
+            throw new ControlError('invalid-request', 'config must be an object');
+        }
+
+        const setters = {
+            volume: value => this.setVolume(value),
+            gainDb: value => this.setMicGain(value),
+            bitrate: value => this.setBitrate(value),
+            heartbeatInterval: value => this.setHeartbeatInterval(value),
+            audioPattern: value => this.changeAudioPattern(value),
+            frequency: value => {
+                this.frequency = value;
+                console.log(`🎵 Device ${this.deviceNumber}: frequency ${value} Hz`);
+            }
+        };
+        const checks = {
+            volume: value => requireSetting('volume', value, 0, 100, true),
+            gainDb: value => requireSetting('gainDb', value, -20, 40),
+            bitrate: value => requireSetting('bitrate', value, 6000, 510000, true),
+            heartbeatInterval: value => requireSetting('heartbeatInterval', value, 1000, 300000, true),
+            audioPattern: value => {
+                if (!AUDIO_PATTERNS.includes(value)) {
+                    throw new ControlError('invalid-request', `audioPattern must be one of ${AUDIO_PATTERNS.join(', ')}`);
+                }
+            },
+            frequency: value => requireSetting('frequency', value, 20, 20000)
+        };
+
+        Object.keys(config).forEach(key => {
+            if (!checks[key]) {
+                throw new ControlError('invalid-request', `Unknown config key: ${key}`);
+            }
+            checks[key](config[key]);
+        });
+        Object.keys(config).forEach(key => setters[key](config[key]));
+    }
+
+    setHeartbeatInterval(intervalMs) {
+        this.heartbeatMs = intervalMs;
+        if (this.isTransmitting) {
+            clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = setInterval(() => this.sendHeartbeat(), this.heartbeatMs);
+        }
+        console.log(`💓 Device ${this.deviceNumber}: heartbeat every ${intervalMs}ms`);
+    }
+
+    // Restart like firmware would: sessions, negotiation and sequence numbers are lost
+    reboot(delayMs = 0) {
+        requireSetting('delayMs', delayMs, 0, 60000, true);
+        console.log(`🔁 Device ${this.deviceNumber}: rebooting${delayMs ? ` in ${delayMs}ms` : ''}`);
+
+        // The ACK goes out first
+        clearTimeout(this.rebootTimer);
+        this.rebootTimer = setTimeout(() => {
+            this.stop();
+            this.session = null;
+            this.keyExchange = null;
+            this.negotiated = null;
+            this.protocolVersion = this.bootProtocolVersion;
+            this.sequenceNumber = 0;
+            this.handledControl.clear();
+            this.receivedFrames.clear();
+            this.highestReceived.clear();
+            this.sentFrames.clear();
+
+            this.rebootTimer = setTimeout(() => {
+                this.rebootTimer = null;
+                this.start();
+            }, BOOT_TIME_MS);
+        }, delayMs);
+    }
+
+    // Push-to-talk floor notifications (a real device would play control.tone)
+    handleFloorNotification(control) {
+        const details = control.holder ? ` (holder ${control.holder})` : '';
+        console.log(`🎙️ Device ${this.deviceNumber}: ${control.command} in ${control.groupId}${details}` +
+                    `${control.tone ? ` [tone: ${control.tone}]` : ''}`);
+    }
+
+    // In-band FEC on request of the server (which saw our loss rate climb)
+    setFec(enabled, expectedLoss = 0) {
+        this.encoder.applyEncoderCTL(OPUS_SET_INBAND_FEC, enabled ? 1 : 0);
+        this.encoder.applyEncoderCTL(OPUS_SET_PACKET_LOSS_PERC, enabled ? expectedLoss : 0);
+        console.log(`🛟 Device ${this.deviceNumber}: in-band FEC ${enabled ? `on (${expectedLoss}% loss)` : 'off'}`);
+    }
+
+    pttStart(groupId) {
+        this.sendControl('ptt-start', groupId ? { groupId } : {});
+    }
+
+    pttStop(groupId) {
+        this.sendControl('ptt-stop', groupId ? { groupId } : {});
+    }
+
+    sendHeartbeat() {
+        // Sequence 0 for heartbeat
+        const packet = this.buildPacket(protocol.PACKET_TYPES.HEARTBEAT, null, { sequence: 0 });
         this.socket.send(packet, this.serverPort, this.serverHost);
+    }
+
+    sendControl(command, data = {}) {
+        const control = { command, ...data };
+        if (this.protocolVersion >= protocol.PROTOCOL_V2) {
+            this.controlId = (this.controlId + 1) >>> 0;
+            control.id = this.controlId;
+            this.pendingControl.set(control.id, { command, timer: null });
+        }
+
+        this.transmitControl(control, 0);
         console.log(`📡 Sent control: ${command}`);
     }
 
+    // Retransmit with exponential backoff until the server acknowledges
+    transmitControl(control, attempt) {
+        // Rebuilt every time: a resent copy would fail the replay check
+        const packet = this.buildPacket(protocol.PACKET_TYPES.CONTROL,
+            Buffer.from(JSON.stringify(control)), { sequence: 0 });
+        if (!this.isLost()) {
+            this.socket.send(packet, this.serverPort, this.serverHost);
+        }
+
+        const pending = this.pendingControl.get(control.id);
+        if (!pending) return;
+
+        const { ackTimeoutMs = 200, maxRetries = 5 } = RELIABILITY.control;
+        pending.timer = setTimeout(() => {
+            if (attempt >= maxRetries) {
+                console.error(`❌ [${this.deviceNumber}] ${control.command} not acknowledged, giving up`);
+                this.pendingControl.delete(control.id);
+                this.stats.controlFailed++;
+                return;
+            }
+            this.stats.controlRetries++;
+            this.transmitControl(control, attempt + 1);
+        }, ackTimeoutMs * Math.pow(2, attempt));
+    }
+
+    sendHello() {
+        const capabilities = JSON.stringify({
+            versions: protocol.SUPPORTED_VERSIONS,
+            codecs: ['opus'],
+            frameDurations: [this.frameDuration],
+            features: [
+                ...(this.fec ? ['fec-xor', 'opus-fec'] : []),
+                ...(this.nack ? ['nack'] : [])
+            ],
+            firmware: 'simulator'
+        });
+        const packet = this.buildPacket(protocol.PACKET_TYPES.HELLO, Buffer.from(capabilities), { sequence: 0 });
+
+        this.socket.send(packet, this.serverPort, this.serverHost);
+    }
+
+    sendKeyExchange(challenge) {
+        const deviceId = this.deviceId.replace(/\0/g, '');
+        let credentials;
+
+        if (this.encryption === 'cert') {
+            credentials = SecureTransport.readCredentials(CONFIG.security.encryption.certificates[deviceId] || '');
+            if (!credentials || !credentials.privateKey) {
+                console.error(`❌ [${this.deviceNumber}] No certificate configured for ${deviceId}`);
+                return;
+            }
+        } else {
+            if (!this.authKey) {
+                console.error(`❌ [${this.deviceNumber}] No pre-shared key for ${deviceId}`);
+                return;
+            }
+            credentials = { psk: this.authKey };
+        }
+
+        this.keyExchange = SecureTransport.createKeyExchange(deviceId, credentials, challenge);
+        const packet = this.buildPacket(protocol.PACKET_TYPES.KEY_EXCHANGE, this.keyExchange.payload, { sequence: 0 });
+        this.socket.send(packet, this.serverPort, this.serverHost);
+    }
+
+    handleKeyExchangeAck(data) {
+        if (!this.keyExchange) return;
+
+        try {
+            // The server first answers with a challenge to include in a new offer
+            const challenge = SecureTransport.challengeOf(data);
+            if (challenge) {
+                this.sendKeyExchange(challenge);
+                return;
+            }
+
+            this.session = SecureTransport.completeKeyExchange(this.keyExchange.state, data);
+            this.keyExchange = null;
+            console.log(`🔐 [${this.deviceNumber}] Encrypted session established (${this.session.method})`);
+        } catch (error) {
+            console.error(`❌ [${this.deviceNumber}] Key exchange failed: ${error.message}`);
+            this.stats.errors++;
+        }
+    }
+
+    handleHelloAck(data) {
+        try {
+            const answer = JSON.parse(data.toString());
+            if (answer.error) {
+                console.error(`❌ [${this.deviceNumber}] HELLO rejected: ${answer.reason}`);
+                this.stats.errors++;
+                return;
+            }
+
+            this.negotiated = answer;
+            this.protocolVersion = this.negotiated.version;
+            console.log(`🤝 [${this.deviceNumber}] Negotiated protocol v${this.negotiated.version}, ` +
+                        `${this.negotiated.codec} ${this.negotiated.frameDuration}ms`);
+        } catch (error) {
+            console.error(`HELLO_ACK parse error: ${error.message}`);
+            this.stats.errors++;
+        }
+    }
+
     mute() {
         this.isMuted = true;
         console.log(`🔇 Device ${this.deviceNumber} muted`);
@@ -335,6 +894,9 @@ class ESP32Simulator {
     }
 
     changeAudioPattern(pattern) {
+        if (!AUDIO_PATTERNS.includes(pattern)) {
+            throw new ControlError('invalid-request', `Unknown audio pattern: ${pattern}`);
+        }
         this.audioPattern = pattern;
         console.log(`🎵 Changed audio pattern to: ${pattern}`);
     }
@@ -358,15 +920,34 @@ class ESP32Simulator {
         console.log(`  Data received: ${(this.stats.bytesReceived / 1024).toFixed(2)} KB`);
         console.log(`  Data rate: ${dataRate.toFixed(2)} KB/s`);
         console.log(`  Errors: ${this.stats.errors}`);
+        if (this.fec) {
+            console.log(`  Recovered from parity: ${this.stats.recovered}`);
+            console.log(`  Concealed frames: ${this.stats.concealedFrames} (+${this.stats.fecFrames} FEC)`);
+        }
+        if (this.nack) {
+            console.log(`  Retransmitted on NACK: ${this.stats.retransmitted}`);
+            console.log(`  Retransmissions received: ${this.stats.retransmitsReceived}`);
+        }
+        if (this.stats.controlRetries || this.stats.controlFailed) {
+            console.log(`  Control retries: ${this.stats.controlRetries} (${this.stats.controlFailed} failed)`);
+        }
     }
 
     close() {
+        clearTimeout(this.rebootTimer);
         this.stop();
         this.socket.close();
         console.log(`Device ${this.deviceNumber} closed`);
     }
 }
 
+function requireSetting(key, value, min, max, integer) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value)) ||
+        value < min || value > max) {
+        throw new ControlError('invalid-request', `${key} must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max}`);
+    }
+}
+
 // Run simulator if executed directly
 if (require.main === module) {
     const args = process.argv.slice(2);
@@ -375,15 +956,23 @@ if (require.main === module) {
     const deviceCount = parseInt(args.find(a => a.startsWith('--devices='))?.split('=')[1] || '3');
     const serverHost = args.find(a => a.startsWith('--server='))?.split('=')[1] || '127.0.0.1';
     const verbose = args.includes('--verbose');
+    const protocolVersion = parseInt(args.find(a => a.startsWith('--protocol='))?.split('=')[1] || '2');
+    const encryption = args.find(a => a.startsWith('--encrypt='))?.split('=')[1] || null;
     const packetLoss = parseFloat(args.find(a => a.startsWith('--loss='))?.split('=')[1] || '0');
     const jitter = parseFloat(args.find(a => a.startsWith('--jitter='))?.split('=')[1] || '0');
+    const fec = args.includes('--fec');
+    const nack = args.includes('--nack');
 
     console.log('🚀 ESP32 Audio Simulator');
     console.log('========================');
     console.log(`Devices: ${deviceCount}`);
     console.log(`Server: ${serverHost}:${CONFIG.udp.serverPort}`);
+    console.log(`Protocol: v${protocolVersion}`);
+    console.log(`Encryption: ${encryption || 'off'}`);
     console.log(`Packet loss: ${(packetLoss * 100).toFixed(1)}%`);
     console.log(`Jitter: ${jitter}ms`);
+    console.log(`Loss recovery: ${fec ? 'parity + in-band FEC' : 'off'}`);
+    console.log(`NACK retransmission: ${nack ? 'on' : 'off'}`);
     console.log('========================\n');
 
     // Create simulators
@@ -393,8 +982,12 @@ if (require.main === module) {
         const simulator = new ESP32Simulator(deviceNumber, {
             serverHost,
             verbose,
+            protocolVersion,
+            encryption,
             packetLoss,
-            jitter
+            jitter,
+            fec,
+            nack
         });
         simulators.push(simulator);
     }
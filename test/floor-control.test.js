@@ -0,0 +1,132 @@
+const AudioRouter = require('../server/audio-router');
+const DeviceManager = require('../server/device-manager');
+const FloorControl = require('../server/floor-control');
+
+let deviceManager;
+let floorControl;
+
+// A group of online devices under floor control
+function channel(options = {}, deviceIds = ['A', 'B', 'C']) {
+    deviceManager = new DeviceManager();
+    deviceIds.forEach((id, n) => {
+        deviceManager.updateDevice(id, { address: '127.0.0.1', port: 6000 + n, protocolVersion: 2 });
+    });
+    deviceManager.createGroup('ops', deviceIds);
+    floorControl = new FloorControl(deviceManager, { enabled: true, strict: false, queueRequests: true, ...options });
+    return floorControl;
+}
+
+afterEach(() => {
+    floorControl.stop();
+});
+
+describe('FloorControl', () => {
+    test('grants a free floor and queues the others in order', () => {
+        const floor = channel();
+
+        expect(floor.request('ops', 'A')).toEqual({ result: 'granted', holder: 'A' });
+        expect(floor.request('ops', 'B')).toEqual({ result: 'queued', holder: 'A', position: 1 });
+        expect(floor.request('ops', 'C')).toEqual({ result: 'queued', holder: 'A', position: 2 });
+        expect(floor.request('ops', 'B').position).toBe(1);
+
+        floor.release('ops', 'A');
+        expect(floor.describeFloor('ops')).toMatchObject({ holder: 'B', queue: ['C'] });
+    });
+
+    test('denies non-members, busy floors and full queues', () => {
+        const floor = channel({ maxQueueLength: 1 });
+        deviceManager.updateDevice('X', { address: '127.0.0.1', port: 6100, protocolVersion: 2 });
+
+        expect(floor.request('ops', 'X')).toMatchObject({ result: 'denied', reason: 'not-member' });
+        floor.request('ops', 'A');
+        floor.request('ops', 'B');
+        expect(floor.request('ops', 'C')).toMatchObject({ result: 'denied', holder: 'A', reason: 'queue-full' });
+
+        floor.options.queueRequests = false;
+        expect(floor.request('ops', 'C')).toMatchObject({ result: 'denied', reason: 'busy' });
+        expect(floor.getStats()).toMatchObject({ requests: 5, grants: 1, denials: 3, floorsHeld: 1 });
+    });
+
+    test('higher priority pre-empts the holder and jumps the queue', () => {
+        const floor = channel({}, ['A', 'B', 'C', 'D']);
+        deviceManager.setDeviceMetadata('C', { priority: 5 });
+        deviceManager.setDeviceMetadata('D', { priority: 2 });
+        const released = [];
+        floor.on('floor-released', event => released.push(event));
+
+        floor.request('ops', 'A');
+        floor.request('ops', 'B');
+        expect(floor.request('ops', 'C')).toEqual({ result: 'granted', holder: 'C' });
+        expect(released).toEqual([{ groupId: 'ops', deviceId: 'A', reason: 'preempted' }]);
+
+        // D outranks B in the queue, A does not pre-empt C
+        expect(floor.request('ops', 'D')).toEqual({ result: 'queued', holder: 'C', position: 1 });
+        floor.request('ops', 'A');
+        expect(floor.describeFloor('ops').queue).toEqual(['D', 'B', 'A']);
+        expect(floor.getStats().preemptions).toBe(1);
+    });
+
+    test('releases the floor after the talk time', () => {
+        jest.useFakeTimers();
+        try {
+            const floor = channel({ maxTalkMs: 1000 });
+            floor.request('ops', 'A');
+            floor.request('ops', 'B');
+
+            // Asking again does not extend the talk time
+            jest.advanceTimersByTime(600);
+            floor.request('ops', 'A');
+            jest.advanceTimersByTime(400);
+
+            expect(floor.getHolder('ops')).toBe('B');
+            expect(floor.getStats().timeouts).toBe(1);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('follows group membership and devices going offline', () => {
+        const floor = channel();
+        floor.request('ops', 'A');
+        floor.request('ops', 'B');
+        floor.request('ops', 'C');
+
+        // Queued devices that went offline are skipped
+        deviceManager.setOffline(deviceManager.getDevice('B'), 'timeout');
+        deviceManager.setOffline(deviceManager.getDevice('A'), 'timeout');
+        expect(floor.describeFloor('ops')).toMatchObject({ holder: 'C', queue: [] });
+
+        deviceManager.removeFromGroup('ops', 'C');
+        expect(floor.getHolder('ops')).toBeNull();
+
+        floor.request('ops', 'A');
+        deviceManager.deleteGroup('ops');
+        expect(floor.floors.size).toBe(0);
+    });
+});
+
+describe('AudioRouter with floor control', () => {
+    test('only the holder reaches a push-to-talk group', () => {
+        const floor = channel();
+        const audioRouter = new AudioRouter(deviceManager);
+        audioRouter.floorControl = floor;
+
+        expect(audioRouter.getRoutes('B').sort()).toEqual(['A', 'C']);
+        floor.request('ops', 'A');
+        expect(audioRouter.getRoutes('A').sort()).toEqual(['B', 'C']);
+        expect(audioRouter.getRoutes('B')).toEqual([]);
+    });
+
+    test('strict groups are silent without a holder', () => {
+        const floor = channel({ strict: true });
+        const audioRouter = new AudioRouter(deviceManager);
+        audioRouter.floorControl = floor;
+
+        expect(audioRouter.getRoutes('A')).toEqual([]);
+        floor.request('ops', 'A');
+        expect(audioRouter.getRoutes('A').sort()).toEqual(['B', 'C']);
+
+        floor.options.enabled = false;
+        expect(audioRouter.getRoutes('B').sort()).toEqual(['A', 'C']);
+    });
+});
@@ -0,0 +1,119 @@
+const http = require('http');
+const WebSocket = require('ws');
+
+const DashboardAuth = require('../server/dashboard-auth');
+const HttpListener = require('../server/http-listener');
+
+let listener;
+
+afterEach(() => {
+    if (listener) listener.stop();
+    listener = null;
+});
+
+async function start(options = {}) {
+    listener = new HttpListener({ host: '127.0.0.1', port: 0, ...options });
+    listener.setRequestHandler((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(`page ${req.url}`);
+    });
+    const control = listener.addWebSocketServer('/ws/control');
+    control.on('connection', ws => ws.send('control'));
+    const audio = listener.addWebSocketServer('/ws/audio', {
+        verifyClient: (info, done) => (info.req.headers.authorization === 'Bearer ok' ? done(true) : done(false, 401, 'Unauthorized'))
+    });
+    audio.on('connection', ws => ws.send('audio'));
+    return listen();
+}
+
+// Start the listener, resolves to its port
+async function listen() {
+    listener.start();
+    await new Promise(resolve => listener.server.once('listening', resolve));
+    return listener.server.address().port;
+}
+
+function get(port, path) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path, agent: false }, (res) => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+// The first message of a WebSocket, or the status its upgrade was refused with
+function connect(port, path, headers = {}) {
+    return new Promise((resolve) => {
+        const ws = new WebSocket(`ws://127.0.0.1:${port}${path}`, { headers });
+        ws.on('message', (data) => {
+            resolve({ message: data.toString() });
+            ws.close();
+        });
+        ws.on('unexpected-response', (req, res) => {
+            resolve({ status: res.statusCode });
+            req.destroy();
+        });
+        ws.on('error', () => {});
+    });
+}
+
+describe('HttpListener', () => {
+    test('serves pages and both WebSocket paths on one port', async () => {
+        const port = await start();
+
+        expect(await get(port, '/api/stats')).toEqual({ status: 200, body: 'page /api/stats' });
+        expect(await connect(port, '/ws/control?client=1')).toEqual({ message: 'control' });
+        expect(await connect(port, '/ws/audio', { Authorization: 'Bearer ok' })).toEqual({ message: 'audio' });
+    });
+
+    test('refuses upgrades to other paths and those the server declines', async () => {
+        const port = await start();
+
+        expect(await connect(port, '/ws/other')).toEqual({ status: 404 });
+        expect(await connect(port, '/')).toEqual({ status: 404 });
+        expect(await connect(port, '/ws/audio')).toEqual({ status: 401 });
+    });
+
+    test('checks the session and origin of upgrades with DashboardAuth', async () => {
+        const auth = new DashboardAuth(null, { enabled: true, usersFile: 'unused', tokensFile: 'unused' });
+        auth.sessions.set('session-token', { username: 'admin', createdAt: Date.now(), expiresAt: Date.now() + 60000 });
+        auth.users.users.set('admin', { username: 'admin', role: 'admin' });
+
+        listener = new HttpListener({ host: '127.0.0.1', port: 0 });
+        listener.addWebSocketServer('/ws/control', { verifyClient: auth.verifyClient })
+            .on('connection', (ws, req) => ws.send(req.principal.username));
+        const port = await listen();
+        const cookie = 'udp_audio_session=session-token';
+
+        expect(await connect(port, '/ws/control', { Cookie: cookie, Origin: `http://127.0.0.1:${port}` })).toEqual({ message: 'admin' });
+        expect(await connect(port, '/ws/control', { Cookie: cookie, Origin: 'http://elsewhere.example' })).toEqual({ status: 403 });
+        expect(await connect(port, '/ws/control')).toEqual({ status: 401 });
+    });
+
+    test('takes its address from the environment and TLS from both file variables', () => {
+        const saved = { ...process.env };
+        try {
+            Object.assign(process.env, { HTTP_HOST: '127.0.0.2', HTTP_PORT: '9443', TLS_CERT_FILE: 'cert.pem' });
+            let options = new HttpListener().options;
+            expect(options).toMatchObject({ host: '127.0.0.2', port: 9443, tls: { enabled: false } });
+
+            process.env.TLS_KEY_FILE = 'key.pem';
+            options = new HttpListener({ port: 8443 }).options;
+            expect(options).toMatchObject({ host: '127.0.0.2', port: 8443, tls: { enabled: true, certFile: 'cert.pem', keyFile: 'key.pem' } });
+            expect(new HttpListener({ port: 8443, host: '0.0.0.0' }).webSocketUrl).toBe('wss://localhost:8443');
+        } finally {
+            ['HTTP_HOST', 'HTTP_PORT', 'TLS_CERT_FILE', 'TLS_KEY_FILE'].forEach(name => {
+                if (saved[name] === undefined) delete process.env[name];
+                else process.env[name] = saved[name];
+            });
+        }
+    });
+
+    test('does not start TLS without its certificate', () => {
+        listener = new HttpListener({ host: '127.0.0.1', port: 0, tls: { enabled: true, certFile: 'config/tls/missing.crt' } });
+        expect(() => listener.start()).toThrow(/ENOENT/);
+        listener = null;
+    });
+});
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const logging = require('../server/logger');
+const { startApi } = require('./api-harness');
+
+let entries;
+
+// A logging instance whose entries are collected instead of written
+function collecting(options = {}) {
+    const instance = new logging.Logging({ file: false, console: false, level: 'info', modules: {}, ...options });
+    entries = [];
+    instance.winston = { log: entry => entries.push(entry) };
+    return instance;
+}
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('Logging levels', () => {
+    test('filters each module by its own level or the default', () => {
+        const instance = collecting({ modules: { 'packet-pacer': 'debug' } });
+        const pacer = instance.forModule('packet-pacer');
+        const router = instance.forModule('audio-router');
+
+        pacer.debug('Queue serviced', { route: '001->002' });
+        router.debug('Not logged');
+        router.warn('Route dropped', { deviceId: '001' });
+
+        expect(entries).toEqual([
+            { level: 'debug', message: 'Queue serviced', module: 'packet-pacer', route: '001->002' },
+            { level: 'warn', message: 'Route dropped', module: 'audio-router', deviceId: '001' }
+        ]);
+        expect(instance.forModule('audio-router')).toBe(router);
+    });
+
+    test('changes levels at runtime and reports them', () => {
+        const instance = collecting();
+        const changes = [];
+        instance.on('levels-changed', config => changes.push(config));
+        instance.forModule('audio-router');
+
+        instance.setLevel('audio-router', 'error');
+        instance.setLevel(null, 'warn');
+        expect(instance.getLevels()).toEqual({
+            level: 'warn',
+            levels: ['error', 'warn', 'info', 'debug'],
+            modules: { 'audio-router': 'error', logger: 'warn' },
+            overrides: { 'audio-router': 'error' }
+        });
+
+        instance.setLevel('audio-router', null);
+        expect(instance.getLevel('audio-router')).toBe('warn');
+        expect(changes.map(config => config.level)).toEqual(['info', 'warn', 'warn']);
+
+        expect(() => instance.setLevel('audio-router', 'verbose')).toThrow(logging.LoggingError);
+        expect(() => instance.setLevel(null, null)).toThrow(/cannot be removed/);
+        expect(() => collecting({ modules: { x: 'loud' } })).toThrow(expect.objectContaining({ code: 'invalid-level' }));
+    });
+
+    test('parses file sizes', () => {
+        expect(logging.parseSize('10m')).toBe(10 * 1024 * 1024);
+        expect(logging.parseSize('512K')).toBe(512 * 1024);
+        expect(logging.parseSize('1gb')).toBe(1024 * 1024 * 1024);
+        expect(logging.parseSize(2048)).toBe(2048);
+        expect(logging.parseSize('lots')).toBeNull();
+    });
+});
+
+describe('Logging rate limits', () => {
+    test('logs once per interval and reports what it suppressed', () => {
+        jest.useFakeTimers();
+        const log = collecting().forModule('packet-pacer');
+
+        for (let n = 0; n < 4; n++) {
+            log.limited('deadline-miss:001->002', 1000).warn('Deadline missed');
+        }
+        log.limited('deadline-miss:001->003', 1000).warn('Deadline missed');
+        jest.advanceTimersByTime(1000);
+        log.limited('deadline-miss:001->002', 1000).warn('Deadline missed', { lateMs: 3 });
+
+        expect(entries.map(({ message, module, level, ...context }) => context)).toEqual([
+            {}, {}, { lateMs: 3, suppressed: 3 }
+        ]);
+    });
+
+    test('keys beyond rateLimitKeys share one limiter', () => {
+        jest.useFakeTimers();
+        const log = collecting({ rateLimitKeys: 2, rateLimitMs: 1000 }).forModule('udp-server');
+
+        ['a', 'b', 'c', 'd'].forEach(key => log.limited(`unknown:${key}`).warn(`Unknown device ${key}`));
+        expect(entries.map(entry => entry.message)).toEqual(['Unknown device a', 'Unknown device b', 'Unknown device c']);
+        expect(log.limiters.size).toBe(3);
+
+        // Idle limiters make room again
+        jest.advanceTimersByTime(1000);
+        log.limited('unknown:e').warn('Unknown device e');
+        expect(log.limiters.has('unknown:e')).toBe(true);
+        expect(log.limiters.has('unknown:a')).toBe(false);
+    });
+});
+
+describe('Logging transports', () => {
+    test('writes JSON lines to the log file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+        const file = path.join(dir, 'nested', 'server.log');
+        try {
+            const instance = new logging.Logging({ file, console: false, level: 'info', modules: {} });
+            instance.forModule('device-manager').info('New device', { deviceId: '001' });
+            instance.forModule('device-manager').debug('Not logged');
+
+            await new Promise(resolve => {
+                instance.winston.on('finish', resolve);
+                instance.winston.end();
+            });
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            expect(lines).toEqual([expect.objectContaining({ level: 'info', message: 'New device', module: 'device-manager', deviceId: '001' })]);
+            expect(lines[0].timestamp).toEqual(expect.any(String));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('Logging API', () => {
+    test('sets and clears module levels over REST', async () => {
+        const api = await startApi();
+        try {
+            let res = await api.request('PUT', '/api/logging/call-recorder', { level: 'debug' });
+            expect(res.body.overrides).toEqual({ 'call-recorder': 'debug' });
+            expect(logging.getLevel('call-recorder')).toBe('debug');
+
+            expect((await api.request('PUT', '/api/logging/call-recorder', { level: 'loud' })).status).toBe(400);
+
+            res = await api.request('DELETE', '/api/logging/call-recorder');
+            expect(res.status).toBe(204);
+            expect(logging.getLevels().overrides).toEqual({});
+            expect((await api.request('DELETE', '/api/logging/call-recorder')).status).toBe(404);
+        } finally {
+            logging.setLevel('call-recorder', null);
+            await api.close();
+        }
+    });
+});
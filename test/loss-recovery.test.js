@@ -0,0 +1,165 @@
+const DeviceManager = require('../server/device-manager');
+const LossRecovery = require('../server/loss-recovery');
+const PacketPacer = require('../server/packet-pacer');
+const protocol = require('../server/packet-protocol');
+
+const { AUDIO, REDUNDANCY } = protocol.PACKET_TYPES;
+
+let recovery;
+let sent;
+
+// Loss recovery for the UDP server, recording what it sends
+function start(options = {}) {
+    const deviceManager = new DeviceManager();
+    sent = [];
+    recovery = new LossRecovery({
+        deviceManager,
+        sendToDevice: (device, packet) => sent.push({ to: device.id, packet: protocol.decodePacket(packet) }),
+        sendControl: (device, control) => sent.push({ to: device.id, control })
+    }, { enabled: true, redundancy: true, concealment: 'marker', forwardFec: true, parityGroupSize: 4, ...options });
+    return { deviceManager, recovery };
+}
+
+function device(id, features = []) {
+    return { id, protocolVersion: 2, capabilities: { negotiated: { features } } };
+}
+
+function audio(sequence, payload, fields = {}) {
+    return protocol.encodePacket({ version: protocol.PROTOCOL_V2, type: AUDIO, deviceId: '001', sequence, payload, ...fields });
+}
+
+afterEach(() => {
+    recovery.stop();
+});
+
+describe('LossRecovery parity', () => {
+    const frames = [
+        { sequence: 10, timestamp: 9600, payload: Buffer.from('first frame') },
+        { sequence: 11, timestamp: 10560, payload: Buffer.from('second, longer frame') },
+        { sequence: 12, timestamp: 11520, payload: Buffer.from('third') },
+        { sequence: 13, timestamp: 12480, payload: Buffer.from('fourth frame') }
+    ];
+
+    function parityPacket() {
+        const encoder = new LossRecovery.ParityEncoder(4);
+        const parity = frames.map(f => encoder.add(f.sequence, f.timestamp, f.payload)).pop();
+        return protocol.decodePacket(protocol.encodePacket({
+            version: protocol.PROTOCOL_V2, type: REDUNDANCY, deviceId: '001', sequence: 10, payload: parity
+        }));
+    }
+
+    test('rebuilds the one lost packet of a block', () => {
+        start();
+        const source = device('001');
+        [0, 2, 3].forEach(n => recovery.recordAudio(source, frames[n]));
+
+        const recovered = protocol.decodePacket(recovery.recover(source, parityPacket()));
+        expect(recovered).toMatchObject({ type: AUDIO, sequence: 11, timestamp: 10560 });
+        expect(recovered.payload.toString()).toBe('second, longer frame');
+        expect(recovery.stats).toMatchObject({ parityReceived: 1, recovered: 1 });
+
+        // Nothing left to recover
+        expect(recovery.recover(source, parityPacket())).toBeNull();
+    });
+
+    test('cannot rebuild two losses', () => {
+        start();
+        const source = device('001');
+        [0, 3].forEach(n => recovery.recordAudio(source, frames[n]));
+
+        expect(recovery.recover(source, parityPacket())).toBeNull();
+        expect(recovery.stats.unrecoverable).toBe(1);
+        expect(recovery.recover(source, { payload: Buffer.alloc(3) })).toBeNull();
+    });
+
+    test('sends parity to devices that negotiated it', () => {
+        start();
+        const plain = device('002');
+        const protectedDevice = device('003', ['fec-xor']);
+
+        for (let sequence = 0; sequence < 8; sequence++) {
+            recovery.protectOutgoing(plain, audio(sequence, Buffer.from([sequence])));
+            recovery.protectOutgoing(protectedDevice, audio(sequence, Buffer.from([sequence])));
+        }
+        // Concealment frames are not protected
+        recovery.protectOutgoing(protectedDevice, audio(8, Buffer.alloc(0), { flags: protocol.FLAGS.CONCEALED }));
+
+        expect(sent.map(s => [s.to, s.packet.type, s.packet.sequence])).toEqual([
+            ['003', REDUNDANCY, 0],
+            ['003', REDUNDANCY, 4]
+        ]);
+        expect(LossRecovery.decodeParity(sent[1].packet.payload).sequences).toEqual([4, 5, 6, 7]);
+    });
+});
+
+describe('LossRecovery concealment', () => {
+    test('fills a lost slot with a marker', () => {
+        start();
+        const packet = protocol.decodePacket(recovery.conceal('001->002', device('002'), 20, audio(22, Buffer.from('next'))));
+
+        expect(packet).toMatchObject({ sequence: 20, flags: protocol.FLAGS.CONCEALED, timestamp: 20 * 960 });
+        expect(packet.payload).toHaveLength(0);
+    });
+
+    test('forwards in-band FEC for the frame right before the next one', () => {
+        start();
+        const next = audio(21, Buffer.from('opus with fec'));
+
+        const fec = protocol.decodePacket(recovery.conceal('001->002', device('002', ['opus-fec']), 20, next));
+        expect(fec).toMatchObject({ sequence: 20, flags: protocol.FLAGS.FEC });
+        expect(fec.payload.toString()).toBe('opus with fec');
+
+        // Further back, or to devices without Opus FEC, only a marker helps
+        expect(protocol.decodePacket(recovery.conceal('001->002', device('002', ['opus-fec']), 19, next)).flags)
+            .toBe(protocol.FLAGS.CONCEALED);
+        expect(recovery.stats).toMatchObject({ concealed: 2, fecForwarded: 1 });
+
+        recovery.options.concealment = 'off';
+        expect(recovery.conceal('001->002', device('002'), 20, next)).toBeNull();
+    });
+
+    test('paced queues conceal short gaps', () => {
+        start();
+        const delivered = [];
+        const pacer = new PacketPacer({
+            lossRecovery: recovery,
+            sendAudio: (target, packet) => delivered.push(protocol.decodePacket(packet))
+        }, { worker: false });
+        pacer.running = false;
+
+        try {
+            const from = { id: '001' };
+            const to = device('002');
+            [1, 3].forEach(sequence => pacer.bufferPacket(audio(sequence, Buffer.from('frame')), from, to, 'paced'));
+            const queue = pacer.queues.get('001->002');
+            const start = queue.packets[0].arrival;
+
+            for (let frame = 0; frame < 3; frame++) {
+                pacer.serviceQueue('001->002', queue, start + BigInt(frame) * 20000000n);
+            }
+            expect(delivered.map(p => [p.sequence, p.payload.length])).toEqual([[1, 5], [2, 0], [3, 5]]);
+            expect(queue.concealed).toBe(1);
+        } finally {
+            pacer.stop();
+        }
+    });
+});
+
+describe('LossRecovery in-band FEC requests', () => {
+    test('asks lossy devices for FEC and ends it once the loss is gone', () => {
+        const { deviceManager } = start({ requestFec: false, fecLossThreshold: 2 });
+        deviceManager.updateDevice('001', { address: '127.0.0.1', port: 6000, protocolVersion: 2 });
+        const source = deviceManager.getDevice('001');
+
+        recovery.checkLossRates();
+        Object.assign(source, { packetsReceived: source.packetsReceived + 95, packetsLost: source.packetsLost + 5 });
+        recovery.checkLossRates();
+        Object.assign(source, { packetsReceived: source.packetsReceived + 100 });
+        recovery.checkLossRates();
+
+        expect(sent.map(s => s.control)).toEqual([
+            { command: 'set-fec', enabled: true, expectedLoss: 10 },
+            { command: 'set-fec', enabled: false, expectedLoss: 0 }
+        ]);
+    });
+});
@@ -0,0 +1,129 @@
+const AudioRouter = require('../server/audio-router');
+const DeviceManager = require('../server/device-manager');
+const MetricsExporter = require('../server/metrics-exporter');
+const PacketPacer = require('../server/packet-pacer');
+const protocol = require('../server/packet-protocol');
+const { startApi } = require('./api-harness');
+
+const MS = 1000000n;
+
+let pacer;
+
+// What the exporter reads of the UDP server, with devices 001 and 002 online
+function server() {
+    const deviceManager = new DeviceManager();
+    ['001', '002'].forEach((id, n) => deviceManager.updateDevice(id, { address: '10.0.0.7', port: 6000 + n, protocolVersion: 2 }));
+    pacer = new PacketPacer({ sendAudio: () => {} }, { worker: false });
+    pacer.running = false;
+    pacer.clearTimer();
+
+    return {
+        deviceManager,
+        audioRouter: new AudioRouter(deviceManager),
+        packetPacer: pacer,
+        routeStats: new Map(),
+        stats: { startTime: Date.now() - 5000, packetsReceived: 12, packetsRouted: 10, packetsDropped: 1,
+            packetsRejected: 0, packetsRefused: 2, bytesReceived: 1200, bytesTransmitted: 1000 }
+    };
+}
+
+// Samples by name and labels, as they appear in the exposition
+function parse(text) {
+    const samples = {};
+    text.trim().split('\n').filter(line => !line.startsWith('#')).forEach(line => {
+        const split = line.lastIndexOf(' ');
+        samples[line.slice(0, split)] = Number(line.slice(split + 1));
+    });
+    return samples;
+}
+
+afterEach(() => {
+    if (pacer) pacer.stop();
+});
+
+describe('MetricsExporter', () => {
+    test('exports the server counters and each device', () => {
+        const udpServer = server();
+        udpServer.deviceManager.setDeviceMetadata('001', { name: 'Front "desk"' });
+        udpServer.deviceManager.setOffline(udpServer.deviceManager.getDevice('002'), 'timeout');
+
+        const text = new MetricsExporter(udpServer, { enabled: true, prefix: 'udp_audio_' }).render();
+        const samples = parse(text);
+
+        expect(samples.udp_audio_packets_received_total).toBe(12);
+        expect(samples.udp_audio_packets_refused_total).toBe(2);
+        expect(samples.udp_audio_uptime_seconds).toBeGreaterThanOrEqual(5);
+        expect(samples['udp_audio_devices{state="online"}']).toBe(1);
+        expect(samples['udp_audio_devices{state="offline"}']).toBe(1);
+        expect(samples['udp_audio_device_online{device="002"}']).toBe(0);
+        expect(text).toContain('udp_audio_device_info{device="001",name="Front \\"desk\\"",address="10.0.0.7:6000",protocol_version="2"} 1');
+    });
+
+    test('declares each family once, before its samples', () => {
+        const text = new MetricsExporter(server(), { enabled: true, prefix: 'test_' }).render();
+        const types = text.split('\n').filter(line => line.startsWith('# TYPE'));
+
+        expect(new Set(types).size).toBe(types.length);
+        expect(types).toContain('# TYPE test_device_online gauge');
+        expect(types).toContain('# TYPE test_packets_routed_total counter');
+        expect(text.split('\n').findIndex(line => line.startsWith('test_devices{')))
+            .toBeGreaterThan(text.split('\n').indexOf('# TYPE test_devices gauge'));
+    });
+
+    test('exports routes and routed traffic', () => {
+        const udpServer = server();
+        udpServer.audioRouter.setRoute('001', '002');
+        udpServer.audioRouter.muteDevice('002');
+        udpServer.routeStats.set('001->002', { packets: 50, bytes: 4000 });
+
+        const samples = parse(new MetricsExporter(udpServer, { enabled: true, prefix: 'udp_audio_' }).render());
+        expect(samples['udp_audio_device_routes{device="001"}']).toBe(1);
+        expect(samples['udp_audio_device_muted{device="002"}']).toBe(1);
+        expect(samples.udp_audio_routes).toBe(1);
+        expect(samples['udp_audio_route_packets_total{source="001",target="002"}']).toBe(50);
+        expect(samples['udp_audio_route_bytes_total{source="001",target="002"}']).toBe(4000);
+    });
+
+    test('exports paced queues with a cumulative send interval histogram', () => {
+        const udpServer = server();
+        const audio = sequence => protocol.encodePacket({ type: protocol.PACKET_TYPES.AUDIO, deviceId: '001', sequence, payload: Buffer.alloc(20) });
+        [1, 2, 3, 4].forEach(sequence => pacer.bufferPacket(audio(sequence), { id: '001' }, { id: '002' }, 'paced'));
+        const queue = pacer.queues.get('001->002');
+        const start = queue.packets[0].arrival;
+        for (let frame = 0; frame < 4; frame++) {
+            pacer.serviceQueue('001->002', queue, start + BigInt(frame) * 20n * MS);
+        }
+
+        const samples = parse(new MetricsExporter(udpServer, { enabled: true, prefix: 'udp_audio_' }).render());
+        const labels = 'source="001",target="002",policy="paced"';
+        expect(samples.udp_audio_pacer_packets_sent_total).toBe(4);
+        expect(samples[`udp_audio_pacer_queue_target_depth{${labels}}`]).toBe(2);
+        expect(samples[`udp_audio_pacer_send_interval_seconds_count{${labels}}`]).toBe(3);
+        expect(samples[`udp_audio_pacer_send_interval_seconds_sum{${labels}}`]).toBeCloseTo(0.06, 3);
+
+        const buckets = Object.keys(samples)
+            .filter(name => name.startsWith(`udp_audio_pacer_send_interval_seconds_bucket{${labels}`))
+            .map(name => samples[name]);
+        expect(buckets[buckets.length - 1]).toBe(3);
+        expect(buckets.every((count, index) => index === 0 || count >= buckets[index - 1])).toBe(true);
+    });
+});
+
+describe('GET /metrics', () => {
+    let api;
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    test('serves the exposition to viewers', async () => {
+        api = await startApi({ devices: ['001'], auth: { enabled: true } });
+        const { token } = api.auth.tokens.issue({ name: 'prometheus', scopes: [{ permission: 'stats' }] }, null);
+
+        expect((await api.request('GET', '/metrics')).status).toBe(401);
+        const res = await api.request('GET', '/metrics', undefined, { Authorization: `Bearer ${token}` });
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe(MetricsExporter.CONTENT_TYPE);
+        expect(parse(res.body)['udp_audio_device_online{device="001"}']).toBe(1);
+    });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const OggOpusWriter = require('../server/ogg-opus-writer');
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ogg-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Pages of an Ogg file, with their packets rebuilt from the lacing
+function readPages(data) {
+    const pages = [];
+    let offset = 0;
+    while (offset < data.length) {
+        expect(data.toString('ascii', offset, offset + 4)).toBe('OggS');
+        const segments = Array.from(data.subarray(offset + 27, offset + 27 + data[offset + 26]));
+        const length = 27 + segments.length + segments.reduce((sum, size) => sum + size, 0);
+        const page = data.subarray(offset, offset + length);
+
+        const packets = [];
+        let start = 27 + segments.length;
+        let size = 0;
+        segments.forEach(segment => {
+            size += segment;
+            if (segment < 255) {
+                packets.push(page.subarray(start, start + size));
+                start += size;
+                size = 0;
+            }
+        });
+
+        const unsigned = Buffer.from(page);
+        unsigned.writeUInt32LE(0, 22);
+        pages.push({
+            headerType: page[5],
+            granule: Number(page.readBigUInt64LE(6)),
+            sequence: page.readUInt32LE(18),
+            crcValid: page.readUInt32LE(22) === OggOpusWriter.oggCrc(unsigned),
+            segments,
+            packets
+        });
+        offset += length;
+    }
+    return pages;
+}
+
+describe('OggOpusWriter', () => {
+    test('computes the Ogg CRC', () => {
+        // CRC-32 with polynomial 0x04C11DB7, initial value 0, no final XOR
+        expect(OggOpusWriter.oggCrc(Buffer.from('123456789'))).toBe(0x89A1897F);
+        expect(OggOpusWriter.oggCrc(Buffer.alloc(0))).toBe(0);
+    });
+
+    test('writes the headers, the audio pages and the end of stream', async () => {
+        const file = path.join(dir, 'nested', 'track.opus');
+        const writer = new OggOpusWriter(file, { channels: 2, preSkip: 312, packetsPerPage: 2, tags: { title: 'Call' } });
+        [1, 2, 3].forEach(n => writer.write(Buffer.alloc(40, n), 960));
+        await writer.close();
+
+        const pages = readPages(fs.readFileSync(file));
+        expect(pages.map(page => [page.headerType, page.granule, page.sequence, page.packets.length])).toEqual([
+            [0x02, 0, 0, 1],
+            [0, 0, 1, 1],
+            [0, 1920, 2, 2],
+            [0x04, 2880, 3, 1]
+        ]);
+        expect(pages.every(page => page.crcValid)).toBe(true);
+
+        const head = pages[0].packets[0];
+        expect(head.toString('ascii', 0, 8)).toBe('OpusHead');
+        expect([head[9], head.readUInt16LE(10)]).toEqual([2, 312]);
+        expect(pages[1].packets[0].toString()).toContain('TITLE=Call');
+        expect(writer.bytesWritten).toBe(fs.statSync(file).size);
+        expect(writer.getDuration()).toBeCloseTo((2880 - 312) / 48, 5);
+    });
+
+    test('laces packets into 255-byte segments and never splits them', async () => {
+        const file = path.join(dir, 'track.opus');
+        const writer = new OggOpusWriter(file, { packetsPerPage: 50 });
+        const sizes = [255, 600, 0, 254];
+        sizes.forEach(size => writer.write(Buffer.alloc(size, 7), 960));
+
+        // 254 segments of 255 bytes fill a page: the next packet starts a new one
+        writer.write(Buffer.alloc(255 * 250, 1), 960);
+        writer.write(Buffer.alloc(255 * 4, 2), 960);
+        await writer.close();
+
+        const [, , first, second, last] = readPages(fs.readFileSync(file));
+        expect(first.segments.slice(0, 7)).toEqual([255, 0, 255, 255, 90, 0, 254]);
+        expect(first.packets.map(packet => packet.length)).toEqual(sizes);
+        expect(first.granule).toBe(4 * 960);
+
+        expect(second.segments).toHaveLength(251);
+        expect(second.packets.map(packet => packet.length)).toEqual([255 * 250]);
+        expect(second.granule).toBe(5 * 960);
+        expect(last.packets.map(packet => packet.length)).toEqual([255 * 4]);
+        expect(last.granule).toBe(6 * 960);
+    });
+
+    test('ends the file at the first write error', async () => {
+        const writer = new OggOpusWriter(path.join(dir, 'missing', 'track.opus'));
+        fs.writeFileSync(path.join(dir, 'missing'), 'a file, not a directory');
+        writer.write(Buffer.alloc(10), 960);
+
+        await expect(writer.close()).rejects.toThrow();
+        expect(writer.bytesWritten).toBe(0);
+    });
+});
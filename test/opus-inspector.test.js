@@ -0,0 +1,104 @@
+const OpusInspector = require('../server/opus-inspector');
+
+const { parsePacket } = OpusInspector;
+
+// TOC byte: [config(5)][s(1)][c(2)]
+function toc(config, stereo, code) {
+    return (config << 3) | (stereo ? 0x04 : 0) | code;
+}
+
+function packet(...parts) {
+    return Buffer.concat(parts.map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part))));
+}
+
+describe('OpusInspector.parsePacket', () => {
+    test('reads mode, bandwidth and duration from the TOC', () => {
+        expect(parsePacket(packet([toc(1, false, 0)], Buffer.alloc(30)))).toMatchObject({
+            mode: 'silk', bandwidth: 'narrowband', channels: 1, frameDuration: 20, frameCount: 1, duration: 20, frameSizes: [30]
+        });
+        expect(parsePacket(packet([toc(13, true, 0)], Buffer.alloc(60)))).toMatchObject({
+            mode: 'hybrid', bandwidth: 'superwideband', channels: 2, frameDuration: 20
+        });
+        expect(parsePacket(packet([toc(31, false, 0)], Buffer.alloc(80)))).toMatchObject({
+            mode: 'celt', bandwidth: 'fullband', frameDuration: 20
+        });
+    });
+
+    test('splits two-frame packets', () => {
+        expect(parsePacket(packet([toc(30, false, 1)], Buffer.alloc(40))))
+            .toMatchObject({ frameSizes: [20, 20], duration: 20, vbr: false });
+        expect(parsePacket(packet([toc(30, false, 2), 3], Buffer.alloc(10))))
+            .toMatchObject({ frameSizes: [3, 7], duration: 20, vbr: true });
+
+        // Sizes from 252 take a second byte
+        expect(parsePacket(packet([toc(30, false, 2), 253, 1], Buffer.alloc(300))).frameSizes).toEqual([257, 43]);
+    });
+
+    test('reads counted frames with padding', () => {
+        expect(parsePacket(packet([toc(28, false, 3), 0x04], Buffer.alloc(40))))
+            .toMatchObject({ frameSizes: [10, 10, 10, 10], duration: 10, vbr: false });
+
+        // VBR, padded: 255 adds 254 and continues, so 255 + 1 is 255 bytes of padding
+        const padded = packet([toc(30, false, 3), 0xC2, 255, 1, 5], Buffer.alloc(5 + 9 + 255));
+        expect(parsePacket(padded)).toMatchObject({ frameSizes: [5, 9], padding: 255, vbr: true, duration: 20 });
+    });
+
+    test('reports framing that does not add up', () => {
+        const errors = [
+            Buffer.alloc(0),
+            packet([toc(30, false, 1)], Buffer.alloc(41)),
+            packet([toc(30, false, 2), 12], Buffer.alloc(5)),
+            packet([toc(30, false, 2), 252]),
+            packet([toc(30, false, 3), 0x00], Buffer.alloc(10)),
+            packet([toc(31, false, 3), 0x07], Buffer.alloc(70)),
+            packet([toc(28, false, 3), 0x03], Buffer.alloc(10)),
+            packet([toc(30, false, 3), 0x42, 20], Buffer.alloc(10)),
+            packet([toc(30, false, 3), 0x83, 4, 9], Buffer.alloc(10)),
+            packet([toc(31, false, 0)], Buffer.alloc(1276))
+        ].map(payload => parsePacket(payload).error);
+
+        expect(errors).toEqual([
+            'empty', 'odd-cbr-length', 'truncated', 'truncated', 'no-frames',
+            'too-long', 'uneven-cbr-frames', 'truncated', 'truncated', 'frame-too-large'
+        ]);
+    });
+});
+
+describe('OpusInspector', () => {
+    const audio = (payload, sequence = 1) => ({ payload, sequence });
+
+    test('keeps the codec parameters and counters of each device', () => {
+        const inspector = new OpusInspector({ enabled: true, frameDuration: 20, channels: 1 });
+        const device = { id: '001' };
+
+        expect(inspector.inspect(device, audio(packet([toc(31, false, 0)], Buffer.alloc(80))))).toBe(true);
+        expect(device.codec).toMatchObject({
+            mode: 'celt', bandwidth: 'fullband', channels: 1, packetDuration: 20, framesPerPacket: 1, lastSize: 81, packets: 1
+        });
+
+        inspector.inspect(device, audio(packet([toc(30, true, 0)], Buffer.alloc(80))));
+        inspector.inspect(device, audio(packet([toc(31, true, 0)], Buffer.alloc(80))));
+        inspector.inspect(device, audio(Buffer.alloc(0)));
+
+        expect(device.codec).toMatchObject({
+            packets: 4, malformed: 1, mismatched: 2, lastError: 'empty',
+            errors: { 'duration-mismatch': 1, 'channels-mismatch': 1, empty: 1 }
+        });
+        expect(inspector.getStats()).toMatchObject({ inspected: 4, malformed: 1, mismatched: 2, dropped: 0 });
+    });
+
+    test('routes malformed packets unless told to drop them', () => {
+        const device = { id: '001' };
+        const malformed = audio(packet([toc(30, false, 1)], Buffer.alloc(3)));
+
+        expect(new OpusInspector({ enabled: true, dropMalformed: false }).inspect(device, malformed)).toBe(true);
+
+        const dropping = new OpusInspector({ enabled: true, dropMalformed: true });
+        expect(dropping.inspect(device, malformed)).toBe(false);
+        expect(dropping.stats.dropped).toBe(1);
+
+        const disabled = new OpusInspector({ enabled: false });
+        expect(disabled.inspect({ id: '002' }, malformed)).toBe(true);
+        expect(disabled.stats.inspected).toBe(0);
+    });
+});
@@ -1,5 +1,6 @@
 const dgram = require('dgram');
 const { OpusEncoder } = require('@discordjs/opus');
+const protocol = require('../server/packet-protocol');
 
 class PacketAnalyzer {
     constructor(port = 5004) {
@@ -15,6 +16,9 @@ class PacketAnalyzer {
             audioPackets: 0,
             controlPackets: 0,
             heartbeatPackets: 0,
+            helloPackets: 0,
+            v1Packets: 0,
+            v2Packets: 0,
             opusErrors: 0,
             totalBytes: 0
         };
@@ -57,18 +61,20 @@ class PacketAnalyzer {
         this.stats.totalPackets++;
         this.stats.totalBytes += packet.length;
 
-        // Basic validation
-        if (packet.length < 8) {
+        // Parse and validate header
+        const decoded = protocol.decodePacket(packet);
+        if (!decoded) {
             this.stats.invalidPackets++;
-            console.log(`❌ Invalid packet (too small): ${packet.length} bytes from ${rinfo.address}`);
+            console.log(`❌ Invalid packet: ${packet.length} bytes from ${rinfo.address}`);
             return;
         }
 
-        // Parse header
-        const deviceId = packet.slice(0, 4).toString().replace(/\0/g, '');
-        const sequence = packet.readUInt16BE(4);
-        const packetType = packet.readUInt16BE(6);
-        const payload = packet.slice(8);
+        const { deviceId, sequence, type: packetType, payload } = decoded;
+        if (decoded.version === protocol.PROTOCOL_V2) {
+            this.stats.v2Packets++;
+        } else {
+            this.stats.v1Packets++;
+        }
 
         // Track device
         if (!this.devices.has(deviceId)) {
@@ -79,6 +85,7 @@ class PacketAnalyzer {
                 bytes: 0,
                 lastSequence: -1,
                 lostPackets: 0,
+                protocolVersion: decoded.version,
                 address: rinfo.address,
                 port: rinfo.port
             });
@@ -89,6 +96,7 @@ class PacketAnalyzer {
         device.lastSeen = now;
         device.packets++;
         device.bytes += packet.length;
+        device.protocolVersion = decoded.version;
 
         // Check sequence
         if (device.lastSequence >= 0) {
@@ -105,20 +113,25 @@ class PacketAnalyzer {
 
         // Analyze by packet type
         switch(packetType) {
-            case 0x0001: // Audio
+            case protocol.PACKET_TYPES.AUDIO:
                 this.stats.audioPackets++;
                 this.analyzeAudioPacket(deviceId, sequence, payload);
                 break;
 
-            case 0x0002: // Control
+            case protocol.PACKET_TYPES.CONTROL:
                 this.stats.controlPackets++;
                 this.analyzeControlPacket(deviceId, payload);
                 break;
 
-            case 0x0003: // Heartbeat
+            case protocol.PACKET_TYPES.HEARTBEAT:
                 this.stats.heartbeatPackets++;
                 break;
 
+            case protocol.PACKET_TYPES.HELLO:
+                this.stats.helloPackets++;
+                this.analyzeControlPacket(deviceId, payload);
+                break;
+
             default:
                 console.log(`⚠️ Unknown packet type: 0x${packetType.toString(16)} from ${deviceId}`);
         }
@@ -129,6 +142,8 @@ class PacketAnalyzer {
             deviceId,
             sequence,
             type: packetType,
+            version: decoded.version,
+            timestamp32: decoded.timestamp,
             size: packet.length,
             address: rinfo.address,
             port: rinfo.port
@@ -161,7 +176,7 @@ class PacketAnalyzer {
     analyzeControlPacket(deviceId, payload) {
         try {
             const control = JSON.parse(payload.toString());
-            console.log(`🎮 Control from ${deviceId}: ${control.command}`);
+            console.log(`🎮 Control from ${deviceId}: ${control.command || JSON.stringify(control)}`);
         } catch (error) {
             console.error(`❌ Control packet parse error from ${deviceId}`);
         }
@@ -204,6 +219,8 @@ class PacketAnalyzer {
         console.log(`Audio packets: ${this.stats.audioPackets}`);
         console.log(`Control packets: ${this.stats.controlPackets}`);
         console.log(`Heartbeat packets: ${this.stats.heartbeatPackets}`);
+        console.log(`HELLO packets: ${this.stats.helloPackets}`);
+        console.log(`Protocol v1/v2: ${this.stats.v1Packets}/${this.stats.v2Packets}`);
         console.log(`Opus errors: ${this.stats.opusErrors}`);
         console.log(`Data rate: ${(bps / 1000).toFixed(2)} kbps`);
         console.log(`Average jitter: ${this.calculateJitter().toFixed(2)}ms`);
@@ -215,7 +232,7 @@ class PacketAnalyzer {
                 ? (device.lostPackets / (device.packets + device.lostPackets) * 100).toFixed(1)
                 : 0;
 
-            console.log(`  ${id}: ${device.packets} packets, ${(device.bytes / 1024).toFixed(2)}KB, Loss: ${lossRate}%`);
+            console.log(`  ${id} (v${device.protocolVersion}): ${device.packets} packets, ${(device.bytes / 1024).toFixed(2)}KB, Loss: ${lossRate}%`);
         });
 
         console.log(`${'='.repeat(50)}\n`);
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AudioRouter = require('../server/audio-router');
+const DeviceAuthenticator = require('../server/device-auth');
+const DeviceManager = require('../server/device-manager');
+const DeviceRegistry = require('../server/device-registry');
+const PacketCapture = require('../server/packet-capture');
+const StatePersistence = require('../server/state-persistence');
+const protocol = require('../server/packet-protocol');
+const PacketReplay = require('./packet-replay');
+
+const SERVER = { address: '127.0.0.1', port: 5004 };
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// What PacketCapture needs of the UDP server: its address and state
+function server() {
+    const deviceManager = new DeviceManager();
+    const deviceAuth = new DeviceAuthenticator({ mode: 'optional' });
+    const deviceRegistry = new DeviceRegistry(deviceManager, deviceAuth, { file: null, policy: 'auto-enroll' });
+    const audioRouter = new AudioRouter(deviceManager);
+    return {
+        socket: { address: () => SERVER },
+        bindAddress: { host: SERVER.address, port: SERVER.port },
+        deviceManager,
+        deviceRegistry,
+        audioRouter,
+        persistence: new StatePersistence(audioRouter, deviceManager, deviceRegistry, { enabled: false })
+    };
+}
+
+function audio(deviceId, sequence) {
+    return protocol.encodePacket({ type: protocol.PACKET_TYPES.AUDIO, deviceId, sequence, payload: Buffer.from([0xF8, sequence]) });
+}
+
+describe('PacketCapture', () => {
+    test('writes packets that read back with their addresses and timing', () => {
+        const capture = new PacketCapture(server(), { directions: ['ingress', 'egress'] });
+        const file = capture.start(path.join(dir, 'run.pcap'));
+        const device = { address: '10.0.0.7', port: 40001 };
+
+        const before = Date.now();
+        capture.capture('ingress', audio('001', 1), device);
+        capture.capture('egress', audio('002', 2), device);
+        capture.stop();
+        capture.capture('ingress', audio('001', 3), device);
+
+        const packets = PacketCapture.readCapture(file);
+        expect(packets.map(entry => [entry.from, entry.to, protocol.decodePacket(entry.packet).sequence])).toEqual([
+            [device, SERVER, 1],
+            [SERVER, device, 2]
+        ]);
+        expect(packets[0].timestamp).toBeGreaterThanOrEqual(before - 1);
+        expect(packets[1].timestamp).toBeGreaterThanOrEqual(packets[0].timestamp);
+        expect(capture.getStats()).toMatchObject({ packets: 2, ingress: 1, egress: 1, capturing: false });
+    });
+
+    test('writes valid IPv4 headers', () => {
+        const capture = new PacketCapture(server());
+        const file = capture.start(path.join(dir, 'run.pcap'));
+        capture.capture('ingress', audio('001', 1), { address: '::ffff:192.168.1.20', port: 40001 });
+        capture.stop();
+
+        const ip = fs.readFileSync(file).subarray(24 + 16, 24 + 16 + 20);
+        let sum = 0;
+        for (let i = 0; i < ip.length; i += 2) sum += ip.readUInt16BE(i);
+        while (sum > 0xFFFF) sum = (sum & 0xFFFF) + (sum >>> 16);
+
+        expect(sum).toBe(0xFFFF);
+        expect(Array.from(ip.subarray(12, 16))).toEqual([192, 168, 1, 20]);
+    });
+
+    test('keeps secrets out of the sidecar and honours its limits', () => {
+        const state = server();
+        state.deviceRegistry.provision({ id: '001', name: 'Desk', secret: 'ab'.repeat(16) });
+        state.audioRouter.setRoute('001', '002');
+
+        const capture = new PacketCapture(state, { directions: ['ingress'], maxBytes: 24 + 2 * 60 });
+        const file = capture.start(path.join(dir, 'run.pcap'));
+        const sidecar = JSON.parse(fs.readFileSync(`${file}.json`, 'utf8'));
+        expect(sidecar).toMatchObject({ format: 'udp-audio-capture', server: SERVER, directions: ['ingress'] });
+        expect(sidecar.snapshot.registry.devices[0]).toMatchObject({ id: '001' });
+        expect(sidecar.snapshot.registry.devices[0]).not.toHaveProperty('secret');
+
+        for (let sequence = 0; sequence < 5; sequence++) {
+            capture.capture('egress', audio('001', sequence), SERVER);
+            capture.capture('ingress', audio('001', sequence), { address: '10.0.0.7', port: 40001 });
+        }
+        expect(capture.isCapturing()).toBe(false);
+        expect(PacketCapture.readCapture(file)).toHaveLength(3);
+    });
+
+    test('reads captures cut short by a crash and refuses other formats', () => {
+        const capture = new PacketCapture(server());
+        const file = capture.start(path.join(dir, 'run.pcap'));
+        capture.capture('ingress', audio('001', 1), { address: '10.0.0.7', port: 40001 });
+        capture.capture('ingress', audio('001', 2), { address: '10.0.0.7', port: 40001 });
+        capture.stop();
+
+        fs.truncateSync(file, fs.statSync(file).size - 5);
+        expect(PacketCapture.readCapture(file)).toHaveLength(1);
+
+        const other = path.join(dir, 'other.pcap');
+        fs.writeFileSync(other, Buffer.alloc(24));
+        expect(() => PacketCapture.readCapture(other)).toThrow(/unsupported pcap format/);
+    });
+});
+
+describe('PacketReplay', () => {
+    test('feeds the captured ingress to a server and counts what it sends', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const state = server();
+        state.audioRouter.setRoute('T1', 'T2');
+        const capture = new PacketCapture(state);
+        const file = capture.start(path.join(dir, 'run.pcap'));
+
+        const heartbeat = protocol.encodePacket({ type: protocol.PACKET_TYPES.HEARTBEAT, deviceId: 'T2', sequence: 0 });
+        capture.capture('ingress', heartbeat, { address: '127.0.0.1', port: 40002 });
+        [1, 2, 3].forEach(sequence => capture.capture('ingress', audio('T1', sequence), { address: '127.0.0.1', port: 40001 }));
+        capture.capture('egress', audio('T1', 1), { address: '127.0.0.1', port: 40002 });
+        capture.stop();
+
+        const replay = new PacketReplay(file, { speed: 0, drainMs: 0 });
+        try {
+            const results = await replay.run();
+            expect(results).toMatchObject({ capturedPackets: 5, replayedPackets: 4 });
+            expect(results.egress.T2.types).toEqual({ heartbeat: 1, audio: 3 });
+            expect(results.server).toMatchObject({ packetsRouted: 3, packetsDropped: 0 });
+        } finally {
+            replay.server.stop();
+            console.log.mockRestore();
+        }
+    });
+});
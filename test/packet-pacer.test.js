@@ -0,0 +1,281 @@
+const dgram = require('dgram');
+
+const PacketPacer = require('../server/packet-pacer');
+const protocol = require('../server/packet-protocol');
+
+const MS = 1000000n;
+const A = { id: 'A' };
+const B = { id: 'B' };
+
+let pacer;
+let sent;
+
+// A pacer whose queues are serviced by hand, at the times the test gives
+function manualPacer() {
+    sent = [];
+    pacer = new PacketPacer({
+        sendAudio: (device, packet) => sent.push({ to: device.id, sequence: protocol.decodePacket(packet).sequence })
+    }, { worker: false });
+    pacer.running = false;
+    pacer.clearTimer();
+    return pacer;
+}
+
+function audio(sequence) {
+    return protocol.encodePacket({ type: protocol.PACKET_TYPES.AUDIO, deviceId: 'A', sequence, payload: Buffer.alloc(40) });
+}
+
+afterEach(() => {
+    pacer.stop();
+});
+
+describe('PacketPacer jitter buffer', () => {
+    test('sizes the buffer from the jitter', () => {
+        manualPacer();
+        expect(pacer.calculateTargetDepth(0)).toBe(1);
+        expect(pacer.calculateTargetDepth(15)).toBe(3);
+        expect(pacer.calculateTargetDepth(500)).toBe(10);
+    });
+
+    test('follows the measured arrival jitter and shrinks during silence', () => {
+        manualPacer();
+        pacer.bufferPacket(audio(0), A, B, 'adaptive');
+        const queue = pacer.queues.get('A->B');
+        queue.packets = [];
+
+        // Packets 80ms apart are 60ms off the frame interval
+        let now = queue.lastArrival;
+        for (let n = 0; n < 200; n++) {
+            now += 80n * MS;
+            pacer.measureJitter(queue, now);
+        }
+        expect(queue.jitter).toBeCloseTo(60, 0);
+        expect(queue.targetDepth).toBe(7);
+
+        pacer.serviceQueue('A->B', queue, now + 250n * MS);
+        expect(queue.silent).toBe(true);
+        expect(queue.targetDepth).toBe(4);
+
+        // The next talk spurt starts buffering again without counting the gap
+        pacer.measureJitter(queue, now + 300n * MS);
+        expect(queue.state).toBe('buffering');
+        expect(queue.jitter).toBeCloseTo(30, 0);
+    });
+
+    test('plays out in sequence order once primed, one packet per frame', () => {
+        manualPacer();
+        [3, 1].forEach(sequence => pacer.bufferPacket(audio(sequence), A, B, 'paced'));
+        const queue = pacer.queues.get('A->B');
+        const start = queue.packets[0].arrival;
+
+        // Two packets are the paced depth
+        pacer.serviceQueue('A->B', queue, start);
+        expect(sent.map(s => s.sequence)).toEqual([1]);
+
+        pacer.bufferPacket(audio(2), A, B, 'paced');
+        pacer.serviceQueue('A->B', queue, start + 10n * MS);
+        expect(sent).toHaveLength(1);
+
+        pacer.serviceQueue('A->B', queue, start + 20n * MS);
+        pacer.serviceQueue('A->B', queue, start + 40n * MS);
+        expect(sent.map(s => s.sequence)).toEqual([1, 2, 3]);
+    });
+
+    test('drops late packets and bounds the latency', () => {
+        manualPacer();
+        pacer.bufferPacket(audio(5), A, B, 'paced');
+        pacer.bufferPacket(audio(6), A, B, 'paced');
+        const queue = pacer.queues.get('A->B');
+        const start = queue.packets[0].arrival;
+        pacer.serviceQueue('A->B', queue, start);
+
+        // Behind the last packet played
+        pacer.bufferPacket(audio(4), A, B, 'paced');
+        pacer.serviceQueue('A->B', queue, start + 20n * MS);
+        expect(pacer.stats.latePackets).toBe(1);
+
+        // At most twice the depth is kept: 7 to 9 are dropped, 10 is played
+        for (let sequence = 7; sequence < 14; sequence++) {
+            pacer.bufferPacket(audio(sequence), A, B, 'paced');
+        }
+        pacer.serviceQueue('A->B', queue, start + 40n * MS);
+
+        expect(sent.map(s => s.sequence)).toEqual([5, 6, 10]);
+        expect(pacer.stats).toMatchObject({ latePackets: 1, latencyDrops: 3, packetsDropped: 4 });
+    });
+
+    test('counts an underrun when the stream goes on after running dry', () => {
+        manualPacer();
+        pacer.bufferPacket(audio(1), A, B, 'paced');
+        pacer.bufferPacket(audio(2), A, B, 'paced');
+        const queue = pacer.queues.get('A->B');
+        const start = queue.packets[0].arrival;
+
+        pacer.serviceQueue('A->B', queue, start);
+        pacer.serviceQueue('A->B', queue, start + 20n * MS);
+        pacer.serviceQueue('A->B', queue, start + 40n * MS);
+        expect(queue.starved).toBe(true);
+
+        pacer.measureJitter(queue, start + 50n * MS);
+        expect(pacer.getQueueStats()['A->B']).toMatchObject({ underruns: 1, state: 'buffering' });
+    });
+});
+
+describe('PacketPacer policies', () => {
+    test('the most specific override wins', () => {
+        manualPacer();
+        pacer.loadPolicies({ defaultPolicy: 'pass-through', dashboardPolicy: 'adaptive', pacedDepth: 2, routes: {} });
+
+        expect(pacer.getPolicy('A', 'B')).toBe('pass-through');
+        expect(pacer.getPolicy('DSH', 'B')).toBe('adaptive');
+        expect(pacer.getPolicy('A', 'DSH')).toBe('pass-through');
+
+        pacer.setPolicy('*', 'B', 'paced');
+        expect(pacer.getPolicy('A', 'B')).toBe('paced');
+        expect(pacer.getPolicy('DSH', 'B')).toBe('paced');
+        pacer.setPolicy('A', '*', 'adaptive');
+        expect(pacer.getPolicy('A', 'B')).toBe('adaptive');
+        pacer.setPolicy('A', 'B', 'pass-through');
+        expect(pacer.getPolicy('A', 'B')).toBe('pass-through');
+        expect(pacer.shouldUsePacer('A', 'C')).toBe(true);
+
+        expect(pacer.setPolicy('*', '*', 'paced')).toBe(false);
+        expect(pacer.setPolicy('A', 'B', 'fast')).toBe(false);
+        expect(pacer.setDefaultPolicy('fast')).toBe(false);
+
+        pacer.setPolicy('A', 'B', null);
+        expect(pacer.getPolicies().routes).toEqual({ '*->B': 'paced', 'A->*': 'adaptive' });
+    });
+
+    test('paced routes keep a fixed depth, adaptive ones follow the jitter', () => {
+        manualPacer();
+        pacer.bufferPacket(audio(1), A, B, 'paced');
+        const queue = pacer.queues.get('A->B');
+        queue.jitter = 60;
+
+        pacer.updateTargetDepth(queue);
+        expect(queue.targetDepth).toBe(2);
+
+        pacer.setPolicy('A', 'B', 'adaptive');
+        expect(queue).toMatchObject({ policy: 'adaptive', targetDepth: 7 });
+    });
+
+    test('switching a route to pass-through flushes its queue', () => {
+        manualPacer();
+        pacer.bufferPacket(audio(1), A, B, 'paced');
+        pacer.bufferPacket(audio(2), A, B, 'paced');
+
+        pacer.setPolicy('A', 'B', 'pass-through');
+        expect(sent.map(s => s.sequence)).toEqual([1, 2]);
+        expect(pacer.queues.size).toBe(0);
+    });
+});
+
+// Resolves once condition() holds, polling for up to two seconds
+function waitFor(condition) {
+    const start = Date.now();
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (condition()) return resolve();
+            if (Date.now() - start > 2000) return reject(new Error('timed out'));
+            setTimeout(poll, 5);
+        };
+        poll();
+    });
+}
+
+function bind(socket, port = 0) {
+    return new Promise(resolve => socket.bind(port, '127.0.0.1', () => resolve(socket.address().port)));
+}
+
+describe('PacketPacer scheduler', () => {
+    test('services every queue due within coalesceMs in one wakeup', () => {
+        manualPacer();
+        ['B', 'C', 'D'].forEach(id => {
+            pacer.bufferPacket(audio(1), A, { id }, 'paced');
+            pacer.bufferPacket(audio(2), A, { id }, 'paced');
+        });
+        const now = process.hrtime.bigint();
+        const [b, c, d] = ['A->B', 'A->C', 'A->D'].map(key => pacer.queues.get(key));
+        [b, c, d].forEach(queue => Object.assign(queue, { state: 'playing', lastSequence: 0 }));
+        b.deadline = now;
+        c.deadline = now + MS / 2n;
+        d.deadline = now + 5n * MS;
+
+        pacer.sendScheduledPackets();
+        expect(sent.map(s => s.to)).toEqual(['B', 'C']);
+        expect(pacer.nextWakeup()).toBe(d.deadline);
+        expect(pacer.getSendErrorStats().C.p50).toBeLessThan(0);
+    });
+
+    test('sends on the frame deadlines', async () => {
+        manualPacer();
+        pacer.running = true;
+        [1, 2, 3, 4].forEach(sequence => pacer.bufferPacket(audio(sequence), A, B, 'paced'));
+
+        await waitFor(() => sent.length === 4);
+        const errors = pacer.getSendErrorStats().B;
+        expect(errors.samples).toBe(3);
+        expect(errors.p50).toBeGreaterThanOrEqual(-1);
+    });
+
+    test('reports sent packets of devices that are still online', () => {
+        const device = { id: 'B', online: false };
+        const recorded = [];
+        pacer = new PacketPacer({
+            deviceManager: { getDevice: id => (id === 'B' ? device : null) },
+            recordPacedAudio: (target, packet, wire) => recorded.push({ to: target.id, packet, wire })
+        }, { worker: false });
+
+        pacer.handleWorkerMessage({ type: 'sent', to: 'B', packet: audio(1) });
+        device.online = true;
+        pacer.handleWorkerMessage({ type: 'sent', to: 'B', packet: audio(2), wire: Buffer.from('sealed') });
+        pacer.handleWorkerMessage({ type: 'sent', to: 'X', packet: audio(3) });
+
+        expect(recorded).toHaveLength(1);
+        expect(protocol.decodePacket(recorded[0].packet).sequence).toBe(2);
+        expect(recorded[0].wire.toString()).toBe('sealed');
+    });
+
+    test('the worker sends from its own socket on the server port', async () => {
+        // A free port for the server
+        const probe = dgram.createSocket('udp4');
+        const port = await bind(probe);
+        await new Promise(resolve => probe.close(resolve));
+
+        const device = dgram.createSocket('udp4');
+        const received = [];
+        device.on('message', (msg, rinfo) => received.push({ text: msg.slice(-6).toString(), port: rinfo.port }));
+        const target = { id: 'B', address: '127.0.0.1', port: await bind(device), online: true };
+
+        const recorded = [];
+        pacer = new PacketPacer({
+            bindAddress: { host: '127.0.0.1', port },
+            deviceManager: { getDevice: id => (id === 'B' ? target : null) },
+            protectPacket: (to, packet) => Buffer.concat([packet, Buffer.from('sealed')]),
+            recordPacedAudio: (to, packet, wire) => recorded.push({ packet, wire })
+        }, { worker: true });
+        await pacer.ready();
+        expect(pacer.worker).not.toBeNull();
+
+        // Bound after the worker's socket, the server's gets the devices' datagrams
+        const server = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        const incoming = [];
+        server.on('message', msg => incoming.push(msg.toString()));
+        await bind(server, port);
+
+        try {
+            [1, 2, 3].forEach(sequence => pacer.bufferPacket(audio(sequence), A, target, 'paced'));
+            await waitFor(() => received.length === 3 && recorded.length === 3);
+
+            expect(received).toEqual(new Array(3).fill({ text: 'sealed', port }));
+            expect(recorded.map(r => protocol.decodePacket(r.packet).sequence)).toEqual([1, 2, 3]);
+
+            device.send('hello', port, '127.0.0.1');
+            await waitFor(() => incoming.length === 1);
+        } finally {
+            server.close();
+            device.close();
+        }
+    });
+});
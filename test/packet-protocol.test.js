@@ -0,0 +1,136 @@
+const protocol = require('../server/packet-protocol');
+const CONFIG = require('../config/server-config.json');
+
+const { PACKET_TYPES, CODECS, FLAGS } = protocol;
+
+describe('packet-protocol', () => {
+    test('v1 round trip', () => {
+        const payload = Buffer.from([1, 2, 3, 4, 5]);
+        const packet = protocol.encodePacket({ version: 1, type: PACKET_TYPES.AUDIO, deviceId: '001', sequence: 513, payload });
+
+        expect(packet.length).toBe(protocol.V1_HEADER_SIZE + payload.length);
+        expect(protocol.detectVersion(packet)).toBe(1);
+
+        const decoded = protocol.decodePacket(packet);
+        expect(decoded).toMatchObject({
+            version: 1,
+            flags: 0,
+            type: PACKET_TYPES.AUDIO,
+            deviceId: '001',
+            sequence: 513,
+            codec: CODECS.OPUS,
+            extensions: [],
+            headerLength: protocol.V1_HEADER_SIZE
+        });
+        expect(decoded.payload).toEqual(payload);
+    });
+
+    test('v2 round trip with extension TLVs', () => {
+        const payload = Buffer.from('opus frame');
+        const extensions = [
+            { type: 0x01, value: Buffer.from([0xAA]) },
+            { type: 0x02, value: Buffer.alloc(0) },
+            { type: 0x7F, value: Buffer.alloc(255, 0x55) }
+        ];
+        const packet = protocol.encodePacket({
+            version: 2,
+            type: PACKET_TYPES.AUDIO,
+            deviceId: 'ABCD',
+            sequence: 0xFFFF,
+            timestamp: 0xDEADBEEF,
+            flags: FLAGS.MARKER | FLAGS.FEC,
+            codec: CODECS.PCM16,
+            frameDuration: 10,
+            extensions,
+            payload
+        });
+
+        const extensionLength = 3 + 2 + 257;
+        expect(packet.length).toBe(protocol.V2_HEADER_SIZE + extensionLength + payload.length);
+        expect(protocol.detectVersion(packet)).toBe(2);
+
+        const decoded = protocol.decodePacket(packet);
+        expect(decoded).toMatchObject({
+            version: 2,
+            flags: FLAGS.MARKER | FLAGS.FEC,
+            type: PACKET_TYPES.AUDIO,
+            deviceId: 'ABCD',
+            sequence: 0xFFFF,
+            timestamp: 0xDEADBEEF,
+            codec: CODECS.PCM16,
+            frameDuration: 10,
+            headerLength: protocol.V2_HEADER_SIZE + extensionLength
+        });
+        expect(decoded.extensions).toEqual(extensions);
+        expect(decoded.payload).toEqual(payload);
+
+        // Re-encoding the decoded fields gives the same bytes
+        expect(protocol.encodePacket(decoded)).toEqual(packet);
+    });
+
+    test('v2 defaults codec and timestamp from the type and sequence', () => {
+        const decoded = protocol.decodePacket(protocol.encodePacket({
+            version: 2, type: PACKET_TYPES.HEARTBEAT, deviceId: '002', sequence: 3
+        }));
+
+        expect(decoded.codec).toBe(CODECS.NONE);
+        expect(decoded.timestamp).toBe(3 * CONFIG.audio.sampleRate * CONFIG.audio.frameDuration / 1000);
+        expect(decoded.payload.length).toBe(0);
+    });
+
+    test('rejects extensions longer than 255 bytes', () => {
+        expect(() => protocol.encodePacket({
+            version: 2, type: PACKET_TYPES.AUDIO, deviceId: '001',
+            extensions: [{ type: 1, value: Buffer.alloc(256) }]
+        })).toThrow(/too long/);
+    });
+
+    test('rejects truncated packets and extension blocks', () => {
+        const packet = protocol.encodePacket({
+            version: 2, type: PACKET_TYPES.AUDIO, deviceId: '001',
+            extensions: [{ type: 1, value: Buffer.from([1, 2, 3]) }],
+            payload: Buffer.from([9, 9])
+        });
+
+        expect(protocol.decodePacket(packet.slice(0, 7))).toBeNull();
+        expect(protocol.decodePacket(packet.slice(0, packet.length - 1))).toBeNull();
+
+        // Extension length byte pointing past the block
+        const corrupt = Buffer.from(packet);
+        corrupt[protocol.V2_HEADER_SIZE + 1] = 10;
+        expect(protocol.decodePacket(corrupt)).toBeNull();
+    });
+
+    test('validates HELLO capabilities', () => {
+        expect(protocol.validateHello({})).toBeNull();
+        expect(protocol.validateHello({
+            versions: [1, 2], codecs: ['opus'], frameDurations: [20], features: ['nack'], firmware: '1.2.0'
+        })).toBeNull();
+
+        expect(protocol.validateHello(null)).toMatch(/object/);
+        expect(protocol.validateHello([1, 2])).toMatch(/object/);
+        expect(protocol.validateHello('hello')).toMatch(/object/);
+        expect(protocol.validateHello({ versions: 5 })).toMatch(/versions/);
+        expect(protocol.validateHello({ codecs: 'opus' })).toMatch(/codecs/);
+        expect(protocol.validateHello({ frameDurations: { 20: true } })).toMatch(/frameDurations/);
+        expect(protocol.validateHello({ features: null })).toMatch(/features/);
+        expect(protocol.validateHello({ firmware: 3 })).toMatch(/firmware/);
+    });
+
+    test('converts between versions', () => {
+        const v2 = protocol.encodePacket({
+            version: 2, type: PACKET_TYPES.CONTROL, deviceId: '003', sequence: 42,
+            extensions: [{ type: 1, value: Buffer.from([1]) }],
+            payload: Buffer.from('{}')
+        });
+        const decoded = protocol.decodePacket(v2);
+
+        expect(protocol.convertPacket(v2, decoded, 2)).toBe(v2);
+
+        const v1 = protocol.convertPacket(v2, decoded, 1);
+        expect(protocol.decodePacket(v1)).toMatchObject({
+            version: 1, type: PACKET_TYPES.CONTROL, deviceId: '003', sequence: 42, extensions: []
+        });
+        expect(protocol.decodePacket(v1).payload).toEqual(Buffer.from('{}'));
+    });
+});
@@ -0,0 +1,224 @@
+/**
+ * Packet Replay - Feeds a capture back into the server
+ *
+ * Reads a capture written by the server (udp-server.js --capture, see
+ * server/packet-capture.js), restores the routing, device configuration and
+ * registry saved next to it, and hands every ingress packet to
+ * UDPAudioServer.handlePacket with its original rinfo, at the original
+ * timing or faster. Nothing is sent on the network unless --send is given:
+ * what the server sends is counted per device and can be written to a new
+ * capture with --out, to compare against the egress of the original run.
+ *
+ * Usage:
+ *   node test/packet-replay.js captures/capture-....pcap [options]
+ *     --speed=N     1 = original timing (default), 4 = four times faster,
+ *                   0 = as fast as possible
+ *     --device=ID   Replay only the packets of one device
+ *     --out=FILE    Capture the replayed ingress and the server's egress
+ *     --send        Really send the server's packets to the captured addresses
+ *     --no-state    Start from an empty configuration instead of the saved one
+ *     --drain=MS    Time to let jitter buffers play out after the last packet (default 1000)
+ *
+ * Packets of encrypted sessions cannot be replayed: the session keys came
+ * from a key exchange with the original server process.
+ */
+
+const fs = require('fs');
+const { performance } = require('perf_hooks');
+const UDPAudioServer = require('../server/udp-server');
+const PacketCapture = require('../server/packet-capture');
+const protocol = require('../server/packet-protocol');
+
+const CONFIG = require('../config/server-config.json');
+
+class PacketReplay {
+    constructor(file, options = {}) {
+        this.file = file;
+        this.speed = options.speed !== undefined ? options.speed : 1;
+        this.deviceFilter = options.device || null;
+        this.send = Boolean(options.send);
+        this.restoreState = options.state !== false;
+        this.outFile = options.out || null;
+        this.drainMs = options.drainMs !== undefined ? options.drainMs : 1000;
+
+        const sidecarFile = `${file}.json`;
+        this.sidecar = fs.existsSync(sidecarFile) ? JSON.parse(fs.readFileSync(sidecarFile, 'utf8')) : null;
+        const serverPort = this.sidecar ? this.sidecar.server.port : CONFIG.udp.serverPort;
+
+        const packets = PacketCapture.readCapture(file);
+        this.ingress = packets.filter(entry => entry.to.port === serverPort &&
+            (!this.deviceFilter || deviceIdOf(entry.packet) === this.deviceFilter));
+
+        this.results = {
+            capturedPackets: packets.length,
+            replayedPackets: 0,
+            lateMs: 0, // Worst delay behind the schedule
+            egress: {} // Key: deviceId, Value: { packets, bytes, types: { name: count } }
+        };
+    }
+
+    createServer() {
+        const server = new UDPAudioServer();
+
+        if (this.sidecar && this.restoreState) {
+            server.persistence.apply(this.sidecar.snapshot);
+        }
+
+        const send = server.socket.send.bind(server.socket);
+        server.socket.send = (packet, port, address, callback) => {
+            this.countEgress(server, packet, port, address);
+            if (this.send) {
+                send(packet, port, address, callback);
+            } else if (callback) {
+                callback(null);
+            }
+        };
+
+        if (this.outFile) {
+            server.packetCapture.start(this.outFile);
+        }
+        return server;
+    }
+
+    countEgress(server, packet, port, address) {
+        const device = server.deviceManager.getAllDevices()
+            .find(candidate => candidate.address === address && candidate.port === port);
+        const key = device ? device.id : `${address}:${port}`;
+
+        const entry = this.results.egress[key] || (this.results.egress[key] = { packets: 0, bytes: 0, types: {} });
+        entry.packets++;
+        entry.bytes += packet.length;
+
+        const decoded = protocol.decodePacket(packet);
+        const type = decoded ? typeName(decoded.type) : 'invalid';
+        entry.types[type] = (entry.types[type] || 0) + 1;
+    }
+
+    /**
+     * Replay the capture
+     * @returns {Promise<Object>} Results and the server statistics
+     */
+    run() {
+        this.server = this.createServer();
+        const packets = this.ingress;
+
+        console.log(`▶️ Replaying ${packets.length} of ${this.results.capturedPackets} packets from ${this.file}` +
+            ` (${this.speed > 0 ? `${this.speed}x` : 'as fast as possible'}` +
+            `${this.sidecar && this.restoreState ? ', saved configuration' : ''})`);
+
+        return new Promise(resolve => {
+            if (packets.length === 0) {
+                resolve(this.finish());
+                return;
+            }
+
+            const first = packets[0].timestamp;
+            const start = performance.now();
+            let index = 0;
+
+            const next = () => {
+                const elapsed = performance.now() - start;
+
+                // Every packet that is due; with speed 0 a batch at a time
+                let batch = 0;
+                while (index < packets.length && (this.speed > 0
+                    ? (packets[index].timestamp - first) / this.speed <= elapsed
+                    : batch++ < 50)) {
+                    if (this.speed > 0) {
+                        const due = (packets[index].timestamp - first) / this.speed;
+                        this.results.lateMs = Math.max(this.results.lateMs, elapsed - due);
+                    }
+                    this.feed(packets[index++]);
+                }
+
+                if (index < packets.length) {
+                    const wait = this.speed > 0
+                        ? (packets[index].timestamp - first) / this.speed - (performance.now() - start)
+                        : 0;
+                    setTimeout(next, Math.max(0, wait));
+                } else {
+                    setTimeout(() => resolve(this.finish()), this.drainMs);
+                }
+            };
+            next();
+        });
+    }
+
+    feed(entry) {
+        const rinfo = { address: entry.from.address, port: entry.from.port, family: 'IPv4', size: entry.packet.length };
+        this.server.packetCapture.capture('ingress', entry.packet, rinfo);
+        this.server.handlePacket(entry.packet, rinfo);
+        this.results.replayedPackets++;
+    }
+
+    finish() {
+        this.server.packetCapture.stop();
+
+        const { startTime, ...stats } = this.server.stats;
+        return {
+            ...this.results,
+            lateMs: Number(this.results.lateMs.toFixed(2)),
+            server: stats
+        };
+    }
+
+    printReport(results) {
+        console.log(`\n${'='.repeat(50)}`);
+        console.log(`📊 REPLAY REPORT`);
+        console.log(`${'='.repeat(50)}`);
+        console.log(`Replayed packets: ${results.replayedPackets}`);
+        if (this.speed > 0) {
+            console.log(`Worst scheduling delay: ${results.lateMs}ms`);
+        }
+        console.log(`Packets routed: ${results.server.packetsRouted}`);
+        console.log(`Packets dropped: ${results.server.packetsDropped}`);
+        console.log(`Packets rejected (auth): ${results.server.packetsRejected}`);
+        console.log(`Packets refused (registry): ${results.server.packetsRefused}`);
+
+        console.log(`\n📤 EGRESS:`);
+        Object.entries(results.egress).forEach(([deviceId, entry]) => {
+            const types = Object.entries(entry.types).map(([type, count]) => `${type} ${count}`).join(', ');
+            console.log(`  ${deviceId}: ${entry.packets} packets, ${(entry.bytes / 1024).toFixed(2)} KB (${types})`);
+        });
+        console.log(`${'='.repeat(50)}\n`);
+    }
+}
+
+function deviceIdOf(packet) {
+    const decoded = protocol.decodePacket(packet);
+    return decoded ? decoded.deviceId : null;
+}
+
+function typeName(type) {
+    const name = Object.keys(protocol.PACKET_TYPES).find(key => protocol.PACKET_TYPES[key] === type);
+    return name ? name.toLowerCase() : `0x${type.toString(16)}`;
+}
+
+// Run replay if executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+    const file = args.find(a => !a.startsWith('--'));
+
+    if (!file) {
+        console.log('Usage: node test/packet-replay.js <capture.pcap> [--speed=N] [--device=ID] [--out=FILE] [--send] [--no-state] [--drain=MS]');
+        process.exit(1);
+    }
+
+    const replay = new PacketReplay(file, {
+        speed: option('speed') !== undefined ? parseFloat(option('speed')) : 1,
+        device: option('device'),
+        out: option('out'),
+        send: args.includes('--send'),
+        state: !args.includes('--no-state'),
+        drainMs: option('drain') !== undefined ? parseInt(option('drain')) : undefined
+    });
+
+    replay.run().then(results => {
+        replay.printReport(results);
+        fs.writeFileSync('replay-results.json', JSON.stringify(results, null, 2));
+        process.exit(0);
+    });
+}
+
+module.exports = PacketReplay;
@@ -51,7 +51,7 @@ function testWebSocket() {
 
     try {
         const WebSocket = require('ws');
-        const ws = new WebSocket('ws://localhost:8081');
+        const ws = new WebSocket('ws://localhost:8080/ws/control');
 
         ws.on('open', () => {
             console.log('✅ WebSocket connected to server');
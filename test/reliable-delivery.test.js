@@ -0,0 +1,148 @@
+const DeviceManager = require('../server/device-manager');
+const ReliableDelivery = require('../server/reliable-delivery');
+const protocol = require('../server/packet-protocol');
+
+const { AUDIO, CONTROL_ACK } = protocol.PACKET_TYPES;
+
+let deviceManager;
+let delivery;
+let sent;
+
+// Reliable delivery for the UDP server, recording what it sends
+function start(options = {}) {
+    deviceManager = new DeviceManager();
+    sent = [];
+    delivery = new ReliableDelivery({
+        deviceManager,
+        sendToDevice: (device, packet) => sent.push({ to: device.id, packet: protocol.decodePacket(packet) }),
+        sendControl: (device, control) => sent.push({ to: device.id, control })
+    }, options);
+    return delivery;
+}
+
+function device(id, features = ['nack']) {
+    deviceManager.updateDevice(id, { address: '127.0.0.1', port: 6000, protocolVersion: 2 });
+    const record = deviceManager.getDevice(id);
+    record.capabilities = { negotiated: { features } };
+    return record;
+}
+
+function audio(deviceId, sequence, flags = 0) {
+    return protocol.encodePacket({
+        version: protocol.PROTOCOL_V2, type: AUDIO, deviceId, sequence, flags, payload: Buffer.from([sequence])
+    });
+}
+
+afterEach(() => {
+    delivery.stop();
+    jest.useRealTimers();
+});
+
+describe('ReliableDelivery control', () => {
+    test('acknowledges commands with an id once, and again for retransmits', () => {
+        start();
+        const source = device('001');
+
+        expect(delivery.isNewControl(source, { command: 'ping' })).toBe(true);
+        delivery.ackControl(source, { command: 'ping' });
+        expect(sent).toHaveLength(0);
+
+        expect(delivery.isNewControl(source, { id: 7, command: 'join-group' })).toBe(true);
+        delivery.ackControl(source, { id: 7, command: 'join-group' }, Object.assign(new Error('No such group'), { code: 'not-found' }));
+        expect(delivery.isNewControl(source, { id: 7, command: 'join-group' })).toBe(false);
+
+        const acks = sent.map(s => [s.packet.type, JSON.parse(s.packet.payload)]);
+        expect(acks).toEqual(new Array(2).fill(
+            [CONTROL_ACK, { id: 7, status: 'error', error: 'not-found', message: 'No such group' }]
+        ));
+        expect(delivery.stats).toMatchObject({ controlErrors: 1, controlDuplicates: 1 });
+    });
+
+    test('retransmits commands with backoff until acknowledged', () => {
+        jest.useFakeTimers();
+        start({ control: { ackTimeoutMs: 100, maxRetries: 2 } });
+        const target = device('002');
+        const results = [];
+
+        delivery.sendReliable(target, { command: 'set-volume', volume: 50 }, (ack, reason, attempts) => {
+            results.push({ ack, reason, attempts });
+        });
+        jest.advanceTimersByTime(100);
+        jest.advanceTimersByTime(199);
+        expect(sent).toHaveLength(2);
+
+        const { id } = sent[0].control;
+        delivery.handleAck(target, Buffer.from(JSON.stringify({ id, status: 'ok' })));
+        expect(results).toEqual([{ ack: { id, status: 'ok' }, reason: undefined, attempts: 2 }]);
+        expect(sent.map(s => s.control)).toEqual(new Array(2).fill({ command: 'set-volume', volume: 50, id }));
+    });
+
+    test('gives up after the last retry or when the device goes offline', () => {
+        jest.useFakeTimers();
+        start({ control: { ackTimeoutMs: 100, maxRetries: 1 } });
+        const target = device('002');
+        const reasons = [];
+
+        delivery.sendReliable(target, { command: 'reboot' }, (ack, reason) => reasons.push(reason));
+        jest.advanceTimersByTime(300);
+        delivery.sendReliable(target, { command: 'reboot' }, (ack, reason) => reasons.push(reason));
+        deviceManager.setOffline(target, 'timeout');
+
+        expect(reasons).toEqual(['timeout', 'offline']);
+        expect(delivery.getStats()).toMatchObject({ commandsTimedOut: 1, commandsPending: 0 });
+    });
+});
+
+describe('ReliableDelivery NACKs', () => {
+    test('NACK payloads round-trip', () => {
+        start();
+        const payload = ReliableDelivery.encodeNack('001', [65534, 65535, 0, 20]);
+        expect(ReliableDelivery.decodeNack(payload)).toEqual([
+            { sourceId: '001', sequences: [65534, 65535, 0] },
+            { sourceId: '001', sequences: [20] }
+        ]);
+        expect(ReliableDelivery.decodeNack(Buffer.alloc(5))).toBeNull();
+    });
+
+    test('requests the gaps in a device\'s audio and matches retransmissions', () => {
+        start();
+        const source = device('001');
+        const track = (sequence, flags) => delivery.trackAudio(source, protocol.decodePacket(audio('001', sequence, flags)));
+
+        track(1);
+        track(4);
+        expect(sent).toHaveLength(1);
+        expect(ReliableDelivery.decodeNack(sent[0].packet.payload)).toEqual([{ sourceId: '001', sequences: [2, 3] }]);
+
+        expect(track(2, protocol.FLAGS.RETRANSMIT)).toBe(true);
+        expect(track(2, protocol.FLAGS.RETRANSMIT)).toBe(false);
+        expect(track(3)).toBe(true);
+
+        // Gaps longer than maxGap are left to concealment
+        track(40);
+        expect(sent).toHaveLength(1);
+        expect(delivery.stats).toMatchObject({ nacksSent: 1, retransmitsReceived: 1, duplicateRetransmits: 1 });
+    });
+
+    test('sends nothing to devices without the feature', () => {
+        start();
+        const source = device('001', []);
+        delivery.trackAudio(source, protocol.decodePacket(audio('001', 1)));
+        delivery.trackAudio(source, protocol.decodePacket(audio('001', 5)));
+        expect(sent).toHaveLength(0);
+    });
+
+    test('retransmits audio a device reports lost, once', () => {
+        start();
+        const target = device('002');
+        [10, 11, 12].forEach(sequence => delivery.recordSent(target, audio('001', sequence)));
+        delivery.recordSent(target, audio('001', 13, protocol.FLAGS.CONCEALED));
+
+        const nack = ReliableDelivery.encodeNack('001', [11, 13]);
+        delivery.handleNack(target, nack);
+        delivery.handleNack(target, nack);
+
+        expect(sent).toHaveLength(1);
+        expect(sent[0].packet).toMatchObject({ type: AUDIO, sequence: 11, flags: protocol.FLAGS.RETRANSMIT });
+    });
+});
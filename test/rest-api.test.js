@@ -0,0 +1,143 @@
+const { startApi } = require('./api-harness');
+
+let api;
+
+beforeEach(async () => {
+    api = await startApi({ devices: ['001', '002', '003'] });
+});
+
+afterEach(async () => {
+    await api.close();
+});
+
+describe('RestAPI routes', () => {
+    test('creates, lists, replaces and removes routes', async () => {
+        let res = await api.request('POST', '/api/routes', { source: '001', targets: ['002', '003', '002'] });
+        expect(res.status).toBe(201);
+        expect(res.body).toEqual({ source: '001', targets: ['002', '003'], effective: ['002', '003'] });
+
+        res = await api.request('GET', '/api/routes');
+        expect(res.body.routes).toEqual([{ source: '001', targets: ['002', '003'] }]);
+
+        res = await api.request('PUT', '/api/routes/001', { targets: ['003'] });
+        expect(res.body.targets).toEqual(['003']);
+
+        res = await api.request('DELETE', '/api/routes/001/002');
+        expect(res.status).toBe(404);
+
+        res = await api.request('DELETE', '/api/routes/001/003');
+        expect(res.status).toBe(204);
+        expect(api.udpServer.audioRouter.getDirectRoutes('001')).toEqual([]);
+    });
+
+    test('effective routes include mute and broadcast', async () => {
+        await api.request('PUT', '/api/devices/002/broadcast');
+        await api.request('PUT', '/api/devices/003/mute');
+
+        const res = await api.request('GET', '/api/routes/002');
+        expect(res.body.targets).toEqual([]);
+        expect(res.body.effective.sort()).toEqual(['001', '003']);
+        expect((await api.request('GET', '/api/routes/003')).body.effective).toEqual([]);
+    });
+
+    test('applies scenarios', async () => {
+        const res = await api.request('POST', '/api/scenarios/pairs');
+        expect(res.status).toBe(200);
+        expect(res.body.routes['001'].routes).toEqual(['002']);
+        expect((await api.request('POST', '/api/scenarios/nope')).status).toBe(404);
+    });
+});
+
+describe('RestAPI devices and groups', () => {
+    test('updates device metadata and reports unknown devices', async () => {
+        let res = await api.request('PATCH', '/api/devices/001', { name: 'Front desk', metadata: { floor: 2 } });
+        expect(res.body).toEqual({ id: '001', metadata: { name: 'Front desk', floor: 2 } });
+
+        res = await api.request('GET', '/api/devices/001');
+        expect(res.body).toMatchObject({ muted: false, broadcast: false, metadata: { name: 'Front desk' } });
+
+        expect((await api.request('GET', '/api/devices/XYZ')).status).toBe(404);
+        expect((await api.request('PATCH', '/api/devices/001', {})).status).toBe(400);
+    });
+
+    test('manages groups and their members', async () => {
+        let res = await api.request('POST', '/api/groups', { groupId: 'desk', members: ['001', '002'] });
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ groupId: 'desk', members: ['001', '002'], mode: 'forward' });
+
+        expect((await api.request('POST', '/api/groups', { groupId: 'desk' })).status).toBe(409);
+
+        res = await api.request('POST', '/api/groups/desk/members', { deviceId: '003' });
+        expect(res.body.members).toEqual(['001', '002', '003']);
+
+        res = await api.request('DELETE', '/api/groups/desk/members/001');
+        expect(res.body.members).toEqual(['002', '003']);
+
+        expect((await api.request('DELETE', '/api/groups/desk')).status).toBe(204);
+        expect((await api.request('GET', '/api/groups/desk')).status).toBe(404);
+    });
+
+    test('records changes in the audit log under the operation', async () => {
+        api.udpServer.auditLog.start();
+        await api.request('PUT', '/api/devices/001/mute');
+        await api.udpServer.auditLog.flush();
+
+        const { entries: [entry] } = api.udpServer.auditLog.query({ action: 'muteDevice' });
+        expect(entry).toMatchObject({ action: 'muteDevice', actor: { type: 'rest' }, devices: ['001'] });
+    });
+});
+
+describe('RestAPI requests', () => {
+    test('answers unknown paths, methods and preflights', async () => {
+        expect((await api.request('GET', '/api/nothing')).status).toBe(404);
+
+        const res = await api.request('PATCH', '/api/routes');
+        expect(res.status).toBe(405);
+        expect(res.headers.allow).toBe('GET, POST, DELETE');
+
+        const preflight = await api.request('OPTIONS', '/api/routes/001');
+        expect(preflight.status).toBe(204);
+        expect(preflight.headers['access-control-allow-methods']).toBe('GET, PUT, DELETE, OPTIONS');
+    });
+
+    test('rejects malformed and oversized bodies', async () => {
+        let res = await api.request('POST', '/api/routes', '{ "source": ');
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/Invalid JSON/);
+
+        res = await api.request('POST', '/api/routes', '[1, 2]');
+        expect(res.status).toBe(400);
+
+        res = await api.request('POST', '/api/routes', { source: '001', target: 'TOOLONG' });
+        expect(res.status).toBe(400);
+
+        res = await api.request('POST', '/api/routes', JSON.stringify({ source: 'x'.repeat(1024 * 1024) }));
+        expect(res.status).toBe(413);
+    });
+
+    test('accepts query strings and trailing slashes', async () => {
+        await api.request('POST', '/api/routes', { source: '001', target: '002' });
+
+        expect((await api.request('GET', '/api/routes/?fresh=1')).body.routes).toHaveLength(1);
+        expect((await api.request('GET', '/api/routes/%30%30%31')).body.targets).toEqual(['002']);
+        expect((await api.request('GET', '/api/routes/%E0%A4%A')).status).toBe(400);
+    });
+});
+
+describe('RestAPI pacing', () => {
+    test('changes the default and per-route policies', async () => {
+        let res = await api.request('PUT', '/api/pacing', { defaultPolicy: 'paced' });
+        expect(res.body).toMatchObject({ defaultPolicy: 'paced', routes: {} });
+
+        res = await api.request('PUT', '/api/pacing/001/*', { policy: 'adaptive' });
+        expect(res.body.routes).toEqual({ '001->*': 'adaptive' });
+        expect(api.udpServer.packetPacer.getPolicy('001', '002')).toBe('adaptive');
+
+        expect((await api.request('PUT', '/api/pacing/*/*', { policy: 'paced' })).status).toBe(400);
+        expect((await api.request('PUT', '/api/pacing/001/002', { policy: 'fast' })).status).toBe(400);
+
+        expect((await api.request('DELETE', '/api/pacing/001/*')).status).toBe(204);
+        expect((await api.request('DELETE', '/api/pacing/001/*')).status).toBe(404);
+        expect(api.udpServer.packetPacer.getPolicy('001', '002')).toBe('paced');
+    });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+const RestAPI = require('../server/rest-api');
+const DashboardAuth = require('../server/dashboard-auth');
+const { SchemaValidator, MessageValidator, RequestValidator, ERROR_CODES } = require('../server/schema-validator');
+
+const PERMISSIONS = ['public', 'session', 'read', 'stats', 'routes', 'groups', 'devices', 'recordings', 'listen',
+    'audio', 'pacing', 'registry', 'config', 'logging', 'users', 'tokens'];
+
+describe('SchemaValidator', () => {
+    const validator = new SchemaValidator({
+        components: {
+            schemas: {
+                DeviceId: { type: 'string', minLength: 1, maxLength: 4, pattern: '^[A-Z0-9]+$' }
+            }
+        }
+    });
+    const schema = {
+        type: 'object',
+        required: ['id', 'mode'],
+        additionalProperties: false,
+        properties: {
+            id: { $ref: '#/components/schemas/DeviceId' },
+            mode: { enum: ['forward', 'mix'] },
+            gain: { type: 'number', minimum: 0, maximum: 4 },
+            members: { type: 'array', maxItems: 2, items: { $ref: '#/components/schemas/DeviceId' } },
+            label: { type: 'string', nullable: true },
+            target: { oneOf: [{ type: 'string' }, { type: 'integer' }] }
+        }
+    };
+
+    test('accepts a valid value', () => {
+        expect(validator.validate(schema, { id: '001', mode: 'mix', gain: 1.5, members: ['A'], label: null, target: 3 })).toEqual([]);
+    });
+
+    test('reports each error with its JSON pointer', () => {
+        const errors = validator.validate(schema, {
+            id: 'toolong',
+            gain: 9,
+            members: ['001', 'x', '002'],
+            extra: true,
+            target: 1.5
+        });
+
+        expect(errors).toEqual(expect.arrayContaining([
+            { path: '/mode', message: 'is required' },
+            { path: '/id', message: 'must be at most 4 characters' },
+            { path: '/id', message: 'must match ^[A-Z0-9]+$' },
+            { path: '/gain', message: 'must be <= 4' },
+            { path: '/members', message: 'must have at most 2 items' },
+            { path: '/members/1', message: 'must match ^[A-Z0-9]+$' },
+            { path: '/extra', message: 'is not allowed' },
+            { path: '/target', message: expect.stringMatching(/^must match exactly one of/) }
+        ]));
+        expect(errors).toHaveLength(8);
+    });
+
+    test('reports a wrong type at the root', () => {
+        expect(validator.validate(schema, [])).toEqual([{ path: '/', message: 'must be object' }]);
+        expect(() => validator.validate({ $ref: '#/components/schemas/Missing' }, 1)).toThrow(/Unresolvable/);
+    });
+});
+
+describe('RequestValidator', () => {
+    const validator = new RequestValidator();
+
+    test('validates request bodies by operation', () => {
+        expect(validator.validateBody('createRoutes', { source: '001', target: '002' })).toEqual([]);
+        expect(validator.validateBody('createRoutes', { source: 42 }).length).toBeGreaterThan(0);
+        expect(validator.validateBody('listRoutes', { anything: true })).toEqual([]);
+    });
+
+    test('collects the devices and groups a request is about', () => {
+        expect(validator.getResources('createRoutes', {}, { source: '001', targets: ['002', 3, '003'] }))
+            .toEqual({ devices: ['001', '002', '003'], groups: [] });
+        expect(validator.getResources('listRoutes', {}, {})).toBeNull();
+    });
+
+    test('every REST endpoint has an operation with a known permission', () => {
+        const api = new RestAPI(null, new DashboardAuth(null, { enabled: false }));
+
+        api.endpoints.forEach(({ operationId }) => {
+            expect(PERMISSIONS).toContain(validator.getPermission(operationId));
+        });
+    });
+});
+
+describe('MessageValidator', () => {
+    const validator = new MessageValidator('control');
+
+    test('validates control messages', () => {
+        expect(validator.validateMessage({ type: 'set-route', source: '001', target: '002' })).toEqual({ ok: true });
+        expect(validator.validateMessage({ type: 'set-route', source: '001' })).toMatchObject({ ok: false, code: ERROR_CODES.VALIDATION_FAILED });
+        expect(validator.validateMessage({ type: 'launch' })).toMatchObject({ ok: false, code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE });
+        expect(validator.validateMessage('set-route')).toMatchObject({ ok: false, code: ERROR_CODES.VALIDATION_FAILED });
+    });
+
+    test('every control message is handled and has a known permission', () => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'server', 'websocket-api.js'), 'utf8');
+
+        validator.getMessageTypes().forEach(type => {
+            expect(source).toContain(`case '${type}':`);
+            expect(PERMISSIONS).toContain(validator.getPermission(type));
+        });
+    });
+});
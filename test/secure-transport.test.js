@@ -0,0 +1,141 @@
+const SecureTransport = require('../server/secure-transport');
+const protocol = require('../server/packet-protocol');
+
+const { PACKET_TYPES, FLAGS } = protocol;
+
+const PSK = Buffer.alloc(32, 0x42);
+const ADDRESS = '10.0.0.5:5005';
+
+// Server and device sessions from a PSK handshake, including the challenge round
+function handshake(server = new SecureTransport({ keys: new Map([['T001', PSK]]) }, { mode: 'optional' })) {
+    const first = SecureTransport.createKeyExchange('T001', { psk: PSK });
+    const answer = server.handleKeyExchange('T001', first.payload, ADDRESS);
+    const challenge = SecureTransport.challengeOf(answer.payload);
+
+    const offer = SecureTransport.createKeyExchange('T001', { psk: PSK }, challenge);
+    const ack = server.handleKeyExchange('T001', offer.payload, ADDRESS);
+    return {
+        server,
+        offer,
+        ack,
+        serverSession: server.sessions.get('T001'),
+        deviceSession: SecureTransport.completeKeyExchange(offer.state, ack.payload)
+    };
+}
+
+function audioPacket(sequence = 1) {
+    return protocol.encodePacket({
+        version: 2,
+        type: PACKET_TYPES.AUDIO,
+        deviceId: 'T001',
+        sequence,
+        payload: Buffer.from('opus frame payload')
+    });
+}
+
+describe('SecureTransport', () => {
+    test('seal and open round trip in both directions', () => {
+        const { serverSession, deviceSession } = handshake();
+        const packet = audioPacket();
+
+        const sealed = SecureTransport.sealPacket(deviceSession, packet);
+        const decoded = protocol.decodePacket(sealed);
+        expect(decoded.flags & FLAGS.ENCRYPTED).toBe(FLAGS.ENCRYPTED);
+        expect(decoded.payload.includes(Buffer.from('opus frame payload'))).toBe(false);
+
+        expect(SecureTransport.openPacket(serverSession, sealed)).toEqual(packet);
+
+        const reply = SecureTransport.sealPacket(serverSession, packet);
+        expect(SecureTransport.openPacket(deviceSession, reply)).toEqual(packet);
+    });
+
+    test('seals v1 packets as v2', () => {
+        const { serverSession, deviceSession } = handshake();
+        const v1 = protocol.encodePacket({ version: 1, type: PACKET_TYPES.AUDIO, deviceId: 'T001', sequence: 9, payload: Buffer.from([1, 2]) });
+
+        const opened = protocol.decodePacket(SecureTransport.openPacket(serverSession, SecureTransport.sealPacket(deviceSession, v1)));
+        expect(opened).toMatchObject({ version: 2, deviceId: 'T001', sequence: 9, flags: 0 });
+        expect(opened.payload).toEqual(Buffer.from([1, 2]));
+    });
+
+    test('rejects tampered header, ciphertext and tag', () => {
+        const { serverSession, deviceSession } = handshake();
+        const sealed = SecureTransport.sealPacket(deviceSession, audioPacket());
+        const headerLength = protocol.decodePacket(sealed).headerLength;
+
+        const tamper = (offset) => {
+            const copy = Buffer.from(sealed);
+            copy[offset] ^= 0x01;
+            return SecureTransport.openPacket(serverSession, copy);
+        };
+
+        expect(tamper(8)).toBeNull();                // Sequence, authenticated as AAD
+        expect(tamper(headerLength)).toBeNull();     // Counter (nonce)
+        expect(tamper(headerLength + 6)).toBeNull(); // Ciphertext
+        expect(tamper(sealed.length - 1)).toBeNull(); // Tag
+        expect(SecureTransport.openPacket(serverSession, sealed.slice(0, headerLength + 10))).toBeNull();
+
+        // The untouched packet still opens: failures do not advance the replay window
+        expect(SecureTransport.openPacket(serverSession, sealed)).not.toBeNull();
+    });
+
+    test('rejects replays and packets sealed for the other direction', () => {
+        const { serverSession, deviceSession } = handshake();
+        const sealed = SecureTransport.sealPacket(deviceSession, audioPacket());
+
+        expect(SecureTransport.openPacket(serverSession, sealed)).not.toBeNull();
+        expect(SecureTransport.openPacket(serverSession, sealed)).toBeNull();
+
+        // The device cannot open its own packets: each direction has its own key
+        expect(SecureTransport.openPacket(deviceSession, SecureTransport.sealPacket(deviceSession, audioPacket(2)))).toBeNull();
+    });
+
+    test('rejects cleartext audio and control for a device with a session', () => {
+        const { server } = handshake();
+        const plain = (type, deviceId = 'T001') => protocol.decodePacket(protocol.encodePacket({ version: 2, type, deviceId }));
+
+        expect(server.allowsPlaintext(plain(PACKET_TYPES.AUDIO))).toBe(false);
+        expect(server.allowsPlaintext(plain(PACKET_TYPES.CONTROL))).toBe(false);
+        expect(server.allowsPlaintext(plain(PACKET_TYPES.HEARTBEAT))).toBe(true);
+        expect(server.allowsPlaintext(plain(PACKET_TYPES.KEY_EXCHANGE))).toBe(true);
+        expect(server.stats.plaintextRejected).toBe(2);
+
+        // Devices without a session may still send in the clear in optional mode
+        expect(server.allowsPlaintext(plain(PACKET_TYPES.AUDIO, 'T002'))).toBe(true);
+
+        const required = new SecureTransport({ keys: new Map() }, { mode: 'required' });
+        expect(required.allowsPlaintext(plain(PACKET_TYPES.AUDIO, 'T002'))).toBe(false);
+        expect(required.allowsPlaintext(plain(PACKET_TYPES.HELLO, 'T002'))).toBe(true);
+    });
+
+    test('answers an offer without a challenge with one', () => {
+        const server = new SecureTransport({ keys: new Map([['T001', PSK]]) }, { mode: 'optional' });
+        const answer = server.handleKeyExchange('T001', SecureTransport.createKeyExchange('T001', { psk: PSK }).payload, ADDRESS);
+
+        expect(answer.established).toBe(false);
+        expect(SecureTransport.challengeOf(answer.payload)).toEqual(expect.any(String));
+        expect(server.sessions.size).toBe(0);
+    });
+
+    test('refuses a replayed offer without replacing the session', () => {
+        const { server, offer, ack, serverSession } = handshake();
+        expect(ack.established).toBe(true);
+
+        expect(server.handleKeyExchange('T001', offer.payload, ADDRESS)).toBeNull();
+        expect(server.sessions.get('T001')).toBe(serverSession);
+
+        // From another address the challenge does not match
+        const elsewhere = server.handleKeyExchange('T001', offer.payload, '192.0.2.1:4000');
+        expect(elsewhere.established).toBe(false);
+        expect(server.sessions.get('T001')).toBe(serverSession);
+    });
+
+    test('refuses an offer signed with the wrong key', () => {
+        const server = new SecureTransport({ keys: new Map([['T001', PSK]]) }, { mode: 'optional' });
+        const answer = server.handleKeyExchange('T001', SecureTransport.createKeyExchange('T001', { psk: PSK }).payload, ADDRESS);
+        const offer = SecureTransport.createKeyExchange('T001', { psk: Buffer.alloc(32, 1) }, SecureTransport.challengeOf(answer.payload));
+
+        expect(server.handleKeyExchange('T001', offer.payload, ADDRESS)).toBeNull();
+        expect(server.sessions.size).toBe(0);
+    });
+});
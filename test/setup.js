@@ -0,0 +1,3 @@
+// Keep the server modules' logging out of the test output and logs/
+process.env.LOG_FILE = 'off';
+process.env.LOG_CONSOLE = 'off';
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const atomicFile = require('../server/atomic-file');
+const AudioRouter = require('../server/audio-router');
+const DeviceAuthenticator = require('../server/device-auth');
+const DeviceManager = require('../server/device-manager');
+const DeviceRegistry = require('../server/device-registry');
+const StatePersistence = require('../server/state-persistence');
+const { JsonStateStore, SqliteStateStore } = require('../server/state-store');
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// What the UDP server wires together, around a state file in `dir`
+function server() {
+    const deviceManager = new DeviceManager();
+    const deviceAuth = new DeviceAuthenticator({ mode: 'optional' });
+    const deviceRegistry = new DeviceRegistry(deviceManager, deviceAuth, { file: null, policy: 'auto-enroll' });
+    const audioRouter = new AudioRouter(deviceManager);
+    const persistence = new StatePersistence(audioRouter, deviceManager, deviceRegistry, {
+        enabled: true,
+        driver: 'json',
+        file: path.join(dir, 'state.json'),
+        debounceMs: 10
+    });
+    return { deviceManager, deviceAuth, deviceRegistry, audioRouter, persistence };
+}
+
+describe('atomic-file', () => {
+    test('replaces a file with the given mode and leaves no temporary file', async () => {
+        const file = path.join(dir, 'nested', 'secret.json');
+        fs.mkdirSync(path.dirname(file));
+        fs.writeFileSync(file, 'old', { mode: 0o644 });
+
+        atomicFile.writeFileSync(file, 'new', 0o600);
+        expect(fs.readFileSync(file, 'utf8')).toBe('new');
+        expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+
+        await atomicFile.writeFile(file, 'newer', 0o600);
+        expect(fs.readFileSync(file, 'utf8')).toBe('newer');
+        expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+        expect(fs.readdirSync(path.dirname(file))).toEqual(['secret.json']);
+    });
+
+    test('concurrent writes of one file all complete', async () => {
+        const file = path.join(dir, 'index.json');
+        await Promise.all([1, 2, 3, 4].map(n => atomicFile.writeFile(file, String(n))));
+
+        expect(['1', '2', '3', '4']).toContain(fs.readFileSync(file, 'utf8'));
+        expect(fs.readdirSync(dir)).toEqual(['index.json']);
+    });
+});
+
+describe('JsonStateStore', () => {
+    test('saves keys and reads them back', () => {
+        const file = path.join(dir, 'state.json');
+        const store = new JsonStateStore(file);
+        store.save('a', { x: 1 });
+        store.save('b', [1, 2]);
+
+        const reopened = new JsonStateStore(file);
+        expect(reopened.load('a')).toEqual({ x: 1 });
+        expect(reopened.load('b')).toEqual([1, 2]);
+        expect(reopened.load('missing')).toBeNull();
+        expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    });
+
+    test('starts empty from an unreadable file', () => {
+        const file = path.join(dir, 'state.json');
+        fs.writeFileSync(file, '{ cut sho');
+        expect(new JsonStateStore(file).load('snapshot')).toBeNull();
+    });
+});
+
+describe('SqliteStateStore', () => {
+    test('keeps the database readable only by its owner', () => {
+        const file = path.join(dir, 'state.db');
+        fs.writeFileSync(file, '');
+        fs.chmodSync(file, 0o644);
+
+        const store = new SqliteStateStore(file, require('better-sqlite3'));
+        store.save('registry', { devices: [{ id: '001', secret: 'ab'.repeat(16) }] });
+        expect(store.load('registry').devices[0].id).toBe('001');
+        store.close();
+
+        expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    });
+});
+
+describe('StatePersistence', () => {
+    test('restores routing, groups and metadata after a restart', () => {
+        const before = server();
+        before.persistence.start();
+        before.deviceManager.createGroup('lobby', ['001', '002']);
+        before.audioRouter.setRoute('001', '002');
+        before.audioRouter.muteDevice('003');
+        before.audioRouter.enableBroadcast('004');
+        before.persistence.stop();
+
+        const after = server();
+        expect(after.persistence.start()).toBe(true);
+        expect(after.audioRouter.getDirectRoutes('001')).toEqual(['002']);
+        expect(after.audioRouter.mutedDevices.has('003')).toBe(true);
+        expect(after.audioRouter.broadcastMode.get('004')).toBe(true);
+        expect(after.deviceManager.getGroupMembers('lobby')).toEqual(['001', '002']);
+        after.persistence.stop();
+    });
+
+    test('saves after changes settle, but not while restoring', async () => {
+        const state = server();
+        state.persistence.start();
+        state.audioRouter.setRoute('001', '002');
+        state.audioRouter.setRoute('001', '003');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(state.persistence.stats.saves).toBe(1);
+
+        state.persistence.apply(state.persistence.createSnapshot());
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(state.persistence.stats.saves).toBe(1);
+        state.persistence.stop();
+    });
+
+    test('does nothing when disabled', () => {
+        const state = server();
+        state.persistence.options.enabled = false;
+        expect(state.persistence.start()).toBe(false);
+        expect(fs.existsSync(path.join(dir, 'state.json'))).toBe(false);
+    });
+});
@@ -0,0 +1,71 @@
+const { startApi } = require('./api-harness');
+
+let api;
+
+beforeEach(async () => {
+    api = await startApi({ devices: ['001', '002', '003'], auth: { enabled: true } });
+    api.udpServer.deviceManager.createGroup('lobby', ['002', '003']);
+});
+
+afterEach(async () => {
+    await api.close();
+});
+
+// Issue a token and build the headers and principal that use it
+function issue(...scopes) {
+    const { token, id } = api.auth.tokens.issue({ name: 'integration', scopes }, null);
+    const headers = { Authorization: `Bearer ${token}` };
+    return { id, headers, principal: api.auth.authenticate({ headers: { authorization: headers.Authorization } }) };
+}
+
+describe('API token scopes', () => {
+    test('cover operations about their devices and the members of their groups', async () => {
+        const { headers } = issue({ permission: 'routes', devices: ['001'], groups: ['lobby'] });
+
+        expect((await api.request('POST', '/api/routes', { source: '001', target: '002' }, headers)).status).toBe(201);
+        expect((await api.request('POST', '/api/routes', { source: '001', targets: ['002', '003'] }, headers)).status).toBe(201);
+        expect((await api.request('PUT', '/api/devices/003/mute', undefined, headers)).status).toBe(200);
+        expect((await api.request('DELETE', '/api/routes/001/002', undefined, headers)).status).toBe(204);
+
+        expect((await api.request('POST', '/api/routes', { source: '001', target: '004' }, headers)).status).toBe(403);
+        expect((await api.request('GET', '/api/routes', undefined, headers)).status).toBe(403);
+    });
+
+    test('need an unlimited scope for operations that reach devices they do not name', async () => {
+        const limited = issue({ permission: 'routes', devices: ['001', '002'] });
+        api.udpServer.audioRouter.setRoute('001', '003');
+
+        expect((await api.request('PUT', '/api/devices/001/broadcast', undefined, limited.headers)).status).toBe(403);
+        expect((await api.request('DELETE', '/api/devices/001/broadcast', undefined, limited.headers)).status).toBe(403);
+        expect((await api.request('PUT', '/api/routes/001', { targets: ['002'] }, limited.headers)).status).toBe(403);
+        expect((await api.request('DELETE', '/api/routes/001', undefined, limited.headers)).status).toBe(403);
+        expect((await api.request('DELETE', '/api/routes', undefined, limited.headers)).status).toBe(403);
+        expect(api.udpServer.audioRouter.getDirectRoutes('001')).toEqual(['003']);
+        expect(api.udpServer.audioRouter.broadcastMode.get('001')).toBeUndefined();
+
+        expect(api.control({ type: 'enable-broadcast', deviceId: '001', requestId: 'b1' }, limited.principal))
+            .toEqual([expect.objectContaining({ type: 'error', code: 'FORBIDDEN', requestId: 'b1' })]);
+        expect(api.control({ type: 'set-route', source: '001', target: '002' }, limited.principal))
+            .not.toContainEqual(expect.objectContaining({ code: 'FORBIDDEN' }));
+
+        const unlimited = issue({ permission: 'routes' });
+        expect((await api.request('PUT', '/api/devices/001/broadcast', undefined, unlimited.headers)).status).toBe(200);
+        expect(api.control({ type: 'disable-broadcast', deviceId: '001' }, unlimited.principal))
+            .not.toContainEqual(expect.objectContaining({ code: 'FORBIDDEN' }));
+        expect((await api.request('DELETE', '/api/routes/001', undefined, unlimited.headers)).status).toBe(204);
+    });
+
+    test('grant only their permissions and count what they were refused', async () => {
+        const { id, headers } = issue({ permission: 'read' });
+
+        expect((await api.request('GET', '/api/devices', undefined, headers)).status).toBe(200);
+        expect((await api.request('PUT', '/api/devices/001/mute', undefined, headers)).status).toBe(403);
+        expect((await api.request('GET', '/api/users', undefined, headers)).status).toBe(403);
+        expect(() => issue({ permission: 'users' })).toThrow(expect.objectContaining({ code: 'invalid' }));
+
+        expect(api.auth.tokens.get(id).usage).toMatchObject({ requests: 1, denied: 2, operations: { listDevices: 1 } });
+
+        api.auth.tokens.revoke(id);
+        expect((await api.request('GET', '/api/devices', undefined, headers)).status).toBe(401);
+    });
+});
@@ -0,0 +1,67 @@
+const DeviceManager = require('../server/device-manager');
+const UDPAudioServer = require('../server/udp-server');
+
+// Device control commands only need the device manager
+function groupControl(deviceManager, deviceId, control) {
+    return UDPAudioServer.prototype.handleGroupControl.call({ deviceManager },
+        deviceManager.getDevice(deviceId), control);
+}
+
+function devices(...ids) {
+    const deviceManager = new DeviceManager();
+    ids.forEach((id, n) => deviceManager.updateDevice(id, { address: '127.0.0.1', port: 7000 + n }));
+    return deviceManager;
+}
+
+describe('device group commands', () => {
+    test('a device creates, joins and leaves groups by itself', () => {
+        const deviceManager = devices('001', '002');
+
+        groupControl(deviceManager, '001', { command: 'create-group', groupId: 'desk' });
+        groupControl(deviceManager, '002', { command: 'join-group', groupId: 'desk' });
+        expect(deviceManager.getGroupMembers('desk')).toEqual(['001', '002']);
+
+        groupControl(deviceManager, '002', { command: 'remove-from-group', groupId: 'desk', target: '002' });
+        groupControl(deviceManager, '002', { command: 'add-to-group', groupId: 'desk', target: '002' });
+        groupControl(deviceManager, '001', { command: 'leave-group', groupId: 'desk' });
+        expect(deviceManager.getGroupMembers('desk')).toEqual(['002']);
+    });
+
+    test('a device cannot change the membership of others', () => {
+        const deviceManager = devices('001', '002', '003');
+        groupControl(deviceManager, '001', { command: 'create-group', groupId: 'desk' });
+        groupControl(deviceManager, '002', { command: 'join-group', groupId: 'desk' });
+
+        const refused = (deviceId, control) => {
+            try {
+                groupControl(deviceManager, deviceId, control);
+            } catch (error) {
+                return error.code;
+            }
+            return null;
+        };
+
+        expect(refused('001', { command: 'create-group', groupId: 'spy', members: ['003'] })).toBe('not-allowed');
+        expect(deviceManager.hasGroup('spy')).toBe(false);
+        expect(refused('001', { command: 'add-to-group', groupId: 'desk', target: '003' })).toBe('not-allowed');
+        expect(refused('001', { command: 'remove-from-group', groupId: 'desk', target: '002' })).toBe('not-allowed');
+        expect(refused('001', { command: 'delete-group', groupId: 'desk' })).toBe('not-allowed');
+        expect(refused('003', { command: 'leave-group', groupId: 'desk' })).toBe('not-member');
+        expect(refused('003', { command: 'add-to-group', groupId: 'desk' })).toBe('invalid-request');
+        expect(deviceManager.getGroupMembers('desk')).toEqual(['001', '002']);
+
+        // Alone in the group, a device may delete it
+        groupControl(deviceManager, '002', { command: 'leave-group', groupId: 'desk' });
+        groupControl(deviceManager, '001', { command: 'delete-group', groupId: 'desk' });
+        expect(deviceManager.hasGroup('desk')).toBe(false);
+    });
+
+    test('a device only joins groups its registry record allows', () => {
+        const deviceManager = devices('001', '002');
+        deviceManager.registry = { canJoinGroup: (deviceId, groupId) => deviceId !== '002' || groupId === 'open' };
+        groupControl(deviceManager, '001', { command: 'create-group', groupId: 'desk' });
+
+        expect(() => groupControl(deviceManager, '002', { command: 'join-group', groupId: 'desk' })).toThrow(/may not join/);
+        expect(() => groupControl(deviceManager, '002', { command: 'create-group', groupId: 'other' })).toThrow(/may not join/);
+    });
+});
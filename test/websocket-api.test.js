@@ -0,0 +1,44 @@
+const { startApi } = require('./api-harness');
+
+let api;
+
+beforeEach(async () => {
+    api = await startApi({ devices: ['001', '002', '003'] });
+});
+
+afterEach(async () => {
+    await api.close();
+});
+
+describe('WebSocketAPI groups', () => {
+    test('creates groups and edits their members', () => {
+        expect(api.control({ type: 'create-group', groupId: 'desk', members: ['001', '002'], requestId: 1 }))
+            .toEqual([{ type: 'ack', requestId: 1, command: 'create-group' }]);
+        api.control({ type: 'add-to-group', groupId: 'desk', deviceId: '003' });
+        api.control({ type: 'remove-from-group', groupId: 'desk', deviceId: '001' });
+
+        expect(api.udpServer.deviceManager.getGroupMembers('desk')).toEqual(['002', '003']);
+
+        const [reply] = api.control({ type: 'get-groups', requestId: 2 });
+        expect(reply).toMatchObject({ type: 'groups', requestId: 2, groups: [{ groupId: 'desk', members: ['002', '003'] }] });
+    });
+
+    test('reports failed and invalid group commands', () => {
+        api.control({ type: 'create-group', groupId: 'desk' });
+
+        expect(api.control({ type: 'create-group', groupId: 'desk', requestId: 3 }))
+            .toEqual([expect.objectContaining({ type: 'error', requestId: 3, code: 'COMMAND_FAILED' })]);
+        expect(api.control({ type: 'add-to-group', groupId: 'none', deviceId: '001' }))
+            .toEqual([expect.objectContaining({ type: 'error', code: 'COMMAND_FAILED', message: 'Group none not found' })]);
+        expect(api.control({ type: 'add-to-group', groupId: 'desk' }))
+            .toEqual([expect.objectContaining({ type: 'error', code: 'VALIDATION_FAILED' })]);
+    });
+
+    test('REST and WebSocket changes reach the same groups', async () => {
+        await api.request('POST', '/api/groups', { groupId: 'desk', members: ['001'] });
+        api.control({ type: 'add-to-group', groupId: 'desk', deviceId: '002' });
+
+        const res = await api.request('GET', '/api/groups/desk');
+        expect(res.body.members).toEqual(['001', '002']);
+    });
+});